@@ -1431,7 +1431,7 @@ class CircosPlotter {
             const position = start + this.gcWindowSize / 2;
             
             let gcContent = 0;
-            if (sequence) {
+            if (typeof sequence === 'string') {
                 const windowSeq = sequence.substring(start, end);
                 const gcCount = (windowSeq.match(/[GC]/g) || []).length;
                 const totalCount = windowSeq.length;
@@ -1482,7 +1482,7 @@ class CircosPlotter {
             const position = start + this.gcWindowSize / 2;
             
             let gcSkew = 0;
-            if (sequence) {
+            if (typeof sequence === 'string') {
                 const windowSeq = sequence.substring(start, end);
                 const gCount = (windowSeq.match(/G/g) || []).length;
                 const cCount = (windowSeq.match(/C/g) || []).length;
@@ -1539,7 +1539,7 @@ class CircosPlotter {
             const position = start + (this.gcWindowSize / 4);
             
             let value = 0;
-            if (sequence) {
+            if (typeof sequence === 'string') {
                 const windowSeq = sequence.substring(start, end);
                 
                 // Calculate sequence complexity metrics
@@ -2600,13 +2600,13 @@ class CircosPlotter {
         const linkGroup = g.append('g').attr('class', 'links');
         
         this.data.links.slice(0, this.maxLinks).forEach(link => {
-            const sourceChr = this.data.chromosomes.find(c => c.name === link.source.chromosome);
-            const targetChr = this.data.chromosomes.find(c => c.name === link.target.chromosome);
+            const sourceChr = this.data.chromosomes.find(c => (c.name || c.label || c.id) === link.source.chromosome);
+            const targetChr = this.data.chromosomes.find(c => (c.name || c.label || c.id) === link.target.chromosome);
             
             if (!sourceChr || !targetChr) return;
             
-            const sourceAngle = sourceChr.startAngle + (link.source.start / sourceChr.length) * (sourceChr.endAngle - sourceChr.startAngle);
-            const targetAngle = targetChr.startAngle + (link.target.start / targetChr.length) * (targetChr.endAngle - targetChr.startAngle);
+            const sourceAngle = sourceChr.startAngle + (link.source.start / (sourceChr.length || sourceChr.size)) * (sourceChr.endAngle - sourceChr.startAngle);
+            const targetAngle = targetChr.startAngle + (link.target.start / (targetChr.length || targetChr.size)) * (targetChr.endAngle - targetChr.startAngle);
             
             const sourceRadians = sourceAngle * Math.PI / 180;
             const targetRadians = targetAngle * Math.PI / 180;
@@ -3794,8 +3794,8 @@ class CircosDataProcessor {
         const linksToProcess = links.slice(0, maxLinks);
         
         const processed = linksToProcess.map(link => {
-            const sourceChr = processedChromosomes.find(c => c.name === link.source.chromosome);
-            const targetChr = processedChromosomes.find(c => c.name === link.target.chromosome);
+            const sourceChr = processedChromosomes.find(c => (c.name || c.label || c.id) === link.source.chromosome);
+            const targetChr = processedChromosomes.find(c => (c.name || c.label || c.id) === link.target.chromosome);
             
             if (!sourceChr || !targetChr) return null;
             
@@ -1,6 +1,7 @@
 const { app, BrowserWindow, Menu, MenuItem, dialog, ipcMain } = require('electron');
 const path = require('path');
 const fs = require('fs');
+const zlib = require('zlib');
 const UnifiedClaudeMCPServer = require('./mcp-server-claude-unified');
 const genomeStudioRPC = require('./genome-studio-rpc');
 const VERSION_INFO = require('./version');
@@ -1578,12 +1579,19 @@ function createMenu() {
             const result = await dialog.showOpenDialog(mainWindow, {
               properties: ['openFile'],
               filters: [
-                { name: 'All Genome Files', extensions: ['fasta', 'fa', 'gb', 'gbk', 'genbank', 'gff', 'gtf', 'bed', 'vcf', 'bam', 'sam'] },
-                { name: 'FASTA Files', extensions: ['fasta', 'fa'] },
+                { name: 'All Genome Files', extensions: ['fasta', 'fa', 'fna', '2bit', 'gb', 'gbk', 'genbank', 'embl', 'emb', 'gff', 'gtf', 'bed', 'vcf', 'bam', 'cram', 'sam', 'fastq', 'fq', 'paf', 'maf', 'seg', 'aln', 'clustal', 'sto', 'stockholm', 'gz', 'bgz'] },
+                { name: 'FASTA Files', extensions: ['fasta', 'fa', 'fna'] },
+                { name: '2bit Files', extensions: ['2bit'] },
                 { name: 'GenBank Files', extensions: ['gb', 'gbk', 'genbank'] },
+                { name: 'EMBL Files', extensions: ['embl', 'emb'] },
                 { name: 'Annotation Files', extensions: ['gff', 'gtf', 'bed'] },
                 { name: 'Variant Files', extensions: ['vcf'] },
-                { name: 'Alignment Files', extensions: ['bam', 'sam'] },
+                { name: 'Alignment Files', extensions: ['bam', 'cram', 'sam'] },
+                { name: 'FASTQ Files', extensions: ['fastq', 'fq'] },
+                { name: 'Genome Alignment Files', extensions: ['paf', 'maf'] },
+                { name: 'Copy Number Segment Files', extensions: ['seg'] },
+                { name: 'Multiple Sequence Alignments', extensions: ['aln', 'clustal', 'sto', 'stockholm'] },
+                { name: 'Compressed Files', extensions: ['gz', 'bgz'] },
                 { name: 'All Files', extensions: ['*'] }
               ]
             });
@@ -2422,6 +2430,84 @@ ipcMain.on('tool-response', (event, response) => {
 });
 
 // IPC handlers
+/**
+ * Detect gzip/BGZF compression from the file's magic bytes.
+ * BGZF is gzip with an extra 'BC' subfield (SAM/BAM spec, section 4.1),
+ * so both are decompressed the same way; the distinction is kept for callers
+ * that need random access later.
+ * @param {string} filePath - Path to the file
+ * @returns {string|null} 'bgzf', 'gzip' or null for uncompressed files
+ */
+function detectFileCompression(filePath) {
+  let fd;
+  try {
+    fd = fs.openSync(filePath, 'r');
+    const header = Buffer.alloc(18);
+    const bytesRead = fs.readSync(fd, header, 0, header.length, 0);
+    if (bytesRead < 10 || header[0] !== 0x1f || header[1] !== 0x8b || header[2] !== 0x08) {
+      return null;
+    }
+    const hasExtraField = (header[3] & 0x04) !== 0;
+    if (hasExtraField && bytesRead >= 16 && header[12] === 0x42 && header[13] === 0x43) {
+      return 'bgzf';
+    }
+    return 'gzip';
+  } catch (error) {
+    return null;
+  } finally {
+    if (fd !== undefined) {
+      fs.closeSync(fd);
+    }
+  }
+}
+
+/**
+ * Read the ISIZE field of a gzip trailer (uncompressed size of the last member, mod 2^32)
+ * @param {string} filePath - Path to the gzip file
+ * @param {number} fileSize - Size of the file in bytes
+ * @returns {number} Uncompressed size in bytes
+ */
+function readGzipTrailerSize(filePath, fileSize) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const trailer = Buffer.alloc(4);
+    fs.readSync(fd, trailer, 0, 4, fileSize - 4);
+    return trailer.readUInt32LE(0);
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Decompress a gzip/BGZF file as a stream, giving up once the output exceeds a limit
+ * @param {string} filePath - Path to the compressed file
+ * @param {number} maxBytes - Largest decompressed size to keep in memory
+ * @returns {Promise<Buffer|null>} Decompressed data, or null if it exceeds maxBytes
+ */
+function gunzipFileWithLimit(filePath, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const input = fs.createReadStream(filePath);
+    const gunzip = zlib.createGunzip();
+    const chunks = [];
+    let totalBytes = 0;
+    
+    gunzip.on('data', (chunk) => {
+      totalBytes += chunk.length;
+      if (totalBytes > maxBytes) {
+        input.destroy();
+        gunzip.destroy();
+        resolve(null);
+        return;
+      }
+      chunks.push(chunk);
+    });
+    gunzip.on('end', () => resolve(Buffer.concat(chunks, totalBytes)));
+    gunzip.on('error', reject);
+    input.on('error', reject);
+    input.pipe(gunzip);
+  });
+}
+
 ipcMain.handle('read-file', async (event, filePath) => {
   try {
     // Check file size first
@@ -2429,11 +2515,11 @@ ipcMain.handle('read-file', async (event, filePath) => {
     const fileSizeMB = stats.size / (1024 * 1024);
     const extension = path.extname(filePath).toLowerCase();
     
-    // For BAM files, don't try to read as text
-    if (extension === '.bam') {
+    // For BAM/CRAM files, don't try to read as text
+    if (extension === '.bam' || extension === '.cram') {
       return { 
         success: false, 
-        error: 'BAM files are binary format and should be handled by specialized BAM reader.',
+        error: 'BAM/CRAM files are binary format and should be handled by specialized BAM reader.',
         isBamFile: true,
         fileSize: stats.size
       };
@@ -2455,6 +2541,34 @@ ipcMain.handle('read-file', async (event, filePath) => {
       console.warn(`Reading large file into memory: ${fileSizeMB.toFixed(1)} MB`);
     }
     
+    // Transparently decompress gzip/BGZF files (.fa.gz, .gff3.gz, .vcf.gz, ...)
+    const compression = detectFileCompression(filePath);
+    if (compression) {
+      const maxBytes = 500 * 1024 * 1024;
+      const tooLarge = (sizeMB) => ({
+        success: false,
+        error: `Decompressed file is too large (${sizeMB}) to read into memory. Use streaming mode instead.`,
+        requiresStreaming: true,
+        compression,
+        fileSize: stats.size
+      });
+      
+      // A single gzip member records its uncompressed size (mod 2^32) in the trailer;
+      // BGZF files are many members, so their size is only known while decompressing
+      if (compression === 'gzip' && stats.size >= 18) {
+        const uncompressedSize = readGzipTrailerSize(filePath, stats.size);
+        if (uncompressedSize > maxBytes) {
+          return tooLarge(`${(uncompressedSize / (1024 * 1024)).toFixed(1)} MB`);
+        }
+      }
+      
+      const decompressed = await gunzipFileWithLimit(filePath, maxBytes);
+      if (!decompressed) {
+        return tooLarge('over 500 MB');
+      }
+      return { success: true, data: decompressed.toString('utf8'), compression };
+    }
+    
     const data = fs.readFileSync(filePath, 'utf8');
     return { success: true, data };
   } catch (error) {
@@ -2520,15 +2634,25 @@ ipcMain.handle('read-file-stream', async (event, filePath, chunkSize = 1024 * 10
     
     console.log(`Starting stream read of ${(fileSize / (1024 * 1024)).toFixed(1)} MB file: ${path.basename(filePath)}`);
     
+    const compression = detectFileCompression(filePath);
+    
     return new Promise((resolve, reject) => {
-      const stream = fs.createReadStream(filePath, { 
-        encoding: 'utf8', 
-        highWaterMark: chunkSize 
+      const rawStream = fs.createReadStream(filePath, { highWaterMark: chunkSize });
+      let stream = rawStream;
+      
+      // Decompress gzip/BGZF input on the fly; progress is tracked on the compressed bytes
+      if (compression) {
+        stream = rawStream.pipe(zlib.createGunzip());
+        rawStream.on('error', (error) => stream.emit('error', error));
+      }
+      stream.setEncoding('utf8');
+      
+      rawStream.on('data', (rawChunk) => {
+        totalRead += rawChunk.length;
       });
       
       stream.on('data', (chunk) => {
         try {
-          totalRead += Buffer.byteLength(chunk, 'utf8');
           buffer += chunk;
           
           // Process complete lines
@@ -2551,7 +2675,7 @@ ipcMain.handle('read-file-stream', async (event, filePath, chunkSize = 1024 * 10
           }
         } catch (chunkError) {
           console.error('Error processing chunk:', chunkError);
-          stream.destroy();
+          rawStream.destroy();
           reject({ success: false, error: `Error processing data chunk: ${chunkError.message}` });
         }
       });
@@ -2595,7 +2719,8 @@ ipcMain.handle('get-file-info', async (event, filePath) => {
         size: stats.size,
         modified: stats.mtime,
         name: path.basename(filePath),
-        extension: path.extname(filePath)
+        extension: path.extname(filePath),
+        compression: detectFileCompression(filePath)
       }
     };
   } catch (error) {
@@ -2921,7 +3046,7 @@ ipcMain.handle('select-and-load-file', async () => {
     const result = await dialog.showOpenDialog(mainWindow, {
       properties: ['openFile'],
       filters: [
-        { name: 'Genome Files', extensions: ['fasta', 'fa', 'gff', 'gff3', 'gtf', 'vcf', 'bam', 'sam', 'wig', 'bigwig', 'fastq', 'fq'] },
+        { name: 'Genome Files', extensions: ['fasta', 'fa', 'gff', 'gff3', 'gtf', 'vcf', 'bam', 'sam', 'wig', 'bigwig', 'bw', 'bigbed', 'bb', 'fastq', 'fq'] },
         { name: 'All Files', extensions: ['*'] }
       ]
     });
@@ -3404,8 +3529,13 @@ ipcMain.handle('get-genome-data', async (event) => {
       const result = await senderWindow.mainWindow.webContents.executeJavaScript(`
         (function() {
           if (window.genomeBrowser) {
+            // Indexed genomes keep their bases on disk; send only their lengths
+            const sequences = window.genomeBrowser.currentSequence || null;
+            const currentSequence = sequences && Object.fromEntries(Object.entries(sequences).map(([chr, sequence]) =>
+              [chr, sequence && sequence.isIndexed ? { isIndexed: true, length: sequence.length } : sequence]
+            ));
             return {
-              currentSequence: window.genomeBrowser.currentSequence || null,
+              currentSequence: currentSequence,
               currentAnnotations: window.genomeBrowser.currentAnnotations || {},
               currentPosition: window.genomeBrowser.currentPosition || null,
               currentChromosome: document.getElementById('chromosomeSelect')?.value || null
@@ -3435,8 +3565,12 @@ ipcMain.handle('get-circos-genome-data', async (event) => {
       const result = await mainWindow.webContents.executeJavaScript(`
         (function() {
           if (window.genomeBrowser) {
+            // Indexed genomes keep their bases on disk; send only their lengths
+            const sequences = window.genomeBrowser.currentSequence || {};
             const genomeData = {
-              currentSequence: window.genomeBrowser.currentSequence || {},
+              currentSequence: Object.fromEntries(Object.entries(sequences).map(([chr, sequence]) =>
+                [chr, sequence && sequence.isIndexed ? { isIndexed: true, length: sequence.length } : sequence]
+              )),
               currentAnnotations: window.genomeBrowser.currentAnnotations || {},
               currentPosition: window.genomeBrowser.currentPosition || null,
               currentChromosome: window.genomeBrowser.currentChromosome || null,
@@ -3540,6 +3674,23 @@ ipcMain.handle('get-circos-genome-data', async (event) => {
               }
             });
             
+            // Synteny links from loaded PAF/MAF whole-genome alignments, largest blocks first
+            const alignmentSets = Object.values(window.genomeBrowser.currentSyntenyAlignments || {});
+            if (alignmentSets.length > 0 && window.WholeGenomeAlignmentParser) {
+              const blocks = alignmentSets.flatMap(set => set.blocks).sort((a, b) => b.length - a.length);
+              
+              // Aligned sequences of other genomes get their own ideogram
+              const lengths = WholeGenomeAlignmentParser.getSequenceLengths(blocks);
+              Object.entries({ ...lengths.reference, ...lengths.target }).forEach(([name, length]) => {
+                if (!chromosomes.some(chr => chr.id === name)) {
+                  chromosomes.push({ id: name, label: name, size: length, start: 0, end: length, aligned: true });
+                }
+              });
+              
+              links.push(...WholeGenomeAlignmentParser.toCircosLinks(blocks));
+              console.log('Circos data extraction - synteny links:', links.length);
+            }
+            
             // If no genes found, generate some test genes for visualization
             if (genes.length === 0 && chromosomes.length > 0) {
               console.log('No genes found in annotations, generating test genes for visualization');
@@ -3696,7 +3847,11 @@ ipcMain.handle('get-gene-sequence', async (event, geneName) => {
                 );
                 
                 if (gene && sequences[chromosome]) {
-                  const sequence = sequences[chromosome].substring(gene.start - 1, gene.end);
+                  const chrSequence = sequences[chromosome];
+                  // Indexed genomes read only the gene region from disk
+                  const sequence = chrSequence.isIndexed
+                    ? await chrSequence.getSequence(gene.start - 1, gene.end)
+                    : chrSequence.substring(gene.start - 1, gene.end);
                   return {
                     sequence: sequence,
                     chromosome: chromosome,
@@ -3731,12 +3886,16 @@ ipcMain.handle('get-region-sequence', async (event, chromosome, start, end) => {
     
     if (senderWindow && senderWindow.mainWindow) {
       const result = await senderWindow.mainWindow.webContents.executeJavaScript(`
-        (function() {
+        (async function() {
           if (window.genomeBrowser) {
             const sequences = window.genomeBrowser.currentSequence || {};
             
             if (sequences['${chromosome}']) {
-              const sequence = sequences['${chromosome}'].substring(${start} - 1, ${end});
+              const chrSequence = sequences['${chromosome}'];
+              // Indexed genomes read only the requested region from disk
+              const sequence = chrSequence.isIndexed
+                ? await chrSequence.getSequence(${start} - 1, ${end})
+                : chrSequence.substring(${start} - 1, ${end});
               return {
                 sequence: sequence,
                 chromosome: '${chromosome}',
@@ -5880,7 +6039,7 @@ function createProjectManagerMenu(projectManagerWindow) {
             const result = await dialog.showOpenDialog(projectManagerWindow, {
               properties: ['openFile', 'multiSelections'],
               filters: [
-                { name: 'Genome Files', extensions: ['fasta', 'fa', 'fas', 'gff', 'gff3', 'gtf', 'vcf', 'bam', 'sam', 'wig', 'bigwig', 'bed', 'gb', 'gbk', 'gbff'] },
+                { name: 'Genome Files', extensions: ['fasta', 'fa', 'fas', 'gff', 'gff3', 'gtf', 'vcf', 'bam', 'sam', 'wig', 'bigwig', 'bw', 'bigbed', 'bb', 'bed', 'gb', 'gbk', 'gbff'] },
                 { name: 'All Files', extensions: ['*'] }
               ],
               title: 'Import Files to Project'
@@ -6617,7 +6776,7 @@ ipcMain.handle('selectMultipleFiles', async () => {
     const result = await dialog.showOpenDialog(null, {
       properties: ['openFile', 'multiSelections'],
       filters: [
-        { name: 'Genome Files', extensions: ['fasta', 'fa', 'fas', 'gff', 'gff3', 'gtf', 'vcf', 'bam', 'sam', 'wig', 'bigwig', 'bed', 'gb', 'gbk', 'gbff'] },
+        { name: 'Genome Files', extensions: ['fasta', 'fa', 'fas', 'gff', 'gff3', 'gtf', 'vcf', 'bam', 'sam', 'wig', 'bigwig', 'bw', 'bigbed', 'bb', 'bed', 'gb', 'gbk', 'gbff'] },
         { name: 'All Files', extensions: ['*'] }
       ],
       title: 'Select Files to Add'
@@ -82,7 +82,7 @@ class ToolsIntegrator {
                 } else if (toolName === 'compute_gc') {
                     return { gcContent: this.sequenceTools.calculateGCContent(parameters.sequence) };
                 } else if (toolName === 'translate_dna') {
-                    return { protein: this.sequenceTools.translateDNA(parameters.dna, parameters.frame) };
+                    return { protein: this.sequenceTools.translateDNA(parameters.dna, parameters.frame, parameters.geneticCode) };
                 } else if (toolName === 'reverse_complement') {
                     return { reverseComplement: this.sequenceTools.reverseComplement(parameters.dna) };
                 } else if (toolName === 'find_orfs') {
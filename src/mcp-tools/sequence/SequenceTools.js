@@ -3,6 +3,8 @@
  * Handles DNA/RNA sequence analysis, motif searching, and basic bioinformatics
  */
 
+const UnifiedDNATranslation = require('../../renderer/modules/UnifiedDNATranslation');
+
 class SequenceTools {
     constructor(server) {
         this.server = server;
@@ -46,6 +48,7 @@ class SequenceTools {
                     properties: {
                         dna: { type: 'string', description: 'DNA sequence to translate' },
                         frame: { type: 'number', description: 'Reading frame (0, 1, or 2)', default: 0 },
+                        geneticCode: { type: 'number', description: 'NCBI translation table (transl_table), e.g. 1 standard, 4 Mycoplasma, 11 bacterial; defaults to the genome\'s code' },
                         clientId: { type: 'string', description: 'Browser client ID' }
                     },
                     required: ['dna']
@@ -138,25 +141,8 @@ class SequenceTools {
         return ((gcCount / sequence.length) * 100).toFixed(2);
     }
 
-    translateDNA(dna, frame = 0) {
-        const codonTable = {
-            'TTT': 'F', 'TTC': 'F', 'TTA': 'L', 'TTG': 'L',
-            'TCT': 'S', 'TCC': 'S', 'TCA': 'S', 'TCG': 'S',
-            'TAT': 'Y', 'TAC': 'Y', 'TAA': '*', 'TAG': '*',
-            'TGT': 'C', 'TGC': 'C', 'TGA': '*', 'TGG': 'W',
-            'CTT': 'L', 'CTC': 'L', 'CTA': 'L', 'CTG': 'L',
-            'CCT': 'P', 'CCC': 'P', 'CCA': 'P', 'CCG': 'P',
-            'CAT': 'H', 'CAC': 'H', 'CAA': 'Q', 'CAG': 'Q',
-            'CGT': 'R', 'CGC': 'R', 'CGA': 'R', 'CGG': 'R',
-            'ATT': 'I', 'ATC': 'I', 'ATA': 'I', 'ATG': 'M',
-            'ACT': 'T', 'ACC': 'T', 'ACA': 'T', 'ACG': 'T',
-            'AAT': 'N', 'AAC': 'N', 'AAA': 'K', 'AAG': 'K',
-            'AGT': 'S', 'AGC': 'S', 'AGA': 'R', 'AGG': 'R',
-            'GTT': 'V', 'GTC': 'V', 'GTA': 'V', 'GTG': 'V',
-            'GCT': 'A', 'GCC': 'A', 'GCA': 'A', 'GCG': 'A',
-            'GAT': 'D', 'GAC': 'D', 'GAA': 'E', 'GAG': 'E',
-            'GGT': 'G', 'GGC': 'G', 'GGA': 'G', 'GGG': 'G'
-        };
+    translateDNA(dna, frame = 0, geneticCode = 1) {
+        const codonTable = UnifiedDNATranslation.getGeneticCodeTable(geneticCode || 1);
 
         const sequence = dna.toUpperCase().slice(frame);
         let protein = '';
@@ -120,7 +120,8 @@ class AnalysisAgent extends AgentBase {
                 throw new Error('Sequence is required');
             }
             
-            const protein = this.sequenceUtils.translateDNA(sequence, frame);
+            // translateDNA's second argument is the strand; the frame is applied by trimming
+            const protein = this.sequenceUtils.translateDNA(sequence.substring(frame % 3), 1);
             
             return {
                 success: true,
@@ -142,18 +143,19 @@ class AnalysisAgent extends AgentBase {
      */
     async translateDNA(parameters, strategy) {
         try {
-            const { dna, frame = 0 } = parameters;
+            const { dna, frame = 0, geneticCode = null } = parameters;
             
             if (!dna) {
                 throw new Error('DNA sequence is required');
             }
             
-            const protein = this.sequenceUtils.translateDNA(dna, frame);
+            const protein = this.sequenceUtils.translateDNA(dna.substring(frame % 3), 1, geneticCode);
             
             return {
                 success: true,
                 protein,
                 frame,
+                geneticCode: geneticCode || this.sequenceUtils.genomeBrowser?.getGeneticCode?.() || 1,
                 length: protein.length
             };
             
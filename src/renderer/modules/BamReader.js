@@ -1,10 +1,11 @@
 /**
  * BamReader - Enhanced BAM file parser using @gmod/bam library
  * Directly uses @gmod/bam API for optimal performance and compatibility
+ * CRAM files are read with @gmod/cram and converted to BAM-style records
  */
 
 // In Electron renderer process, we can use require() for Node.js modules
-let BamFile, LocalFile;
+let BamFile, LocalFile, IndexedCramFile, CraiIndex;
 
 try {
     // Import @gmod/bam in Electron renderer process
@@ -23,15 +24,26 @@ try {
     throw new Error('@gmod/bam library is required but not available. Please ensure it is installed.');
 }
 
+try {
+    const cramModule = require('@gmod/cram');
+    IndexedCramFile = cramModule.IndexedCramFile;
+    CraiIndex = cramModule.CraiIndex;
+} catch (error) {
+    console.warn('@gmod/cram not available, CRAM files cannot be read:', error.message);
+}
+
 class BamReader {
     constructor() {
         this.filePath = null;
+        this.format = 'bam'; // 'bam' or 'cram'
+        this.getReferenceSequence = null; // CRAM only: (chromosome) => reference sequence string
         this.indexPath = null;
         this.bamFile = null;
         this.isInitialized = false;
         this.hasIndex = false;
         this.indexType = null; // 'bai' or 'csi'
         this.header = null;
+        this.readGroupSamples = new Map();
         this.references = [];
         this.totalReads = 0;
         this.fileSize = 0;
@@ -51,6 +63,8 @@ class BamReader {
      * @param {Object} options - Optional configuration
      * @param {string} options.indexPath - Explicit path to index file (optional)
      * @param {boolean} options.requireIndex - Whether to require an index file (default: false)
+     * @param {Function} options.getReferenceSequence - CRAM only: (chromosome) => reference sequence,
+     *        used to decode reference-compressed reads
      * @returns {Promise<Object>} Initialization result
      */
     async initialize(filePath, options = {}) {
@@ -69,10 +83,15 @@ class BamReader {
             // Reset state
             this.reset();
             this.filePath = filePath;
+            this.format = BamReader.isCramFile(filePath) ? 'cram' : 'bam';
 
             // Detect index files
             await this.detectIndexFiles(filePath, options);
 
+            if (this.format === 'cram') {
+                return await this.initializeCram(filePath, options);
+            }
+
             // Create BAM file instance using @gmod/bam directly
             const bamFileConfig = {
                 bamPath: filePath
@@ -105,6 +124,7 @@ class BamReader {
             console.log('📋 Reading BAM header...');
             try {
             this.header = await this.bamFile.getHeader();
+            this.readGroupSamples = this.buildReadGroupSamples(this.header);
                 console.log('✅ BAM header read successfully');
                 console.log('🔍 Header content:', {
                     hasReferences: !!this.header.references,
@@ -237,6 +257,266 @@ class BamReader {
         }
     }
 
+    /**
+     * Check whether a path is a CRAM file
+     * @param {string} filePath - File path
+     * @returns {boolean}
+     */
+    static isCramFile(filePath) {
+        return /\.cram$/i.test(filePath || '');
+    }
+
+    /**
+     * Initialize a CRAM file. The CRAM file is wrapped so that it answers getHeader() and
+     * getRecordsForRange() like a @gmod/bam BamFile, and the rest of the reader is unchanged.
+     * @private
+     */
+    async initializeCram(filePath, options = {}) {
+        if (!IndexedCramFile) {
+            throw new Error('@gmod/cram is not available. Please ensure it is installed.');
+        }
+        if (!this.hasIndex) {
+            throw new Error(`CRAM files require a CRAI index. Create one with: samtools index ${filePath}`);
+        }
+        if (typeof options.getReferenceSequence !== 'function') {
+            throw new Error('CRAM decoding requires the reference genome. Load the matching FASTA file first.');
+        }
+        this.getReferenceSequence = options.getReferenceSequence;
+
+        const refIdToName = [];
+        const cramFile = new IndexedCramFile({
+            cramPath: filePath,
+            index: new CraiIndex({ path: this.indexPath }),
+            seqFetch: async (seqId, start, end) => this.fetchCramReference(refIdToName[seqId], start, end),
+            checkSequenceMD5: false
+        });
+
+        // Reference names and lengths come from the @SQ lines; CRAM refers to them by index
+        const samHeader = await cramFile.cram.getSamHeader();
+        const references = [];
+        samHeader.filter(line => line.tag === 'SQ').forEach((line, refId) => {
+            const name = line.data.find(item => item.tag === 'SN')?.value;
+            const length = parseInt(line.data.find(item => item.tag === 'LN')?.value) || 0;
+            refIdToName[refId] = name;
+            references.push({ name, length });
+        });
+        const refNameToId = new Map(references.map((ref, refId) => [ref.name, refId]));
+
+        this.bamFile = {
+            cramFile,
+            references,
+            getHeader: async () => ({ references, samHeader }),
+            getRecordsForRange: async (chromosome, start, end) => {
+                const refId = refNameToId.get(chromosome);
+                if (refId === undefined) {
+                    return [];
+                }
+                // @gmod/cram uses 1-based closed coordinates
+                const records = await cramFile.getRecordsForRange(refId, start + 1, end);
+                const converted = records.map(record => this.convertCramRecord(record, refIdToName));
+                
+                // Reference bases of deletions, fetched once per query
+                const reference = await this.fetchDeletedReference(chromosome, converted);
+                converted.forEach(record => { record.reference = reference; });
+                return converted;
+            }
+        };
+
+        this.header = await this.bamFile.getHeader();
+        this.readGroupSamples = this.buildReadGroupSamples(samHeader);
+        this.references = references;
+        await this.getFileSizeInfo();
+        this.isInitialized = true;
+
+        console.log(`✅ BamReader: Initialized CRAM file with ${references.length} references, CRAI index (${this.getFormattedIndexSize()})`);
+
+        return {
+            success: true,
+            header: this.header,
+            references: this.references,
+            totalReads: this.totalReads,
+            fileSize: this.fileSize,
+            hasIndex: this.hasIndex,
+            indexType: this.indexType,
+            indexPath: this.indexPath,
+            indexSize: this.indexSize
+        };
+    }
+
+    /**
+     * Fetch reference bases for CRAM decoding from the loaded genome
+     * @param {string} chromosome - Reference name
+     * @param {number} start - Start position (1-based, inclusive)
+     * @param {number} end - End position (1-based, inclusive)
+     * @returns {Promise<string>} Reference bases; positions past the sequence end are returned as N
+     * @private
+     */
+    async fetchCramReference(chromosome, start, end) {
+        const sequence = this.getReferenceSequence ? this.getReferenceSequence(chromosome) : null;
+        if (!sequence) {
+            throw new Error(`Reference sequence '${chromosome}' is needed to decode this CRAM file. Load the matching FASTA file first.`);
+        }
+        // Indexed genomes read the region from disk instead of returning placeholder bases
+        const bases = sequence.isIndexed
+            ? await sequence.getSequence(start - 1, end)
+            : sequence.substring(start - 1, end);
+        return bases.toUpperCase().padEnd(end - start + 1, 'N');
+    }
+
+    /**
+     * Fetch the reference span of the records that contain deletions
+     * @param {string} chromosome - Reference name
+     * @param {Array} records - Converted CRAM records
+     * @returns {Promise<Object|null>} { start (1-based), bases }, or null when there are no deletions
+     *   or the reference is not available
+     * @private
+     */
+    async fetchDeletedReference(chromosome, records) {
+        const withDeletions = records.filter(record => record.readFeatures.some(feature => feature.code === 'D'));
+        if (withDeletions.length === 0) {
+            return null;
+        }
+        const start = Math.min(...withDeletions.map(record => record.start)) + 1;
+        const end = Math.max(...withDeletions.map(record => record.end));
+        try {
+            return { start, bases: await this.fetchCramReference(chromosome, start, end) };
+        } catch (error) {
+            // Deletions keep placeholder bases if the reference is not available
+            return null;
+        }
+    }
+
+    /**
+     * Convert a @gmod/cram record to the @gmod/bam record fields used by convertRecordsToReads
+     * @private
+     */
+    convertCramRecord(record, refIdToName) {
+        const start = record.alignmentStart - 1; // 0-based like BAM records
+        const readFeatures = record.readFeatures || [];
+
+        return {
+            name: record.readName,
+            refName: refIdToName[record.sequenceId],
+            start: start,
+            end: start + (record.lengthOnRef || record.readLength),
+            flags: record.flags,
+            strand: record.isReverseComplemented() ? -1 : 1,
+            mq: record.mappingQuality,
+            CIGAR: record.isSegmentUnmapped() ? '' : this.buildCigarFromReadFeatures(readFeatures, record.readLength),
+            seq: record.getReadBases() || '',
+            qual: record.qualityScores || '',
+            tags: record.tags || {},
+            template_length: record.templateSize || 0,
+            next_refid: record.mate ? record.mate.sequenceId : -1,
+            next_pos: record.mate ? record.mate.alignmentStart - 1 : -1,
+            readFeatures: readFeatures
+        };
+    }
+
+    /**
+     * Build a CIGAR string from CRAM read features
+     * Bases between gapping features are aligned (M); substitutions do not change the CIGAR
+     * @param {Array} readFeatures - CRAM read features ({ code, pos (1-based read position), refPos, data })
+     * @param {number} readLength - Read length
+     * @returns {string} CIGAR string
+     */
+    buildCigarFromReadFeatures(readFeatures, readLength) {
+        const operations = [];
+        const addOperation = (operation, length) => {
+            if (length <= 0) return;
+            const last = operations[operations.length - 1];
+            if (last && last.operation === operation) {
+                last.length += length;
+            } else {
+                operations.push({ operation, length });
+            }
+        };
+
+        let readPos = 1;
+        for (const feature of readFeatures) {
+            if (!'IiSDNHP'.includes(feature.code)) continue;
+
+            addOperation('M', feature.pos - readPos);
+            readPos = Math.max(readPos, feature.pos);
+
+            switch (feature.code) {
+                case 'I':
+                case 'S':
+                    addOperation(feature.code, feature.data.length);
+                    readPos += feature.data.length;
+                    break;
+                case 'i':
+                    addOperation('I', 1);
+                    readPos += 1;
+                    break;
+                case 'D':
+                case 'N':
+                case 'H':
+                case 'P':
+                    addOperation(feature.code, feature.data);
+                    break;
+            }
+        }
+        addOperation('M', readLength - readPos + 1);
+
+        return operations.map(op => `${op.length}${op.operation}`).join('');
+    }
+
+    /**
+     * Parse mutations directly from CRAM read features
+     * Substitutions carry their reference and read bases, so no MD tag is needed
+     * @param {Object} record - Converted CRAM record
+     * @returns {Array} Array of mutation objects
+     */
+    parseMutationsFromReadFeatures(record) {
+        const mutations = [];
+
+        for (const feature of record.readFeatures) {
+            switch (feature.code) {
+                case 'X':
+                    mutations.push({
+                        type: 'mismatch',
+                        position: feature.refPos, // Already 1-based
+                        length: 1,
+                        sequence: feature.sub || 'N',
+                        refSequence: feature.ref || 'N',
+                        color: '#FFD93D' // Yellow for mismatches
+                    });
+                    break;
+                case 'I':
+                case 'i':
+                    // 'I' carries the inserted bases, 'i' a single inserted base
+                    mutations.push({
+                        type: 'insertion',
+                        position: feature.refPos,
+                        length: feature.data.length,
+                        sequence: feature.data,
+                        refSequence: '',
+                        color: '#FF6B6B' // Red for insertions
+                    });
+                    break;
+                case 'D': {
+                    // record.reference is fetched per query by getRecordsForRange
+                    const reference = record.reference;
+                    const refSequence = reference
+                        ? reference.bases.substr(feature.refPos - reference.start, feature.data).padEnd(feature.data, 'N')
+                        : 'N'.repeat(feature.data);
+                    mutations.push({
+                        type: 'deletion',
+                        position: feature.refPos,
+                        length: feature.data,
+                        sequence: '',
+                        refSequence: refSequence,
+                        color: '#4ECDC4' // Cyan for deletions
+                    });
+                    break;
+                }
+            }
+        }
+
+        return mutations;
+    }
+
     /**
      * Detect and validate index files
      * @private
@@ -246,7 +526,7 @@ class BamReader {
         if (options.indexPath) {
             if (await this.fileExists(options.indexPath)) {
                 this.indexPath = options.indexPath;
-                this.indexType = options.indexPath.endsWith('.csi') ? 'csi' : 'bai';
+                this.indexType = this.format === 'cram' ? 'crai' : (options.indexPath.endsWith('.csi') ? 'csi' : 'bai');
                 this.hasIndex = true;
                 console.log('✅ Using provided index file:', this.indexPath);
                 await this.getIndexSize();
@@ -257,7 +537,10 @@ class BamReader {
         }
 
         // Strategy 2: Auto-detect standard index files
-        const indexCandidates = [
+        const indexCandidates = this.format === 'cram' ? [
+            { path: filePath + '.crai', type: 'crai' },                   // standard: file.cram.crai
+            { path: filePath.replace(/\.cram$/i, '.crai'), type: 'crai' } // alternative: file.crai
+        ] : [
             { path: filePath + '.bai', type: 'bai' },           // standard: file.bam.bai
             { path: filePath.replace('.bam', '.bai'), type: 'bai' }, // alternative: file.bai
             { path: filePath + '.csi', type: 'csi' },           // CSI index: file.bam.csi
@@ -280,7 +563,7 @@ class BamReader {
             indexCandidates.forEach(candidate => {
                 console.warn(`   - ${candidate.path} (${candidate.type.toUpperCase()})`);
             });
-            console.warn('   💡 Consider creating an index with: samtools index file.bam');
+            console.warn(`   💡 Consider creating an index with: samtools index file.${this.format}`);
 
             if (options.requireIndex) {
                 throw new Error('Index file is required but not found. Please create an index file first.');
@@ -680,12 +963,15 @@ class BamReader {
      */
     reset() {
         this.filePath = null;
+        this.format = 'bam';
+        this.getReferenceSequence = null;
         this.indexPath = null;
         this.bamFile = null;
         this.isInitialized = false;
         this.hasIndex = false;
         this.indexType = null;
         this.header = null;
+        this.readGroupSamples = new Map();
         this.references = [];
         this.totalReads = 0;
         this.fileSize = 0;
@@ -704,7 +990,8 @@ class BamReader {
      * @param {string} chromosome - Chromosome name
      * @param {number} start - Start position (0-based)
      * @param {number} end - End position (0-based, exclusive)
-     * @param {Object} settings - Optional settings including ignoreChromosome
+     * @param {Object} settings - Optional settings including ignoreChromosome, and disableSampling
+     *   to return every record of dense regions (for coverage and variant calling)
      * @returns {Promise<Array>} Array of BAM records
      */
     async getRecordsForRange(chromosome, start, end, settings = {}) {
@@ -836,7 +1123,7 @@ class BamReader {
             const EXTREME_DATASET_THRESHOLD = 200000; // 200k records threshold
             const EARLY_SAMPLE_SIZE = 100000; // Sample down to 100k records
             
-            if (allRecords.length > EXTREME_DATASET_THRESHOLD) {
+            if (allRecords.length > EXTREME_DATASET_THRESHOLD && !settings.disableSampling) {
                 console.warn(`⚠️ [BamReader] Extremely large dataset detected (${allRecords.length} records)`);
                 console.warn(`   Applying early random sampling to prevent memory/stack overflow`);
                 console.warn(`   Sampling ${EARLY_SAMPLE_SIZE} records from ${allRecords.length} for processing`);
@@ -1137,7 +1424,11 @@ class BamReader {
                     quality: record.qual || '',
                     flags: record.flags || 0,
                     templateLength: record.template_length || record.tlen || 0,
+                    // Mate position from RNEXT/PNEXT (flag 0x20 gives the mate strand)
+                    mateChromosome: this.getReferenceName(record.next_refid, record.refName || chromosome),
+                    mateStart: record.next_pos >= 0 ? record.next_pos + 1 : null,
                     tags: record.tags || {},
+                    sample: this.readGroupSamples.get(record.tags?.RG) || null,
                     // Parse mutations from CIGAR and sequence
                     mutations: this.parseMutations(record)
                 };
@@ -1187,6 +1478,41 @@ class BamReader {
         return reads;
     }
 
+    /**
+     * Map read group ids to sample names from the @RG lines of the SAM header
+     * @param {Array} headerLines - Parsed header lines ({ tag, data: [{ tag, value }] })
+     * @returns {Map} RG ID -> SM
+     */
+    buildReadGroupSamples(headerLines) {
+        const samples = new Map();
+        if (!Array.isArray(headerLines)) {
+            return samples;
+        }
+        headerLines.filter(line => line.tag === 'RG').forEach(line => {
+            const id = line.data.find(item => item.tag === 'ID')?.value;
+            const sample = line.data.find(item => item.tag === 'SM')?.value;
+            if (id && sample) {
+                samples.set(id, sample);
+            }
+        });
+        return samples;
+    }
+
+    /**
+     * Get the reference name of a BAM reference id (e.g. a mate's next_refid)
+     * @param {number} refId - Reference id
+     * @param {string} fallback - Name to use when the id is unknown
+     * @returns {string|null} Reference name, or null for unmapped (-1)
+     */
+    getReferenceName(refId, fallback = null) {
+        if (refId === undefined || refId === null) return fallback;
+        if (refId < 0) return null;
+        const indexed = this.bamFile && this.bamFile.indexToChr && this.bamFile.indexToChr[refId];
+        if (indexed) return indexed.refName;
+        const reference = this.references[refId];
+        return reference ? reference.name : fallback;
+    }
+
     /**
      * Parse mutations from BAM record using CIGAR string and MD tag
      * @param {Object} record - BAM record
@@ -1196,6 +1522,11 @@ class BamReader {
         const mutations = [];
         
         try {
+            // CRAM records describe differences to the reference directly
+            if (record.readFeatures) {
+                return this.parseMutationsFromReadFeatures(record);
+            }
+            
             const cigar = record.CIGAR || record.cigar || '';
             const sequence = record.seq || '';
             const mdTag = record.tags?.MD || record.MD || '';
@@ -1415,6 +1746,7 @@ class BamReader {
             hasIndex: this.hasIndex,
             indexType: this.indexType,
             indexPath: this.indexPath,
+            format: this.format,
             performanceStats: { ...this.performanceStats }
         };
     }
@@ -1471,12 +1803,15 @@ class BamReader {
      */
     reset() {
         this.filePath = null;
+        this.format = 'bam';
+        this.getReferenceSequence = null;
         this.indexPath = null;
         this.bamFile = null;
         this.isInitialized = false;
         this.hasIndex = false;
         this.indexType = null;
         this.header = null;
+        this.readGroupSamples = new Map();
         this.references = [];
         this.totalReads = 0;
         this.fileSize = 0;
@@ -4854,6 +4854,12 @@ class BlastManager {
                                 <i class="fas fa-file-alt"></i> Raw Output
                             </button>
                         </div>
+                        
+                        <div class="control-group">
+                            <button id="viewAsAlignment" class="btn btn-info">
+                                <i class="fas fa-align-justify"></i> View as Alignment
+                            </button>
+                        </div>
                     </div>
                 </div>
             </div>
@@ -5251,6 +5257,42 @@ class BlastManager {
         }
     }
 
+    /**
+     * Show the displayed (filtered) hits as a query-anchored multiple alignment in the alignment viewer
+     */
+    showHitsAsAlignment() {
+        const results = this.currentResults;
+        if (!results || !this.filteredHits || this.filteredHits.length === 0) {
+            this.showNotification('No hits to align', 'warning');
+            return;
+        }
+
+        // Translated searches report query coordinates in nucleotides but align residues
+        const blastType = results.parameters?.blastType;
+        if (blastType === 'blastx' || blastType === 'tblastx') {
+            this.showNotification(`Alignment view is not available for ${blastType} results (translated query)`, 'warning');
+            return;
+        }
+
+        try {
+            const alignment = MultipleAlignment.fromPairwise(
+                { name: 'Query', sequence: results.parameters?.sequence || null },
+                this.filteredHits.map(hit => ({
+                    name: hit.accession || hit.id,
+                    description: hit.description,
+                    queryFrom: hit.queryRange.from,
+                    queryTo: hit.queryRange.to,
+                    query: hit.alignment?.query,
+                    subject: hit.alignment?.subject
+                }))
+            );
+            this.hideResultsModal();
+            this.app.fileManager.showAlignmentViewer(alignment, `${blastType || 'BLAST'} hits (${alignment.sequences.length - 1})`);
+        } catch (error) {
+            this.showNotification('Error building alignment: ' + error.message, 'error');
+        }
+    }
+
     showRawOutput() {
         if (!this.searchResults) {
             this.showNotification('No results available', 'warning');
@@ -6106,6 +6148,12 @@ class BlastManager {
         if (rawOutputBtn) {
             rawOutputBtn.addEventListener('click', () => this.showRawOutput());
         }
+
+        // Alignment viewer button
+        const alignmentBtn = document.getElementById('viewAsAlignment');
+        if (alignmentBtn) {
+            alignmentBtn.addEventListener('click', () => this.showHitsAsAlignment());
+        }
     }
 
     setupHitEventListeners() {
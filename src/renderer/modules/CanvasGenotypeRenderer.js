@@ -0,0 +1,304 @@
+/**
+ * CanvasGenotypeRenderer - Canvas-based genotype matrix for multi-sample VCF tracks
+ * Draws one row per sample and one column per variant, colored by genotype state
+ */
+class CanvasGenotypeRenderer {
+    constructor(container, variants, sampleNames, viewport, options = {}) {
+        this.container = container;
+        this.variants = variants;
+        this.sampleNames = sampleNames;
+        this.viewport = viewport;
+        this.options = {
+            rowHeight: 10,
+            rowSpacing: 1,
+            showSampleNames: true,
+            sampleOrder: null,       // Sample indices in display order (all samples when null)
+            colors: {},
+            minVariantWidth: 3,
+            backgroundColor: 'transparent',
+            onSiteClick: null,       // Called with the variant of a clicked column
+            ...options
+        };
+
+        // Genotype colors (use options if provided, otherwise IGV defaults)
+        this.colors = { ...VcfGenotypes.STATE_COLORS, ...this.options.colors };
+
+        this.sampleOrder = this.options.sampleOrder || sampleNames.map((name, index) => index);
+
+        // Canvas and rendering context
+        this.canvas = null;
+        this.ctx = null;
+        this.devicePixelRatio = window.devicePixelRatio || 1;
+
+        this.canvasWidth = 0;
+        this.canvasHeight = 0;
+
+        // Performance tracking
+        this.renderCount = 0;
+        this.lastRenderTime = 0;
+
+        this.initialize();
+    }
+
+    initialize() {
+        console.log('🎨 [CanvasGenotypeRenderer] Initializing genotype matrix:', {
+            variants: this.variants.length,
+            samples: this.sampleOrder.length
+        });
+
+        this.canvas = document.createElement('canvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.canvas.style.display = 'block';
+
+        this.container.appendChild(this.canvas);
+        this.setupCanvas();
+        this.setupClickHandlers();
+        this.setupResizeObserver();
+    }
+
+    setupCanvas() {
+        const containerRect = this.container.getBoundingClientRect();
+        this.canvasWidth = Math.max(containerRect.width, 800);
+        this.canvasHeight = Math.max(this.sampleOrder.length * this.getRowPitch(), 1);
+
+        // Set canvas size accounting for device pixel ratio
+        this.canvas.width = this.canvasWidth * this.devicePixelRatio;
+        this.canvas.height = this.canvasHeight * this.devicePixelRatio;
+        this.canvas.style.width = this.canvasWidth + 'px';
+        this.canvas.style.height = this.canvasHeight + 'px';
+        this.ctx.scale(this.devicePixelRatio, this.devicePixelRatio);
+
+        this.container.style.height = this.canvasHeight + 'px';
+    }
+
+    getRowPitch() {
+        return this.options.rowHeight + this.options.rowSpacing;
+    }
+
+    /**
+     * Horizontal extent of a variant column, widened to stay clickable when zoomed out
+     */
+    getVariantSpan(variant) {
+        const range = this.viewport.end - this.viewport.start;
+        const start = Math.max(variant.start, this.viewport.start);
+        const end = Math.min(Math.max(variant.end, variant.start + 1), this.viewport.end);
+        let x = ((start - this.viewport.start) / range) * this.canvasWidth;
+        let width = ((end - start) / range) * this.canvasWidth;
+
+        if (width < this.options.minVariantWidth) {
+            x -= (this.options.minVariantWidth - width) / 2;
+            width = this.options.minVariantWidth;
+        }
+        return { x, width };
+    }
+
+    render() {
+        const startTime = performance.now();
+        const ctx = this.ctx;
+
+        ctx.clearRect(0, 0, this.canvasWidth, this.canvasHeight);
+        if (this.options.backgroundColor !== 'transparent') {
+            ctx.fillStyle = this.options.backgroundColor;
+            ctx.fillRect(0, 0, this.canvasWidth, this.canvasHeight);
+        }
+
+        const rowHeight = this.options.rowHeight;
+        const rowPitch = this.getRowPitch();
+
+        this.variants.forEach(variant => {
+            const { x, width } = this.getVariantSpan(variant);
+            const states = VcfGenotypes.getGenotypeStates(variant);
+
+            this.sampleOrder.forEach((sampleIndex, row) => {
+                ctx.fillStyle = this.colors[states[sampleIndex] || 'missing'];
+                ctx.fillRect(x, row * rowPitch, width, rowHeight);
+            });
+        });
+
+        if (this.options.showSampleNames && rowHeight >= 8) {
+            this.renderSampleNames();
+        }
+
+        this.renderCount++;
+        this.lastRenderTime = performance.now() - startTime;
+    }
+
+    /**
+     * Sample labels on the left edge, on a translucent background so cells stay visible
+     */
+    renderSampleNames() {
+        const ctx = this.ctx;
+        const rowHeight = this.options.rowHeight;
+        const rowPitch = this.getRowPitch();
+        const fontSize = Math.min(rowHeight - 1, 11);
+
+        ctx.font = `${fontSize}px Arial, sans-serif`;
+        ctx.textBaseline = 'middle';
+
+        this.sampleOrder.forEach((sampleIndex, row) => {
+            const name = this.sampleNames[sampleIndex];
+            const y = row * rowPitch;
+            const textWidth = ctx.measureText(name).width;
+
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.75)';
+            ctx.fillRect(0, y, textWidth + 6, rowHeight);
+            ctx.fillStyle = '#333';
+            ctx.fillText(name, 3, y + rowHeight / 2);
+        });
+    }
+
+    setupClickHandlers() {
+        this.clickHandler = (event) => this.handleCanvasClick(event);
+        this.mouseMoveHandler = (event) => {
+            const cell = this.getCellAt(event);
+            this.canvas.style.cursor = cell ? 'pointer' : 'default';
+            this.canvas.title = cell ? this.getCellTooltip(cell) : '';
+        };
+
+        this.canvas.addEventListener('click', this.clickHandler);
+        this.canvas.addEventListener('mousemove', this.mouseMoveHandler);
+    }
+
+    /**
+     * Variant and sample under the pointer
+     * @returns {Object|null} { variant, sampleIndex }
+     */
+    getCellAt(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const canvasX = event.clientX - rect.left;
+        const canvasY = event.clientY - rect.top;
+
+        const row = Math.floor(canvasY / this.getRowPitch());
+        if (row < 0 || row >= this.sampleOrder.length) {
+            return null;
+        }
+
+        const variant = this.variants.find(candidate => {
+            const { x, width } = this.getVariantSpan(candidate);
+            return canvasX >= x && canvasX <= x + width;
+        });
+        return variant ? { variant, sampleIndex: this.sampleOrder[row] } : null;
+    }
+
+    getCellTooltip(cell) {
+        const { variant, sampleIndex } = cell;
+        const genotype = VcfGenotypes.getGenotype(variant, sampleIndex);
+        const lines = [
+            `Sample: ${this.sampleNames[sampleIndex]}`,
+            `Variant: ${variant.id && variant.id !== '.' ? variant.id : `${variant.chromosome}:${variant.start + 1}`}`,
+            `Position: ${variant.start + 1}`,
+            `${variant.ref} > ${variant.alt}`,
+            `Genotype: ${genotype.gt} (${VcfGenotypes.STATE_LABELS[genotype.state]})`
+        ];
+        Object.entries(genotype.fields).forEach(([key, value]) => {
+            if (key !== 'GT') lines.push(`${key}: ${value}`);
+        });
+        lines.push('Click to sort samples by this site');
+        return lines.join('\n');
+    }
+
+    handleCanvasClick(event) {
+        const cell = this.getCellAt(event);
+        if (cell && this.options.onSiteClick) {
+            event.stopPropagation();
+            this.options.onSiteClick(cell.variant);
+        }
+    }
+
+    /**
+     * Change the sample display order and redraw
+     * @param {Array} sampleOrder - Sample indices in display order
+     */
+    setSampleOrder(sampleOrder) {
+        this.sampleOrder = sampleOrder;
+        this.setupCanvas();
+        this.render();
+    }
+
+    setupResizeObserver() {
+        if (typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver((entries) => {
+                for (let entry of entries) {
+                    if (entry.target === this.container) {
+                        this.handleResize();
+                    }
+                }
+            });
+
+            this.resizeObserver.observe(this.container);
+        } else {
+            this.resizeHandler = () => this.handleResize();
+            window.addEventListener('resize', this.resizeHandler);
+        }
+    }
+
+    handleResize() {
+        if (this.resizeTimeout) {
+            clearTimeout(this.resizeTimeout);
+        }
+
+        this.resizeTimeout = setTimeout(() => {
+            const width = Math.max(this.container.getBoundingClientRect().width, 800);
+            if (width !== this.canvasWidth) {
+                this.setupCanvas();
+                this.render();
+            }
+        }, 100);
+    }
+
+    // High-performance drag transform
+    applyDragTransform(deltaX, deltaY = 0) {
+        this.canvas.style.transform = `translate(${deltaX}px, ${deltaY}px)`;
+    }
+
+    resetDragTransform() {
+        this.canvas.style.transform = '';
+    }
+
+    // Get performance statistics
+    getPerformanceStats() {
+        return {
+            renderCount: this.renderCount,
+            lastRenderTime: this.lastRenderTime,
+            canvasSize: `${this.canvas.width}x${this.canvas.height}`,
+            totalVariants: this.variants.length,
+            totalSamples: this.sampleOrder.length
+        };
+    }
+
+    // Clean up resources
+    destroy() {
+        console.log('🧹 [CanvasGenotypeRenderer] Cleaning up genotype matrix renderer');
+
+        if (this.canvas) {
+            this.canvas.removeEventListener('click', this.clickHandler);
+            this.canvas.removeEventListener('mousemove', this.mouseMoveHandler);
+        }
+
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+        } else if (this.resizeHandler) {
+            window.removeEventListener('resize', this.resizeHandler);
+        }
+
+        if (this.resizeTimeout) {
+            clearTimeout(this.resizeTimeout);
+        }
+
+        if (this.canvas && this.canvas.parentNode) {
+            this.canvas.parentNode.removeChild(this.canvas);
+        }
+
+        this.canvas = null;
+        this.ctx = null;
+        this.container = null;
+        this.variants = [];
+    }
+}
+
+// Export for Node.js and browser compatibility
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CanvasGenotypeRenderer;
+} else if (typeof window !== 'undefined') {
+    window.CanvasGenotypeRenderer = CanvasGenotypeRenderer;
+}
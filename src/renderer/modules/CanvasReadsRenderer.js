@@ -21,6 +21,10 @@ class CanvasReadsRenderer {
             strandColoring: true,
             mismatchHighlight: true,
             showCoverage: false,
+            viewAsPairs: false,
+            pairColoring: true,
+            colorBy: 'default',
+            colorTag: '',
             backgroundColor: 'transparent',
             ...options
         };
@@ -270,8 +274,14 @@ class CanvasReadsRenderer {
             this.renderCoverage();
         }
         
-        // Render read rows
+        // Render read rows; group header rows carry the label of the following group
         this.readRows.forEach((rowReads, rowIndex) => {
+            if (rowReads.groupHeader) {
+                if (!rowReads.groupHeader.spacer) {
+                    this.renderGroupHeader(rowReads.groupHeader, rowIndex);
+                }
+                return;
+            }
             console.log(`🎨 [CanvasReadsRenderer] Rendering row ${rowIndex} with ${rowReads.length} reads`);
             this.renderReadRow(rowReads, rowIndex);
         });
@@ -312,6 +322,42 @@ class CanvasReadsRenderer {
         this.ctx.fillText('Coverage visualization (placeholder)', 10, y + 15);
     }
     
+    /**
+     * Draw the label and separator of a read group (see TrackRenderer.layoutReadRows)
+     */
+    renderGroupHeader(groupHeader, rowIndex) {
+        const rowHeight = this.options.readHeight + this.options.rowSpacing;
+        const y = this.getRowY(rowIndex);
+        const height = groupHeader.rows * rowHeight;
+        const lineY = Math.round(y + height - 1) + 0.5;
+        
+        this.ctx.strokeStyle = '#b2bec3';
+        this.ctx.lineWidth = 1;
+        this.ctx.setLineDash([4, 2]);
+        this.ctx.beginPath();
+        this.ctx.moveTo(0, lineY);
+        this.ctx.lineTo(this.canvasWidth, lineY);
+        this.ctx.stroke();
+        this.ctx.setLineDash([]);
+        
+        this.ctx.fillStyle = '#2d3436';
+        this.ctx.font = `${Math.min(10, height - 2)}px Arial, sans-serif`;
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'bottom';
+        this.ctx.fillText(`${groupHeader.label} (${groupHeader.count})`, 4, lineY - 1);
+    }
+    
+    getRowY(rowIndex) {
+        let yOffset = this.options.topPadding;
+        if (this.options.showReference) {
+            yOffset += 20;
+        }
+        if (this.options.showCoverage) {
+            yOffset += 35;
+        }
+        return yOffset + (rowIndex * (this.options.readHeight + this.options.rowSpacing));
+    }
+    
     renderReadRow(rowReads, rowIndex) {
         // Calculate Y position accounting for reference sequence and coverage
         let yOffset = this.options.topPadding;
@@ -329,11 +375,85 @@ class CanvasReadsRenderer {
         const y = yOffset + (rowIndex * (this.options.readHeight + this.options.rowSpacing));
         
         rowReads.forEach(read => {
-            this.renderRead(read, y);
+            if (read.isPair) {
+                this.renderPair(read, y);
+            } else {
+                this.renderRead(read, y);
+            }
+        });
+    }
+    
+    /**
+     * Render both mates of a pair item (from ReadPairAnalyzer.pairReads) joined by a connector.
+     * A mate that was not loaded is drawn as an outline at its mapped position.
+     */
+    renderPair(pair, y) {
+        const viewportRange = this.viewport.end - this.viewport.start;
+        const toX = position => ((position - 1 - this.viewport.start) / viewportRange) * this.canvasWidth;
+        const midY = y + this.options.readHeight / 2;
+        const pairColor = this.options.pairColoring && window.ReadPairAnalyzer
+            ? window.ReadPairAnalyzer.getPairColor(pair)
+            : null;
+        
+        // Connector between the inner ends of the mates
+        const segments = pair.reads.map(read => ({ start: read.start, end: read.end }));
+        if (pair.mateOutline) {
+            segments.push(pair.mateOutline);
+            segments.sort((a, b) => a.start - b.start);
+        }
+        if (segments.length === 2 && segments[1].start > segments[0].end) {
+            const x1 = Math.max(0, toX(segments[0].end + 1));
+            const x2 = Math.min(this.canvasWidth, toX(segments[1].start));
+            if (x2 > x1) {
+                this.ctx.strokeStyle = pairColor || '#9AA0A6';
+                this.ctx.lineWidth = 1;
+                this.ctx.beginPath();
+                this.ctx.moveTo(x1, midY);
+                this.ctx.lineTo(x2, midY);
+                this.ctx.stroke();
+            }
+        }
+        
+        if (pair.mateOutline) {
+            const x = toX(pair.mateOutline.start);
+            const width = Math.max(toX(pair.mateOutline.end + 1) - x, this.options.minWidth || 2);
+            if (x + width >= 0 && x <= this.canvasWidth) {
+                this.ctx.setLineDash([2, 2]);
+                this.ctx.strokeStyle = pairColor || '#9AA0A6';
+                this.ctx.lineWidth = 1;
+                this.ctx.strokeRect(x, y, width, this.options.readHeight);
+                this.ctx.setLineDash([]);
+            }
+        }
+        
+        pair.reads.forEach(read => {
+            this.renderRead(read, y, pair);
+            
+            // Flag mates on another chromosome with the mate's chromosome name
+            if (pair.category === 'inter-chromosomal') {
+                this.renderMateChromosomeLabel(read, y, pair.pairInfo.mateChromosome);
+            }
         });
     }
     
-    renderRead(read, y) {
+    renderMateChromosomeLabel(read, y, mateChromosome) {
+        const viewportRange = this.viewport.end - this.viewport.start;
+        const x = Math.max(0, ((read.start - 1 - this.viewport.start) / viewportRange) * this.canvasWidth);
+        const xEnd = Math.min(this.canvasWidth, ((read.end - this.viewport.start) / viewportRange) * this.canvasWidth);
+        const fontSize = Math.min(10, this.options.readHeight - 2);
+        const label = `→${mateChromosome}`;
+        
+        if (fontSize < 6) return;
+        this.ctx.font = `${fontSize}px Arial, sans-serif`;
+        if (this.ctx.measureText(label).width + 4 > xEnd - x) return;
+        
+        this.ctx.fillStyle = '#ffffff';
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'middle';
+        this.ctx.fillText(label, x + 2, y + this.options.readHeight / 2);
+    }
+    
+    renderRead(read, y, pair = null) {
         // Calculate read position and dimensions - match SVG logic for consistency
         // CRITICAL FIX: Convert read coordinates for comparison with viewport
         const readStart0Based = read.start - 1; // Convert 1-based to 0-based
@@ -353,11 +473,12 @@ class CanvasReadsRenderer {
         width = Math.max(width, minWidth);
         
         // Determine read color based on properties
-        const readColor = this.getReadColor(read);
+        const readColor = this.getReadColor(read, pair);
         
         // Store read position for click detection
         this.readPositions.push({
             read: read,
+            pair: pair,
             x: x,
             y: y,
             width: width,
@@ -412,12 +533,29 @@ class CanvasReadsRenderer {
         }
     }
     
-    getReadColor(read) {
+    getReadColor(read, pair = null) {
         // Color reads based on strand and pairing information
         if (this.options.qualityColoring && read.mapq !== undefined && read.mapq < 20) {
             return this.readColors.lowQuality;
         }
         
+        // Insert size and orientation outliers in pair view
+        if (pair && this.options.pairColoring && window.ReadPairAnalyzer) {
+            const pairColor = window.ReadPairAnalyzer.getPairColor(pair);
+            if (pairColor) return pairColor;
+        }
+        
+        // Strand or tag value coloring from the track settings
+        if (this.options.colorBy !== 'default' && window.ReadOrganizer) {
+            const color = window.ReadOrganizer.getReadColor(read, {
+                colorBy: this.options.colorBy,
+                colorTag: this.options.colorTag,
+                forwardColor: this.readColors.forward,
+                reverseColor: this.readColors.reverse
+            });
+            if (color) return color;
+        }
+        
         if (read.flag !== undefined) {
             // SAM flag interpretation
             const isReverse = (read.flag & 0x10) !== 0;
@@ -108,11 +108,16 @@ class CanvasSequenceRenderer {
         const startIndex = frame;
         let protein = '';
         
+        // Use the genome's genetic code (transl_table) when the browser provides one
+        const codonTable = window.UnifiedDNATranslation && this.genomeBrowser?.getGeneticCode
+            ? window.UnifiedDNATranslation.getGeneticCodeTable(this.genomeBrowser.getGeneticCode(null, this.viewport?.chromosome))
+            : this.geneticCode;
+        
         // Translate codon by codon
         for (let i = startIndex; i < sequence.length - 2; i += 3) {
             const codon = sequence.substring(i, i + 3).toUpperCase();
             if (codon.length === 3) {
-                protein += this.geneticCode[codon] || 'X';
+                protein += codonTable[codon] || 'X';
             }
         }
         
@@ -2083,6 +2083,31 @@ class ChatManager {
         }
     }
 
+    /**
+     * Predict rho-independent terminators in a sequence. The folding yields between windows
+     * and stops when the conversation is cancelled.
+     */
+    async predictTerminators(parameters) {
+        if (!this.MicrobeFns) {
+            throw new Error('MicrobeGenomicsFunctions not available');
+        }
+        const sequence = parameters.sequence || parameters.seq || parameters.dna;
+        if (!sequence) {
+            throw new Error('A DNA sequence is required for terminator prediction');
+        }
+
+        const terminators = await this.MicrobeFns.predictTerminator(sequence, {
+            signal: this.conversationState.abortController?.signal
+        });
+        return {
+            success: true,
+            count: terminators.length,
+            terminators,
+            method: 'predictTerminator',
+            parameters
+        };
+    }
+
     // Tool implementations
     async navigateToPosition(params) {
         let { chromosome, start, end, position } = params;
@@ -2935,6 +2960,10 @@ class ChatManager {
             'reads': 'trackReads',
             'proteins': 'trackProteins',
             'wigTracks': 'trackWIG',
+            'synteny': 'trackSynteny',
+            'copyNumber': 'trackCopyNumber',
+            'predictedGenes': 'trackPredictedGenes',
+            'motifHits': 'trackMotifHits',
             'sequence': 'trackSequence',
             'actions': 'trackActions'
         };
@@ -3387,7 +3416,7 @@ class ChatManager {
                             
                             const cdsSequence = this.app.exportManager.extractFeatureSequence(sequence, feature);
                             // ExtractFeatureSequence already handles reverse complement, so translate directly
-                            const proteinSequence = this.app.exportManager.translateDNA(cdsSequence);
+                            const proteinSequence = this.app.exportManager.translateCDS(cdsSequence, 1, this.app.getGeneticCode(feature, chr));
                             
                             // Remove trailing asterisks (stop codons) from protein sequence
                             const cleanProteinSequence = proteinSequence.replace(/\*+$/, '');
@@ -3914,6 +3943,10 @@ class ChatManager {
             { name: 'reads', id: 'trackReads' },
             { name: 'proteins', id: 'trackProteins' },
             { name: 'wigTracks', id: 'trackWIG' },
+            { name: 'synteny', id: 'trackSynteny' },
+            { name: 'copyNumber', id: 'trackCopyNumber' },
+            { name: 'predictedGenes', id: 'trackPredictedGenes' },
+            { name: 'motifHits', id: 'trackMotifHits' },
             { name: 'sequence', id: 'trackSequence' },
             { name: 'actions', id: 'trackActions' }
         ];
@@ -5305,6 +5338,55 @@ class ChatManager {
                     `• Identity: ${result.identity}%\n` +
                     `• Preview:\n  Region 1: ${result.sequenceData.region1}\n  Region 2: ${result.sequenceData.region2}`;
 
+            case 'align_sequences':
+            case 'align_features':
+                return `Pairwise Alignment (${window.PairwiseAligner ? window.PairwiseAligner.MODES[result.mode] : result.mode}, ${result.matrix}, gaps ${result.gapOpen}/${result.gapExtend}):\n` +
+                    (result.featureA ? `• Query: ${result.featureA.name} ${result.featureA.location}\n• Subject: ${result.featureB.name} ${result.featureB.location}\n` : '') +
+                    `• Score: ${result.score}\n` +
+                    `• Identities: ${result.identities}/${result.length} (${result.identity}%), Positives: ${result.positives}/${result.length} (${result.similarity}%), Gaps: ${result.gaps}/${result.length} (${result.gapPercent}%)\n` +
+                    `• Query ${result.queryRange.from}-${result.queryRange.to} of ${result.queryLength}, Subject ${result.hitRange.from}-${result.hitRange.to} of ${result.subjectLength}\n` +
+                    (this.app?.blastManager && result.length > 0 ?
+                        `\n${this.app.blastManager.formatAlignment(result.alignment, result.queryRange, result.hitRange)}` : '');
+
+            case 'load_motifs':
+                return `Loaded ${result.length} motif(s) for PWM scanning:\n` +
+                    result.map(m => `• ${m.name}${m.name !== m.id ? ` (${m.id})` : ''}: ${m.consensus}, ${m.length} bp [${m.format}]`).join('\n');
+
+            case 'scan_motifs':
+                return `PWM Motif Scan (${result.region}, p < ${result.pValue}, ${result.strand === 'both' ? 'both strands' : `${result.strand} strand`}):\n` +
+                    `• Scanned ${result.regionsScanned.toLocaleString()} region(s) on ${result.chromosomes.join(', ')}\n` +
+                    result.motifs.map(m => `• ${m.name} (${m.consensus}, ${m.length} bp): ${m.hits} hits, score cutoff ${m.scoreThreshold} of max ${m.maxScore} bits` +
+                        (m.bestPValue > result.pValue ? ` (too short to reach p < ${result.pValue}; best possible p = ${m.bestPValue.toExponential(1)})` : '')).join('\n') +
+                    (result.hits.length > 0 ?
+                        `\n• Best hits:\n${result.hits.slice(0, 10).map(h =>
+                            `  - ${h.motifName} ${h.chromosome}:${h.start}-${h.end}(${h.strand === 1 ? '+' : '-'}) ${h.sequence} score ${h.score}, p=${h.pValue.toExponential(2)}` +
+                            (h.gene ? `, ${h.distance} bp from ${h.gene} start` : '')
+                        ).join('\n')}` : '') +
+                    (result.truncated ? '\n• Hit list truncated to the most significant sites' : '');
+
+            case 'fold_rna':
+                return `RNA Secondary Structure (${result.name}${result.location && result.location !== result.name ? `, ${result.location}` : ''}):\n` +
+                    `• ${result.length} nt, ${result.pairs.length} base pairs, ΔG = ${result.energy.toFixed(2)} kcal/mol\n` +
+                    `• ${result.sequence}\n• ${result.structure}` +
+                    (result.evaluatedStructure ? `\n• Given structure ${result.evaluatedStructure}: ΔG = ${result.evaluatedEnergy.toFixed(2)} kcal/mol` : '');
+
+            case 'find_rna_genes':
+                return `RNA Gene Detection (${result.chromosomes.join(', ')}):\n` +
+                    result.types.map(type => `• ${type === 'CRISPR' ? 'CRISPR arrays' : `${type}s`}: ${result.counts[type]}`).join('\n') +
+                    (result.addedToAnnotation ? '\n• Added to the annotation track' : '') +
+                    (result.features.length > 0 ?
+                        `\n• Features:\n${result.features.slice(0, 30).map(f => `  - ${f.locusTag} ${f.product} ${f.location}`).join('\n')}` +
+                        (result.features.length > 30 ? `\n  ... and ${result.features.length - 30} more` : '') : '');
+
+            case 'predict_operons':
+                return `Operon Prediction (${result.chromosomes.join(', ')}):\n` +
+                    `• ${result.operonCount} operons containing ${result.genesInOperons} genes (${result.pairsScored} same-strand gene pairs scored)\n` +
+                    `• Distance model: ${result.evidence.distanceModel}; terminators ${result.evidence.terminators ? 'used' : 'not used'}, RNA-seq coverage ${result.evidence.coverage ? 'used' : 'not used'}` +
+                    (result.setLoaded ? '\n• Shown in the operon panel' : '') +
+                    (result.operons.length > 0 ?
+                        `\n• Operons:\n${result.operons.slice(0, 20).map(o => `  - ${o.name} ${o.location}: ${o.genes.join(', ')} (confidence ${o.confidence})`).join('\n')}` +
+                        (result.operonCount > 20 ? `\n  ... and ${result.operonCount - 20} more` : '') : '');
+
             case 'find_similar_sequences':
                 return `Similar Sequence Search:\n` +
                     `• Query: ${result.querySequence}\n` +
@@ -7381,6 +7463,7 @@ Sequence Analysis:
   {"tool_name": "get_sequence", "parameters": {"chromosome": "chr1", "start": 1000, "end": 1500}}
   {"tool_name": "compute_gc", "parameters": {"sequence": "ATGCGCTATCG"}}
   {"tool_name": "translate_dna", "parameters": {"dna": "ATGAAATAG", "frame": 0}}
+  {"tool_name": "translate_dna", "parameters": {"dna": "GTGTGAAAATAA", "frame": 0, "geneticCode": 4}}
 
 Search Operations:
   {"tool_name": "search_gene_by_name", "parameters": {"name": "lacZ"}}
@@ -7450,10 +7533,12 @@ Data Management:
             ],
             'SEQUENCE ANALYSIS': [
                 'get_coding_sequence', 'get_multiple_coding_sequences', 'get_sequence', 
-                'translate_dna', 'reverse_complement', 'compute_gc'
+                'translate_dna', 'reverse_complement', 'compute_gc',
+                'align_sequences', 'align_features'
             ],
             'GENOMIC FEATURES': [
                 'find_orfs', 'predict_promoter', 'predict_rbs', 'search_sequence_motif',
+                'load_motifs', 'scan_motifs', 'fold_rna', 'find_rna_genes', 'predict_operons',
                 'find_restriction_sites', 'sequence_statistics'
             ],
             'PROTEIN STRUCTURE': [
@@ -7975,15 +8060,18 @@ For data export requests:
 SEARCH FUNCTIONS GUIDE:
 - Gene names/products: search_gene_by_name, search_features
 - Genomic positions: search_by_position, get_nearby_features  
-- Sequence motifs: search_sequence_motif
+- Sequence motifs: search_sequence_motif (regex), scan_motifs (PWM with p-values, e.g. sigma factor or TF binding sites)
 - PDB experimental structures: search_pdb_structures (for known PDB entries)
 - AlphaFold AI predictions: search_alphafold_by_gene (for AI-predicted structures)
 
 ANALYSIS FUNCTIONS:
 - Sequence: get_coding_sequence, translate_dna, reverse_complement
 - Composition: compute_gc, sequence_statistics, codon_usage_analysis
-- Features: find_orfs, predict_promoter, predict_rbs, find_restriction_sites
-- Comparison: blast_search, compare_regions, find_similar_sequences
+- Features: find_orfs, predict_promoter, predict_rbs, predict_terminator, find_restriction_sites
+- RNA structure: fold_rna (minimum free energy fold of a sequence, region or gene, with ΔG)
+- RNA genes: find_rna_genes (tRNAs with anticodons, 16S/23S/5S rRNAs and CRISPR arrays, added to the annotation)
+- Operons: predict_operons (operons from intergenic distance, terminators, gene families and optional RNA-seq coverage, with confidence)
+- Comparison: blast_search, compare_regions, find_similar_sequences, align_sequences, align_features
 - Editing: copy_sequence, cut_sequence, paste_sequence, deleteSequence, insertSequence, replace_sequence
 
 IMPORTANT PREREQUISITES:
@@ -8159,6 +8247,8 @@ MicrobeGenomicsFunctions Examples:
 - Find ORFs: {"tool_name": "find_orfs", "parameters": {"dna": "ATGAAATAG", "minLength": 30}}
 - Predict promoter: {"tool_name": "predict_promoter", "parameters": {"seq": "ATGCTATAAT"}}
 - Search motif: {"tool_name": "search_sequence_motif", "parameters": {"pattern": "GAATTC", "chromosome": "chr1"}}
+- Load PWM motifs: {"tool_name": "load_motifs", "parameters": {"text": ">MA0001.1 NAME\\nA [ ... ]\\nC [ ... ]\\nG [ ... ]\\nT [ ... ]"}} (JASPAR, MEME or TRANSFAC text)
+- Scan promoters with PWMs: {"tool_name": "scan_motifs", "parameters": {"motifs": "MA0001.1", "region": "upstream", "upstreamLength": 300, "pValue": 0.0001}} (or "consensus": "TTGACA"; region: view, chromosome, genome or upstream; strand: both, + or -)
 - Reverse complement: {"tool_name": "reverse_complement", "parameters": {"dna": "ATGC"}}
 - Translate DNA: {"tool_name": "translate_dna", "parameters": {"dna": "ATGAAATAG", "frame": 0}}
 - Calculate entropy: {"tool_name": "calculate_entropy", "parameters": {"sequence": "ATGCGCTATCG"}}
@@ -8167,6 +8257,11 @@ MicrobeGenomicsFunctions Examples:
 - Codon usage: {"tool_name": "analyze_codon_usage", "parameters": {"dna": "ATGAAATAG"}}
 - Predict RBS: {"tool_name": "predict_rbs", "parameters": {"seq": "AGGAGG"}}
 - Predict terminator: {"tool_name": "predict_terminator", "parameters": {"seq": "ATGCGCTATCG"}}
+- Fold RNA: {"tool_name": "fold_rna", "parameters": {"chromosome": "chr1", "start": 1000, "end": 1080, "strand": "+"}} (or "sequence": "GGGAAACCC" or "gene": "rrsA"; "structure": dot-bracket to evaluate its ΔG)
+- Find tRNA/rRNA/CRISPR: {"tool_name": "find_rna_genes", "parameters": {"types": "tRNA,rRNA,CRISPR", "region": "genome"}} (default: all types on the current chromosome)
+- Predict operons: {"tool_name": "predict_operons", "parameters": {"region": "genome", "useCoverage": true}} (default: current chromosome with terminators, without coverage; minProbability 0.5)
+- Align two sequences: {"tool_name": "align_sequences", "parameters": {"seqA": "ATGAAACGCATTAGC", "seqB": "ATGAAGCGCTTAGC", "mode": "global"}} (mode: global, local or semiglobal; matrix: DNA, BLOSUM62 or PAM250; gapOpen, gapExtend)
+- Align two genes: {"tool_name": "align_features", "parameters": {"geneA": "lacZ", "geneB": "lacY", "sequenceType": "protein", "mode": "local"}}
 - Get coding sequence: {"tool_name": "get_coding_sequence", "parameters": {"identifier": "lacZ"}}
 - Get multiple CDS: {"tool_name": "get_multiple_coding_sequences", "parameters": {"identifiers": ["lacZ", "lacY", "lacA"]}}
 - Navigation controls: {"tool_name": "scroll_left", "parameters": {"bp": 1000}} or {"tool_name": "zoom_in", "parameters": {"factor": 2}}
@@ -8432,6 +8527,8 @@ MicrobeGenomicsFunctions Examples:
 - Find ORFs: {"tool_name": "find_orfs", "parameters": {"dna": "ATGAAATAG", "minLength": 30}}
 - Predict promoter: {"tool_name": "predict_promoter", "parameters": {"seq": "ATGCTATAAT"}}
 - Search motif: {"tool_name": "search_sequence_motif", "parameters": {"pattern": "GAATTC", "chromosome": "chr1"}}
+- Load PWM motifs: {"tool_name": "load_motifs", "parameters": {"text": ">MA0001.1 NAME\\nA [ ... ]\\nC [ ... ]\\nG [ ... ]\\nT [ ... ]"}} (JASPAR, MEME or TRANSFAC text)
+- Scan promoters with PWMs: {"tool_name": "scan_motifs", "parameters": {"motifs": "MA0001.1", "region": "upstream", "upstreamLength": 300, "pValue": 0.0001}} (or "consensus": "TTGACA"; region: view, chromosome, genome or upstream; strand: both, + or -)
 - Reverse complement: {"tool_name": "reverse_complement", "parameters": {"dna": "ATGC"}}
 - Translate DNA: {"tool_name": "translate_dna", "parameters": {"dna": "ATGAAATAG", "frame": 0}}
 - Calculate entropy: {"tool_name": "calculate_entropy", "parameters": {"sequence": "ATGCGCTATCG"}}
@@ -8440,6 +8537,11 @@ MicrobeGenomicsFunctions Examples:
 - Codon usage: {"tool_name": "analyze_codon_usage", "parameters": {"dna": "ATGAAATAG"}}
 - Predict RBS: {"tool_name": "predict_rbs", "parameters": {"seq": "AGGAGG"}}
 - Predict terminator: {"tool_name": "predict_terminator", "parameters": {"seq": "ATGCGCTATCG"}}
+- Fold RNA: {"tool_name": "fold_rna", "parameters": {"chromosome": "chr1", "start": 1000, "end": 1080, "strand": "+"}} (or "sequence": "GGGAAACCC" or "gene": "rrsA"; "structure": dot-bracket to evaluate its ΔG)
+- Find tRNA/rRNA/CRISPR: {"tool_name": "find_rna_genes", "parameters": {"types": "tRNA,rRNA,CRISPR", "region": "genome"}} (default: all types on the current chromosome)
+- Predict operons: {"tool_name": "predict_operons", "parameters": {"region": "genome", "useCoverage": true}} (default: current chromosome with terminators, without coverage; minProbability 0.5)
+- Align two sequences: {"tool_name": "align_sequences", "parameters": {"seqA": "ATGAAACGCATTAGC", "seqB": "ATGAAGCGCTTAGC", "mode": "global"}} (mode: global, local or semiglobal; matrix: DNA, BLOSUM62 or PAM250; gapOpen, gapExtend)
+- Align two genes: {"tool_name": "align_features", "parameters": {"geneA": "lacZ", "geneB": "lacY", "sequenceType": "protein", "mode": "local"}}
 - Navigation controls: {"tool_name": "scroll_left", "parameters": {"bp": 1000}}, {"tool_name": "zoom_in", "parameters": {"factor": 2}}, {"tool_name": "zoom_out", "parameters": {"factor": 3}}
 
 CRITICAL DISTINCTION - Search Functions:
@@ -9363,12 +9465,36 @@ ${this.getPluginSystemInfo()}`;
                     result = this.executeMicrobeFunction('searchSequenceMotif', parameters);
                     break;
                     
+                case 'load_motifs':
+                    result = this.MicrobeFns.loadMotifs(parameters.text || parameters.matrix, parameters.filename || 'motif');
+                    break;
+                    
+                case 'scan_motifs':
+                    result = await this.MicrobeFns.scanMotifs(parameters);
+                    break;
+                    
+                case 'fold_rna':
+                    result = await this.MicrobeFns.foldRNA(parameters);
+                    break;
+                    
+                case 'find_rna_genes':
+                    result = await this.MicrobeFns.findRNAGenes(parameters);
+                    break;
+                    
+                case 'predict_operons':
+                    result = await this.MicrobeFns.predictOperons(parameters);
+                    break;
+                    
                 case 'search_intergenic_regions':
                     result = this.executeMicrobeFunction('searchIntergenicRegions', parameters);
                     break;
                     
                 case 'translate_dna':
-                    result = this.executeMicrobeFunction('translateDNA', parameters);
+                    result = this.MicrobeFns.translateDNA(
+                        parameters.dna || parameters.sequence,
+                        parameters.frame || 0,
+                        parameters.geneticCode || parameters.transl_table
+                    );
                     break;
                     
                 case 'compute_gc':
@@ -9408,7 +9534,23 @@ ${this.getPluginSystemInfo()}`;
                     break;
                     
                 case 'predict_terminator':
-                    result = this.executeMicrobeFunction('predictTerminator', parameters);
+                    result = await this.predictTerminators(parameters);
+                    break;
+                    
+                case 'align_sequences':
+                    result = this.MicrobeFns.alignSequences(
+                        parameters.seqA || parameters.sequence1 || parameters.query,
+                        parameters.seqB || parameters.sequence2 || parameters.subject,
+                        parameters
+                    );
+                    break;
+                    
+                case 'align_features':
+                    result = await this.MicrobeFns.alignFeatures(
+                        parameters.geneA || parameters.gene1 || parameters.identifierA,
+                        parameters.geneB || parameters.gene2 || parameters.identifierB,
+                        parameters
+                    );
                     break;
                     
                 case 'get_upstream_region':
@@ -9538,7 +9680,7 @@ ${this.getPluginSystemInfo()}`;
                     break;
                     
                 case 'predict_terminator':
-                    result = this.executeMicrobeFunction('predictTerminator', parameters);
+                    result = await this.predictTerminators(parameters);
                     break;
                     
                 case 'search_gene_by_name':
@@ -10051,6 +10193,11 @@ ${this.getPluginSystemInfo()}`;
             'search_motif',
             'search_pattern',
             'search_sequence_motif',
+            'load_motifs',
+            'scan_motifs',
+            'fold_rna',
+            'find_rna_genes',
+            'predict_operons',
             'search_intergenic_regions',
             'get_nearby_features',
             'find_intergenic_regions',
@@ -10080,6 +10227,8 @@ ${this.getPluginSystemInfo()}`;
             'predict_promoter',
             'predict_rbs',
             'predict_terminator',
+            'align_sequences',
+            'align_features',
             'get_upstream_region',
             'get_downstream_region',
             
@@ -10635,7 +10784,17 @@ ${this.getPluginSystemInfo()}`;
         }
         
         const sequence = await this.app.getSequenceForRegion(chr, start, end);
-        const proteinSequence = this.app.translateDNA(sequence, strand);
+        const geneticCode = params.geneticCode || params.transl_table || this.app.getGeneticCode(null, chr);
+        // Frames are numbered 1-3 on the given strand; the offset applies after reverse complementing
+        const frameOffset = (Math.max(1, frame) - 1) % 3;
+        const proteinSequence = window.UnifiedDNATranslation
+            ? window.UnifiedDNATranslation.translateDNA({
+                sequence,
+                frame: frameOffset,
+                strand: strand === -1 ? -1 : 1,
+                geneticCode
+            }).protein
+            : this.app.translateDNA(sequence, strand, geneticCode);
         
         return {
             chromosome: chr,
@@ -10643,6 +10802,7 @@ ${this.getPluginSystemInfo()}`;
             end: end,
             strand: strand === -1 ? '-' : '+',
             frame: frame,
+            geneticCode: geneticCode,
             dnaSequence: sequence.substring(0, 60) + (sequence.length > 60 ? '...' : ''),
             proteinSequence: proteinSequence,
             length: {
@@ -16766,6 +16926,8 @@ ${this.getPluginSystemInfo()}`;
             'predict_promoter': 'Analysis Agent',
             'predict_rbs': 'Analysis Agent',
             'predict_terminator': 'Analysis Agent',
+            'align_sequences': 'Analysis Agent',
+            'align_features': 'Analysis Agent',
             'find_similar_sequences': 'Analysis Agent',
             
             // Data Agent - 数据管理和导出
@@ -16792,6 +16954,11 @@ ${this.getPluginSystemInfo()}`;
             'get_upstream_region': 'Sequence Agent',
             'get_downstream_region': 'Sequence Agent',
             'search_sequence_motif': 'Sequence Agent',
+            'load_motifs': 'Sequence Agent',
+            'scan_motifs': 'Sequence Agent',
+            'fold_rna': 'Sequence Agent',
+            'find_rna_genes': 'Sequence Agent',
+            'predict_operons': 'Sequence Agent',
             
             // Protein Agent - 蛋白质相关
             'open_protein_viewer': 'Protein Agent',
@@ -600,8 +600,9 @@ class CrisprDesigner {
         // Specificity score (simplified)
         const specificityScore = this.calculateSpecificityScore(sequence);
         
-        // Secondary structure score
-        const secondaryStructureScore = this.calculateSecondaryStructureScore(sequence);
+        // Secondary structure score (folding free energy of the spacer)
+        const structure = this.foldGuide(sequence);
+        const secondaryStructureScore = this.calculateSecondaryStructureScore(sequence, structure);
         
         // Homopolymer penalty
         const homopolymerScore = this.calculateHomopolymerScore(sequence, parameters.maxHomopolymer);
@@ -612,6 +613,8 @@ class CrisprDesigner {
             efficiencyScore: efficiencyScore,
             specificityScore: specificityScore,
             secondaryStructureScore: secondaryStructureScore,
+            secondaryStructureEnergy: structure ? structure.energy : null,
+            secondaryStructure: structure ? structure.structure : null,
             homopolymerScore: homopolymerScore
         };
     }
@@ -668,11 +671,29 @@ class CrisprDesigner {
         return 0.9;
     }
     
+    /**
+     * Minimum free energy structure of a spacer, or null when RNAFolder is not loaded
+     */
+    foldGuide(sequence) {
+        if (typeof RNAFolder === 'undefined') return null;
+        try {
+            return RNAFolder.fold(sequence);
+        } catch (error) {
+            console.warn('⚠️ Could not fold guide:', error.message);
+            return null;
+        }
+    }
+    
     /**
      * Calculate secondary structure score
+     * A spacer with no structure scores 1; every -0.8 kcal/mol of folding energy costs 0.1.
      */
-    calculateSecondaryStructureScore(sequence) {
-        // Simple hairpin detection
+    calculateSecondaryStructureScore(sequence, structure = this.foldGuide(sequence)) {
+        if (structure) {
+            return Math.min(1, Math.max(0, 1 + structure.energy / 8));
+        }
+        
+        // Simple hairpin detection when no energy model is available
         const reverseComp = this.reverseComplement(sequence);
         let maxMatch = 0;
         
@@ -883,7 +904,7 @@ class CrisprDesigner {
                     </div>
                     <div class="guide-detail">
                         <span class="label">Secondary Structure:</span>
-                        <span class="value">${(guide.secondaryStructureScore * 100).toFixed(1)}%</span>
+                        <span class="value">${(guide.secondaryStructureScore * 100).toFixed(1)}%${guide.secondaryStructureEnergy !== null && guide.secondaryStructureEnergy !== undefined ? ` (ΔG ${guide.secondaryStructureEnergy.toFixed(1)} kcal/mol)` : ''}</span>
                     </div>
                 </div>
             </div>
@@ -14,17 +14,18 @@ class ExportManager {
     }
 
     // Export current genome as FASTA
-    exportAsFasta() {
+    async exportAsFasta() {
         if (!this.genomeBrowser.currentSequence) {
             alert('No genome data loaded to export.');
             return;
         }
 
-        const chromosomes = Object.keys(this.genomeBrowser.currentSequence);
+        const sequences = await this.loadSequencesForExport();
+        if (!sequences) return;
+
         let fastaContent = '';
 
-        chromosomes.forEach(chr => {
-            const sequence = this.genomeBrowser.currentSequence[chr];
+        Object.entries(sequences).forEach(([chr, sequence]) => {
             fastaContent += `>${chr}\n`;
             
             // Split sequence into lines of 80 characters
@@ -37,18 +38,20 @@ class ExportManager {
     }
 
     // Export current genome as GenBank format with complete qualifier support
-    exportAsGenBank() {
+    // (another annotation set, e.g. predicted genes, can be passed instead of the current annotations)
+    async exportAsGenBank(annotations = this.genomeBrowser.currentAnnotations, filename = 'genome.gbk') {
         if (!this.genomeBrowser.currentSequence) {
             alert('No genome data loaded to export.');
             return;
         }
 
-        const chromosomes = Object.keys(this.genomeBrowser.currentSequence);
+        const sequences = await this.loadSequencesForExport();
+        if (!sequences) return;
+
         let genbankContent = '';
 
-        chromosomes.forEach(chr => {
-            const sequence = this.genomeBrowser.currentSequence[chr];
-            const features = this.genomeBrowser.currentAnnotations[chr] || [];
+        Object.entries(sequences).forEach(([chr, sequence]) => {
+            const features = (annotations && annotations[chr]) || [];
             
             // GenBank header
             genbankContent += `LOCUS       ${chr.padEnd(16)} ${sequence.length} bp    DNA     linear   UNK ${new Date().toISOString().slice(0, 10).replace(/-/g, '-')}\n`;
@@ -63,7 +66,7 @@ class ExportManager {
             
             // Add features with comprehensive qualifier support
             features.forEach(feature => {
-                const location = feature.strand === '-' ? 
+                const location = feature.strand === '-' || feature.strand === -1 ? 
                     `complement(${feature.start}..${feature.end})` : 
                     `${feature.start}..${feature.end}`;
                 
@@ -86,7 +89,99 @@ class ExportManager {
             genbankContent += `//\n\n`;
         });
 
-        this.downloadFile(genbankContent, 'genome.gbk', 'text/plain');
+        this.downloadFile(genbankContent, filename, 'text/plain');
+    }
+
+    // Export current genome as EMBL flat file, sharing the GenBank qualifier export
+    async exportAsEMBL() {
+        if (!this.genomeBrowser.currentSequence) {
+            alert('No genome data loaded to export.');
+            return;
+        }
+
+        const sequences = await this.loadSequencesForExport();
+        if (!sequences) return;
+
+        let emblContent = '';
+
+        Object.entries(sequences).forEach(([chr, sequence]) => {
+            const features = (this.genomeBrowser.currentAnnotations && this.genomeBrowser.currentAnnotations[chr]) || [];
+            
+            // EMBL header
+            emblContent += `ID   ${chr}; SV 1; linear; genomic DNA; STD; UNC; ${sequence.length} BP.\n`;
+            emblContent += `XX\n`;
+            emblContent += `AC   ${chr};\n`;
+            emblContent += `XX\n`;
+            this.wrapQualifierValue(chr, 75).forEach(line => {
+                emblContent += `DE   ${line}\n`;
+            });
+            emblContent += `XX\n`;
+            emblContent += `FH   Key             Location/Qualifiers\n`;
+            emblContent += `FH\n`;
+            
+            if (!features.some(feature => feature.type === 'source')) {
+                emblContent += `FT   source          1..${sequence.length}\n`;
+            }
+            
+            features.forEach(feature => {
+                const isComplement = feature.strand === '-' || feature.strand === -1;
+                const location = isComplement ? 
+                    `complement(${feature.start}..${feature.end})` : 
+                    `${feature.start}..${feature.end}`;
+                
+                emblContent += `FT   ${feature.type.padEnd(15)} ${location}\n`;
+                
+                // Qualifier lines share GenBank's 21-column indent; only the line prefix differs
+                const qualifierLines = this.exportFeatureQualifiers(feature).split('\n').filter(line => line);
+                qualifierLines.forEach(line => {
+                    emblContent += `FT${line.substring(2)}\n`;
+                });
+            });
+            
+            // Sequence header with base composition
+            const counts = { a: 0, c: 0, g: 0, t: 0 };
+            const lowerSequence = sequence.toLowerCase();
+            for (let i = 0; i < lowerSequence.length; i++) {
+                if (counts[lowerSequence[i]] !== undefined) {
+                    counts[lowerSequence[i]]++;
+                }
+            }
+            const other = sequence.length - counts.a - counts.c - counts.g - counts.t;
+            emblContent += `XX\n`;
+            emblContent += `SQ   Sequence ${sequence.length} BP; ${counts.a} A; ${counts.c} C; ${counts.g} G; ${counts.t} T; ${other} other;\n`;
+            
+            // Sequence in EMBL format (60 chars per line, count right-aligned to column 80)
+            for (let i = 0; i < lowerSequence.length; i += 60) {
+                const seqLine = lowerSequence.substring(i, i + 60);
+                const formattedSeq = seqLine.match(/.{1,10}/g)?.join(' ') || seqLine;
+                const lineEnd = Math.min(i + 60, lowerSequence.length).toString();
+                emblContent += `     ${formattedSeq.padEnd(65)}${lineEnd.padStart(10)}\n`;
+            }
+            
+            emblContent += `//\n`;
+        });
+
+        this.downloadFile(emblContent, 'genome.embl', 'text/plain');
+    }
+
+    // Resolve every chromosome to a plain string; indexed genomes are read from disk
+    async loadSequencesForExport() {
+        const sequences = {};
+        const hasIndexed = Object.values(this.genomeBrowser.currentSequence).some(sequence => sequence.isIndexed);
+        
+        if (hasIndexed) this.genomeBrowser.showLoading(true);
+        try {
+            for (const [chr, sequence] of Object.entries(this.genomeBrowser.currentSequence)) {
+                sequences[chr] = sequence.isIndexed ? await sequence.getSequence(0, sequence.length) : sequence;
+            }
+            return sequences;
+        } catch (error) {
+            console.error('Error reading indexed sequence for export:', error);
+            alert(`Failed to read the genome sequence for export: ${error.message}`);
+            return null;
+        } finally {
+            if (hasIndexed) this.genomeBrowser.showLoading(false);
+        }
     }
 
     // Comprehensive qualifier export method
@@ -206,9 +301,14 @@ class ExportManager {
                 return this.genomeBrowser.getQualifierValue(feature.qualifiers, 'translation') || '';
             }
             
+            // Uncached regions of an indexed genome would translate as Ns
+            if (sequence.isIndexed && !sequence.hasRange(feature.start - 1, feature.end)) {
+                return (this.genomeBrowser.getQualifierValue(feature.qualifiers, 'translation') || '').replace(/\*+$/, '');
+            }
+            
             // Use the same algorithm as exportProteinAsFasta
             const cdsSequence = this.extractFeatureSequence(sequence, feature);
-            const proteinSequence = this.translateDNA(cdsSequence);
+            const proteinSequence = this.translateCDS(cdsSequence, 1, this.genomeBrowser.getGeneticCode(feature, chromosome));
             
             // Remove trailing asterisks (stop codons) from protein sequence
             const cleanProteinSequence = proteinSequence.replace(/\*+$/, '');
@@ -561,7 +661,7 @@ class ExportManager {
     }
 
     // Export CDS sequences as FASTA
-    exportCDSAsFasta() {
+    async exportCDSAsFasta() {
         if (!this.genomeBrowser.currentSequence || !this.genomeBrowser.currentAnnotations) {
             alert('No genome data or features loaded to export CDS.');
             return;
@@ -571,11 +671,11 @@ class ExportManager {
         const chromosomes = Object.keys(this.genomeBrowser.currentAnnotations);
         const processedFeatures = new Set(); // Track processed features to avoid duplicates
 
-        chromosomes.forEach(chr => {
+        for (const chr of chromosomes) {
             const sequence = this.genomeBrowser.currentSequence[chr];
             const features = this.genomeBrowser.currentAnnotations[chr] || [];
             
-            features.forEach(feature => {
+            for (const feature of features) {
                 // Only process CDS features to avoid duplicates with gene features
                 if (feature.type === 'CDS') {
                     // Create unique identifier to avoid duplicates
@@ -584,7 +684,7 @@ class ExportManager {
                     if (!processedFeatures.has(featureId)) {
                         processedFeatures.add(featureId);
                         
-                        const cdsSequence = this.extractFeatureSequence(sequence, feature);
+                        const cdsSequence = await this.loadFeatureSequence(sequence, feature);
                         const header = `${feature.name || feature.id || 'unknown'}_${chr}_${feature.start}-${feature.end}`;
                         
                         cdsContent += `>${header}\n`;
@@ -595,8 +695,8 @@ class ExportManager {
                         }
                     }
                 }
-            });
-        });
+            }
+        }
 
         if (!cdsContent) {
             alert('No CDS features found to export.');
@@ -607,7 +707,7 @@ class ExportManager {
     }
 
     // Export protein sequences as FASTA
-    exportProteinAsFasta() {
+    async exportProteinAsFasta() {
         if (!this.genomeBrowser.currentSequence || !this.genomeBrowser.currentAnnotations) {
             alert('No genome data or features loaded to export proteins.');
             return;
@@ -617,11 +717,11 @@ class ExportManager {
         const chromosomes = Object.keys(this.genomeBrowser.currentAnnotations);
         const processedFeatures = new Set(); // Track processed features to avoid duplicates
 
-        chromosomes.forEach(chr => {
+        for (const chr of chromosomes) {
             const sequence = this.genomeBrowser.currentSequence[chr];
             const features = this.genomeBrowser.currentAnnotations[chr] || [];
             
-            features.forEach(feature => {
+            for (const feature of features) {
                 // Only process CDS features, skip gene features to avoid duplication
                 if (feature.type === 'CDS') {
                     // Create unique identifier to avoid duplicates
@@ -630,9 +730,9 @@ class ExportManager {
                     if (!processedFeatures.has(featureId)) {
                         processedFeatures.add(featureId);
                         
-                        const cdsSequence = this.extractFeatureSequence(sequence, feature);
+                        const cdsSequence = await this.loadFeatureSequence(sequence, feature);
                         // ExtractFeatureSequence already handles reverse complement, so translate directly
-                        const proteinSequence = this.translateDNA(cdsSequence);
+                        const proteinSequence = this.translateCDS(cdsSequence, 1, this.genomeBrowser.getGeneticCode(feature, chr));
                         
                         // Remove trailing asterisks (stop codons) from protein sequence
                         const cleanProteinSequence = proteinSequence.replace(/\*+$/, '');
@@ -647,8 +747,8 @@ class ExportManager {
                         }
                     }
                 }
-            });
-        });
+            }
+        }
 
         if (!proteinContent) {
             alert('No protein-coding features found to export.');
@@ -659,42 +759,71 @@ class ExportManager {
     }
 
     // Export features as GFF format
-    exportAsGFF() {
-        if (!this.genomeBrowser.currentAnnotations) {
+    exportAsGFF(annotations = this.genomeBrowser.currentAnnotations, filename = 'features.gff3') {
+        if (!annotations) {
             alert('No features loaded to export as GFF.');
             return;
         }
 
         let gffContent = '##gff-version 3\n';
-        const chromosomes = Object.keys(this.genomeBrowser.currentAnnotations);
+        const chromosomes = Object.keys(annotations);
 
         chromosomes.forEach(chr => {
-            const features = this.genomeBrowser.currentAnnotations[chr] || [];
+            const features = annotations[chr] || [];
             
             features.forEach((feature, index) => {
-                const id = feature.id || feature.name || `feature_${index + 1}`;
-                const name = feature.name || id;
                 const type = feature.type || 'misc_feature';
-                const strand = feature.strand || '+';
-                const score = feature.score || '.';
-                const phase = feature.phase || '.';
+                const source = feature.source || '.';
+                const score = feature.score !== null && feature.score !== undefined ? feature.score : '.';
+                const strand = feature.strand === -1 || feature.strand === '-' ? '-' :
+                    (feature.strand === 1 || feature.strand === '+' ? '+' : '.');
+                const phase = feature.phase !== null && feature.phase !== undefined ? feature.phase : '.';
+                
+                // ID and Parent carry the gene → transcript → exon hierarchy (GTF ids included)
+                const attributes = [];
+                const id = feature.id || (feature.modelRole === 'part' ? null : feature.name || `feature_${index + 1}`);
+                if (id) {
+                    attributes.push(`ID=${this.escapeGFF3Value(id)}`);
+                }
+                if (feature.parentIds && feature.parentIds.length > 0) {
+                    attributes.push(`Parent=${this.escapeGFF3Value(feature.parentIds)}`);
+                }
                 
-                let attributes = `ID=${id}`;
-                if (feature.name && feature.name !== id) {
-                    attributes += `;Name=${feature.name}`;
+                const qualifiers = { ...(feature.qualifiers || {}) };
+                delete qualifiers.ID;
+                delete qualifiers.Parent;
+                if (feature.name && feature.name !== id && !qualifiers.Name) {
+                    qualifiers.Name = feature.name;
                 }
-                if (feature.product) {
-                    attributes += `;product=${feature.product}`;
+                if (feature.product && !qualifiers.product) {
+                    qualifiers.product = feature.product;
                 }
-                if (feature.note) {
-                    attributes += `;Note=${feature.note}`;
+                if (feature.note && !qualifiers.Note && !qualifiers.note) {
+                    qualifiers.Note = feature.note;
                 }
                 
-                gffContent += `${chr}\t.\t${type}\t${feature.start}\t${feature.end}\t${score}\t${strand}\t${phase}\t${attributes}\n`;
+                Object.entries(qualifiers).forEach(([key, value]) => {
+                    if (value === null || value === undefined || value === '') return;
+                    attributes.push(`${this.escapeGFF3Value(key)}=${this.escapeGFF3Value(value)}`);
+                });
+                
+                gffContent += `${chr}\t${source}\t${type}\t${feature.start}\t${feature.end}\t${score}\t${strand}\t${phase}\t${attributes.join(';') || '.'}\n`;
             });
         });
 
-        this.downloadFile(gffContent, 'features.gff3', 'text/plain');
+        this.downloadFile(gffContent, filename, 'text/plain');
+    }
+
+    /**
+     * Percent-encode the characters GFF3 reserves in attribute keys and values.
+     * Arrays are written as a list: each value is encoded, the separating commas are not.
+     */
+    escapeGFF3Value(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.escapeGFF3Value(item)).join(',');
+        }
+        return String(value).replace(/[%;=&,\t\n\r]/g, char =>
+            '%' + char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0'));
     }
 
     // Export features as BED format
@@ -723,8 +852,177 @@ class ExportManager {
         this.downloadFile(bedContent, 'features.bed', 'text/plain');
     }
 
+    // Export a WIG-style signal track (WIG, bedGraph, coverage) as bedGraph
+    exportWIGTrackAsBedGraph(trackName = null) {
+        const wigTracks = this.genomeBrowser.currentWIGTracks || {};
+        const trackNames = Object.keys(wigTracks);
+
+        if (trackNames.length === 0) {
+            alert('No signal tracks loaded to export as bedGraph.');
+            return;
+        }
+
+        if (!trackName) {
+            if (trackNames.length === 1) {
+                trackName = trackNames[0];
+            } else {
+                trackName = prompt(`Track to export as bedGraph:\n${trackNames.join('\n')}`, trackNames[0]);
+                if (trackName === null) return;
+            }
+        }
+
+        const track = wigTracks[trackName];
+        if (!track) {
+            alert(`Signal track "${trackName}" not found.`);
+            return;
+        }
+
+        let bedGraphContent = `track type=bedGraph name="${track.name}"`;
+        if (track.description) {
+            bedGraphContent += ` description="${track.description}"`;
+        }
+        bedGraphContent += '\n';
+
+        Object.entries(track.data || {}).forEach(([chr, points]) => {
+            // WIG track points are already 0-based half-open, as bedGraph expects
+            [...points].sort((a, b) => a.start - b.start).forEach(point => {
+                bedGraphContent += `${chr}\t${point.start}\t${point.end}\t${point.value}\n`;
+            });
+        });
+
+        this.downloadFile(bedGraphContent, `${track.name}.bedgraph`, 'text/plain');
+    }
+
+    // Export a variant track (loaded VCF or variants called from reads) as VCF;
+    // with passingOnly, only the records passing the track's filter are written
+    exportVariantsAsVCF(fileId = null, options = {}) {
+        // Indexed VCF files only hold the viewed region; their source file is the full export
+        const vcfFiles = this.genomeBrowser.multiFileManager.getVcfFiles().filter(vcfFile => !vcfFile.source);
+
+        if (vcfFiles.length === 0) {
+            alert('No variant tracks loaded to export as VCF.');
+            return;
+        }
+
+        let vcfFile = fileId ? vcfFiles.find(file => file.metadata.id === fileId) : null;
+        if (!vcfFile) {
+            if (vcfFiles.length === 1) {
+                vcfFile = vcfFiles[0];
+            } else {
+                const names = vcfFiles.map(file => file.metadata.name);
+                const name = prompt(`Variant track to export as VCF:\n${names.join('\n')}`, names[0]);
+                if (name === null) return;
+                vcfFile = vcfFiles.find(file => file.metadata.name === name);
+            }
+        }
+        if (!vcfFile) {
+            alert('Variant track not found.');
+            return;
+        }
+
+        const header = vcfFile.header && vcfFile.header.length > 0
+            ? [...vcfFile.header]
+            : ['##fileformat=VCFv4.2', '#CHROM\tPOS\tID\tREF\tALT\tQUAL\tFILTER\tINFO'];
+        const filter = options.passingOnly ? vcfFile.filter : null;
+        if (filter) {
+            const chromIndex = header.findIndex(line => line.startsWith('#CHROM'));
+            header.splice(chromIndex < 0 ? header.length : chromIndex, 0, `##filterExpression=${filter.expression}`);
+        }
+        let vcfContent = header.join('\n') + '\n';
+
+        Object.values(vcfFile.data || {}).forEach(variants => {
+            const records = filter ? variants.filter(variant => filter.test(variant)) : [...variants];
+            records.sort((a, b) => a.start - b.start).forEach(variant => {
+                // Variant tracks are 0-based; VCF POS is 1-based
+                const fields = [
+                    variant.chromosome,
+                    variant.start + 1,
+                    variant.id || '.',
+                    variant.ref,
+                    variant.alt,
+                    variant.quality !== null && variant.quality !== undefined ? variant.quality : '.',
+                    variant.filter || '.',
+                    variant.info || '.'
+                ];
+                if (variant.format) {
+                    fields.push(variant.format, ...(variant.samples || []));
+                }
+                vcfContent += fields.join('\t') + '\n';
+            });
+        });
+
+        const fileName = filter ? `${vcfFile.metadata.name}.filtered.vcf` : `${vcfFile.metadata.name}.vcf`;
+        this.downloadFile(vcfContent, fileName, 'text/plain');
+    }
+
+    // Export a FASTQ QC report as tab-separated text, one module per section
+    exportFastqQCReport(report) {
+        if (!report) {
+            alert('No FASTQ QC report available to export.');
+            return;
+        }
+
+        const summary = report.summary;
+        let content = `##FASTQ QC\t${new Date().toISOString().slice(0, 10)}\n`;
+
+        content += '>>Basic Statistics\n#Measure\tValue\n';
+        content += `Filename\t${report.fileName}\n`;
+        content += `Encoding\t${report.encoding}\n`;
+        content += `Total Sequences\t${summary.totalReads}\n`;
+        content += `Total Bases\t${summary.totalBases}\n`;
+        content += `Malformed records skipped\t${summary.malformedRecords}\n`;
+        content += `Sequence length\t${summary.minLength === summary.maxLength ? summary.maxLength : `${summary.minLength}-${summary.maxLength}`}\n`;
+        content += `Mean length\t${summary.meanLength.toFixed(1)}\n`;
+        content += `%GC\t${summary.gcPercent.toFixed(1)}\n`;
+        content += `%Q20\t${summary.q20Percent.toFixed(2)}\n`;
+        content += `%Q30\t${summary.q30Percent.toFixed(2)}\n`;
+        content += '>>END_MODULE\n';
+
+        content += '>>Per base sequence quality\n#Base\tMean\tMedian\tLower Quartile\tUpper Quartile\t10th Percentile\t90th Percentile\n';
+        report.perPositionQuality.forEach(position => {
+            const base = position.start === position.end ? position.start : `${position.start}-${position.end}`;
+            content += `${base}\t${position.mean.toFixed(2)}\t${position.median}\t${position.q1}\t${position.q3}\t${position.p10}\t${position.p90}\n`;
+        });
+        content += '>>END_MODULE\n';
+
+        content += '>>Per sequence quality scores\n#Quality\tCount\n';
+        report.perReadQuality.forEach(entry => {
+            content += `${entry.quality}\t${entry.count}\n`;
+        });
+        content += '>>END_MODULE\n';
+
+        content += '>>Per sequence GC content\n#GC Content\tCount\n';
+        report.gcDistribution.forEach(entry => {
+            content += `${entry.gc}\t${entry.count}\n`;
+        });
+        content += '>>END_MODULE\n';
+
+        content += '>>Sequence Length Distribution\n#Length\tCount\n';
+        report.lengthDistribution.forEach(entry => {
+            const length = entry.start === entry.end ? entry.start : `${entry.start}-${entry.end}`;
+            content += `${length}\t${entry.count}\n`;
+        });
+        content += '>>END_MODULE\n';
+
+        content += '>>Adapter Content\n#Position\t' + report.adapterContent.map(adapter => adapter.name).join('\t') + '\n';
+        (report.adapterContent[0]?.positions || []).forEach((position, index) => {
+            const label = position.start === position.end ? position.start : `${position.start}-${position.end}`;
+            content += `${label}\t${report.adapterContent.map(adapter => adapter.positions[index].percent.toFixed(4)).join('\t')}\n`;
+        });
+        content += '>>END_MODULE\n';
+
+        content += '>>Overrepresented k-mers\n#Sequence\tCount\tExpected\tObs/Exp\n';
+        report.overrepresentedKmers.forEach(entry => {
+            content += `${entry.kmer}\t${entry.count}\t${entry.expected.toFixed(1)}\t${entry.ratio.toFixed(2)}\n`;
+        });
+        content += '>>END_MODULE\n';
+
+        const baseName = report.fileName.replace(/\.(fastq|fq)(\.gz)?$/i, '');
+        this.downloadFile(content, `${baseName}_qc.txt`, 'text/plain');
+    }
+
     // Export current view as FASTA
-    exportCurrentViewAsFasta() {
+    async exportCurrentViewAsFasta() {
         const currentChr = document.getElementById('chromosomeSelect').value;
         if (!currentChr || !this.genomeBrowser.currentSequence || !this.genomeBrowser.currentSequence[currentChr]) {
             alert('No chromosome selected or sequence loaded.');
@@ -735,7 +1033,7 @@ class ExportManager {
         const start = this.genomeBrowser.currentStart || 1;
         const end = this.genomeBrowser.currentEnd || sequence.length;
         
-        const viewSequence = sequence.substring(start - 1, end);
+        const viewSequence = sequence.isIndexed ? await sequence.getSequence(start - 1, end) : sequence.substring(start - 1, end);
         const header = `${currentChr}:${start}-${end}`;
         
         let fastaContent = `>${header}\n`;
@@ -761,6 +1059,16 @@ class ExportManager {
         return featureSeq;
     }
 
+    // Same as extractFeatureSequence, but reads the feature region from disk for indexed genomes
+    async loadFeatureSequence(sequence, feature) {
+        if (!sequence || !sequence.isIndexed) {
+            return this.extractFeatureSequence(sequence, feature);
+        }
+        
+        const featureSeq = await sequence.getSequence(feature.start - 1, feature.end);
+        return feature.strand === '-' || feature.strand === -1 ? this.reverseComplement(featureSeq) : featureSeq;
+    }
+
     // Helper method to reverse complement DNA sequence
     reverseComplement(sequence) {
         // Use unified sequence processing implementation
@@ -783,11 +1091,21 @@ class ExportManager {
             .join('');
     }
 
+    // Translate an annotated CDS: an alternative start codon in the first position is read as M
+    translateCDS(dnaSequence, strand = null, geneticCode = null) {
+        if (window.UnifiedDNATranslation) {
+            const code = geneticCode || this.genomeBrowser?.getGeneticCode?.() || 1;
+            return window.UnifiedDNATranslation.translateCDS(dnaSequence, strand || 1, code);
+        }
+        return this.translateDNA(dnaSequence, strand);
+    }
+
     // Helper method to translate DNA to protein
-    translateDNA(dnaSequence, strand = null) {
+    translateDNA(dnaSequence, strand = null, geneticCode = null) {
         // Use unified translation implementation
         if (window.UnifiedDNATranslation) {
-            const result = window.UnifiedDNATranslation.strandBasedTranslateDNA(dnaSequence, strand || 1);
+            const code = geneticCode || this.genomeBrowser?.getGeneticCode?.() || 1;
+            const result = window.UnifiedDNATranslation.strandBasedTranslateDNA(dnaSequence, strand || 1, code);
             return result;
         }
         
@@ -0,0 +1,360 @@
+/**
+ * FastqQCPanel - Modal panel that visualises a FastqReader QC report
+ * Plots are drawn on plain canvases; the report can be saved through ExportManager
+ */
+
+class FastqQCPanel {
+    constructor(genomeBrowser) {
+        this.genomeBrowser = genomeBrowser;
+        this.report = null;
+        this.colors = {
+            box: '#f5d76e',
+            median: '#c0392b',
+            mean: '#2c3e50',
+            bars: '#3498db',
+            good: 'rgba(46, 204, 113, 0.15)',
+            warn: 'rgba(241, 196, 15, 0.15)',
+            bad: 'rgba(231, 76, 60, 0.15)',
+            series: ['#e74c3c', '#3498db', '#2ecc71', '#9b59b6']
+        };
+    }
+
+    /**
+     * Show the QC panel for a report
+     * @param {Object} report - Report from FastqReader.getQCReport()
+     */
+    show(report) {
+        this.report = report;
+
+        let modal = document.getElementById('fastqQCModal');
+        if (!modal) {
+            modal = this.createModal();
+            document.body.appendChild(modal);
+        }
+
+        modal.querySelector('.fastq-qc-title').textContent = `FASTQ Quality Control - ${report.fileName}`;
+        modal.querySelector('.fastq-qc-summary').innerHTML = this.renderSummary(report);
+        modal.querySelector('.fastq-qc-kmers').innerHTML = this.renderKmerTable(report.overrepresentedKmers);
+        modal.classList.add('show');
+
+        // Canvases need to be visible before they can be sized
+        requestAnimationFrame(() => this.drawPlots(modal, report));
+    }
+
+    createModal() {
+        const modal = document.createElement('div');
+        modal.id = 'fastqQCModal';
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content fastq-qc-modal">
+                <div class="modal-header">
+                    <h3><i class="fas fa-vial"></i> <span class="fastq-qc-title">FASTQ Quality Control</span></h3>
+                    <button class="modal-close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <div class="fastq-qc-summary"></div>
+                    <div class="fastq-qc-section">
+                        <h4>Per-position quality</h4>
+                        <canvas data-plot="positionQuality" height="220"></canvas>
+                    </div>
+                    <div class="fastq-qc-grid">
+                        <div class="fastq-qc-section">
+                            <h4>Per-read mean quality</h4>
+                            <canvas data-plot="readQuality" height="180"></canvas>
+                        </div>
+                        <div class="fastq-qc-section">
+                            <h4>GC content per read (%)</h4>
+                            <canvas data-plot="gc" height="180"></canvas>
+                        </div>
+                        <div class="fastq-qc-section">
+                            <h4>Read length distribution</h4>
+                            <canvas data-plot="length" height="180"></canvas>
+                        </div>
+                        <div class="fastq-qc-section">
+                            <h4>Adapter content (cumulative % of reads)</h4>
+                            <canvas data-plot="adapters" height="180"></canvas>
+                            <div class="fastq-qc-legend"></div>
+                        </div>
+                    </div>
+                    <div class="fastq-qc-section">
+                        <h4>Overrepresented k-mers</h4>
+                        <div class="fastq-qc-kmers"></div>
+                    </div>
+                </div>
+                <div class="modal-footer">
+                    <button class="btn btn-primary fastq-qc-export"><i class="fas fa-download"></i> Export Report</button>
+                    <button class="btn modal-close">Close</button>
+                </div>
+            </div>
+        `;
+
+        const style = document.createElement('style');
+        style.textContent = `
+            .fastq-qc-modal {
+                width: 90%;
+                max-width: 1100px;
+                max-height: 90vh;
+                overflow-y: auto;
+            }
+
+            .fastq-qc-modal canvas {
+                width: 100%;
+                display: block;
+            }
+
+            .fastq-qc-grid {
+                display: grid;
+                grid-template-columns: repeat(2, 1fr);
+                gap: 16px;
+            }
+
+            .fastq-qc-section h4 {
+                margin: 12px 0 6px;
+                font-size: 14px;
+            }
+
+            .fastq-qc-summary table,
+            .fastq-qc-kmers table {
+                width: 100%;
+                border-collapse: collapse;
+                font-size: 13px;
+            }
+
+            .fastq-qc-summary td,
+            .fastq-qc-kmers td,
+            .fastq-qc-kmers th {
+                padding: 4px 8px;
+                border-bottom: 1px solid #eee;
+                text-align: left;
+            }
+
+            .fastq-qc-legend {
+                font-size: 12px;
+                margin-top: 4px;
+            }
+
+            .fastq-qc-legend span {
+                display: inline-block;
+                margin-right: 12px;
+            }
+        `;
+        document.head.appendChild(style);
+
+        modal.querySelector('.fastq-qc-export').addEventListener('click', () => {
+            if (this.report) {
+                this.genomeBrowser.exportManager.exportFastqQCReport(this.report);
+            }
+        });
+
+        modal.addEventListener('click', (e) => {
+            if (e.target.classList.contains('modal-close')) {
+                modal.classList.remove('show');
+            }
+        });
+
+        return modal;
+    }
+
+    renderSummary(report) {
+        const summary = report.summary;
+        const rows = [
+            ['Encoding', report.encoding],
+            ['Total reads', summary.totalReads.toLocaleString()],
+            ['Total bases', summary.totalBases.toLocaleString()],
+            ['Read length', summary.minLength === summary.maxLength ?
+                `${summary.maxLength}` : `${summary.minLength}-${summary.maxLength} (mean ${summary.meanLength.toFixed(1)})`],
+            ['GC content', `${summary.gcPercent.toFixed(1)}%`],
+            ['Bases ≥ Q20', `${summary.q20Percent.toFixed(1)}%`],
+            ['Bases ≥ Q30', `${summary.q30Percent.toFixed(1)}%`]
+        ];
+        if (summary.malformedRecords > 0) {
+            rows.push(['Malformed records skipped', summary.malformedRecords.toLocaleString()]);
+        }
+        if (summary.truncatedPositions) {
+            rows.push(['Note', 'Per-position plots cover the first 1000 bases of each read']);
+        }
+
+        return `<table>${rows.map(([label, value]) => `<tr><td><strong>${label}</strong></td><td>${value}</td></tr>`).join('')}</table>`;
+    }
+
+    renderKmerTable(kmers) {
+        if (!kmers || kmers.length === 0) {
+            return '<p class="help-text">No overrepresented k-mers found.</p>';
+        }
+
+        const rows = kmers.map(entry =>
+            `<tr><td><code>${entry.kmer}</code></td><td>${entry.count.toLocaleString()}</td><td>${entry.expected.toFixed(1)}</td><td>${entry.ratio.toFixed(1)}×</td></tr>`
+        ).join('');
+        return `<table><tr><th>K-mer</th><th>Count</th><th>Expected</th><th>Obs/Exp</th></tr>${rows}</table>`;
+    }
+
+    drawPlots(modal, report) {
+        const canvas = (name) => modal.querySelector(`canvas[data-plot="${name}"]`);
+
+        this.drawQualityBoxplot(canvas('positionQuality'), report.perPositionQuality);
+        this.drawBarChart(canvas('readQuality'), report.perReadQuality.map(entry => ({ label: entry.quality, value: entry.count })));
+        this.drawBarChart(canvas('gc'), report.gcDistribution.map(entry => ({ label: entry.gc, value: entry.count })));
+        this.drawBarChart(canvas('length'), report.lengthDistribution.map(entry => ({
+            label: entry.start === entry.end ? entry.start : `${entry.start}-${entry.end}`,
+            value: entry.count
+        })));
+        this.drawAdapterChart(canvas('adapters'), report.adapterContent);
+
+        modal.querySelector('.fastq-qc-legend').innerHTML = report.adapterContent.map((adapter, index) =>
+            `<span style="color: ${this.colors.series[index % this.colors.series.length]}">■ ${adapter.name}</span>`
+        ).join('');
+    }
+
+    /**
+     * Prepare a canvas for drawing at device resolution
+     * @returns {Object} { ctx, width, height, plot } where plot is the inner plotting area
+     */
+    setupCanvas(canvas) {
+        const ratio = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth || 500;
+        const height = parseInt(canvas.getAttribute('height'));
+        canvas.width = width * ratio;
+        canvas.height = height * ratio;
+        canvas.style.height = `${height}px`;
+
+        const ctx = canvas.getContext('2d');
+        ctx.scale(ratio, ratio);
+        ctx.clearRect(0, 0, width, height);
+        ctx.font = '11px sans-serif';
+
+        const plot = { left: 45, top: 10, right: width - 10, bottom: height - 25 };
+        plot.width = plot.right - plot.left;
+        plot.height = plot.bottom - plot.top;
+        return { ctx, width, height, plot };
+    }
+
+    drawAxes(ctx, plot, maxValue, xLabels) {
+        ctx.strokeStyle = '#999';
+        ctx.fillStyle = '#555';
+        ctx.beginPath();
+        ctx.moveTo(plot.left, plot.top);
+        ctx.lineTo(plot.left, plot.bottom);
+        ctx.lineTo(plot.right, plot.bottom);
+        ctx.stroke();
+
+        // Y axis ticks
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'middle';
+        for (let i = 0; i <= 4; i++) {
+            const value = (maxValue * i) / 4;
+            const y = plot.bottom - (plot.height * i) / 4;
+            const label = maxValue >= 1000 ? Math.round(value).toLocaleString() : Number(value.toFixed(1)).toString();
+            ctx.fillText(label, plot.left - 4, y);
+        }
+
+        // X axis labels, thinned to avoid overlap
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        const step = Math.max(1, Math.ceil(xLabels.length / 10));
+        const slotWidth = plot.width / Math.max(1, xLabels.length);
+        xLabels.forEach((label, index) => {
+            if (index % step === 0) {
+                ctx.fillText(String(label), plot.left + slotWidth * (index + 0.5), plot.bottom + 4);
+            }
+        });
+    }
+
+    drawQualityBoxplot(canvas, positions) {
+        const { ctx, plot } = this.setupCanvas(canvas);
+        if (!positions.length) return;
+
+        const maxQuality = Math.max(41, ...positions.map(position => position.p90));
+        const y = (quality) => plot.bottom - (quality / maxQuality) * plot.height;
+
+        // Background bands: poor (<20), reasonable (20-28), good (>=28)
+        ctx.fillStyle = this.colors.bad;
+        ctx.fillRect(plot.left, y(20), plot.width, plot.bottom - y(20));
+        ctx.fillStyle = this.colors.warn;
+        ctx.fillRect(plot.left, y(28), plot.width, y(20) - y(28));
+        ctx.fillStyle = this.colors.good;
+        ctx.fillRect(plot.left, plot.top, plot.width, y(28) - plot.top);
+
+        const slotWidth = plot.width / positions.length;
+        const boxWidth = Math.max(1, slotWidth * 0.7);
+
+        positions.forEach((position, index) => {
+            const center = plot.left + slotWidth * (index + 0.5);
+
+            // Whiskers from the 10th to the 90th percentile
+            ctx.strokeStyle = '#333';
+            ctx.beginPath();
+            ctx.moveTo(center, y(position.p10));
+            ctx.lineTo(center, y(position.p90));
+            ctx.stroke();
+
+            ctx.fillStyle = this.colors.box;
+            ctx.fillRect(center - boxWidth / 2, y(position.q3), boxWidth, Math.max(1, y(position.q1) - y(position.q3)));
+            ctx.strokeRect(center - boxWidth / 2, y(position.q3), boxWidth, Math.max(1, y(position.q1) - y(position.q3)));
+
+            ctx.strokeStyle = this.colors.median;
+            ctx.beginPath();
+            ctx.moveTo(center - boxWidth / 2, y(position.median));
+            ctx.lineTo(center + boxWidth / 2, y(position.median));
+            ctx.stroke();
+        });
+
+        // Mean quality line
+        ctx.strokeStyle = this.colors.mean;
+        ctx.beginPath();
+        positions.forEach((position, index) => {
+            const x = plot.left + slotWidth * (index + 0.5);
+            if (index === 0) ctx.moveTo(x, y(position.mean));
+            else ctx.lineTo(x, y(position.mean));
+        });
+        ctx.stroke();
+
+        this.drawAxes(ctx, plot, maxQuality, positions.map(position =>
+            position.start === position.end ? position.start : `${position.start}-${position.end}`));
+    }
+
+    drawBarChart(canvas, entries) {
+        const { ctx, plot } = this.setupCanvas(canvas);
+        if (!entries.length) return;
+
+        const maxValue = Math.max(1, ...entries.map(entry => entry.value));
+        const slotWidth = plot.width / entries.length;
+
+        ctx.fillStyle = this.colors.bars;
+        entries.forEach((entry, index) => {
+            const barHeight = (entry.value / maxValue) * plot.height;
+            ctx.fillRect(plot.left + slotWidth * index + slotWidth * 0.1, plot.bottom - barHeight, Math.max(1, slotWidth * 0.8), barHeight);
+        });
+
+        this.drawAxes(ctx, plot, maxValue, entries.map(entry => entry.label));
+    }
+
+    drawAdapterChart(canvas, adapters) {
+        const { ctx, plot } = this.setupCanvas(canvas);
+        if (!adapters.length || !adapters[0].positions.length) return;
+
+        const positions = adapters[0].positions;
+        const maxPercent = Math.max(1, ...adapters.flatMap(adapter => adapter.positions.map(position => position.percent)));
+        const slotWidth = plot.width / positions.length;
+
+        adapters.forEach((adapter, adapterIndex) => {
+            ctx.strokeStyle = this.colors.series[adapterIndex % this.colors.series.length];
+            ctx.beginPath();
+            adapter.positions.forEach((position, index) => {
+                const x = plot.left + slotWidth * (index + 0.5);
+                const y = plot.bottom - (position.percent / maxPercent) * plot.height;
+                if (index === 0) ctx.moveTo(x, y);
+                else ctx.lineTo(x, y);
+            });
+            ctx.stroke();
+        });
+
+        this.drawAxes(ctx, plot, maxPercent, positions.map(position => position.start));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FastqQCPanel;
+} else if (typeof window !== 'undefined') {
+    window.FastqQCPanel = FastqQCPanel;
+}
@@ -0,0 +1,406 @@
+/**
+ * FastqReader - Streaming FASTQ reader that accumulates a QC summary
+ * Records are consumed line by line from the main process file stream, so only
+ * the summary statistics (never the reads themselves) are kept in memory
+ */
+
+class FastqReader {
+    constructor() {
+        this.filePath = null;
+        this.maxTrackedPosition = 1000; // Per-position statistics beyond this length are not tracked
+        this.kmerSize = 7;
+        this.kmerSampleReads = 200000; // Overrepresented k-mers are counted on the first reads only
+        this.adapters = [
+            { name: 'Illumina Universal Adapter', sequence: 'AGATCGGAAGAG' },
+            { name: 'Illumina Small RNA 3\' Adapter', sequence: 'TGGAATTCTCGG' },
+            { name: 'Nextera Transposase Sequence', sequence: 'CTGTCTCTTATA' },
+            { name: 'SOLiD Small RNA Adapter', sequence: 'CGCCTTGGCCGT' }
+        ];
+        this.reset();
+    }
+
+    /**
+     * Check whether a file extension denotes a FASTQ file
+     * @param {string} extension - File extension such as '.fq'
+     * @returns {boolean}
+     */
+    static isFastqExtension(extension) {
+        return ['.fastq', '.fq'].includes((extension || '').toLowerCase());
+    }
+
+    /**
+     * Stream a FASTQ file through the main process and collect QC statistics
+     * @param {string} filePath - Path to the FASTQ file (optionally gzip-compressed)
+     * @param {Function} onProgress - Optional callback receiving (percent, readCount)
+     * @returns {Promise<Object>} QC report (see getQCReport)
+     */
+    async readFile(filePath, onProgress = null) {
+        if (typeof ipcRenderer === 'undefined') {
+            throw new Error('ipcRenderer not available');
+        }
+
+        this.reset();
+        this.filePath = filePath;
+        console.log('🧪 FastqReader: Streaming file:', filePath);
+
+        await new Promise((resolve, reject) => {
+            const linesHandler = (event, { lines }) => {
+                try {
+                    this.processLines(lines);
+                } catch (error) {
+                    errorHandler(error);
+                }
+            };
+
+            const progressHandler = (event, { progress }) => {
+                if (onProgress) {
+                    onProgress(progress, this.stats.totalReads);
+                }
+            };
+
+            const removeListeners = () => {
+                ipcRenderer.removeListener('file-lines-chunk', linesHandler);
+                ipcRenderer.removeListener('file-read-progress', progressHandler);
+                ipcRenderer.removeListener('file-stream-complete', completeHandler);
+            };
+
+            const completeHandler = () => {
+                removeListeners();
+                resolve();
+            };
+
+            const errorHandler = (error) => {
+                removeListeners();
+                reject(error instanceof Error ? error : new Error(error?.error || String(error)));
+            };
+
+            ipcRenderer.on('file-lines-chunk', linesHandler);
+            ipcRenderer.on('file-read-progress', progressHandler);
+            ipcRenderer.on('file-stream-complete', completeHandler);
+
+            ipcRenderer.invoke('read-file-stream', filePath)
+                .then(result => {
+                    if (!result.success) {
+                        errorHandler(new Error(result.error));
+                    }
+                })
+                .catch(errorHandler);
+        });
+
+        if (this.stats.totalReads === 0) {
+            throw new Error('No FASTQ records found. Please check that the file is in 4-line FASTQ format.');
+        }
+
+        console.log(`✅ FastqReader: ${this.stats.totalReads.toLocaleString()} reads, ${this.stats.totalBases.toLocaleString()} bases`);
+        return this.getQCReport();
+    }
+
+    /**
+     * Consume a chunk of lines; records may span chunk boundaries
+     * @param {string[]} lines - Raw lines from the file stream
+     */
+    processLines(lines) {
+        for (const rawLine of lines) {
+            const line = rawLine.replace(/\r$/, '');
+
+            if (this.recordLines.length === 0) {
+                // Resynchronise on the next header line after a malformed record
+                if (!line.startsWith('@')) {
+                    if (line.trim()) this.stats.malformedRecords++;
+                    continue;
+                }
+            }
+
+            this.recordLines.push(line);
+            if (this.recordLines.length === 4) {
+                const [header, sequence, separator, quality] = this.recordLines;
+                this.recordLines = [];
+
+                if (!separator.startsWith('+') || sequence.length !== quality.length) {
+                    this.stats.malformedRecords++;
+                    continue;
+                }
+                this.addRecord(header, sequence.toUpperCase(), quality);
+            }
+        }
+    }
+
+    /**
+     * Add one read to the QC statistics
+     * @private
+     */
+    addRecord(header, sequence, quality) {
+        const length = sequence.length;
+        const stats = this.stats;
+
+        stats.totalReads++;
+        stats.totalBases += length;
+        stats.minLength = Math.min(stats.minLength, length);
+        stats.maxLength = Math.max(stats.maxLength, length);
+        this.lengthCounts.set(length, (this.lengthCounts.get(length) || 0) + 1);
+
+        // Quality: raw offsets from '!' (33) so the Phred encoding can be decided at the end
+        let qualitySum = 0;
+        for (let i = 0; i < length; i++) {
+            const code = quality.charCodeAt(i);
+            const index = Math.min(Math.max(code - 33, 0), 93);
+            qualitySum += index;
+            this.totalQualityCounts[index]++;
+            if (code < stats.minQualityChar) stats.minQualityChar = code;
+            if (code > stats.maxQualityChar) stats.maxQualityChar = code;
+
+            if (i < this.maxTrackedPosition) {
+                if (!this.positionQualityCounts[i]) {
+                    this.positionQualityCounts[i] = new Uint32Array(94);
+                }
+                this.positionQualityCounts[i][index]++;
+            }
+        }
+        if (length > 0) {
+            this.readQualityCounts[Math.round(qualitySum / length)]++;
+        }
+
+        // GC content per read
+        let gc = 0;
+        let acgt = 0;
+        for (let i = 0; i < length; i++) {
+            const base = sequence[i];
+            if (base === 'G' || base === 'C') {
+                gc++;
+                acgt++;
+            } else if (base === 'A' || base === 'T') {
+                acgt++;
+            }
+        }
+        stats.gcBases += gc;
+        stats.acgtBases += acgt;
+        if (acgt > 0) {
+            this.gcCounts[Math.round((gc / acgt) * 100)]++;
+        }
+
+        // Adapter content: first position each adapter starts at
+        this.adapters.forEach((adapter, adapterIndex) => {
+            const position = sequence.indexOf(adapter.sequence);
+            if (position !== -1) {
+                this.adapterCounts[adapterIndex][Math.min(position, this.maxTrackedPosition - 1)]++;
+            }
+        });
+
+        // K-mer counts on a sample of the reads
+        if (stats.totalReads <= this.kmerSampleReads) {
+            for (let i = 0; i + this.kmerSize <= length; i++) {
+                const kmer = sequence.substring(i, i + this.kmerSize);
+                if (kmer.includes('N')) continue;
+                this.kmerCounts.set(kmer, (this.kmerCounts.get(kmer) || 0) + 1);
+                this.totalKmers++;
+            }
+            for (let i = 0; i < length; i++) {
+                const baseIndex = 'ACGT'.indexOf(sequence[i]);
+                if (baseIndex !== -1) this.kmerBaseCounts[baseIndex]++;
+            }
+        }
+    }
+
+    /**
+     * Detect the Phred quality offset from the observed quality characters
+     * @returns {number} 33 (Sanger / Illumina 1.8+) or 64 (Illumina 1.3-1.7)
+     */
+    detectPhredOffset() {
+        // Characters below ';' only occur with Phred+33; Phred+64 files start at '@'
+        return this.stats.minQualityChar >= 64 ? 64 : 33;
+    }
+
+    /**
+     * Build the QC report from the accumulated statistics
+     * @param {number} maxGroups - Maximum number of position groups for per-position plots
+     * @returns {Object} QC report
+     */
+    getQCReport(maxGroups = 100) {
+        const stats = this.stats;
+        const offsetShift = this.detectPhredOffset() - 33;
+        const trackedPositions = Math.min(stats.maxLength, this.maxTrackedPosition);
+        const groupSize = Math.max(1, Math.ceil(trackedPositions / maxGroups));
+
+        const toPhred = (counts) => {
+            const phred = new Array(94 - offsetShift).fill(0);
+            for (let i = offsetShift; i < 94; i++) {
+                phred[i - offsetShift] = counts[i];
+            }
+            return phred;
+        };
+
+        // Per-position quality, grouped so long reads still fit in one plot
+        const perPositionQuality = [];
+        for (let start = 0; start < trackedPositions; start += groupSize) {
+            const end = Math.min(start + groupSize, trackedPositions);
+            const merged = new Uint32Array(94);
+            for (let position = start; position < end; position++) {
+                const counts = this.positionQualityCounts[position];
+                if (!counts) continue;
+                for (let q = 0; q < 94; q++) merged[q] += counts[q];
+            }
+            perPositionQuality.push({ start: start + 1, end, ...this.summarizeHistogram(toPhred(merged)) });
+        }
+
+        const totalPhred = toPhred(this.totalQualityCounts);
+        const basesAtLeast = (threshold) => totalPhred.slice(threshold).reduce((sum, count) => sum + count, 0);
+
+        const perReadQuality = toPhred(this.readQualityCounts)
+            .map((count, quality) => ({ quality, count }))
+            .filter(entry => entry.count > 0);
+
+        const gcDistribution = Array.from(this.gcCounts, (count, gc) => ({ gc, count }));
+
+        // Adapter content as cumulative percentage of reads containing the adapter by each position
+        const adapterContent = this.adapters.map((adapter, adapterIndex) => {
+            const cumulative = [];
+            let running = 0;
+            let position = 0;
+            for (let start = 0; start < trackedPositions; start += groupSize) {
+                const end = Math.min(start + groupSize, trackedPositions);
+                for (; position < end; position++) {
+                    running += this.adapterCounts[adapterIndex][position];
+                }
+                cumulative.push({ start: start + 1, end, percent: (running / stats.totalReads) * 100 });
+            }
+            return { name: adapter.name, sequence: adapter.sequence, positions: cumulative };
+        });
+
+        return {
+            fileName: this.filePath ? this.filePath.split(/[\\/]/).pop() : 'reads.fastq',
+            encoding: offsetShift === 0 ? 'Sanger / Illumina 1.8+ (Phred+33)' : 'Illumina 1.3-1.7 (Phred+64)',
+            summary: {
+                totalReads: stats.totalReads,
+                totalBases: stats.totalBases,
+                minLength: stats.totalReads > 0 ? stats.minLength : 0,
+                maxLength: stats.maxLength,
+                meanLength: stats.totalReads > 0 ? stats.totalBases / stats.totalReads : 0,
+                gcPercent: stats.acgtBases > 0 ? (stats.gcBases / stats.acgtBases) * 100 : 0,
+                q20Percent: stats.totalBases > 0 ? (basesAtLeast(20) / stats.totalBases) * 100 : 0,
+                q30Percent: stats.totalBases > 0 ? (basesAtLeast(30) / stats.totalBases) * 100 : 0,
+                malformedRecords: stats.malformedRecords,
+                truncatedPositions: stats.maxLength > this.maxTrackedPosition
+            },
+            perPositionQuality,
+            perReadQuality,
+            gcDistribution,
+            lengthDistribution: this.getLengthDistribution(),
+            overrepresentedKmers: this.getOverrepresentedKmers(),
+            adapterContent
+        };
+    }
+
+    /**
+     * Summarise a quality histogram as boxplot statistics
+     * @private
+     */
+    summarizeHistogram(counts) {
+        const total = counts.reduce((sum, count) => sum + count, 0);
+        if (total === 0) {
+            return { mean: 0, p10: 0, q1: 0, median: 0, q3: 0, p90: 0 };
+        }
+
+        const percentile = (fraction) => {
+            const target = fraction * total;
+            let cumulative = 0;
+            for (let q = 0; q < counts.length; q++) {
+                cumulative += counts[q];
+                if (cumulative >= target) return q;
+            }
+            return counts.length - 1;
+        };
+
+        const mean = counts.reduce((sum, count, q) => sum + count * q, 0) / total;
+        return {
+            mean,
+            p10: percentile(0.1),
+            q1: percentile(0.25),
+            median: percentile(0.5),
+            q3: percentile(0.75),
+            p90: percentile(0.9)
+        };
+    }
+
+    /**
+     * Read length histogram, binned to at most 50 bins
+     * @private
+     */
+    getLengthDistribution() {
+        const stats = this.stats;
+        if (stats.totalReads === 0) return [];
+
+        const binSize = Math.max(1, Math.ceil((stats.maxLength - stats.minLength + 1) / 50));
+        const bins = new Map();
+        this.lengthCounts.forEach((count, length) => {
+            const binStart = stats.minLength + Math.floor((length - stats.minLength) / binSize) * binSize;
+            bins.set(binStart, (bins.get(binStart) || 0) + count);
+        });
+
+        return Array.from(bins.entries())
+            .sort((a, b) => a[0] - b[0])
+            .map(([start, count]) => ({ start, end: start + binSize - 1, count }));
+    }
+
+    /**
+     * K-mers observed far more often than expected from the base composition
+     * @private
+     */
+    getOverrepresentedKmers(limit = 20) {
+        if (this.totalKmers === 0) return [];
+
+        const baseTotal = this.kmerBaseCounts.reduce((sum, count) => sum + count, 0);
+        const baseFrequency = {};
+        'ACGT'.split('').forEach((base, index) => {
+            baseFrequency[base] = this.kmerBaseCounts[index] / baseTotal;
+        });
+
+        const minCount = Math.max(10, this.totalKmers * 0.0001);
+        const kmers = [];
+        this.kmerCounts.forEach((count, kmer) => {
+            if (count < minCount) return;
+            let probability = 1;
+            for (const base of kmer) probability *= baseFrequency[base];
+            const expected = this.totalKmers * probability;
+            const ratio = expected > 0 ? count / expected : 0;
+            if (ratio >= 3) {
+                kmers.push({ kmer, count, expected, ratio });
+            }
+        });
+
+        return kmers.sort((a, b) => b.ratio - a.ratio).slice(0, limit);
+    }
+
+    /**
+     * Reset reader state
+     */
+    reset() {
+        this.recordLines = [];
+        this.positionQualityCounts = [];
+        this.totalQualityCounts = new Uint32Array(94);
+        this.readQualityCounts = new Uint32Array(94);
+        this.gcCounts = new Uint32Array(101);
+        this.lengthCounts = new Map();
+        this.kmerCounts = new Map();
+        this.kmerBaseCounts = [0, 0, 0, 0];
+        this.totalKmers = 0;
+        this.adapterCounts = this.adapters.map(() => new Uint32Array(this.maxTrackedPosition));
+        this.stats = {
+            totalReads: 0,
+            totalBases: 0,
+            minLength: Infinity,
+            maxLength: 0,
+            gcBases: 0,
+            acgtBases: 0,
+            minQualityChar: 126,
+            maxQualityChar: 0,
+            malformedRecords: 0
+        };
+    }
+}
+
+// Export for Node.js and browser compatibility
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FastqReader;
+} else if (typeof window !== 'undefined') {
+    window.FastqReader = FastqReader;
+}
@@ -10,7 +10,7 @@ class FileManager {
     async openFile() {
         const input = document.createElement('input');
         input.type = 'file';
-        input.accept = '.fasta,.fa,.gff,.gtf,.bed,.vcf,.sam,.bam,.gb,.gbk,.gbff,.genbank,.wig';
+        input.accept = '.fasta,.fa,.fna,.2bit,.gff,.gff3,.gtf,.bed,.vcf,.sam,.bam,.cram,.fastq,.fq,.gb,.gbk,.gbff,.genbank,.embl,.emb,.wig,.bedgraph,.bdg,.bw,.bigwig,.bb,.bigbed,.paf,.maf,.seg,.aln,.clustal,.sto,.stockholm,.gz,.bgz';
         input.onchange = (e) => {
             if (e.target.files.length > 0) {
                 this.loadFile(e.target.files[0].path);
@@ -29,27 +29,27 @@ class FileManager {
         // Set specific file filters based on type
         switch (fileType) {
             case 'genome':
-                input.accept = '.fasta,.fa,.gb,.gbk,.gbff,.genbank';
+                input.accept = '.fasta,.fa,.fna,.2bit,.gb,.gbk,.gbff,.genbank,.embl,.emb,.gz,.bgz';
                 break;
             case 'annotation':
-                input.accept = '.gff,.gtf,.bed';
+                input.accept = '.gff,.gff3,.gtf,.bed,.gz,.bgz';
                 break;
             case 'variant':
-                input.accept = '.vcf';
+                input.accept = '.vcf,.seg,.gz,.bgz';
                 break;
             case 'reads':
-                input.accept = '.sam,.bam';
+                input.accept = '.sam,.bam,.cram,.fastq,.fq,.gz';
                 break;
             case 'tracks':
-                input.accept = '.wig';
-                input.multiple = true; // Allow multiple WIG file selection
+                input.accept = '.wig,.bedgraph,.bdg,.gz,.bw,.bigwig,.bb,.bigbed';
+                input.multiple = true; // Allow multiple WIG/BigWig file selection
                 break;
             case 'operon':
                 input.accept = '.json,.csv,.txt,.operon';
                 break;
             case 'any':
             default:
-                input.accept = '.fasta,.fa,.gff,.gtf,.bed,.vcf,.sam,.bam,.gb,.gbk,.gbff,.genbank,.wig,.json,.csv,.txt,.operon';
+                input.accept = '.fasta,.fa,.fna,.2bit,.gff,.gff3,.gtf,.bed,.vcf,.sam,.bam,.cram,.fastq,.fq,.gb,.gbk,.gbff,.genbank,.embl,.emb,.wig,.bedgraph,.bdg,.bw,.bigwig,.bb,.bigbed,.paf,.maf,.seg,.aln,.clustal,.sto,.stockholm,.gz,.bgz,.json,.csv,.txt,.operon';
                 break;
         }
         
@@ -321,6 +321,7 @@ class FileManager {
             if (!fileInfo.success) {
                 throw new Error(fileInfo.error);
             }
+            this.resolveCompressedFileInfo(fileInfo.info);
 
             // Check file size and warn for very large files (excluding SAM/BAM which use dynamic loading)
             const fileSizeMB = fileInfo.info.size / (1024 * 1024);
@@ -330,8 +331,20 @@ class FileManager {
             const readsSettings = this.genomeBrowser.trackRenderer.getTrackSettings('reads');
             const streamingThreshold = readsSettings.streamingThreshold || 50;
             
+            // bgzipped VCF/BED/GFF with a .tbi/.csi index are queried per region instead of read whole
+            const tabixFormat = this.getTabixFormat(filePath, fileInfo.info);
+            
+            // BigWig/bigBed files are binary and read per region at the matching zoom level
+            const isBigWigFile = typeof BigWigReader !== 'undefined' && BigWigReader.isBigWigExtension(extension);
+            
+            // FASTQ files are streamed once to build a QC summary and never held in memory
+            const isFastqFile = FastqReader.isFastqExtension(extension);
+            
+            // 2bit genomes and FASTA files above the threshold are read per region through an index
+            const isIndexedSequence = this.shouldUseIndexedSequence(extension, fileInfo.info, fileSizeMB, streamingThreshold);
+            
             // Skip warning for SAM/BAM files since they use dynamic loading and can handle large files efficiently
-            const usesDynamicLoading = extension === '.sam' || extension === '.bam';
+            const usesDynamicLoading = extension === '.sam' || extension === '.bam' || extension === '.cram' || tabixFormat !== null || isBigWigFile || isFastqFile || isIndexedSequence;
             
             if (fileSizeMB > streamingThreshold && !usesDynamicLoading) {
                 const proceed = confirm(
@@ -354,7 +367,19 @@ class FileManager {
             // SAM files can be extremely large and benefit from streaming even at smaller sizes
             const shouldUseStreaming = (extension === '.sam' && fileSizeMB > streamingThreshold);
             
-            if (shouldUseStreaming) {
+            if (isFastqFile) {
+                console.log(`Using streaming QC for FASTQ file: ${fileSizeMB.toFixed(1)} MB`);
+                await this.loadFastqFile(filePath);
+            } else if (isIndexedSequence) {
+                console.log(`Using indexed sequence loading for ${extension} file: ${fileSizeMB.toFixed(1)} MB`);
+                await this.loadIndexedSequenceFile(filePath);
+            } else if (isBigWigFile) {
+                console.log(`Using zoom-level loading for ${extension} file: ${fileSizeMB.toFixed(1)} MB`);
+                await this.loadBigWigFile(filePath);
+            } else if (tabixFormat) {
+                console.log(`Using tabix-indexed loading for ${extension} file: ${fileSizeMB.toFixed(1)} MB`);
+                await this.loadFileIndexed(filePath, tabixFormat);
+            } else if (shouldUseStreaming) {
                 console.log(`Using streaming mode for large SAM file: ${fileSizeMB.toFixed(1)} MB`);
                 await this.loadFileStream(filePath);
             } else {
@@ -411,6 +436,137 @@ File size: ${this.currentFile?.info ? (this.currentFile.info.size / (1024 * 1024
         }
     }
 
+    /**
+     * Resolve the underlying format of gzip/BGZF-compressed files.
+     * Compression itself is detected from magic bytes by the main process; here the
+     * compression suffix is dropped so that e.g. "genes.gff3.gz" is parsed as ".gff3".
+     * @param {Object} info - File info returned by 'get-file-info' (modified in place)
+     * @returns {Object} The same info object
+     */
+    resolveCompressedFileInfo(info) {
+        const compressionSuffixes = ['.gz', '.bgz', '.bgzf'];
+        const extension = (info.extension || '').toLowerCase();
+        
+        if (!compressionSuffixes.includes(extension)) {
+            return info;
+        }
+        
+        const baseName = info.name.slice(0, info.name.length - extension.length);
+        const dotIndex = baseName.lastIndexOf('.');
+        info.compressedExtension = info.extension;
+        info.extension = dotIndex > 0 ? baseName.slice(dotIndex) : '';
+        
+        if (!info.compression) {
+            // Named as compressed but stored as plain text - read it as is
+            console.warn(`File ${info.name} has a ${extension} suffix but no gzip magic bytes`);
+        }
+        
+        return info;
+    }
+
+    /**
+     * Decide whether a file can be loaded through its tabix index
+     * @param {string} filePath - Path to the file
+     * @param {Object} info - Resolved file info
+     * @returns {string|null} Tabix record format ('vcf', 'bed', 'gff') or null
+     */
+    getTabixFormat(filePath, info) {
+        if (info.compression !== 'bgzf' || typeof TabixReader === 'undefined') {
+            return null;
+        }
+        
+        const format = TabixReader.getFormatForExtension(info.extension);
+        if (!format) {
+            return null;
+        }
+        
+        if (!TabixReader.findIndexFile(filePath)) {
+            console.log(`No .tbi/.csi index next to ${info.name}, loading the whole file`);
+            return null;
+        }
+        
+        return format;
+    }
+
+    /**
+     * Decide whether a genome sequence file should be read per region instead of parsed whole
+     * @param {string} extension - Resolved file extension
+     * @param {Object} info - Resolved file info
+     * @param {number} fileSizeMB - File size in MB
+     * @param {number} threshold - Size in MB above which FASTA files are indexed
+     * @returns {boolean}
+     */
+    shouldUseIndexedSequence(extension, info, fileSizeMB, threshold) {
+        if (typeof IndexedSequenceReader === 'undefined') {
+            return false;
+        }
+        if (IndexedSequenceReader.isTwoBitExtension(extension)) {
+            return true;
+        }
+        // Compressed FASTA has no byte offsets to index and is parsed whole
+        return IndexedSequenceReader.isFastaExtension(extension) && !info.compression && fileSizeMB > threshold;
+    }
+
+    /**
+     * Load a 2bit file or large FASTA file in indexed mode
+     * Only the sequence names and lengths are read here; bases are fetched for the viewed region
+     */
+    async loadIndexedSequenceFile(filePath) {
+        const reader = new IndexedSequenceReader();
+        await reader.initialize(filePath, percent => {
+            this.genomeBrowser.updateStatus(`Building FASTA index... ${percent}%`);
+        });
+        
+        // Redraw once after a burst of background fetches for the current chromosome
+        let refreshTimer = null;
+        reader.onRegionLoaded = (chromosome) => {
+            if (chromosome !== this.genomeBrowser.currentChromosome || refreshTimer) return;
+            refreshTimer = setTimeout(() => {
+                refreshTimer = null;
+                this.genomeBrowser.refreshCurrentView();
+            }, 50);
+        };
+        // Regions over half the block cache are not fetched lazily and stay 'N'
+        reader.onRegionTooLarge = (chromosome, start, end) => {
+            const limit = reader.blockSize * reader.maxCachedBlocks / 2;
+            this.genomeBrowser.updateStatus(`${chromosome}:${(start + 1).toLocaleString()}-${end.toLocaleString()} is over ${(limit / 1e6).toLocaleString()} Mb; ` +
+                'zoom in to read its bases from the indexed genome (shown as N)');
+        };
+        
+        this.currentFile.data = null; // Bases are read per region
+        
+        console.log(`🧬 Indexed genome: ${reader.references.length} sequences, ${reader.format === '2bit' ? '2bit' : `FASTA index ${reader.faiPath}`}`);
+        this.setGenomeSequences(reader.createSequenceMap());
+    }
+
+    /**
+     * Load a bgzipped, tabix-indexed VCF/BED/GFF file
+     * Only the header and index are read here; tracks fetch records for the viewed region
+     */
+    async loadFileIndexed(filePath, format) {
+        this.currentFile.data = null; // Records are fetched on demand
+        const multiFileManager = this.genomeBrowser.multiFileManager;
+        
+        if (format === 'vcf') {
+            const result = await multiFileManager.addIndexedVcfFile(filePath);
+            this.genomeBrowser.updateStatus(`✅ Indexed VCF file loaded: ${result.metadata.name} (${result.metadata.indexType.toUpperCase()} index, variants loaded per region)`);
+            this.autoEnableTracksForFileType('.vcf');
+        } else {
+            const parseLines = format === 'bed'
+                ? (lines) => this.parseBEDLines(lines)
+                : (lines) => this.parseGFFLines(lines);
+            const result = await multiFileManager.addIndexedAnnotationFile(filePath, format, parseLines);
+            this.genomeBrowser.updateStatus(`✅ Indexed ${format.toUpperCase()} file loaded: ${result.metadata.name} (features loaded per region)`);
+            this.autoEnableTracksForFileType(this.currentFile.info.extension);
+        }
+        
+        // If we already have sequence data, refresh the view
+        const currentChr = document.getElementById('chromosomeSelect').value;
+        if (currentChr && this.genomeBrowser.currentSequence && this.genomeBrowser.currentSequence[currentChr]) {
+            this.genomeBrowser.displayGenomeView(currentChr, this.genomeBrowser.currentSequence[currentChr]);
+        }
+    }
+
     async loadFileRegular(filePath) {
         // Set up progress listener for streaming reads
         const progressHandler = (event, progressData) => {
@@ -443,11 +599,7 @@ File size: ${this.currentFile?.info ? (this.currentFile.info.size / (1024 * 1024
             
             // Check if the error is due to file being too large for memory
             if (fileData.requiresStreaming) {
-                this.genomeBrowser.updateStatus('File too large for memory loading, switching to streaming...');
-                console.log(`File is too large (${(fileData.fileSize / (1024 * 1024)).toFixed(1)} MB), using streaming mode`);
-                
-                // Automatically switch to streaming mode
-                await this.loadFileStream(filePath);
+                await this.loadFileTooLargeForMemory(filePath, fileData);
                 return;
             }
             
@@ -455,11 +607,45 @@ File size: ${this.currentFile?.info ? (this.currentFile.info.size / (1024 * 1024
         }
 
         this.currentFile.data = fileData.data;
+        if (fileData.compression) {
+            console.log(`📦 Decompressed ${fileData.compression} file: ${(fileData.data.length / (1024 * 1024)).toFixed(1)} MB of text`);
+        }
 
         // Parse file based on extension
         await this.parseFile();
     }
 
+    /**
+     * Fall back to a loader that does not hold the whole file in memory.
+     * Only SAM can be streamed and only uncompressed FASTA can be indexed; other
+     * formats need a bgzip + tabix index (or a smaller file) to be loaded at this size.
+     * @param {string} filePath - Path to the file
+     * @param {Object} fileData - Failed 'read-file' result
+     */
+    async loadFileTooLargeForMemory(filePath, fileData) {
+        const extension = this.currentFile.info.extension.toLowerCase();
+        const sizeMB = (fileData.fileSize / (1024 * 1024)).toFixed(1);
+        
+        if (extension === '.sam' && !fileData.compression) {
+            this.genomeBrowser.updateStatus('File too large for memory loading, switching to streaming...');
+            console.log(`File is too large (${sizeMB} MB), using streaming mode`);
+            await this.loadFileStream(filePath);
+            return;
+        }
+        
+        if (!fileData.compression && typeof IndexedSequenceReader !== 'undefined' && IndexedSequenceReader.isFastaExtension(extension)) {
+            this.genomeBrowser.updateStatus('File too large for memory loading, switching to indexed sequence...');
+            console.log(`File is too large (${sizeMB} MB), using indexed sequence loading`);
+            await this.loadIndexedSequenceFile(filePath);
+            return;
+        }
+        
+        const hint = fileData.compression
+            ? 'Decompress it, or bgzip it with a tabix/faidx index, so it can be read per region.'
+            : 'Compress it with bgzip and create a tabix index so it can be read per region.';
+        throw new Error(`${fileData.error.replace(/ Use streaming mode instead\.$/, '')} This file type cannot be streamed. ${hint}`);
+    }
+
     async loadFileStream(filePath) {
         // Skip full file analysis for SAM files - initialize streaming mode directly
         try {
@@ -517,6 +703,7 @@ File size: ${this.currentFile?.info ? (this.currentFile.info.size / (1024 * 1024
         switch (extension) {
             case '.fasta':
             case '.fa':
+            case '.fna':
                 console.log('📂 Parsing as FASTA file');
                 await this.parseFasta();
                 break;
@@ -527,7 +714,13 @@ File size: ${this.currentFile?.info ? (this.currentFile.info.size / (1024 * 1024
                 console.log('📂 Parsing as GenBank file');
                 await this.parseGenBank();
                 break;
+            case '.embl':
+            case '.emb':
+                console.log('📂 Parsing as EMBL file');
+                await this.parseEMBL();
+                break;
             case '.gff':
+            case '.gff3':
             case '.gtf':
                 await this.parseGFF();
                 break;
@@ -541,13 +734,31 @@ File size: ${this.currentFile?.info ? (this.currentFile.info.size / (1024 * 1024
                 await this.parseSAM();
                 break;
             case '.bam':
+            case '.cram':
                 await this.parseBAM();
                 break;
             case '.wig':
                 await this.parseWIG();
                 break;
+            case '.bedgraph':
+            case '.bdg':
+                await this.parseBedGraph();
+                break;
+            case '.paf':
+            case '.maf':
+                await this.parseGenomeAlignment();
+                break;
+            case '.seg':
+                await this.parseSEG();
+                break;
+            case '.aln':
+            case '.clustal':
+            case '.sto':
+            case '.stockholm':
+                await this.parseMultipleAlignment();
+                break;
             default:
-                throw new Error(`Unsupported file format: ${extension}. Supported formats: FASTA (.fasta, .fa), GenBank (.gb, .gbk, .gbff), GFF (.gff, .gtf), BED (.bed), VCF (.vcf), SAM (.sam), WIG (.wig). Note: BAM files require conversion to SAM format first.`);
+                throw new Error(`Unsupported file format: ${extension}. Supported formats: FASTA (.fasta, .fa, .fna), 2bit (.2bit), GenBank (.gb, .gbk, .gbff), EMBL (.embl, .emb), GFF (.gff, .gff3, .gtf), BED (.bed), VCF (.vcf), SAM (.sam), BAM (.bam), CRAM (.cram), FASTQ (.fastq, .fq), WIG (.wig), bedGraph (.bedgraph, .bdg), PAF (.paf), MAF (.maf), SEG (.seg), Clustal (.aln, .clustal), Stockholm (.sto, .stockholm), optionally gzip/BGZF-compressed (.gz, .bgz).`);
         }
     }
 
@@ -577,6 +788,14 @@ File size: ${this.currentFile?.info ? (this.currentFile.info.size / (1024 * 1024
             sequences[currentSeq] = currentData;
         }
 
+        this.setGenomeSequences(sequences);
+    }
+
+    /**
+     * Install parsed or indexed sequences as the current genome and show the first chromosome
+     * @param {Object} sequences - { chromosome: sequence string or IndexedSequence }
+     */
+    setGenomeSequences(sequences) {
         this.genomeBrowser.currentSequence = sequences;
         this.genomeBrowser.populateChromosomeSelect();
         
@@ -867,6 +1086,206 @@ File size: ${this.currentFile?.info ? (this.currentFile.info.size / (1024 * 1024
         }
     }
 
+    /**
+     * Parse an EMBL flat file (e.g. from ENA)
+     * FT feature lines use the same columns, location syntax and qualifiers as GenBank,
+     * so features are built with parseGenBankLocation and finalizeFeature
+     */
+    async parseEMBL() {
+        console.log('🔬 Starting EMBL parsing...');
+        if (!this.currentFile?.data) {
+            throw new Error('No file data available for EMBL parsing');
+        }
+        const lines = this.currentFile.data.split('\n');
+        
+        const sequences = {};
+        const annotations = {};
+        let currentSeq = null;
+        let currentData = '';
+        let inSequence = false;
+        let features = [];
+        let currentFeature = null;
+        let currentQualifierKey = null;
+        
+        const totalLines = lines.length;
+        const updateInterval = Math.max(1000, Math.floor(totalLines / 100));
+        
+        this.genomeBrowser.updateStatus('Parsing EMBL file...');
+        
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i].replace(/\r$/, '');
+            
+            if (i > 0 && i % updateInterval === 0) {
+                this.genomeBrowser.updateStatus(`Parsing EMBL file... ${Math.round((i / totalLines) * 100)}%`);
+                if (totalLines > 50000) {
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                }
+            }
+            
+            // ID line starts a record: "ID   X56734; SV 1; linear; mRNA; STD; PLN; 1859 BP."
+            if (line.startsWith('ID   ')) {
+                currentSeq = line.substring(5).split(';')[0].trim();
+                console.log(`Found ID: ${currentSeq}`);
+                sequences[currentSeq] = '';
+                annotations[currentSeq] = [];
+                features = [];
+                currentFeature = null;
+                currentQualifierKey = null;
+                continue;
+            }
+            
+            if (line.startsWith('FT   ') && currentSeq) {
+                const body = line.substring(5);
+                
+                // Feature key in columns 6-20, location from column 22
+                const featureMatch = body.match(/^(\S+)\s+(.+)/);
+                if (featureMatch) {
+                    const [, type, location] = featureMatch;
+                    
+                    if (currentFeature) {
+                        this.finalizeFeature(currentFeature);
+                    }
+                    
+                    currentFeature = {
+                        type: type,
+                        location: location.trim(),
+                        qualifiers: {},
+                        start: null,
+                        end: null,
+                        strand: 1,
+                        name: null,
+                        product: null,
+                        note: null
+                    };
+                    currentQualifierKey = null;
+                    
+                    this.parseGenBankLocation(currentFeature, currentFeature.location);
+                    features.push(currentFeature);
+                    continue;
+                }
+                
+                if (!currentFeature) continue;
+                const content = body.trim();
+                
+                // Qualifier: "FT                   /gene="adhI""
+                const qualMatch = content.match(/^\/(\w+)(?:=(.*))?$/);
+                if (qualMatch) {
+                    const [, key, value] = qualMatch;
+                    if (value !== undefined) {
+                        let cleanValue = value.replace(/^"/, '').replace(/"$/, '');
+                        // Same memory limit as parseGenBank for long translations
+                        if (key === 'translation' && cleanValue.length > 1000) {
+                            cleanValue = cleanValue.substring(0, 100) + '...';
+                        }
+                        this.addQualifierValue(currentFeature, key, cleanValue);
+                        currentQualifierKey = key;
+                    } else {
+                        this.addQualifierValue(currentFeature, key, true);
+                        currentQualifierKey = null;
+                    }
+                    continue;
+                }
+                
+                // Continuation of a qualifier value
+                if (currentQualifierKey) {
+                    const continuationValue = content.replace(/^"/, '').replace(/"$/, '');
+                    const values = currentFeature.qualifiers[currentQualifierKey];
+                    const lastIndex = Array.isArray(values) ? values.length - 1 : -1;
+                    let currentValue = lastIndex >= 0 ? values[lastIndex] : values;
+                    
+                    if (currentQualifierKey === 'translation') {
+                        if (currentValue.includes('...')) continue;
+                        currentValue += continuationValue.substring(0, 50);
+                        if (currentValue.length > 100) {
+                            currentValue = currentValue.substring(0, 100) + '...';
+                        }
+                    } else if (currentValue.length < 50000) {
+                        currentValue = currentValue + ' ' + continuationValue;
+                    }
+                    
+                    if (lastIndex >= 0) {
+                        values[lastIndex] = currentValue;
+                    } else {
+                        currentFeature.qualifiers[currentQualifierKey] = currentValue;
+                    }
+                    continue;
+                }
+                
+                // Continuation of a long join()/order() location
+                currentFeature.location += content;
+                this.parseGenBankLocation(currentFeature, currentFeature.location);
+                continue;
+            }
+            
+            // SQ line starts the sequence block
+            if (line.startsWith('SQ')) {
+                inSequence = true;
+                if (currentFeature) {
+                    this.finalizeFeature(currentFeature);
+                }
+                annotations[currentSeq] = features;
+                console.log(`Found SQ section, parsed ${features.length} features`);
+                this.genomeBrowser.updateStatus(`Parsed ${features.length} features, reading sequence...`);
+                continue;
+            }
+            
+            // End of record
+            if (line.startsWith('//')) {
+                if (currentSeq && currentData) {
+                    sequences[currentSeq] = currentData;
+                    console.log(`Completed sequence ${currentSeq}, length: ${currentData.length}`);
+                }
+                inSequence = false;
+                currentData = '';
+                currentFeature = null;
+                currentQualifierKey = null;
+                continue;
+            }
+            
+            // Sequence lines: "     aaacaaacca atatggattt ...        60"
+            if (inSequence && line.startsWith('     ')) {
+                currentData += line.replace(/\d+/g, '').replace(/\s+/g, '').toUpperCase();
+            }
+        }
+        
+        this.extractSourceFeatures(annotations);
+        
+        this.genomeBrowser.currentSequence = sequences;
+        this.genomeBrowser.currentAnnotations = annotations;
+        
+        const totalFeatures = Object.values(annotations).reduce((sum, feats) => sum + feats.length, 0);
+        console.log(`EMBL parsing complete: ${Object.keys(sequences).length} sequence(s), ${totalFeatures} features`);
+        
+        this.genomeBrowser.populateChromosomeSelect();
+        
+        if (this.genomeBrowser.exportManager) {
+            this.genomeBrowser.exportManager.updateExportMenuState();
+        }
+        
+        if (this.genomeBrowser.tabManager) {
+            this.genomeBrowser.tabManager.onGenomeLoaded(sequences, this.currentFile?.path);
+        }
+        
+        const firstChr = Object.keys(sequences)[0];
+        if (firstChr) {
+            this.genomeBrowser.selectChromosome(firstChr);
+        }
+    }
+
+    /**
+     * Add a qualifier value to a feature, keeping repeated keys as an array
+     */
+    addQualifierValue(feature, key, value) {
+        const existing = feature.qualifiers[key];
+        if (existing === undefined) {
+            feature.qualifiers[key] = value;
+        } else if (Array.isArray(existing)) {
+            existing.push(value);
+        } else {
+            feature.qualifiers[key] = [existing, value];
+        }
+    }
+
     /**
      * Helper function to get the first value from a qualifier (supports both single values and arrays)
      */
@@ -1130,8 +1549,8 @@ File size: ${this.currentFile?.info ? (this.currentFile.info.size / (1024 * 1024
             // Create informative status message
             const stats = result.metadata.stats;
             const statusMessage = stats.hasIndex ? 
-                `✅ BAM file loaded: ${result.metadata.name} (${stats.references.length} chromosomes, indexed)` :
-                `⚠️ BAM file loaded: ${result.metadata.name} (${stats.references.length} chromosomes, no index)`;
+                `✅ ${stats.format.toUpperCase()} file loaded: ${result.metadata.name} (${stats.references.length} chromosomes, indexed)` :
+                `⚠️ ${stats.format.toUpperCase()} file loaded: ${result.metadata.name} (${stats.references.length} chromosomes, no index)`;
             
             this.genomeBrowser.updateStatus(statusMessage);
             
@@ -1214,7 +1633,26 @@ Original error: ${error.message}`;
     }
 
     async parseGFF() {
-        const lines = this.currentFile.data.split('\n');
+        const { annotations: newAnnotations, featureCount } = this.parseGFFLines(this.currentFile.data.split('\n'));
+        
+        // Merge with existing annotations instead of replacing
+        this.mergeAnnotations(newAnnotations);
+        
+        this.genomeBrowser.updateStatus(`Loaded GFF file with ${featureCount} features for ${Object.keys(newAnnotations).length} sequence(s). Merged with existing annotations.`);
+        
+        // If we already have sequence data, refresh the view
+        const currentChr = document.getElementById('chromosomeSelect').value;
+        if (currentChr && this.genomeBrowser.currentSequence && this.genomeBrowser.currentSequence[currentChr]) {
+            this.genomeBrowser.displayGenomeView(currentChr, this.genomeBrowser.currentSequence[currentChr]);
+        }
+    }
+
+    /**
+     * Parse GFF/GTF lines into annotations grouped by sequence name
+     * @param {string[]} lines - GFF lines (whole file or a tabix region)
+     * @returns {Object} { annotations, featureCount }
+     */
+    parseGFFLines(lines) {
         const newAnnotations = {};
         let featureCount = 0;
         
@@ -1233,15 +1671,11 @@ Original error: ${error.message}`;
                 newAnnotations[seqname] = [];
             }
             
-            // Parse attributes
-            const qualifiers = {};
-            const attrs = attribute.split(';');
-            for (const attr of attrs) {
-                const [key, value] = attr.split('=');
-                if (key && value) {
-                    qualifiers[key.trim()] = value.trim().replace(/"/g, '');
-                }
-            }
+            // Parse attributes: GFF3 key=value pairs or GTF key "value" pairs
+            const isGTF = GeneModelBuilder.isGTFAttributes(attribute);
+            const qualifiers = isGTF
+                ? GeneModelBuilder.parseGTFAttributes(attribute)
+                : GeneModelBuilder.parseGFF3Attributes(attribute);
             
             const annotation = {
                 type: feature,
@@ -1249,18 +1683,29 @@ Original error: ${error.message}`;
                 end: parseInt(end),
                 strand: strand === '-' ? -1 : 1,
                 score: score === '.' ? null : parseFloat(score),
+                phase: frame === '.' ? null : parseInt(frame),
                 source: source,
                 qualifiers: qualifiers
             };
+            GeneModelBuilder.assignIds(annotation, isGTF);
             
             newAnnotations[seqname].push(annotation);
             featureCount++;
         }
         
+        // Link ID/Parent (GFF3) and gene_id/transcript_id (GTF) into gene → transcript → exon models
+        Object.values(newAnnotations).forEach(features => GeneModelBuilder.build(features));
+        
+        return { annotations: newAnnotations, featureCount };
+    }
+
+    async parseBED() {
+        const { annotations: newAnnotations, featureCount } = this.parseBEDLines(this.currentFile.data.split('\n'));
+        
         // Merge with existing annotations instead of replacing
         this.mergeAnnotations(newAnnotations);
         
-        this.genomeBrowser.updateStatus(`Loaded GFF file with ${featureCount} features for ${Object.keys(newAnnotations).length} sequence(s). Merged with existing annotations.`);
+        this.genomeBrowser.updateStatus(`Loaded BED file with ${featureCount} features for ${Object.keys(newAnnotations).length} chromosome(s). Merged with existing annotations.`);
         
         // If we already have sequence data, refresh the view
         const currentChr = document.getElementById('chromosomeSelect').value;
@@ -1269,11 +1714,15 @@ Original error: ${error.message}`;
         }
     }
 
-    async parseBED() {
-        const lines = this.currentFile.data.split('\n');
+    /**
+     * Parse BED lines into annotations grouped by chromosome
+     * @param {string[]} lines - BED lines (whole file or a tabix region)
+     * @param {Object} trackInfo - Track header info when the lines do not include the 'track' line
+     * @returns {Object} { annotations, featureCount, trackInfo }
+     */
+    parseBEDLines(lines, trackInfo = null) {
         const newAnnotations = {};
         let featureCount = 0;
-        let trackInfo = null;
         
         for (const line of lines) {
             const trimmed = line.trim();
@@ -1336,16 +1785,7 @@ Original error: ${error.message}`;
             featureCount++;
         }
         
-        // Merge with existing annotations instead of replacing
-        this.mergeAnnotations(newAnnotations);
-        
-        this.genomeBrowser.updateStatus(`Loaded BED file with ${featureCount} features for ${Object.keys(newAnnotations).length} chromosome(s). Merged with existing annotations.`);
-        
-        // If we already have sequence data, refresh the view
-        const currentChr = document.getElementById('chromosomeSelect').value;
-        if (currentChr && this.genomeBrowser.currentSequence && this.genomeBrowser.currentSequence[currentChr]) {
-            this.genomeBrowser.displayGenomeView(currentChr, this.genomeBrowser.currentSequence[currentChr]);
-        }
+        return { annotations: newAnnotations, featureCount, trackInfo };
     }
     
     parseBEDTrackHeader(headerLine) {
@@ -1362,17 +1802,76 @@ Original error: ${error.message}`;
         
         return trackInfo;
     }
-    
+
     /**
-     * Merge new annotations with existing annotations
-     * @param {Object} newAnnotations - New annotations to merge
+     * Parse a PAF or MAF whole-genome alignment into synteny blocks for the synteny track,
+     * ComparativeGenomicsPlugin and the Circos link layer
      */
-    mergeAnnotations(newAnnotations) {
-        // Initialize currentAnnotations if it doesn't exist
-        if (!this.genomeBrowser.currentAnnotations) {
-            this.genomeBrowser.currentAnnotations = {};
+    async parseGenomeAlignment() {
+        const extension = this.currentFile.info.extension.toLowerCase();
+        const blocks = WholeGenomeAlignmentParser.parse(this.currentFile.data, extension, {
+            sequenceNames: Object.keys(this.genomeBrowser.currentSequence || {})
+        });
+        if (blocks.length === 0) {
+            throw new Error(`No alignment blocks found in ${this.currentFile.info.name}`);
         }
-        
+
+        const name = this.currentFile.info.name;
+        this.genomeBrowser.currentSyntenyAlignments = {
+            ...(this.genomeBrowser.currentSyntenyAlignments || {}),
+            [name]: {
+                name,
+                format: extension === '.maf' ? 'MAF' : 'PAF',
+                path: this.currentFile.path,
+                blocks
+            }
+        };
+
+        const referenceCount = new Set(blocks.map(block => block.referenceChromosome)).size;
+        const targetCount = new Set(blocks.map(block => block.targetChromosome)).size;
+        this.genomeBrowser.updateStatus(`Loaded ${blocks.length} alignment blocks between ${referenceCount} reference and ${targetCount} target sequence(s)`);
+
+        // If we already have sequence data, refresh the view
+        const currentChr = document.getElementById('chromosomeSelect').value;
+        if (currentChr && this.genomeBrowser.currentSequence && this.genomeBrowser.currentSequence[currentChr]) {
+            this.genomeBrowser.displayGenomeView(currentChr, this.genomeBrowser.currentSequence[currentChr]);
+        }
+    }
+    
+    /**
+     * Parse a SEG file of log2 copy-number segments for the copy-number track
+     */
+    async parseSEG() {
+        const { samples, segments } = StructuralVariants.parseSEG(this.currentFile.data);
+        const segmentCount = Object.values(segments).reduce((sum, list) => sum + list.length, 0);
+        if (segmentCount === 0) {
+            throw new Error(`No segments found in ${this.currentFile.info.name}`);
+        }
+
+        const name = this.currentFile.info.name;
+        this.genomeBrowser.currentCopyNumberSegments = {
+            ...(this.genomeBrowser.currentCopyNumberSegments || {}),
+            [name]: { name, path: this.currentFile.path, samples, segments }
+        };
+        this.genomeBrowser.updateStatus(`Loaded ${segmentCount} copy-number segments for ${samples.length} sample(s) on ${Object.keys(segments).length} sequence(s)`);
+
+        // If we already have sequence data, refresh the view
+        const currentChr = document.getElementById('chromosomeSelect').value;
+        if (currentChr && this.genomeBrowser.currentSequence && this.genomeBrowser.currentSequence[currentChr]) {
+            this.genomeBrowser.displayGenomeView(currentChr, this.genomeBrowser.currentSequence[currentChr]);
+        }
+    }
+    
+    /**
+     * Merge new annotations with existing annotations
+     * @param {Object} newAnnotations - New annotations to merge
+     */
+    mergeAnnotations(newAnnotations) {
+        // Initialize currentAnnotations if it doesn't exist
+        if (!this.genomeBrowser.currentAnnotations) {
+            this.genomeBrowser.currentAnnotations = {};
+        }
+        
         // Merge annotations for each chromosome
         Object.keys(newAnnotations).forEach(chromosome => {
             if (!this.genomeBrowser.currentAnnotations[chromosome]) {
@@ -1423,12 +1922,32 @@ Original error: ${error.message}`;
             '.vcf': 'VCF',
             '.sam': 'SAM',
             '.bam': 'BAM',
+            '.cram': 'CRAM',
             '.wig': 'WIG',
+            '.bedgraph': 'bedGraph',
+            '.bdg': 'bedGraph',
+            '.bw': 'BigWig',
+            '.bigwig': 'BigWig',
+            '.bb': 'bigBed',
+            '.bigbed': 'bigBed',
             '.fasta': 'FASTA',
             '.fa': 'FASTA',
+            '.fna': 'FASTA',
+            '.2bit': '2bit',
             '.gb': 'GenBank',
             '.gbk': 'GenBank',
-            '.gbff': 'GenBank'
+            '.gbff': 'GenBank',
+            '.fastq': 'FASTQ',
+            '.fq': 'FASTQ',
+            '.embl': 'EMBL',
+            '.emb': 'EMBL',
+            '.paf': 'PAF',
+            '.maf': 'MAF',
+            '.seg': 'SEG',
+            '.aln': 'Clustal',
+            '.clustal': 'Clustal',
+            '.sto': 'Stockholm',
+            '.stockholm': 'Stockholm'
         };
         
         return typeMap[extension] || 'Unknown';
@@ -1586,6 +2105,14 @@ Original error: ${error.message}`;
             }
         }
         
+        this.addWIGTracks(wigTracks);
+    }
+
+    /**
+     * Merge parsed WIG/BigWig tracks into the browser's WIG tracks and refresh the view
+     * @param {Object} wigTracks - Tracks keyed by name
+     */
+    addWIGTracks(wigTracks) {
         // Store WIG tracks data - merge with existing tracks instead of replacing
         const existingWIGTracks = this.genomeBrowser.currentWIGTracks || {};
         
@@ -1645,178 +2172,1606 @@ Original error: ${error.message}`;
         }
     }
     
-    parseWIGTrackLine(line) {
-        const params = {};
+    /**
+     * Parse a bedGraph file into WIG track data
+     * bedGraph intervals are 0-based half-open, the same convention parseWIG stores
+     */
+    async parseBedGraph() {
+        const lines = this.currentFile.data.split('\n');
+        const defaultName = this.currentFile.info.name.replace(/\.[^/.]+$/, '');
+        const wigTracks = {};
+        let currentTrack = null;
+        let dataPoints = 0;
+        
+        this.genomeBrowser.updateStatus('Parsing bedGraph file...');
+        
+        const startTrack = (params = {}) => {
+            const name = params.name || (Object.keys(wigTracks).length === 0 ? defaultName : `${defaultName}_${Object.keys(wigTracks).length + 1}`);
+            currentTrack = {
+                name: name,
+                description: params.description || '',
+                type: 'bedGraph',
+                color: params.color || '0,0,0',
+                visibility: params.visibility || 'full',
+                autoScale: params.autoScale !== 'off',
+                viewLimits: params.viewLimits || null,
+                maxHeightPixels: params.maxHeightPixels || null,
+                data: {}
+            };
+            wigTracks[name] = currentTrack;
+        };
         
-        // Extract parameters from track line
-        // Format: track type=wiggle_0 name="Track Name" description="Description" visibility=full
-        const matches = line.match(/(\w+)=(?:"([^"]*)"|(\S+))/g);
-        if (matches) {
-            matches.forEach(match => {
-                const [, key, quotedValue, unquotedValue] = match.match(/(\w+)=(?:"([^"]*)"|(\S+))/);
-                params[key] = quotedValue || unquotedValue;
-            });
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i].trim();
+            
+            // Allow UI to update for large files
+            if (i > 0 && i % 100000 === 0) {
+                this.genomeBrowser.updateStatus(`Parsing bedGraph file... ${Math.round((i / lines.length) * 100)}%`);
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+            
+            // Skip empty lines, comments and browser lines
+            if (!line || line.startsWith('#') || line.startsWith('browser')) continue;
+            
+            if (line.startsWith('track')) {
+                startTrack(this.parseWIGTrackLine(line));
+                continue;
+            }
+            
+            const fields = line.split(/\s+/);
+            if (fields.length < 4) continue;
+            
+            const start = parseInt(fields[1]);
+            const end = parseInt(fields[2]);
+            const value = parseFloat(fields[3]);
+            if (isNaN(start) || isNaN(end) || isNaN(value)) continue;
+            
+            if (!currentTrack) {
+                startTrack();
+            }
+            if (!currentTrack.data[fields[0]]) {
+                currentTrack.data[fields[0]] = [];
+            }
+            currentTrack.data[fields[0]].push({ start, end, value });
+            dataPoints++;
         }
         
-        return params;
+        console.log(`Parsed bedGraph file with ${dataPoints} intervals in ${Object.keys(wigTracks).length} track(s)`);
+        this.addWIGTracks(wigTracks);
     }
-    
-    parseWIGDeclarationLine(line) {
-        const params = {};
+
+    /**
+     * Build a binned read-depth track for the current chromosome from each loaded BAM file
+     * and optionally save it as bedGraph
+     * @param {number} binSize - Bin width in bp (prompted for when omitted)
+     */
+    async computeCoverageTrack(binSize = null) {
+        this.genomeBrowser.uiManager.closeFileDropdown();
         
-        // Extract parameters from declaration line
-        // Format: fixedStep chrom=chr1 start=1 step=1 span=1
-        const matches = line.match(/(\w+)=(\S+)/g);
-        if (matches) {
-            matches.forEach(match => {
-                const [, key, value] = match.match(/(\w+)=(\S+)/);
-                if (key === 'start' || key === 'step' || key === 'span') {
-                    params[key] = parseInt(value);
-                } else {
-                    params[key] = value;
-                }
-            });
+        const chromosome = document.getElementById('chromosomeSelect').value;
+        const bamFiles = this.genomeBrowser.multiFileManager.getBamFiles();
+        const readsManager = this.genomeBrowser.readsManager;
+        const sources = bamFiles.length > 0
+            ? bamFiles.map(bamFile => ({ reader: bamFile.reader, name: bamFile.metadata.name }))
+            : (readsManager.isBamMode && readsManager.bamReader ? [{ reader: readsManager.bamReader, name: 'reads' }] : []);
+        
+        if (!chromosome) {
+            alert('Please load a genome and select a chromosome first.');
+            return;
+        }
+        if (sources.length === 0) {
+            alert('No BAM file loaded. Load an indexed BAM file to compute a coverage track.');
+            return;
         }
         
-        return params;
+        if (!binSize) {
+            const input = prompt('Bin size for the coverage track (bp):', '100');
+            if (input === null) return;
+            binSize = parseInt(input);
+        }
+        if (!binSize || binSize < 1) {
+            alert('Bin size must be a positive number of base pairs.');
+            return;
+        }
+        
+        const sequence = this.genomeBrowser.currentSequence && this.genomeBrowser.currentSequence[chromosome];
+        
+        this.genomeBrowser.showLoading(true);
+        try {
+            const wigTracks = {};
+            for (const source of sources) {
+                const reference = source.reader.getReference(chromosome);
+                const chromosomeLength = (reference && reference.length) || (sequence && sequence.length);
+                if (!chromosomeLength) {
+                    throw new Error(`Length of ${chromosome} is unknown for ${source.name}`);
+                }
+                
+                const data = await readsManager.computeCoverageFromBAM(source.reader, chromosome, chromosomeLength, binSize);
+                const trackName = `${source.name}_coverage`;
+                wigTracks[trackName] = {
+                    name: trackName,
+                    description: `Read depth of ${source.name} on ${chromosome} (${binSize} bp bins)`,
+                    type: 'coverage',
+                    color: '100,100,100',
+                    visibility: 'full',
+                    autoScale: true,
+                    viewLimits: null,
+                    maxHeightPixels: null,
+                    data: { [chromosome]: data }
+                };
+            }
+            
+            this.addWIGTracks(wigTracks);
+            
+            if (confirm(`Coverage computed for ${Object.keys(wigTracks).length} BAM file(s). Save as bedGraph?`)) {
+                // addWIGTracks may have renamed tracks to avoid conflicts
+                Object.values(wigTracks).forEach(track => this.genomeBrowser.exportManager.exportWIGTrackAsBedGraph(track.name));
+            }
+        } catch (error) {
+            console.error('Error computing coverage track:', error);
+            this.genomeBrowser.updateStatus(`Error: ${error.message}`);
+            alert(`Failed to compute coverage track: ${error.message}`);
+        } finally {
+            this.genomeBrowser.showLoading(false);
+        }
     }
 
-    updateFileInfo() {
-        const fileInfo = document.getElementById('fileInfo');
-        if (this.currentFile) {
-            const info = this.currentFile.info;
-            fileInfo.innerHTML = `
-                <div class="file-detail">
-                    <strong>Name:</strong> ${info.name}
-                </div>
-                <div class="file-detail">
-                    <strong>Size:</strong> ${(info.size / 1024).toFixed(2)} KB
-                </div>
-                <div class="file-detail">
-                    <strong>Type:</strong> ${info.extension}
-                </div>
-                <div class="file-detail">
-                    <strong>Sequences:</strong> ${Object.keys(this.genomeBrowser.currentSequence || {}).length}
-                </div>
-            `;
-        } else {
-            fileInfo.innerHTML = '<p class="no-file">No file loaded</p>';
+    /**
+     * Read sources for analyses over aligned reads: every loaded BAM/CRAM file, or the
+     * SAM/BAM data of the ReadsManager when no file was added to the MultiFileManager
+     * @returns {Array} { id, reader (BamReader or null for ReadsManager SAM data), name }
+     */
+    getReadSources() {
+        const bamFiles = this.genomeBrowser.multiFileManager.getBamFiles();
+        if (bamFiles.length > 0) {
+            return bamFiles.map(bamFile => ({ id: bamFile.metadata.id, reader: bamFile.reader, name: bamFile.metadata.name }));
+        }
+
+        const readsManager = this.genomeBrowser.readsManager;
+        if (readsManager.isBamMode && readsManager.bamReader) {
+            return [{ id: 'reads', reader: readsManager.bamReader, name: 'reads' }];
         }
+        if (readsManager.rawReadsData || readsManager.isStreaming) {
+            return [{ id: 'reads', reader: null, name: 'reads' }];
+        }
+        return [];
     }
 
-    autoEnableTracksForFileType(extension) {
-        // Auto-enable tracks based on the file type that was just loaded
-        const trackCheckboxes = {
-            toolbar: {
-                variants: document.getElementById('trackVariants'),
-                reads: document.getElementById('trackReads'),
-                wigTracks: document.getElementById('trackWIG'),
-                genes: document.getElementById('trackGenes')
-            },
-            sidebar: {
-                variants: document.getElementById('sidebarTrackVariants'),
-                reads: document.getElementById('sidebarTrackReads'),
-                wigTracks: document.getElementById('sidebarTrackWIG'),
-                genes: document.getElementById('sidebarTrackGenes')
-            }
-        };
+    /**
+     * Open the pileup variant calling dialog for the loaded reads
+     */
+    showVariantCallingDialog() {
+        this.genomeBrowser.uiManager.closeFileDropdown();
 
-        let tracksToEnable = [];
-        let statusMessage = '';
+        const sources = this.getReadSources();
+        if (!document.getElementById('chromosomeSelect').value) {
+            alert('Please load a genome and select a chromosome first.');
+            return;
+        }
+        if (sources.length === 0) {
+            alert('No reads loaded. Load a SAM, BAM or CRAM file to call variants.');
+            return;
+        }
 
-        switch (extension.toLowerCase()) {
-            case '.vcf':
-                tracksToEnable = ['variants'];
-                statusMessage = 'VCF Variants track automatically enabled';
-                break;
-            case '.sam':
-            case '.bam':
-                tracksToEnable = ['reads'];
-                statusMessage = 'Aligned Reads track automatically enabled';
-                break;
-            case '.wig':
-                tracksToEnable = ['wigTracks'];
-                statusMessage = 'WIG track automatically enabled';
-                break;
-            case '.bed':
-            case '.gff':
-            case '.gtf':
-                tracksToEnable = ['genes'];
-                statusMessage = 'Gene/Annotation track automatically enabled for BED/GFF file';
-                break;
+        const modal = document.getElementById('variantCallingModal');
+        const sourceSelect = modal.querySelector('#variantCallingSource');
+        sourceSelect.innerHTML = sources.map(source => `<option value="${source.id}">${source.name}</option>`).join('');
+        modal.classList.add('show');
+    }
+
+    /**
+     * Call variants with the options of the variant calling dialog and add them as a variant track
+     */
+    async callVariantsFromReads() {
+        const modal = document.getElementById('variantCallingModal');
+        const chromosome = document.getElementById('chromosomeSelect').value;
+        const source = this.getReadSources().find(candidate => candidate.id === modal.querySelector('#variantCallingSource').value);
+        const sequence = this.genomeBrowser.currentSequence && this.genomeBrowser.currentSequence[chromosome];
+
+        if (!chromosome || !sequence) {
+            alert('The reference sequence of the current chromosome is needed to call variants.');
+            return;
+        }
+        if (!source) {
+            alert('The selected reads are no longer loaded.');
+            return;
         }
 
-        // Check if tracks need to be enabled (avoid duplicate enabling)
-        let tracksAlreadyEnabled = true;
-        let enabledAnyTrack = false;
-        
-        tracksToEnable.forEach(trackType => {
-            // Check if track is already enabled
-            const toolbarChecked = trackCheckboxes.toolbar[trackType] && trackCheckboxes.toolbar[trackType].checked;
-            const sidebarChecked = trackCheckboxes.sidebar[trackType] && trackCheckboxes.sidebar[trackType].checked;
-            const inVisibleTracks = this.genomeBrowser.visibleTracks.has(trackType);
-            
-            if (!toolbarChecked || !sidebarChecked || !inVisibleTracks) {
-                tracksAlreadyEnabled = false;
-                
-                // Enable in toolbar
-                if (trackCheckboxes.toolbar[trackType] && !trackCheckboxes.toolbar[trackType].checked) {
-                    trackCheckboxes.toolbar[trackType].checked = true;
-                }
-                // Enable in sidebar
-                if (trackCheckboxes.sidebar[trackType] && !trackCheckboxes.sidebar[trackType].checked) {
-                    trackCheckboxes.sidebar[trackType].checked = true;
-                }
-                // Add to visible tracks
-                if (!this.genomeBrowser.visibleTracks.has(trackType)) {
-                    this.genomeBrowser.visibleTracks.add(trackType);
-                    enabledAnyTrack = true;
-                }
-            }
-        });
+        const options = {
+            minBaseQuality: parseInt(modal.querySelector('#variantCallingMinBaseQuality').value),
+            minMappingQuality: parseInt(modal.querySelector('#variantCallingMinMappingQuality').value),
+            minDepth: parseInt(modal.querySelector('#variantCallingMinDepth').value),
+            minAltReads: parseInt(modal.querySelector('#variantCallingMinAltReads').value),
+            minAlleleFrequency: parseFloat(modal.querySelector('#variantCallingMinAlleleFrequency').value),
+            maxStrandBias: parseFloat(modal.querySelector('#variantCallingMaxStrandBias').value),
+            callIndels: modal.querySelector('#variantCallingIndels').checked,
+            skipDuplicates: modal.querySelector('#variantCallingSkipDuplicates').checked
+        };
 
-        // Only update the genome view if we actually enabled new tracks
-        if (enabledAnyTrack && !tracksAlreadyEnabled) {
-            // Update the genome view to show the new tracks
-            this.genomeBrowser.updateVisibleTracks();
-            
-            // Show status message
-            this.genomeBrowser.updateStatus(statusMessage);
-        } else if (tracksToEnable.length > 0 && tracksAlreadyEnabled) {
-            // Show message that tracks were already enabled
-            this.genomeBrowser.updateStatus(`${statusMessage.replace('automatically enabled', 'already enabled')}`);
+        let start = 0;
+        let end = sequence.length;
+        if (modal.querySelector('#variantCallingScope').value === 'view') {
+            const viewport = this.genomeBrowser.trackRenderer.getCurrentViewport();
+            start = Math.max(0, viewport.start);
+            end = Math.min(sequence.length, viewport.end);
         }
-    }
 
-    async loadMultipleWIGFiles(filePaths) {
-        this.genomeBrowser.showLoading(true);
-        this.genomeBrowser.updateStatus(`Loading ${filePaths.length} WIG files...`);
+        modal.classList.remove('show');
 
-        // Set flag to prevent individual parseWIG calls from auto-enabling tracks
-        this._isLoadingMultipleWIGFiles = true;
+        // Indexed genomes read the bases from disk; in-memory sequences are plain strings
+        const getReference = (from, to) => {
+            const clippedEnd = Math.min(sequence.length, to);
+            return sequence.isIndexed ? sequence.getSequence(from, clippedEnd) : Promise.resolve(sequence.substring(from, clippedEnd));
+        };
 
+        this.genomeBrowser.showLoading(true);
         try {
-            const results = [];
-            let successCount = 0;
-            let errorCount = 0;
+            const readsManager = this.genomeBrowser.readsManager;
+            const result = await readsManager.callVariantsFromReads(source.reader, chromosome, start, end, getReference, options);
+
+            const reference = source.reader && source.reader.getReference(chromosome);
+            const header = PileupVariantCaller.buildVCFHeader({
+                sampleName: source.name,
+                source: source.reader ? source.reader.filePath : readsManager.currentFile,
+                contigs: [{ name: chromosome, length: (reference && reference.length) || sequence.length }],
+                options
+            });
+            const regionLabel = start === 0 && end === sequence.length ? chromosome : `${chromosome}_${start + 1}-${end}`;
+            const { fileId, metadata } = this.genomeBrowser.multiFileManager.addVariantSet(`${source.name}_calls_${regionLabel}`, result.variants, header);
 
-            // Process each file
-            for (let i = 0; i < filePaths.length; i++) {
-                const filePath = filePaths[i];
-                const fileName = filePath.split('/').pop();
-                
-                try {
-                    this.genomeBrowser.updateStatus(`Processing WIG file ${i + 1}/${filePaths.length}: ${fileName}`);
-                    
-                    // Get file info
-                    const fileInfo = await ipcRenderer.invoke('get-file-info', filePath);
-                    if (!fileInfo.success) {
-                        throw new Error(fileInfo.error);
-                    }
+            // Keep the legacy single-file variable in sync like parseVCF does
+            const vcfFiles = this.genomeBrowser.multiFileManager.getVcfFiles();
+            if (vcfFiles.length === 1) {
+                this.genomeBrowser.currentVariants = vcfFiles[0].data;
+            }
 
-                    // Read file content
-                    const fileData = await ipcRenderer.invoke('read-file', filePath);
-                    if (!fileData.success) {
+            const passed = result.variants.filter(variant => variant.filter === 'PASS').length;
+            this.genomeBrowser.updateStatus(`✅ Called ${metadata.variantCount} variants (${passed} PASS) from ${result.usedReadCount.toLocaleString()} reads on ${chromosome}:${(start + 1).toLocaleString()}-${end.toLocaleString()}`);
+
+            this.autoEnableTracksForFileType('.vcf');
+            this.genomeBrowser.displayGenomeView(chromosome, sequence);
+
+            if (metadata.variantCount > 0 && confirm(`Called ${metadata.variantCount} variants. Save as VCF?`)) {
+                this.genomeBrowser.exportManager.exportVariantsAsVCF(fileId);
+            }
+        } catch (error) {
+            console.error('Error calling variants:', error);
+            this.genomeBrowser.updateStatus(`Error: ${error.message}`);
+            alert(`Failed to call variants: ${error.message}`);
+        } finally {
+            this.genomeBrowser.showLoading(false);
+        }
+    }
+
+    /**
+     * Population genetics analyses run through the PopulationGenomicsPlugin, created on first use
+     */
+    getPopulationGenomicsPlugin() {
+        if (!this.populationGenomicsPlugin) {
+            this.populationGenomicsPlugin = new PopulationGenomicsPlugin(this.genomeBrowser, this.genomeBrowser.configManager);
+        }
+        return this.populationGenomicsPlugin;
+    }
+
+    /**
+     * Show the population statistics dialog for the loaded multi-sample VCF files
+     */
+    showPopulationStatsDialog() {
+        this.genomeBrowser.uiManager.closeFileDropdown();
+
+        const vcfFiles = this.genomeBrowser.multiFileManager.getVcfFiles()
+            .filter(vcfFile => (vcfFile.metadata.samples || []).length > 0);
+        if (!document.getElementById('chromosomeSelect').value) {
+            alert('Please load a genome and select a chromosome first.');
+            return;
+        }
+        if (vcfFiles.length === 0) {
+            alert('No multi-sample VCF loaded. Load a VCF file with sample genotype columns first.');
+            return;
+        }
+
+        const modal = document.getElementById('popGenModal');
+        modal.querySelector('#popGenVcfSource').innerHTML = vcfFiles
+            .map(vcfFile => `<option value="${vcfFile.metadata.id}">${vcfFile.metadata.name} (${vcfFile.metadata.samples.length} samples)</option>`)
+            .join('');
+        modal.classList.add('show');
+    }
+
+    /**
+     * Population assignments from the file chosen in the population statistics dialog
+     * @returns {Promise<Object|null>} Population by sample name, or null when no file is chosen
+     */
+    async readPopulationAssignments() {
+        const file = document.getElementById('popGenAssignmentFile').files[0];
+        if (!file) {
+            return null;
+        }
+
+        const text = await new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = (e) => resolve(e.target.result);
+            reader.onerror = () => reject(new Error(`Failed to read ${file.name}`));
+            reader.readAsText(file);
+        });
+        const assignments = this.getPopulationGenomicsPlugin().parsePopulationAssignments(text);
+        if (Object.keys(assignments).length === 0) {
+            throw new Error(`No sample/population pairs found in ${file.name}`);
+        }
+        return assignments;
+    }
+
+    /**
+     * Compute sliding-window π, Tajima's D and Fst with the options of the population statistics
+     * dialog and add them as WIG tracks
+     */
+    async computePopulationStatistics() {
+        const modal = document.getElementById('popGenModal');
+        const chromosome = document.getElementById('chromosomeSelect').value;
+        const sequence = this.genomeBrowser.currentSequence && this.genomeBrowser.currentSequence[chromosome];
+
+        const statistics = [];
+        if (modal.querySelector('#popGenPi').checked) statistics.push('pi');
+        if (modal.querySelector('#popGenTajimaD').checked) statistics.push('tajimasD');
+        if (modal.querySelector('#popGenFst').checked) statistics.push('fst');
+
+        const windowSize = parseInt(modal.querySelector('#popGenWindowSize').value);
+        const stepSize = parseInt(modal.querySelector('#popGenStepSize').value) || windowSize;
+        if (!chromosome || !sequence) {
+            alert('Please load a genome and select a chromosome first.');
+            return;
+        }
+        if (!windowSize || windowSize < 1) {
+            alert('Window size must be a positive number of base pairs.');
+            return;
+        }
+        if (statistics.length === 0) {
+            alert('Select at least one statistic.');
+            return;
+        }
+
+        let start = 0;
+        let end = sequence.length;
+        if (modal.querySelector('#popGenScope').value === 'view') {
+            const viewport = this.genomeBrowser.trackRenderer.getCurrentViewport();
+            start = Math.max(0, viewport.start);
+            end = Math.min(sequence.length, viewport.end);
+        }
+
+        modal.classList.remove('show');
+        this.genomeBrowser.showLoading(true);
+        try {
+            const assignments = await this.readPopulationAssignments();
+            const result = await this.getPopulationGenomicsPlugin().analyzePopulationStatistics({
+                fileId: modal.querySelector('#popGenVcfSource').value,
+                assignments,
+                chromosome,
+                start,
+                end,
+                windowSize,
+                stepSize,
+                statistics
+            });
+
+            // Each window is drawn over its central step so that overlapping windows tile the axis
+            const toWIGData = (windows, valueKey) => windows
+                .filter(window => window[valueKey] !== null)
+                .map(window => {
+                    const center = (window.start + window.end) / 2;
+                    const halfWidth = Math.min(stepSize, window.end - window.start) / 2;
+                    return {
+                        start: Math.max(window.start, Math.round(center - halfWidth)),
+                        end: Math.min(window.end, Math.round(center + halfWidth)),
+                        value: window[valueKey]
+                    };
+                });
+
+            const wigTracks = {};
+            const addTrack = (trackName, description, color, data) => {
+                wigTracks[trackName] = {
+                    name: trackName,
+                    description: `${description} on ${chromosome} (${windowSize} bp windows, ${stepSize} bp step)`,
+                    type: 'population-statistic',
+                    color,
+                    visibility: 'full',
+                    autoScale: true,
+                    viewLimits: null,
+                    maxHeightPixels: null,
+                    data: { [chromosome]: data }
+                };
+            };
+
+            Object.entries(result.nucleotideDiversity).forEach(([population, diversity]) => {
+                addTrack(`pi_${population}`, `Nucleotide diversity of ${population}`, '0,114,178', toWIGData(diversity.windows, 'pi'));
+            });
+            Object.entries(result.tajimasD).forEach(([population, tajima]) => {
+                addTrack(`TajimaD_${population}`, `Tajima's D of ${population}`, '213,94,0', toWIGData(tajima.windows, 'tajimasD'));
+            });
+            if (result.fst) {
+                result.fst.pairs.forEach(pair => {
+                    addTrack(`Fst_${pair.pop1}_vs_${pair.pop2}`, `Hudson Fst between ${pair.pop1} and ${pair.pop2}`, '0,158,115', toWIGData(pair.windows, 'fst'));
+                });
+            } else if (statistics.includes('fst')) {
+                console.warn('Fst needs at least two populations - load a population assignment file');
+            }
+
+            if (Object.keys(wigTracks).length === 0) {
+                throw new Error('No statistics could be computed');
+            }
+            this.addWIGTracks(wigTracks);
+
+            const skipped = result.unassignedSamples.length > 0 ? `, ${result.unassignedSamples.length} unassigned samples skipped` : '';
+            this.genomeBrowser.updateStatus(`✅ Population statistics: ${result.snpCount.toLocaleString()} SNPs, ${result.populations.length} population(s)${skipped}`);
+        } catch (error) {
+            console.error('Error computing population statistics:', error);
+            this.genomeBrowser.updateStatus(`Error: ${error.message}`);
+            alert(`Failed to compute population statistics: ${error.message}`);
+        } finally {
+            this.genomeBrowser.showLoading(false);
+        }
+    }
+
+    /**
+     * Show the LD heatmap of the SNPs in the visible region of the VCF chosen in the population
+     * statistics dialog (samples limited to the assignment file when one is chosen)
+     */
+    async showLDHeatmap() {
+        const popGenModal = document.getElementById('popGenModal');
+        const chromosome = document.getElementById('chromosomeSelect').value;
+        const viewport = this.genomeBrowser.trackRenderer.getCurrentViewport();
+        const fileId = popGenModal.querySelector('#popGenVcfSource').value;
+        const minMAF = parseFloat(popGenModal.querySelector('#popGenLDMinMaf').value);
+
+        this.genomeBrowser.showLoading(true);
+        try {
+            const plugin = this.getPopulationGenomicsPlugin();
+            const assignments = await this.readPopulationAssignments();
+            const snps = await plugin.extractSNPData(assignments ? Object.keys(assignments) : [], {
+                fileId,
+                chromosome,
+                start: viewport.start,
+                end: viewport.end
+            });
+            const ld = plugin.calculateLinkageDisequilibrium(snps, { minMAF: isNaN(minMAF) ? 0.05 : minMAF });
+            if (ld.snps.length < 2) {
+                throw new Error(`Only ${ld.snps.length} SNP(s) pass the MAF filter in the visible region`);
+            }
+
+            popGenModal.classList.remove('show');
+            const modal = document.getElementById('ldHeatmapModal');
+            const container = modal.querySelector('#ldHeatmapContainer');
+            const metricSelect = modal.querySelector('#ldHeatmapMetric');
+            modal.classList.add('show');
+
+            if (this.ldHeatmapRenderer) {
+                this.ldHeatmapRenderer.destroy();
+            }
+            this.ldHeatmapRenderer = new LDHeatmapRenderer(container, ld,
+                { chromosome, start: viewport.start, end: viewport.end },
+                { metric: metricSelect.value });
+            this.ldHeatmapRenderer.render();
+            metricSelect.onchange = () => this.ldHeatmapRenderer.setMetric(metricSelect.value);
+
+            const decay = ld.ldDecayDistance !== null ? `, r² halves by ${ld.ldDecayDistance.toLocaleString()} bp` : '';
+            modal.querySelector('#ldHeatmapInfo').textContent =
+                `${chromosome}:${(viewport.start + 1).toLocaleString()}-${viewport.end.toLocaleString()} - ` +
+                `${ld.snps.length} SNPs${ld.thinned ? ' (thinned)' : ''}, mean r² ${ld.meanR2.toFixed(3)}${decay}`;
+        } catch (error) {
+            console.error('Error computing LD heatmap:', error);
+            alert(`Failed to compute LD heatmap: ${error.message}`);
+        } finally {
+            this.genomeBrowser.showLoading(false);
+        }
+    }
+
+    /**
+     * Show the VCF annotation and filter dialog for the loaded variant tracks
+     */
+    showVariantFilterDialog() {
+        this.genomeBrowser.uiManager.closeFileDropdown();
+
+        const vcfFiles = this.genomeBrowser.multiFileManager.getVcfFiles();
+        if (vcfFiles.length === 0) {
+            alert('No VCF loaded. Load a VCF file or call variants from reads first.');
+            return;
+        }
+
+        const modal = document.getElementById('variantFilterModal');
+        const select = modal.querySelector('#variantFilterSource');
+        const selected = select.value;
+        select.innerHTML = vcfFiles
+            .map(vcfFile => `<option value="${vcfFile.metadata.id}">${vcfFile.metadata.name}${vcfFile.source ? ' (indexed)' : ''}</option>`)
+            .join('');
+        if (vcfFiles.some(vcfFile => vcfFile.metadata.id === selected)) {
+            select.value = selected;
+        }
+
+        this.updateVariantFilterDialog();
+        modal.classList.add('show');
+    }
+
+    /**
+     * VCF file chosen in the annotation and filter dialog
+     */
+    getSelectedVariantFile() {
+        const fileId = document.getElementById('variantFilterSource').value;
+        return fileId ? this.genomeBrowser.multiFileManager.getFile(fileId) : null;
+    }
+
+    /**
+     * Show the filter and annotation state of the chosen VCF in the dialog
+     */
+    updateVariantFilterDialog(message = null) {
+        const modal = document.getElementById('variantFilterModal');
+        const vcfFile = this.getSelectedVariantFile();
+        if (!vcfFile) return;
+
+        modal.querySelector('#variantFilterExpression').value = vcfFile.filter ? vcfFile.filter.expression : '';
+        modal.querySelector('#runVariantAnnotationBtn').disabled = !!vcfFile.source;
+        modal.querySelector('#exportFilteredVCFBtn').disabled = !!vcfFile.source;
+
+        if (message) {
+            modal.querySelector('#variantFilterStatus').textContent = message;
+            return;
+        }
+
+        const parts = [];
+        if (vcfFile.source) {
+            parts.push('Indexed VCF: the filter applies to the records fetched for the view');
+        } else {
+            const variants = Object.values(vcfFile.data || {}).flat();
+            const annotated = (vcfFile.header || []).some(line => /^##INFO=<ID=(ANN|CSQ),/.test(line));
+            parts.push(`${variants.length.toLocaleString()} records${annotated ? ', annotated' : ''}`);
+            if (vcfFile.filter) {
+                const passing = variants.filter(variant => vcfFile.filter.test(variant)).length;
+                parts.push(`${passing.toLocaleString()} pass the filter`);
+            }
+        }
+        if (!vcfFile.filter) {
+            parts.push('no filter set');
+        }
+        modal.querySelector('#variantFilterStatus').textContent = parts.join(', ');
+    }
+
+    /**
+     * Annotate every record of the chosen VCF with VariantAnalyzer consequences (ANN INFO field)
+     */
+    async annotateVariantFile() {
+        const vcfFile = this.getSelectedVariantFile();
+        if (!vcfFile || vcfFile.source) {
+            alert('Only VCF files loaded into memory can be annotated.');
+            return;
+        }
+        const annotations = this.genomeBrowser.currentAnnotations;
+        if (!annotations || Object.keys(annotations).length === 0) {
+            alert('No gene annotations loaded. Load a GenBank or GFF file first.');
+            return;
+        }
+
+        const variants = Object.values(vcfFile.data || {}).flat();
+        this.genomeBrowser.showLoading(true);
+        try {
+            const analyzer = new VariantAnalyzer(this.genomeBrowser);
+            const result = await analyzer.annotateVariants(variants, {
+                onProgress: (done, total) => this.genomeBrowser.updateStatus(`Annotating variants... ${done.toLocaleString()}/${total.toLocaleString()}`)
+            });
+
+            const samples = vcfFile.metadata.samples || [];
+            const header = vcfFile.header && vcfFile.header.length > 0
+                ? vcfFile.header
+                : ['##fileformat=VCFv4.2', ['#CHROM', 'POS', 'ID', 'REF', 'ALT', 'QUAL', 'FILTER', 'INFO', ...(samples.length > 0 ? ['FORMAT', ...samples] : [])].join('\t')];
+            vcfFile.header = analyzer.addAnnotationHeader(header);
+
+            // Filters read ANN with the sub-field layout of the header
+            if (vcfFile.filter) {
+                this.genomeBrowser.multiFileManager.setVcfFilter(vcfFile.metadata.id, vcfFile.filter.expression);
+            }
+
+            const topConsequences = Object.entries(result.consequences)
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, 3)
+                .map(([consequence, count]) => `${count.toLocaleString()} ${consequence}`)
+                .join(', ');
+            this.updateVariantFilterDialog(`Annotated ${result.annotated.toLocaleString()} of ${result.total.toLocaleString()} records${topConsequences ? `: ${topConsequences}` : ''}`);
+            this.genomeBrowser.updateStatus(`✅ Annotated ${result.annotated.toLocaleString()} variants in ${vcfFile.metadata.name}`);
+            this.refreshVariantTracks();
+        } catch (error) {
+            console.error('Error annotating variants:', error);
+            this.genomeBrowser.updateStatus(`Error: ${error.message}`);
+            alert(`Failed to annotate variants: ${error.message}`);
+        } finally {
+            this.genomeBrowser.showLoading(false);
+        }
+    }
+
+    /**
+     * Set the filter expression of the dialog on the chosen VCF
+     */
+    applyVariantFilter() {
+        const vcfFile = this.getSelectedVariantFile();
+        if (!vcfFile) return;
+
+        const expression = document.getElementById('variantFilterExpression').value;
+        try {
+            this.genomeBrowser.multiFileManager.setVcfFilter(vcfFile.metadata.id, expression);
+        } catch (error) {
+            document.getElementById('variantFilterStatus').textContent = `Invalid filter: ${error.message}`;
+            return;
+        }
+
+        this.updateVariantFilterDialog();
+        this.refreshVariantTracks();
+    }
+
+    clearVariantFilter() {
+        const vcfFile = this.getSelectedVariantFile();
+        if (!vcfFile) return;
+
+        this.genomeBrowser.multiFileManager.setVcfFilter(vcfFile.metadata.id, '');
+        this.updateVariantFilterDialog();
+        this.refreshVariantTracks();
+    }
+
+    /**
+     * Export the chosen VCF with its annotations, optionally only the records passing its filter
+     */
+    exportFilteredVariants() {
+        const vcfFile = this.getSelectedVariantFile();
+        if (!vcfFile) return;
+
+        const passingOnly = document.getElementById('variantFilterExportPassing').checked;
+        if (passingOnly && !vcfFile.filter && document.getElementById('variantFilterExpression').value.trim()) {
+            alert('Apply the filter expression before exporting the passing records.');
+            return;
+        }
+        this.genomeBrowser.exportManager.exportVariantsAsVCF(vcfFile.metadata.id, { passingOnly });
+    }
+
+    /**
+     * Redraw the current view after variant filters or annotations changed
+     */
+    refreshVariantTracks() {
+        const chromosome = document.getElementById('chromosomeSelect').value;
+        if (chromosome && this.genomeBrowser.currentSequence && this.genomeBrowser.currentSequence[chromosome]) {
+            this.genomeBrowser.displayGenomeView(chromosome, this.genomeBrowser.currentSequence[chromosome]);
+        }
+    }
+
+    /**
+     * Parse a Clustal or Stockholm file opened through the main file dialog and show it in the
+     * alignment viewer (alignments are not genome tracks)
+     */
+    async parseMultipleAlignment() {
+        const alignment = MultipleAlignment.parse(this.currentFile.data, this.currentFile.info.name);
+        this.showAlignmentViewer(alignment, this.currentFile.info.name);
+        this.genomeBrowser.updateStatus(`Loaded ${alignment.format} alignment: ${alignment.sequences.length} sequences, ${alignment.length.toLocaleString()} columns`);
+    }
+
+    /**
+     * Show the multiple sequence alignment viewer
+     * @param {Object|null} alignment - Alignment to display (keeps the current one when null)
+     * @param {string} source - File name or description of the alignment source
+     */
+    showAlignmentViewer(alignment = null, source = '') {
+        this.genomeBrowser.uiManager.closeFileDropdown();
+        const modal = document.getElementById('msaViewerModal');
+        modal.classList.add('show');
+        if (!alignment) {
+            return;
+        }
+
+        if (this.msaViewer) {
+            this.msaViewer.destroy();
+        }
+        const colorScheme = modal.querySelector('#msaColorScheme');
+        colorScheme.value = alignment.type === 'protein' ? 'clustalx' : 'nucleotide';
+        this.msaViewer = new MSAViewer(modal.querySelector('#msaViewerContainer'), alignment, {
+            colorScheme: colorScheme.value,
+            maxGapPercent: this.getAlignmentMaxGapPercent(),
+            showConsensus: modal.querySelector('#msaShowConsensus').checked,
+            onSelectionChange: (columns) => this.updateAlignmentSelectionInfo(columns)
+        });
+        this.msaViewer.render();
+        this.msaSource = source;
+        this.updateAlignmentSelectionInfo([]);
+    }
+
+    /**
+     * Load the alignment file chosen in the alignment viewer
+     * @param {HTMLInputElement} input - The viewer's file input
+     */
+    async loadAlignmentFile(input) {
+        const file = input.files[0];
+        if (!file) {
+            return;
+        }
+
+        try {
+            const text = await new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = (e) => resolve(e.target.result);
+                reader.onerror = () => reject(new Error(`Failed to read ${file.name}`));
+                reader.readAsText(file);
+            });
+            this.showAlignmentViewer(MultipleAlignment.parse(text, file.name), file.name);
+        } catch (error) {
+            console.error('Error loading alignment:', error);
+            alert(`Failed to load alignment: ${error.message}`);
+        } finally {
+            input.value = '';
+        }
+    }
+
+    /**
+     * Gap threshold of the alignment viewer, null when gappy columns are shown
+     */
+    getAlignmentMaxGapPercent() {
+        const value = parseFloat(document.getElementById('msaMaxGapPercent').value);
+        return document.getElementById('msaHideGappyColumns').checked && !isNaN(value) ? value : null;
+    }
+
+    /**
+     * Apply the color scheme, gap and consensus options of the alignment viewer
+     */
+    updateAlignmentViewerOptions() {
+        if (!this.msaViewer) {
+            return;
+        }
+        this.msaViewer.setColorScheme(document.getElementById('msaColorScheme').value);
+        this.msaViewer.setShowConsensus(document.getElementById('msaShowConsensus').checked);
+        if (this.msaViewer.options.maxGapPercent !== this.getAlignmentMaxGapPercent()) {
+            this.msaViewer.setGapFilter(this.getAlignmentMaxGapPercent());
+        }
+    }
+
+    clearAlignmentSelection() {
+        if (this.msaViewer) {
+            this.msaViewer.clearSelection();
+        }
+    }
+
+    updateAlignmentSelectionInfo(columns) {
+        const alignment = this.msaViewer.alignment;
+        const selection = columns.length > 0 ? ` - ${columns.length} column(s) selected` : ' - click or drag over columns to select them';
+        document.getElementById('msaInfo').textContent =
+            `${this.msaSource ? this.msaSource + ': ' : ''}${alignment.format} ${alignment.type} alignment, ` +
+            `${alignment.sequences.length} sequences x ${alignment.length.toLocaleString()} columns${selection}`;
+    }
+
+    /**
+     * Copy the selected alignment columns (all columns without a selection) to the clipboard as FASTA
+     */
+    async copyAlignmentSelection() {
+        if (!this.msaViewer) {
+            alert('Load an alignment first');
+            return;
+        }
+        const columns = this.msaViewer.getSelectedColumns();
+        const fasta = MultipleAlignment.toFasta(this.msaViewer.alignment, columns.length > 0 ? columns : null);
+        try {
+            await navigator.clipboard.writeText(fasta);
+            this.genomeBrowser.updateStatus(`Copied ${columns.length > 0 ? columns.length : 'all'} alignment columns of ${this.msaViewer.alignment.sequences.length} sequences as FASTA`);
+        } catch (error) {
+            console.error('Error copying alignment columns:', error);
+            alert(`Failed to copy to clipboard: ${error.message}`);
+        }
+    }
+
+    /**
+     * Open the de novo gene prediction dialog
+     */
+    showGenePredictionDialog() {
+        this.genomeBrowser.uiManager.closeFileDropdown();
+
+        if (!document.getElementById('chromosomeSelect').value) {
+            alert('Please load a genome and select a chromosome first.');
+            return;
+        }
+
+        this.updateGenePredictionResults();
+        document.getElementById('genePredictionModal').classList.add('show');
+    }
+
+    /**
+     * Predict genes with the options of the gene prediction dialog into the predicted genes track
+     */
+    async predictGenes() {
+        const modal = document.getElementById('genePredictionModal');
+        const chromosome = document.getElementById('chromosomeSelect').value;
+        const chromosomes = modal.querySelector('#genePredictionScope').value === 'all' ?
+            Object.keys(this.genomeBrowser.currentSequence || {}) : [chromosome];
+
+        if (!chromosome || chromosomes.length === 0) {
+            alert('Please load a genome and select a chromosome first.');
+            return;
+        }
+
+        // Prokaryotic genomes default to the bacterial code unless the annotation says otherwise
+        const geneticCode = this.genomeBrowser.getGeneticCode(null, chromosome);
+        const options = {
+            minLength: parseInt(modal.querySelector('#genePredictionMinLength').value),
+            maxOverlap: parseInt(modal.querySelector('#genePredictionMaxOverlap').value),
+            startCodons: ['ATG', 'GTG', 'TTG'].filter(codon => codon === 'ATG' || modal.querySelector(`#genePredictionStart${codon}`).checked),
+            locusTagPrefix: modal.querySelector('#genePredictionPrefix').value.trim() || 'PRED',
+            geneticCode: geneticCode === 1 ? 11 : geneticCode
+        };
+        if (isNaN(options.minLength) || options.minLength < 30 || isNaN(options.maxOverlap) || options.maxOverlap < 0) {
+            alert('Minimum gene length must be at least 30 bp and the maximum overlap cannot be negative.');
+            return;
+        }
+
+        this.genomeBrowser.showLoading(true);
+        try {
+            const sequences = {};
+            for (const name of chromosomes) {
+                const sequence = this.genomeBrowser.currentSequence[name];
+                // Indexed genomes read the bases from disk; in-memory sequences are plain strings
+                sequences[name] = sequence.isIndexed ? await sequence.getSequence(0, sequence.length) : sequence;
+            }
+            // Let the loading indicator paint before the synchronous prediction
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            const result = GenePredictor.predict(sequences, options, message => this.genomeBrowser.updateStatus(`Predicting genes: ${message}`));
+            this.genomeBrowser.currentPredictedGenes = { ...this.genomeBrowser.currentPredictedGenes, ...result.genes };
+            this.genePredictionModel = result.model;
+
+            const summary = this.updateGenePredictionResults();
+            this.genomeBrowser.updateStatus(`✅ Predicted ${summary.predicted.toLocaleString()} genes on ${chromosomes.length} sequence(s)` +
+                (summary.reference > 0 ? `, ${summary.sensitivity}% of annotated CDS found` : ''));
+
+            const trackCheckbox = document.getElementById('trackPredictedGenes');
+            if (!trackCheckbox.checked) {
+                trackCheckbox.checked = true;
+                this.genomeBrowser.updateVisibleTracks();
+            } else {
+                this.genomeBrowser.displayGenomeView(chromosome, this.genomeBrowser.currentSequence[chromosome]);
+            }
+        } catch (error) {
+            console.error('Error predicting genes:', error);
+            this.genomeBrowser.updateStatus(`Error: ${error.message}`);
+            alert(`Failed to predict genes: ${error.message}`);
+        } finally {
+            this.genomeBrowser.showLoading(false);
+        }
+    }
+
+    /**
+     * Compare the predicted genes with the loaded annotation and show the result in the dialog
+     * @returns {Object} Totals over all chromosomes with predictions
+     */
+    updateGenePredictionResults() {
+        const predicted = this.genomeBrowser.currentPredictedGenes || {};
+        const totals = { predicted: 0, reference: 0, identical: 0, differentStart: 0, novel: 0, missed: 0 };
+
+        Object.entries(predicted).forEach(([chromosome, genes]) => {
+            const comparison = GenePredictor.compareWithAnnotation(genes, (this.genomeBrowser.currentAnnotations || {})[chromosome]);
+            Object.keys(totals).forEach(key => { totals[key] += comparison.summary[key]; });
+        });
+
+        const sameStop = totals.identical + totals.differentStart;
+        const percent = (value, total) => total > 0 ? Math.round(value / total * 1000) / 10 : null;
+        totals.sensitivity = percent(sameStop, totals.reference);
+        totals.precision = percent(sameStop, totals.predicted);
+        totals.startAgreement = percent(totals.identical, sameStop);
+
+        const results = document.getElementById('genePredictionResults');
+        const hasPredictions = Object.keys(predicted).length > 0;
+        ['mergePredictedGenesBtn', 'exportPredictedGenBankBtn', 'exportPredictedGFFBtn'].forEach(id => {
+            document.getElementById(id).disabled = !hasPredictions;
+        });
+        if (!hasPredictions) {
+            results.innerHTML = '';
+            return totals;
+        }
+
+        const model = this.genePredictionModel;
+        const rows = [
+            ['Predicted genes', totals.predicted.toLocaleString()],
+            ['Annotated CDS', totals.reference.toLocaleString()],
+            ['Same start and stop', totals.identical.toLocaleString()],
+            ['Same stop, different start', totals.differentStart.toLocaleString()],
+            ['Not in annotation (new)', totals.novel.toLocaleString()],
+            ['Annotated CDS not predicted', totals.missed.toLocaleString()]
+        ];
+        if (totals.reference > 0) {
+            rows.push(['Sensitivity / precision', `${totals.sensitivity}% / ${totals.precision ?? '-'}%`]);
+            rows.push(['Start agreement', totals.startAgreement !== null ? `${totals.startAgreement}%` : '-']);
+        }
+        if (model) {
+            rows.push(['Training genes', `${model.trainingGenes.toLocaleString()} of ${model.candidateOrfs.toLocaleString()} candidate ORFs`]);
+            rows.push(['Start codon weights',Object.entries(model.startWeights).map(([codon, weight]) => `${codon} ${weight.toFixed(2)}`).join(', ')]);
+            rows.push(['RBS weight (present / absent)', `${model.rbsPresent.toFixed(2)} / ${model.rbsAbsent.toFixed(2)}`]);
+        }
+        results.innerHTML = `
+            <table class="table table-sm table-borderless">
+                ${rows.map(([label, value]) => `<tr><td>${label}</td><td>${value}</td></tr>`).join('')}
+            </table>
+        `;
+        return totals;
+    }
+
+    /**
+     * Copy predicted genes into the annotation of their chromosome
+     * @param {string} chromosome - Chromosome of the genes
+     * @param {Array} genes - Predicted CDS features
+     */
+    acceptPredictedGenes(chromosome, genes) {
+        const annotations = this.genomeBrowser.currentAnnotations;
+        if (!annotations[chromosome]) {
+            annotations[chromosome] = [];
+        }
+        genes.forEach(gene => {
+            const feature = { ...gene, qualifiers: { ...gene.qualifiers } };
+            delete feature.predicted;
+            delete feature.comparison;
+            annotations[chromosome].push(feature);
+        });
+        annotations[chromosome].sort((a, b) => a.start - b.start);
+        this.updateGenePredictionResults();
+    }
+
+    /**
+     * Add all predicted genes without an annotated CDS sharing their stop codon to the annotation
+     */
+    mergePredictedGenes() {
+        this.updateGenePredictionResults();
+        const predicted = this.genomeBrowser.currentPredictedGenes || {};
+        const novel = Object.entries(predicted)
+            .map(([chromosome, genes]) => [chromosome, genes.filter(gene => gene.comparison === 'novel')])
+            .filter(([, genes]) => genes.length > 0);
+        const count = novel.reduce((sum, [, genes]) => sum + genes.length, 0);
+
+        if (count === 0) {
+            alert('All predicted genes are already in the annotation.');
+            return;
+        }
+        if (!confirm(`Add ${count} predicted genes that are not in the annotation?`)) {
+            return;
+        }
+
+        novel.forEach(([chromosome, genes]) => this.acceptPredictedGenes(chromosome, genes));
+        this.genomeBrowser.updateStatus(`✅ Added ${count} predicted genes to the annotation`);
+
+        const chromosome = document.getElementById('chromosomeSelect').value;
+        this.genomeBrowser.displayGenomeView(chromosome, this.genomeBrowser.currentSequence[chromosome]);
+    }
+
+    /**
+     * Remove one gene from the predictions
+     */
+    rejectPredictedGene(gene) {
+        const genes = (this.genomeBrowser.currentPredictedGenes || {})[gene.chromosome];
+        if (!genes || !genes.includes(gene)) return;
+
+        genes.splice(genes.indexOf(gene), 1);
+        this.updateGenePredictionResults();
+    }
+
+    /**
+     * Export the predicted genes as GenBank or GFF3
+     * @param {string} format - 'genbank' or 'gff'
+     */
+    exportPredictedGenes(format) {
+        const predicted = this.genomeBrowser.currentPredictedGenes || {};
+        if (Object.keys(predicted).length === 0) {
+            alert('No predicted genes to export.');
+            return;
+        }
+
+        if (format === 'genbank') {
+            this.genomeBrowser.exportManager.exportAsGenBank(predicted, 'predicted_genes.gbk');
+        } else {
+            this.genomeBrowser.exportManager.exportAsGFF(predicted, 'predicted_genes.gff3');
+        }
+    }
+
+    /**
+     * Open the PWM motif scanning dialog
+     */
+    showMotifScanDialog() {
+        this.genomeBrowser.uiManager.closeFileDropdown();
+
+        if (!document.getElementById('chromosomeSelect').value) {
+            alert('Please load a genome and select a chromosome first.');
+            return;
+        }
+
+        this.updateMotifList();
+        document.getElementById('motifScanModal').classList.add('show');
+    }
+
+    /**
+     * Add the motifs of a JASPAR, MEME or TRANSFAC file to the motif library
+     */
+    async loadMotifFile(input) {
+        const file = input.files && input.files[0];
+        if (!file) return;
+
+        try {
+            const motifs = MicrobeGenomicsFunctions.loadMotifs(await file.text(), file.name);
+            this.updateMotifList(motifs.map(motif => motif.id));
+            this.genomeBrowser.updateStatus(`Loaded ${motifs.length} motif(s) from ${file.name}`);
+        } catch (error) {
+            console.error('Error loading motif file:', error);
+            alert(`Failed to load motifs: ${error.message}`);
+        } finally {
+            input.value = '';
+        }
+    }
+
+    /**
+     * Add a motif built from the IUPAC consensus in the dialog to the motif library
+     */
+    addConsensusMotif() {
+        const input = document.getElementById('motifConsensusInput');
+        try {
+            const motif = MotifScanner.fromConsensus(input.value);
+            const library = this.genomeBrowser.loadedMotifs;
+            this.genomeBrowser.loadedMotifs = library.filter(existing => existing.id !== motif.id).concat([motif]);
+            this.updateMotifList([motif.id]);
+            input.value = '';
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+
+    /**
+     * Fill the motif list of the dialog from the library
+     * @param {Array} selectedIds - Motifs to select (keeps the current selection when omitted)
+     */
+    updateMotifList(selectedIds = null) {
+        const select = document.getElementById('motifScanMotifs');
+        const selected = new Set(selectedIds || Array.from(select.selectedOptions).map(option => option.value));
+
+        select.innerHTML = '';
+        this.genomeBrowser.loadedMotifs.forEach(motif => {
+            const option = document.createElement('option');
+            option.value = motif.id;
+            option.textContent = `${motif.name}${motif.name !== motif.id ? ` (${motif.id})` : ''} - ${motif.consensus} [${motif.format}]`;
+            option.selected = selected.has(motif.id);
+            select.appendChild(option);
+        });
+        document.getElementById('motifScanInfo').textContent = this.genomeBrowser.loadedMotifs.length > 0 ?
+            `${this.genomeBrowser.loadedMotifs.length} motif(s) loaded; none selected scans them all` :
+            'No motifs loaded';
+    }
+
+    /**
+     * Scan with the selected motifs and options of the motif scanning dialog
+     */
+    async scanMotifsFromDialog() {
+        const modal = document.getElementById('motifScanModal');
+        const motifs = Array.from(modal.querySelector('#motifScanMotifs').selectedOptions).map(option => option.value);
+        const pValue = parseFloat(modal.querySelector('#motifScanPValue').value);
+
+        if (this.genomeBrowser.loadedMotifs.length === 0) {
+            alert('Please load a motif file or add a consensus motif first.');
+            return;
+        }
+        if (!(pValue > 0 && pValue < 1)) {
+            alert('The p-value threshold must be between 0 and 1.');
+            return;
+        }
+
+        this.genomeBrowser.showLoading(true);
+        try {
+            // Let the loading indicator paint before the synchronous scan
+            await new Promise(resolve => setTimeout(resolve, 0));
+            const result = await MicrobeGenomicsFunctions.scanMotifs({
+                motifs,
+                region: modal.querySelector('#motifScanRegion').value,
+                upstreamLength: parseInt(modal.querySelector('#motifScanUpstream').value),
+                pValue,
+                strand: modal.querySelector('#motifScanStrand').value,
+                background: modal.querySelector('#motifScanBackground').value
+            });
+
+            // Motif names come from the loaded files, so cells are filled as text
+            const results = document.getElementById('motifScanResults');
+            results.innerHTML = `
+                <table class="table table-sm table-borderless">
+                    <tr><th>Motif</th><th>Consensus</th><th>Score cutoff / max (bits)</th><th>Hits</th></tr>
+                </table>
+                ${result.truncated ? '<p class="help-text">Only the most significant hits were kept; use a smaller p-value threshold to see all of them.</p>' : ''}
+            `;
+            const table = results.querySelector('table');
+            result.motifs.forEach(motif => {
+                const row = table.insertRow();
+                const hits = motif.bestPValue > pValue ? `0 (best possible p = ${motif.bestPValue.toExponential(1)})` : motif.hits.toLocaleString();
+                [motif.name, motif.consensus, `${motif.scoreThreshold} / ${motif.maxScore}`, hits]
+                    .forEach(value => { row.insertCell().textContent = value; });
+            });
+            this.genomeBrowser.updateStatus(`✅ Found ${result.totalHits.toLocaleString()} motif hits (p < ${pValue}) in ${result.regionsScanned.toLocaleString()} region(s)`);
+        } catch (error) {
+            console.error('Error scanning motifs:', error);
+            this.genomeBrowser.updateStatus(`Error: ${error.message}`);
+            alert(`Failed to scan motifs: ${error.message}`);
+        } finally {
+            this.genomeBrowser.showLoading(false);
+        }
+    }
+
+    /**
+     * Show the tRNA / rRNA / CRISPR detection dialog
+     */
+    showRNAGeneDialog() {
+        this.genomeBrowser.uiManager.closeFileDropdown();
+
+        if (!document.getElementById('chromosomeSelect').value) {
+            alert('Please load a genome and select a chromosome first.');
+            return;
+        }
+        document.getElementById('rnaGeneModal').classList.add('show');
+    }
+
+    /**
+     * Find the RNA features selected in the dialog and add them to the annotation
+     */
+    async findRNAGenesFromDialog() {
+        const modal = document.getElementById('rnaGeneModal');
+        const types = [['tRNA', '#rnaGeneTRNA'], ['rRNA', '#rnaGeneRRNA'], ['CRISPR', '#rnaGeneCRISPR']]
+            .filter(([, id]) => modal.querySelector(id).checked)
+            .map(([type]) => type);
+
+        if (types.length === 0) {
+            alert('Please select at least one feature type.');
+            return;
+        }
+
+        this.genomeBrowser.showLoading(true);
+        try {
+            // Let the loading indicator paint before the synchronous search
+            await new Promise(resolve => setTimeout(resolve, 0));
+            const result = await MicrobeGenomicsFunctions.findRNAGenes({
+                types,
+                region: modal.querySelector('#rnaGeneScope').value === 'all' ? 'genome' : 'chromosome',
+                maxReported: 1000
+            });
+
+            const results = document.getElementById('rnaGeneResults');
+            results.innerHTML = `
+                <p>${types.map(type => `${result.counts[type].toLocaleString()} ${type === 'CRISPR' ? 'CRISPR arrays' : `${type}s`}`).join(', ')}
+                   on ${result.chromosomes.length} sequence(s), added to the annotation.</p>
+                <table class="table table-sm table-borderless">
+                    <tr><th>Locus tag</th><th>Product</th><th>Location</th></tr>
+                </table>
+            `;
+            const table = results.querySelector('table');
+            result.features.forEach(feature => {
+                const row = table.insertRow();
+                [feature.locusTag, feature.product, feature.location].forEach(value => { row.insertCell().textContent = value; });
+            });
+            this.genomeBrowser.updateStatus(`✅ Found ${types.map(type => `${result.counts[type]} ${type}`).join(', ')}`);
+        } catch (error) {
+            console.error('Error finding RNA genes:', error);
+            this.genomeBrowser.updateStatus(`Error: ${error.message}`);
+            alert(`Failed to find RNA genes: ${error.message}`);
+        } finally {
+            this.genomeBrowser.showLoading(false);
+        }
+    }
+
+    /**
+     * Add detected RNA features to the annotation, replacing the features of the same kinds
+     * from an earlier search on the same chromosomes
+     * @param {Object} featuresByChromosome - RNAGeneFinder features keyed by chromosome
+     * @param {Array} types - Searched kinds ('tRNA', 'rRNA', 'CRISPR')
+     */
+    addRNAGenes(featuresByChromosome, types) {
+        const annotations = this.genomeBrowser.currentAnnotations;
+        const kindOf = feature => feature.type === 'repeat_region' ? 'CRISPR' : feature.type;
+
+        Object.entries(featuresByChromosome).forEach(([chromosome, features]) => {
+            const kept = (annotations[chromosome] || [])
+                .filter(feature => !(feature.source === 'RNAGeneFinder' && types.includes(kindOf(feature))));
+            annotations[chromosome] = kept.concat(features).sort((a, b) => a.start - b.start);
+        });
+
+        const chromosome = document.getElementById('chromosomeSelect').value;
+        this.genomeBrowser.displayGenomeView(chromosome, this.genomeBrowser.currentSequence[chromosome]);
+    }
+
+    /**
+     * Show the operon prediction dialog
+     */
+    showOperonPredictionDialog() {
+        this.genomeBrowser.uiManager.closeFileDropdown();
+
+        if (!document.getElementById('chromosomeSelect').value) {
+            alert('Please load a genome and select a chromosome first.');
+            return;
+        }
+        // Coverage evidence needs indexed BAM files
+        const coverage = document.getElementById('operonUseCoverage');
+        const hasBam = this.getReadSources().some(source => source.reader);
+        coverage.disabled = !hasBam;
+        if (!hasBam) coverage.checked = false;
+
+        document.getElementById('operonPredictionModal').classList.add('show');
+    }
+
+    /**
+     * Predict operons with the evidence selected in the dialog and show them in the operon panel
+     */
+    async predictOperonsFromDialog() {
+        const modal = document.getElementById('operonPredictionModal');
+
+        this.genomeBrowser.showLoading(true);
+        try {
+            // Let the loading indicator paint before the synchronous terminator search
+            await new Promise(resolve => setTimeout(resolve, 0));
+            const result = await MicrobeGenomicsFunctions.predictOperons({
+                region: modal.querySelector('#operonPredictionScope').value === 'all' ? 'genome' : 'chromosome',
+                minProbability: modal.querySelector('#operonMinProbability').value,
+                useTerminators: modal.querySelector('#operonUseTerminators').checked,
+                useCoverage: modal.querySelector('#operonUseCoverage').checked,
+                maxReported: 1000
+            });
+
+            const results = document.getElementById('operonPredictionResults');
+            results.innerHTML = `
+                <p>${result.operonCount.toLocaleString()} operons containing ${result.genesInOperons.toLocaleString()} genes
+                   on ${result.chromosomes.length} sequence(s). Distance model: ${result.evidence.distanceModel}.</p>
+                <table class="table table-sm table-borderless">
+                    <tr><th>Operon</th><th>Location</th><th>Genes</th><th>Confidence</th></tr>
+                </table>
+            `;
+            const table = results.querySelector('table');
+            result.operons.forEach(operon => {
+                const row = table.insertRow();
+                [operon.name, operon.location, operon.genes.join(', '), operon.confidence.toFixed(2)]
+                    .forEach(value => { row.insertCell().textContent = value; });
+            });
+            this.genomeBrowser.updateStatus(`✅ Predicted ${result.operonCount} operons`);
+        } catch (error) {
+            console.error('Error predicting operons:', error);
+            this.genomeBrowser.updateStatus(`Error: ${error.message}`);
+            alert(`Failed to predict operons: ${error.message}`);
+        } finally {
+            this.genomeBrowser.showLoading(false);
+        }
+    }
+
+    /**
+     * Mean read depth of all loaded BAM files in 25 bp bins, for operon coverage evidence
+     * @param {string} chromosome - Chromosome name
+     * @param {number} length - Chromosome length, used when the BAM header has none
+     * @returns {Array|null} Bins { start (0-based), end, value }, or null without BAM files
+     */
+    async getOperonCoverage(chromosome, length) {
+        const readsManager = this.genomeBrowser.readsManager;
+        const sources = this.getReadSources().filter(source => source.reader);
+        if (sources.length === 0) return null;
+
+        let bins = null;
+        for (const source of sources) {
+            const reference = source.reader.getReference(chromosome);
+            const data = await readsManager.computeCoverageFromBAM(source.reader, chromosome, (reference && reference.length) || length, 25);
+            if (!bins) {
+                bins = data.map(bin => ({ ...bin }));
+            } else {
+                data.forEach((bin, index) => { if (bins[index]) bins[index].value += bin.value; });
+            }
+        }
+        return bins;
+    }
+
+    /**
+     * Show predicted operons in the operon panel, replacing earlier predictions on the same
+     * chromosomes and keeping operons loaded from a file
+     * @param {Array} operons - Normalized operon records
+     * @param {Array} chromosomes - Chromosomes the prediction covered
+     */
+    setPredictedOperons(operons, chromosomes) {
+        const kept = (this.genomeBrowser.loadedOperons || [])
+            .filter(operon => !(operon.source === 'OperonPredictor' && chromosomes.includes(operon.chromosome)));
+        this.genomeBrowser.loadedOperons = kept.concat(operons);
+
+        const chromosome = document.getElementById('chromosomeSelect').value;
+        this.genomeBrowser.displayGenomeView(chromosome, this.genomeBrowser.currentSequence[chromosome]);
+    }
+
+    /**
+     * Save the predicted operons as JSON that loadOperonFile reads back
+     */
+    exportPredictedOperons() {
+        const operons = (this.genomeBrowser.loadedOperons || []).filter(operon => operon.source === 'OperonPredictor');
+        if (operons.length === 0) {
+            alert('No predicted operons to export. Run the prediction first.');
+            return;
+        }
+        this.genomeBrowser.exportManager.downloadFile(JSON.stringify({ operons }, null, 2), 'predicted_operons.json', 'application/json');
+    }
+
+    /**
+     * Show motif hits in the Motif Hits track, replacing the hits of the previous scan
+     * @param {Object} hitsByChromosome - Hits keyed by chromosome, sorted by start
+     * @param {Array} chromosomes - Scanned chromosomes (shown with zero hits when nothing was found)
+     */
+    displayMotifHits(hitsByChromosome, chromosomes = []) {
+        this.genomeBrowser.currentMotifHits = {};
+        chromosomes.forEach(chromosome => { this.genomeBrowser.currentMotifHits[chromosome] = []; });
+        Object.assign(this.genomeBrowser.currentMotifHits, hitsByChromosome);
+
+        const trackCheckbox = document.getElementById('trackMotifHits');
+        if (!trackCheckbox.checked) {
+            trackCheckbox.checked = true;
+            this.genomeBrowser.updateVisibleTracks();
+        } else {
+            const chromosome = document.getElementById('chromosomeSelect').value;
+            this.genomeBrowser.displayGenomeView(chromosome, this.genomeBrowser.currentSequence[chromosome]);
+        }
+    }
+
+    /**
+     * Remove all motif hits from the Motif Hits track
+     */
+    clearMotifHits() {
+        this.genomeBrowser.currentMotifHits = {};
+        document.getElementById('motifScanResults').innerHTML = '';
+
+        const chromosome = document.getElementById('chromosomeSelect').value;
+        if (chromosome) {
+            this.genomeBrowser.displayGenomeView(chromosome, this.genomeBrowser.currentSequence[chromosome]);
+        }
+    }
+
+    /**
+     * Stream a FASTQ file and show its QC summary
+     * @param {string} filePath - Path to the FASTQ file (optionally gzip-compressed)
+     */
+    async loadFastqFile(filePath) {
+        const reader = new FastqReader();
+        this.genomeBrowser.updateStatus('Reading FASTQ file...');
+        
+        const report = await reader.readFile(filePath, (progress, readCount) => {
+            this.genomeBrowser.updateStatus(`Reading FASTQ file... ${progress}% (${readCount.toLocaleString()} reads)`);
+        });
+        
+        this.genomeBrowser.fastqQCReport = report;
+        this.genomeBrowser.fastqQCPanel.show(report);
+        this.genomeBrowser.updateStatus(`✅ FASTQ QC complete: ${report.summary.totalReads.toLocaleString()} reads, ${report.summary.q30Percent.toFixed(1)}% bases ≥ Q30`);
+    }
+
+    /**
+     * Load a BigWig or bigBed file as a WIG track
+     * Only the header is read here; TrackRenderer.loadBigWigData fetches the viewed region
+     * at the zoom level matching the current resolution
+     */
+    async loadBigWigFile(filePath) {
+        const reader = new BigWigReader();
+        await reader.initialize(filePath);
+        
+        this.currentFile.data = null; // Binary data is read per region
+        
+        const isBigBed = reader.fileType === 'bigbed';
+        const trackName = this.currentFile.info.name.replace(/\.[^/.]+$/, '');
+        const wigTracks = {
+            [trackName]: {
+                name: trackName,
+                description: `${isBigBed ? 'bigBed' : 'BigWig'} track (${reader.zoomLevels.length} zoom levels)`,
+                type: isBigBed ? 'bigBed' : 'bigWig',
+                color: isBigBed ? '0,128,0' : '0,0,0',
+                visibility: 'full',
+                autoScale: true,
+                viewLimits: null,
+                maxHeightPixels: null,
+                data: {},
+                source: reader,
+                loadedRegion: null
+            }
+        };
+        
+        this.addWIGTracks(wigTracks);
+    }
+
+    parseWIGTrackLine(line) {
+        const params = {};
+        
+        // Extract parameters from track line
+        // Format: track type=wiggle_0 name="Track Name" description="Description" visibility=full
+        const matches = line.match(/(\w+)=(?:"([^"]*)"|(\S+))/g);
+        if (matches) {
+            matches.forEach(match => {
+                const [, key, quotedValue, unquotedValue] = match.match(/(\w+)=(?:"([^"]*)"|(\S+))/);
+                params[key] = quotedValue || unquotedValue;
+            });
+        }
+        
+        return params;
+    }
+    
+    parseWIGDeclarationLine(line) {
+        const params = {};
+        
+        // Extract parameters from declaration line
+        // Format: fixedStep chrom=chr1 start=1 step=1 span=1
+        const matches = line.match(/(\w+)=(\S+)/g);
+        if (matches) {
+            matches.forEach(match => {
+                const [, key, value] = match.match(/(\w+)=(\S+)/);
+                if (key === 'start' || key === 'step' || key === 'span') {
+                    params[key] = parseInt(value);
+                } else {
+                    params[key] = value;
+                }
+            });
+        }
+        
+        return params;
+    }
+
+    updateFileInfo() {
+        const fileInfo = document.getElementById('fileInfo');
+        if (this.currentFile) {
+            const info = this.currentFile.info;
+            fileInfo.innerHTML = `
+                <div class="file-detail">
+                    <strong>Name:</strong> ${info.name}
+                </div>
+                <div class="file-detail">
+                    <strong>Size:</strong> ${(info.size / 1024).toFixed(2)} KB
+                </div>
+                <div class="file-detail">
+                    <strong>Type:</strong> ${info.extension}${info.compression ? ` (${info.compression})` : ''}
+                </div>
+                <div class="file-detail">
+                    <strong>Sequences:</strong> ${Object.keys(this.genomeBrowser.currentSequence || {}).length}
+                </div>
+            `;
+        } else {
+            fileInfo.innerHTML = '<p class="no-file">No file loaded</p>';
+        }
+    }
+
+    autoEnableTracksForFileType(extension) {
+        // Auto-enable tracks based on the file type that was just loaded
+        const trackCheckboxes = {
+            toolbar: {
+                variants: document.getElementById('trackVariants'),
+                reads: document.getElementById('trackReads'),
+                wigTracks: document.getElementById('trackWIG'),
+                synteny: document.getElementById('trackSynteny'),
+                copyNumber: document.getElementById('trackCopyNumber'),
+                genes: document.getElementById('trackGenes')
+            },
+            sidebar: {
+                variants: document.getElementById('sidebarTrackVariants'),
+                reads: document.getElementById('sidebarTrackReads'),
+                wigTracks: document.getElementById('sidebarTrackWIG'),
+                synteny: document.getElementById('sidebarTrackSynteny'),
+                copyNumber: document.getElementById('sidebarTrackCopyNumber'),
+                genes: document.getElementById('sidebarTrackGenes')
+            }
+        };
+
+        let tracksToEnable = [];
+        let statusMessage = '';
+
+        switch (extension.toLowerCase()) {
+            case '.vcf':
+                tracksToEnable = ['variants'];
+                statusMessage = 'VCF Variants track automatically enabled';
+                break;
+            case '.sam':
+            case '.bam':
+            case '.cram':
+                tracksToEnable = ['reads'];
+                statusMessage = 'Aligned Reads track automatically enabled';
+                break;
+            case '.wig':
+            case '.bedgraph':
+            case '.bdg':
+            case '.bw':
+            case '.bigwig':
+            case '.bb':
+            case '.bigbed':
+                tracksToEnable = ['wigTracks'];
+                statusMessage = 'WIG track automatically enabled';
+                break;
+            case '.paf':
+            case '.maf':
+                tracksToEnable = ['synteny'];
+                statusMessage = 'Synteny Alignments track automatically enabled';
+                break;
+            case '.seg':
+                tracksToEnable = ['copyNumber'];
+                statusMessage = 'Copy Number track automatically enabled';
+                break;
+            case '.bed':
+            case '.gff':
+            case '.gff3':
+            case '.gtf':
+                tracksToEnable = ['genes'];
+                statusMessage = 'Gene/Annotation track automatically enabled for BED/GFF file';
+                break;
+        }
+
+        // Check if tracks need to be enabled (avoid duplicate enabling)
+        let tracksAlreadyEnabled = true;
+        let enabledAnyTrack = false;
+        
+        tracksToEnable.forEach(trackType => {
+            // Check if track is already enabled
+            const toolbarChecked = trackCheckboxes.toolbar[trackType] && trackCheckboxes.toolbar[trackType].checked;
+            const sidebarChecked = trackCheckboxes.sidebar[trackType] && trackCheckboxes.sidebar[trackType].checked;
+            const inVisibleTracks = this.genomeBrowser.visibleTracks.has(trackType);
+            
+            if (!toolbarChecked || !sidebarChecked || !inVisibleTracks) {
+                tracksAlreadyEnabled = false;
+                
+                // Enable in toolbar
+                if (trackCheckboxes.toolbar[trackType] && !trackCheckboxes.toolbar[trackType].checked) {
+                    trackCheckboxes.toolbar[trackType].checked = true;
+                }
+                // Enable in sidebar
+                if (trackCheckboxes.sidebar[trackType] && !trackCheckboxes.sidebar[trackType].checked) {
+                    trackCheckboxes.sidebar[trackType].checked = true;
+                }
+                // Add to visible tracks
+                if (!this.genomeBrowser.visibleTracks.has(trackType)) {
+                    this.genomeBrowser.visibleTracks.add(trackType);
+                    enabledAnyTrack = true;
+                }
+            }
+        });
+
+        // Only update the genome view if we actually enabled new tracks
+        if (enabledAnyTrack && !tracksAlreadyEnabled) {
+            // Update the genome view to show the new tracks
+            this.genomeBrowser.updateVisibleTracks();
+            
+            // Show status message
+            this.genomeBrowser.updateStatus(statusMessage);
+        } else if (tracksToEnable.length > 0 && tracksAlreadyEnabled) {
+            // Show message that tracks were already enabled
+            this.genomeBrowser.updateStatus(`${statusMessage.replace('automatically enabled', 'already enabled')}`);
+        }
+    }
+
+    async loadMultipleWIGFiles(filePaths) {
+        this.genomeBrowser.showLoading(true);
+        this.genomeBrowser.updateStatus(`Loading ${filePaths.length} WIG files...`);
+
+        // Set flag to prevent individual parseWIG calls from auto-enabling tracks
+        this._isLoadingMultipleWIGFiles = true;
+
+        try {
+            const results = [];
+            let successCount = 0;
+            let errorCount = 0;
+
+            // Process each file
+            for (let i = 0; i < filePaths.length; i++) {
+                const filePath = filePaths[i];
+                const fileName = filePath.split('/').pop();
+                
+                try {
+                    this.genomeBrowser.updateStatus(`Processing WIG file ${i + 1}/${filePaths.length}: ${fileName}`);
+                    
+                    // Get file info
+                    const fileInfo = await ipcRenderer.invoke('get-file-info', filePath);
+                    if (!fileInfo.success) {
+                        throw new Error(fileInfo.error);
+                    }
+                    this.resolveCompressedFileInfo(fileInfo.info);
+
+                    // BigWig/bigBed files are binary and read per region
+                    if (BigWigReader.isBigWigExtension(fileInfo.info.extension)) {
+                        this.currentFile = { path: filePath, info: fileInfo.info, data: null };
+                        const tracksBefore = Object.keys(this.genomeBrowser.currentWIGTracks || {}).length;
+                        await this.loadBigWigFile(filePath);
+                        results.push({
+                            file: fileName,
+                            status: 'success',
+                            tracks: Object.keys(this.genomeBrowser.currentWIGTracks || {}).length - tracksBefore
+                        });
+                        successCount++;
+                        continue;
+                    }
+
+                    // Read file content
+                    const fileData = await ipcRenderer.invoke('read-file', filePath);
+                    if (!fileData.success) {
                         throw new Error(fileData.error);
                     }
 
@@ -1827,9 +3782,14 @@ Original error: ${error.message}`;
                         data: fileData.data
                     };
 
-                    // Parse WIG file (will not auto-enable tracks due to flag)
+                    // Parse WIG/bedGraph file (will not auto-enable tracks due to flag)
                     const tracksBefore = Object.keys(this.genomeBrowser.currentWIGTracks || {}).length;
-                    await this.parseWIG();
+                    const extension = fileInfo.info.extension.toLowerCase();
+                    if (extension === '.bedgraph' || extension === '.bdg') {
+                        await this.parseBedGraph();
+                    } else {
+                        await this.parseWIG();
+                    }
                     const tracksAfter = Object.keys(this.genomeBrowser.currentWIGTracks || {}).length;
                     const newTracksFromThisFile = tracksAfter - tracksBefore;
                     
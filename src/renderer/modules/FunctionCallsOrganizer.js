@@ -100,7 +100,14 @@ class FunctionCallsOrganizer {
                     'predict_rbs',
                     'predict_terminator',
                     'compare_regions',
-                    'find_similar_sequences'
+                    'find_similar_sequences',
+                    'align_sequences',
+                    'align_features',
+                    'load_motifs',
+                    'scan_motifs',
+                    'fold_rna',
+                    'find_rna_genes',
+                    'predict_operons'
                 ]
             },
             
@@ -0,0 +1,339 @@
+/**
+ * GeneModelBuilder - Gene → transcript → exon hierarchy for GFF3 and GTF annotations
+ *
+ * Features keep their place in the flat annotation list; the builder links them so the
+ * gene track can draw one model per gene instead of unrelated exon/CDS boxes:
+ * - transcripts get `exons` and `cds` block lists and `parentGeneId`
+ * - genes get `transcripts` plus the merged `exons`/`cds` of all isoforms (collapsed view)
+ * - exon/CDS/UTR/codon features get `modelRole: 'part'` and `transcriptIds`
+ *
+ * Links are stored as ids and child arrays only, so annotations stay JSON-serializable.
+ */
+
+class GeneModelBuilder {
+
+    /**
+     * Feature types that name genes rather than transcripts
+     */
+    static get GENE_TYPES() {
+        return ['gene', 'pseudogene', 'ncRNA_gene', 'transposable_element_gene'];
+    }
+
+    /**
+     * GFF3 attributes whose values are comma-separated lists (literal commas are escaped as %2C)
+     */
+    static get GFF3_MULTI_VALUE_ATTRIBUTES() {
+        return ['Parent', 'Alias', 'Dbxref', 'Ontology_term'];
+    }
+
+    /**
+     * Check whether a feature type is a transcript sub-part (exon, CDS, UTR, codon)
+     * @param {string} type - Feature type
+     * @returns {boolean}
+     */
+    static isPartType(type) {
+        const lower = (type || '').toLowerCase();
+        return lower === 'exon' || lower === 'cds' || lower.includes('utr') ||
+               lower === 'start_codon' || lower === 'stop_codon';
+    }
+
+    /**
+     * Parse the attribute column of a GTF line: key "value"; key "value"; ...
+     * Repeated keys (e.g. tag) are collected into arrays.
+     * @param {string} text - Attribute column
+     * @returns {Object} Qualifiers
+     */
+    static parseGTFAttributes(text) {
+        const qualifiers = {};
+        const pattern = /\s*([^\s;]+)\s+(?:"([^"]*)"|([^;]*?))\s*(?:;|$)/g;
+        let match;
+        while ((match = pattern.exec(text)) !== null && match[0].length > 0) {
+            const key = match[1];
+            const value = match[2] !== undefined ? match[2] : match[3];
+            if (qualifiers[key] === undefined) {
+                qualifiers[key] = value;
+            } else if (Array.isArray(qualifiers[key])) {
+                qualifiers[key].push(value);
+            } else {
+                qualifiers[key] = [qualifiers[key], value];
+            }
+        }
+        return qualifiers;
+    }
+
+    /**
+     * Parse the attribute column of a GFF3 line: key=value;key=value, percent-decoded.
+     * List attributes (Parent, Alias, Dbxref, Ontology_term) are split on their unescaped
+     * commas before decoding; those with more than one value become arrays.
+     * @param {string} text - Attribute column
+     * @returns {Object} Qualifiers
+     */
+    static parseGFF3Attributes(text) {
+        const decode = value => {
+            try {
+                return decodeURIComponent(value);
+            } catch (error) {
+                return value;
+            }
+        };
+        const qualifiers = {};
+        for (const attr of text.split(';')) {
+            const separator = attr.indexOf('=');
+            if (separator <= 0) continue;
+            const key = attr.substring(0, separator).trim();
+            const value = attr.substring(separator + 1).trim().replace(/"/g, '');
+            if (!key || !value) continue;
+            if (GeneModelBuilder.GFF3_MULTI_VALUE_ATTRIBUTES.includes(key)) {
+                const values = value.split(',').map(part => decode(part.trim())).filter(Boolean);
+                qualifiers[key] = values.length === 1 ? values[0] : values;
+            } else {
+                qualifiers[key] = decode(value);
+            }
+        }
+        return qualifiers;
+    }
+
+    /**
+     * Check whether an attribute column uses GTF syntax
+     * @param {string} text - Attribute column
+     * @returns {boolean}
+     */
+    static isGTFAttributes(text) {
+        return /^\s*[^\s=;]+\s+"/.test(text) && !/^[^\s"]+=/.test(text.trim());
+    }
+
+    /**
+     * Assign model ids from GFF3 ID/Parent or GTF gene_id/transcript_id
+     * @param {Object} feature - Parsed feature with qualifiers
+     * @param {boolean} isGTF - Whether the line used GTF attributes
+     */
+    static assignIds(feature, isGTF) {
+        const q = feature.qualifiers || {};
+        const first = value => Array.isArray(value) ? value[0] : value;
+
+        if (isGTF) {
+            const geneId = first(q.gene_id);
+            const transcriptId = first(q.transcript_id);
+            if (feature.type === 'gene') {
+                feature.id = geneId;
+                feature.parentIds = [];
+            } else if (transcriptId && (feature.type === 'transcript' || /RNA$/.test(feature.type))) {
+                feature.id = transcriptId;
+                feature.parentIds = geneId ? [geneId] : [];
+            } else {
+                feature.parentIds = transcriptId ? [transcriptId] : (geneId ? [geneId] : []);
+            }
+            feature.gtf = true;
+        } else {
+            if (q.ID) feature.id = q.ID;
+            feature.parentIds = q.Parent ? [].concat(q.Parent) : [];
+        }
+    }
+
+    /**
+     * Link the features of one sequence into gene models.
+     * GTF files often omit gene/transcript lines; those are synthesized from their children
+     * and appended to the list.
+     * @param {Array} features - Features of one sequence (modified in place)
+     * @returns {Array} The same list, with synthesized parents appended
+     */
+    static build(features) {
+        const byId = new Map();
+        features.forEach(feature => {
+            if (feature.id && !byId.has(feature.id)) {
+                byId.set(feature.id, feature);
+            }
+        });
+
+        // Synthesize missing GTF transcripts and genes spanning their children
+        const synthesized = [];
+        const synthesize = (id, type, template, parentIds) => {
+            const q = template.qualifiers || {};
+            const qualifiers = { gene_id: q.gene_id };
+            ['gene_name', 'gene_type', 'gene_biotype'].forEach(key => {
+                if (q[key] !== undefined) qualifiers[key] = q[key];
+            });
+            if (type === 'transcript') {
+                qualifiers.transcript_id = q.transcript_id;
+                ['transcript_name', 'transcript_type', 'transcript_biotype'].forEach(key => {
+                    if (q[key] !== undefined) qualifiers[key] = q[key];
+                });
+            }
+            const parent = {
+                type,
+                start: template.start,
+                end: template.end,
+                strand: template.strand,
+                score: null,
+                source: template.source,
+                qualifiers,
+                id,
+                parentIds,
+                gtf: true,
+                synthesized: true
+            };
+            byId.set(id, parent);
+            synthesized.push(parent);
+            return parent;
+        };
+
+        features.forEach(feature => {
+            if (!feature.gtf) return;
+            feature.parentIds.forEach(parentId => {
+                let parent = byId.get(parentId);
+                if (!parent) {
+                    const isTranscriptId = parentId === feature.qualifiers.transcript_id;
+                    const geneId = feature.qualifiers.gene_id;
+                    parent = synthesize(parentId, isTranscriptId ? 'transcript' : 'gene', feature,
+                        isTranscriptId && geneId ? [geneId] : []);
+                }
+                parent.start = Math.min(parent.start, feature.start);
+                parent.end = Math.max(parent.end, feature.end);
+            });
+        });
+        synthesized.forEach(feature => {
+            feature.parentIds.forEach(parentId => {
+                const parent = byId.get(parentId) || synthesize(parentId, 'gene', feature, []);
+                parent.start = Math.min(parent.start, feature.start);
+                parent.end = Math.max(parent.end, feature.end);
+            });
+        });
+        features.push(...synthesized);
+
+        // Collect children per parent
+        const childrenById = new Map();
+        features.forEach(feature => {
+            (feature.parentIds || []).forEach(parentId => {
+                if (!byId.has(parentId)) return;
+                if (!childrenById.has(parentId)) childrenById.set(parentId, []);
+                childrenById.get(parentId).push(feature);
+            });
+        });
+
+        // Transcripts are non-gene features with exon/CDS/UTR children
+        childrenById.forEach((children, parentId) => {
+            const transcript = byId.get(parentId);
+            const parts = children.filter(child => GeneModelBuilder.isPartType(child.type));
+            if (parts.length === 0 || GeneModelBuilder.GENE_TYPES.includes(transcript.type)) {
+                return;
+            }
+
+            transcript.modelRole = 'transcript';
+            const exonParts = parts.filter(part => part.type.toLowerCase() === 'exon');
+            const cdsParts = parts.filter(part => ['cds', 'stop_codon'].includes(part.type.toLowerCase()));
+            transcript.exons = GeneModelBuilder.mergeBlocks(exonParts.length > 0 ? exonParts : parts);
+            transcript.cds = GeneModelBuilder.mergeBlocks(cdsParts);
+
+            parts.forEach(part => {
+                part.modelRole = 'part';
+                part.transcriptIds = part.transcriptIds || [];
+                part.transcriptIds.push(parentId);
+            });
+
+            const gene = (transcript.parentIds || []).map(id => byId.get(id)).find(Boolean);
+            if (gene) {
+                transcript.parentGeneId = gene.id;
+                gene.modelRole = 'gene';
+                gene.transcripts = gene.transcripts || [];
+                gene.transcripts.push(transcript);
+            }
+        });
+
+        // Collapsed gene view: union of the blocks of all isoforms
+        features.forEach(feature => {
+            if (feature.modelRole !== 'gene') return;
+            feature.exons = GeneModelBuilder.mergeBlocks(feature.transcripts.flatMap(t => t.exons));
+            feature.cds = GeneModelBuilder.mergeBlocks(feature.transcripts.flatMap(t => t.cds));
+            feature.transcripts.sort((a, b) => a.start - b.start || b.end - a.end);
+        });
+
+        return features;
+    }
+
+    /**
+     * Sort and merge overlapping or adjacent blocks
+     * @param {Array} blocks - { start, end } (1-based, inclusive)
+     * @returns {Array} New merged { start, end } blocks
+     */
+    static mergeBlocks(blocks) {
+        const sorted = blocks
+            .map(block => ({ start: block.start, end: block.end }))
+            .sort((a, b) => a.start - b.start);
+        const merged = [];
+        sorted.forEach(block => {
+            const last = merged[merged.length - 1];
+            if (last && block.start <= last.end + 1) {
+                last.end = Math.max(last.end, block.end);
+            } else {
+                merged.push(block);
+            }
+        });
+        return merged;
+    }
+
+    /**
+     * Split the exons of a model into thin (UTR) and thick (CDS) segments for drawing.
+     * Non-coding models have no CDS and are drawn thick throughout.
+     * @param {Object} model - Gene or transcript with exons/cds
+     * @returns {Array} { start, end, thick } segments (1-based, inclusive)
+     */
+    static getDrawSegments(model) {
+        const exons = model.exons || [];
+        const cds = model.cds || [];
+        if (cds.length === 0) {
+            return exons.map(exon => ({ start: exon.start, end: exon.end, thick: true }));
+        }
+
+        const segments = [];
+        exons.forEach(exon => {
+            let position = exon.start;
+            cds.forEach(block => {
+                const start = Math.max(exon.start, block.start);
+                const end = Math.min(exon.end, block.end);
+                if (start > end) return;
+                if (start > position) {
+                    segments.push({ start: position, end: start - 1, thick: false });
+                }
+                segments.push({ start, end, thick: true });
+                position = end + 1;
+            });
+            if (position <= exon.end) {
+                segments.push({ start: position, end: exon.end, thick: false });
+            }
+        });
+        return segments;
+    }
+
+    /**
+     * Check whether a feature is drawn as part of another model rather than on its own
+     * @param {Object} feature - Annotation feature
+     * @returns {boolean}
+     */
+    static isNestedInModel(feature) {
+        return feature.modelRole === 'part' || (feature.modelRole === 'transcript' && !!feature.parentGeneId);
+    }
+
+    /**
+     * Display name of a gene or transcript model
+     * @param {Object} feature - Annotation feature
+     * @returns {string}
+     */
+    static getModelName(feature) {
+        const q = feature.qualifiers || {};
+        const first = value => Array.isArray(value) ? value[0] : value;
+        const keys = feature.modelRole === 'transcript'
+            ? ['transcript_name', 'Name', 'transcript_id', 'ID']
+            : ['gene_name', 'Name', 'gene', 'gene_id', 'locus_tag', 'ID'];
+        for (const key of keys) {
+            if (q[key]) return first(q[key]);
+        }
+        return feature.id || feature.type;
+    }
+}
+
+// Export for Node.js and browser compatibility
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GeneModelBuilder;
+} else if (typeof window !== 'undefined') {
+    window.GeneModelBuilder = GeneModelBuilder;
+}
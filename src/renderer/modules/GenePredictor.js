@@ -0,0 +1,531 @@
+/**
+ * GenePredictor - Self-trained ab initio gene prediction for prokaryotic genomes
+ *
+ * Candidates are open reading frames between in-frame stop codons that begin with one of the
+ * allowed start codons (ATG, GTG, TTG). The coding model is a dicodon (in-frame hexamer)
+ * log-odds table trained on the genome itself: first on long non-overlapping ORFs, then on the
+ * genes predicted in the previous round. For every stop codon the start maximising
+ * coding score + start codon weight + Shine-Dalgarno bonus (MicrobeGenomicsFunctions.predictRBS)
+ * is kept, and overlapping candidates are resolved by choosing the highest-scoring set of genes
+ * in which no two genes overlap by more than maxOverlap bp.
+ */
+
+class GenePredictor {
+
+    /**
+     * Default prediction options
+     */
+    static get DEFAULT_OPTIONS() {
+        return {
+            minLength: 90,            // bp, start to stop codon inclusive
+            trainingMinLength: 300,   // bp, ORFs used for the first training round
+            maxOverlap: 60,           // bp two predicted genes may share
+            minScore: 0,              // total log-odds score a gene needs
+            startCodons: ['ATG', 'GTG', 'TTG'],
+            geneticCode: 11,
+            iterations: 2,            // training rounds after the initial long-ORF model
+            rbsWindow: 20,            // bp upstream of the start searched for a Shine-Dalgarno site
+            locusTagPrefix: 'PRED'
+        };
+    }
+
+    /**
+     * Start codon weights and RBS scores used before the first training round
+     */
+    static get INITIAL_START_MODEL() {
+        return {
+            startWeights: { ATG: 0, GTG: -1, TTG: -1.5 },
+            rbsPresent: 2,
+            rbsAbsent: -0.5
+        };
+    }
+
+    /**
+     * Sequence as base codes (A=0, C=1, G=2, T/U=3, anything else 4)
+     */
+    static encode(sequence) {
+        const codes = new Uint8Array(sequence.length);
+        for (let i = 0; i < sequence.length; i++) {
+            switch (sequence.charCodeAt(i) | 32) {
+                case 97: codes[i] = 0; break;   // a
+                case 99: codes[i] = 1; break;   // c
+                case 103: codes[i] = 2; break;  // g
+                case 116:                       // t
+                case 117: codes[i] = 3; break;  // u
+                default: codes[i] = 4;
+            }
+        }
+        return codes;
+    }
+
+    static reverseComplementCodes(codes) {
+        const length = codes.length;
+        const result = new Uint8Array(length);
+        for (let i = 0; i < length; i++) {
+            const code = codes[length - 1 - i];
+            result[i] = code < 4 ? 3 - code : 4;
+        }
+        return result;
+    }
+
+    static decode(codes, from, to) {
+        let text = '';
+        for (let i = Math.max(0, from); i < Math.min(codes.length, to); i++) {
+            text += 'ACGTN'[codes[i]];
+        }
+        return text;
+    }
+
+    /**
+     * Codon index 0-63 at a position, or -1 when it contains an ambiguous base
+     */
+    static codonAt(codes, i) {
+        const a = codes[i];
+        const b = codes[i + 1];
+        const c = codes[i + 2];
+        return a < 4 && b < 4 && c < 4 ? (a << 4) | (b << 2) | c : -1;
+    }
+
+    static codonIndex(codon) {
+        return this.codonAt(this.encode(codon), 0);
+    }
+
+    /**
+     * Predict protein-coding genes
+     * @param {Object} sequences - Chromosome name to DNA sequence
+     * @param {Object} options - See DEFAULT_OPTIONS
+     * @param {Function} onProgress - Optional callback(message)
+     * @returns {Object} { genes: { chromosome: [CDS features] }, model: training summary }
+     */
+    static predict(sequences, options = {}, onProgress = null) {
+        const settings = { ...this.DEFAULT_OPTIONS, ...options };
+        const progress = message => {
+            console.log(`🧬 GenePredictor: ${message}`);
+            if (onProgress) onProgress(message);
+        };
+
+        const stopFlags = new Uint8Array(64);
+        UnifiedDNATranslation.getStopCodons(settings.geneticCode)
+            .forEach(codon => { stopFlags[this.codonIndex(codon)] = 1; });
+        const startTypes = new Map(settings.startCodons.map(codon => [this.codonIndex(codon.toUpperCase()), codon.toUpperCase()]));
+
+        // Candidate ORFs of every chromosome on both strands
+        const strands = [];
+        Object.entries(sequences).forEach(([chromosome, sequence]) => {
+            const forward = this.encode(sequence);
+            [forward, this.reverseComplementCodes(forward)].forEach((codes, strandIndex) => {
+                strands.push({
+                    chromosome,
+                    strand: strandIndex === 0 ? 1 : -1,
+                    codes,
+                    orfs: this.findOrfs(codes, stopFlags, startTypes, settings)
+                });
+            });
+        });
+        const candidateCount = strands.reduce((sum, strand) => sum + strand.orfs.length, 0);
+        progress(`${candidateCount.toLocaleString()} candidate ORFs ≥ ${settings.minLength} bp`);
+
+        const background = this.countBackgroundHexamers(strands);
+
+        // Round 0: long ORFs from their first start, without overlapping longer ones
+        let training = this.selectLongOrfs(strands, settings);
+        let startModel = this.INITIAL_START_MODEL;
+        let selected = [];
+
+        for (let round = 0; round <= settings.iterations; round++) {
+            const codingModel = this.trainCodingModel(training, background);
+            const candidates = [];
+            strands.forEach(strand => {
+                strand.orfs.forEach(orf => {
+                    const best = this.scoreOrf(strand, orf, codingModel, startModel);
+                    if (best.score > settings.minScore) {
+                        candidates.push(best);
+                    }
+                });
+            });
+
+            selected = this.resolveOverlaps(candidates, settings.maxOverlap);
+            progress(`round ${round + 1}: trained on ${training.length.toLocaleString()} genes, ${selected.length.toLocaleString()} predicted`);
+
+            training = selected;
+            startModel = this.trainStartModel(selected, startModel);
+        }
+
+        const genes = {};
+        Object.keys(sequences).forEach(chromosome => { genes[chromosome] = []; });
+        selected.forEach(candidate => genes[candidate.chromosome].push(candidate));
+
+        let counter = 0;
+        Object.keys(genes).forEach(chromosome => {
+            genes[chromosome] = genes[chromosome]
+                .sort((a, b) => a.start - b.start)
+                .map(candidate => this.toFeature(candidate, ++counter, settings));
+        });
+
+        return {
+            genes,
+            model: {
+                candidateOrfs: candidateCount,
+                trainingGenes: training.length,
+                startWeights: startModel.startWeights,
+                rbsPresent: startModel.rbsPresent,
+                rbsAbsent: startModel.rbsAbsent,
+                settings
+            }
+        };
+    }
+
+    /**
+     * ORFs of one strand: each stop codon with its candidate starts (upstream to downstream)
+     * Starts are kept only when the gene would reach minLength; each start carries its RBS context.
+     */
+    static findOrfs(codes, stopFlags, startTypes, settings) {
+        const orfs = [];
+        const length = codes.length;
+
+        for (let frame = 0; frame < 3; frame++) {
+            let starts = [];
+            for (let i = frame; i + 2 < length; i += 3) {
+                const codon = this.codonAt(codes, i);
+                if (codon < 0) continue;
+
+                if (stopFlags[codon]) {
+                    const end = i + 3;
+                    const valid = starts.filter(start => end - start.position >= settings.minLength);
+                    if (valid.length > 0) {
+                        valid.forEach(start => Object.assign(start, this.findRBS(codes, start.position, settings.rbsWindow)));
+                        orfs.push({ stop: i, starts: valid });
+                    }
+                    starts = [];
+                } else if (startTypes.has(codon)) {
+                    starts.push({ position: i, codon: startTypes.get(codon) });
+                }
+            }
+        }
+        return orfs;
+    }
+
+    /**
+     * Shine-Dalgarno site upstream of a start with MicrobeGenomicsFunctions.predictRBS
+     * @returns {Object} { rbsMotif, rbsSpacer, rbsStrength } with strength 0-1 (0 when absent)
+     */
+    static findRBS(codes, position, windowSize) {
+        const upstream = this.decode(codes, position - windowSize, position);
+        let best = { rbsMotif: null, rbsSpacer: null, rbsStrength: 0 };
+
+        MicrobeGenomicsFunctions.predictRBS(upstream).forEach(site => {
+            // Spacer: bases between the end of the motif and the start codon (5-10 bp is typical)
+            const spacer = upstream.length - site.end;
+            const spacerFactor = spacer >= 5 && spacer <= 10 ? 1 : (spacer >= 3 && spacer <= 13 ? 0.5 : 0);
+            const strength = site.confidence * spacerFactor;
+            if (strength > best.rbsStrength) {
+                best = { rbsMotif: site.sequence.toUpperCase(), rbsSpacer: spacer, rbsStrength: strength };
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Hexamer counts over both strands of the whole genome (the non-coding background)
+     */
+    static countBackgroundHexamers(strands) {
+        const counts = new Float64Array(4096);
+        strands.forEach(({ codes }) => {
+            let index = 0;
+            let valid = 0;
+            for (let i = 0; i < codes.length; i++) {
+                const code = codes[i];
+                if (code > 3) {
+                    valid = 0;
+                    continue;
+                }
+                index = ((index << 2) | code) & 4095;
+                if (++valid >= 6) {
+                    counts[index]++;
+                }
+            }
+        });
+        return counts;
+    }
+
+    /**
+     * Longest ORF of each stop codon, longest first, skipping those that overlap a kept ORF
+     */
+    static selectLongOrfs(strands, settings) {
+        const orfs = [];
+        strands.forEach(strand => {
+            strand.orfs.forEach(orf => {
+                const first = orf.starts[0];
+                const geneLength = orf.stop + 3 - first.position;
+                if (geneLength >= settings.trainingMinLength) {
+                    orfs.push(this.toCandidate(strand, orf, first, 0));
+                }
+            });
+        });
+
+        orfs.sort((a, b) => (b.end - b.start) - (a.end - a.start));
+        const kept = [];
+        const byChromosome = {};
+        orfs.forEach(orf => {
+            const others = byChromosome[orf.chromosome] || (byChromosome[orf.chromosome] = []);
+            const overlapping = others.some(other =>
+                Math.min(other.end, orf.end) - Math.max(other.start, orf.start) + 1 > settings.maxOverlap);
+            if (!overlapping) {
+                others.push(orf);
+                kept.push(orf);
+            }
+        });
+        return kept;
+    }
+
+    /**
+     * Dicodon log-odds: log P(hexamer | in-frame coding) - log P(hexamer | genome background)
+     */
+    static trainCodingModel(genes, background) {
+        const coding = new Float64Array(4096);
+        genes.forEach(gene => {
+            const codes = gene.codes;
+            for (let i = gene.startPosition + 3; i < gene.stopPosition; i += 3) {
+                const previous = this.codonAt(codes, i - 3);
+                const codon = this.codonAt(codes, i);
+                if (previous >= 0 && codon >= 0) {
+                    coding[(previous << 6) | codon]++;
+                }
+            }
+        });
+
+        const codingTotal = coding.reduce((sum, value) => sum + value, 0) + 4096;
+        const backgroundTotal = background.reduce((sum, value) => sum + value, 0) + 4096;
+        const model = new Float64Array(4096);
+        for (let h = 0; h < 4096; h++) {
+            model[h] = Math.log((coding[h] + 1) / codingTotal) - Math.log((background[h] + 1) / backgroundTotal);
+        }
+        return model;
+    }
+
+    /**
+     * Start codon and RBS log-odds: chosen starts of the predicted genes against all their
+     * alternative starts
+     */
+    static trainStartModel(genes, previous) {
+        const chosen = { total: 0, rbs: 0, codons: {} };
+        const all = { total: 0, rbs: 0, codons: {} };
+        const add = (bucket, start) => {
+            bucket.total++;
+            if (start.rbsStrength > 0) bucket.rbs++;
+            bucket.codons[start.codon] = (bucket.codons[start.codon] || 0) + 1;
+        };
+        genes.forEach(gene => {
+            add(chosen, gene.startInfo);
+            gene.orf.starts.forEach(start => add(all, start));
+        });
+        if (chosen.total === 0) {
+            return previous;
+        }
+
+        const startWeights = {};
+        Object.keys(all.codons).forEach(codon => {
+            startWeights[codon] = Math.log(((chosen.codons[codon] || 0) + 1) / (chosen.total + 3)) -
+                Math.log((all.codons[codon] + 1) / (all.total + 3));
+        });
+        const chosenRate = (chosen.rbs + 1) / (chosen.total + 2);
+        const allRate = (all.rbs + 1) / (all.total + 2);
+        return {
+            startWeights,
+            rbsPresent: Math.log(chosenRate / allRate),
+            rbsAbsent: Math.log((1 - chosenRate) / (1 - allRate))
+        };
+    }
+
+    /**
+     * Best start of an ORF under the current models
+     * @returns {Object} Candidate gene { chromosome, strand, start, end, score, codingScore, startScore, ... }
+     */
+    static scoreOrf(strand, orf, codingModel, startModel) {
+        const codes = strand.codes;
+        let cumulative = 0;
+        let position = orf.stop - 3;
+        let best = null;
+
+        // Walk from the stop codon upstream so each start sees the coding score of its gene
+        for (let s = orf.starts.length - 1; s >= 0; s--) {
+            const start = orf.starts[s];
+            for (; position >= start.position + 3; position -= 3) {
+                const previous = this.codonAt(codes, position - 3);
+                const codon = this.codonAt(codes, position);
+                if (previous >= 0 && codon >= 0) {
+                    cumulative += codingModel[(previous << 6) | codon];
+                }
+            }
+
+            const startScore = (startModel.startWeights[start.codon] || 0) +
+                (start.rbsStrength > 0 ? start.rbsStrength * startModel.rbsPresent : startModel.rbsAbsent);
+            const score = cumulative + startScore;
+            if (!best || score > best.score) {
+                best = { score, codingScore: cumulative, startScore, start };
+            }
+        }
+
+        const candidate = this.toCandidate(strand, orf, best.start, best.score);
+        candidate.codingScore = best.codingScore;
+        candidate.startScore = best.startScore;
+        return candidate;
+    }
+
+    /**
+     * Candidate gene with 1-based genome coordinates
+     */
+    static toCandidate(strand, orf, start, score) {
+        const length = strand.codes.length;
+        const from = start.position;
+        const to = orf.stop + 3;
+        return {
+            chromosome: strand.chromosome,
+            strand: strand.strand,
+            start: strand.strand === 1 ? from + 1 : length - to + 1,
+            end: strand.strand === 1 ? to : length - from,
+            score,
+            codes: strand.codes,
+            startPosition: from,
+            stopPosition: orf.stop,
+            startInfo: start,
+            orf
+        };
+    }
+
+    /**
+     * Highest-scoring set of candidates in which no two genes overlap by more than maxOverlap bp
+     * (weighted interval scheduling per chromosome)
+     */
+    static resolveOverlaps(candidates, maxOverlap) {
+        const byChromosome = {};
+        candidates.forEach(candidate => {
+            (byChromosome[candidate.chromosome] || (byChromosome[candidate.chromosome] = [])).push(candidate);
+        });
+
+        const selected = [];
+        Object.values(byChromosome).forEach(list => {
+            list.sort((a, b) => a.end - b.end);
+            const count = list.length;
+            const best = new Float64Array(count + 1);
+            const previous = new Int32Array(count);
+
+            for (let i = 0; i < count; i++) {
+                // Last candidate (by end) that ends early enough to be compatible with candidate i
+                const limit = list[i].start + maxOverlap;
+                let low = 0;
+                let high = i - 1;
+                let compatible = -1;
+                while (low <= high) {
+                    const middle = (low + high) >> 1;
+                    if (list[middle].end < limit) {
+                        compatible = middle;
+                        low = middle + 1;
+                    } else {
+                        high = middle - 1;
+                    }
+                }
+                previous[i] = compatible;
+                best[i + 1] = Math.max(best[i], list[i].score + best[compatible + 1]);
+            }
+
+            for (let i = count - 1; i >= 0;) {
+                if (best[i + 1] === best[i]) {
+                    i--;
+                } else {
+                    selected.push(list[i]);
+                    i = previous[i];
+                }
+            }
+        });
+        return selected;
+    }
+
+    /**
+     * CDS annotation feature of a predicted gene
+     */
+    static toFeature(candidate, number, settings) {
+        const dna = this.decode(candidate.codes, candidate.startPosition, candidate.stopPosition + 3);
+        const locusTag = `${settings.locusTagPrefix}_${String(number).padStart(5, '0')}`;
+        const start = candidate.startInfo;
+        const note = [
+            `score=${candidate.score.toFixed(2)}`,
+            `coding_score=${candidate.codingScore.toFixed(2)}`,
+            `start_codon=${start.codon}`,
+            start.rbsMotif ? `rbs_motif=${start.rbsMotif}` : 'rbs_motif=None',
+            start.rbsMotif ? `rbs_spacer=${start.rbsSpacer}bp` : null
+        ].filter(Boolean).join(';');
+
+        return {
+            type: 'CDS',
+            start: candidate.start,
+            end: candidate.end,
+            strand: candidate.strand,
+            chromosome: candidate.chromosome,
+            source: 'GenePredictor',
+            score: Math.round(candidate.score * 100) / 100,
+            predicted: true,
+            qualifiers: {
+                locus_tag: locusTag,
+                product: 'hypothetical protein',
+                inference: 'ab initio prediction:GenePredictor',
+                note,
+                codon_start: '1',
+                transl_table: String(settings.geneticCode),
+                translation: UnifiedDNATranslation.translateCDS(dna, 1, settings.geneticCode).replace(/\*$/, '')
+            }
+        };
+    }
+
+    /**
+     * Compare predicted CDS with an existing annotation; genes match when they share the stop codon
+     * @param {Array} predicted - Predicted CDS features
+     * @param {Array} reference - Existing features (only CDS are compared)
+     * @returns {Object} { identical, differentStart, novel, missed, summary } where identical and
+     *          differentStart hold { predicted, reference } pairs; predicted features get a
+     *          comparison field ('identical', 'differentStart' or 'novel')
+     */
+    static compareWithAnnotation(predicted, reference) {
+        const isReverse = feature => feature.strand === -1 || feature.strand === '-';
+        const stopKey = feature => isReverse(feature) ? `-:${feature.start}` : `+:${feature.end}`;
+        const referenceCDS = (reference || []).filter(feature => feature.type === 'CDS' && !feature.predicted);
+        const byStop = new Map(referenceCDS.map(feature => [stopKey(feature), feature]));
+        const matched = new Set();
+        const result = { identical: [], differentStart: [], novel: [], missed: [] };
+
+        predicted.forEach(feature => {
+            const match = byStop.get(stopKey(feature));
+            if (!match) {
+                feature.comparison = 'novel';
+                result.novel.push(feature);
+                return;
+            }
+            matched.add(match);
+            feature.comparison = match.start === feature.start && match.end === feature.end ? 'identical' : 'differentStart';
+            result[feature.comparison].push({ predicted: feature, reference: match });
+        });
+        result.missed = referenceCDS.filter(feature => !matched.has(feature));
+
+        const sameStop = result.identical.length + result.differentStart.length;
+        const percent = (value, total) => total > 0 ? Math.round(value / total * 1000) / 10 : null;
+        result.summary = {
+            predicted: predicted.length,
+            reference: referenceCDS.length,
+            identical: result.identical.length,
+            differentStart: result.differentStart.length,
+            novel: result.novel.length,
+            missed: result.missed.length,
+            sensitivity: percent(sameStop, referenceCDS.length),
+            precision: percent(sameStop, predicted.length),
+            startAgreement: percent(result.identical.length, sameStop)
+        };
+        return result;
+    }
+}
+
+// Export for Node.js and browser compatibility
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GenePredictor;
+} else if (typeof window !== 'undefined') {
+    window.GenePredictor = GenePredictor;
+}
@@ -40,6 +40,7 @@ class GeneralSettingsManager {
             // Features
             enableGCContent: true,
             enableProteinTranslation: true,
+            defaultGeneticCode: 1,
             enableOperonPrediction: true,
             enableSyntaxHighlighting: true,
             enableAutoSave: true,
@@ -269,6 +270,18 @@ class GeneralSettingsManager {
             });
         }
 
+        const defaultGeneticCodeSelect = document.getElementById('defaultGeneticCode');
+        if (defaultGeneticCodeSelect) {
+            defaultGeneticCodeSelect.addEventListener('change', (e) => {
+                this.updateSetting('defaultGeneticCode', parseInt(e.target.value));
+                // Redraw protein and translation tracks with the new code
+                if (window.genomeBrowser && window.genomeBrowser.currentChromosome) {
+                    const chr = window.genomeBrowser.currentChromosome;
+                    window.genomeBrowser.displayGenomeView(chr, window.genomeBrowser.currentSequence[chr]);
+                }
+            });
+        }
+
         const renderingModeSelect = document.getElementById('renderingMode');
         if (renderingModeSelect) {
             renderingModeSelect.addEventListener('change', (e) => {
@@ -600,6 +613,9 @@ class GeneralSettingsManager {
             maxSequenceLengthSelect.value = value;
         }
 
+        const defaultGeneticCodeSelect = document.getElementById('defaultGeneticCode');
+        if (defaultGeneticCodeSelect) defaultGeneticCodeSelect.value = this.settings.defaultGeneticCode.toString();
+
         const renderingModeSelect = document.getElementById('renderingMode');
         if (renderingModeSelect) renderingModeSelect.value = this.settings.renderingMode;
 
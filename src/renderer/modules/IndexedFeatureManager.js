@@ -0,0 +1,189 @@
+/**
+ * IndexedFeatureManager - Region-based loading and caching for tabix-indexed feature files
+ * Follows the ReadsManager approach: only the records of the viewed region are fetched,
+ * parsed and kept in an LRU cache
+ */
+
+class IndexedFeatureManager {
+    /**
+     * @param {Object} genomeBrowser - Genome browser instance
+     * @param {TabixReader} reader - Initialized tabix reader
+     * @param {Function} parseLines - (lines, chromosome) => features, converts raw lines to track features
+     */
+    constructor(genomeBrowser, reader, parseLines) {
+        this.genomeBrowser = genomeBrowser;
+        this.reader = reader;
+        this.parseLines = parseLines;
+        this.cache = new Map(); // Cache for loaded regions
+        this.pendingRequests = new Map(); // Region fetches in flight
+        this.maxCacheSize = 50; // Maximum number of cached regions
+        this.regionSize = 50000; // Regions are aligned to 50kb blocks so small pans hit the cache
+
+        // Statistics
+        this.stats = {
+            loadedRegions: 0,
+            cacheHits: 0,
+            cacheMisses: 0
+        };
+    }
+
+    /**
+     * Get features overlapping a region (main entry point)
+     * @param {string} chromosome - Chromosome name
+     * @param {number} start - Region start
+     * @param {number} end - Region end
+     * @returns {Promise<Array>} Features overlapping the region
+     */
+    async getFeaturesForRegion(chromosome, start, end) {
+        const { blockStart, blockEnd } = this.getAlignedRegion(start, end);
+        const regionKey = this.getRegionKey(chromosome, blockStart, blockEnd);
+
+        if (this.cache.has(regionKey)) {
+            this.stats.cacheHits++;
+            const cached = this.cache.get(regionKey);
+            cached.lastAccessed = Date.now();
+            return this.filterFeaturesForRegion(cached.features, start, end);
+        }
+
+        this.stats.cacheMisses++;
+
+        // Share one fetch between concurrent requests for the same region
+        if (!this.pendingRequests.has(regionKey)) {
+            const request = this.loadFeaturesForRegion(chromosome, blockStart, blockEnd)
+                .then(features => {
+                    this.cacheRegion(regionKey, features);
+                    return features;
+                })
+                .finally(() => this.pendingRequests.delete(regionKey));
+            this.pendingRequests.set(regionKey, request);
+        }
+
+        const features = await this.pendingRequests.get(regionKey);
+        return this.filterFeaturesForRegion(features, start, end);
+    }
+
+    /**
+     * Get features for a region from the cache only (for synchronous renderers)
+     * @returns {Array|null} Features, or null if the region has not been loaded yet
+     */
+    getCachedFeaturesForRegion(chromosome, start, end) {
+        const { blockStart, blockEnd } = this.getAlignedRegion(start, end);
+        const cached = this.cache.get(this.getRegionKey(chromosome, blockStart, blockEnd));
+        if (!cached) {
+            return null;
+        }
+        cached.lastAccessed = Date.now();
+        return this.filterFeaturesForRegion(cached.features, start, end);
+    }
+
+    /**
+     * Query the tabix index and parse the matching records
+     * @private
+     */
+    async loadFeaturesForRegion(chromosome, start, end) {
+        this.genomeBrowser.updateStatus(`Loading indexed features for ${chromosome}:${start.toLocaleString()}-${end.toLocaleString()}...`);
+
+        // Tabix queries are 0-based half-open; features use 1-based inclusive coordinates
+        const lines = await this.reader.getLinesForRange(chromosome, Math.max(0, start - 1), end);
+        const features = this.parseLines(lines, chromosome);
+
+        this.stats.loadedRegions++;
+        console.log(`✅ [IndexedFeatureManager] Loaded ${features.length} features for ${chromosome}:${start}-${end}`);
+
+        return features;
+    }
+
+    /**
+     * Expand a region to the enclosing block boundaries
+     */
+    getAlignedRegion(start, end) {
+        const blockStart = Math.floor(Math.max(0, start) / this.regionSize) * this.regionSize;
+        const blockEnd = Math.ceil(Math.max(end, start + 1) / this.regionSize) * this.regionSize;
+        return { blockStart, blockEnd };
+    }
+
+    /**
+     * Generate a cache key for a region
+     */
+    getRegionKey(chromosome, start, end) {
+        return `${chromosome}:${start}-${end}`;
+    }
+
+    /**
+     * Filter features to exact region boundaries
+     */
+    filterFeaturesForRegion(features, start, end) {
+        return features.filter(feature =>
+            feature.start <= end && feature.end >= start
+        );
+    }
+
+    /**
+     * Cache region data with LRU eviction
+     */
+    cacheRegion(regionKey, features) {
+        if (this.cache.size >= this.maxCacheSize) {
+            this.evictOldestCacheEntries();
+        }
+
+        this.cache.set(regionKey, {
+            features: features,
+            lastAccessed: Date.now(),
+            size: features.length
+        });
+    }
+
+    /**
+     * Evict oldest cache entries to make room for new ones
+     */
+    evictOldestCacheEntries() {
+        const entriesToRemove = Math.max(1, Math.floor(this.maxCacheSize * 0.2)); // Remove 20% of cache
+        const entries = Array.from(this.cache.entries());
+
+        // Sort by last accessed time (oldest first)
+        entries.sort((a, b) => a[1].lastAccessed - b[1].lastAccessed);
+
+        for (let i = 0; i < entriesToRemove && i < entries.length; i++) {
+            this.cache.delete(entries[i][0]);
+        }
+    }
+
+    /**
+     * Clear cache for memory management
+     */
+    clearCache() {
+        this.cache.clear();
+    }
+
+    /**
+     * Get cache statistics
+     */
+    getCacheStats() {
+        const memoryUsage = Array.from(this.cache.values())
+            .reduce((total, entry) => total + entry.size, 0);
+
+        return {
+            ...this.stats,
+            cacheSize: this.cache.size,
+            maxCacheSize: this.maxCacheSize,
+            memoryUsage: memoryUsage,
+            hitRate: this.stats.cacheHits / (this.stats.cacheHits + this.stats.cacheMisses) || 0
+        };
+    }
+
+    /**
+     * Dispose of resources
+     */
+    dispose() {
+        this.cache.clear();
+        this.pendingRequests.clear();
+        if (this.reader) {
+            this.reader.reset();
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IndexedFeatureManager;
+}
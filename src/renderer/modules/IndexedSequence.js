@@ -0,0 +1,102 @@
+/**
+ * IndexedSequence - Lazy, string-like view of one chromosome of an indexed genome
+ * Stored in genomeBrowser.currentSequence in place of the full sequence string, so code
+ * that only needs .length or .substring() of the viewed region keeps working while the
+ * bases stay on disk. Regions that are not cached yet are returned as 'N' and fetched in
+ * the background; the reader's onRegionLoaded callback then redraws the view.
+ */
+
+class IndexedSequence {
+    /**
+     * @param {IndexedSequenceReader} reader - Initialized reader holding the block cache
+     * @param {string} chromosome - Sequence name
+     * @param {number} length - Sequence length in bases
+     */
+    constructor(reader, chromosome, length) {
+        this.reader = reader;
+        this.chromosome = chromosome;
+        this.length = length;
+        this.isIndexed = true;
+    }
+
+    /**
+     * Get the bases of a region, reading them from disk if needed
+     * @param {number} start - Region start (0-based)
+     * @param {number} end - Region end (0-based, exclusive)
+     * @returns {Promise<string>} Upper-case bases
+     */
+    async getSequence(start, end) {
+        return this.reader.getSequence(this.chromosome, start, end);
+    }
+
+    /**
+     * Get the bases of a region from the cache only
+     * @returns {string|null} Bases, or null if the region is not loaded yet
+     */
+    getCachedSequence(start, end) {
+        return this.reader.getCachedSequence(this.chromosome, start, end);
+    }
+
+    /**
+     * Check whether all bases of a region are cached
+     * @returns {boolean}
+     */
+    hasRange(start, end) {
+        return this.getCachedSequence(start, end) !== null;
+    }
+
+    /**
+     * Check whether a region is small enough to be loaded lazily and kept cached
+     * @returns {boolean}
+     */
+    isLazyLoadable(start, end) {
+        return this.reader.fitsInCache(Math.max(0, start), Math.min(this.length, end));
+    }
+
+    /**
+     * String.prototype.substring semantics over the indexed sequence.
+     * Uncached regions are scheduled for loading and returned as 'N' until then.
+     */
+    substring(start, end = this.length) {
+        let from = Math.max(0, Math.min(Number.isNaN(+start) ? 0 : +start, this.length));
+        let to = Math.max(0, Math.min(Number.isNaN(+end) ? 0 : +end, this.length));
+        if (from > to) {
+            [from, to] = [to, from];
+        }
+
+        const cached = this.getCachedSequence(from, to);
+        if (cached !== null) {
+            return cached;
+        }
+
+        this.reader.scheduleFetch(this.chromosome, from, to);
+        return 'N'.repeat(to - from);
+    }
+
+    /**
+     * String.prototype.slice semantics (negative indices count from the end)
+     */
+    slice(start = 0, end = this.length) {
+        const from = start < 0 ? Math.max(0, this.length + start) : start;
+        const to = end < 0 ? Math.max(0, this.length + end) : end;
+        return from < to ? this.substring(from, to) : '';
+    }
+
+    /**
+     * String.prototype.charAt semantics
+     */
+    charAt(index) {
+        return index >= 0 && index < this.length ? this.substring(index, index + 1) : '';
+    }
+
+    toString() {
+        return this.substring(0, this.length);
+    }
+}
+
+// Export for Node.js and browser compatibility
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IndexedSequence;
+} else if (typeof window !== 'undefined') {
+    window.IndexedSequence = IndexedSequence;
+}
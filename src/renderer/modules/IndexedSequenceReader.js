@@ -0,0 +1,512 @@
+/**
+ * IndexedSequenceReader - Random access to reference sequences of large genomes
+ * Reads FASTA files through a samtools-compatible .fai index (built when missing) and
+ * 2bit files through their own index, so only the bases of the requested regions are
+ * loaded. Fetched bases are kept in fixed-size blocks with LRU eviction.
+ */
+
+// In Electron renderer process, we can use require() for Node.js modules
+let IndexedFasta, TwoBitFile;
+
+try {
+    IndexedFasta = require('@gmod/indexedfasta').IndexedFasta;
+} catch (error) {
+    console.error('Failed to import @gmod/indexedfasta:', error);
+}
+
+try {
+    TwoBitFile = require('@gmod/twobit').TwoBitFile;
+} catch (error) {
+    console.error('Failed to import @gmod/twobit:', error);
+}
+
+class IndexedSequenceReader {
+    constructor() {
+        this.filePath = null;
+        this.faiPath = null;
+        this.format = null; // 'fasta' or '2bit'
+        this.sequenceFile = null;
+        this.references = [];
+        this.isInitialized = false;
+
+        this.blockSize = 100000; // Bases are cached in 100 kb blocks so small pans hit the cache
+        this.maxCachedBlocks = 200;
+        this.blockCache = new Map(); // "chr:blockIndex" -> { bases, lastAccessed }
+        this.pendingBlocks = new Map(); // Block fetches in flight
+        this.scheduledRegions = new Set(); // Background fetches started by scheduleFetch
+
+        // Called with (chromosome, start, end) after a lazily scheduled fetch completes
+        this.onRegionLoaded = null;
+        // Called with (chromosome, start, end) when a region is too large to fetch lazily
+        this.onRegionTooLarge = null;
+
+        // Statistics
+        this.stats = {
+            loadedBlocks: 0,
+            cacheHits: 0,
+            cacheMisses: 0
+        };
+    }
+
+    /**
+     * Check whether a file extension denotes a 2bit file
+     * @param {string} extension - File extension such as '.2bit'
+     * @returns {boolean}
+     */
+    static isTwoBitExtension(extension) {
+        return (extension || '').toLowerCase() === '.2bit';
+    }
+
+    /**
+     * Check whether a file extension denotes a FASTA file that can be indexed
+     * @param {string} extension - File extension such as '.fa'
+     * @returns {boolean}
+     */
+    static isFastaExtension(extension) {
+        return ['.fasta', '.fa', '.fna'].includes((extension || '').toLowerCase());
+    }
+
+    /**
+     * Open the sequence file and read the lengths of all sequences
+     * @param {string} filePath - Path to the FASTA or 2bit file
+     * @param {Function} onProgress - Optional (percent) callback while a .fai index is built
+     * @returns {Promise<Object>} Initialization result
+     */
+    async initialize(filePath, onProgress = null) {
+        try {
+            console.log('🧬 IndexedSequenceReader: Initializing with file:', filePath);
+
+            this.reset();
+            this.filePath = filePath;
+
+            const path = require('path');
+            if (IndexedSequenceReader.isTwoBitExtension(path.extname(filePath))) {
+                if (!TwoBitFile) {
+                    throw new Error('@gmod/twobit is not available. Please ensure it is installed.');
+                }
+                this.format = '2bit';
+                this.sequenceFile = new TwoBitFile({ path: filePath });
+            } else {
+                if (!IndexedFasta) {
+                    throw new Error('@gmod/indexedfasta is not available. Please ensure it is installed.');
+                }
+                this.format = 'fasta';
+                this.faiPath = await this.ensureFaiIndex(filePath, onProgress);
+                this.sequenceFile = new IndexedFasta({ path: filePath, faiPath: this.faiPath });
+            }
+
+            const sizes = await this.sequenceFile.getSequenceSizes();
+            this.references = Object.entries(sizes).map(([name, length]) => ({ name, length }));
+            this.isInitialized = true;
+
+            console.log(`✅ IndexedSequenceReader: ${this.format} file with ${this.references.length} sequences`);
+
+            return {
+                success: true,
+                format: this.format,
+                references: this.references,
+                faiPath: this.faiPath
+            };
+        } catch (error) {
+            console.error('❌ IndexedSequenceReader: Initialization failed:', error);
+            this.reset();
+            throw new Error(`Failed to initialize indexed sequence file: ${error.message}`);
+        }
+    }
+
+    /**
+     * Locate the .fai index of a FASTA file, building and saving one when none exists.
+     * The index is written next to the FASTA file, or to the temp directory if that
+     * location is not writable.
+     * @param {string} fastaPath - Path to the FASTA file
+     * @param {Function} onProgress - Optional (percent) callback
+     * @returns {Promise<string>} Path to the .fai index
+     */
+    async ensureFaiIndex(fastaPath, onProgress = null) {
+        const fs = require('fs');
+        const os = require('os');
+        const path = require('path');
+
+        const faiPath = `${fastaPath}.fai`;
+        const tempFaiPath = path.join(os.tmpdir(), `${path.basename(fastaPath)}.${fs.statSync(fastaPath).size}.fai`);
+
+        for (const candidate of [faiPath, tempFaiPath]) {
+            if (fs.existsSync(candidate) && fs.statSync(candidate).mtimeMs >= fs.statSync(fastaPath).mtimeMs) {
+                console.log('🧬 IndexedSequenceReader: Using existing index', candidate);
+                return candidate;
+            }
+        }
+
+        console.log('🧬 IndexedSequenceReader: Building .fai index for', fastaPath);
+        const faiText = await this.buildFaiIndex(fastaPath, onProgress);
+
+        try {
+            await fs.promises.writeFile(faiPath, faiText);
+            return faiPath;
+        } catch (error) {
+            console.warn(`Cannot write ${faiPath} (${error.message}), saving index to temp directory`);
+            await fs.promises.writeFile(tempFaiPath, faiText);
+            return tempFaiPath;
+        }
+    }
+
+    /**
+     * Scan a FASTA file once and produce samtools faidx index lines:
+     * NAME, LENGTH, OFFSET (byte of the first base), LINEBASES, LINEWIDTH
+     * @param {string} fastaPath - Path to the FASTA file
+     * @param {Function} onProgress - Optional (percent) callback
+     * @returns {Promise<string>} Index file content
+     */
+    async buildFaiIndex(fastaPath, onProgress = null) {
+        const fs = require('fs');
+        const fileSize = fs.statSync(fastaPath).size;
+        const stream = fs.createReadStream(fastaPath, { highWaterMark: 1 << 20 });
+
+        const records = [];
+        let record = null;
+        let chunkOffset = 0; // Absolute offset of the current chunk
+        let lineStart = 0; // Absolute offset of the current line
+        let lineIsHeader = null;
+        let headerParts = [];
+        let lastByte = -1;
+        let lastReported = -1;
+
+        const handleLine = (lineWidth, terminatorLength, headerText) => {
+            if (headerText !== null) {
+                const name = headerText.substring(1).trim().split(/\s+/)[0];
+                if (!name) {
+                    throw new Error(`Empty sequence name at byte ${lineStart}`);
+                }
+                record = { name, length: 0, offset: lineStart + lineWidth, lineBases: 0, lineWidth: 0, ended: false };
+                records.push(record);
+                return;
+            }
+
+            const bases = lineWidth - terminatorLength;
+            if (!record) {
+                if (bases > 0) {
+                    throw new Error('Sequence data found before the first ">" header line');
+                }
+                return;
+            }
+            if (bases === 0) {
+                // Blank lines may only follow the sequence
+                record.ended = record.lineBases > 0;
+                return;
+            }
+            if (record.ended) {
+                throw new Error(`Different line length in sequence '${record.name}'`);
+            }
+            if (record.lineBases === 0) {
+                record.lineBases = bases;
+                record.lineWidth = lineWidth;
+            } else if (bases !== record.lineBases || lineWidth !== record.lineWidth) {
+                if (bases > record.lineBases) {
+                    throw new Error(`Different line length in sequence '${record.name}'`);
+                }
+                // A shorter line is only allowed as the last line of a sequence
+                record.ended = true;
+            }
+            record.length += bases;
+        };
+
+        for await (const chunk of stream) {
+            let i = 0;
+            while (i < chunk.length) {
+                if (lineIsHeader === null) {
+                    lineIsHeader = chunk[i] === 0x3e; // '>'
+                }
+                const newline = chunk.indexOf(0x0a, i);
+                const stop = newline === -1 ? chunk.length : newline + 1;
+                if (lineIsHeader) {
+                    headerParts.push(Buffer.from(chunk.subarray(i, stop)));
+                }
+                if (newline === -1) {
+                    break;
+                }
+
+                const byteBeforeNewline = newline > 0 ? chunk[newline - 1] : lastByte;
+                const terminatorLength = byteBeforeNewline === 0x0d ? 2 : 1;
+                const lineWidth = chunkOffset + stop - lineStart;
+                handleLine(lineWidth, Math.min(terminatorLength, lineWidth),
+                    lineIsHeader ? Buffer.concat(headerParts).toString('utf8') : null);
+
+                lineStart = chunkOffset + stop;
+                lineIsHeader = null;
+                headerParts = [];
+                i = stop;
+            }
+            chunkOffset += chunk.length;
+            lastByte = chunk[chunk.length - 1];
+
+            const percent = Math.floor((chunkOffset / fileSize) * 100);
+            if (onProgress && percent !== lastReported) {
+                lastReported = percent;
+                onProgress(percent);
+            }
+        }
+
+        // Last line without a trailing newline
+        if (lineStart < chunkOffset) {
+            const lineWidth = chunkOffset - lineStart;
+            handleLine(lineWidth, lastByte === 0x0d ? 1 : 0,
+                lineIsHeader ? Buffer.concat(headerParts).toString('utf8') : null);
+        }
+
+        if (records.length === 0) {
+            throw new Error('No FASTA records found');
+        }
+
+        return records
+            .map(r => `${r.name}\t${r.length}\t${r.offset}\t${r.lineBases}\t${r.lineWidth}`)
+            .join('\n') + '\n';
+    }
+
+    /**
+     * Get the bases of a region, reading uncached blocks from disk
+     * @param {string} chromosome - Sequence name
+     * @param {number} start - Region start (0-based)
+     * @param {number} end - Region end (0-based, exclusive)
+     * @returns {Promise<string>} Upper-case bases
+     */
+    async getSequence(chromosome, start, end) {
+        if (!this.isReady()) {
+            throw new Error('IndexedSequenceReader is not initialized');
+        }
+
+        const { from, to } = this.clampRegion(chromosome, start, end);
+        if (from >= to) {
+            return '';
+        }
+
+        const firstBlock = Math.floor(from / this.blockSize);
+        const lastBlock = Math.floor((to - 1) / this.blockSize);
+
+        // Regions larger than half the cache are read directly so they do not flush it
+        if (!this.fitsInCache(from, to)) {
+            const bases = await this.sequenceFile.getSequence(chromosome, from, to);
+            return (bases || '').toUpperCase();
+        }
+
+        const blocks = [];
+        for (let block = firstBlock; block <= lastBlock; block++) {
+            blocks.push(this.loadBlock(chromosome, block));
+        }
+        const bases = (await Promise.all(blocks)).join('');
+        const offset = from - firstBlock * this.blockSize;
+        return bases.substring(offset, offset + (to - from));
+    }
+
+    /**
+     * Get the bases of a region from the cache only (for synchronous renderers)
+     * @returns {string|null} Bases, or null if any block of the region is not loaded yet
+     */
+    getCachedSequence(chromosome, start, end) {
+        const { from, to } = this.clampRegion(chromosome, start, end);
+        if (from >= to) {
+            return '';
+        }
+
+        const firstBlock = Math.floor(from / this.blockSize);
+        const lastBlock = Math.floor((to - 1) / this.blockSize);
+        const parts = [];
+        for (let block = firstBlock; block <= lastBlock; block++) {
+            const cached = this.blockCache.get(this.getBlockKey(chromosome, block));
+            if (!cached) {
+                this.stats.cacheMisses++;
+                return null;
+            }
+            cached.lastAccessed = Date.now();
+            parts.push(cached.bases);
+        }
+
+        this.stats.cacheHits++;
+        const offset = from - firstBlock * this.blockSize;
+        return parts.join('').substring(offset, offset + (to - from));
+    }
+
+    /**
+     * Fetch a region in the background and notify onRegionLoaded when it is cached
+     * @param {string} chromosome - Sequence name
+     * @param {number} start - Region start (0-based)
+     * @param {number} end - Region end (0-based, exclusive)
+     */
+    scheduleFetch(chromosome, start, end) {
+        const { from, to } = this.clampRegion(chromosome, start, end);
+
+        // Regions that would not stay cached can only be read with getSequence(),
+        // otherwise every redraw would schedule the same fetch again
+        if (!this.fitsInCache(from, to)) {
+            console.warn(`Region ${chromosome}:${from}-${to} is too large for lazy loading, use getSequence()`);
+            if (this.onRegionTooLarge) {
+                this.onRegionTooLarge(chromosome, from, to);
+            }
+            return;
+        }
+
+        const regionKey = `${chromosome}:${from}-${to}`;
+        if (this.scheduledRegions.has(regionKey)) {
+            return;
+        }
+        this.scheduledRegions.add(regionKey);
+
+        this.getSequence(chromosome, from, to)
+            .then(() => {
+                if (this.onRegionLoaded) {
+                    this.onRegionLoaded(chromosome, from, to);
+                }
+            })
+            .catch(error => console.error(`Error loading sequence ${chromosome}:${from}-${to}:`, error))
+            .finally(() => this.scheduledRegions.delete(regionKey));
+    }
+
+    /**
+     * Check whether a region is small enough to be kept in the block cache
+     * @param {number} start - Region start (0-based)
+     * @param {number} end - Region end (0-based, exclusive)
+     * @returns {boolean}
+     */
+    fitsInCache(start, end) {
+        const blockCount = Math.ceil(end / this.blockSize) - Math.floor(start / this.blockSize);
+        return blockCount <= this.maxCachedBlocks / 2;
+    }
+
+    /**
+     * Load one cache block, sharing the fetch between concurrent requests
+     * @private
+     */
+    async loadBlock(chromosome, block) {
+        const blockKey = this.getBlockKey(chromosome, block);
+        const cached = this.blockCache.get(blockKey);
+        if (cached) {
+            cached.lastAccessed = Date.now();
+            return cached.bases;
+        }
+
+        if (!this.pendingBlocks.has(blockKey)) {
+            const blockStart = block * this.blockSize;
+            const blockEnd = Math.min(blockStart + this.blockSize, this.getSequenceLength(chromosome));
+            const request = this.sequenceFile.getSequence(chromosome, blockStart, blockEnd)
+                .then(bases => {
+                    const upper = (bases || '').toUpperCase();
+                    this.cacheBlock(blockKey, upper);
+                    this.stats.loadedBlocks++;
+                    return upper;
+                })
+                .finally(() => this.pendingBlocks.delete(blockKey));
+            this.pendingBlocks.set(blockKey, request);
+        }
+
+        return this.pendingBlocks.get(blockKey);
+    }
+
+    /**
+     * Cache block bases with LRU eviction
+     * @private
+     */
+    cacheBlock(blockKey, bases) {
+        if (this.blockCache.size >= this.maxCachedBlocks) {
+            const entriesToRemove = Math.max(1, Math.floor(this.maxCachedBlocks * 0.2)); // Remove 20% of cache
+            const entries = Array.from(this.blockCache.entries())
+                .sort((a, b) => a[1].lastAccessed - b[1].lastAccessed);
+            for (let i = 0; i < entriesToRemove && i < entries.length; i++) {
+                this.blockCache.delete(entries[i][0]);
+            }
+        }
+
+        this.blockCache.set(blockKey, { bases, lastAccessed: Date.now() });
+    }
+
+    /**
+     * Clamp a region to the bounds of a sequence
+     * @private
+     */
+    clampRegion(chromosome, start, end) {
+        const length = this.getSequenceLength(chromosome);
+        return {
+            from: Math.max(0, Math.min(start, length)),
+            to: Math.max(0, Math.min(end, length))
+        };
+    }
+
+    /**
+     * Generate a cache key for a block
+     */
+    getBlockKey(chromosome, block) {
+        return `${chromosome}:${block}`;
+    }
+
+    /**
+     * Get the length of a sequence
+     * @param {string} chromosome - Sequence name
+     * @returns {number} Length in bases, 0 if unknown
+     */
+    getSequenceLength(chromosome) {
+        const reference = this.references.find(ref => ref.name === chromosome);
+        return reference ? reference.length : 0;
+    }
+
+    /**
+     * Build the chromosome map stored in genomeBrowser.currentSequence:
+     * one lazy IndexedSequence per reference
+     * @returns {Object} { chromosome: IndexedSequence }
+     */
+    createSequenceMap() {
+        const sequences = {};
+        this.references.forEach(ref => {
+            sequences[ref.name] = new IndexedSequence(this, ref.name, ref.length);
+        });
+        return sequences;
+    }
+
+    /**
+     * Get reference sequences listed in the file
+     * @returns {Array} { name, length } entries
+     */
+    getReferences() {
+        return this.references;
+    }
+
+    /**
+     * Get cache statistics
+     */
+    getCacheStats() {
+        return {
+            ...this.stats,
+            cachedBlocks: this.blockCache.size,
+            maxCachedBlocks: this.maxCachedBlocks,
+            blockSize: this.blockSize,
+            hitRate: this.stats.cacheHits / (this.stats.cacheHits + this.stats.cacheMisses) || 0
+        };
+    }
+
+    /**
+     * Check if reader is initialized and ready
+     * @returns {boolean} Initialization status
+     */
+    isReady() {
+        return this.isInitialized && this.sequenceFile !== null;
+    }
+
+    /**
+     * Reset reader state
+     */
+    reset() {
+        this.filePath = null;
+        this.faiPath = null;
+        this.format = null;
+        this.sequenceFile = null;
+        this.references = [];
+        this.isInitialized = false;
+        this.blockCache.clear();
+        this.pendingBlocks.clear();
+        this.scheduledRegions.clear();
+    }
+}
+
+// Export for Node.js and browser compatibility
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = IndexedSequenceReader;
+} else if (typeof window !== 'undefined') {
+    window.IndexedSequenceReader = IndexedSequenceReader;
+}
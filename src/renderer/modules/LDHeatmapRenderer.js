@@ -0,0 +1,219 @@
+/**
+ * LDHeatmapRenderer - Canvas-based linkage disequilibrium heatmap
+ * Draws the pairwise r² (or D') matrix of a region as a Haploview-style triangle of diamonds,
+ * with each SNP linked to its genomic position on a ruler above the triangle
+ */
+class LDHeatmapRenderer {
+    constructor(container, ld, region, options = {}) {
+        this.container = container;
+        this.ld = ld;            // Result of PopulationGenomicsPlugin.calculateLinkageDisequilibrium
+        this.region = region;    // { chromosome, start, end } (0-based)
+        this.options = {
+            metric: 'r2',        // 'r2' or 'dprime'
+            margin: 20,
+            rulerTop: 24,
+            linkHeight: 40,
+            minWidth: 600,
+            ...options
+        };
+
+        this.canvas = null;
+        this.ctx = null;
+        this.devicePixelRatio = window.devicePixelRatio || 1;
+
+        this.canvasWidth = 0;
+        this.canvasHeight = 0;
+        this.cellSize = 0;
+
+        this.initialize();
+    }
+
+    initialize() {
+        this.canvas = document.createElement('canvas');
+        this.ctx = this.canvas.getContext('2d');
+        this.canvas.style.display = 'block';
+        this.container.appendChild(this.canvas);
+
+        this.setupCanvas();
+        this.setupMouseHandlers();
+    }
+
+    setupCanvas() {
+        const containerRect = this.container.getBoundingClientRect();
+        const snpCount = this.ld.snps.length;
+        this.canvasWidth = Math.max(containerRect.width, this.options.minWidth);
+        this.cellSize = snpCount > 0 ? (this.canvasWidth - 2 * this.options.margin) / snpCount : 0;
+        this.canvasHeight = this.getTriangleTop() + snpCount * this.cellSize / 2 + this.options.margin;
+
+        this.canvas.width = this.canvasWidth * this.devicePixelRatio;
+        this.canvas.height = this.canvasHeight * this.devicePixelRatio;
+        this.canvas.style.width = this.canvasWidth + 'px';
+        this.canvas.style.height = this.canvasHeight + 'px';
+        this.ctx.scale(this.devicePixelRatio, this.devicePixelRatio);
+    }
+
+    getTriangleTop() {
+        return this.options.rulerTop + this.options.linkHeight;
+    }
+
+    getMatrix() {
+        return this.options.metric === 'dprime' ? this.ld.dprime : this.ld.r2;
+    }
+
+    /**
+     * White (no LD) to red (complete LD)
+     */
+    getColor(value) {
+        const level = Math.round(255 * (1 - Math.max(0, Math.min(1, value))));
+        return `rgb(255, ${level}, ${level})`;
+    }
+
+    render() {
+        const ctx = this.ctx;
+        const { margin, rulerTop } = this.options;
+        const snps = this.ld.snps;
+        const cell = this.cellSize;
+        const top = this.getTriangleTop();
+        const matrix = this.getMatrix();
+        const span = Math.max(1, this.region.end - this.region.start);
+        const usableWidth = this.canvasWidth - 2 * margin;
+
+        ctx.clearRect(0, 0, this.canvasWidth, this.canvasHeight);
+
+        // Genomic ruler with region coordinates
+        ctx.strokeStyle = '#666';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(margin, rulerTop);
+        ctx.lineTo(this.canvasWidth - margin, rulerTop);
+        ctx.stroke();
+
+        ctx.fillStyle = '#333';
+        ctx.font = '10px Arial, sans-serif';
+        ctx.textBaseline = 'bottom';
+        ctx.textAlign = 'left';
+        ctx.fillText(`${this.region.chromosome}:${(this.region.start + 1).toLocaleString()}`, margin, rulerTop - 4);
+        ctx.textAlign = 'right';
+        ctx.fillText(this.region.end.toLocaleString(), this.canvasWidth - margin, rulerTop - 4);
+        ctx.textAlign = 'left';
+
+        // Links from each SNP's genomic position to its column of the triangle
+        ctx.strokeStyle = '#999';
+        ctx.beginPath();
+        snps.forEach((snp, index) => {
+            const genomicX = margin + ((snp.position - 1 - this.region.start) / span) * usableWidth;
+            const columnX = margin + (index + 0.5) * cell;
+            ctx.moveTo(genomicX, rulerTop - 3);
+            ctx.lineTo(genomicX, rulerTop + 3);
+            ctx.lineTo(columnX, top);
+        });
+        ctx.stroke();
+
+        // One diamond per SNP pair; pair (i, j) sits below the middle of columns i and j
+        for (let i = 0; i < snps.length; i++) {
+            for (let j = i + 1; j < snps.length; j++) {
+                const centerX = margin + ((i + j) / 2 + 0.5) * cell;
+                const centerY = top + (j - i) * cell / 2;
+
+                ctx.fillStyle = this.getColor(matrix[i][j]);
+                ctx.beginPath();
+                ctx.moveTo(centerX, centerY - cell / 2);
+                ctx.lineTo(centerX + cell / 2, centerY);
+                ctx.lineTo(centerX, centerY + cell / 2);
+                ctx.lineTo(centerX - cell / 2, centerY);
+                ctx.closePath();
+                ctx.fill();
+            }
+        }
+
+        this.renderLegend();
+    }
+
+    renderLegend() {
+        const ctx = this.ctx;
+        const width = 100;
+        const x = this.canvasWidth - this.options.margin - width;
+        const y = this.getTriangleTop() + 10;
+
+        const gradient = ctx.createLinearGradient(x, 0, x + width, 0);
+        gradient.addColorStop(0, this.getColor(0));
+        gradient.addColorStop(1, this.getColor(1));
+        ctx.fillStyle = gradient;
+        ctx.fillRect(x, y, width, 8);
+        ctx.strokeStyle = '#999';
+        ctx.strokeRect(x, y, width, 8);
+
+        ctx.fillStyle = '#333';
+        ctx.font = '10px Arial, sans-serif';
+        ctx.textBaseline = 'top';
+        ctx.textAlign = 'left';
+        ctx.fillText('0', x, y + 10);
+        ctx.textAlign = 'center';
+        ctx.fillText(this.options.metric === 'dprime' ? "D'" : 'r²', x + width / 2, y + 10);
+        ctx.textAlign = 'right';
+        ctx.fillText('1', x + width, y + 10);
+        ctx.textAlign = 'left';
+    }
+
+    setupMouseHandlers() {
+        this.mouseMoveHandler = (event) => {
+            const pair = this.getPairAt(event);
+            if (!pair) {
+                this.canvas.title = '';
+                return;
+            }
+            const snp1 = this.ld.snps[pair.i];
+            const snp2 = this.ld.snps[pair.j];
+            this.canvas.title = [
+                `${snp1.id} (${snp1.position.toLocaleString()}) - ${snp2.id} (${snp2.position.toLocaleString()})`,
+                `Distance: ${(snp2.position - snp1.position).toLocaleString()} bp`,
+                `r²: ${this.ld.r2[pair.i][pair.j].toFixed(3)}`,
+                `D': ${this.ld.dprime[pair.i][pair.j].toFixed(3)}`
+            ].join('\n');
+        };
+        this.canvas.addEventListener('mousemove', this.mouseMoveHandler);
+    }
+
+    /**
+     * SNP pair under the pointer: rotating the triangle by 45° turns the diamonds into a grid
+     * @returns {Object|null} { i, j } with i < j
+     */
+    getPairAt(event) {
+        if (this.cellSize === 0) return null;
+        const rect = this.canvas.getBoundingClientRect();
+        const column = (event.clientX - rect.left - this.options.margin) / this.cellSize;
+        const depth = (event.clientY - rect.top - this.getTriangleTop()) / (this.cellSize / 2);
+
+        const i = Math.floor(column - depth / 2);
+        const j = Math.floor(column + depth / 2);
+        if (i < 0 || j >= this.ld.snps.length || i >= j) return null;
+        return { i, j };
+    }
+
+    /**
+     * Switch between r² and D' and redraw
+     */
+    setMetric(metric) {
+        this.options.metric = metric;
+        this.render();
+    }
+
+    destroy() {
+        if (this.canvas) {
+            this.canvas.removeEventListener('mousemove', this.mouseMoveHandler);
+            if (this.canvas.parentNode) {
+                this.canvas.parentNode.removeChild(this.canvas);
+            }
+        }
+        this.canvas = null;
+        this.ctx = null;
+        this.container = null;
+    }
+}
+
+// Export for Node.js and browser compatibility
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LDHeatmapRenderer;
+} else if (typeof window !== 'undefined') {
+    window.LDHeatmapRenderer = LDHeatmapRenderer;
+}
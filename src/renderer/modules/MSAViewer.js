@@ -0,0 +1,492 @@
+/**
+ * MSAViewer - Canvas-based multiple sequence alignment viewer
+ * Draws a column ruler, a per-column conservation plot, the consensus and column annotation rows
+ * above the residue grid. Only the visible window is drawn: the canvas stays the size of the
+ * scroll container and follows its scroll position, so long alignments stay responsive.
+ * Columns are selected by clicking or dragging (Shift extends, Ctrl/Cmd toggles).
+ */
+class MSAViewer {
+    constructor(container, alignment, options = {}) {
+        this.container = container;
+        this.alignment = alignment;  // Result of MultipleAlignment.parse / fromPairwise
+        this.options = {
+            colorScheme: alignment.type === 'protein' ? 'clustalx' : 'nucleotide',
+            maxGapPercent: null,     // Hide columns with at least this many percent gaps (null shows all)
+            showConsensus: true,
+            nameWidth: 160,
+            cellWidth: 11,
+            rowHeight: 14,
+            rulerHeight: 18,
+            plotHeight: 40,
+            onSelectionChange: null, // Called with the sorted selected column indices
+            ...options
+        };
+
+        this.stats = MultipleAlignment.getColumnStats(alignment);
+        this.visibleColumns = MultipleAlignment.getVisibleColumns(this.stats, this.options.maxGapPercent);
+        this.selectedColumns = new Set();
+        this.selectionAnchor = null;
+        this.dragging = false;
+
+        this.scroller = null;
+        this.sizer = null;
+        this.canvas = null;
+        this.ctx = null;
+        this.devicePixelRatio = window.devicePixelRatio || 1;
+
+        this.canvasWidth = 0;
+        this.canvasHeight = 0;
+
+        this.initialize();
+    }
+
+    initialize() {
+        console.log('🧬 [MSAViewer] Showing alignment:', {
+            sequences: this.alignment.sequences.length,
+            columns: this.alignment.length,
+            type: this.alignment.type
+        });
+
+        this.scroller = document.createElement('div');
+        this.scroller.style.cssText = 'position: relative; width: 100%; height: 100%; overflow: auto;';
+        this.sizer = document.createElement('div');
+        this.sizer.style.cssText = 'position: relative; overflow: hidden;';
+        this.canvas = document.createElement('canvas');
+        this.canvas.style.cssText = 'position: absolute; left: 0; top: 0; display: block;';
+        this.ctx = this.canvas.getContext('2d');
+
+        this.sizer.appendChild(this.canvas);
+        this.scroller.appendChild(this.sizer);
+        this.container.appendChild(this.scroller);
+
+        this.scrollHandler = () => {
+            this.canvas.style.left = this.scroller.scrollLeft + 'px';
+            this.canvas.style.top = this.scroller.scrollTop + 'px';
+            this.render();
+        };
+        this.scroller.addEventListener('scroll', this.scrollHandler);
+
+        this.updateSizer();
+        this.setupCanvas();
+        this.setupMouseHandlers();
+        this.setupResizeObserver();
+    }
+
+    /**
+     * Header text rows below the plot: consensus and Stockholm column annotations (#=GC)
+     * @returns {Array} [label, column => character]
+     */
+    getTextRows() {
+        const rows = this.options.showConsensus ? [['Consensus', column => this.stats[column].consensus]] : [];
+        Object.entries(this.alignment.annotations || {}).forEach(([feature, text]) => {
+            rows.push([`#=GC ${feature}`, column => text[column] || '']);
+        });
+        return rows;
+    }
+
+    /**
+     * Height of the fixed header: ruler, conservation plot and text rows
+     */
+    getHeaderHeight() {
+        const { rulerHeight, plotHeight, rowHeight } = this.options;
+        return rulerHeight + plotHeight + this.getTextRows().length * rowHeight + 4;
+    }
+
+    updateSizer() {
+        const { nameWidth, cellWidth, rowHeight } = this.options;
+        this.sizer.style.width = (nameWidth + this.visibleColumns.length * cellWidth) + 'px';
+        this.sizer.style.height = (this.getHeaderHeight() + this.alignment.sequences.length * rowHeight) + 'px';
+    }
+
+    setupCanvas() {
+        this.canvasWidth = Math.max(this.scroller.clientWidth, 200);
+        this.canvasHeight = Math.max(this.scroller.clientHeight, 100);
+
+        this.canvas.width = this.canvasWidth * this.devicePixelRatio;
+        this.canvas.height = this.canvasHeight * this.devicePixelRatio;
+        this.canvas.style.width = this.canvasWidth + 'px';
+        this.canvas.style.height = this.canvasHeight + 'px';
+        this.ctx.setTransform(this.devicePixelRatio, 0, 0, this.devicePixelRatio, 0, 0);
+    }
+
+    /**
+     * Left edge of a display column in canvas coordinates
+     */
+    getColumnX(displayIndex) {
+        return this.options.nameWidth + displayIndex * this.options.cellWidth - this.scroller.scrollLeft;
+    }
+
+    /**
+     * Range of display columns inside the canvas
+     */
+    getDisplayRange() {
+        const { nameWidth, cellWidth } = this.options;
+        const first = Math.max(0, Math.floor(this.scroller.scrollLeft / cellWidth));
+        const last = Math.min(this.visibleColumns.length - 1, first + Math.ceil((this.canvasWidth - nameWidth) / cellWidth));
+        return { first, last };
+    }
+
+    render() {
+        const ctx = this.ctx;
+        const { nameWidth, cellWidth, rowHeight, rulerHeight, plotHeight } = this.options;
+        const headerHeight = this.getHeaderHeight();
+        const { first, last } = this.getDisplayRange();
+        const rows = this.alignment.sequences.length;
+        const drawText = cellWidth >= 7;
+
+        ctx.clearRect(0, 0, this.canvasWidth, this.canvasHeight);
+        ctx.font = `${Math.min(rowHeight - 3, cellWidth + 1)}px Menlo, Consolas, monospace`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        // Column selection behind everything
+        ctx.fillStyle = 'rgba(255, 205, 60, 0.35)';
+        for (let d = first; d <= last; d++) {
+            if (this.selectedColumns.has(this.visibleColumns[d])) {
+                ctx.fillRect(this.getColumnX(d), 0, cellWidth, this.canvasHeight);
+            }
+        }
+
+        // Ruler with alignment column numbers (1-based, unaffected by hidden columns)
+        ctx.strokeStyle = '#999';
+        ctx.fillStyle = '#333';
+        ctx.beginPath();
+        for (let d = first; d <= last; d++) {
+            const column = this.visibleColumns[d] + 1;
+            if (column % 10 !== 0) continue;
+            const x = this.getColumnX(d) + cellWidth / 2;
+            ctx.moveTo(x, rulerHeight - 5);
+            ctx.lineTo(x, rulerHeight);
+            ctx.fillText(String(column), x, rulerHeight / 2 - 2);
+        }
+        ctx.stroke();
+
+        // Conservation plot: bar height is conservation, the gray part the gap fraction
+        const plotTop = rulerHeight;
+        for (let d = first; d <= last; d++) {
+            const stat = this.stats[this.visibleColumns[d]];
+            const x = this.getColumnX(d);
+            const barHeight = stat.conservation * (plotHeight - 4);
+            ctx.fillStyle = '#e3e3e3';
+            ctx.fillRect(x + 1, plotTop + 2, cellWidth - 2, stat.gapFraction * (plotHeight - 4));
+            ctx.fillStyle = '#4a7fb5';
+            ctx.fillRect(x + 1, plotTop + plotHeight - 2 - barHeight, cellWidth - 2, barHeight);
+        }
+
+        // Consensus and annotation rows
+        let textTop = plotTop + plotHeight;
+        const textRows = this.getTextRows();
+        textRows.forEach(([, getText]) => {
+            ctx.fillStyle = '#333';
+            for (let d = first; d <= last && drawText; d++) {
+                ctx.fillText(getText(this.visibleColumns[d]), this.getColumnX(d) + cellWidth / 2, textTop + rowHeight / 2);
+            }
+            textTop += rowHeight;
+        });
+
+        // Residue rows below the fixed header
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(0, headerHeight, this.canvasWidth, this.canvasHeight - headerHeight);
+        ctx.clip();
+
+        const firstRow = Math.floor(this.scroller.scrollTop / rowHeight);
+        const lastRow = Math.min(rows - 1, firstRow + Math.ceil((this.canvasHeight - headerHeight) / rowHeight));
+        for (let row = firstRow; row <= lastRow; row++) {
+            const sequence = this.alignment.sequences[row].sequence;
+            const y = this.getRowY(row);
+            for (let d = first; d <= last; d++) {
+                const column = this.visibleColumns[d];
+                const residue = sequence[column];
+                const x = this.getColumnX(d);
+                const color = MultipleAlignment.getResidueColor(this.options.colorScheme, residue, this.stats[column], rows);
+                if (color) {
+                    ctx.fillStyle = color;
+                    ctx.fillRect(x, y, cellWidth, rowHeight);
+                }
+                if (drawText) {
+                    ctx.fillStyle = residue === '-' ? '#aaa' : '#111';
+                    ctx.fillText(residue, x + cellWidth / 2, y + rowHeight / 2);
+                }
+            }
+        }
+        ctx.restore();
+
+        this.renderNames(headerHeight, firstRow, lastRow, textRows.map(([label]) => label));
+    }
+
+    getRowY(row) {
+        return this.getHeaderHeight() + row * this.options.rowHeight - this.scroller.scrollTop;
+    }
+
+    /**
+     * Fixed name column with header labels and sequence names
+     */
+    renderNames(headerHeight, firstRow, lastRow, textLabels) {
+        const ctx = this.ctx;
+        const { nameWidth, rowHeight, rulerHeight, plotHeight } = this.options;
+
+        ctx.fillStyle = '#fafafa';
+        ctx.fillRect(0, 0, nameWidth, this.canvasHeight);
+        ctx.strokeStyle = '#ccc';
+        ctx.beginPath();
+        ctx.moveTo(nameWidth - 0.5, 0);
+        ctx.lineTo(nameWidth - 0.5, this.canvasHeight);
+        ctx.moveTo(0, headerHeight - 0.5);
+        ctx.lineTo(this.canvasWidth, headerHeight - 0.5);
+        ctx.stroke();
+
+        ctx.font = '11px Arial, sans-serif';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#666';
+        ctx.fillText('Conservation', 4, rulerHeight + plotHeight / 2);
+        textLabels.forEach((label, index) => {
+            ctx.fillText(this.fitText(label, nameWidth - 8), 4, rulerHeight + plotHeight + index * rowHeight + rowHeight / 2);
+        });
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(0, headerHeight, nameWidth, this.canvasHeight - headerHeight);
+        ctx.clip();
+        ctx.fillStyle = '#333';
+        for (let row = firstRow; row <= lastRow; row++) {
+            const name = this.alignment.sequences[row].name;
+            ctx.fillText(this.fitText(name, nameWidth - 8), 4, this.getRowY(row) + rowHeight / 2);
+        }
+        ctx.restore();
+    }
+
+    fitText(text, width) {
+        if (this.ctx.measureText(text).width <= width) return text;
+        let fitted = text;
+        while (fitted.length > 1 && this.ctx.measureText(fitted + '…').width > width) {
+            fitted = fitted.slice(0, -1);
+        }
+        return fitted + '…';
+    }
+
+    setupMouseHandlers() {
+        this.mouseDownHandler = (event) => {
+            const hit = this.getHitAt(event);
+            if (!hit || hit.displayIndex === null) return;
+            event.preventDefault();
+
+            if (event.shiftKey && this.selectionAnchor !== null) {
+                this.selectRange(this.selectionAnchor, hit.displayIndex, event.ctrlKey || event.metaKey);
+            } else if (event.ctrlKey || event.metaKey) {
+                const column = this.visibleColumns[hit.displayIndex];
+                if (this.selectedColumns.has(column)) {
+                    this.selectedColumns.delete(column);
+                } else {
+                    this.selectedColumns.add(column);
+                }
+                this.selectionAnchor = hit.displayIndex;
+                this.notifySelection();
+            } else {
+                this.selectionAnchor = hit.displayIndex;
+                this.dragging = true;
+                this.selectRange(hit.displayIndex, hit.displayIndex, false);
+            }
+        };
+        this.mouseMoveHandler = (event) => {
+            const hit = this.getHitAt(event);
+            if (this.dragging && hit && hit.displayIndex !== null) {
+                this.selectRange(this.selectionAnchor, hit.displayIndex, false);
+            }
+            this.canvas.title = hit ? this.getTooltip(hit) : '';
+        };
+        this.mouseUpHandler = () => {
+            this.dragging = false;
+        };
+
+        this.canvas.addEventListener('mousedown', this.mouseDownHandler);
+        this.canvas.addEventListener('mousemove', this.mouseMoveHandler);
+        window.addEventListener('mouseup', this.mouseUpHandler);
+    }
+
+    /**
+     * Display column and row under the pointer
+     * @returns {Object|null} { displayIndex (null over the name column), row (null in the header), area }
+     */
+    getHitAt(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = event.clientX - rect.left;
+        const y = event.clientY - rect.top;
+        const { nameWidth, cellWidth, rowHeight, rulerHeight, plotHeight } = this.options;
+        const headerHeight = this.getHeaderHeight();
+
+        let displayIndex = null;
+        if (x >= nameWidth) {
+            displayIndex = Math.floor((x - nameWidth + this.scroller.scrollLeft) / cellWidth);
+            if (displayIndex >= this.visibleColumns.length) return null;
+        }
+
+        let row = null;
+        let area = 'rows';
+        if (y < rulerHeight) {
+            area = 'ruler';
+        } else if (y < rulerHeight + plotHeight) {
+            area = 'plot';
+        } else if (y < headerHeight) {
+            area = 'text';
+        } else {
+            row = Math.floor((y - headerHeight + this.scroller.scrollTop) / rowHeight);
+            if (row >= this.alignment.sequences.length) return null;
+        }
+        return { displayIndex, row, area };
+    }
+
+    getTooltip(hit) {
+        if (hit.displayIndex === null) {
+            if (hit.row === null) return '';
+            const entry = this.alignment.sequences[hit.row];
+            return entry.description ? `${entry.name}\n${entry.description}` : entry.name;
+        }
+
+        const column = this.visibleColumns[hit.displayIndex];
+        const stat = this.stats[column];
+        if (hit.row === null) {
+            const composition = Object.entries(stat.counts)
+                .sort((a, b) => b[1] - a[1])
+                .slice(0, 5)
+                .map(([residue, count]) => `${residue} ${count}`)
+                .join(', ');
+            return [
+                `Column ${column + 1}`,
+                `Conservation: ${stat.conservation.toFixed(2)}`,
+                `Entropy: ${stat.entropy.toFixed(2)} bits`,
+                `Gaps: ${(stat.gapFraction * 100).toFixed(0)}%`,
+                `Consensus: ${stat.consensus}`,
+                composition ? `Residues: ${composition}` : 'Gaps only'
+            ].join('\n');
+        }
+
+        const entry = this.alignment.sequences[hit.row];
+        const position = MultipleAlignment.getResiduePosition(entry.sequence, column);
+        return [
+            entry.name,
+            `Column ${column + 1}: ${entry.sequence[column]}`,
+            position === null ? 'Gap' : `Residue position: ${position}`
+        ].join('\n');
+    }
+
+    /**
+     * Select the display columns between two indices (inclusive)
+     * @param {boolean} additive - Keep the current selection
+     */
+    selectRange(fromDisplay, toDisplay, additive) {
+        if (!additive) {
+            this.selectedColumns.clear();
+        }
+        for (let d = Math.min(fromDisplay, toDisplay); d <= Math.max(fromDisplay, toDisplay); d++) {
+            this.selectedColumns.add(this.visibleColumns[d]);
+        }
+        this.notifySelection();
+    }
+
+    notifySelection() {
+        this.render();
+        if (this.options.onSelectionChange) {
+            this.options.onSelectionChange(this.getSelectedColumns());
+        }
+    }
+
+    /**
+     * Selected alignment column indices in ascending order
+     */
+    getSelectedColumns() {
+        return Array.from(this.selectedColumns).sort((a, b) => a - b);
+    }
+
+    clearSelection() {
+        this.selectedColumns.clear();
+        this.selectionAnchor = null;
+        this.notifySelection();
+    }
+
+    setColorScheme(colorScheme) {
+        this.options.colorScheme = colorScheme;
+        this.render();
+    }
+
+    /**
+     * Hide columns with at least maxGapPercent gaps (null shows all columns); hidden columns
+     * leave the selection
+     */
+    setGapFilter(maxGapPercent) {
+        this.options.maxGapPercent = maxGapPercent;
+        this.visibleColumns = MultipleAlignment.getVisibleColumns(this.stats, maxGapPercent);
+        const visible = new Set(this.visibleColumns);
+        this.selectedColumns.forEach(column => {
+            if (!visible.has(column)) this.selectedColumns.delete(column);
+        });
+        this.selectionAnchor = null;
+        this.updateSizer();
+        this.notifySelection();
+    }
+
+    setShowConsensus(showConsensus) {
+        this.options.showConsensus = showConsensus;
+        this.updateSizer();
+        this.render();
+    }
+
+    setupResizeObserver() {
+        if (typeof ResizeObserver !== 'undefined') {
+            this.resizeObserver = new ResizeObserver(() => this.handleResize());
+            this.resizeObserver.observe(this.scroller);
+        } else {
+            this.resizeHandler = () => this.handleResize();
+            window.addEventListener('resize', this.resizeHandler);
+        }
+    }
+
+    handleResize() {
+        if (this.resizeTimeout) {
+            clearTimeout(this.resizeTimeout);
+        }
+        this.resizeTimeout = setTimeout(() => {
+            if (this.scroller.clientWidth !== this.canvasWidth || this.scroller.clientHeight !== this.canvasHeight) {
+                this.setupCanvas();
+                this.render();
+            }
+        }, 100);
+    }
+
+    destroy() {
+        if (this.canvas) {
+            this.canvas.removeEventListener('mousedown', this.mouseDownHandler);
+            this.canvas.removeEventListener('mousemove', this.mouseMoveHandler);
+        }
+        window.removeEventListener('mouseup', this.mouseUpHandler);
+        if (this.scroller) {
+            this.scroller.removeEventListener('scroll', this.scrollHandler);
+        }
+
+        if (this.resizeObserver) {
+            this.resizeObserver.disconnect();
+        } else if (this.resizeHandler) {
+            window.removeEventListener('resize', this.resizeHandler);
+        }
+        if (this.resizeTimeout) {
+            clearTimeout(this.resizeTimeout);
+        }
+
+        if (this.scroller && this.scroller.parentNode) {
+            this.scroller.parentNode.removeChild(this.scroller);
+        }
+        this.scroller = null;
+        this.sizer = null;
+        this.canvas = null;
+        this.ctx = null;
+        this.container = null;
+    }
+}
+
+// Export for Node.js and browser compatibility
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MSAViewer;
+} else if (typeof window !== 'undefined') {
+    window.MSAViewer = MSAViewer;
+}
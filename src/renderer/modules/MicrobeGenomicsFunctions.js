@@ -204,12 +204,14 @@ class MicrobeGenomicsFunctions {
      * Translate DNA sequence to protein (single frame)
      * @param {string} dna - DNA sequence (should be in frame)
      * @param {number} frame - Reading frame (0, 1, or 2)
+     * @param {number|string} geneticCode - NCBI transl_table id (defaults to the genome's code)
      * @returns {string} Amino acid sequence
      */
-    static translateDNA(dna, frame = 0) {
+    static translateDNA(dna, frame = 0, geneticCode = null) {
         // Use unified translation implementation
         if (window.UnifiedDNATranslation) {
-            const result = window.UnifiedDNATranslation.legacyTranslateDNA(dna, frame);
+            const code = geneticCode || window.genomeBrowser?.getGeneticCode?.() || 1;
+            const result = window.UnifiedDNATranslation.legacyTranslateDNA(dna, frame, code);
             return result;
         }
         
@@ -386,14 +388,49 @@ class MicrobeGenomicsFunctions {
     /* --------------------------------------------------------- */
 
     /**
-     * Simple promoter prediction based on -10 box (TATAAT motif)
+     * Sigma70 promoter prediction: the -35 (TTGACA) and -10 (TATAAT) box PWMs of
+     * MotifScanner.SIGMA70 are scanned on the given strand and paired across a 15-19 bp spacer.
+     * The pair with the lowest product of box p-values is returned when it passes pValue.
      * @param {string} seq - DNA sequence to scan
-     * @param {RegExp} motif - Promoter motif pattern (default: TATAAT)
-     * @returns {Object|null} Promoter prediction or null
+     * @param {Object} options - pValue: threshold of the combined p-value (default 1e-4),
+     *   boxPValue: threshold of each box (default 0.01), background: [A, C, G, T] (default uniform)
+     * @returns {Object|null} Promoter with its -35 and -10 boxes, or null
      */
-    static predictPromoter(seq, motif = /TATAAT/i) {
-        const idx = seq.search(motif);
-        return idx === -1 ? null : { type: 'promoter_pred', start: idx + 1, end: idx + 6, confidence: 0.5 };
+    static predictPromoter(seq, options = {}) {
+        if (!window.MotifScanner) throw new Error('MotifScanner not loaded');
+        const sigma70 = window.MotifScanner.SIGMA70;
+        const pValue = parseFloat(options.pValue) || 1e-4;
+        const { hits } = window.MotifScanner.scan([{ chromosome: null, start: 1, sequence: seq }], [sigma70.minus35, sigma70.minus10], {
+            pValue: parseFloat(options.boxPValue) || 0.01,
+            strand: '+',
+            background: Array.isArray(options.background) ? options.background : null
+        });
+
+        let best = null;
+        hits.filter(hit => hit.motifId === sigma70.minus35.id).forEach(box35 => {
+            hits.filter(hit => hit.motifId === sigma70.minus10.id).forEach(box10 => {
+                const spacer = box10.start - box35.end - 1;
+                if (spacer < sigma70.minSpacer || spacer > sigma70.maxSpacer) return;
+                const combined = box35.pValue * box10.pValue;
+                // Ties go to the spacer closest to the optimal 17 bp
+                if (!best || combined < best.pValue || (combined === best.pValue && Math.abs(spacer - 17) < Math.abs(best.spacer - 17))) {
+                    best = { box35, box10, spacer, pValue: combined };
+                }
+            });
+        });
+        if (!best || best.pValue > pValue) return null;
+
+        const describe = box => ({ start: box.start, end: box.end, sequence: box.sequence, score: box.score, pValue: box.pValue });
+        return {
+            type: 'promoter_pred',
+            start: best.box35.start,
+            end: best.box10.end,
+            minus35: describe(best.box35),
+            minus10: describe(best.box10),
+            spacer: best.spacer,
+            pValue: best.pValue,
+            confidence: Math.round((best.box35.relativeScore + best.box10.relativeScore) / 2 * 1000) / 1000
+        };
     }
 
     /**
@@ -421,11 +458,20 @@ class MicrobeGenomicsFunctions {
     }
 
     /**
-     * Simple transcription terminator prediction (inverted repeats)
-     * @param {string} seq - DNA sequence
-     * @returns {Array} Array of predicted terminators
+     * Rho-independent terminator prediction: stem-loops with a nearest-neighbour free energy
+     * of -4 kcal/mol or lower followed by a U-tract (see RNAFolder.predictTerminators).
+     * Falls back to an inverted repeat search when RNAFolder is not loaded.
+     * @param {string} seq - DNA sequence (the given strand is searched)
+     * @param {Object} options - RNAFolder.TERMINATOR_OPTIONS, e.g. signal to cancel a long search
+     * @returns {Promise<Array>} Array of predicted terminators with energy (kcal/mol) and structure
      */
-    static predictTerminator(seq) {
+    static async predictTerminator(seq, options = {}) {
+        if (window.RNAFolder) {
+            const gb = window.genomeBrowser;
+            return window.RNAFolder.predictTerminators(seq, options,
+                gb?.updateStatus ? message => gb.updateStatus(`Predicting terminators: ${message}`) : null);
+        }
+
         const terminators = [];
         const minStemLength = 4;
         const maxLoopSize = 10;
@@ -797,7 +843,7 @@ class MicrobeGenomicsFunctions {
         
         // Calculate additional information
         const gcContent = this.computeGC(codingSequence);
-        const proteinSequence = this.translateDNA(codingSequence);
+        const proteinSequence = this.translateDNA(codingSequence, 0, gb.getGeneticCode(feature, chromosome));
         
         return {
             success: true,
@@ -998,6 +1044,434 @@ class MicrobeGenomicsFunctions {
         return fasta;
     }
 
+    /* --------------------------------------------------------- */
+    /*  PAIRWISE ALIGNMENT                                      */
+    /* --------------------------------------------------------- */
+
+    /**
+     * Align two sequences globally, locally or semi-globally
+     * @param {string} seqA - First (query) sequence
+     * @param {string} seqB - Second (subject) sequence
+     * @param {Object} options - { mode, matrix, gapOpen, gapExtend } (see PairwiseAligner.align)
+     * @returns {Object} Alignment with score, identity, coordinates and aligned strings
+     */
+    static alignSequences(seqA, seqB, options = {}) {
+        if (!window.PairwiseAligner) throw new Error('PairwiseAligner not loaded');
+        return window.PairwiseAligner.align(seqA, seqB, options);
+    }
+
+    /**
+     * Sequence of an annotated feature in its own orientation
+     * @param {string} chromosome - Chromosome of the feature
+     * @param {Object} feature - Annotation feature (1-based start/end)
+     * @param {boolean} asProtein - Translate with the feature's genetic code
+     * @returns {Promise<string>} DNA or protein sequence
+     */
+    static async getFeatureSequence(chromosome, feature, asProtein = false) {
+        const gb = window.genomeBrowser;
+        if (!gb) throw new Error('GenomeBrowser not initialised');
+        if (!gb.currentSequence || !gb.currentSequence[chromosome]) {
+            throw new Error(`No sequence data available for chromosome ${chromosome}`);
+        }
+
+        const data = gb.currentSequence[chromosome];
+        let sequence = data.isIndexed ? await data.getSequence(feature.start - 1, feature.end) : data.substring(feature.start - 1, feature.end);
+        if (feature.strand === -1 || feature.strand === '-') {
+            sequence = this.reverseComplement(sequence);
+        }
+        return asProtein ? this.translateDNA(sequence, 0, gb.getGeneticCode(feature, chromosome)) : sequence;
+    }
+
+    /**
+     * Align two annotated features, given by gene name / locus tag, or the two features
+     * picked with "Add to Pairwise Alignment" when no identifiers are given
+     * @param {string} identifierA - First gene name or locus tag (optional)
+     * @param {string} identifierB - Second gene name or locus tag (optional)
+     * @param {Object} options - Aligner options plus sequenceType 'dna' (default) or 'protein'
+     * @returns {Promise<Object>} Alignment result with the names and locations of both features
+     */
+    static async alignFeatures(identifierA = null, identifierB = null, options = {}) {
+        const gb = window.genomeBrowser;
+        if (!gb) throw new Error('GenomeBrowser not initialised');
+
+        let pair;
+        if (identifierA && identifierB) {
+            pair = [identifierA, identifierB].map(identifier => {
+                const hit = this.searchGeneByName(identifier);
+                if (!hit) throw new Error(`Gene "${identifier}" not found`);
+                return hit;
+            });
+        } else {
+            pair = gb.pairwiseFeatures || [];
+            if (pair.length < 2) {
+                throw new Error('Give two gene names or locus tags, or add two features with "Add to Pairwise Alignment"');
+            }
+        }
+
+        const asProtein = (options.sequenceType || 'dna').toLowerCase() === 'protein';
+        const [seqA, seqB] = await Promise.all(pair.map(({ chromosome, feature }) => this.getFeatureSequence(chromosome, feature, asProtein)));
+        const result = this.alignSequences(seqA, seqB, { ...options, matrix: options.matrix || (asProtein ? 'BLOSUM62' : 'DNA') });
+
+        const describe = ({ chromosome, feature }) => ({
+            name: gb.getQualifierValue(feature.qualifiers, 'gene') || gb.getQualifierValue(feature.qualifiers, 'locus_tag') || feature.type,
+            location: `${chromosome}:${feature.start}-${feature.end}(${feature.strand === -1 || feature.strand === '-' ? '-' : '+'})`
+        });
+        return { ...result, sequenceType: asProtein ? 'protein' : 'dna', featureA: describe(pair[0]), featureB: describe(pair[1]) };
+    }
+
+    /* --------------------------------------------------------- */
+    /*  MOTIF SCANNING (PWM)                                    */
+    /* --------------------------------------------------------- */
+
+    /**
+     * Add JASPAR, MEME or TRANSFAC motifs to the motif library
+     * @param {string} text - Motif file content
+     * @param {string} filename - File name, used to name header-less JASPAR matrices
+     * @returns {Array} Added motifs (library motifs with the same id are replaced)
+     */
+    static loadMotifs(text, filename = 'motif') {
+        const gb = window.genomeBrowser;
+        if (!gb) throw new Error('GenomeBrowser not initialised');
+        if (!window.MotifScanner) throw new Error('MotifScanner not loaded');
+
+        const motifs = window.MotifScanner.parse(text, filename);
+        gb.loadedMotifs = (gb.loadedMotifs || [])
+            .filter(motif => !motifs.some(added => added.id === motif.id))
+            .concat(motifs);
+        return motifs;
+    }
+
+    /**
+     * Scan the genome, the current view or the promoter regions of genes with PWM motifs
+     * @param {Object} options - Motif scanning options:
+     *   motifs: ids or names of library motifs (array or comma-separated; default all),
+     *   consensus: IUPAC consensus to scan instead, matrix: motif file text to load and scan,
+     *   region: 'view', 'chromosome', 'genome' or 'upstream', chromosome, upstreamLength (bp, default 300),
+     *   pValue (default 1e-4), strand ('both', '+', '-'), background ('sequence', 'uniform' or [A, C, G, T]
+     *   for all motifs; by default MEME motifs use the background of their file and others 'sequence'),
+     *   showTrack (default true), maxReported (hits returned, default 100)
+     * @returns {Object} Per-motif summaries and the best hits; all hits go to the Motif Hits track
+     */
+    static async scanMotifs(options = {}) {
+        const gb = window.genomeBrowser;
+        if (!gb) throw new Error('GenomeBrowser not initialised');
+        if (!window.MotifScanner) throw new Error('MotifScanner not loaded');
+        if (!gb.currentSequence || Object.keys(gb.currentSequence).length === 0) {
+            throw new Error('No genome loaded');
+        }
+
+        const motifs = [];
+        if (options.matrix) {
+            motifs.push(...this.loadMotifs(options.matrix, options.matrixName || 'motif'));
+        }
+        if (options.consensus) {
+            motifs.push(window.MotifScanner.fromConsensus(options.consensus, options.motifName));
+        }
+        const names = typeof options.motifs === 'string' ? options.motifs.split(/[,;]\s*/) : (options.motifs || []);
+        names.filter(Boolean).forEach(name => {
+            const key = String(name).trim().toLowerCase();
+            const motif = (gb.loadedMotifs || []).find(m => m.id.toLowerCase() === key || String(m.name).toLowerCase() === key);
+            if (!motif) throw new Error(`Motif "${name}" is not loaded`);
+            if (!motifs.includes(motif)) motifs.push(motif);
+        });
+        if (motifs.length === 0) {
+            motifs.push(...(gb.loadedMotifs || []));
+        }
+        if (motifs.length === 0) {
+            throw new Error('No motifs to scan. Load a JASPAR, MEME or TRANSFAC file or give an IUPAC consensus.');
+        }
+
+        const currentChromosome = (typeof document !== 'undefined' && document.getElementById('chromosomeSelect')?.value) || gb.currentChromosome;
+        const region = options.region || (options.chromosome ? 'chromosome' : 'view');
+        const chromosomes = region === 'genome' ? Object.keys(gb.currentSequence) : [options.chromosome || currentChromosome];
+        chromosomes.forEach(chromosome => {
+            if (!gb.currentSequence[chromosome]) throw new Error(`No sequence data available for chromosome ${chromosome}`);
+        });
+
+        // Indexed genomes are read from disk; in-memory sequences are plain strings
+        const read = (chromosome, start, end) => {
+            const sequence = gb.currentSequence[chromosome];
+            return sequence.isIndexed ? sequence.getSequence(start - 1, end) : Promise.resolve(sequence.substring(start - 1, end));
+        };
+
+        const regions = [];
+        if (region === 'upstream') {
+            const upstreamLength = parseInt(options.upstreamLength) || 300;
+            for (const chromosome of chromosomes) {
+                const features = gb.currentAnnotations?.[chromosome] || [];
+                const cds = features.filter(feature => feature.type === 'CDS');
+                const genes = cds.length > 0 ? cds : features.filter(feature => feature.type === 'gene');
+                const length = gb.currentSequence[chromosome].length;
+                for (const feature of genes) {
+                    const reverse = feature.strand === -1 || feature.strand === '-';
+                    const start = reverse ? feature.end + 1 : Math.max(1, feature.start - upstreamLength);
+                    const end = reverse ? Math.min(length, feature.end + upstreamLength) : feature.start - 1;
+                    if (end - start + 1 < 1) continue;
+                    regions.push({
+                        chromosome,
+                        start,
+                        sequence: await read(chromosome, start, end),
+                        gene: gb.getQualifierValue(feature.qualifiers, 'gene') || gb.getQualifierValue(feature.qualifiers, 'locus_tag') || feature.type,
+                        geneStart: reverse ? feature.end : feature.start,
+                        geneStrand: reverse ? -1 : 1
+                    });
+                }
+            }
+            if (regions.length === 0) {
+                throw new Error('No annotated genes to take promoter regions from');
+            }
+        } else if (region === 'view') {
+            const start = Math.max(1, gb.currentPosition.start);
+            const end = Math.min(gb.currentSequence[chromosomes[0]].length, gb.currentPosition.end);
+            regions.push({ chromosome: chromosomes[0], start, sequence: await read(chromosomes[0], start, end) });
+        } else {
+            for (const chromosome of chromosomes) {
+                regions.push({ chromosome, start: 1, sequence: await read(chromosome, 1, gb.currentSequence[chromosome].length) });
+            }
+        }
+
+        const composition = window.MotifScanner.composition(regions.map(r => r.sequence));
+        const background = Array.isArray(options.background) ? options.background :
+            options.background === 'uniform' ? [0.25, 0.25, 0.25, 0.25] :
+                options.background === 'sequence' ? composition : null;
+        const pValue = parseFloat(options.pValue) || 1e-4;
+        const strand = options.strand || 'both';
+        const result = window.MotifScanner.scan(regions, motifs, { pValue, strand, background, defaultBackground: composition });
+
+        let hits = result.hits;
+        if (region === 'upstream') {
+            // Distance of the site centre to the start codon, negative upstream; a site in the shared
+            // promoter region of two divergent genes is kept for the nearer gene
+            const nearest = new Map();
+            hits.forEach(hit => {
+                const centre = (hit.start + hit.end) / 2;
+                hit.distance = Math.round(hit.geneStrand === 1 ? centre - hit.geneStart : hit.geneStart - centre);
+                delete hit.geneStart;
+                delete hit.geneStrand;
+                const key = `${hit.motifId}:${hit.chromosome}:${hit.start}:${hit.strand}`;
+                const kept = nearest.get(key);
+                if (!kept || Math.abs(hit.distance) < Math.abs(kept.distance)) nearest.set(key, hit);
+            });
+            hits = hits.filter(hit => nearest.get(`${hit.motifId}:${hit.chromosome}:${hit.start}:${hit.strand}`) === hit);
+            result.motifs.forEach(summary => { summary.hits = hits.filter(hit => hit.motifId === summary.id).length; });
+        }
+
+        if (options.showTrack !== false && gb.fileManager) {
+            const byChromosome = {};
+            hits.forEach(hit => { (byChromosome[hit.chromosome] = byChromosome[hit.chromosome] || []).push(hit); });
+            Object.values(byChromosome).forEach(list => list.sort((a, b) => a.start - b.start));
+            gb.fileManager.displayMotifHits(byChromosome, chromosomes);
+        }
+
+        return {
+            motifs: result.motifs,
+            region,
+            chromosomes,
+            regionsScanned: regions.length,
+            pValue,
+            strand,
+            background: (background || composition).map(value => Math.round(value * 1000) / 1000),
+            totalHits: hits.length,
+            truncated: result.truncated,
+            hits: hits.slice(0, parseInt(options.maxReported) || 100)
+        };
+    }
+
+    /* --------------------------------------------------------- */
+    /*  RNA FOLDING                                             */
+    /* --------------------------------------------------------- */
+
+    /**
+     * Minimum free energy secondary structure of a sequence, a region or a gene
+     * @param {Object} options - sequence, or gene (name or locus tag), or chromosome/start/end with
+     *   strand ('+' or '-'); structure: dot-bracket structure to evaluate as well;
+     *   showPanel (default true) opens the structure diagram
+     * @returns {Object} Sequence, dot-bracket structure, free energy (kcal/mol) and base pairs
+     */
+    static async foldRNA(options = {}) {
+        if (!window.RNAFolder) throw new Error('RNAFolder not loaded');
+        const gb = window.genomeBrowser;
+
+        let sequence = options.sequence;
+        let name = options.name || 'sequence';
+        let location = null;
+        if (!sequence && options.gene) {
+            const hit = this.searchGeneByName(options.gene);
+            if (!hit) throw new Error(`Gene "${options.gene}" not found`);
+            const reverse = hit.feature.strand === -1 || hit.feature.strand === '-';
+            sequence = await this.getFeatureSequence(hit.chromosome, hit.feature);
+            name = options.gene;
+            location = `${hit.chromosome}:${hit.feature.start}-${hit.feature.end}(${reverse ? '-' : '+'})`;
+        } else if (!sequence) {
+            if (!gb || !gb.currentSequence) throw new Error('No genome loaded');
+            const chromosome = options.chromosome || gb.currentChromosome;
+            const data = gb.currentSequence[chromosome];
+            if (!data) throw new Error(`No sequence data available for chromosome ${chromosome}`);
+            const start = parseInt(options.start) || gb.currentPosition?.start;
+            const end = parseInt(options.end) || gb.currentPosition?.end;
+            if (!start || !end || end < start) throw new Error('Give a sequence, a gene, or chromosome, start and end');
+            if (end - start + 1 > window.RNAFolder.MAX_LENGTH) {
+                throw new Error(`Region is ${end - start + 1} nt; fold at most ${window.RNAFolder.MAX_LENGTH} nt at a time`);
+            }
+            sequence = data.isIndexed ? await data.getSequence(start - 1, end) : data.substring(start - 1, end);
+            const reverse = options.strand === '-' || options.strand === -1;
+            if (reverse) sequence = this.reverseComplement(sequence);
+            name = `${chromosome}:${start}-${end}`;
+            location = `${chromosome}:${start}-${end}(${reverse ? '-' : '+'})`;
+        }
+
+        const result = window.RNAFolder.fold(sequence);
+        const folded = { name, location, length: result.sequence.length, ...result };
+        if (options.structure) {
+            folded.evaluatedStructure = options.structure;
+            folded.evaluatedEnergy = window.RNAFolder.evaluate(result.sequence, options.structure);
+        }
+
+        if (options.showPanel !== false && gb && gb.rnaStructurePanel) {
+            gb.rnaStructurePanel.show(result.sequence, name);
+        }
+        return folded;
+    }
+
+    /* --------------------------------------------------------- */
+    /*  tRNA, rRNA AND CRISPR DETECTION                         */
+    /* --------------------------------------------------------- */
+
+    /**
+     * Find tRNA, rRNA (16S, 23S, 5S) and CRISPR array features and add them to the annotation
+     * @param {Object} options - types: 'tRNA', 'rRNA' and/or 'CRISPR' (array or comma-separated, default all),
+     *   chromosome (default current) or region 'genome' for all chromosomes,
+     *   addToAnnotation (default true; replaces features of the same kinds from an earlier search),
+     *   maxReported (features returned, default 100)
+     * @returns {Object} Counts per kind and the features found
+     */
+    static async findRNAGenes(options = {}) {
+        const gb = window.genomeBrowser;
+        if (!gb) throw new Error('GenomeBrowser not initialised');
+        if (!window.RNAGeneFinder) throw new Error('RNAGeneFinder not loaded');
+        if (!gb.currentSequence || Object.keys(gb.currentSequence).length === 0) {
+            throw new Error('No genome loaded');
+        }
+
+        const known = { trna: 'tRNA', rrna: 'rRNA', crispr: 'CRISPR' };
+        const requested = typeof options.types === 'string' ? options.types.split(/[,;]\s*/) : (options.types || []);
+        const types = requested.length === 0 || requested.includes('all') ? Object.values(known) :
+            requested.map(type => {
+                const kind = known[String(type).trim().toLowerCase()];
+                if (!kind) throw new Error(`Unknown RNA feature type "${type}" (use tRNA, rRNA or CRISPR)`);
+                return kind;
+            });
+
+        const currentChromosome = (typeof document !== 'undefined' && document.getElementById('chromosomeSelect')?.value) || gb.currentChromosome;
+        const chromosomes = options.region === 'genome' ? Object.keys(gb.currentSequence) : [options.chromosome || currentChromosome];
+        const sequences = {};
+        for (const chromosome of chromosomes) {
+            const sequence = gb.currentSequence[chromosome];
+            if (!sequence) throw new Error(`No sequence data available for chromosome ${chromosome}`);
+            sequences[chromosome] = sequence.isIndexed ? await sequence.getSequence(0, sequence.length) : sequence;
+        }
+
+        const result = window.RNAGeneFinder.find(sequences, { types }, message => gb.updateStatus?.(`Finding RNA genes: ${message}`));
+        if (options.addToAnnotation !== false && gb.fileManager) {
+            gb.fileManager.addRNAGenes(result.features, types);
+        }
+
+        const features = Object.values(result.features).flat();
+        return {
+            types,
+            chromosomes,
+            counts: result.counts,
+            addedToAnnotation: options.addToAnnotation !== false,
+            features: features.slice(0, parseInt(options.maxReported) || 100).map(feature => ({
+                type: feature.type,
+                locusTag: feature.qualifiers.locus_tag,
+                product: feature.qualifiers.product || 'CRISPR array',
+                location: `${feature.chromosome}:${feature.start}-${feature.end}(${feature.strand === -1 ? '-' : '+'})`,
+                note: feature.qualifiers.note
+            }))
+        };
+    }
+
+    /* --------------------------------------------------------- */
+    /*  OPERON PREDICTION                                       */
+    /* --------------------------------------------------------- */
+
+    /**
+     * Predict operons from same-strand adjacency, intergenic distance, terminators, gene families
+     * and optional RNA-seq coverage of loaded BAM files (see OperonPredictor)
+     * @param {Object} options - chromosome (default current) or region 'genome' for all chromosomes,
+     *   useTerminators (default true), useCoverage (default false; needs an indexed BAM file),
+     *   minProbability (default 0.5), setLoaded (default true; replaces earlier predicted operons
+     *   on the same chromosomes in the operon panel), maxReported (operons returned, default 50)
+     * @returns {Object} Operon records with confidence and the distance model used
+     */
+    static async predictOperons(options = {}) {
+        const gb = window.genomeBrowser;
+        if (!gb) throw new Error('GenomeBrowser not initialised');
+        if (!window.OperonPredictor) throw new Error('OperonPredictor not loaded');
+        if (!gb.currentSequence || Object.keys(gb.currentSequence).length === 0) {
+            throw new Error('No genome loaded');
+        }
+
+        const currentChromosome = (typeof document !== 'undefined' && document.getElementById('chromosomeSelect')?.value) || gb.currentChromosome;
+        const chromosomes = options.region === 'genome' ? Object.keys(gb.currentSequence) : [options.chromosome || currentChromosome];
+        const useTerminators = options.useTerminators !== false;
+        const useCoverage = options.useCoverage === true || options.useCoverage === 'true';
+
+        const data = {};
+        for (const chromosome of chromosomes) {
+            const sequence = gb.currentSequence[chromosome];
+            if (!sequence) throw new Error(`No sequence data available for chromosome ${chromosome}`);
+
+            // Protein-coding and structural RNA genes; 'gene' features when there are no CDS
+            const annotations = (gb.currentAnnotations && gb.currentAnnotations[chromosome]) || [];
+            let genes = annotations.filter(feature => ['CDS', 'tRNA', 'rRNA'].includes(feature.type));
+            if (!genes.some(feature => feature.type === 'CDS')) {
+                genes = genes.concat(annotations.filter(feature => feature.type === 'gene'));
+            }
+            data[chromosome] = {
+                genes,
+                sequence: useTerminators ? (sequence.isIndexed ? await sequence.getSequence(0, sequence.length) : sequence) : null,
+                coverage: useCoverage ? await gb.fileManager.getOperonCoverage(chromosome, sequence.length) : null
+            };
+        }
+        if (Object.values(data).every(entry => entry.genes.length < 2)) {
+            throw new Error('At least two annotated genes are needed to predict operons');
+        }
+
+        gb.updateStatus?.('Predicting operons...');
+        const result = await window.OperonPredictor.predict(data, {
+            minProbability: parseFloat(options.minProbability) || 0.5,
+            predictTerminator: useTerminators ? seq => this.predictTerminator(seq) : null
+        }, message => gb.updateStatus?.(`Predicting operons: ${message}`));
+        const operons = gb.fileManager ? result.operons.map(operon => gb.fileManager.normalizeOperonData(operon)) : result.operons;
+
+        if (options.setLoaded !== false && gb.fileManager) {
+            gb.fileManager.setPredictedOperons(operons, chromosomes);
+        }
+
+        const genesInOperons = operons.reduce((sum, operon) => sum + operon.genes.length, 0);
+        return {
+            chromosomes,
+            operonCount: operons.length,
+            genesInOperons,
+            pairsScored: result.pairs.length,
+            evidence: {
+                distanceModel: result.model.trained ? `trained on ${result.model.oppositeStrandPairs} opposite-strand pairs` : 'default (too few genes to train)',
+                operonFraction: result.model.operonFraction,
+                terminators: useTerminators,
+                coverage: useCoverage && Object.values(data).some(entry => entry.coverage)
+            },
+            setLoaded: options.setLoaded !== false,
+            operons: operons.slice(0, parseInt(options.maxReported) || 50).map(operon => ({
+                name: operon.name,
+                location: `${operon.chromosome}:${operon.start}-${operon.end}(${operon.strand === -1 ? '-' : '+'})`,
+                genes: operon.genes,
+                confidence: operon.confidence
+            }))
+        };
+    }
+
     /* --------------------------------------------------------- */
     /*  UTILITY METHODS                                         */
     /* --------------------------------------------------------- */
@@ -1014,7 +1488,7 @@ class MicrobeGenomicsFunctions {
             },
             analysis: {
                 description: "Functions to analyze sequence properties and features", 
-                functions: ['computeGC', 'reverseComplement', 'translateDNA', 'findORFs', 'calculateEntropy']
+                functions: ['computeGC', 'reverseComplement', 'translateDNA', 'findORFs', 'calculateEntropy', 'alignSequences', 'alignFeatures']
             },
             calculation: {
                 description: "Functions for genomic calculations and statistics",
@@ -1022,11 +1496,11 @@ class MicrobeGenomicsFunctions {
             },
             prediction: {
                 description: "Functions to predict genomic features and motifs",
-                functions: ['predictPromoter', 'predictRBS', 'predictTerminator']
+                functions: ['predictPromoter', 'predictRBS', 'predictTerminator', 'foldRNA', 'findRNAGenes', 'predictOperons']
             },
             search: {
                 description: "Functions to find genes, motifs, and genomic features",
-                functions: ['searchGeneByName', 'searchSequenceMotif', 'searchByPosition', 'searchIntergenicRegions']
+                functions: ['searchGeneByName', 'searchSequenceMotif', 'searchByPosition', 'searchIntergenicRegions', 'loadMotifs', 'scanMotifs']
             },
             editing: {
                 description: "Functions to modify existing annotations and features",
@@ -1315,6 +1789,14 @@ class MicrobeGenomicsFunctions {
                     "  if (rbs.length > 0) MicrobeFns.addAnnotation(atg.chromosome, rbs[0]);",
                     "}"
                 ]
+            },
+            {
+                task: "Scan promoters for sigma factor binding sites with a PWM",
+                steps: [
+                    "MicrobeFns.loadMotifs(jasparText, 'sigma70.jaspar');",
+                    "const scan = await MicrobeFns.scanMotifs({ region: 'upstream', upstreamLength: 150, pValue: 1e-4 });",
+                    "scan.hits.forEach(hit => console.log(hit.gene, hit.distance, hit.sequence, hit.pValue));"
+                ]
             }
         ];
     }
@@ -197,6 +197,15 @@ class ModalDragManager {
             '#searchModal',
             '#gotoModal',
             '#addFeatureModal',
+            '#variantCallingModal',
+            '#popGenModal',
+            '#ldHeatmapModal',
+            '#variantFilterModal',
+            '#msaViewerModal',
+            '#genePredictionModal',
+            '#motifScanModal',
+            '#rnaGeneModal',
+            '#operonPredictionModal',
             '#generalSettingsModal',
             '#actionListModal',
             '#tabSettingsModal',
@@ -0,0 +1,575 @@
+/**
+ * MotifScanner - Position weight matrix (PWM/PSSM) motif import and scanning
+ *
+ * Motifs are read from JASPAR (bracketed or plain PFM), MEME (minimal text format) and TRANSFAC
+ * matrix files, or built from an IUPAC consensus. Each motif is converted to a log-odds matrix
+ * (bits) against a background model, with a pseudocount distributed by the background as in FIMO.
+ * P-values are exact: the score distribution of the matrix under the background is computed by
+ * dynamic programming over integer-scaled scores, and a hit is reported when the probability of a
+ * random site scoring at least as high is below the threshold. Both strands are scanned; a
+ * reverse-strand site is the complement of forward-strand bases, so it is scored and given its
+ * p-value against the complemented background.
+ */
+
+class MotifScanner {
+
+    /**
+     * Default scanning options
+     */
+    static get DEFAULT_OPTIONS() {
+        return {
+            pValue: 1e-4,
+            strand: 'both',          // 'both', '+' or '-'
+            background: null,        // [A, C, G, T] probabilities for all motifs; null to use the motif file's
+            defaultBackground: null, // background (MEME) or else this one (null for uniform)
+            pseudocount: 0.1,        // total pseudocount per column, split by the background
+            maxHits: 100000          // hits kept per scan (best p-values first)
+        };
+    }
+
+    /**
+     * Bases covered by each IUPAC nucleotide code (A=0, C=1, G=2, T=3)
+     */
+    static get IUPAC() {
+        return {
+            A: [0], C: [1], G: [2], T: [3], U: [3],
+            R: [0, 2], Y: [1, 3], S: [1, 2], W: [0, 3], K: [2, 3], M: [0, 1],
+            B: [1, 2, 3], D: [0, 2, 3], H: [0, 1, 3], V: [0, 1, 2], N: [0, 1, 2, 3]
+        };
+    }
+
+    /* --------------------------------------------------------- */
+    /*  IMPORT                                                  */
+    /* --------------------------------------------------------- */
+
+    /**
+     * Parse a motif file, detecting JASPAR, MEME or TRANSFAC format from its content
+     * @param {string} text - File content
+     * @param {string} filename - File name, used to name header-less JASPAR matrices
+     * @returns {Array} Motifs { id, name, format, counts: [[A, C, G, T], ...], nsites, length, consensus }
+     */
+    static parse(text, filename = 'motif') {
+        let motifs;
+        if (/^MEME version/m.test(text) || /letter-probability matrix/i.test(text)) {
+            motifs = this.parseMEME(text);
+        } else if (/^(P0|PO)\s/m.test(text) && /^(ID|AC|NA|\/\/)/m.test(text)) {
+            motifs = this.parseTRANSFAC(text);
+        } else {
+            motifs = this.parseJASPAR(text, filename.replace(/\.[^.]+$/, ''));
+        }
+
+        if (motifs.length === 0) {
+            throw new Error('No motifs found. Supported formats are JASPAR, MEME and TRANSFAC matrices.');
+        }
+        return motifs;
+    }
+
+    /**
+     * Parse JASPAR matrices: "A [ 1 2 ... ]" rows after a ">ID NAME" header, or four plain rows (A, C, G, T)
+     */
+    static parseJASPAR(text, defaultId = 'motif') {
+        const motifs = [];
+        let current = null;
+
+        const finish = () => {
+            if (current && current.rows.length > 0) {
+                if (current.rows.length !== 4) {
+                    throw new Error(`JASPAR motif ${current.id} has ${current.rows.length} rows instead of 4`);
+                }
+                const columns = current.rows[0].values.length;
+                if (current.rows.some(row => row.values.length !== columns)) {
+                    throw new Error(`JASPAR motif ${current.id} has rows of different lengths`);
+                }
+                // Rows are A, C, G, T unless they are labelled
+                const order = current.rows.map((row, index) => row.base === null ? index : 'ACGT'.indexOf(row.base));
+                const counts = [];
+                for (let j = 0; j < columns; j++) {
+                    const column = [0, 0, 0, 0];
+                    current.rows.forEach((row, index) => { column[order[index]] = row.values[j]; });
+                    counts.push(column);
+                }
+                motifs.push(this.createMotif(current.id, current.name, 'JASPAR', counts));
+            }
+            current = null;
+        };
+
+        text.split(/\r?\n/).forEach(line => {
+            const trimmed = line.trim();
+            if (!trimmed || trimmed.startsWith('#')) return;
+
+            if (trimmed.startsWith('>')) {
+                finish();
+                const [id, ...name] = trimmed.slice(1).trim().split(/\s+/);
+                current = { id: id || `${defaultId}_${motifs.length + 1}`, name: name.join(' ') || id, rows: [], header: true };
+                return;
+            }
+
+            const match = trimmed.match(/^([ACGTU])?\s*\[?\s*([-+\d.eE\s]+?)\s*\]?$/i);
+            if (!match) {
+                throw new Error(`Unrecognised JASPAR line: ${trimmed}`);
+            }
+            if (current && current.rows.length === 4 && !current.header) {
+                // Plain PFM files can hold several matrices one after another
+                finish();
+            }
+            if (!current) {
+                const id = motifs.length === 0 ? defaultId : `${defaultId}_${motifs.length + 1}`;
+                current = { id, name: id, rows: [] };
+            }
+            const base = match[1] ? match[1].toUpperCase().replace('U', 'T') : null;
+            current.rows.push({ base, values: match[2].trim().split(/\s+/).map(Number) });
+        });
+        finish();
+
+        return motifs;
+    }
+
+    /**
+     * Parse MEME minimal motif format ("MOTIF id name" followed by a letter-probability matrix)
+     */
+    static parseMEME(text) {
+        const lines = text.split(/\r?\n/);
+        const motifs = [];
+        let background = null;
+        let current = null;
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i].trim();
+
+            if (/^Background letter frequencies/i.test(line)) {
+                // Frequencies follow on the next line(s) as "A 0.25 C 0.25 G 0.25 T 0.25"
+                const tokens = [];
+                while (tokens.length < 8 && i + 1 < lines.length && lines[i + 1].trim()) {
+                    tokens.push(...lines[++i].trim().split(/\s+/));
+                }
+                background = [0, 0, 0, 0];
+                for (let t = 0; t + 1 < tokens.length; t += 2) {
+                    const index = 'ACGT'.indexOf(tokens[t].toUpperCase());
+                    if (index !== -1) background[index] = parseFloat(tokens[t + 1]);
+                }
+                if (background.some(value => !(value > 0))) background = null;
+                continue;
+            }
+
+            if (/^MOTIF\s/.test(line)) {
+                const [, id, ...name] = line.split(/\s+/);
+                current = { id, name: name.join(' ') || id };
+                continue;
+            }
+
+            if (/^letter-probability matrix/i.test(line) && current) {
+                const width = parseInt((line.match(/w=\s*(\d+)/) || [])[1]);
+                const nsites = parseFloat((line.match(/nsites=\s*([\d.eE+-]+)/) || [])[1]) || 20;
+                const rows = [];
+                while (i + 1 < lines.length && rows.length < (width || Infinity)) {
+                    const row = lines[i + 1].trim();
+                    if (!/^[-+\d.]/.test(row)) break;
+                    rows.push(row.split(/\s+/).map(Number));
+                    i++;
+                }
+                if (rows.length === 0 || rows.some(row => row.length !== 4 || row.some(isNaN))) {
+                    throw new Error(`MEME motif ${current.id} does not have a 4-column DNA probability matrix`);
+                }
+                const motif = this.createMotif(current.id, current.name, 'MEME', rows.map(row => row.map(p => p * nsites)));
+                if (background) motif.fileBackground = background;
+                motifs.push(motif);
+                current = null;
+            }
+        }
+
+        return motifs;
+    }
+
+    /**
+     * Parse TRANSFAC matrix records (ID/AC/NA lines, a P0 header and numbered rows, ended by //)
+     */
+    static parseTRANSFAC(text) {
+        const motifs = [];
+        let record = { rows: [] };
+        let order = null;
+
+        const finish = () => {
+            if (record.rows.length > 0) {
+                const id = record.id || record.accession || `motif_${motifs.length + 1}`;
+                motifs.push(this.createMotif(id, record.name || id, 'TRANSFAC', record.rows));
+            }
+            record = { rows: [] };
+            order = null;
+        };
+
+        text.split(/\r?\n/).forEach(line => {
+            const trimmed = line.trim();
+            if (trimmed.startsWith('//')) {
+                finish();
+                return;
+            }
+
+            const [tag, ...rest] = trimmed.split(/\s+/);
+            const value = rest.join(' ');
+            if (tag === 'ID' && !record.id) record.id = value;
+            else if (tag === 'AC' && !record.accession) record.accession = value;
+            else if ((tag === 'NA' || tag === 'DE') && !record.name) record.name = value;
+            else if (tag === 'P0' || tag === 'PO') {
+                order = rest.map(letter => 'ACGT'.indexOf(letter.toUpperCase().replace('U', 'T')));
+                if (order.length !== 4 || order.includes(-1)) {
+                    throw new Error(`Unsupported TRANSFAC matrix columns: ${value}`);
+                }
+            } else if (order && /^\d+$/.test(tag)) {
+                const column = [0, 0, 0, 0];
+                order.forEach((base, index) => { column[base] = parseFloat(rest[index]); });
+                if (column.some(isNaN)) {
+                    throw new Error(`Invalid TRANSFAC matrix row: ${trimmed}`);
+                }
+                record.rows.push(column);
+            } else if (tag === 'XX' && record.rows.length > 0) {
+                order = null;
+            }
+        });
+        finish();
+
+        return motifs;
+    }
+
+    /**
+     * E. coli sigma70 promoter boxes as count matrices (100 sites per column) built from the
+     * consensus-base frequencies of Harley and Reynolds (1987), the rest of each column split
+     * evenly over the other bases. The -35 box ends 15-19 bp before the -10 box starts.
+     */
+    static get SIGMA70() {
+        const box = (consensus, percentages) => consensus.split('').map((letter, j) => {
+            const column = [0, 1, 2, 3].map(() => (100 - percentages[j]) / 3);
+            column['ACGT'.indexOf(letter)] = percentages[j];
+            return column;
+        });
+        return {
+            minus35: this.createMotif('sigma70_-35', 'sigma70 -35 box', 'builtin', box('TTGACA', [69, 79, 61, 56, 54, 54])),
+            minus10: this.createMotif('sigma70_-10', 'sigma70 -10 box', 'builtin', box('TATAAT', [77, 76, 60, 61, 56, 82])),
+            minSpacer: 15,
+            maxSpacer: 19
+        };
+    }
+
+    /**
+     * Motif from an IUPAC consensus such as TTGACA or TATAAT (degenerate codes split the counts)
+     */
+    static fromConsensus(consensus, name = null) {
+        const clean = String(consensus || '').toUpperCase().replace(/\s+/g, '');
+        if (!clean || /[^ACGTURYSWKMBDHVN]/.test(clean)) {
+            throw new Error(`Invalid IUPAC consensus: ${consensus}`);
+        }
+
+        const counts = clean.split('').map(letter => {
+            const bases = this.IUPAC[letter];
+            const column = [0, 0, 0, 0];
+            bases.forEach(base => { column[base] = 20 / bases.length; });
+            return column;
+        });
+        return this.createMotif(clean, name || clean, 'consensus', counts);
+    }
+
+    /**
+     * Motif object with validated counts and its consensus
+     */
+    static createMotif(id, name, format, counts) {
+        if (counts.length === 0) {
+            throw new Error(`Motif ${id} is empty`);
+        }
+        if (counts.some(column => column.some(value => !(value >= 0)) || column.every(value => value === 0))) {
+            throw new Error(`Motif ${id} has negative or empty columns`);
+        }
+
+        const nsites = counts.reduce((sum, column) => sum + column.reduce((a, b) => a + b, 0), 0) / counts.length;
+        return {
+            id,
+            name,
+            format,
+            counts,
+            nsites: Math.round(nsites * 100) / 100,
+            length: counts.length,
+            consensus: this.consensusOf(counts)
+        };
+    }
+
+    /**
+     * IUPAC consensus of a count matrix: one base when it dominates the column, a two-base code
+     * when two bases together make up three quarters of it, N otherwise
+     */
+    static consensusOf(counts) {
+        const pairs = { '0,1': 'M', '0,2': 'R', '0,3': 'W', '1,2': 'S', '1,3': 'Y', '2,3': 'K' };
+        return counts.map(column => {
+            const total = column.reduce((a, b) => a + b, 0);
+            const ranked = [0, 1, 2, 3].sort((a, b) => column[b] - column[a]);
+            const first = column[ranked[0]] / total;
+            const second = column[ranked[1]] / total;
+            if (first > 0.5 && first >= 2 * second) return 'ACGT'[ranked[0]];
+            if (first + second >= 0.75) return pairs[[ranked[0], ranked[1]].sort().join(',')];
+            return 'N';
+        }).join('');
+    }
+
+    /* --------------------------------------------------------- */
+    /*  SCORING                                                 */
+    /* --------------------------------------------------------- */
+
+    /**
+     * Strand-symmetric base composition of sequences, usable as background
+     * @param {Array<string>} sequences - Sequences to count
+     * @returns {Array} [A, C, G, T] probabilities (uniform when there are no ACGT bases)
+     */
+    static composition(sequences) {
+        const counts = [0, 0, 0, 0];
+        sequences.forEach(sequence => {
+            const codes = this.encode(sequence);
+            for (let i = 0; i < codes.length; i++) {
+                if (codes[i] < 4) counts[codes[i]]++;
+            }
+        });
+        const total = counts.reduce((a, b) => a + b, 0);
+        if (total === 0) return [0.25, 0.25, 0.25, 0.25];
+
+        // Both strands are scanned, so A/T and C/G share their frequencies
+        const at = (counts[0] + counts[3]) / (2 * total);
+        const cg = (counts[1] + counts[2]) / (2 * total);
+        return [at, cg, cg, at];
+    }
+
+    /**
+     * Log-odds matrix (bits) of a motif with its integer-scaled copy and exact score distribution
+     * @param {Object} motif - Motif from parse(), fromConsensus() or createMotif()
+     * @param {Array} background - [A, C, G, T] probabilities
+     * @param {number} pseudocount - Total pseudocount per column
+     * @returns {Object} { scores, intScores, scale, minScore, maxScore, tail, tailOffset, length }
+     */
+    static buildMatrix(motif, background = [0.25, 0.25, 0.25, 0.25], pseudocount = 0.1) {
+        const length = motif.counts.length;
+        const scores = new Float64Array(length * 4);
+        let range = 0;
+
+        motif.counts.forEach((column, j) => {
+            const total = column.reduce((a, b) => a + b, 0);
+            for (let b = 0; b < 4; b++) {
+                const probability = (column[b] + pseudocount * background[b]) / (total + pseudocount);
+                scores[j * 4 + b] = Math.log2(probability / background[b]);
+            }
+            const values = scores.subarray(j * 4, j * 4 + 4);
+            range += Math.max(...values) - Math.min(...values);
+        });
+
+        // Integer scores keep the score distribution table small; 100 steps per bit when it fits
+        const scale = Math.min(100, 100000 / Math.max(range, 1));
+        const intScores = new Int32Array(length * 4);
+        for (let k = 0; k < scores.length; k++) {
+            intScores[k] = Math.round(scores[k] * scale);
+        }
+
+        // Distribution of the integer score of a random site under the background
+        let minInt = 0;
+        let maxInt = 0;
+        for (let j = 0; j < length; j++) {
+            const column = intScores.subarray(j * 4, j * 4 + 4);
+            minInt += Math.min(...column);
+            maxInt += Math.max(...column);
+        }
+        let distribution = new Float64Array(1);
+        distribution[0] = 1;
+        let low = 0;
+        for (let j = 0; j < length; j++) {
+            const column = intScores.subarray(j * 4, j * 4 + 4);
+            const columnMin = Math.min(...column);
+            const columnMax = Math.max(...column);
+            const next = new Float64Array(distribution.length + columnMax - columnMin);
+            for (let s = 0; s < distribution.length; s++) {
+                if (distribution[s] === 0) continue;
+                for (let b = 0; b < 4; b++) {
+                    next[s + column[b] - columnMin] += distribution[s] * background[b];
+                }
+            }
+            distribution = next;
+            low += columnMin;
+        }
+
+        // tail[k] = P(score >= minInt + k)
+        const tail = new Float64Array(distribution.length + 1);
+        for (let k = distribution.length - 1; k >= 0; k--) {
+            tail[k] = tail[k + 1] + distribution[k];
+        }
+
+        let minScore = 0;
+        let maxScore = 0;
+        for (let j = 0; j < length; j++) {
+            const column = scores.subarray(j * 4, j * 4 + 4);
+            minScore += Math.min(...column);
+            maxScore += Math.max(...column);
+        }
+
+        return { scores, intScores, scale, minScore, maxScore, tail, tailOffset: low, minInt, maxInt, length };
+    }
+
+    /**
+     * P-value of an integer score from buildMatrix
+     */
+    static pValueOf(matrix, intScore) {
+        const index = intScore - matrix.tailOffset;
+        if (index < 0) return 1;
+        if (index >= matrix.tail.length) return 0;
+        return Math.min(1, matrix.tail[index]);
+    }
+
+    /**
+     * Lowest integer score whose p-value does not exceed the threshold
+     */
+    static thresholdFor(matrix, pValue) {
+        for (let k = 0; k < matrix.tail.length; k++) {
+            if (matrix.tail[k] <= pValue) return matrix.tailOffset + k;
+        }
+        return matrix.maxInt + 1;
+    }
+
+    /**
+     * Sequence as base codes (A=0, C=1, G=2, T/U=3, anything else 4)
+     */
+    static encode(sequence) {
+        const codes = new Uint8Array(sequence.length);
+        for (let i = 0; i < sequence.length; i++) {
+            switch (sequence.charCodeAt(i) | 32) {
+                case 97: codes[i] = 0; break;   // a
+                case 99: codes[i] = 1; break;   // c
+                case 103: codes[i] = 2; break;  // g
+                case 116:                       // t
+                case 117: codes[i] = 3; break;  // u
+                default: codes[i] = 4;
+            }
+        }
+        return codes;
+    }
+
+    /* --------------------------------------------------------- */
+    /*  SCANNING                                                */
+    /* --------------------------------------------------------- */
+
+    /**
+     * Scan sequences with motifs on one or both strands
+     * @param {Array} regions - { chromosome, start (1-based position of sequence[0]), sequence, ...extra }
+     *                          extra properties (e.g. gene) are copied onto the hits of the region
+     * @param {Array} motifs - Motifs to scan with
+     * @param {Object} options - See DEFAULT_OPTIONS
+     * @returns {Object} { hits (sorted by p-value), truncated, motifs: per-motif summary }
+     */
+    static scan(regions, motifs, options = {}) {
+        const settings = { ...this.DEFAULT_OPTIONS, ...options };
+        const strands = settings.strand === '+' ? [1] : settings.strand === '-' ? [-1] : [1, -1];
+        const encoded = regions.map(region => this.encode(region.sequence));
+        const hits = [];
+        const summaries = [];
+
+        motifs.forEach(motif => {
+            const background = settings.background || motif.fileBackground || settings.defaultBackground || [0.25, 0.25, 0.25, 0.25];
+            const matrix = this.buildMatrix(motif, background, settings.pseudocount);
+            const threshold = this.thresholdFor(matrix, settings.pValue);
+            const length = matrix.length;
+
+            // Reverse-strand sites are read on the complementary strand, whose bases follow the
+            // complemented background; a strand-symmetric background gives the same matrix
+            const complemented = [background[3], background[2], background[1], background[0]];
+            const reverseMatrix = complemented.every((value, b) => value === background[b])
+                ? matrix
+                : this.buildMatrix(motif, complemented, settings.pseudocount);
+
+            // Reverse-strand matrix: reversed columns with complemented bases
+            const reverse = new Int32Array(length * 4);
+            const reverseScores = new Float64Array(length * 4);
+            for (let j = 0; j < length; j++) {
+                for (let b = 0; b < 4; b++) {
+                    reverse[(length - 1 - j) * 4 + (3 - b)] = reverseMatrix.intScores[j * 4 + b];
+                    reverseScores[(length - 1 - j) * 4 + (3 - b)] = reverseMatrix.scores[j * 4 + b];
+                }
+            }
+
+            let motifHits = 0;
+            strands.forEach(strand => {
+                const strandMatrix = strand === 1 ? matrix : reverseMatrix;
+                const strandThreshold = strand === 1 ? threshold : this.thresholdFor(reverseMatrix, settings.pValue);
+                const intScores = strand === 1 ? matrix.intScores : reverse;
+                const scores = strand === 1 ? matrix.scores : reverseScores;
+
+                // Best score still reachable from column j on, to abandon hopeless windows early
+                const bestRemaining = new Int32Array(length + 1);
+                for (let j = length - 1; j >= 0; j--) {
+                    bestRemaining[j] = bestRemaining[j + 1] + Math.max(...intScores.subarray(j * 4, j * 4 + 4));
+                }
+
+                regions.forEach((region, r) => {
+                    const { chromosome, start, sequence, ...extra } = region;
+                    const codes = encoded[r];
+                    for (let i = 0; i + length <= codes.length; i++) {
+                        let total = 0;
+                        let j = 0;
+                        for (; j < length; j++) {
+                            const code = codes[i + j];
+                            if (code > 3 || total + bestRemaining[j] < strandThreshold) break;
+                            total += intScores[j * 4 + code];
+                        }
+                        if (j < length || total < strandThreshold) continue;
+
+                        let score = 0;
+                        for (let k = 0; k < length; k++) {
+                            score += scores[k * 4 + codes[i + k]];
+                        }
+                        const site = sequence.substring(i, i + length).toUpperCase();
+                        hits.push({
+                            ...extra,
+                            type: 'motif',
+                            motifId: motif.id,
+                            motifName: motif.name,
+                            chromosome,
+                            start: start + i,
+                            end: start + i + length - 1,
+                            strand,
+                            score: Math.round(score * 100) / 100,
+                            relativeScore: Math.round((score - strandMatrix.minScore) / (strandMatrix.maxScore - strandMatrix.minScore) * 1000) / 1000,
+                            pValue: this.pValueOf(strandMatrix, total),
+                            sequence: strand === 1 ? site : this.reverseComplement(site)
+                        });
+                        motifHits++;
+                    }
+                });
+            });
+
+            summaries.push({
+                id: motif.id,
+                name: motif.name,
+                length,
+                consensus: motif.consensus,
+                maxScore: Math.round(matrix.maxScore * 100) / 100,
+                scoreThreshold: Math.round(threshold / matrix.scale * 100) / 100,
+                bestPValue: this.pValueOf(matrix, matrix.maxInt),  // short motifs cannot reach small thresholds
+                background: background.map(value => Math.round(value * 1000) / 1000),
+                hits: motifHits
+            });
+        });
+
+        hits.sort((a, b) => a.pValue - b.pValue || b.score - a.score);
+        const truncated = hits.length > settings.maxHits;
+        return { hits: truncated ? hits.slice(0, settings.maxHits) : hits, truncated, motifs: summaries };
+    }
+
+    /**
+     * Reverse complement of an uppercase DNA string
+     */
+    static reverseComplement(sequence) {
+        const complement = { A: 'T', C: 'G', G: 'C', T: 'A', U: 'A' };
+        let result = '';
+        for (let i = sequence.length - 1; i >= 0; i--) {
+            result += complement[sequence[i]] || 'N';
+        }
+        return result;
+    }
+}
+
+// Export for Node.js and browser compatibility
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MotifScanner;
+}
+if (typeof window !== 'undefined') {
+    window.MotifScanner = MotifScanner;
+}
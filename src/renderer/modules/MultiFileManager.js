@@ -9,6 +9,7 @@ class MultiFileManager {
         // Multi-file storage
         this.bamFiles = new Map(); // fileId -> { reader, metadata, tracks }
         this.vcfFiles = new Map(); // fileId -> { data, metadata, tracks }
+        this.annotationFiles = new Map(); // fileId -> { source, metadata, trackId } (tabix-indexed BED/GFF)
         
         // File counter for unique IDs
         this.fileCounter = 0;
@@ -37,9 +38,11 @@ class MultiFileManager {
         try {
             console.log(`Adding BAM file: ${filePath}`);
             
-            // Create BAM reader
+            // Create BAM reader; CRAM files decode against the currently loaded genome
             const bamReader = new BamReader();
-            await bamReader.initialize(filePath);
+            await bamReader.initialize(filePath, {
+                getReferenceSequence: (chromosome) => this.genomeBrowser.currentSequence?.[chromosome] || null
+            });
             
             // Generate file metadata
             const baseName = customName || this.extractFileName(filePath);
@@ -51,6 +54,7 @@ class MultiFileManager {
                 originalName: baseName,
                 path: filePath,
                 type: 'bam',
+                format: bamReader.format,
                 loadTime: new Date(),
                 size: bamReader.fileSize,
                 stats: bamReader.getStats(),
@@ -91,6 +95,7 @@ class MultiFileManager {
             
             const variantCount = Object.values(variants).reduce((sum, chrVariants) => sum + chrVariants.length, 0);
             const chromosomes = Object.keys(variants);
+            const header = VcfGenotypes.extractHeaderLines(fileData);
             
             const metadata = {
                 id: fileId,
@@ -102,12 +107,14 @@ class MultiFileManager {
                 size: fileData.length,
                 variantCount: variantCount,
                 chromosomes: chromosomes,
+                samples: VcfGenotypes.parseSampleNames(header),
                 isVisible: true
             };
             
             // Store VCF file data
             this.vcfFiles.set(fileId, {
                 data: variants,
+                header: header,
                 metadata: metadata,
                 trackId: `variants_${fileId}`
             });
@@ -123,6 +130,154 @@ class MultiFileManager {
         }
     }
 
+    /**
+     * Add a bgzipped, tabix-indexed VCF file
+     * Variants are not parsed up front; tracks query the current region through `source`
+     */
+    async addIndexedVcfFile(filePath, customName = null) {
+        try {
+            console.log(`Adding indexed VCF file: ${filePath}`);
+            
+            const reader = new TabixReader();
+            await reader.initialize(filePath, { format: 'vcf' });
+            
+            const source = new IndexedFeatureManager(this.genomeBrowser, reader, (lines, chromosome) => {
+                return this.parseVcfData(lines.join('\n'))[chromosome] || [];
+            });
+            
+            const baseName = customName || this.extractFileName(filePath);
+            const fileId = this.generateFileId('vcf', baseName);
+            
+            const metadata = {
+                id: fileId,
+                name: baseName,
+                originalName: baseName,
+                path: filePath,
+                type: 'vcf',
+                loadTime: new Date(),
+                size: reader.fileSize,
+                variantCount: null, // Unknown without a full scan
+                chromosomes: reader.getReferences(),
+                samples: VcfGenotypes.parseSampleNames(reader.getHeader()),
+                isIndexed: true,
+                indexType: reader.indexType,
+                isVisible: true
+            };
+            
+            this.vcfFiles.set(fileId, {
+                data: {},
+                source: source,
+                header: VcfGenotypes.extractHeaderLines(reader.getHeader()),
+                metadata: metadata,
+                trackId: `variants_${fileId}`
+            });
+            
+            this.fileMetadata.set(fileId, metadata);
+            
+            console.log(`Indexed VCF file added successfully: ${fileId}`);
+            return { fileId, metadata };
+            
+        } catch (error) {
+            console.error('Error adding indexed VCF file:', error);
+            throw new Error(`Failed to add indexed VCF file: ${error.message}`);
+        }
+    }
+
+    /**
+     * Add a bgzipped, tabix-indexed BED or GFF annotation file
+     * @param {string} filePath - Path to the bgzipped file
+     * @param {string} format - 'bed' or 'gff'
+     * @param {Function} parseLines - (lines) => { annotations } keyed by chromosome
+     */
+    async addIndexedAnnotationFile(filePath, format, parseLines, customName = null) {
+        try {
+            console.log(`Adding indexed ${format.toUpperCase()} file: ${filePath}`);
+            
+            const reader = new TabixReader();
+            await reader.initialize(filePath, { format });
+            
+            const source = new IndexedFeatureManager(this.genomeBrowser, reader, (lines, chromosome) => {
+                return parseLines(lines).annotations[chromosome] || [];
+            });
+            
+            const baseName = customName || this.extractFileName(filePath);
+            const fileId = this.generateFileId(format, baseName);
+            
+            const metadata = {
+                id: fileId,
+                name: baseName,
+                originalName: baseName,
+                path: filePath,
+                type: format,
+                loadTime: new Date(),
+                size: reader.fileSize,
+                chromosomes: reader.getReferences(),
+                isIndexed: true,
+                indexType: reader.indexType,
+                isVisible: true
+            };
+            
+            this.annotationFiles.set(fileId, {
+                source: source,
+                metadata: metadata,
+                trackId: `genes_${fileId}`
+            });
+            
+            this.fileMetadata.set(fileId, metadata);
+            
+            console.log(`Indexed annotation file added successfully: ${fileId}`);
+            return { fileId, metadata };
+            
+        } catch (error) {
+            console.error('Error adding indexed annotation file:', error);
+            throw new Error(`Failed to add indexed annotation file: ${error.message}`);
+        }
+    }
+
+    /**
+     * Add a variant set created in the app (e.g. pileup calls from a BAM file) as a variant track
+     * @param {string} name - Track name
+     * @param {Array} variants - Variants with 0-based start/end, like parseVcfData returns them
+     * @param {Array} headerLines - VCF header lines kept for export
+     */
+    addVariantSet(name, variants, headerLines = []) {
+        const fileId = this.generateFileId('vcf', name);
+        const data = {};
+        variants.forEach(variant => {
+            if (!data[variant.chromosome]) {
+                data[variant.chromosome] = [];
+            }
+            data[variant.chromosome].push(variant);
+        });
+
+        const metadata = {
+            id: fileId,
+            name: name,
+            originalName: name,
+            path: null,
+            type: 'vcf',
+            loadTime: new Date(),
+            size: 0,
+            variantCount: variants.length,
+            chromosomes: Object.keys(data),
+            samples: VcfGenotypes.parseSampleNames(headerLines),
+            isCalled: true,
+            isVisible: true
+        };
+
+        this.vcfFiles.set(fileId, {
+            data: data,
+            header: headerLines,
+            metadata: metadata,
+            trackId: `variants_${fileId}`
+        });
+
+        this.fileMetadata.set(fileId, metadata);
+
+        console.log(`Variant set added successfully: ${fileId}, ${variants.length} variants`);
+        return { fileId, metadata };
+    }
+
     /**
      * Parse VCF file data
      */
@@ -157,6 +312,17 @@ class MultiFileManager {
                 info: info
             };
             
+            // Per-sample genotype columns of multi-sample VCFs
+            if (fields.length > 9) {
+                variant.format = fields[8];
+                variant.samples = fields.slice(9);
+            }
+            
+            // Symbolic and breakend alleles span END / SVLEN or link to a mate position
+            if (/[<[\]]/.test(alt) || info.includes('SVTYPE=')) {
+                StructuralVariants.annotate(variant);
+            }
+            
             variants[chrom].push(variant);
         }
         
@@ -193,6 +359,9 @@ class MultiFileManager {
         if (this.vcfFiles.has(fileId)) {
             this.vcfFiles.get(fileId).metadata.name = newName.trim();
         }
+        if (this.annotationFiles.has(fileId)) {
+            this.annotationFiles.get(fileId).metadata.name = newName.trim();
+        }
         
         console.log(`File renamed: ${oldName} -> ${newName}`);
         return metadata;
@@ -221,14 +390,22 @@ class MultiFileManager {
                     this.bamFiles.delete(fileId);
                 }
             } else if (metadata.type === 'vcf') {
+                const vcfFile = this.vcfFiles.get(fileId);
+                if (vcfFile && vcfFile.source) {
+                    vcfFile.source.dispose();
+                }
                 this.vcfFiles.delete(fileId);
+            } else if (this.annotationFiles.has(fileId)) {
+                this.annotationFiles.get(fileId).source.dispose();
+                this.annotationFiles.delete(fileId);
             }
             
             // Remove from metadata
             this.fileMetadata.delete(fileId);
             
             // Remove track visibility state
-            const trackId = metadata.type === 'bam' ? `reads_${fileId}` : `variants_${fileId}`;
+            const trackId = metadata.type === 'bam' ? `reads_${fileId}` :
+                metadata.type === 'vcf' ? `variants_${fileId}` : `genes_${fileId}`;
             this.trackVisibility.delete(trackId);
             
             console.log(`File removed successfully: ${fileId}`);
@@ -262,6 +439,14 @@ class MultiFileManager {
             });
         }
         
+        // Add indexed annotation files
+        for (const [fileId, annotationFile] of this.annotationFiles) {
+            files.push({
+                ...annotationFile.metadata,
+                trackId: annotationFile.trackId
+            });
+        }
+        
         return files.sort((a, b) => a.loadTime - b.loadTime);
     }
 
@@ -279,6 +464,39 @@ class MultiFileManager {
         return Array.from(this.vcfFiles.values());
     }
 
+    /**
+     * Set or clear (empty expression) the filter of a VCF file; only passing records are drawn
+     * @param {string} fileId - VCF file ID
+     * @param {string} expression - VcfFilter expression
+     * @returns {Object|null} The compiled filter
+     * @throws {Error} When the file is unknown or the expression is invalid
+     */
+    setVcfFilter(fileId, expression) {
+        const vcfFile = this.vcfFiles.get(fileId);
+        if (!vcfFile) {
+            throw new Error(`VCF file not found: ${fileId}`);
+        }
+
+        if (!expression || !expression.trim()) {
+            vcfFile.filter = null;
+            return null;
+        }
+
+        vcfFile.filter = VcfFilter.compile(expression, {
+            sampleNames: vcfFile.metadata.samples || [],
+            header: vcfFile.header || []
+        });
+        console.log(`🔎 Filter set on ${vcfFile.metadata.name}: ${vcfFile.filter.expression}`);
+        return vcfFile.filter;
+    }
+
+    /**
+     * Get tabix-indexed annotation files for gene track rendering
+     */
+    getIndexedAnnotationFiles() {
+        return Array.from(this.annotationFiles.values());
+    }
+
     /**
      * Get file by ID
      */
@@ -289,6 +507,9 @@ class MultiFileManager {
         if (this.vcfFiles.has(fileId)) {
             return this.vcfFiles.get(fileId);
         }
+        if (this.annotationFiles.has(fileId)) {
+            return this.annotationFiles.get(fileId);
+        }
         return null;
     }
 
@@ -326,6 +547,7 @@ class MultiFileManager {
     getSummary() {
         const bamCount = this.bamFiles.size;
         const vcfCount = this.vcfFiles.size;
+        const annotationCount = this.annotationFiles.size;
         const totalSize = Array.from(this.fileMetadata.values())
             .reduce((sum, meta) => sum + (meta.size || 0), 0);
         
@@ -333,9 +555,10 @@ class MultiFileManager {
             .reduce((sum, vcfFile) => sum + (vcfFile.metadata.variantCount || 0), 0);
         
         return {
-            totalFiles: bamCount + vcfCount,
+            totalFiles: bamCount + vcfCount + annotationCount,
             bamFiles: bamCount,
             vcfFiles: vcfCount,
+            annotationFiles: annotationCount,
             totalSize: totalSize,
             totalVariants: variantCount,
             loadedFiles: this.getAllFiles()
@@ -358,6 +581,11 @@ class MultiFileManager {
             await this.removeFile(fileId);
         }
         
+        // Remove all indexed annotation files
+        for (const fileId of this.annotationFiles.keys()) {
+            await this.removeFile(fileId);
+        }
+        
         // Reset counters
         this.fileCounter = 0;
         
@@ -0,0 +1,451 @@
+/**
+ * MultipleAlignment - Multiple sequence alignment parsing and column statistics
+ *
+ * Reads Clustal (.aln), aligned FASTA and Stockholm alignments into
+ * { format, sequences: [{ name, description, sequence }], length, type, annotations },
+ * with every gap character ('-', '.', '~') normalized to '-'. Query-anchored alignments can
+ * also be built from pairwise hits (BLAST HSPs) by merging the insertions of all hits.
+ */
+
+class MultipleAlignment {
+
+    /**
+     * Residue coloring schemes offered by the alignment viewer
+     */
+    static get COLOR_SCHEMES() {
+        return {
+            clustalx: 'ClustalX',
+            nucleotide: 'Nucleotide',
+            hydrophobicity: 'Hydrophobicity',
+            identity: 'Percent identity',
+            none: 'None'
+        };
+    }
+
+    /**
+     * ClustalX residue classes: a residue takes its class color when the class (or the residue
+     * itself, above 85%) dominates the column; glycine and proline are always colored
+     */
+    static get CLUSTALX_CLASSES() {
+        return [
+            { residues: 'AILMFWV', color: '#80a0f0', group: 'WLVIMAFCHP' },
+            { residues: 'C', color: '#80a0f0', group: 'WLVIMAFCHP' },
+            { residues: 'KR', color: '#f01505', group: 'KRQ' },
+            { residues: 'ED', color: '#c048c0', group: 'EDQN' },
+            { residues: 'NQST', color: '#15c015', group: 'NQST' },
+            { residues: 'HY', color: '#15a4a4', group: 'WYACPQFHILMV' },
+            { residues: 'G', color: '#f09048', group: null },
+            { residues: 'P', color: '#c0c000', group: null }
+        ];
+    }
+
+    static get NUCLEOTIDE_COLORS() {
+        return { A: '#64f73f', C: '#ffb340', G: '#eb413c', T: '#3c88ee', U: '#3c88ee' };
+    }
+
+    /**
+     * Kyte-Doolittle hydropathy index
+     */
+    static get HYDROPATHY() {
+        return {
+            I: 4.5, V: 4.2, L: 3.8, F: 2.8, C: 2.5, M: 1.9, A: 1.8, G: -0.4, T: -0.7, S: -0.8,
+            W: -0.9, Y: -1.3, P: -1.6, H: -3.2, E: -3.5, Q: -3.5, D: -3.5, N: -3.5, K: -3.9, R: -4.5
+        };
+    }
+
+    static isGap(residue) {
+        return residue === '-' || residue === '.' || residue === '~';
+    }
+
+    /**
+     * Parse alignment text, detecting the format from its first line
+     * @param {string} text - File content
+     * @param {string} fileName - Used to recognize Clustal files without a CLUSTAL header line
+     */
+    static parse(text, fileName = '') {
+        const firstLine = text.trimStart().split('\n')[0];
+
+        if (/^# STOCKHOLM/.test(firstLine)) {
+            return this.parseStockholm(text);
+        }
+        if (/^(CLUSTAL|MUSCLE|PROBCONS|MAFFT|T-COFFEE)/i.test(firstLine) || /\.(aln|clustal|clw)$/i.test(fileName)) {
+            return this.parseClustal(text);
+        }
+        if (firstLine.startsWith('>')) {
+            return this.parseFasta(text);
+        }
+        throw new Error('Unrecognized alignment format: expected Clustal, aligned FASTA or Stockholm');
+    }
+
+    static parseFasta(text) {
+        const sequences = [];
+        let current = null;
+
+        text.split('\n').forEach(line => {
+            const trimmed = line.trim();
+            if (trimmed.startsWith('>')) {
+                const header = trimmed.substring(1).trim();
+                const separator = header.search(/\s/);
+                current = {
+                    name: separator < 0 ? header : header.substring(0, separator),
+                    description: separator < 0 ? '' : header.substring(separator + 1).trim(),
+                    sequence: ''
+                };
+                sequences.push(current);
+            } else if (current && trimmed && !trimmed.startsWith(';')) {
+                current.sequence += trimmed;
+            }
+        });
+
+        return this.createAlignment('FASTA', sequences);
+    }
+
+    /**
+     * Clustal blocks: 'name residues [count]' lines, separated by blank lines and
+     * conservation lines (which start with whitespace)
+     */
+    static parseClustal(text) {
+        const byName = new Map();
+
+        text.split('\n').forEach(line => {
+            if (!line.trim() || /^\s/.test(line) || /^(CLUSTAL|MUSCLE|PROBCONS|MAFFT|T-COFFEE)/i.test(line)) {
+                return;
+            }
+            const fields = line.trim().split(/\s+/);
+            if (fields.length < 2) return;
+
+            const [name, residues] = fields;
+            if (!byName.has(name)) {
+                byName.set(name, { name, description: '', sequence: '' });
+            }
+            byName.get(name).sequence += residues;
+        });
+
+        return this.createAlignment('Clustal', Array.from(byName.values()));
+    }
+
+    /**
+     * First alignment of a Stockholm file; #=GS DE lines become descriptions and
+     * #=GC lines (SS_cons, RF, ...) column annotations
+     */
+    static parseStockholm(text) {
+        const byName = new Map();
+        const annotations = {};
+        const descriptions = {};
+
+        for (const line of text.split('\n')) {
+            const trimmed = line.trim();
+            if (trimmed === '//') break;
+            if (!trimmed) continue;
+
+            if (trimmed.startsWith('#=GC')) {
+                const [, feature, residues] = trimmed.split(/\s+/);
+                if (feature && residues) {
+                    annotations[feature] = (annotations[feature] || '') + residues;
+                }
+                continue;
+            }
+            if (trimmed.startsWith('#=GS')) {
+                const match = /^#=GS\s+(\S+)\s+DE\s+(.*)$/.exec(trimmed);
+                if (match) descriptions[match[1]] = match[2].trim();
+                continue;
+            }
+            if (trimmed.startsWith('#')) continue;
+
+            const fields = trimmed.split(/\s+/);
+            if (fields.length < 2) continue;
+            const [name, residues] = fields;
+            if (!byName.has(name)) {
+                byName.set(name, { name, description: '', sequence: '' });
+            }
+            byName.get(name).sequence += residues;
+        }
+
+        const sequences = Array.from(byName.values());
+        sequences.forEach(entry => {
+            entry.description = descriptions[entry.name] || '';
+        });
+        return this.createAlignment('Stockholm', sequences, annotations);
+    }
+
+    /**
+     * Validate and normalize parsed rows
+     * @throws {Error} When there are no sequences or the rows differ in length
+     */
+    static createAlignment(format, sequences, annotations = {}) {
+        if (sequences.length === 0) {
+            throw new Error(`No sequences found in ${format} alignment`);
+        }
+
+        sequences.forEach(entry => {
+            entry.sequence = entry.sequence.replace(/\s+/g, '').replace(/[.~]/g, '-');
+        });
+
+        const length = sequences[0].sequence.length;
+        const mismatched = sequences.find(entry => entry.sequence.length !== length);
+        if (mismatched) {
+            throw new Error(`Sequence ${mismatched.name} has ${mismatched.sequence.length} columns but ${sequences[0].name} has ${length}; the sequences are not aligned`);
+        }
+
+        return {
+            format,
+            sequences,
+            length,
+            type: this.detectType(sequences),
+            annotations
+        };
+    }
+
+    /**
+     * 'DNA', 'RNA' or 'protein' from the residue composition (at least 90% nucleotides)
+     */
+    static detectType(sequences) {
+        let nucleotides = 0;
+        let residues = 0;
+        let uracil = 0;
+        sequences.forEach(({ sequence }) => {
+            for (const residue of sequence.toUpperCase()) {
+                if (residue === '-') continue;
+                residues++;
+                if ('ACGTUN'.includes(residue)) nucleotides++;
+                if (residue === 'U') uracil++;
+            }
+        });
+
+        if (residues === 0 || nucleotides / residues < 0.9) {
+            return 'protein';
+        }
+        return uracil > 0 ? 'RNA' : 'DNA';
+    }
+
+    /**
+     * Build a query-anchored alignment from pairwise hits: query positions become columns and
+     * every insertion (gap in a hit's query line) opens as many columns as the longest insertion
+     * at that position among all hits
+     * @param {Object} query - { name, sequence } (sequence optional: rebuilt from the hits' query lines)
+     * @param {Array} hits - [{ name, description, queryFrom, queryTo, query, subject }] with 1-based query coordinates
+     */
+    static fromPairwise(query, hits) {
+        const usable = hits.filter(hit => hit.query && hit.subject && hit.query.length === hit.subject.length);
+        if (usable.length === 0) {
+            throw new Error('No hits with aligned query and subject sequences');
+        }
+
+        const queryResidues = [];
+        const insertions = [];
+        let first = Infinity;
+        let last = 0;
+
+        if (query.sequence) {
+            for (let index = 0; index < query.sequence.length; index++) {
+                queryResidues[index + 1] = query.sequence[index];
+            }
+            first = 1;
+            last = query.sequence.length;
+        }
+
+        usable.forEach(hit => {
+            let position = Math.min(hit.queryFrom, hit.queryTo) - 1;
+            let insertion = 0;
+            first = Math.min(first, position + 1);
+            for (const residue of hit.query) {
+                if (this.isGap(residue)) {
+                    insertion++;
+                    insertions[position] = Math.max(insertions[position] || 0, insertion);
+                } else {
+                    position++;
+                    insertion = 0;
+                    if (!query.sequence) queryResidues[position] = residue;
+                }
+            }
+            last = Math.max(last, position);
+        });
+
+        // First column of each query position
+        const columnOf = [];
+        let length = 0;
+        for (let position = first; position <= last; position++) {
+            columnOf[position] = length;
+            length += 1 + (insertions[position] || 0);
+        }
+
+        let queryRow = '';
+        for (let position = first; position <= last; position++) {
+            queryRow += (queryResidues[position] || '-') + '-'.repeat(insertions[position] || 0);
+        }
+
+        const sequences = [{ name: query.name || 'Query', description: `${first}-${last}`, sequence: queryRow }];
+        usable.forEach(hit => {
+            const row = new Array(length).fill('-');
+            let position = Math.min(hit.queryFrom, hit.queryTo) - 1;
+            let insertion = 0;
+            for (let index = 0; index < hit.query.length; index++) {
+                if (this.isGap(hit.query[index])) {
+                    if (columnOf[position] !== undefined) {
+                        row[columnOf[position] + 1 + insertion] = hit.subject[index];
+                    }
+                    insertion++;
+                } else {
+                    position++;
+                    insertion = 0;
+                    if (columnOf[position] !== undefined) {
+                        row[columnOf[position]] = hit.subject[index];
+                    }
+                }
+            }
+            sequences.push({ name: hit.name, description: hit.description || '', sequence: row.join('') });
+        });
+
+        return this.createAlignment('BLAST', sequences);
+    }
+
+    /**
+     * Per-column residue counts, gap fraction, Shannon entropy and conservation
+     * @param {Object} alignment - Parsed alignment
+     * @param {number} consensusThreshold - Fraction of all rows the consensus residue needs to be upper case
+     * @returns {Array} [{ counts, gaps, gapFraction, entropy, conservation, consensus, consensusFraction }] where
+     *          entropy (bits) ignores gaps and conservation = (1 - entropy / log2(alphabet size)) * (1 - gapFraction)
+     */
+    static getColumnStats(alignment, consensusThreshold = 0.5) {
+        const rows = alignment.sequences.length;
+        const maxEntropy = Math.log2(alignment.type === 'protein' ? 20 : 4);
+        const stats = [];
+
+        for (let column = 0; column < alignment.length; column++) {
+            const counts = {};
+            let gaps = 0;
+            alignment.sequences.forEach(({ sequence }) => {
+                const residue = sequence[column].toUpperCase();
+                if (residue === '-') {
+                    gaps++;
+                } else {
+                    counts[residue] = (counts[residue] || 0) + 1;
+                }
+            });
+
+            const residues = rows - gaps;
+            let entropy = 0;
+            let top = null;
+            let topCount = 0;
+            Object.entries(counts).forEach(([residue, count]) => {
+                const p = count / residues;
+                entropy -= p * Math.log2(p);
+                if (count > topCount) {
+                    top = residue;
+                    topCount = count;
+                }
+            });
+
+            const gapFraction = gaps / rows;
+            const consensusFraction = topCount / rows;
+            let consensus = '-';
+            if (top && topCount >= gaps) {
+                consensus = consensusFraction >= consensusThreshold ? top : top.toLowerCase();
+            }
+
+            stats.push({
+                counts,
+                gaps,
+                gapFraction,
+                entropy,
+                conservation: residues > 0 ? Math.max(0, 1 - entropy / maxEntropy) * (1 - gapFraction) : 0,
+                consensus,
+                consensusFraction
+            });
+        }
+        return stats;
+    }
+
+    /**
+     * Column indices to display, dropping columns with at least maxGapPercent gaps
+     * @param {number|null} maxGapPercent - null keeps every column
+     */
+    static getVisibleColumns(stats, maxGapPercent = null) {
+        const columns = [];
+        stats.forEach((stat, column) => {
+            if (maxGapPercent === null || stat.gapFraction * 100 < maxGapPercent) {
+                columns.push(column);
+            }
+        });
+        return columns;
+    }
+
+    /**
+     * Background color of a residue under a scheme
+     * @param {string} scheme - Key of COLOR_SCHEMES
+     * @param {string} residue - Residue (any case)
+     * @param {Object} stat - Column stats of the residue's column
+     * @param {number} rows - Number of sequences
+     * @returns {string|null} CSS color, null for no background
+     */
+    static getResidueColor(scheme, residue, stat, rows) {
+        const upper = residue.toUpperCase();
+        if (upper === '-') return null;
+
+        switch (scheme) {
+            case 'nucleotide':
+                return this.NUCLEOTIDE_COLORS[upper] || null;
+            case 'hydrophobicity': {
+                const value = this.HYDROPATHY[upper];
+                if (value === undefined) return null;
+                // Red for hydrophobic, blue for hydrophilic
+                const level = (value + 4.5) / 9;
+                return `rgb(${Math.round(255 * level)}, ${Math.round(90 + 60 * (1 - Math.abs(level - 0.5) * 2))}, ${Math.round(255 * (1 - level))})`;
+            }
+            case 'identity': {
+                const fraction = (stat.counts[upper] || 0) / rows;
+                if (fraction >= 0.8) return '#6464ff';
+                if (fraction >= 0.6) return '#9da5ff';
+                if (fraction >= 0.4) return '#cccccc';
+                return null;
+            }
+            case 'clustalx': {
+                const fractionOf = letters => letters.split('').reduce((sum, letter) => sum + (stat.counts[letter] || 0), 0) / rows;
+                const residueClass = this.CLUSTALX_CLASSES.find(entry => entry.residues.includes(upper));
+                if (!residueClass) return null;
+                if (!residueClass.group || fractionOf(residueClass.group) > 0.6 || fractionOf(upper) > 0.85) {
+                    return residueClass.color;
+                }
+                return null;
+            }
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Ungapped (1-based) position of a column in one sequence, null at gaps
+     */
+    static getResiduePosition(sequence, column) {
+        if (this.isGap(sequence[column])) return null;
+        let position = 0;
+        for (let index = 0; index <= column; index++) {
+            if (!this.isGap(sequence[index])) position++;
+        }
+        return position;
+    }
+
+    /**
+     * FASTA text of the alignment, optionally restricted to some columns
+     * @param {Object} alignment - Parsed alignment
+     * @param {Array|null} columns - Ascending column indices, all columns when null
+     * @param {number} lineWidth - Residues per line
+     */
+    static toFasta(alignment, columns = null, lineWidth = 60) {
+        return alignment.sequences.map(({ name, description, sequence }) => {
+            const residues = columns ? columns.map(column => sequence[column]).join('') : sequence;
+            const lines = [`>${name}${description ? ' ' + description : ''}`];
+            for (let index = 0; index < residues.length; index += lineWidth) {
+                lines.push(residues.substring(index, index + lineWidth));
+            }
+            return lines.join('\n');
+        }).join('\n') + '\n';
+    }
+}
+
+// Export for Node.js and browser compatibility
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MultipleAlignment;
+} else if (typeof window !== 'undefined') {
+    window.MultipleAlignment = MultipleAlignment;
+}
@@ -636,7 +636,7 @@ class NavigationManager {
         }
     }
 
-    performSearch(query = null) {
+    async performSearch(query = null) {
         const searchQuery = query || document.getElementById('searchInput').value.trim();
         if (!searchQuery) return;
         
@@ -659,7 +659,12 @@ class NavigationManager {
         
         // Prepare search query based on case sensitivity
         const searchTerm = caseSensitive ? searchQuery : searchQuery.toUpperCase();
-        const sequenceToSearch = caseSensitive ? sequence : sequence.toUpperCase();
+        // Indexed genomes are read from disk, and only when the query is a DNA sequence
+        let sequenceToSearch = '';
+        if (searchSettings.searchSequence && searchTerm.match(/^[ATGCN]+$/i)) {
+            const bases = sequence.isIndexed ? await sequence.getSequence(0, sequence.length) : sequence;
+            sequenceToSearch = caseSensitive ? bases : bases.toUpperCase();
+        }
         
         const results = [];
         const startTime = Date.now();
@@ -0,0 +1,350 @@
+/**
+ * OperonPredictor - Operon prediction for prokaryotic genomes from gene neighbourhood evidence
+ *
+ * Every pair of adjacent genes on the same strand is scored as a log-likelihood ratio of being
+ * co-transcribed versus separated by a transcription unit boundary:
+ * - intergenic distance: the distance distribution of boundaries is taken from adjacent genes on
+ *   opposite strands, which can never share an operon, and the operon distribution is what remains
+ *   of the same-strand distribution after removing the boundary share (Price et al. 2005).
+ *   Genomes with too few genes use a fixed E. coli-like distance table;
+ * - a predicted rho-independent terminator between the genes;
+ * - optional RNA-seq coverage: reads continuing through the intergenic region join genes,
+ *   a coverage gap or a large change in expression separates them;
+ * - shared gene-name families (nuoA/nuoB, lacZ/lacY), which mark gene clusters conserved as
+ *   operons across genomes.
+ * Runs of joined genes form operons; the confidence of an operon is that of its weakest link.
+ */
+
+class OperonPredictor {
+
+    /**
+     * Default prediction options
+     */
+    static get DEFAULT_OPTIONS() {
+        return {
+            minProbability: 0.5,      // pairs at or above this probability are joined
+            minCoverage: 5,           // mean read depth both genes need for coverage evidence
+            minTrainingPairs: 30,     // opposite-strand pairs needed to train the distance model
+            maxTerminatorSearch: 300, // bp after the upstream gene searched for a terminator
+            source: 'OperonPredictor'
+        };
+    }
+
+    /**
+     * Upper bin edges of the intergenic distance histograms (bp; negative = overlap)
+     */
+    static get DISTANCE_BINS() {
+        return [-30, -10, 0, 10, 20, 30, 40, 50, 60, 80, 100, 125, 150, 200, 250, 300, 400, 500, Infinity];
+    }
+
+    /**
+     * Distance log-likelihood ratios per bin used when the genome is too small to train on
+     */
+    static get DEFAULT_DISTANCE_LLR() {
+        return [-0.5, 1, 2.5, 1.5, 2, 1.5, 1, 0.5, 0, -0.5, -1, -1.5, -2, -2.5, -3, -3, -3, -3, -3];
+    }
+
+    /**
+     * Predict operons
+     * @param {Object} chromosomes - { chromosome: { genes: [features], sequence, coverage: [bins] or null } }
+     *   where coverage bins are { start (0-based), end, value (mean depth) }
+     * @param {Object} options - DEFAULT_OPTIONS plus predictTerminator(sequence) resolving to terminators
+     *   with a confidence (0-1) on the given strand; without it terminators are not used
+     * @param {Function} onProgress - Optional callback(message)
+     * @returns {Promise<Object>} { operons (normalizeOperonData records), pairs (scored same-strand pairs), model }
+     */
+    static async predict(chromosomes, options = {}, onProgress = null) {
+        const settings = { ...this.DEFAULT_OPTIONS, ...options };
+        const isReverse = gene => gene.strand === -1 || gene.strand === '-';
+
+        // Adjacent gene pairs in coordinate order
+        const sameStrand = [];
+        const oppositeStrand = [];
+        Object.entries(chromosomes).forEach(([chromosome, data]) => {
+            const genes = this.uniqueGenes(data.genes);
+            for (let i = 1; i < genes.length; i++) {
+                const pair = {
+                    chromosome,
+                    left: genes[i - 1],
+                    right: genes[i],
+                    distance: genes[i].start - genes[i - 1].end - 1
+                };
+                (isReverse(pair.left) === isReverse(pair.right) ? sameStrand : oppositeStrand).push(pair);
+            }
+        });
+
+        const model = this.trainDistanceModel(sameStrand, oppositeStrand, settings);
+        const prior = Math.log(model.operonFraction / (1 - model.operonFraction));
+
+        for (const [index, pair] of sameStrand.entries()) {
+            // Terminator folding is the slow part; let the renderer paint every 100 pairs
+            if (settings.predictTerminator && index > 0 && index % 100 === 0) {
+                if (onProgress) onProgress(`${index.toLocaleString()} of ${sameStrand.length.toLocaleString()} gene pairs`);
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+            const data = chromosomes[pair.chromosome];
+            const reverse = isReverse(pair.left);
+            // Transcription order: on the reverse strand the right-hand gene is read first
+            pair.upstream = reverse ? pair.right : pair.left;
+            pair.downstream = reverse ? pair.left : pair.right;
+            pair.strand = reverse ? -1 : 1;
+
+            pair.evidence = {
+                distance: model.llr[this.distanceBin(pair.distance)],
+                terminator: settings.predictTerminator && data.sequence ? await this.terminatorEvidence(pair, data.sequence, settings) : 0,
+                coverage: data.coverage ? this.coverageEvidence(pair, data.coverage, settings) : 0,
+                geneFamily: this.geneFamilyEvidence(pair.left, pair.right)
+            };
+            const llr = prior + Object.values(pair.evidence).reduce((sum, value) => sum + value, 0);
+            pair.llr = Math.round(llr * 100) / 100;
+            pair.probability = Math.round(1000 / (1 + Math.exp(-llr))) / 1000;
+        }
+
+        const operons = this.buildOperons(sameStrand, settings);
+        return {
+            operons,
+            pairs: sameStrand.map(pair => ({
+                chromosome: pair.chromosome,
+                upstream: this.geneName(pair.upstream),
+                downstream: this.geneName(pair.downstream),
+                strand: pair.strand,
+                distance: pair.distance,
+                evidence: pair.evidence,
+                probability: pair.probability,
+                joined: pair.probability >= settings.minProbability
+            })),
+            model: {
+                trained: model.trained,
+                operonFraction: Math.round(model.operonFraction * 100) / 100,
+                sameStrandPairs: sameStrand.length,
+                oppositeStrandPairs: oppositeStrand.length,
+                distanceLLR: this.DISTANCE_BINS.map((edge, bin) => ({
+                    upTo: edge,
+                    llr: Math.round(model.llr[bin] * 100) / 100
+                }))
+            }
+        };
+    }
+
+    /**
+     * Genes sorted by start with features sharing coordinates (gene and CDS of one locus) merged
+     */
+    static uniqueGenes(genes) {
+        const seen = new Set();
+        return [...genes]
+            .sort((a, b) => a.start - b.start || a.end - b.end)
+            .filter(gene => {
+                const key = `${gene.start}:${gene.end}`;
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+    }
+
+    static distanceBin(distance) {
+        return this.DISTANCE_BINS.findIndex(edge => distance < edge);
+    }
+
+    /**
+     * Distance log-likelihood ratios from the genome: opposite-strand pairs model boundaries, and
+     * the operon fraction comes from the long-distance tail, where nearly all pairs are boundaries
+     */
+    static trainDistanceModel(sameStrand, oppositeStrand, settings) {
+        const bins = this.DISTANCE_BINS.length;
+        if (oppositeStrand.length < settings.minTrainingPairs || sameStrand.length < 2 * settings.minTrainingPairs) {
+            return { trained: false, operonFraction: 0.6, llr: this.DEFAULT_DISTANCE_LLR };
+        }
+
+        const histogram = pairs => {
+            const counts = new Array(bins).fill(1);  // pseudocount
+            pairs.forEach(pair => { counts[this.distanceBin(pair.distance)]++; });
+            const total = counts.reduce((sum, count) => sum + count, 0);
+            return counts.map(count => count / total);
+        };
+        const same = histogram(sameStrand);
+        const boundary = histogram(oppositeStrand);
+
+        const tailStart = this.DISTANCE_BINS.indexOf(250) + 1;
+        const tail = values => values.slice(tailStart).reduce((sum, value) => sum + value, 0);
+        const boundaryFraction = Math.min(0.7, Math.max(0.1, tail(same) / tail(boundary)));
+        const operonFraction = 1 - boundaryFraction;
+
+        const operon = same.map((value, bin) => Math.max(0.002, (value - boundaryFraction * boundary[bin]) / operonFraction));
+        const total = operon.reduce((sum, value) => sum + value, 0);
+        const llr = operon.map((value, bin) => Math.min(4, Math.max(-4, Math.log((value / total) / boundary[bin]))));
+        return { trained: true, operonFraction, llr };
+    }
+
+    /**
+     * Terminator evidence: the most confident terminator from the end of the upstream gene to
+     * the start of the downstream gene (on the genes' strand), searching at most
+     * maxTerminatorSearch bp past the upstream gene
+     */
+    static async terminatorEvidence(pair, sequence, settings) {
+        if (pair.distance < 10) return 0;
+        // Terminators may begin inside the stop codon region of the upstream gene
+        const from = pair.strand === 1
+            ? Math.max(0, pair.left.end - 20)
+            : Math.max(0, pair.left.end, pair.right.start - 1 - settings.maxTerminatorSearch);
+        const to = pair.strand === 1
+            ? Math.min(sequence.length, pair.right.start - 1, pair.left.end + settings.maxTerminatorSearch)
+            : Math.min(sequence.length, pair.right.start - 1 + 20);
+        let region = sequence.substring(from, to);
+        if (pair.strand === -1) region = this.reverseComplement(region);
+
+        const terminators = (await settings.predictTerminator(region)) || [];
+        const best = terminators.reduce((max, terminator) => Math.max(max, terminator.confidence || 0), 0);
+        pair.terminator = best > 0;
+        return -4 * best;
+    }
+
+    /**
+     * Coverage evidence from RNA-seq depth of the two genes and the region between them
+     */
+    static coverageEvidence(pair, bins, settings) {
+        const depth = (start, end) => {
+            // 1-based inclusive region; bins are { start (0-based), end (exclusive), value }
+            let sum = 0;
+            let length = 0;
+            for (const bin of this.binsInRange(bins, start - 1, end)) {
+                const overlap = Math.min(end, bin.end) - Math.max(start - 1, bin.start);
+                sum += bin.value * overlap;
+                length += overlap;
+            }
+            return length > 0 ? sum / length : 0;
+        };
+        const left = depth(pair.left.start, pair.left.end);
+        const right = depth(pair.right.start, pair.right.end);
+        const low = Math.min(left, right);
+        if (low < settings.minCoverage) return 0;
+
+        let evidence = 0;
+        if (pair.distance >= 10) {
+            const between = depth(pair.left.end + 1, pair.right.start - 1) / low;
+            evidence += between >= 0.5 ? 1.5 : between < 0.15 ? -2 : 0;
+        }
+        // Genes of one transcript are expressed at similar levels
+        if (Math.max(left, right) / low >= 8) evidence -= 1;
+        return evidence;
+    }
+
+    /**
+     * Bins overlapping a 0-based half-open range, found by binary search (bins are sorted)
+     */
+    static binsInRange(bins, start, end) {
+        let low = 0;
+        let high = bins.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (bins[middle].end <= start) low = middle + 1;
+            else high = middle;
+        }
+        const result = [];
+        for (let i = low; i < bins.length && bins[i].start < end; i++) result.push(bins[i]);
+        return result;
+    }
+
+    /**
+     * Gene-family evidence: names with the same three-letter stem (nuoA, nuoB) or two ribosomal proteins
+     */
+    static geneFamilyEvidence(a, b) {
+        const stem = gene => {
+            const match = /^([a-z]{3})[A-Z]\d*$/.exec(this.qualifier(gene, 'gene'));
+            return match ? match[1] : null;
+        };
+        if (stem(a) && stem(a) === stem(b)) return 1.5;
+        const ribosomal = gene => /ribosomal protein/i.test(this.qualifier(gene, 'product'));
+        return ribosomal(a) && ribosomal(b) ? 1 : 0;
+    }
+
+    /**
+     * Operon records (in the format FileManager.normalizeOperonData produces) from the joined pairs
+     */
+    static buildOperons(pairs, settings) {
+        const operons = [];
+        const usedNames = new Map();
+        let run = null;
+        const finish = () => {
+            if (!run) return;
+            const genes = run.genes;
+            const ordered = run.strand === -1 ? [...genes].reverse() : genes;
+            const names = ordered.map(gene => this.geneName(gene));
+            const confidence = Math.min(...run.probabilities);
+
+            let name = `${this.operonStem(ordered)}_operon`;
+            const count = (usedNames.get(name) || 0) + 1;
+            usedNames.set(name, count);
+            if (count > 1) name = `${name}_${count}`;
+
+            operons.push({
+                name,
+                start: genes[0].start,
+                end: genes[genes.length - 1].end,
+                strand: run.strand,
+                genes: names,
+                chromosome: run.chromosome,
+                description: `Predicted operon of ${genes.length} genes; weakest link ${confidence.toFixed(2)}` +
+                    (run.terminators > 0 ? `; ${run.terminators} weak internal terminator(s)` : ''),
+                confidence,
+                source: settings.source
+            });
+            run = null;
+        };
+
+        pairs.forEach(pair => {
+            if (pair.probability < settings.minProbability) {
+                finish();
+                return;
+            }
+            if (!run || run.chromosome !== pair.chromosome || run.genes[run.genes.length - 1] !== pair.left) {
+                finish();
+                run = { chromosome: pair.chromosome, strand: pair.strand, genes: [pair.left], probabilities: [], terminators: 0 };
+            }
+            run.genes.push(pair.right);
+            run.probabilities.push(pair.probability);
+            if (pair.terminator) run.terminators++;
+        });
+        finish();
+        return operons;
+    }
+
+    /**
+     * Common gene-name prefix of at least three letters (nuoABC -> nuo), else the first gene's name
+     */
+    static operonStem(genes) {
+        const names = genes.map(gene => this.qualifier(gene, 'gene')).filter(Boolean);
+        if (names.length === genes.length) {
+            let prefix = names[0];
+            names.forEach(name => {
+                while (!name.startsWith(prefix)) prefix = prefix.slice(0, -1);
+            });
+            if (prefix.length > 2) return prefix;
+        }
+        return this.geneName(genes[0]);
+    }
+
+    /**
+     * Name used in operon records: locus tag, gene name, or the coordinates
+     */
+    static geneName(gene) {
+        return this.qualifier(gene, 'locus_tag') || this.qualifier(gene, 'gene') || `${gene.start}..${gene.end}`;
+    }
+
+    static qualifier(gene, key) {
+        const value = gene.qualifiers ? gene.qualifiers[key] : null;
+        return Array.isArray(value) ? String(value[0]) : (value ? String(value) : '');
+    }
+
+    static reverseComplement(sequence) {
+        const complement = { A: 'T', T: 'A', G: 'C', C: 'G', a: 't', t: 'a', g: 'c', c: 'g' };
+        return sequence.split('').reverse().map(base => complement[base] || 'N').join('');
+    }
+}
+
+// Export for Node.js and browser compatibility
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OperonPredictor;
+}
+if (typeof window !== 'undefined') {
+    window.OperonPredictor = OperonPredictor;
+}
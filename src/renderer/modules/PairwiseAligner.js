@@ -0,0 +1,397 @@
+/**
+ * PairwiseAligner - Dynamic-programming alignment of two sequences
+ *
+ * Global (Needleman-Wunsch), local (Smith-Waterman) and semi-global (free end gaps, for
+ * primers or genes against a longer region) alignment with affine gap penalties (Gotoh).
+ * A gap of length k costs gapOpen + (k - 1) * gapExtend, as in EMBOSS needle / water.
+ * Results use the same { query, subject, match } shape as BLAST hits so they can be shown
+ * with BlastManager.formatAlignment.
+ */
+
+class PairwiseAligner {
+
+    /**
+     * Alignment modes
+     */
+    static get MODES() {
+        return {
+            global: 'Global (Needleman-Wunsch)',
+            local: 'Local (Smith-Waterman)',
+            semiglobal: 'Semi-global (free end gaps)'
+        };
+    }
+
+    /**
+     * Largest dynamic-programming matrix (rows x columns) computed in the renderer
+     */
+    static get MAX_CELLS() {
+        return 25000000;
+    }
+
+    /**
+     * Substitution matrices: alphabet plus rows in alphabet order (NCBI tables for BLOSUM62 / PAM250)
+     */
+    static get MATRICES() {
+        return {
+            DNA: {
+                type: 'nucleotide',
+                alphabet: 'ACGTN',
+                rows: [
+                    ' 5 -4 -4 -4 -2',
+                    '-4  5 -4 -4 -2',
+                    '-4 -4  5 -4 -2',
+                    '-4 -4 -4  5 -2',
+                    '-2 -2 -2 -2 -2'
+                ]
+            },
+            BLOSUM62: {
+                type: 'protein',
+                alphabet: 'ARNDCQEGHILKMFPSTWYVBZX*',
+                rows: [
+                    ' 4 -1 -2 -2  0 -1 -1  0 -2 -1 -1 -1 -1 -2 -1  1  0 -3 -2  0 -2 -1  0 -4',
+                    '-1  5  0 -2 -3  1  0 -2  0 -3 -2  2 -1 -3 -2 -1 -1 -3 -2 -3 -1  0 -1 -4',
+                    '-2  0  6  1 -3  0  0  0  1 -3 -3  0 -2 -3 -2  1  0 -4 -2 -3  3  0 -1 -4',
+                    '-2 -2  1  6 -3  0  2 -1 -1 -3 -4 -1 -3 -3 -1  0 -1 -4 -3 -3  4  1 -1 -4',
+                    ' 0 -3 -3 -3  9 -3 -4 -3 -3 -1 -1 -3 -1 -2 -3 -1 -1 -2 -2 -1 -3 -3 -2 -4',
+                    '-1  1  0  0 -3  5  2 -2  0 -3 -2  1  0 -3 -1  0 -1 -2 -1 -2  0  3 -1 -4',
+                    '-1  0  0  2 -4  2  5 -2  0 -3 -3  1 -2 -3 -1  0 -1 -3 -2 -2  1  4 -1 -4',
+                    ' 0 -2  0 -1 -3 -2 -2  6 -2 -4 -4 -2 -3 -3 -2  0 -2 -2 -3 -3 -1 -2 -1 -4',
+                    '-2  0  1 -1 -3  0  0 -2  8 -3 -3 -1 -2 -1 -2 -1 -2 -2  2 -3  0  0 -1 -4',
+                    '-1 -3 -3 -3 -1 -3 -3 -4 -3  4  2 -3  1  0 -3 -2 -1 -3 -1  3 -3 -3 -1 -4',
+                    '-1 -2 -3 -4 -1 -2 -3 -4 -3  2  4 -2  2  0 -3 -2 -1 -2 -1  1 -4 -3 -1 -4',
+                    '-1  2  0 -1 -3  1  1 -2 -1 -3 -2  5 -1 -3 -1  0 -1 -3 -2 -2  0  1 -1 -4',
+                    '-1 -1 -2 -3 -1  0 -2 -3 -2  1  2 -1  5  0 -2 -1 -1 -1 -1  1 -3 -1 -1 -4',
+                    '-2 -3 -3 -3 -2 -3 -3 -3 -1  0  0 -3  0  6 -4 -2 -2  1  3 -1 -3 -3 -1 -4',
+                    '-1 -2 -2 -1 -3 -1 -1 -2 -2 -3 -3 -1 -2 -4  7 -1 -1 -4 -3 -2 -2 -1 -2 -4',
+                    ' 1 -1  1  0 -1  0  0  0 -1 -2 -2  0 -1 -2 -1  4  1 -3 -2 -2  0  0  0 -4',
+                    ' 0 -1  0 -1 -1 -1 -1 -2 -2 -1 -1 -1 -1 -2 -1  1  5 -2 -2  0 -1 -1  0 -4',
+                    '-3 -3 -4 -4 -2 -2 -3 -2 -2 -3 -2 -3 -1  1 -4 -3 -2 11  2 -3 -4 -3 -2 -4',
+                    '-2 -2 -2 -3 -2 -1 -2 -3  2 -1 -1 -2 -1  3 -3 -2 -2  2  7 -1 -3 -2 -1 -4',
+                    ' 0 -3 -3 -3 -1 -2 -2 -3 -3  3  1 -2  1 -1 -2 -2  0 -3 -1  4 -3 -2 -1 -4',
+                    '-2 -1  3  4 -3  0  1 -1  0 -3 -4  0 -3 -3 -2  0 -1 -4 -3 -3  4  1 -1 -4',
+                    '-1  0  0  1 -3  3  4 -2  0 -3 -3  1 -1 -3 -1  0 -1 -3 -2 -2  1  4 -1 -4',
+                    ' 0 -1 -1 -1 -2 -1 -1 -1 -1 -1 -1 -1 -1 -1 -2  0  0 -2 -1 -1 -1 -1 -1 -4',
+                    '-4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4 -4  1'
+                ]
+            },
+            PAM250: {
+                type: 'protein',
+                alphabet: 'ARNDCQEGHILKMFPSTWYVBZX*',
+                rows: [
+                    ' 2 -2  0  0 -2  0  0  1 -1 -1 -2 -1 -1 -3  1  1  1 -6 -3  0  0  0  0 -8',
+                    '-2  6  0 -1 -4  1 -1 -3  2 -2 -3  3  0 -4  0  0 -1  2 -4 -2 -1  0 -1 -8',
+                    ' 0  0  2  2 -4  1  1  0  2 -2 -3  1 -2 -3  0  1  0 -4 -2 -2  2  1  0 -8',
+                    ' 0 -1  2  4 -5  2  3  1  1 -2 -4  0 -3 -6 -1  0  0 -7 -4 -2  3  3 -1 -8',
+                    '-2 -4 -4 -5 12 -5 -5 -3 -3 -2 -6 -5 -5 -4 -3  0 -2 -8  0 -2 -4 -5 -3 -8',
+                    ' 0  1  1  2 -5  4  2 -1  3 -2 -2  1 -1 -5  0 -1 -1 -5 -4 -2  1  3 -1 -8',
+                    ' 0 -1  1  3 -5  2  4  0  1 -2 -3  0 -2 -5 -1  0  0 -7 -4 -2  3  3 -1 -8',
+                    ' 1 -3  0  1 -3 -1  0  5 -2 -3 -4 -2 -3 -5  0  1  0 -7 -5 -1  0  0 -1 -8',
+                    '-1  2  2  1 -3  3  1 -2  6 -2 -2  0 -2 -2  0 -1 -1 -3  0 -2  1  2 -1 -8',
+                    '-1 -2 -2 -2 -2 -2 -2 -3 -2  5  2 -2  2  1 -2 -1  0 -5 -1  4 -2 -2 -1 -8',
+                    '-2 -3 -3 -4 -6 -2 -3 -4 -2  2  6 -3  4  2 -3 -3 -2 -2 -1  2 -3 -3 -1 -8',
+                    '-1  3  1  0 -5  1  0 -2  0 -2 -3  5  0 -5 -1  0  0 -3 -4 -2  1  0 -1 -8',
+                    '-1  0 -2 -3 -5 -1 -2 -3 -2  2  4  0  6  0 -2 -2 -1 -4 -2  2 -2 -2 -1 -8',
+                    '-3 -4 -3 -6 -4 -5 -5 -5 -2  1  2 -5  0  9 -5 -3 -3  0  7 -1 -4 -5 -2 -8',
+                    ' 1  0  0 -1 -3  0 -1  0  0 -2 -3 -1 -2 -5  6  1  0 -6 -5 -1 -1  0 -1 -8',
+                    ' 1  0  1  0  0 -1  0  1 -1 -1 -3  0 -2 -3  1  2  1 -2 -3 -1  0  0  0 -8',
+                    ' 1 -1  0  0 -2 -1  0  0 -1  0 -2  0 -1 -3  0  1  3 -5 -3  0  0 -1  0 -8',
+                    '-6  2 -4 -7 -8 -5 -7 -7 -3 -5 -2 -3 -4  0 -6 -2 -5 17  0 -6 -5 -6 -4 -8',
+                    '-3 -4 -2 -4  0 -4 -4 -5  0 -1 -1 -4 -2  7 -5 -3 -3  0 10 -2 -3 -4 -2 -8',
+                    ' 0 -2 -2 -2 -2 -2 -2 -1 -2  4  2 -2  2 -1 -1 -1  0 -6 -2  4 -2 -2 -1 -8',
+                    ' 0 -1  2  3 -4  1  3  0  1 -2 -3  1 -2 -4 -1  0  0 -5 -3 -2  3  2 -1 -8',
+                    ' 0  0  1  3 -5  3  3  0  2 -2 -3  0 -2 -5  0  0 -1 -6 -4 -2  2  3 -1 -8',
+                    ' 0 -1  0 -1 -3 -1 -1 -1 -1 -1 -1 -1 -1 -2 -1  0  0 -4 -2 -1 -1 -1 -1 -8',
+                    '-8 -8 -8 -8 -8 -8 -8 -8 -8 -8 -8 -8 -8 -8 -8 -8 -8 -8 -8 -8 -8 -8 -8  1'
+                ]
+            }
+        };
+    }
+
+    /**
+     * Default gap penalties per matrix type (EMBOSS defaults)
+     */
+    static get DEFAULT_GAPS() {
+        return {
+            nucleotide: { gapOpen: 10, gapExtend: 0.5 },
+            protein: { gapOpen: 10, gapExtend: 0.5 }
+        };
+    }
+
+    /**
+     * Score lookup table of a matrix, indexed by (charCode << 7) | charCode
+     * Letters outside the alphabet score as N (DNA) or X (protein); U scores as T
+     */
+    static getScoreTable(matrixName) {
+        if (!this._tables) {
+            this._tables = {};
+        }
+        if (this._tables[matrixName]) {
+            return this._tables[matrixName];
+        }
+
+        const matrix = this.MATRICES[matrixName];
+        if (!matrix) {
+            throw new Error(`Unknown substitution matrix "${matrixName}" (use ${Object.keys(this.MATRICES).join(', ')})`);
+        }
+
+        const values = matrix.rows.map(row => row.trim().split(/\s+/).map(Number));
+        const index = {};
+        matrix.alphabet.split('').forEach((letter, i) => { index[letter] = i; });
+        const fallback = matrix.type === 'nucleotide' ? index.N : index.X;
+        const indexOf = code => {
+            const letter = String.fromCharCode(code);
+            if (matrix.type === 'nucleotide' && letter === 'U') return index.T;
+            return index[letter] !== undefined ? index[letter] : fallback;
+        };
+
+        const table = new Float64Array(128 * 128);
+        for (let a = 0; a < 128; a++) {
+            const rowIndex = indexOf(a);
+            for (let b = 0; b < 128; b++) {
+                table[(a << 7) | b] = values[rowIndex][indexOf(b)];
+            }
+        }
+        this._tables[matrixName] = table;
+        return table;
+    }
+
+    /**
+     * Uppercase a sequence and drop whitespace, digits, gaps and FASTA headers
+     */
+    static cleanSequence(sequence) {
+        return String(sequence || '')
+            .replace(/^>.*$/gm, '')
+            .toUpperCase()
+            .replace(/[^A-Z*]/g, '');
+    }
+
+    /**
+     * Align two sequences
+     * @param {string} seqA - Query sequence
+     * @param {string} seqB - Subject sequence
+     * @param {Object} options - { mode: 'global'|'local'|'semiglobal', matrix: 'DNA'|'BLOSUM62'|'PAM250',
+     *                             gapOpen, gapExtend } (positive penalties)
+     * @returns {Object} { mode, matrix, score, alignment: { query, subject, match }, queryRange, hitRange,
+     *          length, identities, positives, gaps, identity, similarity, queryLength, subjectLength }
+     */
+    static align(seqA, seqB, options = {}) {
+        const a = this.cleanSequence(seqA);
+        const b = this.cleanSequence(seqB);
+        const mode = options.mode || 'global';
+        const matrixName = (options.matrix || 'DNA').toUpperCase();
+
+        if (!this.MODES[mode]) {
+            throw new Error(`Unknown alignment mode "${mode}" (use ${Object.keys(this.MODES).join(', ')})`);
+        }
+        const table = this.getScoreTable(matrixName);
+        const defaults = this.DEFAULT_GAPS[this.MATRICES[matrixName].type];
+        const gapOpen = Math.abs(options.gapOpen !== undefined && options.gapOpen !== '' ? Number(options.gapOpen) : defaults.gapOpen);
+        const gapExtend = Math.abs(options.gapExtend !== undefined && options.gapExtend !== '' ? Number(options.gapExtend) : defaults.gapExtend);
+
+        if (!a.length || !b.length) {
+            throw new Error('Both sequences must contain residues');
+        }
+        if (isNaN(gapOpen) || isNaN(gapExtend)) {
+            throw new Error('Gap penalties must be numbers');
+        }
+        if ((a.length + 1) * (b.length + 1) > this.MAX_CELLS) {
+            throw new Error(`Sequences too long for pairwise alignment (${a.length.toLocaleString()} x ${b.length.toLocaleString()}); use BLAST for long regions`);
+        }
+
+        const n = a.length;
+        const m = b.length;
+        const width = m + 1;
+        const NEG = -Infinity;
+        const freeStart = mode !== 'global';
+
+        // Three Gotoh states: M (residue pair), X (residue of A against a gap), Y (gap against B).
+        // Scores keep only two rows; the traceback stores each state's predecessor in 2 bits
+        // (0 = M, 1 = X, 2 = Y, 3 = alignment start for local mode).
+        let prevM = new Float64Array(width);
+        let prevX = new Float64Array(width);
+        let prevY = new Float64Array(width);
+        let curM = new Float64Array(width);
+        let curX = new Float64Array(width);
+        let curY = new Float64Array(width);
+        const trace = new Uint8Array((n + 1) * width);
+
+        prevM[0] = 0;
+        prevX[0] = NEG;
+        prevY[0] = NEG;
+        for (let j = 1; j <= m; j++) {
+            prevM[j] = freeStart ? 0 : NEG;
+            prevX[j] = NEG;
+            prevY[j] = freeStart ? NEG : -(gapOpen + (j - 1) * gapExtend);
+        }
+
+        let best = { score: NEG, i: n, j: m, state: 0 };
+        const codesB = new Uint8Array(m);
+        for (let j = 0; j < m; j++) {
+            codesB[j] = b.charCodeAt(j) & 127;
+        }
+
+        for (let i = 1; i <= n; i++) {
+            const rowOffset = i * width;
+            const codeA = (a.charCodeAt(i - 1) & 127) << 7;
+
+            curM[0] = freeStart ? 0 : NEG;
+            curX[0] = freeStart ? NEG : -(gapOpen + (i - 1) * gapExtend);
+            curY[0] = NEG;
+
+            for (let j = 1; j <= m; j++) {
+                // M: diagonal step from any state
+                let diagonal = prevM[j - 1];
+                let fromM = 0;
+                if (prevX[j - 1] > diagonal) { diagonal = prevX[j - 1]; fromM = 1; }
+                if (prevY[j - 1] > diagonal) { diagonal = prevY[j - 1]; fromM = 2; }
+                if (mode === 'local' && diagonal < 0) { diagonal = 0; fromM = 3; }
+                curM[j] = diagonal + table[codeA | codesB[j - 1]];
+
+                // X: consume a residue of A (vertical step)
+                let up = prevM[j] - gapOpen;
+                let fromX = 0;
+                if (prevX[j] - gapExtend > up) { up = prevX[j] - gapExtend; fromX = 1; }
+                if (prevY[j] - gapOpen > up) { up = prevY[j] - gapOpen; fromX = 2; }
+                curX[j] = up;
+
+                // Y: consume a residue of B (horizontal step)
+                let left = curM[j - 1] - gapOpen;
+                let fromY = 0;
+                if (curX[j - 1] - gapOpen > left) { left = curX[j - 1] - gapOpen; fromY = 1; }
+                if (curY[j - 1] - gapExtend > left) { left = curY[j - 1] - gapExtend; fromY = 2; }
+                curY[j] = left;
+
+                trace[rowOffset + j] = fromM | (fromX << 2) | (fromY << 4);
+
+                if (mode === 'local') {
+                    if (curM[j] > best.score) best = { score: curM[j], i, j, state: 0 };
+                } else if (mode === 'semiglobal' && (i === n || j === m)) {
+                    if (curM[j] > best.score) best = { score: curM[j], i, j, state: 0 };
+                    if (curX[j] > best.score) best = { score: curX[j], i, j, state: 1 };
+                    if (curY[j] > best.score) best = { score: curY[j], i, j, state: 2 };
+                }
+            }
+
+            [prevM, curM] = [curM, prevM];
+            [prevX, curX] = [curX, prevX];
+            [prevY, curY] = [curY, prevY];
+        }
+
+        if (mode === 'global') {
+            // After the final swap the last row is in prev*
+            best = { score: prevM[m], i: n, j: m, state: 0 };
+            if (prevX[m] > best.score) best = { score: prevX[m], i: n, j: m, state: 1 };
+            if (prevY[m] > best.score) best = { score: prevY[m], i: n, j: m, state: 2 };
+        }
+
+        if (mode === 'local' && best.score <= 0) {
+            return this.buildResult(a, b, '', '', 0, 0, 0, 0, 0, mode, matrixName, table, gapOpen, gapExtend);
+        }
+
+        // Traceback
+        const alignedA = [];
+        const alignedB = [];
+        let i = best.i;
+        let j = best.j;
+        let state = best.state;
+        while (i > 0 && j > 0) {
+            const cell = trace[i * width + j];
+            if (state === 0) {
+                const from = cell & 3;
+                alignedA.push(a[i - 1]);
+                alignedB.push(b[j - 1]);
+                i--;
+                j--;
+                if (from === 3) break;
+                state = from;
+            } else if (state === 1) {
+                alignedA.push(a[i - 1]);
+                alignedB.push('-');
+                i--;
+                state = (cell >> 2) & 3;
+            } else {
+                alignedA.push('-');
+                alignedB.push(b[j - 1]);
+                j--;
+                state = (cell >> 4) & 3;
+            }
+        }
+        if (mode === 'global') {
+            // Leading end gaps are part of a global alignment
+            for (; i > 0; i--) { alignedA.push(a[i - 1]); alignedB.push('-'); }
+            for (; j > 0; j--) { alignedA.push('-'); alignedB.push(b[j - 1]); }
+        }
+
+        return this.buildResult(a, b, alignedA.reverse().join(''), alignedB.reverse().join(''),
+            i + 1, best.i, j + 1, best.j, best.score, mode, matrixName, table, gapOpen, gapExtend);
+    }
+
+    /**
+     * Match line and statistics of an aligned pair
+     * The match line follows BLAST: '|' for identical nucleotides; for proteins the residue
+     * when identical, '+' for a positive substitution score
+     */
+    static buildResult(a, b, query, subject, queryFrom, queryTo, hitFrom, hitTo, score, mode, matrixName, table, gapOpen, gapExtend) {
+        const nucleotide = this.MATRICES[matrixName].type === 'nucleotide';
+        let match = '';
+        let identities = 0;
+        let positives = 0;
+        let gaps = 0;
+
+        for (let k = 0; k < query.length; k++) {
+            const residueA = query[k];
+            const residueB = subject[k];
+            if (residueA === '-' || residueB === '-') {
+                gaps++;
+                match += ' ';
+            } else if (residueA === residueB || (nucleotide && 'TU'.includes(residueA) && 'TU'.includes(residueB))) {
+                identities++;
+                positives++;
+                match += nucleotide ? '|' : residueA;
+            } else if (table[((residueA.charCodeAt(0) & 127) << 7) | (residueB.charCodeAt(0) & 127)] > 0) {
+                positives++;
+                match += nucleotide ? ' ' : '+';
+            } else {
+                match += ' ';
+            }
+        }
+
+        const length = query.length;
+        const percent = value => length > 0 ? Math.round(value / length * 1000) / 10 : 0;
+        return {
+            mode,
+            matrix: matrixName,
+            gapOpen,
+            gapExtend,
+            score,
+            alignment: { query, subject, match },
+            queryRange: { from: length ? queryFrom : 0, to: length ? queryTo : 0 },
+            hitRange: { from: length ? hitFrom : 0, to: length ? hitTo : 0 },
+            queryLength: a.length,
+            subjectLength: b.length,
+            length,
+            identities,
+            positives,
+            gaps,
+            identity: percent(identities),
+            similarity: percent(positives),
+            gapPercent: percent(gaps)
+        };
+    }
+
+    /**
+     * One-line summary in the style of BLAST hit headers
+     */
+    static describe(result) {
+        return `Score = ${result.score}, Identities = ${result.identities}/${result.length} (${result.identity}%), ` +
+            `Positives = ${result.positives}/${result.length} (${result.similarity}%), Gaps = ${result.gaps}/${result.length} (${result.gapPercent}%)`;
+    }
+}
+
+// Export for Node.js and browser compatibility
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PairwiseAligner;
+}
+if (typeof window !== 'undefined') {
+    window.PairwiseAligner = PairwiseAligner;
+}
@@ -0,0 +1,326 @@
+/**
+ * PairwiseAlignmentPanel - Dialog for aligning two sequences, regions or features
+ * with PairwiseAligner and showing the result in the BLAST alignment layout
+ */
+
+class PairwiseAlignmentPanel {
+    constructor(genomeBrowser) {
+        this.genomeBrowser = genomeBrowser;
+        this.lastResult = null;
+    }
+
+    /**
+     * Remember a feature for alignment; the last two features picked form the pair.
+     * The dialog opens prefilled once two features are available.
+     * @param {string} chromosome - Chromosome of the feature
+     * @param {Object} feature - Annotation feature
+     */
+    addFeature(chromosome, feature) {
+        const pair = (this.genomeBrowser.pairwiseFeatures || [])
+            .filter(entry => !(entry.feature === feature && entry.chromosome === chromosome));
+        pair.push({ chromosome, feature });
+        this.genomeBrowser.pairwiseFeatures = pair.slice(-2);
+
+        const label = this.getFeatureLabel(chromosome, feature);
+        if (this.genomeBrowser.pairwiseFeatures.length < 2) {
+            this.genomeBrowser.showNotification(`${label} added to pairwise alignment - select a second feature`, 'info');
+            return;
+        }
+
+        const [first, second] = this.genomeBrowser.pairwiseFeatures;
+        this.show({
+            a: { source: 'feature', value: this.getFeatureLabel(first.chromosome, first.feature) },
+            b: { source: 'feature', value: this.getFeatureLabel(second.chromosome, second.feature) }
+        });
+    }
+
+    getFeatureLabel(chromosome, feature) {
+        const qualifiers = feature.qualifiers || {};
+        return this.genomeBrowser.getQualifierValue(qualifiers, 'gene') ||
+            this.genomeBrowser.getQualifierValue(qualifiers, 'locus_tag') ||
+            `${feature.type} ${chromosome}:${feature.start}-${feature.end}`;
+    }
+
+    /**
+     * Show the dialog
+     * @param {Object} inputs - Optional { a: { source, value }, b: { source, value } } to prefill
+     */
+    show(inputs = null) {
+        let modal = document.getElementById('pairwiseAlignModal');
+        if (!modal) {
+            modal = this.createModal();
+            document.body.appendChild(modal);
+        }
+
+        if (inputs) {
+            ['a', 'b'].forEach(side => {
+                if (!inputs[side]) return;
+                modal.querySelector(`.pairwise-source[data-side="${side}"]`).value = inputs[side].source;
+                modal.querySelector(`.pairwise-input[data-side="${side}"]`).value = inputs[side].value;
+            });
+            this.updatePlaceholders(modal);
+        }
+        modal.classList.add('show');
+    }
+
+    createModal() {
+        const matrixOptions = Object.keys(PairwiseAligner.MATRICES)
+            .map(name => `<option value="${name}">${name}</option>`).join('');
+        const modeOptions = Object.entries(PairwiseAligner.MODES)
+            .map(([mode, label]) => `<option value="${mode}">${label}</option>`).join('');
+        const sideInput = (side, title) => `
+            <div class="pairwise-side">
+                <div class="pairwise-side-header">
+                    <h4>${title}</h4>
+                    <select class="pairwise-source" data-side="${side}">
+                        <option value="sequence">Sequence</option>
+                        <option value="region">Region</option>
+                        <option value="feature">Feature</option>
+                    </select>
+                </div>
+                <textarea class="pairwise-input" data-side="${side}" rows="4" spellcheck="false"></textarea>
+            </div>
+        `;
+
+        const modal = document.createElement('div');
+        modal.id = 'pairwiseAlignModal';
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content pairwise-align-modal">
+                <div class="modal-header">
+                    <h3><i class="fas fa-align-left"></i> Pairwise Alignment</h3>
+                    <button class="modal-close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <div class="pairwise-sides">
+                        ${sideInput('a', 'Query')}
+                        ${sideInput('b', 'Subject')}
+                    </div>
+                    <div class="pairwise-options">
+                        <label>Type
+                            <select class="pairwise-type">
+                                <option value="dna">DNA</option>
+                                <option value="protein">Protein</option>
+                            </select>
+                        </label>
+                        <label>Mode <select class="pairwise-mode">${modeOptions}</select></label>
+                        <label>Matrix <select class="pairwise-matrix">${matrixOptions}</select></label>
+                        <label>Gap open <input type="number" class="pairwise-gap-open" value="10" min="0" step="0.5"></label>
+                        <label>Gap extend <input type="number" class="pairwise-gap-extend" value="0.5" min="0" step="0.1"></label>
+                    </div>
+                    <div class="pairwise-summary"></div>
+                    <div class="alignment-viewer">
+                        <pre class="alignment-text pairwise-result"></pre>
+                    </div>
+                </div>
+                <div class="modal-footer">
+                    <button class="btn btn-primary pairwise-run"><i class="fas fa-play"></i> Align</button>
+                    <button class="btn pairwise-copy"><i class="fas fa-copy"></i> Copy Result</button>
+                    <button class="btn modal-close">Close</button>
+                </div>
+            </div>
+        `;
+
+        const style = document.createElement('style');
+        style.textContent = `
+            .pairwise-align-modal {
+                width: 90%;
+                max-width: 900px;
+                max-height: 90vh;
+                overflow-y: auto;
+            }
+
+            .pairwise-sides {
+                display: grid;
+                grid-template-columns: repeat(2, 1fr);
+                gap: 16px;
+            }
+
+            .pairwise-side-header {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                margin-bottom: 6px;
+            }
+
+            .pairwise-side h4 {
+                margin: 0;
+                font-size: 14px;
+            }
+
+            .pairwise-side textarea {
+                width: 100%;
+                box-sizing: border-box;
+                font-family: monospace;
+                font-size: 12px;
+                resize: vertical;
+            }
+
+            .pairwise-options {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 12px;
+                margin: 12px 0;
+                font-size: 13px;
+            }
+
+            .pairwise-options input {
+                width: 70px;
+            }
+
+            .pairwise-summary {
+                font-size: 13px;
+                margin-bottom: 8px;
+            }
+        `;
+        document.head.appendChild(style);
+
+        modal.querySelectorAll('.pairwise-source').forEach(select => {
+            select.addEventListener('change', () => this.updatePlaceholders(modal));
+        });
+        modal.querySelector('.pairwise-type').addEventListener('change', (e) => {
+            // Switch to the usual matrix for the sequence type
+            modal.querySelector('.pairwise-matrix').value = e.target.value === 'protein' ? 'BLOSUM62' : 'DNA';
+        });
+        modal.querySelector('.pairwise-run').addEventListener('click', () => this.run(modal));
+        modal.querySelector('.pairwise-copy').addEventListener('click', () => this.copyResult(modal));
+
+        modal.addEventListener('click', (e) => {
+            if (e.target.classList.contains('modal-close')) {
+                modal.classList.remove('show');
+            }
+        });
+
+        this.updatePlaceholders(modal);
+        return modal;
+    }
+
+    updatePlaceholders(modal) {
+        const placeholders = {
+            sequence: 'Paste a sequence (raw or FASTA)',
+            region: 'chr:start-end (start > end for the reverse strand)',
+            feature: 'Gene name or locus tag'
+        };
+        modal.querySelectorAll('.pairwise-source').forEach(select => {
+            modal.querySelector(`.pairwise-input[data-side="${select.dataset.side}"]`).placeholder = placeholders[select.value];
+        });
+    }
+
+    /**
+     * Sequence of one side of the dialog
+     * @param {string} source - 'sequence', 'region' or 'feature'
+     * @param {string} value - Input text
+     * @param {boolean} asProtein - Translate regions and features
+     * @returns {Promise<Object>} { sequence, label }
+     */
+    async resolveInput(source, value, asProtein) {
+        const text = value.trim();
+        if (!text) {
+            throw new Error('Both inputs are required');
+        }
+
+        if (source === 'sequence') {
+            const header = /^>(\S*)/.exec(text);
+            return { sequence: text, label: header && header[1] ? header[1] : `sequence (${text.length})` };
+        }
+
+        if (source === 'region') {
+            const match = /^(?:(\S+?):)?([\d,]+)\s*(?:-|\.\.)\s*([\d,]+)$/.exec(text);
+            if (!match) {
+                throw new Error(`Invalid region "${text}" (use chr:start-end)`);
+            }
+            const chromosome = match[1] || this.genomeBrowser.currentChromosome;
+            const from = parseInt(match[2].replace(/,/g, ''));
+            const to = parseInt(match[3].replace(/,/g, ''));
+            let sequence = await this.genomeBrowser.getSequenceForRegion(chromosome, Math.min(from, to), Math.max(from, to));
+            if (from > to) {
+                sequence = MicrobeGenomicsFunctions.reverseComplement(sequence);
+            }
+            if (asProtein) {
+                sequence = MicrobeGenomicsFunctions.translateDNA(sequence, 0, this.genomeBrowser.getGeneticCode(null, chromosome));
+            }
+            return { sequence, label: `${chromosome}:${from}-${to}` };
+        }
+
+        // Features picked from the gene panel are matched by label first, then by gene name / locus tag
+        const picked = (this.genomeBrowser.pairwiseFeatures || [])
+            .find(entry => this.getFeatureLabel(entry.chromosome, entry.feature) === text);
+        const hit = picked || MicrobeGenomicsFunctions.searchGeneByName(text);
+        if (!hit) {
+            throw new Error(`Feature "${text}" not found`);
+        }
+        return {
+            sequence: await MicrobeGenomicsFunctions.getFeatureSequence(hit.chromosome, hit.feature, asProtein),
+            label: `${this.getFeatureLabel(hit.chromosome, hit.feature)} ${hit.chromosome}:${hit.feature.start}-${hit.feature.end}`
+        };
+    }
+
+    async run(modal) {
+        const summary = modal.querySelector('.pairwise-summary');
+        const output = modal.querySelector('.pairwise-result');
+        const asProtein = modal.querySelector('.pairwise-type').value === 'protein';
+        const side = name => ({
+            source: modal.querySelector(`.pairwise-source[data-side="${name}"]`).value,
+            value: modal.querySelector(`.pairwise-input[data-side="${name}"]`).value
+        });
+
+        try {
+            const a = side('a');
+            const b = side('b');
+            const query = await this.resolveInput(a.source, a.value, asProtein);
+            const subject = await this.resolveInput(b.source, b.value, asProtein);
+
+            summary.textContent = 'Aligning...';
+            output.textContent = '';
+            // Let the status paint before the synchronous alignment
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            const result = PairwiseAligner.align(query.sequence, subject.sequence, {
+                mode: modal.querySelector('.pairwise-mode').value,
+                matrix: modal.querySelector('.pairwise-matrix').value,
+                gapOpen: modal.querySelector('.pairwise-gap-open').value,
+                gapExtend: modal.querySelector('.pairwise-gap-extend').value
+            });
+            this.lastResult = { ...result, queryLabel: query.label, subjectLabel: subject.label };
+
+            summary.textContent = '';
+            [
+                `Query: ${query.label} (${result.queryLength.toLocaleString()}), Subject: ${subject.label} (${result.subjectLength.toLocaleString()})`,
+                PairwiseAligner.describe(result)
+            ].forEach(line => {
+                const row = document.createElement('div');
+                row.textContent = line;
+                summary.appendChild(row);
+            });
+            output.textContent = result.length > 0 ?
+                this.genomeBrowser.blastManager.formatAlignment(result.alignment, result.queryRange, result.hitRange) :
+                'No positive-scoring local alignment found';
+            console.log(`🧬 Pairwise ${result.mode} alignment: score ${result.score}, ${result.identity}% identity over ${result.length} columns`);
+        } catch (error) {
+            this.lastResult = null;
+            summary.textContent = '';
+            output.textContent = '';
+            this.genomeBrowser.showNotification(`Alignment failed: ${error.message}`, 'error');
+        }
+    }
+
+    copyResult(modal) {
+        if (!this.lastResult) {
+            this.genomeBrowser.showNotification('Run an alignment first', 'warning');
+            return;
+        }
+        const text = `Query: ${this.lastResult.queryLabel}\nSubject: ${this.lastResult.subjectLabel}\n` +
+            `${PairwiseAligner.MODES[this.lastResult.mode]}, ${this.lastResult.matrix}, gap open ${this.lastResult.gapOpen}, extend ${this.lastResult.gapExtend}\n` +
+            `${PairwiseAligner.describe(this.lastResult)}\n\n${modal.querySelector('.pairwise-result').textContent}`;
+        navigator.clipboard.writeText(text).then(() => {
+            this.genomeBrowser.showNotification('Alignment copied to clipboard', 'success');
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PairwiseAlignmentPanel;
+} else if (typeof window !== 'undefined') {
+    window.PairwiseAlignmentPanel = PairwiseAlignmentPanel;
+}
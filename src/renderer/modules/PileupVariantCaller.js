@@ -0,0 +1,435 @@
+/**
+ * PileupVariantCaller - Lightweight pileup-based SNV and indel calling from aligned reads
+ *
+ * Reads converted by BamReader / ReadsManager are piled up per reference position:
+ * - reads failing the flag or mapping-quality filters are skipped
+ * - bases below the base-quality threshold do not count towards depth
+ * - insertions and deletions are counted at their anchor base (the reference base before them)
+ * Alleles passing the depth / alt-read / allele-frequency thresholds are reported as VCF-like
+ * variants with depth, allele frequency, strand counts (DP4) and Fisher strand bias (FS).
+ */
+
+class PileupVariantCaller {
+
+    static get DEFAULT_OPTIONS() {
+        return {
+            minBaseQuality: 20,
+            minMappingQuality: 20,
+            minDepth: 10,
+            minAltReads: 3,
+            minAlleleFrequency: 0.2,
+            maxStrandBias: 60,      // Phred-scaled Fisher strand bias above which calls get FILTER=StrandBias
+            callIndels: true,
+            skipDuplicates: true
+        };
+    }
+
+    /**
+     * Per-base error rate assumed for indels, which carry no base quality of their own
+     */
+    static get INDEL_ERROR_RATE() {
+        return 0.001;
+    }
+
+    /**
+     * Merge options with the defaults
+     * @param {Object} options - Partial options
+     * @returns {Object}
+     */
+    static resolveOptions(options = {}) {
+        const resolved = { ...this.DEFAULT_OPTIONS };
+        Object.entries(options).forEach(([key, value]) => {
+            if (value !== undefined && value !== null && !Number.isNaN(value)) {
+                resolved[key] = value;
+            }
+        });
+        return resolved;
+    }
+
+    /**
+     * Check whether a read takes part in the pileup
+     * @param {Object} read - Converted read
+     * @param {Object} options - Resolved options
+     * @returns {boolean}
+     */
+    static isUsableRead(read, options) {
+        const flags = read.flags || 0;
+        // Unmapped, secondary, QC-fail and supplementary alignments; duplicates when requested
+        const excluded = 0x4 | 0x100 | 0x200 | 0x800 | (options.skipDuplicates ? 0x400 : 0);
+        if ((flags & excluded) !== 0) return false;
+        if ((read.mappingQuality || 0) < options.minMappingQuality) return false;
+        return !!read.sequence && read.sequence !== '*';
+    }
+
+    /**
+     * Phred base qualities of a read as numbers, or null if the read has none.
+     * BAM gives a Uint8Array (0xFF when missing), CRAM a number array and SAM a Phred+33 string.
+     * @param {Object} read - Converted read
+     * @returns {ArrayLike<number>|null}
+     */
+    static getBaseQualities(read) {
+        const quality = read.quality;
+        if (!quality || quality === '*' || quality.length === 0) {
+            return null;
+        }
+        if (typeof quality === 'string') {
+            const scores = new Uint8Array(quality.length);
+            for (let i = 0; i < quality.length; i++) {
+                scores[i] = quality.charCodeAt(i) - 33;
+            }
+            return scores;
+        }
+        return quality[0] === 255 ? null : quality;
+    }
+
+    /**
+     * Create an empty pileup: 0-based position -> entry
+     * @returns {Map}
+     */
+    static createPileup() {
+        return new Map();
+    }
+
+    static getEntry(pileup, position) {
+        let entry = pileup.get(position);
+        if (!entry) {
+            entry = { depth: 0, forward: 0, reverse: 0, baseCount: 0, errorSum: 0, alleles: {} };
+            pileup.set(position, entry);
+        }
+        return entry;
+    }
+
+    /**
+     * Count an allele on one strand; keys are a base, 'I<bases>' or 'D<length>'
+     */
+    static countAllele(entry, key, reverse) {
+        const allele = entry.alleles[key] || (entry.alleles[key] = { forward: 0, reverse: 0 });
+        if (reverse) {
+            allele.reverse++;
+        } else {
+            allele.forward++;
+        }
+    }
+
+    static countDepth(entry, reverse) {
+        entry.depth++;
+        if (reverse) {
+            entry.reverse++;
+        } else {
+            entry.forward++;
+        }
+    }
+
+    /**
+     * Add one read to the pileup by walking its CIGAR.
+     * Only positions inside [regionStart, regionEnd) are counted, so reads returned for
+     * neighbouring query chunks contribute each position once.
+     * @param {Map} pileup - Pileup from createPileup
+     * @param {Object} read - Converted read (1-based start)
+     * @param {Object} options - Resolved options
+     * @param {number} regionStart - Region start (0-based)
+     * @param {number} regionEnd - Region end (0-based, exclusive)
+     * @returns {boolean} Whether the read passed the read filters
+     */
+    static addRead(pileup, read, options, regionStart, regionEnd) {
+        if (!this.isUsableRead(read, options)) {
+            return false;
+        }
+
+        const sequence = read.sequence;
+        const qualities = this.getBaseQualities(read);
+        const reverse = read.strand === '-';
+        const inRegion = position => position >= regionStart && position < regionEnd;
+        const cigar = read.cigar && read.cigar !== '*' ? read.cigar : `${sequence.length}M`;
+        const pattern = /(\d+)([MIDNSHP=X])/g;
+        let refPos = read.start - 1;
+        let readPos = 0;
+        let match;
+
+        while ((match = pattern.exec(cigar)) !== null) {
+            const length = parseInt(match[1]);
+            const operation = match[2];
+
+            if (operation === 'M' || operation === '=' || operation === 'X') {
+                const first = Math.max(0, regionStart - refPos);
+                const last = Math.min(length, regionEnd - refPos);
+                for (let i = first; i < last; i++) {
+                    const base = sequence[readPos + i].toUpperCase();
+                    const quality = qualities ? qualities[readPos + i] : null;
+                    if (!'ACGT'.includes(base) || (quality !== null && quality < options.minBaseQuality)) {
+                        continue;
+                    }
+                    const entry = this.getEntry(pileup, refPos + i);
+                    this.countDepth(entry, reverse);
+                    this.countAllele(entry, base, reverse);
+                    entry.baseCount++;
+                    entry.errorSum += Math.pow(10, -(quality !== null ? quality : 30) / 10);
+                }
+                refPos += length;
+                readPos += length;
+            } else if (operation === 'I') {
+                // Anchored at the last aligned reference base; a leading insertion has no anchor
+                if (options.callIndels && readPos > 0 && inRegion(refPos - 1)) {
+                    const inserted = sequence.substr(readPos, length).toUpperCase();
+                    const minQuality = qualities ? Math.min(...Array.from(qualities.slice(readPos, readPos + length))) : null;
+                    if (/^[ACGT]+$/.test(inserted) && (minQuality === null || minQuality >= options.minBaseQuality)) {
+                        this.countAllele(this.getEntry(pileup, refPos - 1), `I${inserted}`, reverse);
+                    }
+                }
+                readPos += length;
+            } else if (operation === 'D') {
+                if (options.callIndels && inRegion(refPos - 1)) {
+                    this.countAllele(this.getEntry(pileup, refPos - 1), `D${length}`, reverse);
+                }
+                // Deleted bases are covered by the read
+                for (let position = Math.max(refPos, regionStart); position < Math.min(refPos + length, regionEnd); position++) {
+                    this.countDepth(this.getEntry(pileup, position), reverse);
+                }
+                refPos += length;
+            } else if (operation === 'N') {
+                refPos += length;
+            } else if (operation === 'S') {
+                readPos += length;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Longest deletion (CIGAR D) in a set of reads, i.e. how many reference bases past a
+     * region end the REF allele of a deletion anchored inside it can reach
+     * @param {Array} reads - Converted reads
+     * @returns {number}
+     */
+    static getLongestDeletion(reads) {
+        let longest = 0;
+        reads.forEach(read => {
+            if (!read.cigar || read.cigar === '*') return;
+            const pattern = /(\d+)D/g;
+            let match;
+            while ((match = pattern.exec(read.cigar)) !== null) {
+                longest = Math.max(longest, parseInt(match[1]));
+            }
+        });
+        return longest;
+    }
+
+    /**
+     * Call variants from a pileup
+     * @param {Map} pileup - Filled pileup
+     * @param {string} chromosome - Chromosome name
+     * @param {Object} reference - { sequence, offset }: base at 0-based position p is sequence[p - offset]
+     * @param {Object} options - Resolved options
+     * @returns {Array} Variants { chromosome, start (0-based), end, id, ref, alt, quality, filter, info,
+     *          format, samples, type, depth, alleleFrequency, strandBias }, sorted by position
+     */
+    static callVariants(pileup, chromosome, reference, options) {
+        const referenceAt = (position, length = 1) => {
+            const from = position - reference.offset;
+            const bases = from >= 0 ? reference.sequence.substring(from, from + length).toUpperCase() : '';
+            return bases.length === length ? bases : null;
+        };
+        const variants = [];
+        const positions = [...pileup.keys()].sort((a, b) => a - b);
+
+        positions.forEach(position => {
+            const entry = pileup.get(position);
+            const refBase = referenceAt(position);
+            if (entry.depth < options.minDepth || !refBase || !'ACGT'.includes(refBase)) {
+                return;
+            }
+            const refAllele = entry.alleles[refBase] || { forward: 0, reverse: 0 };
+
+            Object.entries(entry.alleles).forEach(([key, allele]) => {
+                if (key === refBase) return;
+                const altCount = allele.forward + allele.reverse;
+                const alleleFrequency = altCount / entry.depth;
+                if (altCount < options.minAltReads || alleleFrequency < options.minAlleleFrequency) {
+                    return;
+                }
+
+                let type, ref, alt, errorRate;
+                if (key[0] === 'I') {
+                    type = 'INS';
+                    ref = refBase;
+                    alt = refBase + key.substring(1);
+                    errorRate = this.INDEL_ERROR_RATE;
+                } else if (key[0] === 'D') {
+                    type = 'DEL';
+                    ref = referenceAt(position, parseInt(key.substring(1)) + 1);
+                    alt = refBase;
+                    errorRate = this.INDEL_ERROR_RATE;
+                    if (!ref) return;
+                } else {
+                    type = 'SNV';
+                    ref = refBase;
+                    alt = key;
+                    // Mean error rate of the counted bases, split over the three other bases
+                    errorRate = entry.baseCount > 0 ? entry.errorSum / entry.baseCount / 3 : 0.001;
+                }
+
+                // Reads carrying an indel still show the reference anchor base
+                const isIndel = type !== 'SNV';
+                const refForward = Math.max(0, refAllele.forward - (isIndel ? allele.forward : 0));
+                const refReverse = Math.max(0, refAllele.reverse - (isIndel ? allele.reverse : 0));
+                const refCount = refForward + refReverse;
+                const strandBias = this.fisherStrandBias(refForward, refReverse, allele.forward, allele.reverse);
+                const quality = this.phredScale(this.binomialTail(entry.depth, altCount, errorRate));
+                const genotype = alleleFrequency >= 0.8 ? '1/1' : '0/1';
+
+                variants.push({
+                    chromosome,
+                    start: position,
+                    end: position + ref.length,
+                    id: null,
+                    ref,
+                    alt,
+                    quality: Math.round(quality * 10) / 10,
+                    filter: strandBias > options.maxStrandBias ? 'StrandBias' : 'PASS',
+                    info: `DP=${entry.depth};AF=${alleleFrequency.toFixed(3)};` +
+                          `DP4=${refForward},${refReverse},${allele.forward},${allele.reverse};` +
+                          `FS=${strandBias.toFixed(3)};TYPE=${type.toLowerCase()}`,
+                    format: 'GT:DP:AD',
+                    samples: [`${genotype}:${entry.depth}:${refCount},${altCount}`],
+                    type,
+                    depth: entry.depth,
+                    alleleFrequency,
+                    strandBias
+                });
+            });
+        });
+
+        return variants;
+    }
+
+    /**
+     * Pile up reads of one region and call variants in it
+     * @param {Array} reads - Converted reads overlapping the region
+     * @param {string} chromosome - Chromosome name
+     * @param {number} regionStart - Region start (0-based)
+     * @param {number} regionEnd - Region end (0-based, exclusive)
+     * @param {Object} reference - { sequence, offset } covering the region (and deleted bases after it)
+     * @param {Object} options - Partial options
+     * @returns {Object} { variants, readCount, usedReadCount }
+     */
+    static callRegion(reads, chromosome, regionStart, regionEnd, reference, options = {}) {
+        const resolved = this.resolveOptions(options);
+        const pileup = this.createPileup();
+        let usedReadCount = 0;
+        reads.forEach(read => {
+            if (this.addRead(pileup, read, resolved, regionStart, regionEnd)) {
+                usedReadCount++;
+            }
+        });
+        return {
+            variants: this.callVariants(pileup, chromosome, reference, resolved),
+            readCount: reads.length,
+            usedReadCount
+        };
+    }
+
+    /**
+     * Phred-scaled two-sided Fisher exact test on the strand counts (GATK's FS)
+     * @returns {number} 0 for no bias
+     */
+    static fisherStrandBias(refForward, refReverse, altForward, altReverse) {
+        const row1 = refForward + refReverse;
+        const column1 = refForward + altForward;
+        const total = row1 + altForward + altReverse;
+        if (total === 0) return 0;
+
+        // Probability of a table with a given top-left cell and the same margins
+        const logProbability = a => this.logFactorial(row1) + this.logFactorial(total - row1) +
+            this.logFactorial(column1) + this.logFactorial(total - column1) - this.logFactorial(total) -
+            this.logFactorial(a) - this.logFactorial(row1 - a) - this.logFactorial(column1 - a) -
+            this.logFactorial(total - row1 - column1 + a);
+
+        const observed = logProbability(refForward);
+        let pValue = 0;
+        for (let a = Math.max(0, row1 + column1 - total); a <= Math.min(row1, column1); a++) {
+            const logP = logProbability(a);
+            if (logP <= observed + 1e-7) {
+                pValue += Math.exp(logP);
+            }
+        }
+        return this.phredScale(Math.min(1, pValue));
+    }
+
+    /**
+     * Probability of seeing at least k errors in n bases: P(X >= k), X ~ Binomial(n, errorRate)
+     */
+    static binomialTail(n, k, errorRate) {
+        if (k <= 0) return 1;
+        const logRate = Math.log(errorRate);
+        const logComplement = Math.log1p(-errorRate);
+        let maxLog = -Infinity;
+        const terms = [];
+        for (let i = k; i <= n; i++) {
+            const term = this.logFactorial(n) - this.logFactorial(i) - this.logFactorial(n - i) +
+                i * logRate + (n - i) * logComplement;
+            terms.push(term);
+            maxLog = Math.max(maxLog, term);
+        }
+        const sum = terms.reduce((acc, term) => acc + Math.exp(term - maxLog), 0);
+        return Math.exp(maxLog + Math.log(sum));
+    }
+
+    /**
+     * -10 log10(p), capped at 999
+     */
+    static phredScale(probability) {
+        if (probability <= 0) return 999;
+        return Math.min(999, Math.max(0, -10 * Math.log10(probability)));
+    }
+
+    static logFactorial(n) {
+        const cache = this.logFactorialCache || (this.logFactorialCache = [0]);
+        for (let i = cache.length; i <= n; i++) {
+            cache[i] = cache[i - 1] + Math.log(i);
+        }
+        return cache[n];
+    }
+
+    /**
+     * VCF header lines for a called variant set
+     * @param {Object} details - { sampleName, source, contigs: [{ name, length }], options }
+     * @returns {Array} Header lines, ending with the #CHROM line
+     */
+    static buildVCFHeader(details = {}) {
+        const options = this.resolveOptions(details.options);
+        const lines = [
+            '##fileformat=VCFv4.2',
+            `##fileDate=${new Date().toISOString().slice(0, 10).replace(/-/g, '')}`,
+            '##source=CodeXomicsPileupCaller',
+            `##pileupCallerCommand=minBaseQuality=${options.minBaseQuality};minMappingQuality=${options.minMappingQuality};` +
+                `minDepth=${options.minDepth};minAltReads=${options.minAltReads};minAlleleFrequency=${options.minAlleleFrequency};` +
+                `maxStrandBias=${options.maxStrandBias};callIndels=${options.callIndels}`
+        ];
+        if (details.source) {
+            lines.push(`##reads=${details.source}`);
+        }
+        (details.contigs || []).forEach(contig => {
+            lines.push(contig.length ? `##contig=<ID=${contig.name},length=${contig.length}>` : `##contig=<ID=${contig.name}>`);
+        });
+        lines.push(
+            '##INFO=<ID=DP,Number=1,Type=Integer,Description="Read depth after base and mapping quality filters">',
+            '##INFO=<ID=AF,Number=A,Type=Float,Description="Allele frequency among the filtered reads">',
+            '##INFO=<ID=DP4,Number=4,Type=Integer,Description="Reference forward, reference reverse, alternate forward and alternate reverse reads">',
+            '##INFO=<ID=FS,Number=1,Type=Float,Description="Phred-scaled Fisher exact test p-value for strand bias">',
+            '##INFO=<ID=TYPE,Number=A,Type=String,Description="Variant type: snv, ins or del">',
+            `##FILTER=<ID=StrandBias,Description="Fisher strand bias FS above ${options.maxStrandBias}">`,
+            '##FORMAT=<ID=GT,Number=1,Type=String,Description="Genotype">',
+            '##FORMAT=<ID=DP,Number=1,Type=Integer,Description="Read depth">',
+            '##FORMAT=<ID=AD,Number=R,Type=Integer,Description="Reads supporting the reference and alternate alleles">',
+            `#CHROM\tPOS\tID\tREF\tALT\tQUAL\tFILTER\tINFO\tFORMAT\t${details.sampleName || 'SAMPLE'}`
+        );
+        return lines;
+    }
+}
+
+// Export for Node.js and browser compatibility
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PileupVariantCaller;
+} else if (typeof window !== 'undefined') {
+    window.PileupVariantCaller = PileupVariantCaller;
+}
@@ -34,19 +34,23 @@ class ComparativeGenomicsPlugin {
         
         try {
             const { 
-                genomes, 
                 referenceGenome = 0, 
                 minLength = 1000, 
                 maxGap = 5000,
-                method = 'progressive'
+                alignments
             } = params;
             
+            // Real PAF/MAF alignment blocks take precedence over simulated comparisons
+            const alignmentBlocks = this.getAlignmentBlocks(alignments);
+            const genomes = params.genomes || (alignmentBlocks ? this.getGenomesFromAlignments(alignmentBlocks) : null);
+            const method = alignmentBlocks ? 'alignment' : (params.method || 'progressive');
+            
             if (!genomes || !Array.isArray(genomes) || genomes.length < 2) {
                 throw new Error('At least two genomes are required for synteny analysis');
             }
 
             // Identify syntenic blocks between genomes
-            const syntenyBlocks = this.identifySyntenyBlocks(genomes, referenceGenome, minLength, maxGap);
+            const syntenyBlocks = this.identifySyntenyBlocks(genomes, referenceGenome, minLength, maxGap, alignmentBlocks);
             
             // Calculate synteny statistics
             const statistics = this.calculateSyntenyStatistics(syntenyBlocks, genomes);
@@ -268,8 +272,10 @@ class ComparativeGenomicsPlugin {
 
     /**
      * Identify syntenic blocks between genomes
+     * With alignment blocks (from PAF/MAF files) the blocks of each genome pair are chained
+     * with minLength/maxGap; without them the pairwise search is simulated.
      */
-    identifySyntenyBlocks(genomes, referenceGenome, minLength, maxGap) {
+    identifySyntenyBlocks(genomes, referenceGenome, minLength, maxGap, alignmentBlocks = null) {
         const syntenyBlocks = [];
         const reference = genomes[referenceGenome];
         
@@ -278,7 +284,10 @@ class ComparativeGenomicsPlugin {
             if (g === referenceGenome) continue;
             
             const target = genomes[g];
-            const blocks = this.findSyntenyBlocksPairwise(reference, target, minLength, maxGap);
+            const blocks = alignmentBlocks
+                ? WholeGenomeAlignmentParser.chainBlocks(
+                    this.selectAlignmentBlocks(alignmentBlocks, reference, target), { minLength, maxGap })
+                : this.findSyntenyBlocksPairwise(reference, target, minLength, maxGap);
             
             syntenyBlocks.push({
                 referenceGenome: referenceGenome,
@@ -290,6 +299,63 @@ class ComparativeGenomicsPlugin {
         return syntenyBlocks;
     }
 
+    /**
+     * Collect alignment blocks for synteny analysis
+     * @param {Array|string|undefined} alignments - Blocks, the name of a loaded alignment file,
+     *   or undefined for all loaded PAF/MAF files
+     * @returns {Array|null} Blocks, or null when no alignments are available
+     */
+    getAlignmentBlocks(alignments) {
+        if (Array.isArray(alignments)) {
+            return alignments.length > 0 ? alignments : null;
+        }
+
+        const browser = this.app && (this.app.genomeBrowser || this.app);
+        const loaded = (browser && browser.currentSyntenyAlignments) || {};
+        const sets = typeof alignments === 'string'
+            ? [loaded[alignments]].filter(Boolean)
+            : Object.values(loaded);
+        const blocks = sets.flatMap(set => set.blocks);
+        return blocks.length > 0 ? blocks : null;
+    }
+
+    /**
+     * Describe the genomes of a set of alignment blocks, reference genome first.
+     * MAF blocks carry genome names; PAF blocks are one reference and one query genome.
+     */
+    getGenomesFromAlignments(blocks) {
+        const genomes = new Map();
+        const addSequence = (name, chromosome, length) => {
+            if (!genomes.has(name)) {
+                genomes.set(name, { id: name, name, length: 0, chromosomes: {} });
+            }
+            const genome = genomes.get(name);
+            if (!genome.chromosomes[chromosome] || genome.chromosomes[chromosome] < length) {
+                genome.length += length - (genome.chromosomes[chromosome] || 0);
+                genome.chromosomes[chromosome] = length;
+            }
+        };
+
+        blocks.forEach(block => {
+            addSequence(block.referenceGenomeName || 'reference', block.referenceChromosome, block.referenceLength || block.referenceEnd);
+        });
+        blocks.forEach(block => {
+            addSequence(block.targetGenomeName || 'query', block.targetChromosome, block.targetLength || block.targetEnd);
+        });
+        return Array.from(genomes.values());
+    }
+
+    /**
+     * Blocks aligning a target genome to the reference. Blocks without genome names
+     * (PAF is pairwise) belong to every pair.
+     */
+    selectAlignmentBlocks(blocks, reference, target) {
+        const matches = (name, genome) => !name || name === genome.name || name === genome.id;
+        return blocks.filter(block =>
+            matches(block.referenceGenomeName, reference) && matches(block.targetGenomeName, target)
+        );
+    }
+
     /**
      * Find synteny blocks between two genomes
      */
@@ -424,6 +490,8 @@ class ComparativeGenomicsPlugin {
                 comparison.blocks.map(block => ({
                     source: comparison.referenceGenome,
                     target: comparison.targetGenome,
+                    sourceChromosome: block.referenceChromosome,
+                    targetChromosome: block.targetChromosome,
                     sourceStart: block.referenceStart,
                     sourceEnd: block.referenceEnd,
                     targetStart: block.targetStart,
@@ -906,7 +974,7 @@ class ComparativeGenomicsPlugin {
                 'calculateGenomeSimilarity'
             ],
             dependencies: [],
-            supportedFormats: ['fasta', 'genbank', 'gff']
+            supportedFormats: ['fasta', 'genbank', 'gff', 'paf', 'maf']
         };
     }
 }
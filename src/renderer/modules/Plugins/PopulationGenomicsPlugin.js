@@ -84,13 +84,13 @@ class PopulationGenomicsPlugin {
             }
 
             // Calculate nucleotide diversity (π)
-            const nucleotideDiversity = this.calculateNucleotideDiversity(genomeData, windowSize);
+            const nucleotideDiversity = this.calculateNucleotideDiversity(genomeData, windowSize, { stepSize });
             
             // Calculate Tajima's D
-            const tajimasD = this.calculateTajimasD(genomeData, windowSize);
+            const tajimasD = this.calculateTajimasD(genomeData, windowSize, { stepSize });
             
             // Calculate Watterson's theta
-            const wattersonsTheta = this.calculateWattersonsTheta(genomeData, windowSize);
+            const wattersonsTheta = this.calculateWattersonsTheta(genomeData, windowSize, { stepSize });
             
             // Identify selection signatures if requested
             let selectionSignatures = null;
@@ -200,7 +200,10 @@ class PopulationGenomicsPlugin {
     }
 
     /**
-     * Analyze genetic adaptation and local adaptation
+     * Analyze genetic adaptation: Fst outlier loci between populations from the loaded VCF genotypes
+     * @param {Object} params - { populations: [{ name, samples: [sample names] }], fileId, chromosome,
+     *        start, end (0-based), windowSize, pValueThreshold (empirical upper tail of per-locus Fst) }
+     * @returns {Promise<Object>} { populations, snpCount, fstValues, outlierLoci, parameters, metadata }
      */
     async analyzeGeneticAdaptation(params) {
         console.log('Analyzing genetic adaptation with params:', params);
@@ -208,45 +211,45 @@ class PopulationGenomicsPlugin {
         try {
             const { 
                 populations, 
-                environmentalData = null,
+                fileId,
+                chromosome,
+                start,
+                end,
+                windowSize = 10000,
                 method = 'fst_outlier',
                 pValueThreshold = 0.05
             } = params;
             
-            if (!populations || !Array.isArray(populations)) {
-                throw new Error('Population array is required for adaptation analysis');
+            if (!populations || !Array.isArray(populations) || populations.length < 2) {
+                throw new Error('At least two populations ({ name, samples }) are required for adaptation analysis');
+            }
+            if (method !== 'fst_outlier') {
+                throw new Error(`Unsupported adaptation method: ${method}`);
             }
 
+            // Genotype columns follow the concatenated population sample lists
+            let offset = 0;
+            const resolvedPopulations = populations.map(population => {
+                const members = population.samples || [];
+                const resolved = { name: population.name, samples: members, sampleIndices: members.map((sample, index) => offset + index) };
+                offset += members.length;
+                return resolved;
+            });
+            const samples = resolvedPopulations.flatMap(population => population.samples);
+            const snpData = await this.extractSNPData(samples, { fileId, chromosome, start, end });
+
             // Calculate Fst between populations
-            const fstValues = this.calculateFstBetweenPopulations(populations);
+            const fstValues = this.calculateFstBetweenPopulations(resolvedPopulations, { snpData, windowSize });
             
             // Identify outlier loci
-            const outlierLoci = this.identifyOutlierLoci(fstValues, method, pValueThreshold);
-            
-            // Analyze local adaptation signatures
-            const localAdaptation = this.analyzeLocalAdaptation(populations, environmentalData);
-            
-            // Calculate effective population sizes
-            const effectivePopulationSizes = this.calculateEffectivePopulationSizes(populations);
-            
-            // Gene flow analysis
-            const geneFlow = this.analyzeGeneFlow(populations);
-            
-            // Environmental association analysis
-            let environmentalAssociation = null;
-            if (environmentalData) {
-                environmentalAssociation = this.analyzeEnvironmentalAssociation(populations, environmentalData);
-            }
+            const outlierLoci = this.identifyOutlierLoci(fstValues, pValueThreshold);
             
             const result = {
-                populations: populations.length,
+                populations: resolvedPopulations.map(population => ({ name: population.name, sampleCount: population.samples.length })),
+                snpCount: snpData.length,
                 fstValues,
                 outlierLoci,
-                localAdaptation,
-                effectivePopulationSizes,
-                geneFlow,
-                environmentalAssociation,
-                parameters: { method, pValueThreshold },
+                parameters: { method, pValueThreshold, windowSize },
                 metadata: {
                     analysisType: 'genetic-adaptation',
                     method,
@@ -265,32 +268,235 @@ class PopulationGenomicsPlugin {
     }
 
     /**
-     * Extract SNP data from samples
+     * Loci in the upper tail of the per-locus Fst distribution of each population pair
+     * @param {Object} fstValues - Result of calculateFstBetweenPopulations
+     * @param {number} pValueThreshold - Empirical p-value (fraction of loci with an equal or higher Fst)
+     * @returns {Array} { locus, chromosome, position, fst, pValue, pop1, pop2 }, highest Fst first
      */
-    extractSNPData(samples) {
-        const snps = [];
-        
-        // Simulate SNP extraction
-        for (let i = 0; i < 1000; i++) {
-            const snp = {
-                id: `snp_${i}`,
-                chromosome: Math.floor(Math.random() * 5) + 1,
-                position: Math.floor(Math.random() * 1000000),
-                refAllele: ['A', 'T', 'G', 'C'][Math.floor(Math.random() * 4)],
-                altAllele: ['A', 'T', 'G', 'C'][Math.floor(Math.random() * 4)],
-                genotypes: samples.map(() => {
-                    const rand = Math.random();
-                    if (rand < 0.7) return '0/0'; // homozygous reference
-                    else if (rand < 0.9) return '0/1'; // heterozygous
-                    else return '1/1'; // homozygous alternate
-                })
-            };
-            snps.push(snp);
+    identifyOutlierLoci(fstValues, pValueThreshold) {
+        const outliers = [];
+        fstValues.pairs.forEach(pair => {
+            const sorted = pair.perLocus.map(locus => locus.fst).sort((a, b) => b - a);
+            pair.perLocus.forEach(locus => {
+                // Number of loci with an Fst at least as high as this one (binary search, descending order)
+                let low = 0;
+                let high = sorted.length;
+                while (low < high) {
+                    const middle = (low + high) >> 1;
+                    if (sorted[middle] >= locus.fst) low = middle + 1;
+                    else high = middle;
+                }
+                const pValue = low / sorted.length;
+                if (pValue <= pValueThreshold) {
+                    outliers.push({ ...locus, pValue, pop1: pair.pop1, pop2: pair.pop2 });
+                }
+            });
+        });
+        return outliers.sort((a, b) => b.fst - a.fst);
+    }
+
+    /**
+     * Extract biallelic SNPs with per-sample genotypes from the loaded multi-sample VCF files.
+     * Genotypes are keyed by sample name: every SNP has one genotype per output sample (no-call
+     * where its file lacks the sample), and a site present in several files is merged into one SNP.
+     * @param {Array} samples - Sample names (or objects with id/name) in output order; all samples of the files when empty
+     * @param {Object} options - { fileId (one VCF file; all multi-sample files when omitted), chromosome,
+     *        start, end (0-based), snpsOnly (default true) }; indexed VCF files are only read when a region is given
+     * @returns {Promise<Array>} SNPs { id, chromosome, position, refAllele, altAllele, genotypes }
+     */
+    async extractSNPData(samples = [], options = {}) {
+        const browser = this.app && (this.app.genomeBrowser || this.app);
+        const multiFileManager = browser && browser.multiFileManager;
+        const vcfFiles = multiFileManager
+            ? multiFileManager.getVcfFiles().filter(vcfFile => (vcfFile.metadata.samples || []).length > 0 &&
+                (!options.fileId || vcfFile.metadata.id === options.fileId))
+            : [];
+
+        if (vcfFiles.length === 0) {
+            throw new Error('No multi-sample VCF file loaded - load a VCF with sample genotype columns first');
         }
-        
+
+        const requestedSamples = (samples || []).map(sample => typeof sample === 'string' ? sample : sample.id || sample.name);
+        const sampleNames = requestedSamples.length > 0
+            ? requestedSamples
+            : [...new Set(vcfFiles.flatMap(vcfFile => vcfFile.metadata.samples))];
+        const hasRegion = options.chromosome && options.start !== undefined && options.end !== undefined;
+        const snpsBySite = new Map();
+
+        for (const vcfFile of vcfFiles) {
+            const fileSamples = vcfFile.metadata.samples;
+
+            // Samples missing from a file get no-call genotypes; skip files with none of the samples
+            const sampleIndices = sampleNames.map(name => fileSamples.indexOf(name));
+            if (sampleIndices.every(index => index < 0)) continue;
+
+            let variants = [];
+            if (vcfFile.source) {
+                if (!hasRegion) {
+                    console.warn(`Skipping indexed VCF ${vcfFile.metadata.name}: a region is required`);
+                    continue;
+                }
+                variants = await vcfFile.source.getFeaturesForRegion(options.chromosome, options.start, options.end);
+            } else {
+                const chromosomes = options.chromosome ? [options.chromosome] : Object.keys(vcfFile.data);
+                variants = chromosomes.flatMap(chromosome => vcfFile.data[chromosome] || []);
+            }
+
+            if (hasRegion) {
+                variants = variants.filter(variant => variant.start < options.end && variant.end > options.start);
+            }
+
+            VcfGenotypes.toSNPData(variants, { sampleIndices, snpsOnly: options.snpsOnly }).forEach(snp => {
+                const site = `${snp.chromosome}:${snp.position}:${snp.refAllele}:${snp.altAllele}`;
+                const existing = snpsBySite.get(site);
+                if (!existing) {
+                    snpsBySite.set(site, snp);
+                    return;
+                }
+                snp.genotypes.forEach((genotype, index) => {
+                    if (sampleIndices[index] >= 0 && existing.genotypes[index] === './.') {
+                        existing.genotypes[index] = genotype;
+                    }
+                });
+            });
+        }
+
+        const snps = Array.from(snpsBySite.values());
+        console.log(`Extracted ${snps.length} SNPs for ${sampleNames.length} samples from ${vcfFiles.length} VCF file(s)`);
         return snps;
     }
 
+    /**
+     * Parse a sample-to-population assignment file
+     * Accepts "sample population" lines (tab, comma or space separated) and PLINK cluster files
+     * ("FID IID cluster"); blank lines, '#' comments and a leading header line are skipped.
+     * @param {string} text - File content
+     * @returns {Object} Population by sample name
+     */
+    parsePopulationAssignments(text) {
+        const assignments = {};
+        const headerNames = ['sample', 'sample_id', 'sampleid', 'id', 'iid', 'fid', 'individual'];
+
+        text.split(/\r?\n/).forEach((line, lineIndex) => {
+            const trimmed = line.trim();
+            if (!trimmed || trimmed.startsWith('#')) return;
+
+            const fields = trimmed.split(/[\t,]/).length > 1 ? trimmed.split(/\s*[\t,]\s*/) : trimmed.split(/\s+/);
+            if (fields.length < 2) return;
+            if (lineIndex === 0 && headerNames.includes(fields[0].toLowerCase())) return;
+
+            const [sample, population] = fields.length >= 3 ? [fields[1], fields[2]] : [fields[0], fields[1]];
+            assignments[sample] = population;
+        });
+
+        return assignments;
+    }
+
+    /**
+     * Sliding-window diversity, neutrality and differentiation statistics from loaded multi-sample VCFs
+     * @param {Object} params - { fileId, assignments (population by sample, or assignment file text; all
+     *        samples form one population when omitted), chromosome, start, end (0-based region; whole
+     *        chromosome when omitted), windowSize, stepSize, statistics (subset of 'pi', 'tajimasD',
+     *        'wattersonsTheta', 'fst') }
+     * @returns {Promise<Object>} { populations, snpCount, nucleotideDiversity, tajimasD, wattersonsTheta
+     *          (by population name), fst, unassignedSamples }
+     */
+    async analyzePopulationStatistics(params) {
+        const {
+            fileId,
+            chromosome,
+            windowSize = 10000,
+            statistics = ['pi', 'tajimasD', 'fst']
+        } = params;
+        const stepSize = params.stepSize || windowSize;
+
+        if (!chromosome) {
+            throw new Error('A chromosome is required for population statistics');
+        }
+
+        const browser = this.app && (this.app.genomeBrowser || this.app);
+        const vcfFile = browser && browser.multiFileManager && browser.multiFileManager.getVcfFiles()
+            .find(file => (file.metadata.samples || []).length > 0 && (!fileId || file.metadata.id === fileId));
+        if (!vcfFile) {
+            throw new Error('No multi-sample VCF file loaded - load a VCF with sample genotype columns first');
+        }
+
+        const vcfSamples = vcfFile.metadata.samples;
+        const assignments = typeof params.assignments === 'string'
+            ? this.parsePopulationAssignments(params.assignments)
+            : params.assignments;
+
+        // Group the VCF samples by population, keeping file order within each population
+        const groups = new Map();
+        const unassignedSamples = [];
+        vcfSamples.forEach(sample => {
+            const population = assignments ? assignments[sample] : 'all';
+            if (!population) {
+                unassignedSamples.push(sample);
+                return;
+            }
+            if (!groups.has(population)) groups.set(population, []);
+            groups.get(population).push(sample);
+        });
+        if (groups.size === 0) {
+            throw new Error(`None of the ${vcfSamples.length} VCF samples is listed in the population assignment file`);
+        }
+
+        const samples = Array.from(groups.values()).flat();
+        let offset = 0;
+        const populations = Array.from(groups.entries()).map(([name, members]) => {
+            const population = { name, samples: members, sampleIndices: members.map((sample, index) => offset + index) };
+            offset += members.length;
+            return population;
+        });
+
+        const sequence = browser.currentSequence && browser.currentSequence[chromosome];
+        const start = params.start !== undefined ? params.start : 0;
+        const end = params.end !== undefined ? params.end : (sequence ? sequence.length : undefined);
+        if (end === undefined) {
+            throw new Error(`Length of ${chromosome} is unknown - load its sequence first`);
+        }
+
+        const snpData = await this.extractSNPData(samples, { fileId: vcfFile.metadata.id, chromosome, start, end });
+        const windowOptions = { stepSize, regions: { [chromosome]: { start, end } } };
+
+        const result = {
+            vcfFile: vcfFile.metadata.name,
+            chromosome,
+            start,
+            end,
+            windowSize,
+            stepSize,
+            populations,
+            unassignedSamples,
+            snpCount: snpData.length,
+            nucleotideDiversity: {},
+            tajimasD: {},
+            wattersonsTheta: {},
+            fst: null
+        };
+
+        populations.forEach(population => {
+            const options = { ...windowOptions, sampleIndices: population.sampleIndices };
+            if (statistics.includes('pi')) {
+                result.nucleotideDiversity[population.name] = this.calculateNucleotideDiversity(snpData, windowSize, options);
+            }
+            if (statistics.includes('tajimasD')) {
+                result.tajimasD[population.name] = this.calculateTajimasD(snpData, windowSize, options);
+            }
+            if (statistics.includes('wattersonsTheta')) {
+                result.wattersonsTheta[population.name] = this.calculateWattersonsTheta(snpData, windowSize, options);
+            }
+        });
+
+        if (statistics.includes('fst') && populations.length > 1) {
+            result.fst = this.calculateFstBetweenPopulations(populations, { ...windowOptions, snpData, windowSize });
+        }
+
+        console.log(`Population statistics computed for ${populations.length} population(s) over ${snpData.length} SNPs on ${chromosome}`);
+        return result;
+    }
+
     /**
      * Calculate allele frequencies
      */
@@ -421,76 +627,129 @@ class PopulationGenomicsPlugin {
     }
 
     /**
-     * Calculate nucleotide diversity (π)
+     * Calculate nucleotide diversity (π) in sliding windows
+     * Per-site diversity n/(n-1)·2p(1-p) is summed over the SNPs of a window and divided by the
+     * window length, so every base without a SNP counts as callable and monomorphic.
+     * @param {Array} genomeData - SNPs from extractSNPData
+     * @param {number} windowSize - Window size (bp)
+     * @param {Object} options - { stepSize, regions, sampleIndices } (see createSlidingWindows)
      */
-    calculateNucleotideDiversity(genomeData, windowSize) {
-        const windows = [];
-        
-        // Simulate sliding window analysis
-        for (let i = 0; i < 100; i++) {
-            windows.push({
-                start: i * windowSize,
-                end: (i + 1) * windowSize,
-                pi: Math.random() * 0.01 + 0.001,
-                segregatingSites: Math.floor(Math.random() * 20) + 5
+    calculateNucleotideDiversity(genomeData, windowSize, options = {}) {
+        const windows = this.createSlidingWindows(genomeData, windowSize, options).map(window => {
+            let diversity = 0;
+            let segregatingSites = 0;
+            window.snps.forEach(snp => {
+                const counts = this.countAlleles(snp, options.sampleIndices);
+                diversity += this.siteDiversity(counts);
+                if (counts.alt > 0 && counts.alt < counts.total) segregatingSites++;
             });
-        }
-        
+            return {
+                chromosome: window.chromosome,
+                start: window.start,
+                end: window.end,
+                pi: diversity / (window.end - window.start),
+                segregatingSites,
+                snpCount: window.snps.length
+            };
+        });
+
+        // Genome-wide π over the analysed regions, counting each SNP once
+        let totalDiversity = 0;
+        genomeData.forEach(snp => {
+            totalDiversity += this.siteDiversity(this.countAlleles(snp, options.sampleIndices));
+        });
+        const totalLength = Object.values(this.getWindowRegions(genomeData, options))
+            .reduce((sum, region) => sum + (region.end - region.start), 0);
+
         return {
             windowSize,
             windows,
-            meanPi: windows.reduce((sum, w) => sum + w.pi, 0) / windows.length,
-            genomeWidePi: Math.random() * 0.008 + 0.002
+            meanPi: windows.length > 0 ? windows.reduce((sum, w) => sum + w.pi, 0) / windows.length : 0,
+            genomeWidePi: totalLength > 0 ? totalDiversity / totalLength : 0
         };
     }
 
     /**
-     * Calculate Tajima's D
+     * Calculate Tajima's D in sliding windows
+     * The sample size is the number of chromosomes of the analysed samples (diploid);
+     * windows without segregating sites have no D (null).
+     * @param {Array} genomeData - SNPs from extractSNPData
+     * @param {number} windowSize - Window size (bp)
+     * @param {Object} options - { stepSize, regions, sampleIndices }
      */
-    calculateTajimasD(genomeData, windowSize) {
-        const windows = [];
-        
-        // Simulate Tajima's D calculation
-        for (let i = 0; i < 100; i++) {
-            const tajimasD = (Math.random() - 0.5) * 4; // Range from -2 to 2
-            windows.push({
-                start: i * windowSize,
-                end: (i + 1) * windowSize,
-                tajimasD: tajimasD,
-                pValue: Math.random(),
-                interpretation: tajimasD > 1 ? 'balancing_selection' : 
-                              tajimasD < -1 ? 'directional_selection' : 'neutral'
+    calculateTajimasD(genomeData, windowSize, options = {}) {
+        const sampleCount = options.sampleIndices ? options.sampleIndices.length : (genomeData[0]?.genotypes.length || 0);
+        const n = sampleCount * 2;
+        const constants = n >= 4 ? this.getTajimaConstants(n) : null;
+
+        const windows = this.createSlidingWindows(genomeData, windowSize, options).map(window => {
+            let thetaPi = 0;
+            let segregatingSites = 0;
+            window.snps.forEach(snp => {
+                const counts = this.countAlleles(snp, options.sampleIndices);
+                if (counts.alt > 0 && counts.alt < counts.total) {
+                    thetaPi += this.siteDiversity(counts);
+                    segregatingSites++;
+                }
             });
-        }
-        
+
+            let tajimasD = null;
+            if (constants && segregatingSites > 0) {
+                const { a1, e1, e2 } = constants;
+                const variance = e1 * segregatingSites + e2 * segregatingSites * (segregatingSites - 1);
+                tajimasD = variance > 0 ? (thetaPi - segregatingSites / a1) / Math.sqrt(variance) : null;
+            }
+
+            return {
+                chromosome: window.chromosome,
+                start: window.start,
+                end: window.end,
+                tajimasD,
+                segregatingSites,
+                interpretation: tajimasD === null ? 'no_data' :
+                              tajimasD > 2 ? 'balancing_selection' :
+                              tajimasD < -2 ? 'directional_selection' : 'neutral'
+            };
+        });
+
+        const scored = windows.filter(w => w.tajimasD !== null);
         return {
             windowSize,
+            sampleSize: n,
             windows,
-            meanTajimasD: windows.reduce((sum, w) => sum + w.tajimasD, 0) / windows.length,
-            significantWindows: windows.filter(w => w.pValue < 0.05).length
+            meanTajimasD: scored.length > 0 ? scored.reduce((sum, w) => sum + w.tajimasD, 0) / scored.length : null,
+            significantWindows: scored.filter(w => Math.abs(w.tajimasD) > 2).length
         };
     }
 
     /**
-     * Calculate Watterson's theta
+     * Calculate Watterson's theta (per bp) in sliding windows
+     * @param {Array} genomeData - SNPs from extractSNPData
+     * @param {number} windowSize - Window size (bp)
+     * @param {Object} options - { stepSize, regions, sampleIndices }
      */
-    calculateWattersonsTheta(genomeData, windowSize) {
-        const windows = [];
-        
-        // Simulate Watterson's theta calculation
-        for (let i = 0; i < 100; i++) {
-            windows.push({
-                start: i * windowSize,
-                end: (i + 1) * windowSize,
-                theta: Math.random() * 0.01 + 0.001,
-                segregatingSites: Math.floor(Math.random() * 15) + 3
-            });
-        }
-        
+    calculateWattersonsTheta(genomeData, windowSize, options = {}) {
+        const sampleCount = options.sampleIndices ? options.sampleIndices.length : (genomeData[0]?.genotypes.length || 0);
+        const a1 = sampleCount > 0 ? this.getTajimaConstants(sampleCount * 2).a1 : 0;
+
+        const windows = this.createSlidingWindows(genomeData, windowSize, options).map(window => {
+            const segregatingSites = window.snps.filter(snp => {
+                const counts = this.countAlleles(snp, options.sampleIndices);
+                return counts.alt > 0 && counts.alt < counts.total;
+            }).length;
+            return {
+                chromosome: window.chromosome,
+                start: window.start,
+                end: window.end,
+                theta: a1 > 0 ? segregatingSites / a1 / (window.end - window.start) : 0,
+                segregatingSites
+            };
+        });
+
         return {
             windowSize,
             windows,
-            meanTheta: windows.reduce((sum, w) => sum + w.theta, 0) / windows.length
+            meanTheta: windows.length > 0 ? windows.reduce((sum, w) => sum + w.theta, 0) / windows.length : 0
         };
     }
 
@@ -539,29 +798,129 @@ class PopulationGenomicsPlugin {
     }
 
     /**
-     * Calculate linkage disequilibrium
+     * Calculate pairwise linkage disequilibrium between SNPs
+     * Genotypes are unphased, so r² is the squared correlation of alt-allele dosages and D'
+     * uses the composite disequilibrium (half the dosage covariance).
+     * @param {Array} genomeData - SNPs from extractSNPData (one chromosome region)
+     * @param {Object} options - { minMAF (default 0.05), maxSNPs (default 200, evenly thinned), sampleIndices }
+     * @returns {Object} { snps, r2 and dprime matrices (by SNP index), pairwiseLD, meanR2, ldDecayDistance, thinned }
      */
-    calculateLinkageDisequilibrium(genomeData) {
-        const ldValues = [];
-        
-        // Simulate LD calculation
-        for (let i = 0; i < 50; i++) {
-            ldValues.push({
-                snp1: `snp_${i}`,
-                snp2: `snp_${i + 1}`,
-                distance: Math.floor(Math.random() * 10000),
-                r2: Math.random(),
-                dprime: Math.random()
-            });
+    calculateLinkageDisequilibrium(genomeData, options = {}) {
+        const minMAF = options.minMAF !== undefined ? options.minMAF : 0.05;
+        const maxSNPs = options.maxSNPs || 200;
+
+        let snps = genomeData
+            .filter(snp => {
+                const counts = this.countAlleles(snp, options.sampleIndices);
+                const frequency = counts.total > 0 ? counts.alt / counts.total : 0;
+                return Math.min(frequency, 1 - frequency) >= minMAF;
+            })
+            .sort((a, b) => a.position - b.position);
+
+        const thinned = snps.length > maxSNPs;
+        if (thinned) {
+            const step = snps.length / maxSNPs;
+            snps = Array.from({ length: maxSNPs }, (value, index) => snps[Math.floor(index * step)]);
         }
-        
+
+        const dosageOf = { '0/0': 0, '0/1': 1, '1/1': 2 };
+        const dosages = snps.map(snp => {
+            const indices = options.sampleIndices || snp.genotypes.map((genotype, index) => index);
+            return indices.map(index => dosageOf[snp.genotypes[index]]);
+        });
+
+        const size = snps.length;
+        const r2 = Array.from({ length: size }, () => new Float32Array(size));
+        const dprime = Array.from({ length: size }, () => new Float32Array(size));
+        const pairwiseLD = [];
+
+        for (let i = 0; i < size; i++) {
+            r2[i][i] = 1;
+            dprime[i][i] = 1;
+            for (let j = i + 1; j < size; j++) {
+                const ld = this.calculateDosageLD(dosages[i], dosages[j]);
+                r2[i][j] = r2[j][i] = ld.r2;
+                dprime[i][j] = dprime[j][i] = ld.dprime;
+                pairwiseLD.push({
+                    snp1: snps[i].id,
+                    snp2: snps[j].id,
+                    distance: snps[j].position - snps[i].position,
+                    r2: ld.r2,
+                    dprime: ld.dprime
+                });
+            }
+        }
+
         return {
-            pairwiseLD: ldValues,
-            meanR2: ldValues.reduce((sum, ld) => sum + ld.r2, 0) / ldValues.length,
-            ldDecayDistance: Math.floor(Math.random() * 50000) + 10000
+            snps,
+            r2,
+            dprime,
+            pairwiseLD,
+            meanR2: pairwiseLD.length > 0 ? pairwiseLD.reduce((sum, ld) => sum + ld.r2, 0) / pairwiseLD.length : 0,
+            ldDecayDistance: this.estimateLDDecayDistance(pairwiseLD),
+            thinned
         };
     }
 
+    /**
+     * r² and D' of two SNPs from alt-allele dosages (samples missing at either SNP are skipped)
+     */
+    calculateDosageLD(dosagesA, dosagesB) {
+        let count = 0, sumA = 0, sumB = 0, sumAA = 0, sumBB = 0, sumAB = 0;
+        for (let k = 0; k < dosagesA.length; k++) {
+            const a = dosagesA[k];
+            const b = dosagesB[k];
+            if (a === undefined || b === undefined) continue;
+            count++;
+            sumA += a;
+            sumB += b;
+            sumAA += a * a;
+            sumBB += b * b;
+            sumAB += a * b;
+        }
+        if (count < 2) {
+            return { r2: 0, dprime: 0 };
+        }
+
+        const covariance = sumAB / count - (sumA / count) * (sumB / count);
+        const varianceA = sumAA / count - (sumA / count) ** 2;
+        const varianceB = sumBB / count - (sumB / count) ** 2;
+        const r2 = varianceA > 0 && varianceB > 0 ? Math.min(1, covariance * covariance / (varianceA * varianceB)) : 0;
+
+        const pA = sumA / (2 * count);
+        const pB = sumB / (2 * count);
+        const disequilibrium = covariance / 2;
+        const dMax = disequilibrium > 0
+            ? Math.min(pA * (1 - pB), (1 - pA) * pB)
+            : Math.min(pA * pB, (1 - pA) * (1 - pB));
+        const dprime = dMax > 0 ? Math.min(1, Math.abs(disequilibrium) / dMax) : 0;
+
+        return { r2, dprime };
+    }
+
+    /**
+     * Distance (bp) at which mean r² in 1 kb distance bins first falls below half of the closest bin
+     */
+    estimateLDDecayDistance(pairwiseLD) {
+        const bins = new Map();
+        pairwiseLD.forEach(ld => {
+            const bin = Math.floor(ld.distance / 1000);
+            const entry = bins.get(bin) || { sum: 0, count: 0 };
+            entry.sum += ld.r2;
+            entry.count++;
+            bins.set(bin, entry);
+        });
+
+        const means = Array.from(bins.entries())
+            .sort((a, b) => a[0] - b[0])
+            .map(([bin, entry]) => ({ distance: bin * 1000, r2: entry.sum / entry.count }));
+        if (means.length === 0) return null;
+
+        const half = means[0].r2 / 2;
+        const decayed = means.find(bin => bin.r2 < half);
+        return decayed ? decayed.distance : null;
+    }
+
     /**
      * Build phylogenetic tree
      */
@@ -607,29 +966,186 @@ class PopulationGenomicsPlugin {
     }
 
     /**
-     * Calculate Fst between populations
+     * Calculate Hudson's Fst between each pair of populations, per SNP and in sliding windows
+     * Window values are ratios of averages (sum of numerators over sum of denominators; Bhatia et al. 2013).
+     * @param {Array} populations - { name, sampleIndices } (indices into the SNP genotypes)
+     * @param {Object} options - { snpData, windowSize, stepSize, regions }
+     * @returns {Object} { pairs: [{ pop1, pop2, perLocus, windows, meanFst }], perLocus, meanFst }
      */
-    calculateFstBetweenPopulations(populations) {
-        const fstValues = [];
-        
-        // Simulate Fst calculation for each locus
-        for (let i = 0; i < 100; i++) {
-            fstValues.push({
-                locus: `locus_${i}`,
-                chromosome: Math.floor(Math.random() * 5) + 1,
-                position: Math.floor(Math.random() * 1000000),
-                fst: Math.random() * 0.5,
-                pValue: Math.random()
-            });
+    calculateFstBetweenPopulations(populations, options = {}) {
+        const snpData = options.snpData || [];
+        const windowSize = options.windowSize || 10000;
+        const pairs = [];
+
+        for (let a = 0; a < populations.length; a++) {
+            for (let b = a + 1; b < populations.length; b++) {
+                const pop1 = populations[a];
+                const pop2 = populations[b];
+                const components = new Map();
+
+                const perLocus = [];
+                snpData.forEach(snp => {
+                    const component = this.hudsonFstComponents(
+                        this.countAlleles(snp, pop1.sampleIndices),
+                        this.countAlleles(snp, pop2.sampleIndices)
+                    );
+                    if (!component) return;
+                    components.set(snp, component);
+                    perLocus.push({
+                        locus: snp.id,
+                        chromosome: snp.chromosome,
+                        position: snp.position,
+                        fst: component.numerator / component.denominator
+                    });
+                });
+
+                const windows = this.createSlidingWindows(snpData, windowSize, options).map(window => {
+                    let numerator = 0;
+                    let denominator = 0;
+                    window.snps.forEach(snp => {
+                        const component = components.get(snp);
+                        if (!component) return;
+                        numerator += component.numerator;
+                        denominator += component.denominator;
+                    });
+                    return {
+                        chromosome: window.chromosome,
+                        start: window.start,
+                        end: window.end,
+                        fst: denominator > 0 ? numerator / denominator : null,
+                        snpCount: window.snps.length
+                    };
+                });
+
+                let numerator = 0;
+                let denominator = 0;
+                components.forEach(component => {
+                    numerator += component.numerator;
+                    denominator += component.denominator;
+                });
+
+                pairs.push({
+                    pop1: pop1.name,
+                    pop2: pop2.name,
+                    perLocus,
+                    windows,
+                    meanFst: denominator > 0 ? numerator / denominator : null
+                });
+            }
         }
-        
+
+        const scored = pairs.filter(pair => pair.meanFst !== null);
         return {
-            perLocus: fstValues,
-            meanFst: fstValues.reduce((sum, f) => sum + f.fst, 0) / fstValues.length,
-            significantLoci: fstValues.filter(f => f.pValue < 0.05).length
+            pairs,
+            perLocus: pairs.flatMap(pair => pair.perLocus.map(locus => ({ ...locus, pop1: pair.pop1, pop2: pair.pop2 }))),
+            meanFst: scored.length > 0 ? scored.reduce((sum, pair) => sum + pair.meanFst, 0) / scored.length : null
         };
     }
 
+    /**
+     * Numerator and denominator of Hudson's Fst at one SNP (null without two called alleles in each population)
+     */
+    hudsonFstComponents(counts1, counts2) {
+        if (counts1.total < 2 || counts2.total < 2) return null;
+        const p1 = counts1.alt / counts1.total;
+        const p2 = counts2.alt / counts2.total;
+        const denominator = p1 * (1 - p2) + p2 * (1 - p1);
+        if (denominator <= 0) return null;
+        const numerator = (p1 - p2) ** 2
+            - p1 * (1 - p1) / (counts1.total - 1)
+            - p2 * (1 - p2) / (counts2.total - 1);
+        return { numerator, denominator };
+    }
+
+    /**
+     * Alternate and called allele counts of a SNP over a set of samples (diploid genotypes, no-calls skipped)
+     */
+    countAlleles(snp, sampleIndices = null) {
+        let alt = 0;
+        let total = 0;
+        const count = genotype => {
+            if (genotype === '0/0') total += 2;
+            else if (genotype === '0/1') { alt += 1; total += 2; }
+            else if (genotype === '1/1') { alt += 2; total += 2; }
+        };
+        if (sampleIndices) {
+            sampleIndices.forEach(index => count(snp.genotypes[index]));
+        } else {
+            snp.genotypes.forEach(count);
+        }
+        return { alt, total };
+    }
+
+    /**
+     * Unbiased per-site nucleotide diversity n/(n-1)·2p(1-p)
+     */
+    siteDiversity(counts) {
+        if (counts.total < 2) return 0;
+        const p = counts.alt / counts.total;
+        return counts.total / (counts.total - 1) * 2 * p * (1 - p);
+    }
+
+    /**
+     * Constants of Tajima's D for n sampled chromosomes
+     */
+    getTajimaConstants(n) {
+        let a1 = 0;
+        let a2 = 0;
+        for (let i = 1; i < n; i++) {
+            a1 += 1 / i;
+            a2 += 1 / (i * i);
+        }
+        const b1 = (n + 1) / (3 * (n - 1));
+        const b2 = 2 * (n * n + n + 3) / (9 * n * (n - 1));
+        const c1 = b1 - 1 / a1;
+        const c2 = b2 - (n + 2) / (a1 * n) + a2 / (a1 * a1);
+        return { a1, a2, e1: c1 / a1, e2: c2 / (a1 * a1 + a2) };
+    }
+
+    /**
+     * Regions to cover with windows: options.regions, or from 0 to the last SNP of each chromosome
+     */
+    getWindowRegions(snpData, options = {}) {
+        if (options.regions) return options.regions;
+        const regions = {};
+        snpData.forEach(snp => {
+            const region = regions[snp.chromosome] || (regions[snp.chromosome] = { start: 0, end: 0 });
+            region.end = Math.max(region.end, snp.position);
+        });
+        return regions;
+    }
+
+    /**
+     * Sliding windows over the SNPs of each chromosome
+     * @param {Array} snpData - SNPs with 1-based positions
+     * @param {number} windowSize - Window size (bp)
+     * @param {Object} options - { stepSize (default windowSize), regions: { chromosome: { start, end } } (0-based, half-open) }
+     * @returns {Array} { chromosome, start, end, snps }
+     */
+    createSlidingWindows(snpData, windowSize, options = {}) {
+        const stepSize = options.stepSize || windowSize;
+        const regions = this.getWindowRegions(snpData, options);
+        const byChromosome = {};
+        snpData.forEach(snp => {
+            (byChromosome[snp.chromosome] = byChromosome[snp.chromosome] || []).push(snp);
+        });
+
+        const windows = [];
+        Object.entries(regions).forEach(([chromosome, region]) => {
+            const snps = (byChromosome[chromosome] || []).slice().sort((a, b) => a.position - b.position);
+            let first = 0;
+            for (let start = region.start; start < region.end; start += stepSize) {
+                const end = Math.min(start + windowSize, region.end);
+                while (first < snps.length && snps[first].position - 1 < start) first++;
+                let last = first;
+                while (last < snps.length && snps[last].position - 1 < end) last++;
+                windows.push({ chromosome, start, end, snps: snps.slice(first, last) });
+                if (end >= region.end) break;
+            }
+        });
+        return windows;
+    }
+
     /**
      * Get plugin metadata
      */
@@ -643,6 +1159,7 @@ class PopulationGenomicsPlugin {
             functions: [
                 'analyzePopulationStructure',
                 'analyzeEvolutionarySignatures',
+                'analyzePopulationStatistics',
                 'analyzePhylogeography',
                 'analyzeGeneticAdaptation'
             ],
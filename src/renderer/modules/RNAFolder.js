@@ -0,0 +1,627 @@
+/**
+ * RNAFolder - Minimum free energy RNA secondary structure prediction (Zuker-style)
+ *
+ * Nearest-neighbour energy model at 37 °C in dcal/mol: Turner 1999 stacking energies, hairpin,
+ * bulge and interior loop initiation, tetraloop bonuses and the linear multiloop model
+ * (a = 3.4, b = 0, c = 0.4) as in ViennaRNA 1.8. Terminal mismatches and the 1x1/2x1 interior
+ * loop tables are replaced by their average values plus the GA/UU/GG mismatch bonuses, and
+ * dangling ends are not used (like RNAfold -d0), so energies are close to but not identical
+ * with RNAfold. Minimum hairpin loop size is 3 and interior loops are limited to 30 nt.
+ */
+
+class RNAFolder {
+
+    /**
+     * Longest sequence folded in one piece (the matrices grow with the square of the length)
+     */
+    static get MAX_LENGTH() {
+        return 1000;
+    }
+
+    /**
+     * Default options of terminator prediction
+     */
+    static get TERMINATOR_OPTIONS() {
+        return {
+            maxHairpinLength: 60,     // nt from the first to the last base of the stem
+            maxEnergy: -4,            // kcal/mol the hairpin must reach
+            minTailScore: 2.5,        // U-tract score of the 15 nt after the stem
+            minStemPairs: 4,
+            maxLength: 1000000        // nt searched per call (folding takes about 0.2 ms per nt)
+        };
+    }
+
+    /**
+     * Energy parameters (dcal/mol). Pair types: CG, GC, GU, UG, AU, UA.
+     * STACK[p][q]: pair p = (i, j) stacked on pair (k, l) = (i + 1, j - 1), q = type of (l, k)
+     */
+    static get PARAMS() {
+        if (!this._params) {
+            this._params = {
+                STACK: [
+                    [-240, -330, -210, -140, -210, -210],
+                    [-330, -340, -250, -150, -220, -240],
+                    [-210, -250, 130, -50, -140, -130],
+                    [-140, -150, -50, 30, -60, -100],
+                    [-210, -220, -140, -60, -110, -90],
+                    [-210, -240, -130, -100, -90, -130]
+                ],
+                HAIRPIN: [Infinity, Infinity, Infinity, 570, 560, 560, 540, 590, 560, 640, 650, 660, 670, 678, 686, 694,
+                    701, 707, 713, 719, 725, 730, 735, 740, 744, 749, 753, 757, 761, 765, 769],
+                BULGE: [Infinity, 380, 280, 320, 360, 400, 440, 459, 470, 480, 490, 500, 510, 519, 527, 534,
+                    541, 548, 554, 560, 565, 571, 576, 580, 585, 589, 594, 598, 602, 605, 609],
+                INTERIOR: [Infinity, Infinity, 410, 510, 170, 180, 200, 220, 230, 240, 250, 260, 270, 280, 290, 290,
+                    300, 310, 310, 320, 330, 330, 340, 340, 350, 350, 350, 360, 360, 370, 370],
+                TETRALOOPS: {
+                    GGGGAC: -300, GGUGAC: -300, CGAAAG: -300, GGAGAC: -300, CGCAAG: -300, GGAAAC: -300,
+                    CGGAAG: -300, CUUCGG: -300, CGUGAG: -300, CGAAGG: -250, CUACGG: -250, GGCAAC: -250,
+                    CGCGAG: -250, UGAGAG: -250, CGAGAG: -200, AGAAAU: -200, CGUAAG: -200, CUAACG: -200,
+                    UGAAAG: -200, GGAAGC: -150, GGGAAC: -150, UGAAAA: -150, AGCAAU: -150, AGUAAU: -150,
+                    CGGGAG: -150, AGUGAU: -150, GGCGAC: -150, GGGAGC: -150, GUGAAC: -150, UGGAAA: -150
+                },
+                LXC: 107.856,         // extrapolation of loop initiation beyond 30 nt
+                NINIO: 50,            // interior loop asymmetry per nt
+                MAX_NINIO: 300,
+                TERMINAL_AU: 50,      // AU/GU closing a helix
+                ML_CLOSING: 340,
+                ML_INTERN: 40,
+                ML_BASE: 0,
+                MAX_LOOP: 30
+            };
+        }
+        return this._params;
+    }
+
+    /**
+     * Sequence as base codes (A=0, C=1, G=2, U/T=3, anything else 4)
+     */
+    static encode(sequence) {
+        const codes = new Uint8Array(sequence.length);
+        for (let i = 0; i < sequence.length; i++) {
+            switch (sequence.charCodeAt(i) | 32) {
+                case 97: codes[i] = 0; break;   // a
+                case 99: codes[i] = 1; break;   // c
+                case 103: codes[i] = 2; break;  // g
+                case 116:                       // t
+                case 117: codes[i] = 3; break;  // u
+                default: codes[i] = 4;
+            }
+        }
+        return codes;
+    }
+
+    /**
+     * RNA form of a DNA or RNA sequence (uppercase, T as U, whitespace removed)
+     */
+    static toRNA(sequence) {
+        return String(sequence || '').replace(/\s+/g, '').toUpperCase().replace(/T/g, 'U');
+    }
+
+    /**
+     * Pair type index (CG 0, GC 1, GU 2, UG 3, AU 4, UA 5) or -1 when the bases cannot pair
+     */
+    static pairType(a, b) {
+        switch (a * 5 + b) {
+            case 7: return 0;   // C-G
+            case 11: return 1;  // G-C
+            case 13: return 2;  // G-U
+            case 17: return 3;  // U-G
+            case 3: return 4;   // A-U
+            case 15: return 5;  // U-A
+            default: return -1;
+        }
+    }
+
+    static terminalAU(type) {
+        return type > 1 ? this.PARAMS.TERMINAL_AU : 0;
+    }
+
+    static loopInitiation(table, size) {
+        return size <= 30 ? table[size] : table[30] + Math.round(this.PARAMS.LXC * Math.log(size / 30));
+    }
+
+    /* --------------------------------------------------------- */
+    /*  LOOP ENERGIES                                           */
+    /* --------------------------------------------------------- */
+
+    /**
+     * Hairpin loop closed by (i, j)
+     */
+    static hairpinEnergy(codes, sequence, i, j, type) {
+        const P = this.PARAMS;
+        const size = j - i - 1;
+        let energy = this.loopInitiation(P.HAIRPIN, size);
+        if (size === 3) {
+            return energy + this.terminalAU(type);
+        }
+
+        // Average terminal mismatch plus the GA, UU and GG first-mismatch bonuses
+        const first = codes[i + 1];
+        const last = codes[j - 1];
+        energy += type < 2 ? -110 : -70;
+        if ((first === 2 && last === 0) || (first === 2 && last === 2)) energy -= 80;
+        else if (first === 3 && last === 3) energy -= 90;
+
+        if (size === 4) {
+            energy += P.TETRALOOPS[sequence.substring(i, j + 1)] || 0;
+        }
+        return energy;
+    }
+
+    /**
+     * Stack, bulge or interior loop closed by (i, j) with inner pair (k, l)
+     */
+    static interiorEnergy(codes, i, j, k, l, type, innerType) {
+        const P = this.PARAMS;
+        const left = k - i - 1;
+        const right = j - l - 1;
+
+        if (left === 0 && right === 0) {
+            return P.STACK[type][innerType];
+        }
+
+        if (left === 0 || right === 0) {
+            const size = left + right;
+            const energy = this.loopInitiation(P.BULGE, size);
+            // A single-nucleotide bulge keeps the stacking of the helices on both sides
+            return size === 1 ? energy + P.STACK[type][innerType] : energy + this.terminalAU(type) + this.terminalAU(innerType);
+        }
+
+        const closures = (type > 1 ? 70 : 0) + (innerType > 1 ? 70 : 0);
+        if (left === 1 && right === 1) {
+            // 1x1 loop: table average, GG mismatches are stabilising
+            return 50 + closures + (codes[i + 1] === 2 && codes[j - 1] === 2 ? -140 : 0);
+        }
+        if (left + right === 3) {
+            return 220 + closures;  // 2x1 loop: table average
+        }
+
+        return this.loopInitiation(P.INTERIOR, left + right) +
+            Math.min(P.MAX_NINIO, P.NINIO * Math.abs(left - right)) +
+            closures +
+            this.interiorMismatch(codes[i + 1], codes[j - 1]) +
+            this.interiorMismatch(codes[l + 1], codes[k - 1]);
+    }
+
+    /**
+     * First-mismatch bonus in interior loops (GA/AG and UU)
+     */
+    static interiorMismatch(first, last) {
+        if ((first === 2 && last === 0) || (first === 0 && last === 2)) return -100;
+        if (first === 3 && last === 3) return -70;
+        return 0;
+    }
+
+    /* --------------------------------------------------------- */
+    /*  FOLDING                                                 */
+    /* --------------------------------------------------------- */
+
+    /**
+     * Fill the energy matrices. Matrices are banded: entry (i, j) is at i * span + (j - i).
+     * @param {Uint8Array} codes - Encoded sequence
+     * @param {string} sequence - RNA sequence (for tetraloop lookup)
+     * @param {Object} options - { maxSpan: longest pair span, multiloops: false for stem-loops only }
+     * @returns {Object} { V, WM, WM1, span } - V: best energy with (i, j) paired
+     */
+    static fill(codes, sequence, options = {}) {
+        const P = this.PARAMS;
+        const n = codes.length;
+        const span = Math.min(n, options.maxSpan || n);
+        const multiloops = options.multiloops !== false;
+        const INF = this.INF;
+        const V = new Int32Array(n * span).fill(INF);
+        const WM = multiloops ? new Int32Array(n * span).fill(INF) : null;
+        const WM1 = multiloops ? new Int32Array(n * span).fill(INF) : null;
+
+        for (let d = 4; d < span; d++) {
+            for (let i = 0; i + d < n; i++) {
+                const j = i + d;
+                const ij = i * span + d;
+                const type = this.pairType(codes[i], codes[j]);
+
+                if (type >= 0) {
+                    let best = this.hairpinEnergy(codes, sequence, i, j, type);
+
+                    for (let k = i + 1; k <= i + P.MAX_LOOP + 1 && k < j - 4; k++) {
+                        const minL = Math.max(k + 4, j - 1 - (P.MAX_LOOP - (k - i - 1)));
+                        for (let l = j - 1; l >= minL; l--) {
+                            const inner = V[k * span + (l - k)];
+                            if (inner >= INF) continue;
+                            const energy = inner + this.interiorEnergy(codes, i, j, k, l, type, this.pairType(codes[l], codes[k]));
+                            if (energy < best) best = energy;
+                        }
+                    }
+
+                    if (multiloops) {
+                        let branches = INF;
+                        for (let u = i + 6; u < j - 4; u++) {
+                            const energy = WM[(i + 1) * span + (u - 1 - (i + 1))] + WM1[u * span + (j - 1 - u)];
+                            if (energy < branches) branches = energy;
+                        }
+                        if (branches < INF) {
+                            const energy = branches + P.ML_CLOSING + P.ML_INTERN + this.terminalAU(type);
+                            if (energy < best) best = energy;
+                        }
+                    }
+                    V[ij] = best;
+                }
+
+                if (multiloops) {
+                    // WM1: one branch starting at i, unpaired bases after it up to j
+                    let wm1 = WM1[ij - 1] < INF ? WM1[ij - 1] + P.ML_BASE : INF;
+                    if (V[ij] < INF) wm1 = Math.min(wm1, V[ij] + P.ML_INTERN + this.terminalAU(type));
+                    WM1[ij] = wm1;
+
+                    // WM: at least one branch in i..j
+                    let wm = INF;
+                    for (let u = i; u <= j - 4; u++) {
+                        const branch = WM1[u * span + (j - u)];
+                        if (branch >= INF) continue;
+                        const unpaired = (u - i) * P.ML_BASE + branch;
+                        if (unpaired < wm) wm = unpaired;
+                        if (u - i > 4) {
+                            const before = WM[i * span + (u - 1 - i)];
+                            if (before < INF && before + branch < wm) wm = before + branch;
+                        }
+                    }
+                    WM[ij] = wm;
+                }
+            }
+        }
+
+        return { V, WM, WM1, span };
+    }
+
+    static get INF() {
+        return 10000000;
+    }
+
+    /**
+     * Minimum free energy structure
+     * @param {string} sequence - RNA or DNA sequence (T is read as U)
+     * @returns {Object} { sequence (RNA), structure (dot-bracket), energy (kcal/mol), pairs: [[i, j], ...] 1-based }
+     */
+    static fold(sequence) {
+        const rna = this.toRNA(sequence);
+        const n = rna.length;
+        if (n === 0) throw new Error('Empty sequence');
+        if (n > this.MAX_LENGTH) {
+            throw new Error(`Sequence is ${n} nt; fold at most ${this.MAX_LENGTH} nt at a time`);
+        }
+
+        const codes = this.encode(rna);
+        const matrices = this.fill(codes, rna);
+        const { V, span } = matrices;
+        const INF = this.INF;
+
+        // Exterior loop: F[j] is the best energy of the first j bases
+        const F = new Int32Array(n + 1);
+        for (let j = 1; j <= n; j++) {
+            F[j] = F[j - 1];
+            for (let i = 0; i <= j - 5; i++) {
+                const v = V[i * span + (j - 1 - i)];
+                if (v >= INF) continue;
+                const energy = F[i] + v + this.terminalAU(this.pairType(codes[i], codes[j - 1]));
+                if (energy < F[j]) F[j] = energy;
+            }
+        }
+
+        const pairTable = new Int32Array(n).fill(-1);
+        let j = n;
+        while (j > 0) {
+            if (F[j] === F[j - 1]) {
+                j--;
+                continue;
+            }
+            for (let i = 0; i <= j - 5; i++) {
+                const v = V[i * span + (j - 1 - i)];
+                if (v < INF && F[i] + v + this.terminalAU(this.pairType(codes[i], codes[j - 1])) === F[j]) {
+                    this.traceback(codes, rna, matrices, i, j - 1, pairTable);
+                    j = i;
+                    break;
+                }
+            }
+        }
+
+        return this.describe(rna, pairTable, F[n]);
+    }
+
+    /**
+     * Write the pairs of the optimal structure enclosed by (i, j) into pairTable
+     */
+    static traceback(codes, sequence, matrices, i, j, pairTable) {
+        const P = this.PARAMS;
+        const { V, WM, WM1, span } = matrices;
+        const INF = this.INF;
+        const stack = [['V', i, j]];
+
+        while (stack.length > 0) {
+            const [matrix, a, b] = stack.pop();
+            const ab = a * span + (b - a);
+
+            if (matrix === 'V') {
+                pairTable[a] = b;
+                pairTable[b] = a;
+                const energy = V[ab];
+                const type = this.pairType(codes[a], codes[b]);
+                if (energy === this.hairpinEnergy(codes, sequence, a, b, type)) continue;
+
+                let found = false;
+                for (let k = a + 1; !found && k <= a + P.MAX_LOOP + 1 && k < b - 4; k++) {
+                    const minL = Math.max(k + 4, b - 1 - (P.MAX_LOOP - (k - a - 1)));
+                    for (let l = b - 1; l >= minL; l--) {
+                        const inner = V[k * span + (l - k)];
+                        if (inner < INF && inner + this.interiorEnergy(codes, a, b, k, l, type, this.pairType(codes[l], codes[k])) === energy) {
+                            stack.push(['V', k, l]);
+                            found = true;
+                            break;
+                        }
+                    }
+                }
+                if (found) continue;
+
+                const closing = P.ML_CLOSING + P.ML_INTERN + this.terminalAU(type);
+                for (let u = a + 6; u < b - 4; u++) {
+                    if (WM[(a + 1) * span + (u - 1 - (a + 1))] + WM1[u * span + (b - 1 - u)] + closing === energy) {
+                        stack.push(['WM', a + 1, u - 1], ['WM1', u, b - 1]);
+                        break;
+                    }
+                }
+            } else if (matrix === 'WM1') {
+                const type = this.pairType(codes[a], codes[b]);
+                if (V[ab] < INF && V[ab] + P.ML_INTERN + this.terminalAU(type) === WM1[ab]) {
+                    stack.push(['V', a, b]);
+                } else {
+                    stack.push(['WM1', a, b - 1]);
+                }
+            } else {
+                for (let u = a; u <= b - 4; u++) {
+                    const branch = WM1[u * span + (b - u)];
+                    if (branch >= INF) continue;
+                    if ((u - a) * P.ML_BASE + branch === WM[ab]) {
+                        stack.push(['WM1', u, b]);
+                        break;
+                    }
+                    if (u - a > 4 && WM[a * span + (u - 1 - a)] + branch === WM[ab]) {
+                        stack.push(['WM', a, u - 1], ['WM1', u, b]);
+                        break;
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Result object from a pair table
+     */
+    static describe(sequence, pairTable, energy) {
+        const pairs = [];
+        let structure = '';
+        for (let i = 0; i < pairTable.length; i++) {
+            if (pairTable[i] === -1) {
+                structure += '.';
+            } else if (pairTable[i] > i) {
+                structure += '(';
+                pairs.push([i + 1, pairTable[i] + 1]);
+            } else {
+                structure += ')';
+            }
+        }
+        return { sequence, structure, energy: energy / 100, pairs };
+    }
+
+    /**
+     * Pair table (0-based partner or -1) of a dot-bracket structure
+     */
+    static parseStructure(structure) {
+        const pairTable = new Int32Array(structure.length).fill(-1);
+        const open = [];
+        for (let i = 0; i < structure.length; i++) {
+            const symbol = structure[i];
+            if (symbol === '(') {
+                open.push(i);
+            } else if (symbol === ')') {
+                if (open.length === 0) throw new Error(`Unbalanced ')' at position ${i + 1}`);
+                const partner = open.pop();
+                pairTable[i] = partner;
+                pairTable[partner] = i;
+            } else if (symbol !== '.') {
+                throw new Error(`Unexpected character '${symbol}' in structure`);
+            }
+        }
+        if (open.length > 0) throw new Error(`Unbalanced '(' at position ${open[open.length - 1] + 1}`);
+        return pairTable;
+    }
+
+    /**
+     * Free energy (kcal/mol) of a given structure under the same energy model
+     * @param {string} sequence - RNA or DNA sequence
+     * @param {string} structure - Dot-bracket structure of the same length
+     * @returns {number} Free energy in kcal/mol
+     */
+    static evaluate(sequence, structure) {
+        const P = this.PARAMS;
+        const rna = this.toRNA(sequence);
+        if (rna.length !== structure.length) {
+            throw new Error(`Structure length ${structure.length} does not match sequence length ${rna.length}`);
+        }
+        const codes = this.encode(rna);
+        const pairTable = this.parseStructure(structure);
+
+        const typeOf = (i, j) => {
+            const type = this.pairType(codes[i], codes[j]);
+            if (type < 0) throw new Error(`${rna[i]}${i + 1}-${rna[j]}${j + 1} is not a canonical base pair`);
+            if (j - i - 1 < 3) throw new Error(`Hairpin closed by ${i + 1}-${j + 1} is shorter than 3 nt`);
+            return type;
+        };
+        const branchesIn = (from, to) => {
+            const branches = [];
+            for (let p = from; p <= to; p++) {
+                if (pairTable[p] > p) {
+                    branches.push([p, pairTable[p]]);
+                    p = pairTable[p];
+                }
+            }
+            return branches;
+        };
+
+        let energy = 0;
+        const loops = [];
+        branchesIn(0, rna.length - 1).forEach(([i, j]) => {
+            energy += this.terminalAU(typeOf(i, j));
+            loops.push([i, j]);
+        });
+
+        while (loops.length > 0) {
+            const [i, j] = loops.pop();
+            const type = typeOf(i, j);
+            const branches = branchesIn(i + 1, j - 1);
+
+            if (branches.length === 0) {
+                energy += this.hairpinEnergy(codes, rna, i, j, type);
+            } else if (branches.length === 1) {
+                const [k, l] = branches[0];
+                if (k - i - 1 + j - l - 1 > P.MAX_LOOP) {
+                    throw new Error(`Interior loop closed by ${i + 1}-${j + 1} is longer than ${P.MAX_LOOP} nt`);
+                }
+                typeOf(k, l);
+                energy += this.interiorEnergy(codes, i, j, k, l, type, this.pairType(codes[l], codes[k]));
+            } else {
+                let unpaired = j - i - 1;
+                energy += P.ML_CLOSING + P.ML_INTERN + this.terminalAU(type);
+                branches.forEach(([k, l]) => {
+                    energy += P.ML_INTERN + this.terminalAU(typeOf(k, l));
+                    unpaired -= l - k + 1;
+                });
+                energy += unpaired * P.ML_BASE;
+            }
+            loops.push(...branches);
+        }
+
+        return energy / 100;
+    }
+
+    /* --------------------------------------------------------- */
+    /*  TERMINATORS                                             */
+    /* --------------------------------------------------------- */
+
+    /**
+     * U-tract score of the bases after a stem (d'Aubenton Carafa et al. 1990): x(0) = 1,
+     * x(n) = x(n-1) * 0.9 for U and * 0.6 otherwise, summed over the U positions of 15 nt
+     */
+    static tailScore(codes, from) {
+        let x = 1;
+        let score = 0;
+        for (let n = 0; n < 15; n++) {
+            const isU = codes[from + n] === 3;
+            x *= isU ? 0.9 : 0.6;
+            if (isU) score += x;
+        }
+        return score;
+    }
+
+    /**
+     * Predict rho-independent terminators: a stem-loop with a favourable free energy followed
+     * by a U-rich tract. Only the given strand is searched. The search yields to the event loop
+     * between folding windows so long sequences do not block the renderer.
+     * @param {string} sequence - DNA or RNA sequence
+     * @param {Object} options - See TERMINATOR_OPTIONS; signal: optional AbortSignal that cancels the search
+     * @param {Function} onProgress - Optional callback(message)
+     * @returns {Promise<Array>} Terminators (1-based, sorted by start), overlapping candidates resolved by confidence
+     */
+    static async predictTerminators(sequence, options = {}, onProgress = null) {
+        const settings = { ...this.TERMINATOR_OPTIONS, ...options };
+        if (sequence.length > settings.maxLength) {
+            throw new Error(`Sequence is ${sequence.length.toLocaleString()} nt; search at most ${settings.maxLength.toLocaleString()} nt for terminators at a time`);
+        }
+        const rna = this.toRNA(sequence);
+        const codes = this.encode(rna);
+        const n = rna.length;
+        const INF = this.INF;
+        const candidates = [];
+
+        // Fold in overlapping windows so memory stays bounded on whole chromosomes
+        const windowSize = 4000;
+        const overlap = settings.maxHairpinLength + 15;
+        for (let offset = 0; offset < n; offset += windowSize - overlap) {
+            if (offset > 0) {
+                if (onProgress) onProgress(`${Math.round(offset / n * 100)}% of ${n.toLocaleString()} nt`);
+                await new Promise(resolve => setTimeout(resolve, 0));
+                if (settings.signal?.aborted) throw new Error('Terminator prediction cancelled');
+            }
+            const windowEnd = Math.min(n, offset + windowSize);
+            const windowCodes = codes.subarray(offset, windowEnd);
+            const windowRNA = rna.substring(offset, windowEnd);
+            const matrices = this.fill(windowCodes, windowRNA, { maxSpan: settings.maxHairpinLength, multiloops: false });
+            const { V, span } = matrices;
+            // Stems ending in the overlap are left to the next window unless this is the last one
+            const lastStemEnd = windowEnd === n ? n - 1 : windowEnd - overlap;
+
+            for (let j = 4; offset + j < lastStemEnd; j++) {
+                const tail = this.tailScore(codes, offset + j + 1);
+                if (tail < settings.minTailScore) continue;
+
+                let best = INF;
+                let bestStart = -1;
+                for (let i = Math.max(0, j - span + 1); i <= j - 4; i++) {
+                    const v = V[i * span + (j - i)];
+                    if (v >= INF) continue;
+                    const energy = v + this.terminalAU(this.pairType(windowCodes[i], windowCodes[j]));
+                    if (energy < best) {
+                        best = energy;
+                        bestStart = i;
+                    }
+                }
+                if (bestStart === -1 || best / 100 > settings.maxEnergy) continue;
+
+                const pairTable = new Int32Array(windowCodes.length).fill(-1);
+                this.traceback(windowCodes, windowRNA, matrices, bestStart, j, pairTable);
+                const stem = this.describe('', pairTable.slice(bestStart, j + 1).map(p => p === -1 ? -1 : p - bestStart), best);
+                if (stem.pairs.length < settings.minStemPairs) continue;
+
+                // The terminator ends with the last U of the tract
+                const stemStart = offset + bestStart;
+                const stemEnd = offset + j;
+                let end = stemEnd;
+                for (let p = stemEnd + 1; p < Math.min(n, stemEnd + 11); p++) {
+                    if (codes[p] === 3) end = p;
+                }
+                const energy = best / 100;
+                const hairpinLoop = stem.structure.match(/\(\.+\)/);
+                candidates.push({
+                    type: 'terminator',
+                    start: stemStart + 1,
+                    end: end + 1,
+                    stemEnd: stemEnd + 1,
+                    sequence: rna.substring(stemStart, end + 1),
+                    structure: stem.structure + '.'.repeat(end - stemEnd),
+                    energy,
+                    stemLength: stem.pairs.length,
+                    loopSize: hairpinLoop ? hairpinLoop[0].length - 2 : 0,
+                    tailScore: Math.round(tail * 100) / 100,
+                    confidence: Math.round((0.5 * Math.min(1, -energy / 15) + 0.5 * Math.min(1, tail / 5)) * 1000) / 1000
+                });
+            }
+            if (windowEnd === n) break;
+        }
+
+        // Keep the most convincing of overlapping candidates
+        const kept = [];
+        candidates
+            .sort((a, b) => b.confidence - a.confidence || a.energy - b.energy)
+            .forEach(candidate => {
+                if (!kept.some(other => candidate.start <= other.end && candidate.end >= other.start)) {
+                    kept.push(candidate);
+                }
+            });
+        return kept.sort((a, b) => a.start - b.start);
+    }
+}
+
+// Export for Node.js and browser compatibility
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RNAFolder;
+}
+if (typeof window !== 'undefined') {
+    window.RNAFolder = RNAFolder;
+}
@@ -0,0 +1,670 @@
+/**
+ * RNAGeneFinder - tRNA, rRNA and CRISPR array detection for bacterial genomes
+ *
+ * tRNAs: candidates are built around the conserved T-arm (5 bp stem, TΨCRA loop) and must close
+ * a cloverleaf with the acceptor, D and anticodon stems at their canonical spacings; class II
+ * tRNAs with a long variable arm are allowed. The anticodon (positions 34-36) gives the amino acid.
+ * rRNAs: the bundled profile models are the universally conserved blocks of bacterial 16S and 23S
+ * rRNA (the binding sites of the universal amplification primers) with their E. coli coordinates;
+ * co-linear block hits at model spacing locate a gene. 5S rRNA is located by local alignment to
+ * the E. coli 5S sequence downstream of each 23S gene, where it sits in bacterial rrn operons.
+ * CRISPR arrays: direct repeats of 23-47 bp separated by unique spacers of 26-72 bp (as in CRT).
+ */
+
+class RNAGeneFinder {
+
+    /**
+     * Default options
+     */
+    static get DEFAULT_OPTIONS() {
+        return {
+            types: ['tRNA', 'rRNA', 'CRISPR'],
+            tRNAMinScore: 36,         // cloverleaf score (max 48)
+            tRNAMaxEnergy: -12,       // kcal/mol of the cloverleaf fold
+            rRNAMaxMismatches: 2,     // per conserved block
+            fiveSMinIdentity: 60,     // % identity to E. coli 5S rRNA
+            crisprMinRepeats: 3,
+            crisprRepeatLength: [23, 47],
+            crisprSpacerLength: [26, 72],
+            locusTagPrefix: 'RNA'
+        };
+    }
+
+    /**
+     * Profile models: conserved blocks with their start in the E. coli gene (1-based)
+     */
+    static get RRNA_MODELS() {
+        return [
+            {
+                type: '16S',
+                product: '16S ribosomal RNA',
+                length: 1542,
+                minBlocks: 3,
+                blocks: [
+                    { name: '8-27', sequence: 'AGAGTTTGATCMTGGCTCAG', position: 8 },
+                    { name: '338-357', sequence: 'ACTCCTACGGGAGGCAGCAG', position: 338 },
+                    { name: '515-533', sequence: 'GTGYCAGCMGCCGCGGTAA', position: 515 },
+                    { name: '787-806', sequence: 'ATTAGAWACCCBNGTAGTCC', position: 787 },
+                    { name: '907-926', sequence: 'AAACTYAAAKGAATTGRCGG', position: 907 },
+                    { name: '1099-1114', sequence: 'GCAACGAGCGCAACCC', position: 1099 },
+                    { name: '1378-1392', sequence: 'GYACACACCGCCCGT', position: 1378 },
+                    { name: '1492-1510', sequence: 'AAGTCGTAACAAGGTAACC', position: 1492 }
+                ]
+            },
+            {
+                type: '23S',
+                product: '23S ribosomal RNA',
+                length: 2904,
+                minBlocks: 2,
+                blocks: [
+                    { name: '115-129', sequence: 'CYGAATGGGGVAACC', position: 115 },
+                    { name: '2225-2241', sequence: 'AGTTTDACTGGGGCGGT', position: 2225 },
+                    { name: 'sarcin-ricin loop', sequence: 'AGTACGAGAGGACCG', position: 2653 }
+                ]
+            }
+        ];
+    }
+
+    /**
+     * E. coli 5S rRNA (rrfB) used to locate 5S genes downstream of 23S genes
+     */
+    static get FIVE_S_REFERENCE() {
+        return 'TGCCTGGCGGCCGTAGCGCGGTGGTCCCACCTGACCCCATGCCGAACTCAGAAGTGAAACGCCGTAGCGCCGATGGTAGTGTGGGGTCTCCCCATGCGAGAGTAGGGAACTGCCAGGCAT';
+    }
+
+    static get IUPAC() {
+        return {
+            A: 'A', C: 'C', G: 'G', T: 'T', R: 'AG', Y: 'CT', S: 'CG', W: 'AT', K: 'GT', M: 'AC',
+            B: 'CGT', D: 'AGT', H: 'ACT', V: 'ACG', N: 'ACGT'
+        };
+    }
+
+    /**
+     * Amino acid of each codon (standard code, TCAG order) and the tRNA gene letters
+     */
+    static get AMINO_ACIDS() {
+        return {
+            F: 'Phe', L: 'Leu', S: 'Ser', Y: 'Tyr', C: 'Cys', W: 'Trp', P: 'Pro', H: 'His', Q: 'Gln',
+            R: 'Arg', I: 'Ile', M: 'Met', T: 'Thr', N: 'Asn', K: 'Lys', V: 'Val', A: 'Ala', D: 'Asp',
+            E: 'Glu', G: 'Gly'
+        };
+    }
+
+    /**
+     * Find tRNA, rRNA and CRISPR features
+     * @param {Object} sequences - { chromosome: sequence }
+     * @param {Object} options - See DEFAULT_OPTIONS
+     * @param {Function} onProgress - Optional progress callback (message)
+     * @returns {Object} { features: { chromosome: [features] }, counts: { tRNA, rRNA, CRISPR } }
+     */
+    static find(sequences, options = {}, onProgress = null) {
+        const settings = { ...this.DEFAULT_OPTIONS, ...options };
+        const features = {};
+        const counts = { tRNA: 0, rRNA: 0, CRISPR: 0 };
+        // Numbered per kind, so searching one kind again does not reuse the tags of another
+        const numbers = { tRNA: 0, rRNA: 0, CRISPR: 0 };
+        const locusTag = feature => {
+            const kind = feature.type === 'repeat_region' ? 'CRISPR' : feature.type;
+            return `${settings.locusTagPrefix}_${kind}${String(++numbers[kind]).padStart(3, '0')}`;
+        };
+
+        Object.entries(sequences).forEach(([chromosome, raw]) => {
+            const sequence = String(raw).toUpperCase().replace(/U/g, 'T');
+            const found = [];
+            if (settings.types.includes('tRNA')) {
+                onProgress?.(`${chromosome}: searching tRNAs`);
+                const tRNAs = this.findTRNAs(sequence, settings);
+                counts.tRNA += tRNAs.length;
+                found.push(...tRNAs);
+            }
+            if (settings.types.includes('rRNA')) {
+                onProgress?.(`${chromosome}: searching rRNAs`);
+                const rRNAs = this.findRRNAs(sequence, settings);
+                counts.rRNA += rRNAs.length;
+                found.push(...rRNAs);
+            }
+            if (settings.types.includes('CRISPR')) {
+                onProgress?.(`${chromosome}: searching CRISPR arrays`);
+                const arrays = this.findCRISPRs(sequence, settings);
+                counts.CRISPR += arrays.length;
+                found.push(...arrays);
+            }
+
+            features[chromosome] = found
+                .sort((a, b) => a.start - b.start)
+                .map(feature => ({
+                    ...feature,
+                    chromosome,
+                    source: 'RNAGeneFinder',
+                    qualifiers: { locus_tag: locusTag(feature), ...feature.qualifiers }
+                }));
+        });
+
+        return { features, counts };
+    }
+
+    /* --------------------------------------------------------- */
+    /*  tRNA                                                    */
+    /* --------------------------------------------------------- */
+
+    static pairs(a, b) {
+        const pair = a + b;
+        return pair === 'GC' || pair === 'CG' || pair === 'AT' || pair === 'TA' || pair === 'GT' || pair === 'TG';
+    }
+
+    /**
+     * Number of paired positions of a stem from 5' position i and 3' position j inwards
+     */
+    static stemPairs(sequence, i, j, length) {
+        let count = 0;
+        for (let k = 0; k < length; k++) {
+            if (this.pairs(sequence[i + k], sequence[j - k])) count++;
+        }
+        return count;
+    }
+
+    /**
+     * tRNA genes on both strands
+     * @param {string} sequence - DNA sequence (uppercase)
+     * @param {Object} options - tRNAMinScore, tRNAMaxEnergy
+     * @returns {Array} tRNA features (1-based), the best of overlapping candidates
+     */
+    static findTRNAs(sequence, options = {}) {
+        const settings = { ...this.DEFAULT_OPTIONS, ...options };
+        const n = sequence.length;
+        const candidates = [];
+
+        [1, -1].forEach(strand => {
+            const strandSequence = strand === 1 ? sequence : this.reverseComplement(sequence);
+            this.scanCloverleaves(strandSequence, settings).forEach(candidate => {
+                // Candidate positions are 0-based on the searched strand
+                const start = strand === 1 ? candidate.start + 1 : n - candidate.end;
+                const end = strand === 1 ? candidate.end + 1 : n - candidate.start;
+                const anticodonStart = strand === 1 ? candidate.anticodon + 1 : n - candidate.anticodon - 2;
+                candidates.push({ ...candidate, strand, start, end, anticodonStart });
+            });
+        });
+
+        return this.removeOverlaps(candidates).map(candidate => {
+            const location = candidate.strand === 1 ?
+                `${candidate.anticodonStart}..${candidate.anticodonStart + 2}` :
+                `complement(${candidate.anticodonStart}..${candidate.anticodonStart + 2})`;
+            return {
+                type: 'tRNA',
+                start: candidate.start,
+                end: candidate.end,
+                strand: candidate.strand,
+                score: candidate.score,
+                qualifiers: {
+                    gene: candidate.gene,
+                    product: `tRNA-${candidate.aminoAcid}`,
+                    anticodon: `(pos:${location},aa:${candidate.aminoAcid},seq:${candidate.anticodonSequence.toLowerCase()})`,
+                    inference: 'profile:RNAGeneFinder:cloverleaf',
+                    note: `cloverleaf score ${candidate.score}; ΔG ${candidate.energy.toFixed(1)} kcal/mol; ` +
+                        `${candidate.variableLength > 7 ? 'class II (long variable arm)' : 'class I'}; structure ${candidate.structure}`
+                }
+            };
+        });
+    }
+
+    /**
+     * Cloverleaf candidates on one strand
+     */
+    static scanCloverleaves(sequence, settings) {
+        const n = sequence.length;
+        const candidates = [];
+
+        // t: first base of the T-stem (position 49); the acceptor 3' strand follows the T-arm
+        for (let t = 44; t + 24 < n; t++) {
+            const tPairs = this.stemPairs(sequence, t, t + 16, 5);
+            if (tPairs < 4) continue;
+            const tLoop = sequence.substr(t + 5, 7);
+            const tLoopScore = (tLoop[0] === 'T') + (tLoop[1] === 'T') + (tLoop[2] === 'C') +
+                (tLoop[3] === 'A' || tLoop[3] === 'G') + (tLoop[4] === 'A');
+            if (tLoopScore < 3) continue;
+
+            let best = null;
+            // s: position 1; pos 1-7 pair with 72-66 (t + 23 .. t + 17)
+            for (let s = Math.max(0, t - 74); s <= t - 44; s++) {
+                const acceptorPairs = this.stemPairs(sequence, s, t + 23, 7);
+                if (acceptorPairs < 6) continue;
+
+                // a: position 27, first base of the anticodon stem
+                for (let a = s + 24; a <= s + 30; a++) {
+                    const variableLength = t - (a + 17);
+                    if (variableLength < 3 || variableLength > 24) continue;
+                    const acPairs = this.stemPairs(sequence, a, a + 16, 5);
+                    if (acPairs < 4) continue;
+
+                    // D-stem: positions 10-12(13) pair with 25-23(22), the D-loop is 4-12 nt
+                    const dArmLength = a - 1 - (s + 9);
+                    let dPairs = 0;
+                    let dStem = 0;
+                    [4, 3].forEach(stem => {
+                        const loop = dArmLength - 2 * stem;
+                        if (loop < 4 || loop > 12) return;
+                        const paired = this.stemPairs(sequence, s + 9, a - 2, stem);
+                        if (paired >= stem - 1 && paired * 4 / stem > dPairs) {
+                            dPairs = paired * 4 / stem;
+                            dStem = stem;
+                        }
+                    });
+                    if (dStem === 0) continue;
+
+                    const acLoop = sequence.substr(a + 5, 7);
+                    const score = 2 * acceptorPairs + 2 * tPairs + 2 * acPairs + 1.5 * dPairs + tLoopScore +
+                        (sequence[s + 7] === 'T') + (acLoop[1] === 'T') + (acLoop[5] === 'A' || acLoop[5] === 'G') -
+                        (variableLength > 5 && variableLength < 10 ? 2 : 0);
+                    if (score < settings.tRNAMinScore || (best && score <= best.score)) continue;
+
+                    best = { s, a, dStem, score, variableLength };
+                }
+            }
+            if (!best) continue;
+
+            const candidate = this.describeCloverleaf(sequence, t, best);
+            if (candidate && candidate.energy <= settings.tRNAMaxEnergy) {
+                candidates.push(candidate);
+            }
+        }
+        return candidates;
+    }
+
+    /**
+     * Structure, free energy and anticodon of a cloverleaf candidate
+     */
+    static describeCloverleaf(sequence, t, { s, a, dStem, score, variableLength }) {
+        let end = t + 24;  // discriminator base (position 73)
+        if (sequence.substr(end + 1, 3) === 'CCA') end += 3;
+        const tRNA = sequence.substring(s, end + 1);
+
+        // Dot-bracket of the four stems, paired positions only
+        const structure = new Array(tRNA.length).fill('.');
+        const stem = (i, j, length) => {
+            for (let k = 0; k < length; k++) {
+                if (this.pairs(sequence[i + k], sequence[j - k])) {
+                    structure[i + k - s] = '(';
+                    structure[j - k - s] = ')';
+                }
+            }
+        };
+        stem(s, t + 23, 7);
+        stem(s + 9, a - 2, dStem);
+        stem(a, a + 16, 5);
+        stem(t, t + 16, 5);
+        const dotBracket = structure.join('');
+
+        let energy = 0;
+        if (typeof RNAFolder !== 'undefined') {
+            try {
+                energy = RNAFolder.evaluate(tRNA, dotBracket);
+            } catch (error) {
+                return null;
+            }
+        }
+
+        const anticodonSequence = sequence.substr(a + 7, 3);
+        const aminoAcid = this.anticodonAminoAcid(anticodonSequence);
+        return {
+            start: s,
+            end,
+            anticodon: a + 7,
+            anticodonSequence,
+            aminoAcid: aminoAcid.name,
+            gene: aminoAcid.letter ? `trn${aminoAcid.letter}` : undefined,
+            score: Math.round(score * 10) / 10,
+            energy,
+            variableLength,
+            structure: dotBracket
+        };
+    }
+
+    /**
+     * Amino acid read by an anticodon: the codon is its reverse complement
+     * @returns {Object} { name, letter } ('SeC' for UCA, 'Sup' for other stop anticodons, 'Undet' with N)
+     */
+    static anticodonAminoAcid(anticodon) {
+        const codon = this.reverseComplement(anticodon);
+        if (!/^[ACGT]{3}$/.test(codon)) return { name: 'Undet', letter: null };
+        const bases = 'TCAG';
+        const index = bases.indexOf(codon[0]) * 16 + bases.indexOf(codon[1]) * 4 + bases.indexOf(codon[2]);
+        const letter = 'FFLLSSSSYY**CC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG'[index];
+        if (letter === '*') {
+            return codon === 'TGA' ? { name: 'SeC', letter: 'U' } : { name: 'Sup', letter: null };
+        }
+        return { name: this.AMINO_ACIDS[letter], letter };
+    }
+
+    /* --------------------------------------------------------- */
+    /*  rRNA                                                    */
+    /* --------------------------------------------------------- */
+
+    /**
+     * 16S, 23S and 5S rRNA genes on both strands
+     * @param {string} sequence - DNA sequence (uppercase)
+     * @param {Object} options - rRNAMaxMismatches, fiveSMinIdentity
+     * @returns {Array} rRNA features (1-based)
+     */
+    static findRRNAs(sequence, options = {}) {
+        const settings = { ...this.DEFAULT_OPTIONS, ...options };
+        const n = sequence.length;
+        const features = [];
+
+        [1, -1].forEach(strand => {
+            const strandSequence = strand === 1 ? sequence : this.reverseComplement(sequence);
+            const toFeature = (type, product, from, to, note) => ({
+                type: 'rRNA',
+                start: strand === 1 ? from + 1 : n - to,
+                end: strand === 1 ? to + 1 : n - from,
+                strand,
+                qualifiers: { product, inference: `profile:RNAGeneFinder:${type}`, note }
+            });
+
+            this.RRNA_MODELS.forEach(model => {
+                this.locateModel(strandSequence, model, settings.rRNAMaxMismatches).forEach(gene => {
+                    features.push(toFeature(model.type, model.product, gene.start, gene.end,
+                        `${gene.blocks.length} of ${model.blocks.length} conserved blocks (${gene.blocks.join(', ')}); ` +
+                        'ends extrapolated from the E. coli gene'));
+
+                    if (model.type === '23S') {
+                        const fiveS = this.locateFiveS(strandSequence, gene.end + 1, settings.fiveSMinIdentity);
+                        if (fiveS) {
+                            features.push(toFeature('5S', '5S ribosomal RNA', fiveS.start, fiveS.end,
+                                `${fiveS.identity}% identity to E. coli 5S rRNA over ${fiveS.length} nt`));
+                        }
+                    }
+                });
+            });
+        });
+        return features;
+    }
+
+    /**
+     * Genes of one profile model on one strand: clusters of block hits that agree on the gene start
+     */
+    static locateModel(sequence, model, maxMismatches) {
+        const hits = [];
+        model.blocks.forEach(block => {
+            this.findApproximate(sequence, block.sequence, maxMismatches).forEach(position => {
+                hits.push({ block, position, geneStart: position - (block.position - 1) });
+            });
+        });
+        hits.sort((a, b) => a.geneStart - b.geneStart);
+
+        // Insertions and deletions shift the extrapolated start, so blocks may disagree by 15% of the gene
+        const tolerance = Math.round(model.length * 0.15);
+        const genes = [];
+        let cluster = [];
+        const flush = () => {
+            const byBlock = new Map();
+            cluster.forEach(hit => {
+                if (!byBlock.has(hit.block)) byBlock.set(hit.block, hit);
+            });
+            if (byBlock.size >= model.minBlocks) {
+                const ordered = [...byBlock.values()].sort((a, b) => a.block.position - b.block.position);
+                const first = ordered[0];
+                const last = ordered[ordered.length - 1];
+                genes.push({
+                    start: Math.max(0, first.position - (first.block.position - 1)),
+                    end: Math.min(sequence.length - 1, last.position + (model.length - last.block.position)),
+                    blocks: ordered.map(hit => hit.block.name)
+                });
+            }
+            cluster = [];
+        };
+        hits.forEach(hit => {
+            if (cluster.length > 0 && hit.geneStart - cluster[0].geneStart > tolerance) flush();
+            cluster.push(hit);
+        });
+        flush();
+        return genes;
+    }
+
+    /**
+     * Start positions (0-based) of a degenerate (IUPAC) pattern with at most maxMismatches mismatches.
+     * The pattern is cut into maxMismatches + 1 parts, one of which must match exactly.
+     */
+    static findApproximate(sequence, pattern, maxMismatches) {
+        const iupac = this.IUPAC;
+        const parts = maxMismatches + 1;
+        const partLength = Math.floor(pattern.length / parts);
+        const starts = new Set();
+
+        for (let p = 0; p < parts; p++) {
+            const offset = p * partLength;
+            const part = pattern.substring(offset, p === parts - 1 ? pattern.length : offset + partLength);
+            const regex = new RegExp(part.split('').map(base => iupac[base].length > 1 ? `[${iupac[base]}]` : base).join(''), 'g');
+            let match;
+            while ((match = regex.exec(sequence)) !== null) {
+                const start = match.index - offset;
+                regex.lastIndex = match.index + 1;
+                if (start < 0 || start + pattern.length > sequence.length || starts.has(start)) continue;
+
+                let mismatches = 0;
+                for (let k = 0; k < pattern.length && mismatches <= maxMismatches; k++) {
+                    if (!iupac[pattern[k]].includes(sequence[start + k])) mismatches++;
+                }
+                if (mismatches <= maxMismatches) starts.add(start);
+            }
+        }
+        return [...starts].sort((a, b) => a - b);
+    }
+
+    /**
+     * 5S rRNA within 500 bp after a 23S gene, by local alignment to the E. coli 5S gene
+     */
+    static locateFiveS(sequence, from, minIdentity) {
+        if (typeof PairwiseAligner === 'undefined' || from >= sequence.length) return null;
+        const window = sequence.substring(from, from + 500);
+        if (window.length < 80) return null;
+
+        const alignment = PairwiseAligner.align(this.FIVE_S_REFERENCE, window, { mode: 'local', matrix: 'DNA' });
+        if (alignment.length < 80 || alignment.identity < minIdentity) return null;
+
+        // Extend the aligned part to the full reference length
+        const reference = this.FIVE_S_REFERENCE.length;
+        return {
+            start: Math.max(0, from + alignment.hitRange.from - 1 - (alignment.queryRange.from - 1)),
+            end: Math.min(sequence.length - 1, from + alignment.hitRange.to - 1 + (reference - alignment.queryRange.to)),
+            identity: alignment.identity,
+            length: alignment.length
+        };
+    }
+
+    /* --------------------------------------------------------- */
+    /*  CRISPR                                                  */
+    /* --------------------------------------------------------- */
+
+    /**
+     * CRISPR arrays: runs of at least crisprMinRepeats direct repeats with unique spacers
+     * @param {string} sequence - DNA sequence (uppercase)
+     * @param {Object} options - crisprMinRepeats, crisprRepeatLength [min, max], crisprSpacerLength [min, max]
+     * @returns {Array} repeat_region features with the consensus repeat, repeats and spacers
+     */
+    static findCRISPRs(sequence, options = {}) {
+        const settings = { ...this.DEFAULT_OPTIONS, ...options };
+        const [minRepeat, maxRepeat] = settings.crisprRepeatLength;
+        const [minSpacer, maxSpacer] = settings.crisprSpacerLength;
+        const minPeriod = minRepeat + minSpacer;
+        const maxPeriod = maxRepeat + maxSpacer;
+        const seedLength = 8;
+        const n = sequence.length;
+        const codes = { A: 0, C: 1, G: 2, T: 3 };
+
+        // Link every 8-mer to its previous occurrence when that lies one repeat period upstream
+        const last = new Int32Array(1 << (2 * seedLength)).fill(-1);
+        const chain = new Int32Array(n).fill(0);
+        const arrays = [];
+        let code = 0;
+        let valid = 0;
+        let skipUntil = 0;
+        for (let j = 0; j < n; j++) {
+            const base = codes[sequence[j]];
+            if (base === undefined) {
+                valid = 0;
+                continue;
+            }
+            code = ((code << 2) | base) & ((1 << (2 * seedLength)) - 1);
+            if (++valid < seedLength) continue;
+
+            const seedStart = j - seedLength + 1;
+            const previous = last[code];
+            last[code] = seedStart;
+            const distance = seedStart - previous;
+            chain[seedStart] = previous >= 0 && distance >= minPeriod && distance <= maxPeriod ? chain[previous] + 1 : 0;
+
+            // Verify once the seed has occurred crisprMinRepeats times and no array covers it yet
+            if (chain[seedStart] + 1 >= settings.crisprMinRepeats && seedStart >= skipUntil) {
+                const array = this.extendCRISPR(sequence, seedStart, seedLength, settings);
+                if (array) {
+                    arrays.push(array);
+                    skipUntil = array.end;
+                }
+            }
+        }
+
+        return arrays.map(array => ({
+            type: 'repeat_region',
+            start: array.start,
+            end: array.end,
+            strand: 1,
+            qualifiers: {
+                rpt_family: 'CRISPR',
+                rpt_type: 'direct',
+                rpt_unit_seq: array.repeat.toLowerCase(),
+                inference: 'profile:RNAGeneFinder:CRISPR',
+                note: `CRISPR array: ${array.repeats.length} repeats of ${array.repeat.length} bp, ` +
+                    `${array.spacers.length} spacers (${Math.min(...array.spacers.map(s => s.length))}-${Math.max(...array.spacers.map(s => s.length))} bp)`
+            },
+            repeats: array.repeats,
+            spacers: array.spacers
+        }));
+    }
+
+    /**
+     * Grow a CRISPR array from the seed occurrences ending at seedStart: extend the repeat over the
+     * columns where at least 75% of the copies agree, then walk the array in both directions
+     * @returns {Object|null} { start, end (1-based), repeat, repeats: [{ start, sequence }], spacers: [...] }
+     */
+    static extendCRISPR(sequence, seedStart, seedLength, settings) {
+        const [minRepeat, maxRepeat] = settings.crisprRepeatLength;
+        const [minSpacer, maxSpacer] = settings.crisprSpacerLength;
+        const minPeriod = minRepeat + minSpacer;
+        const maxPeriod = maxRepeat + maxSpacer;
+
+        // Seed occurrences one period apart, upstream and downstream of the seed
+        const seeds = [seedStart];
+        const seed = sequence.substr(seedStart, seedLength);
+        for (let position = seedStart; ;) {
+            const from = Math.max(0, position - maxPeriod);
+            const found = sequence.substring(from, position - minPeriod + seedLength).lastIndexOf(seed);
+            if (found < 0) break;
+            position = from + found;
+            seeds.unshift(position);
+        }
+        for (let position = seedStart; ;) {
+            const from = position + minPeriod;
+            const found = sequence.substring(from, position + maxPeriod + seedLength).indexOf(seed);
+            if (found < 0) break;
+            position = from + found;
+            seeds.push(position);
+        }
+        if (seeds.length < settings.crisprMinRepeats) return null;
+
+        const agree = offset => {
+            const counts = {};
+            let best = 0;
+            seeds.forEach(p => {
+                const base = sequence[p + offset];
+                if (!base) return;
+                counts[base] = (counts[base] || 0) + 1;
+                best = Math.max(best, counts[base]);
+            });
+            return best >= Math.ceil(seeds.length * 0.75);
+        };
+        const minGap = Math.min(...seeds.slice(1).map((p, i) => p - seeds[i]));
+        let left = 0;
+        while (left < maxRepeat && seeds[0] - left - 1 >= 0 && agree(-left - 1)) left++;
+        let right = seedLength;
+        while (left + right < maxRepeat && right < minGap - minSpacer && agree(right)) right++;
+        const repeatLength = left + right;
+        if (repeatLength < minRepeat || repeatLength > maxRepeat) return null;
+
+        const repeatStarts = seeds.map(p => p - left);
+        const repeat = Array.from({ length: repeatLength }, (_, k) => {
+            const counts = {};
+            repeatStarts.forEach(p => { counts[sequence[p + k]] = (counts[sequence[p + k]] || 0) + 1; });
+            return Object.entries(counts).sort((a, b) => b[1] - a[1])[0][0];
+        }).join('');
+
+        const repeats = repeatStarts.map(p => ({ start: p + 1, sequence: sequence.substr(p, repeatLength) }));
+        const spacers = repeatStarts.slice(1).map((p, i) => {
+            const from = repeatStarts[i] + repeatLength;
+            return { start: from + 1, sequence: sequence.substring(from, p), length: p - from };
+        });
+
+        // Spacers must have CRISPR lengths and differ from each other and from the repeat
+        if (spacers.some(spacer => spacer.length < minSpacer || spacer.length > maxSpacer)) return null;
+        if (Math.max(...spacers.map(s => s.length)) - Math.min(...spacers.map(s => s.length)) > 30) return null;
+        for (let i = 0; i < spacers.length; i++) {
+            if (this.similarity(spacers[i].sequence, repeat) > 0.62) return null;
+            if (i > 0 && this.similarity(spacers[i].sequence, spacers[i - 1].sequence) > 0.62) return null;
+        }
+
+        return {
+            start: repeatStarts[0] + 1,
+            end: repeatStarts[repeatStarts.length - 1] + repeatLength,
+            repeat,
+            repeats,
+            spacers
+        };
+    }
+
+    /**
+     * Fraction of identical positions over the shorter sequence (ungapped, left-aligned)
+     */
+    static similarity(a, b) {
+        const length = Math.min(a.length, b.length);
+        let same = 0;
+        for (let k = 0; k < length; k++) {
+            if (a[k] === b[k]) same++;
+        }
+        return length > 0 ? same / length : 0;
+    }
+
+    /* --------------------------------------------------------- */
+    /*  UTILITIES                                               */
+    /* --------------------------------------------------------- */
+
+    /**
+     * Keep the highest-scoring of overlapping candidates (on either strand)
+     */
+    static removeOverlaps(candidates) {
+        const kept = [];
+        [...candidates]
+            .sort((a, b) => b.score - a.score)
+            .forEach(candidate => {
+                if (!kept.some(other => candidate.start <= other.end && candidate.end >= other.start)) {
+                    kept.push(candidate);
+                }
+            });
+        return kept.sort((a, b) => a.start - b.start);
+    }
+
+    static reverseComplement(sequence) {
+        const complement = { A: 'T', T: 'A', G: 'C', C: 'G', N: 'N' };
+        let result = '';
+        for (let i = sequence.length - 1; i >= 0; i--) {
+            result += complement[sequence[i]] || 'N';
+        }
+        return result;
+    }
+}
+
+// Export for Node.js and browser compatibility
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RNAGeneFinder;
+}
+if (typeof window !== 'undefined') {
+    window.RNAGeneFinder = RNAGeneFinder;
+}
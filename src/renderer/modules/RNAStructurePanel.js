@@ -0,0 +1,450 @@
+/**
+ * RNAStructurePanel - Dialog for folding a sequence, selection or feature with RNAFolder
+ * and drawing the minimum free energy structure as a planar or arc diagram
+ */
+
+class RNAStructurePanel {
+    constructor(genomeBrowser) {
+        this.genomeBrowser = genomeBrowser;
+        this.lastResult = null;
+        this.view = 'planar';
+    }
+
+    /**
+     * Show the dialog
+     * @param {string} sequence - Optional sequence to fold right away
+     * @param {string} label - Name of the sequence
+     */
+    show(sequence = null, label = null) {
+        let modal = document.getElementById('rnaFoldModal');
+        if (!modal) {
+            modal = this.createModal();
+            document.body.appendChild(modal);
+        }
+
+        if (sequence) {
+            modal.querySelector('.rna-fold-input').value = sequence;
+            modal.querySelector('.rna-fold-label').value = label || '';
+            modal.querySelector('.rna-fold-reverse').checked = false;
+        }
+        modal.classList.add('show');
+        if (sequence) {
+            this.run(modal);
+        }
+    }
+
+    /**
+     * Fold the selected gene, the manually selected bases or, without a selection, the current view
+     */
+    async foldSelection() {
+        const gb = this.genomeBrowser;
+        const chromosome = document.getElementById('chromosomeSelect')?.value || gb.currentChromosome;
+        if (!chromosome || !gb.currentSequence || !gb.currentSequence[chromosome]) {
+            gb.showNotification('Load a genome first', 'warning');
+            return;
+        }
+
+        if (gb.sequenceSelection?.active && gb.sequenceSelection.source === 'gene' && gb.selectedGene?.gene) {
+            await this.foldFeature(chromosome, gb.selectedGene.gene);
+            return;
+        }
+
+        // Gene and ruler selections are 1-based, bases selected in the sequence view 0-based
+        let start;
+        let end;
+        if (gb.sequenceSelection?.active) {
+            start = gb.sequenceSelection.start;
+            end = gb.sequenceSelection.end;
+        } else if (gb.currentSequenceSelection && gb.currentSequenceSelection.chromosome === chromosome) {
+            start = gb.currentSequenceSelection.start + 1;
+            end = gb.currentSequenceSelection.end + 1;
+        } else {
+            start = Math.max(1, gb.currentPosition.start);
+            end = Math.min(gb.currentSequence[chromosome].length, gb.currentPosition.end);
+        }
+
+        if (end - start + 1 > RNAFolder.MAX_LENGTH) {
+            gb.showNotification(`Select at most ${RNAFolder.MAX_LENGTH} nt to fold (${(end - start + 1).toLocaleString()} nt selected)`, 'warning');
+            return;
+        }
+        try {
+            const sequence = await gb.getSequenceForRegion(chromosome, start, end);
+            this.show(sequence, `${chromosome}:${start}-${end}`);
+        } catch (error) {
+            gb.showNotification(`Could not read the sequence: ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Fold an annotated feature in its own orientation
+     * @param {string} chromosome - Chromosome of the feature
+     * @param {Object} feature - Annotation feature (1-based start/end)
+     */
+    async foldFeature(chromosome, feature) {
+        const length = feature.end - feature.start + 1;
+        if (length > RNAFolder.MAX_LENGTH) {
+            this.genomeBrowser.showNotification(`Feature is ${length.toLocaleString()} nt; at most ${RNAFolder.MAX_LENGTH} nt can be folded`, 'warning');
+            return;
+        }
+        const qualifiers = feature.qualifiers || {};
+        const name = this.genomeBrowser.getQualifierValue(qualifiers, 'gene') ||
+            this.genomeBrowser.getQualifierValue(qualifiers, 'locus_tag') || feature.type;
+        const strand = feature.strand === -1 || feature.strand === '-' ? '-' : '+';
+        try {
+            const sequence = await MicrobeGenomicsFunctions.getFeatureSequence(chromosome, feature);
+            this.show(sequence, `${name} ${chromosome}:${feature.start}-${feature.end}(${strand})`);
+        } catch (error) {
+            this.genomeBrowser.showNotification(`Could not read the sequence: ${error.message}`, 'error');
+        }
+    }
+
+    createModal() {
+        const modal = document.createElement('div');
+        modal.id = 'rnaFoldModal';
+        modal.className = 'modal';
+        modal.innerHTML = `
+            <div class="modal-content rna-fold-modal">
+                <div class="modal-header">
+                    <h3><i class="fas fa-project-diagram"></i> RNA Secondary Structure</h3>
+                    <button class="modal-close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <textarea class="rna-fold-input" rows="4" spellcheck="false"
+                        placeholder="Paste an RNA or DNA sequence (raw or FASTA, at most ${RNAFolder.MAX_LENGTH} nt)"></textarea>
+                    <div class="rna-fold-options">
+                        <label>Name <input type="text" class="rna-fold-label"></label>
+                        <label><input type="checkbox" class="rna-fold-reverse"> Reverse complement</label>
+                        <label>View
+                            <select class="rna-fold-view">
+                                <option value="planar">Planar</option>
+                                <option value="arc">Arc</option>
+                            </select>
+                        </label>
+                    </div>
+                    <div class="rna-fold-summary"></div>
+                    <pre class="rna-fold-structure"></pre>
+                    <div class="rna-fold-diagram"></div>
+                </div>
+                <div class="modal-footer">
+                    <button class="btn btn-primary rna-fold-run"><i class="fas fa-play"></i> Fold</button>
+                    <button class="btn rna-fold-copy"><i class="fas fa-copy"></i> Copy Structure</button>
+                    <button class="btn rna-fold-export"><i class="fas fa-download"></i> Export SVG</button>
+                    <button class="btn modal-close">Close</button>
+                </div>
+            </div>
+        `;
+
+        const style = document.createElement('style');
+        style.textContent = `
+            .rna-fold-modal {
+                width: 90%;
+                max-width: 900px;
+                max-height: 90vh;
+                overflow-y: auto;
+            }
+
+            .rna-fold-input {
+                width: 100%;
+                box-sizing: border-box;
+                font-family: monospace;
+                font-size: 12px;
+                resize: vertical;
+            }
+
+            .rna-fold-options {
+                display: flex;
+                flex-wrap: wrap;
+                gap: 12px;
+                margin: 12px 0;
+                font-size: 13px;
+            }
+
+            .rna-fold-summary {
+                font-size: 13px;
+                margin-bottom: 8px;
+            }
+
+            .rna-fold-structure {
+                font-family: monospace;
+                font-size: 12px;
+                white-space: pre-wrap;
+                word-break: break-all;
+                margin: 0 0 8px 0;
+            }
+
+            .rna-fold-diagram svg {
+                width: 100%;
+                max-height: 60vh;
+                border: 1px solid #e5e7eb;
+                background: #fff;
+            }
+        `;
+        document.head.appendChild(style);
+
+        modal.querySelector('.rna-fold-run').addEventListener('click', () => this.run(modal));
+        modal.querySelector('.rna-fold-copy').addEventListener('click', () => this.copyResult());
+        modal.querySelector('.rna-fold-export').addEventListener('click', () => this.exportSVG(modal));
+        modal.querySelector('.rna-fold-view').addEventListener('change', (e) => {
+            this.view = e.target.value;
+            this.drawDiagram(modal);
+        });
+
+        modal.addEventListener('click', (e) => {
+            if (e.target.classList.contains('modal-close')) {
+                modal.classList.remove('show');
+            }
+        });
+
+        return modal;
+    }
+
+    async run(modal) {
+        const summary = modal.querySelector('.rna-fold-summary');
+        const structure = modal.querySelector('.rna-fold-structure');
+        const text = modal.querySelector('.rna-fold-input').value.trim();
+        const header = /^>(\S*)/.exec(text);
+        let sequence = text.replace(/^>.*$/gm, '').replace(/\s+/g, '');
+        if (modal.querySelector('.rna-fold-reverse').checked) {
+            sequence = MicrobeGenomicsFunctions.reverseComplement(sequence.toUpperCase().replace(/U/g, 'T'));
+        }
+        const label = modal.querySelector('.rna-fold-label').value.trim() || (header && header[1]) || `sequence (${sequence.length})`;
+
+        try {
+            if (!sequence) {
+                throw new Error('Enter a sequence to fold');
+            }
+            summary.textContent = 'Folding...';
+            structure.textContent = '';
+            // Let the status paint before the synchronous fold
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            const result = RNAFolder.fold(sequence);
+            this.lastResult = { ...result, label };
+            summary.textContent = `${label}: ${result.sequence.length} nt, ${result.pairs.length} base pairs, ` +
+                `ΔG = ${result.energy.toFixed(2)} kcal/mol`;
+            structure.textContent = `${result.sequence}\n${result.structure}`;
+            this.drawDiagram(modal);
+            console.log(`🧬 Folded ${label}: ${result.structure} (${result.energy.toFixed(2)} kcal/mol)`);
+        } catch (error) {
+            this.lastResult = null;
+            summary.textContent = '';
+            structure.textContent = '';
+            modal.querySelector('.rna-fold-diagram').innerHTML = '';
+            this.genomeBrowser.showNotification(`Folding failed: ${error.message}`, 'error');
+        }
+    }
+
+    drawDiagram(modal) {
+        const container = modal.querySelector('.rna-fold-diagram');
+        container.innerHTML = '';
+        if (!this.lastResult) return;
+        container.appendChild(this.view === 'arc' ?
+            this.createArcDiagram(this.lastResult) :
+            this.createPlanarDiagram(this.lastResult));
+    }
+
+    /**
+     * Base coordinates of the planar layout: loops as regular polygons, helices as ladders
+     * (the simple layout of ViennaRNA's RNAplot)
+     * @param {string} structure - Dot-bracket structure
+     * @returns {Array} [{ x, y }] per base, one unit between neighbouring bases
+     */
+    static layout(structure) {
+        const n = structure.length;
+        const pairTable = new Array(n + 2).fill(0);  // 1-based, 0 = unpaired
+        const open = [];
+        for (let i = 0; i < n; i++) {
+            if (structure[i] === '(') {
+                open.push(i + 1);
+            } else if (structure[i] === ')') {
+                const partner = open.pop();
+                pairTable[i + 1] = partner;
+                pairTable[partner] = i + 1;
+            }
+        }
+        pairTable[0] = n;
+
+        const angle = new Array(n + 5).fill(0);
+        const loop = (i, j) => {
+            let count = 2;
+            const remember = [];
+            const first = i - 1;
+            j++;
+            while (i !== j) {
+                const partner = pairTable[i];
+                if (!partner || i === 0) {
+                    i++;
+                    count++;
+                    continue;
+                }
+                count += 2;
+                let k = i;
+                let l = partner;
+                remember.push(k, l);
+                i = partner + 1;
+
+                const startK = k;
+                const startL = l;
+                let ladder = 0;
+                do {
+                    k++;
+                    l--;
+                    ladder++;
+                } while (pairTable[k] === l && k < l);
+
+                let fill = ladder - 2;
+                if (ladder >= 2) {
+                    angle[startK + 1 + fill] += Math.PI / 2;
+                    angle[startL - 1 - fill] += Math.PI / 2;
+                    angle[startK] += Math.PI / 2;
+                    angle[startL] += Math.PI / 2;
+                    for (; fill >= 1; fill--) {
+                        angle[startK + fill] = Math.PI;
+                        angle[startL - fill] = Math.PI;
+                    }
+                }
+                loop(k, l);
+            }
+
+            // Bending angle of the loop polygon
+            const polygon = Math.PI * (count - 2) / count;
+            remember.push(j);
+            let begin = first < 0 ? 0 : first;
+            for (let v = 0; v < remember.length; v += 2) {
+                for (let p = begin; p <= remember[v]; p++) {
+                    angle[p] += polygon;
+                }
+                begin = remember[v + 1];
+            }
+        };
+        loop(0, n + 1);
+
+        const coordinates = [{ x: 0, y: 0 }];
+        let alpha = 0;
+        for (let i = 1; i < n; i++) {
+            const previous = coordinates[i - 1];
+            coordinates.push({ x: previous.x + Math.cos(alpha), y: previous.y + Math.sin(alpha) });
+            alpha += Math.PI - angle[i + 1];
+        }
+        return coordinates;
+    }
+
+    createPlanarDiagram(result) {
+        const unit = 16;
+        const points = RNAStructurePanel.layout(result.structure).map(p => ({ x: p.x * unit, y: p.y * unit }));
+        const xs = points.map(p => p.x);
+        const ys = points.map(p => p.y);
+        const margin = unit * 1.5;
+        const minX = Math.min(...xs) - margin;
+        const minY = Math.min(...ys) - margin;
+        const width = Math.max(...xs) - Math.min(...xs) + 2 * margin;
+        const height = Math.max(...ys) - Math.min(...ys) + 2 * margin;
+
+        const svg = this.createSVG(minX, minY, width, height);
+        const backbone = points.map((p, i) => `${i === 0 ? 'M' : 'L'}${p.x.toFixed(1)},${p.y.toFixed(1)}`).join(' ');
+        this.appendSVG(svg, 'path', { d: backbone, fill: 'none', stroke: '#9ca3af', 'stroke-width': 1.5 });
+        result.pairs.forEach(([i, j]) => {
+            this.appendSVG(svg, 'line', {
+                x1: points[i - 1].x, y1: points[i - 1].y, x2: points[j - 1].x, y2: points[j - 1].y,
+                stroke: '#374151', 'stroke-width': 2
+            });
+        });
+        this.appendBases(svg, result.sequence, points, unit * 0.42);
+        return svg;
+    }
+
+    createArcDiagram(result) {
+        const spacing = 12;
+        const n = result.sequence.length;
+        const maxSpan = result.pairs.reduce((max, [i, j]) => Math.max(max, j - i), 1);
+        const baseline = maxSpan * spacing / 2 + spacing * 2;
+        const points = Array.from({ length: n }, (_, i) => ({ x: (i + 1) * spacing, y: baseline }));
+
+        const svg = this.createSVG(0, 0, (n + 1) * spacing, baseline + spacing * 2.5);
+        this.appendSVG(svg, 'line', {
+            x1: spacing, y1: baseline, x2: n * spacing, y2: baseline, stroke: '#9ca3af', 'stroke-width': 1.5
+        });
+        result.pairs.forEach(([i, j]) => {
+            const radius = (j - i) * spacing / 2;
+            this.appendSVG(svg, 'path', {
+                d: `M${i * spacing},${baseline} A${radius},${radius} 0 0 1 ${j * spacing},${baseline}`,
+                fill: 'none', stroke: '#374151', 'stroke-width': 1.5
+            });
+        });
+        this.appendBases(svg, result.sequence, points, spacing * 0.42);
+        return svg;
+    }
+
+    createSVG(x, y, width, height) {
+        const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        svg.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+        svg.setAttribute('viewBox', `${x.toFixed(1)} ${y.toFixed(1)} ${width.toFixed(1)} ${height.toFixed(1)}`);
+        svg.setAttribute('preserveAspectRatio', 'xMidYMid meet');
+        return svg;
+    }
+
+    appendSVG(parent, tag, attributes) {
+        const element = document.createElementNS('http://www.w3.org/2000/svg', tag);
+        Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+        parent.appendChild(element);
+        return element;
+    }
+
+    /**
+     * Base circles with letters, and position numbers every 10 nt
+     */
+    appendBases(svg, sequence, points, radius) {
+        const colors = { A: '#fca5a5', C: '#93c5fd', G: '#86efac', U: '#fde68a' };
+        points.forEach((p, i) => {
+            const base = sequence[i];
+            const group = this.appendSVG(svg, 'g', {});
+            this.appendSVG(group, 'circle', {
+                cx: p.x, cy: p.y, r: radius, fill: colors[base] || '#e5e7eb', stroke: '#6b7280', 'stroke-width': 0.5
+            });
+            const letter = this.appendSVG(group, 'text', {
+                x: p.x, y: p.y, 'text-anchor': 'middle', 'dominant-baseline': 'central',
+                'font-family': 'monospace', 'font-size': radius * 1.3
+            });
+            letter.textContent = base;
+            const title = this.appendSVG(group, 'title', {});
+            title.textContent = `${base}${i + 1}`;
+
+            if ((i + 1) % 10 === 0) {
+                const number = this.appendSVG(svg, 'text', {
+                    x: p.x, y: p.y + radius * 2.6, 'text-anchor': 'middle', 'font-size': radius, fill: '#6b7280'
+                });
+                number.textContent = i + 1;
+            }
+        });
+    }
+
+    copyResult() {
+        if (!this.lastResult) {
+            this.genomeBrowser.showNotification('Fold a sequence first', 'warning');
+            return;
+        }
+        // Vienna RNAfold output format
+        const text = `>${this.lastResult.label}\n${this.lastResult.sequence}\n` +
+            `${this.lastResult.structure} (${this.lastResult.energy.toFixed(2)})\n`;
+        navigator.clipboard.writeText(text).then(() => {
+            this.genomeBrowser.showNotification('Structure copied to clipboard', 'success');
+        });
+    }
+
+    exportSVG(modal) {
+        const svg = modal.querySelector('.rna-fold-diagram svg');
+        if (!this.lastResult || !svg) {
+            this.genomeBrowser.showNotification('Fold a sequence first', 'warning');
+            return;
+        }
+        const filename = `${this.lastResult.label.replace(/[^\w.-]+/g, '_')}_${this.view}.svg`;
+        this.genomeBrowser.exportManager.downloadFile(new XMLSerializer().serializeToString(svg), filename, 'image/svg+xml');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RNAStructurePanel;
+} else if (typeof window !== 'undefined') {
+    window.RNAStructurePanel = RNAStructurePanel;
+}
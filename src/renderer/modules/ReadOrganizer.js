@@ -0,0 +1,295 @@
+/**
+ * ReadOrganizer - IGV-style grouping, sorting and coloring of aligned reads
+ *
+ * - group: strand, base at a position, haplotype (HP), read group (RG), sample (SM) or any tag
+ * - sort: rows are ordered by the read covering the sort position (base, strand, mapping
+ *   quality, insert size, start or tag value), like IGV's "sort at center line"
+ * - color: by strand or by tag value
+ *
+ * Works on converted reads and on pair items from ReadPairAnalyzer.pairReads.
+ */
+
+class ReadOrganizer {
+
+    /**
+     * Fixed colors for haplotype tags; other tag values get a palette color
+     */
+    static get HAPLOTYPE_COLORS() {
+        return { '1': '#1E88E5', '2': '#E53935', '3': '#43A047', '4': '#8E24AA' };
+    }
+
+    static get TAG_COLORS() {
+        return ['#1E88E5', '#E53935', '#43A047', '#8E24AA', '#FB8C00', '#00ACC1',
+                '#6D4C41', '#D81B60', '#7CB342', '#5E35B1', '#FDD835', '#546E7A'];
+    }
+
+    /**
+     * Grouping modes and the tag they read (if any)
+     */
+    static get GROUP_TAGS() {
+        return { haplotype: 'HP', readGroup: 'RG', sample: 'SM' };
+    }
+
+    /**
+     * Get the base of a read aligned to a reference position by walking its CIGAR
+     * @param {Object} read - Converted read (1-based start, cigar, sequence)
+     * @param {number} position - Reference position (1-based)
+     * @returns {string|null} Base, '-' for a deletion, or null if the read does not cover it
+     */
+    static getBaseAtPosition(read, position) {
+        if (!read.sequence || position < read.start || position > read.end) {
+            return null;
+        }
+
+        const cigar = read.cigar && read.cigar !== '*' ? read.cigar : `${read.sequence.length}M`;
+        const pattern = /(\d+)([MIDNSHP=X])/g;
+        let refPos = read.start;
+        let readPos = 0;
+        let match;
+        while ((match = pattern.exec(cigar)) !== null) {
+            const length = parseInt(match[1]);
+            const operation = match[2];
+            if (operation === 'M' || operation === '=' || operation === 'X') {
+                if (position < refPos + length) {
+                    return (read.sequence[readPos + position - refPos] || 'N').toUpperCase();
+                }
+                refPos += length;
+                readPos += length;
+            } else if (operation === 'D' || operation === 'N') {
+                if (position < refPos + length) {
+                    return operation === 'D' ? '-' : null;
+                }
+                refPos += length;
+            } else if (operation === 'I' || operation === 'S') {
+                readPos += length;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Get a tag value of a read; SM resolves through the read group of the BAM header
+     * @param {Object} read - Converted read
+     * @param {string} tag - Two-letter SAM tag
+     * @returns {string|null}
+     */
+    static getTagValue(read, tag) {
+        if (!tag) return null;
+        const tags = read.tags || {};
+        if (tags[tag] !== undefined && tags[tag] !== null) {
+            return String(tags[tag]);
+        }
+        if (tag === 'SM' && read.sample) {
+            return read.sample;
+        }
+        return null;
+    }
+
+    /**
+     * Get the tag read by a group or color mode
+     * @param {string} mode - Mode name ('tag', 'haplotype', 'readGroup', 'sample')
+     * @param {string} customTag - Tag for mode 'tag'
+     * @returns {string|null}
+     */
+    static getModeTag(mode, customTag) {
+        if (mode === 'tag') {
+            return (customTag || '').trim().toUpperCase() || null;
+        }
+        return this.GROUP_TAGS[mode] || null;
+    }
+
+    /**
+     * Reads of an item (a read or a pair item)
+     */
+    static getItemReads(item) {
+        return item.isPair ? item.reads : [item];
+    }
+
+    /**
+     * Read of an item that covers a position, falling back to its first read
+     */
+    static getItemReadAt(item, position) {
+        const reads = this.getItemReads(item);
+        return reads.find(read => read.start <= position && read.end >= position) || reads[0];
+    }
+
+    /**
+     * Group key of an item
+     * @param {Object} item - Read or pair item
+     * @param {Object} options - { groupBy, groupTag, position }
+     * @returns {string}
+     */
+    static getGroupKey(item, options) {
+        const read = this.getItemReadAt(item, options.position);
+        switch (options.groupBy) {
+            case 'strand':
+                return read.strand === '-' ? '-' : '+';
+            case 'base': {
+                const base = this.getBaseAtPosition(read, options.position);
+                return base === null ? '' : base;
+            }
+            default: {
+                const value = this.getTagValue(read, this.getModeTag(options.groupBy, options.groupTag));
+                return value === null ? '' : value;
+            }
+        }
+    }
+
+    /**
+     * Label shown for a group
+     */
+    static getGroupLabel(key, options) {
+        if (options.groupBy === 'strand') {
+            return key === '-' ? 'Reverse strand' : 'Forward strand';
+        }
+        if (options.groupBy === 'base') {
+            if (key === '') return 'Not covering';
+            return key === '-' ? `Deletion at ${options.position.toLocaleString()}` : `${key} at ${options.position.toLocaleString()}`;
+        }
+        const tag = this.getModeTag(options.groupBy, options.groupTag);
+        return key === '' ? `No ${tag}` : `${tag}: ${key}`;
+    }
+
+    /**
+     * Split items into ordered groups; items without a value come last
+     * @param {Array} items - Reads or pair items
+     * @param {Object} options - { groupBy, groupTag, position }
+     * @returns {Array} [{ key, label, items }]
+     */
+    static groupItems(items, options) {
+        if (!options.groupBy || options.groupBy === 'none') {
+            return [{ key: null, label: null, items }];
+        }
+
+        const groups = new Map();
+        items.forEach(item => {
+            const key = this.getGroupKey(item, options);
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(item);
+        });
+
+        const keys = [...groups.keys()].sort((a, b) => {
+            if (a === '') return 1;
+            if (b === '') return -1;
+            if (options.groupBy === 'strand') return a === '+' ? -1 : 1;
+            const numeric = parseFloat(a) - parseFloat(b);
+            return Number.isNaN(numeric) ? a.localeCompare(b) : numeric;
+        });
+        return keys.map(key => ({ key, label: this.getGroupLabel(key, options), items: groups.get(key) }));
+    }
+
+    /**
+     * Sort key of the read covering the sort position; lower sorts first
+     * @param {Object} read - Converted read covering the position
+     * @param {Object} options - { sortBy, sortTag, position, referenceBase }
+     * @returns {Array} Comparable key parts
+     */
+    static getSortKey(read, options) {
+        switch (options.sortBy) {
+            case 'base': {
+                // Bases differing from the reference first, then by base, then reads without a base
+                const base = this.getBaseAtPosition(read, options.position);
+                if (base === null) return [2, ''];
+                const matchesReference = options.referenceBase && base === options.referenceBase.toUpperCase();
+                return [matchesReference ? 1 : 0, base];
+            }
+            case 'strand':
+                return [read.strand === '-' ? 1 : 0];
+            case 'mappingQuality':
+                return [-(read.mappingQuality || 0)];
+            case 'insertSize':
+                return [-Math.abs(read.templateLength || 0)];
+            case 'tag': {
+                const value = this.getTagValue(read, (options.sortTag || '').trim().toUpperCase());
+                if (value === null) return [1, ''];
+                const numeric = parseFloat(value);
+                return Number.isNaN(numeric) ? [0, value] : [0, numeric];
+            }
+            case 'start':
+            default:
+                return [read.start];
+        }
+    }
+
+    static compareKeys(a, b) {
+        for (let i = 0; i < Math.max(a.length, b.length); i++) {
+            if (a[i] === b[i]) continue;
+            if (a[i] === undefined) return -1;
+            if (b[i] === undefined) return 1;
+            if (typeof a[i] === 'number' && typeof b[i] === 'number') return a[i] - b[i];
+            return String(a[i]).localeCompare(String(b[i]));
+        }
+        return 0;
+    }
+
+    /**
+     * Order packed rows by the item covering the sort position; rows without one keep
+     * their order below the sorted rows
+     * @param {Array} rows - Rows of reads or pair items
+     * @param {Object} options - { sortBy, sortTag, position, referenceBase }
+     * @returns {Array} Sorted rows (new array, rows themselves unchanged)
+     */
+    static sortRows(rows, options) {
+        if (!options.sortBy || options.sortBy === 'none') {
+            return rows;
+        }
+
+        const position = options.position;
+        const keyed = rows.map((row, index) => {
+            const item = row.find(candidate => candidate.start <= position && candidate.end >= position);
+            const read = item ? this.getItemReadAt(item, position) : null;
+            const covers = read && read.start <= position && read.end >= position;
+            return { row, index, key: covers ? this.getSortKey(read, options) : null };
+        });
+
+        keyed.sort((a, b) => {
+            if (a.key && b.key) return this.compareKeys(a.key, b.key) || a.index - b.index;
+            if (a.key) return -1;
+            if (b.key) return 1;
+            return a.index - b.index;
+        });
+        return keyed.map(entry => entry.row);
+    }
+
+    /**
+     * Color of a read for a color mode, or null to keep the default coloring
+     * @param {Object} read - Converted read
+     * @param {Object} options - { colorBy, colorTag, forwardColor, reverseColor }
+     * @returns {string|null}
+     */
+    static getReadColor(read, options) {
+        if (options.colorBy === 'strand') {
+            return read.strand === '-' ? (options.reverseColor || '#f39c12') : (options.forwardColor || '#00b894');
+        }
+        const tag = this.getModeTag(options.colorBy, options.colorTag);
+        if (!tag) {
+            return null;
+        }
+        return this.getTagColor(tag, this.getTagValue(read, tag));
+    }
+
+    /**
+     * Stable color for a tag value; reads without the tag are gray
+     */
+    static getTagColor(tag, value) {
+        if (value === null || value === undefined) {
+            return '#BDBDBD';
+        }
+        if (tag === 'HP' && this.HAPLOTYPE_COLORS[value]) {
+            return this.HAPLOTYPE_COLORS[value];
+        }
+        let hash = 0;
+        for (let i = 0; i < value.length; i++) {
+            hash = (hash * 31 + value.charCodeAt(i)) >>> 0;
+        }
+        return this.TAG_COLORS[hash % this.TAG_COLORS.length];
+    }
+}
+
+// Export for Node.js and browser compatibility
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReadOrganizer;
+}
+if (typeof window !== 'undefined') {
+    window.ReadOrganizer = ReadOrganizer;
+}
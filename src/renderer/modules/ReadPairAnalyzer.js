@@ -0,0 +1,268 @@
+/**
+ * ReadPairAnalyzer - Mate pairing and pair classification for paired-end reads
+ *
+ * Works on reads converted by BamReader / ReadsManager, which carry the SAM flags,
+ * template length and mate position (mateChromosome, mateStart). Pairs are classified
+ * the way IGV colours them:
+ * - insert size outliers (smaller / larger than the expected range)
+ * - pair orientation (FR, RF, FF, RR) different from the library's expected orientation
+ * - mates mapped to another chromosome, or not mapped at all
+ */
+
+class ReadPairAnalyzer {
+
+    /**
+     * Pair categories and their display colors; 'normal' pairs keep the strand colors
+     */
+    static get PAIR_COLORS() {
+        return {
+            'large-insert': '#E53935',
+            'small-insert': '#1E88E5',
+            'RF': '#43A047',
+            'FR': '#43A047',
+            'FF': '#00ACC1',
+            'RR': '#3949AB',
+            'mate-unmapped': '#9E9E9E'
+        };
+    }
+
+    /**
+     * Colors for mates on other chromosomes, picked per chromosome name
+     */
+    static get CHROMOSOME_COLORS() {
+        return ['#8E24AA', '#F4511E', '#6D4C41', '#C0CA33', '#D81B60', '#00897B',
+                '#5E35B1', '#FB8C00', '#546E7A', '#7CB342', '#3949AB', '#FDD835'];
+    }
+
+    /**
+     * Check whether a read is the primary alignment of a paired template
+     * @param {Object} read - Converted read
+     * @returns {boolean}
+     */
+    static isPairedRead(read) {
+        const flags = read.flags || 0;
+        return (flags & 0x1) !== 0 && (flags & 0x4) === 0 && (flags & 0x900) === 0;
+    }
+
+    /**
+     * Describe the pair a read belongs to from its own flag and mate fields
+     * @param {Object} read - Converted read
+     * @returns {Object} { mateUnmapped, interChromosomal, mateChromosome, mateStart, mateStrand, orientation, insertSize }
+     */
+    static getPairInfo(read) {
+        const flags = read.flags || 0;
+        const mateUnmapped = (flags & 0x8) !== 0;
+        const mateChromosome = read.mateChromosome || read.chromosome;
+        const interChromosomal = !mateUnmapped && !!read.chromosome && mateChromosome !== read.chromosome;
+        const mateStrand = (flags & 0x20) !== 0 ? '-' : '+';
+        const mateStart = read.mateStart != null && read.mateStart > 0 ? read.mateStart : null;
+
+        let orientation = null;
+        if (!mateUnmapped && !interChromosomal) {
+            // Orientation is read left to right: strand of the leftmost mate, then the rightmost
+            const readIsLeft = mateStart != null ? read.start <= mateStart : (read.templateLength || 0) >= 0;
+            const left = readIsLeft ? read.strand : mateStrand;
+            const right = readIsLeft ? mateStrand : read.strand;
+            orientation = (left === '-' ? 'R' : 'F') + (right === '-' ? 'R' : 'F');
+        }
+
+        return {
+            mateUnmapped,
+            interChromosomal,
+            mateChromosome: mateUnmapped ? null : mateChromosome,
+            mateStart,
+            mateStrand,
+            orientation,
+            insertSize: Math.abs(read.templateLength || 0)
+        };
+    }
+
+    /**
+     * Expected insert size range of the library
+     * 'auto' takes the 0.5th-99.5th percentiles of the properly oriented pairs in the reads
+     * after trimming far outliers; 'fixed' (or too few pairs) uses the configured minimum and maximum.
+     * @param {Array} reads - Converted reads
+     * @param {Object} options - { insertSizeMode, minInsertSize, maxInsertSize, expectedOrientation }
+     * @returns {Object} { min, max, median, count, mode }
+     */
+    static computeInsertSizeStats(reads, options = {}) {
+        const fixed = {
+            min: options.minInsertSize != null ? options.minInsertSize : 50,
+            max: options.maxInsertSize != null ? options.maxInsertSize : 1000,
+            median: null,
+            count: 0,
+            mode: 'fixed'
+        };
+        if (options.insertSizeMode === 'fixed') {
+            return fixed;
+        }
+
+        const expectedOrientation = options.expectedOrientation || 'FR';
+        const sizes = [];
+        reads.forEach(read => {
+            // Count each template once, from its first mate
+            if (!this.isPairedRead(read) || ((read.flags || 0) & 0x40) === 0) return;
+            const info = this.getPairInfo(read);
+            if (info.insertSize > 0 && info.orientation === expectedOrientation) {
+                sizes.push(info.insertSize);
+            }
+        });
+
+        if (sizes.length < 20) {
+            return { ...fixed, count: sizes.length };
+        }
+
+        sizes.sort((a, b) => a - b);
+        const percentileOf = (values, p) => values[Math.min(values.length - 1, Math.floor(p * values.length))];
+        const median = percentileOf(sizes, 0.5);
+
+        // Drop far outliers (the discordant pairs themselves) before taking percentiles,
+        // and keep a minimum spread so tightly sized libraries do not flag every pair
+        const deviations = sizes.map(size => Math.abs(size - median)).sort((a, b) => a - b);
+        const spread = Math.max(1.4826 * percentileOf(deviations, 0.5), median * 0.1);
+        const trimmed = sizes.filter(size => Math.abs(size - median) <= 6 * spread);
+
+        return {
+            min: Math.max(0, Math.round(Math.min(percentileOf(trimmed, 0.005), median - 3 * spread))),
+            max: Math.round(Math.max(percentileOf(trimmed, 0.995), median + 3 * spread)),
+            median,
+            count: sizes.length,
+            mode: 'auto'
+        };
+    }
+
+    /**
+     * Classify a pair against the expected insert size range and orientation
+     * @param {Object} info - Result of getPairInfo
+     * @param {Object} stats - Result of computeInsertSizeStats
+     * @param {string} expectedOrientation - Library orientation (FR for Illumina paired-end, RF for mate-pair)
+     * @returns {string} 'normal', 'mate-unmapped', 'inter-chromosomal', an orientation or 'large-insert'/'small-insert'
+     */
+    static classifyPair(info, stats, expectedOrientation = 'FR') {
+        if (info.mateUnmapped) return 'mate-unmapped';
+        if (info.interChromosomal) return 'inter-chromosomal';
+        if (info.orientation && info.orientation !== expectedOrientation) return info.orientation;
+        if (info.insertSize > stats.max) return 'large-insert';
+        if (info.insertSize > 0 && info.insertSize < stats.min) return 'small-insert';
+        return 'normal';
+    }
+
+    /**
+     * Group reads into pair items for "view as pairs" layout.
+     * Both mates of a template share one item spanning from the leftmost to the rightmost mate;
+     * a mate that was not loaded (outside the region or sampled out) on the same chromosome
+     * still extends the item to its position. Unpaired, secondary and supplementary reads
+     * are returned as they are.
+     * @param {Array} reads - Converted reads
+     * @param {Object} options - Insert size options plus expectedOrientation
+     * @returns {Array} Reads and { isPair, id, reads, start, end, pairInfo, category } items
+     */
+    static pairReads(reads, options = {}) {
+        const expectedOrientation = options.expectedOrientation || 'FR';
+        const stats = options.insertSizeStats || this.computeInsertSizeStats(reads, options);
+        const pending = new Map();
+        const items = [];
+
+        reads.forEach(read => {
+            if (!this.isPairedRead(read)) {
+                items.push(read);
+                return;
+            }
+
+            const pair = pending.get(read.id);
+            if (pair) {
+                pair.reads.push(read);
+                pair.reads.sort((a, b) => a.start - b.start);
+                pair.start = Math.min(pair.start, read.start);
+                pair.end = Math.max(pair.end, read.end);
+                pending.delete(read.id);
+                return;
+            }
+
+            const pairInfo = this.getPairInfo(read);
+            const item = {
+                isPair: true,
+                id: read.id,
+                reads: [read],
+                start: read.start,
+                end: read.end,
+                pairInfo,
+                category: this.classifyPair(pairInfo, stats, expectedOrientation)
+            };
+            pending.set(read.id, item);
+            items.push(item);
+        });
+
+        // Mates that were not loaded: reserve their span on the same row
+        pending.forEach(item => {
+            const { pairInfo } = item;
+            if (pairInfo.mateStart == null || pairInfo.mateUnmapped || pairInfo.interChromosomal) return;
+            const read = item.reads[0];
+            const mateEnd = pairInfo.mateStart + (read.end - read.start);
+            item.start = Math.min(item.start, pairInfo.mateStart);
+            item.end = Math.max(item.end, mateEnd);
+            item.mateOutline = { start: pairInfo.mateStart, end: mateEnd };
+        });
+
+        items.insertSizeStats = stats;
+        return items;
+    }
+
+    /**
+     * Display color of a pair, or null for normal pairs
+     * @param {Object} pair - Pair item from pairReads
+     * @returns {string|null}
+     */
+    static getPairColor(pair) {
+        if (pair.category === 'inter-chromosomal') {
+            return this.getChromosomeColor(pair.pairInfo.mateChromosome);
+        }
+        if (pair.category === 'normal') {
+            return null;
+        }
+        return this.PAIR_COLORS[pair.category] || null;
+    }
+
+    /**
+     * Stable color for a mate chromosome
+     * @param {string} chromosome - Chromosome name
+     * @returns {string}
+     */
+    static getChromosomeColor(chromosome) {
+        const name = String(chromosome || '');
+        let hash = 0;
+        for (let i = 0; i < name.length; i++) {
+            hash = (hash * 31 + name.charCodeAt(i)) >>> 0;
+        }
+        const colors = this.CHROMOSOME_COLORS;
+        return colors[hash % colors.length];
+    }
+
+    /**
+     * Human readable description of a pair category
+     * @param {string} category - Pair category
+     * @returns {string}
+     */
+    static describeCategory(category) {
+        const descriptions = {
+            'normal': 'Concordant pair',
+            'large-insert': 'Insert larger than expected (possible deletion)',
+            'small-insert': 'Insert smaller than expected (possible insertion)',
+            'inter-chromosomal': 'Mate on another chromosome (possible translocation)',
+            'mate-unmapped': 'Mate unmapped',
+            'FR': 'Unexpected FR orientation',
+            'RF': 'RF orientation (possible tandem duplication)',
+            'FF': 'FF orientation (possible inversion)',
+            'RR': 'RR orientation (possible inversion)'
+        };
+        return descriptions[category] || category;
+    }
+}
+
+// Export for Node.js and browser compatibility
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReadPairAnalyzer;
+}
+if (typeof window !== 'undefined') {
+    window.ReadPairAnalyzer = ReadPairAnalyzer;
+}
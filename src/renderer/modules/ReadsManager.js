@@ -269,7 +269,11 @@ class ReadsManager {
                     mappingQuality: parseInt(mapq),
                     cigar: cigar,
                     sequence: seq,
-                    quality: qual
+                    quality: qual,
+                    flags: parseInt(flag) || 0,
+                    templateLength: parseInt(tlen) || 0,
+                    mateChromosome: rnext === '=' ? rname : (rnext === '*' ? null : rnext),
+                    mateStart: parseInt(pnext) || null
                 };
                 
                 reads.push(read);
@@ -475,6 +479,134 @@ class ReadsManager {
         console.log('ReadsManager initialized with BAM reader mode');
     }
 
+    /**
+     * Compute binned read depth for a whole chromosome from a BAM reader
+     * The chromosome is queried in chunks to keep memory bounded; each read only
+     * contributes the bases that fall inside the current chunk, so reads spanning
+     * chunk boundaries are counted once. Like samtools depth, only aligned bases
+     * (CIGAR M, = and X) count, so deletions and spliced introns (N) stay uncovered,
+     * and unmapped, secondary, QC-fail and duplicate reads are skipped.
+     * @param {BamReader} bamReader - Initialized BAM reader
+     * @param {string} chromosome - Chromosome name
+     * @param {number} chromosomeLength - Chromosome length in bp
+     * @param {number} binSize - Bin width in bp
+     * @param {Object} options - minMappingQuality: reads below this MAPQ are skipped (default 0)
+     * @returns {Promise<Array>} Bins { start (0-based), end, value (mean depth) }
+     */
+    async computeCoverageFromBAM(bamReader, chromosome, chromosomeLength, binSize = 100, options = {}) {
+        const binCount = Math.ceil(chromosomeLength / binSize);
+        const coveredBases = new Float64Array(binCount);
+        // Small chunks bound the records held at once; sampling is off so deep regions are not undercounted
+        const chunkSize = Math.max(binSize, Math.ceil(100000 / binSize) * binSize);
+        const settings = { showSecondary: false, disableSampling: true, minMappingQuality: options.minMappingQuality || 0 };
+        // Unmapped, secondary, QC-fail and duplicate reads
+        const excludedFlags = 0x4 | 0x100 | 0x200 | 0x400;
+        
+        for (let chunkStart = 0; chunkStart < chromosomeLength; chunkStart += chunkSize) {
+            const chunkEnd = Math.min(chunkStart + chunkSize, chromosomeLength);
+            this.genomeBrowser.updateStatus(`Computing coverage for ${chromosome}... ${Math.round((chunkStart / chromosomeLength) * 100)}%`);
+            
+            // Add the part of an aligned block [from, to) (0-based) that lies in this chunk
+            const addBlock = (from, to) => {
+                let position = Math.max(from, chunkStart);
+                const blockEnd = Math.min(to, chunkEnd);
+                while (position < blockEnd) {
+                    const bin = Math.floor(position / binSize);
+                    const segmentEnd = Math.min(blockEnd, (bin + 1) * binSize);
+                    coveredBases[bin] += segmentEnd - position;
+                    position = segmentEnd;
+                }
+            };
+            
+            const reads = await bamReader.getRecordsForRange(chromosome, chunkStart, chunkEnd, settings);
+            for (const read of reads) {
+                if (((read.flags || 0) & excludedFlags) !== 0) continue;
+                
+                // Reads are 1-based with an exclusive end, i.e. [start - 1, end) in 0-based terms
+                if (!read.cigar || read.cigar === '*') {
+                    addBlock(read.start - 1, read.end);
+                    continue;
+                }
+                let position = read.start - 1;
+                for (const { length, operation } of bamReader.parseCigarString(read.cigar)) {
+                    if (operation === 'M' || operation === '=' || operation === 'X') {
+                        addBlock(position, position + length);
+                        position += length;
+                    } else if (operation === 'D' || operation === 'N') {
+                        position += length;
+                    }
+                }
+            }
+            
+            // Let the UI update between chunks
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+        
+        const bins = [];
+        for (let bin = 0; bin < binCount; bin++) {
+            const start = bin * binSize;
+            const end = Math.min(start + binSize, chromosomeLength);
+            bins.push({ start, end, value: coveredBases[bin] / (end - start) });
+        }
+        
+        console.log(`Computed coverage for ${chromosome}: ${binCount} bins of ${binSize} bp`);
+        return bins;
+    }
+
+    /**
+     * Call SNVs and indels in a region with PileupVariantCaller
+     * BAM/CRAM files are queried in chunks like computeCoverageFromBAM; SAM data loaded in
+     * this manager is scanned once for the whole region.
+     * @param {BamReader|null} bamReader - Initialized BAM reader, or null for the SAM data of this manager
+     * @param {string} chromosome - Chromosome name
+     * @param {number} start - Region start (0-based)
+     * @param {number} end - Region end (0-based, exclusive)
+     * @param {Function} getReference - async (start, end) => reference bases of a 0-based region
+     * @param {Object} options - PileupVariantCaller options
+     * @returns {Promise<Object>} { variants, readCount, usedReadCount }
+     */
+    async callVariantsFromReads(bamReader, chromosome, start, end, getReference, options = {}) {
+        const chunkSize = bamReader ? 20000 : end - start;
+        // Every read counts towards depth, so dense regions are read unsampled
+        const settings = { showSecondary: false, showSupplementary: false, disableSampling: true };
+        const result = { variants: [], readCount: 0, usedReadCount: 0 };
+        const resolvedOptions = PileupVariantCaller.resolveOptions(options);
+
+        for (let chunkStart = start; chunkStart < end; chunkStart += chunkSize) {
+            const chunkEnd = Math.min(chunkStart + chunkSize, end);
+            this.genomeBrowser.updateStatus(`Calling variants on ${chromosome}... ${Math.round(((chunkStart - start) / (end - start)) * 100)}%`);
+
+            let reads;
+            if (bamReader) {
+                reads = await bamReader.getRecordsForRange(chromosome, chunkStart, chunkEnd, settings);
+            } else if (this.isStreaming) {
+                reads = await this.loadReadsForRegionStream(chromosome, chunkStart + 1, chunkEnd, settings);
+            } else {
+                reads = await this.loadReadsForRegion(chromosome, chunkStart + 1, chunkEnd, settings);
+            }
+
+            // Deleted bases after a chunk are still needed for REF of deletions anchored in it
+            const referencePadding = PileupVariantCaller.getLongestDeletion(reads);
+            const reference = {
+                sequence: await getReference(chunkStart, chunkEnd + referencePadding),
+                offset: chunkStart
+            };
+            const chunk = PileupVariantCaller.callRegion(reads, chromosome, chunkStart, chunkEnd, reference, options);
+            result.variants.push(...chunk.variants);
+
+            // Reads overlapping several chunks are counted in the chunk they start in
+            const counted = chunkStart === start ? reads : reads.filter(read => read.start - 1 >= chunkStart);
+            result.readCount += counted.length;
+            result.usedReadCount += counted.filter(read => PileupVariantCaller.isUsableRead(read, resolvedOptions)).length;
+
+            // Let the UI update between chunks
+            await new Promise(resolve => setTimeout(resolve, 0));
+        }
+
+        console.log(`Called ${result.variants.length} variants on ${chromosome}:${start + 1}-${end} from ${result.usedReadCount} of ${result.readCount} reads`);
+        return result;
+    }
+
     /**
      * Process SAM data chunks during streaming
      */
@@ -651,7 +783,11 @@ class ReadsManager {
                             mappingQuality: parseInt(mapq),
                             cigar: cigar,
                             sequence: seq,
-                            quality: qual
+                            quality: qual,
+                            flags: parseInt(flag) || 0,
+                            templateLength: parseInt(tlen) || 0,
+                            mateChromosome: rnext === '=' ? rname : (rnext === '*' ? null : rnext),
+                            mateStart: parseInt(pnext) || null
                         };
                         
                         reads.push(read);
@@ -266,6 +266,23 @@ class SequenceUtils {
         // Update CSS variables for line height
         this.updateSequenceLineHeightCSS();
         
+        // Indexed genomes keep the bases on disk: load the viewed region, then render it
+        if (sequence && sequence.isIndexed && sequence.isLazyLoadable(start, end) && !sequence.hasRange(start, end)) {
+            const sequenceContent = document.getElementById('sequenceContent');
+            if (sequenceContent) {
+                sequenceContent.innerHTML = `<div style="padding: 10px; color: #6c757d; font-style: italic;">Loading sequence ${chromosome}:${(start + 1).toLocaleString()}-${end.toLocaleString()}...</div>`;
+            }
+            sequence.getSequence(start, end)
+                .then(() => {
+                    const position = this.genomeBrowser.currentPosition;
+                    if (position.start === start && position.end === end && this.genomeBrowser.currentChromosome === chromosome) {
+                        this.displayEnhancedSequence(chromosome, sequence);
+                    }
+                })
+                .catch(error => console.error(`Error loading sequence for ${chromosome}:${start}-${end}:`, error));
+            return;
+        }
+        
         // Display sequence using traditional detailed sequence display
             this.displayDetailedSequence(chromosome, sequence, start, end);
         
@@ -1435,7 +1452,7 @@ class SequenceUtils {
         cdsFeatures.forEach(cds => {
             const fullSequence = this.genomeBrowser.currentSequence[chromosome];
             const dnaForTranslation = fullSequence.substring(cds.start - 1, cds.end);
-            const proteinSequence = this.translateDNA(dnaForTranslation, cds.strand);
+            const proteinSequence = this.translateCDS(dnaForTranslation, cds.strand, this.genomeBrowser.getGeneticCode(cds, chromosome));
             const geneName = this.genomeBrowser.getQualifierValue(cds.qualifiers, 'gene') || 
                            this.genomeBrowser.getQualifierValue(cds.qualifiers, 'locus_tag') || 'Unknown';
             
@@ -1515,7 +1532,7 @@ class SequenceUtils {
         cdsFeatures.forEach(cds => {
             const fullSequence = this.genomeBrowser.currentSequence[chromosome];
             const dnaForTranslation = fullSequence.substring(cds.start - 1, cds.end);
-            const proteinSequence = this.translateDNA(dnaForTranslation, cds.strand);
+            const proteinSequence = this.translateCDS(dnaForTranslation, cds.strand, this.genomeBrowser.getGeneticCode(cds, chromosome));
             const geneName = this.genomeBrowser.getQualifierValue(cds.qualifiers, 'gene') || 
                            this.genomeBrowser.getQualifierValue(cds.qualifiers, 'locus_tag') || 'Unknown';
             
@@ -1541,16 +1558,26 @@ class SequenceUtils {
         container.appendChild(translationsDiv);
     }
 
+    // Translate an annotated CDS: an alternative start codon in the first position is read as M
+    translateCDS(dnaSequence, strand = 1, geneticCode = null) {
+        if (window.UnifiedDNATranslation) {
+            const code = geneticCode || this.genomeBrowser?.getGeneticCode?.() || 1;
+            return window.UnifiedDNATranslation.translateCDS(dnaSequence, strand, code);
+        }
+        return this.translateDNA(dnaSequence, strand);
+    }
+
     // Biological utilities
-    translateDNA(dnaSequence, strand = 1) {
+    translateDNA(dnaSequence, strand = 1, geneticCode = null) {
         // Use unified translation implementation
         if (window.UnifiedDNATranslation) {
-            const result = window.UnifiedDNATranslation.strandBasedTranslateDNA(dnaSequence, strand);
+            const code = geneticCode || this.genomeBrowser?.getGeneticCode?.() || 1;
+            const result = window.UnifiedDNATranslation.strandBasedTranslateDNA(dnaSequence, strand, code);
             return result;
         }
         
         // Fallback to original implementation if unified module not available
-        const geneticCode = {
+        const codonTable = {
             'TTT': 'F', 'TTC': 'F', 'TTA': 'L', 'TTG': 'L',
             'TCT': 'S', 'TCC': 'S', 'TCA': 'S', 'TCG': 'S',
             'TAT': 'Y', 'TAC': 'Y', 'TAA': '*', 'TAG': '*',
@@ -1579,7 +1606,7 @@ class SequenceUtils {
         let protein = '';
         for (let i = 0; i < sequence.length - 2; i += 3) {
             const codon = sequence.substring(i, i + 3);
-            protein += geneticCode[codon] || 'X';
+            protein += codonTable[codon] || 'X';
         }
         
         return protein;
@@ -1743,8 +1770,17 @@ class SequenceUtils {
     // Statistics and analysis
     updateStatistics(chromosome, sequence) {
         const length = sequence.length;
-        const gcCount = (sequence.match(/[GC]/g) || []).length;
-        const gcContent = ((gcCount / length) * 100).toFixed(2);
+        let gcContent;
+        if (sequence.isIndexed) {
+            // Indexed genomes are not held in memory: report GC content of the cached view only
+            const viewSequence = sequence.getCachedSequence(this.genomeBrowser.currentPosition.start, this.genomeBrowser.currentPosition.end);
+            const validBases = viewSequence ? viewSequence.replace(/N/g, '').length : 0;
+            const gcCount = viewSequence ? (viewSequence.match(/[GC]/g) || []).length : 0;
+            gcContent = validBases > 0 ? ((gcCount / validBases) * 100).toFixed(2) : '-';
+        } else {
+            const gcCount = (sequence.match(/[GC]/g) || []).length;
+            gcContent = ((gcCount / length) * 100).toFixed(2);
+        }
 
         const sequenceLength = document.getElementById('sequenceLength');
         const gcContentElement = document.getElementById('gcContent');
@@ -0,0 +1,212 @@
+/**
+ * StructuralVariants - Structural variant records and copy-number segments
+ *
+ * VCF structural variants use symbolic alleles (<DEL>, <DUP>, <INV>, <INS>, <CNV>, <DUP:TANDEM>, ...)
+ * with their extent in INFO END or SVLEN, or breakend alleles (t[p[, t]p], ]p]t, [p[t) that join
+ * the record's position to a mate position, possibly on another chromosome.
+ * SEG files (DNAcopy / IGV segment format) hold per-sample log2 copy-number ratios of segments.
+ */
+
+class StructuralVariants {
+
+    /**
+     * Colors and labels by SV type (IGV-like palette)
+     */
+    static get TYPE_STYLES() {
+        return {
+            DEL: { color: '#d62728', label: 'Deletion' },
+            DUP: { color: '#1f77b4', label: 'Duplication' },
+            INV: { color: '#17becf', label: 'Inversion' },
+            INS: { color: '#9467bd', label: 'Insertion' },
+            CNV: { color: '#ff7f0e', label: 'Copy number variant' },
+            BND: { color: '#555555', label: 'Breakend' }
+        };
+    }
+
+    /**
+     * Value of one INFO key of a raw INFO string
+     * @returns {string|boolean|null} Value, true for flags, null when absent
+     */
+    static getInfoValue(info, key) {
+        if (!info || info === '.') return null;
+        for (const entry of info.split(';')) {
+            const separator = entry.indexOf('=');
+            if (separator < 0) {
+                if (entry === key) return true;
+            } else if (entry.substring(0, separator) === key) {
+                return entry.substring(separator + 1);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Parse a breakend ALT allele
+     * @param {string} alt - ALT allele, e.g. 'G]17:198982]' or '[13:123456[T'
+     * @returns {Object|null} { chromosome, position (1-based), joinedAfter, mateExtends } where
+     *          joinedAfter is true when the mate sequence follows this record's base (t[p[, t]p])
+     *          and mateExtends is 'right' for '[' (the mate piece continues past p) or 'left' for ']'
+     */
+    static parseBreakend(alt) {
+        const match = /^([A-Za-z.]*)([[\]])(.+):(\d+)([[\]])([A-Za-z.]*)$/.exec(alt || '');
+        if (!match || match[2] !== match[5] || (match[1] && match[6])) {
+            return null;
+        }
+        return {
+            chromosome: match[3].replace(/^<(.*)>$/, '$1'),
+            position: parseInt(match[4]),
+            joinedAfter: match[1].length > 0,
+            mateExtends: match[2] === '[' ? 'right' : 'left'
+        };
+    }
+
+    /**
+     * SV type of a record from SVTYPE or its ALT allele
+     * @returns {string|null} 'DEL', 'DUP', 'INV', 'INS', 'CNV', 'BND' or null for sequence variants
+     */
+    static getType(variant) {
+        const alt = (variant.alt || '').split(',')[0];
+        const symbolic = /^<([^>]+)>$/.exec(alt);
+        const svType = this.getInfoValue(variant.info, 'SVTYPE');
+
+        if (this.parseBreakend(alt) || svType === 'BND') {
+            return 'BND';
+        }
+        if (!symbolic && typeof svType !== 'string') {
+            return null;
+        }
+
+        // <DUP:TANDEM>, <DEL:ME:ALU>, <INS:ME:L1>, <CN0>, <CN2> ...
+        const type = (typeof svType === 'string' ? svType : symbolic[1]).split(':')[0].toUpperCase();
+        if (/^CN\d*$/.test(type)) return 'CNV';
+        return this.TYPE_STYLES[type] ? type : 'CNV';
+    }
+
+    /**
+     * Add SV fields to a parsed VCF record and extend its span to the SV end
+     * @param {Object} variant - Record from MultiFileManager.parseVcfData (0-based start)
+     * @returns {Object} The record with svType, svLength and (breakends) mate set
+     */
+    static annotate(variant) {
+        const svType = this.getType(variant);
+        if (!svType) {
+            return variant;
+        }
+
+        const endValue = parseInt(this.getInfoValue(variant.info, 'END'));
+        const svLengthValue = parseInt(String(this.getInfoValue(variant.info, 'SVLEN') || '').split(',')[0]);
+        variant.svType = svType;
+
+        if (svType === 'BND') {
+            variant.end = variant.start + 1;
+            variant.mate = this.parseBreakend(variant.alt.split(',')[0]);
+            variant.svLength = null;
+        } else if (svType === 'INS') {
+            // Insertions happen between POS and POS + 1; SVLEN is the inserted length
+            variant.end = variant.start + 1;
+            variant.svLength = isNaN(svLengthValue) ? null : Math.abs(svLengthValue);
+        } else {
+            // POS is the padding base before the event: the event covers POS + 1 .. END
+            if (!isNaN(endValue) && endValue > variant.start) {
+                variant.end = endValue;
+            } else if (!isNaN(svLengthValue)) {
+                variant.end = variant.start + 1 + Math.abs(svLengthValue);
+            }
+            variant.svLength = isNaN(svLengthValue) ? variant.end - variant.start - 1 : Math.abs(svLengthValue);
+        }
+        return variant;
+    }
+
+    /**
+     * Breakend pairs to draw as arcs, each pair once (mate records of a pair share the same key)
+     * @param {Array} variants - Records with svType 'BND'
+     * @returns {Array} { variant, mate, key } with mate { chromosome, position } (1-based)
+     */
+    static getBreakendLinks(variants) {
+        const seen = new Set();
+        const links = [];
+        variants.forEach(variant => {
+            if (variant.svType !== 'BND' || !variant.mate) return;
+            const ends = [`${variant.chromosome}:${variant.start + 1}`, `${variant.mate.chromosome}:${variant.mate.position}`].sort();
+            const key = ends.join('|');
+            if (seen.has(key)) return;
+            seen.add(key);
+            links.push({ variant, mate: variant.mate, key });
+        });
+        return links;
+    }
+
+    /**
+     * Human-readable description of a breakend join
+     */
+    static describeBreakend(variant) {
+        const mate = variant.mate;
+        if (!mate) return 'Breakend';
+        const side = mate.mateExtends === 'right' ? 'sequence right of' : 'sequence left of';
+        return `${variant.chromosome}:${variant.start + 1} ${mate.joinedAfter ? 'followed by' : 'preceded by'} ${side} ${mate.chromosome}:${mate.position.toLocaleString()}`;
+    }
+
+    /**
+     * Parse a SEG file (ID, chrom, loc.start, loc.end, [num.mark,] seg.mean)
+     * @param {string} text - SEG file content
+     * @returns {Object} { samples, segments: { chromosome: [{ sample, start, end, markers, value }] } }
+     *          with 0-based half-open coordinates and value the log2 ratio (seg.mean)
+     */
+    static parseSEG(text) {
+        const segments = {};
+        const samples = [];
+        const sampleSet = new Set();
+
+        text.split('\n').forEach(line => {
+            const trimmed = line.trim();
+            if (!trimmed || trimmed.startsWith('#')) return;
+
+            const fields = trimmed.split('\t').length >= 5 ? trimmed.split('\t') : trimmed.split(/\s+/);
+            if (fields.length < 5) return;
+
+            const start = parseInt(fields[2]);
+            const end = parseInt(fields[3]);
+            const value = parseFloat(fields[fields.length - 1]);
+            // Header line (ID chrom loc.start ...) and malformed rows
+            if (isNaN(start) || isNaN(end) || isNaN(value)) return;
+
+            const sample = fields[0].replace(/^"|"$/g, '');
+            const chromosome = fields[1].replace(/^"|"$/g, '');
+            if (!sampleSet.has(sample)) {
+                sampleSet.add(sample);
+                samples.push(sample);
+            }
+            if (!segments[chromosome]) {
+                segments[chromosome] = [];
+            }
+            segments[chromosome].push({
+                sample,
+                start: start - 1, // SEG positions are 1-based inclusive
+                end,
+                markers: fields.length >= 6 ? parseInt(fields[4]) : null,
+                value
+            });
+        });
+
+        Object.values(segments).forEach(list => list.sort((a, b) => a.start - b.start));
+        return { samples, segments };
+    }
+
+    /**
+     * Diverging color of a log2 ratio: blue for losses, red for gains, white around zero
+     * @param {number} value - log2 ratio
+     * @param {number} limit - |log2| drawn at full intensity
+     */
+    static getLog2Color(value, limit = 1.5) {
+        const intensity = Math.min(1, Math.abs(value) / limit);
+        const level = Math.round(255 * (1 - intensity));
+        return value >= 0 ? `rgb(255, ${level}, ${level})` : `rgb(${level}, ${level}, 255)`;
+    }
+}
+
+// Export for Node.js and browser compatibility
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StructuralVariants;
+} else if (typeof window !== 'undefined') {
+    window.StructuralVariants = StructuralVariants;
+}
@@ -1563,6 +1563,10 @@ class TabManager {
                 { type: 'variants', id: 'sidebarTrackVariants' },
                 { type: 'reads', id: 'sidebarTrackReads' },
                 { type: 'wigTracks', id: 'sidebarTrackWIG' },
+                { type: 'synteny', id: 'sidebarTrackSynteny' },
+                { type: 'copyNumber', id: 'sidebarTrackCopyNumber' },
+                { type: 'predictedGenes', id: 'sidebarTrackPredictedGenes' },
+                { type: 'motifHits', id: 'sidebarTrackMotifHits' },
                 { type: 'proteins', id: 'sidebarTrackProteins' },
                 { type: 'sequence', id: 'sidebarTrackSequence' },
                 { type: 'sequenceLine', id: 'sidebarTrackSequenceLine' },
@@ -0,0 +1,258 @@
+/**
+ * TabixReader - Indexed random access for bgzipped VCF, BED and GFF files
+ * Uses @gmod/tabix with .tbi or .csi indexes, mirroring BamReader for BAM files
+ */
+
+// In Electron renderer process, we can use require() for Node.js modules
+let TabixIndexedFile;
+
+try {
+    TabixIndexedFile = require('@gmod/tabix').TabixIndexedFile;
+} catch (error) {
+    console.error('Failed to import @gmod/tabix:', error);
+}
+
+class TabixReader {
+    constructor() {
+        this.filePath = null;
+        this.indexPath = null;
+        this.indexType = null; // 'tbi' or 'csi'
+        this.tabixFile = null;
+        this.format = null; // 'vcf', 'bed' or 'gff'
+        this.header = '';
+        this.references = [];
+        this.isInitialized = false;
+        this.fileSize = 0;
+        this.indexSize = 0;
+        this.performanceStats = {
+            averageQueryTime: 0,
+            totalQueryTime: 0,
+            queryCount: 0,
+            linesReturned: 0
+        };
+    }
+
+    /**
+     * Find a tabix index next to a bgzipped file
+     * @param {string} filePath - Path to the bgzipped data file
+     * @returns {Object|null} { path, type } of the index, or null if none exists
+     */
+    static findIndexFile(filePath) {
+        const fs = require('fs');
+        const candidates = [
+            { path: filePath + '.tbi', type: 'tbi' },   // standard: file.vcf.gz.tbi
+            { path: filePath + '.csi', type: 'csi' }    // CSI index: file.vcf.gz.csi
+        ];
+        return candidates.find(candidate => fs.existsSync(candidate.path)) || null;
+    }
+
+    /**
+     * Map a (decompressed) file extension to the tabix record format
+     * @param {string} extension - Extension such as '.vcf' or '.gff3'
+     * @returns {string|null} 'vcf', 'bed', 'gff' or null if not tabix-queryable
+     */
+    static getFormatForExtension(extension) {
+        const formatMap = {
+            '.vcf': 'vcf',
+            '.bed': 'bed',
+            '.gff': 'gff',
+            '.gff3': 'gff',
+            '.gtf': 'gff'
+        };
+        return formatMap[(extension || '').toLowerCase()] || null;
+    }
+
+    /**
+     * Initialize the reader with automatic index detection
+     * @param {string} filePath - Path to the bgzipped file
+     * @param {Object} options - Optional configuration
+     * @param {string} options.indexPath - Explicit path to the index file
+     * @param {string} options.format - Record format ('vcf', 'bed' or 'gff')
+     * @returns {Promise<Object>} Initialization result
+     */
+    async initialize(filePath, options = {}) {
+        try {
+            console.log('🗂️ TabixReader: Initializing with file:', filePath);
+
+            if (!TabixIndexedFile) {
+                throw new Error('@gmod/tabix is not available. Please ensure it is installed.');
+            }
+
+            this.reset();
+            this.filePath = filePath;
+            this.format = options.format || null;
+
+            const index = options.indexPath
+                ? { path: options.indexPath, type: options.indexPath.endsWith('.csi') ? 'csi' : 'tbi' }
+                : TabixReader.findIndexFile(filePath);
+            if (!index) {
+                throw new Error(`No tabix index found. Create one with: tabix -p ${this.format || 'vcf'} ${filePath}`);
+            }
+            this.indexPath = index.path;
+            this.indexType = index.type;
+
+            this.tabixFile = new TabixIndexedFile({
+                path: filePath,
+                [index.type === 'csi' ? 'csiPath' : 'tbiPath']: index.path
+            });
+
+            this.header = await this.tabixFile.getHeader();
+            this.references = await this.tabixFile.getReferenceSequenceNames();
+            this.getFileSizeInfo();
+            this.isInitialized = true;
+
+            console.log(`✅ TabixReader: ${this.references.length} references, ${this.indexType.toUpperCase()} index (${this.formatBytes(this.indexSize)})`);
+
+            return {
+                success: true,
+                header: this.header,
+                references: this.references,
+                indexPath: this.indexPath,
+                indexType: this.indexType,
+                fileSize: this.fileSize
+            };
+        } catch (error) {
+            console.error('❌ TabixReader: Initialization failed:', error);
+            this.reset();
+            throw new Error(`Failed to initialize tabix file: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get the raw text lines overlapping a region
+     * @param {string} chromosome - Reference sequence name
+     * @param {number} start - Region start (0-based, inclusive)
+     * @param {number} end - Region end (0-based, exclusive)
+     * @returns {Promise<string[]>} Matching data lines
+     */
+    async getLinesForRange(chromosome, start, end) {
+        if (!this.isReady()) {
+            throw new Error('TabixReader is not initialized');
+        }
+        if (!this.references.includes(chromosome)) {
+            return [];
+        }
+
+        const queryStart = performance.now();
+        const lines = [];
+        await this.tabixFile.getLines(chromosome, Math.max(0, start), end, {
+            lineCallback: (line) => lines.push(line)
+        });
+
+        this.updatePerformanceStats(performance.now() - queryStart, lines.length);
+        return lines;
+    }
+
+    /**
+     * Get the header text (lines up to the first data line)
+     * @returns {string} Header text
+     */
+    getHeader() {
+        return this.header;
+    }
+
+    /**
+     * Get reference sequence names present in the index
+     * @returns {string[]} Reference names
+     */
+    getReferences() {
+        return this.references;
+    }
+
+    /**
+     * Check if reader is initialized and ready
+     * @returns {boolean} Initialization status
+     */
+    isReady() {
+        return this.isInitialized && this.tabixFile !== null;
+    }
+
+    /**
+     * Get reader statistics
+     * @returns {Object} File and query statistics
+     */
+    getStats() {
+        return {
+            format: this.format,
+            fileSize: this.fileSize,
+            indexSize: this.indexSize,
+            indexType: this.indexType,
+            indexPath: this.indexPath,
+            references: this.references.length,
+            isInitialized: this.isInitialized,
+            performanceStats: { ...this.performanceStats }
+        };
+    }
+
+    /**
+     * Read data and index file sizes
+     * @private
+     */
+    getFileSizeInfo() {
+        try {
+            const fs = require('fs');
+            this.fileSize = fs.statSync(this.filePath).size;
+            this.indexSize = fs.statSync(this.indexPath).size;
+        } catch (error) {
+            console.warn('⚠️ Could not get tabix file sizes:', error.message);
+        }
+    }
+
+    /**
+     * Update performance statistics
+     * @private
+     */
+    updatePerformanceStats(queryTime, lineCount) {
+        this.performanceStats.queryCount++;
+        this.performanceStats.totalQueryTime += queryTime;
+        this.performanceStats.averageQueryTime = this.performanceStats.totalQueryTime / this.performanceStats.queryCount;
+        this.performanceStats.linesReturned += lineCount;
+    }
+
+    /**
+     * Format bytes to human-readable string
+     * @private
+     */
+    formatBytes(bytes) {
+        if (!bytes) return '0 B';
+
+        const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+        let size = bytes;
+        let unitIndex = 0;
+
+        while (size >= 1024 && unitIndex < units.length - 1) {
+            size /= 1024;
+            unitIndex++;
+        }
+
+        return `${size.toFixed(2)} ${units[unitIndex]}`;
+    }
+
+    /**
+     * Reset reader state
+     */
+    reset() {
+        this.filePath = null;
+        this.indexPath = null;
+        this.indexType = null;
+        this.tabixFile = null;
+        this.header = '';
+        this.references = [];
+        this.isInitialized = false;
+        this.fileSize = 0;
+        this.indexSize = 0;
+        this.performanceStats = {
+            averageQueryTime: 0,
+            totalQueryTime: 0,
+            queryCount: 0,
+            linesReturned: 0
+        };
+    }
+}
+
+// Export for Node.js and browser compatibility
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TabixReader;
+} else if (typeof window !== 'undefined') {
+    window.TabixReader = TabixReader;
+}
@@ -67,6 +67,34 @@ class TrackRenderer {
                 requiresData: false,
                 dataSource: 'currentWIGTracks'
             },
+            synteny: {
+                defaultHeight: '80px',
+                header: 'Synteny Alignments',
+                className: 'synteny-track',
+                requiresData: false,
+                dataSource: 'currentSyntenyAlignments'
+            },
+            copyNumber: {
+                defaultHeight: '80px',
+                header: 'Copy Number (SEG)',
+                className: 'copy-number-track',
+                requiresData: false,
+                dataSource: 'currentCopyNumberSegments'
+            },
+            predictedGenes: {
+                defaultHeight: '80px',
+                header: 'Predicted Genes',
+                className: 'predicted-genes-track',
+                requiresData: false,
+                dataSource: 'currentPredictedGenes'
+            },
+            motifHits: {
+                defaultHeight: '60px',
+                header: 'Motif Hits',
+                className: 'motif-hits-track',
+                requiresData: false,
+                dataSource: 'currentMotifHits'
+            },
             actions: {
                 defaultHeight: '120px',
                 header: 'Actions',
@@ -80,6 +108,12 @@ class TrackRenderer {
         // Track header visibility state - survives track recreation
         this.headerStates = new Map();
         
+        // Gene models (GFF3/GTF) whose transcript isoforms are shown one per row
+        this.expandedGeneModels = new Set();
+        
+        // Genotype matrix sample order per VCF file: { order, siteKey, reverse } - survives track recreation
+        this.genotypeSortStates = new Map();
+        
         // Track settings storage
         this.trackSettings = {};
         
@@ -520,7 +554,7 @@ class TrackRenderer {
         }
         
         // Get and validate data
-        const annotations = this.genomeBrowser.currentAnnotations[chromosome] || [];
+        const annotations = this.getGeneTrackAnnotations(chromosome, viewport);
         const operons = this.genomeBrowser.detectOperons(annotations);
         console.log(`Detected ${operons.length} operons in chromosome ${chromosome}`);
         
@@ -547,6 +581,55 @@ class TrackRenderer {
         return track;
     }
     
+    /**
+     * Combine in-memory annotations with cached features of tabix-indexed annotation files.
+     * Regions that have not been fetched yet are requested in the background and the view
+     * is refreshed once they arrive.
+     */
+    getGeneTrackAnnotations(chromosome, viewport) {
+        const annotations = (this.genomeBrowser.currentAnnotations && this.genomeBrowser.currentAnnotations[chromosome]) || [];
+        const indexedFiles = this.genomeBrowser.multiFileManager ? this.genomeBrowser.multiFileManager.getIndexedAnnotationFiles() : [];
+        if (indexedFiles.length === 0) {
+            return annotations;
+        }
+        
+        const combined = annotations.slice();
+        indexedFiles.forEach(annotationFile => {
+            const cached = annotationFile.source.getCachedFeaturesForRegion(chromosome, viewport.start, viewport.end);
+            if (cached) {
+                combined.push(...cached);
+            } else {
+                annotationFile.source.getFeaturesForRegion(chromosome, viewport.start, viewport.end)
+                    .then(features => {
+                        if (features.length > 0) {
+                            this.genomeBrowser.refreshCurrentView();
+                        }
+                    })
+                    .catch(error => console.error(`Error loading indexed features from ${annotationFile.metadata.name}:`, error));
+            }
+        });
+        return combined;
+    }
+
+    /**
+     * Fetch features of tabix-indexed annotation files for the current viewport
+     * so that createGeneTrack can render them from cache
+     * @returns {Promise<boolean>} True if any indexed feature overlaps the viewport
+     */
+    async loadIndexedAnnotations(chromosome) {
+        const indexedFiles = this.genomeBrowser.multiFileManager ? this.genomeBrowser.multiFileManager.getIndexedAnnotationFiles() : [];
+        const viewport = this.getCurrentViewport();
+        
+        const results = await Promise.all(indexedFiles.map(annotationFile =>
+            annotationFile.source.getFeaturesForRegion(chromosome, viewport.start, viewport.end)
+                .catch(error => {
+                    console.error(`Error loading indexed features from ${annotationFile.metadata.name}:`, error);
+                    return [];
+                })
+        ));
+        return results.some(features => features.length > 0);
+    }
+
     /**
      * Filter gene annotations with type validation
      */
@@ -554,10 +637,41 @@ class TrackRenderer {
         const validTypes = ['gene', 'CDS', 'mRNA', 'tRNA', 'rRNA', 'misc_feature', 
                           'regulatory', 'promoter', 'terminator', 'repeat_region', 'comment', 'note', 'BED_feature'];
         
-        return annotations.filter(feature => {
-            return (validTypes.includes(feature.type) || feature.type.includes('RNA')) &&
+        const visible = annotations.filter(feature => {
+            // Transcripts and exon/CDS/UTR parts are drawn inside their gene model
+            if (GeneModelBuilder.isNestedInModel(feature)) {
+                return false;
+            }
+            return (validTypes.includes(feature.type) || feature.type.includes('RNA') || feature.exons) &&
                    this.genomeBrowser.shouldShowGeneType(feature.type);
         }).filter(gene => this.filterFeaturesByViewport([gene], viewport).length > 0);
+        
+        // Expanded genes are replaced by their isoforms
+        return visible.flatMap(feature => {
+            if (feature.transcripts && this.expandedGeneModels.has(this.getGeneModelKey(feature))) {
+                return this.filterFeaturesByViewport(feature.transcripts, viewport);
+            }
+            return [feature];
+        });
+    }
+    
+    /**
+     * Key identifying a gene model across redraws
+     */
+    getGeneModelKey(gene) {
+        return gene.id || `${gene.type}:${gene.start}-${gene.end}`;
+    }
+    
+    /**
+     * Expand a gene model into its transcript isoforms, or collapse it again
+     */
+    toggleGeneModel(geneKey) {
+        if (this.expandedGeneModels.has(geneKey)) {
+            this.expandedGeneModels.delete(geneKey);
+        } else {
+            this.expandedGeneModels.add(geneKey);
+        }
+        this.genomeBrowser.refreshCurrentView();
     }
     
     /**
@@ -641,6 +755,11 @@ class TrackRenderer {
      * Create individual SVG gene element
      */
     createSVGGeneElement(gene, viewport, operons, rowIndex, layout, settings, defs, containerWidth) {
+        // GFF3/GTF genes and transcripts are drawn as exon-intron models
+        if (gene.exons && gene.exons.length > 0) {
+            return this.createSVGGeneModelElement(gene, viewport, operons, rowIndex, layout, settings, containerWidth);
+        }
+        
         // Calculate position and dimensions
         const geneStart = Math.max(gene.start, viewport.start);
         const geneEnd = Math.min(gene.end, viewport.end);
@@ -689,6 +808,142 @@ class TrackRenderer {
         return geneGroup;
     }
 
+    /**
+     * Create an exon-intron model for a gene (collapsed isoforms) or a transcript:
+     * introns as a line with strand chevrons, UTRs as thin blocks and CDS as thick blocks
+     */
+    createSVGGeneModelElement(model, viewport, operons, rowIndex, layout, settings, containerWidth) {
+        const range = viewport.end - viewport.start;
+        const toX = position => ((position - viewport.start) / range) * containerWidth;
+        const clampX = x => Math.max(0, Math.min(containerWidth, x));
+        
+        const modelStartX = clampX(toX(model.start - 1));
+        const modelEndX = clampX(toX(model.end));
+        if (modelEndX <= modelStartX) return null;
+        
+        const y = layout.topPadding + rowIndex * (layout.geneHeight + layout.rowSpacing);
+        const height = layout.geneHeight;
+        const centerY = height / 2;
+        const isForward = model.strand !== -1;
+        
+        const operonInfo = this.genomeBrowser.getGeneOperonInfo(model, operons);
+        const color = operonInfo.color;
+        
+        const modelGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        modelGroup.setAttribute('class', `svg-gene-element svg-gene-model ${model.type.toLowerCase()}`);
+        modelGroup.setAttribute('transform', `translate(${modelStartX}, ${y})`);
+        
+        // Parts are placed in track coordinates; the outer group anchors hover scaling at the model start
+        const partsGroup = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        partsGroup.setAttribute('transform', `translate(${-modelStartX}, 0)`);
+        modelGroup.appendChild(partsGroup);
+        
+        // Intron line with strand chevrons
+        const intron = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+        intron.setAttribute('x1', modelStartX);
+        intron.setAttribute('x2', modelEndX);
+        intron.setAttribute('y1', centerY);
+        intron.setAttribute('y2', centerY);
+        intron.setAttribute('stroke', this.darkenColor(color, 20));
+        intron.setAttribute('stroke-width', '1');
+        partsGroup.appendChild(intron);
+        
+        const chevronSpacing = 40;
+        for (let x = modelStartX + chevronSpacing / 2; x < modelEndX - 4; x += chevronSpacing) {
+            const chevron = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+            const dx = isForward ? -3 : 3;
+            chevron.setAttribute('d', `M ${x + dx} ${centerY - 3} L ${x} ${centerY} L ${x + dx} ${centerY + 3}`);
+            chevron.setAttribute('stroke', this.darkenColor(color, 20));
+            chevron.setAttribute('fill', 'none');
+            chevron.setAttribute('stroke-width', '1');
+            partsGroup.appendChild(chevron);
+        }
+        
+        // Exon blocks: UTR half height, CDS full height
+        GeneModelBuilder.getDrawSegments(model).forEach(segment => {
+            const x1 = clampX(toX(segment.start - 1));
+            const x2 = clampX(toX(segment.end));
+            if (x2 <= x1) return;
+            const blockHeight = segment.thick ? height : height * 0.5;
+            const block = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+            block.setAttribute('x', x1);
+            block.setAttribute('y', centerY - blockHeight / 2);
+            block.setAttribute('width', Math.max(x2 - x1, 1));
+            block.setAttribute('height', blockHeight);
+            block.setAttribute('fill', segment.thick ? color : this.lightenColor(color, 25));
+            block.setAttribute('stroke', this.darkenColor(color, 20));
+            block.setAttribute('stroke-width', '0.5');
+            partsGroup.appendChild(block);
+        });
+        
+        // Expand/collapse toggle for genes with isoforms and for the isoforms of an expanded gene
+        const geneKey = model.transcripts ? this.getGeneModelKey(model) : model.parentGeneId;
+        const canToggle = model.transcripts ? model.transcripts.length > 0 : !!model.parentGeneId;
+        if (canToggle) {
+            const isExpanded = !model.transcripts;
+            const toggle = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+            toggle.setAttribute('x', Math.max(0, modelStartX - 10));
+            toggle.setAttribute('y', centerY);
+            toggle.setAttribute('dominant-baseline', 'central');
+            toggle.setAttribute('font-size', '10px');
+            toggle.setAttribute('fill', '#495057');
+            toggle.setAttribute('class', 'gene-model-toggle');
+            toggle.style.cursor = 'pointer';
+            toggle.textContent = isExpanded ? '▾' : '▸';
+            const toggleTitle = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+            toggleTitle.textContent = isExpanded ? 'Collapse isoforms' : `Expand ${model.transcripts.length} isoform(s)`;
+            toggle.appendChild(toggleTitle);
+            toggle.addEventListener('click', (e) => {
+                e.stopPropagation();
+                this.toggleGeneModel(geneKey);
+            });
+            partsGroup.appendChild(toggle);
+        }
+        
+        // Label centred on the model
+        const name = GeneModelBuilder.getModelName(model);
+        const labelWidth = modelEndX - modelStartX;
+        if (labelWidth > 30) {
+            const fontSize = Math.max(8, Math.min(settings?.fontSize || 11, height * 0.7));
+            const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+            label.setAttribute('x', modelStartX + labelWidth / 2);
+            label.setAttribute('y', centerY);
+            label.setAttribute('text-anchor', 'middle');
+            label.setAttribute('dominant-baseline', 'central');
+            label.setAttribute('font-size', `${fontSize}px`);
+            label.setAttribute('font-family', settings?.fontFamily || 'Arial, sans-serif');
+            label.setAttribute('font-weight', '500');
+            label.setAttribute('fill', '#333');
+            label.setAttribute('paint-order', 'stroke');
+            label.setAttribute('stroke', 'rgba(255,255,255,0.8)');
+            label.setAttribute('stroke-width', '3');
+            label.setAttribute('pointer-events', 'none');
+            const maxChars = Math.floor(labelWidth / (fontSize * 0.6));
+            label.textContent = name.length > maxChars && maxChars > 3 ? name.substring(0, maxChars - 3) + '...' : name;
+            partsGroup.appendChild(label);
+        }
+        
+        // Transparent hit area so clicks on introns select the model
+        const hitArea = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+        hitArea.setAttribute('x', modelStartX);
+        hitArea.setAttribute('y', 0);
+        hitArea.setAttribute('width', modelEndX - modelStartX);
+        hitArea.setAttribute('height', height);
+        hitArea.setAttribute('fill', 'transparent');
+        partsGroup.insertBefore(hitArea, partsGroup.firstChild);
+        
+        this.addSVGGeneInteraction(modelGroup, model, operons, operonInfo, rowIndex);
+        
+        // Summarize the model in the tooltip
+        const title = modelGroup.querySelector(':scope > title');
+        if (title) {
+            const isoformInfo = model.transcripts ? `\nIsoforms: ${model.transcripts.length}` : '';
+            title.textContent = `${name}\n${title.textContent}\nExons: ${model.exons.length}${isoformInfo}`;
+        }
+        
+        return modelGroup;
+    }
+
     /**
      * Create SVG gradient for gene visualization
      */
@@ -2417,7 +2672,7 @@ class TrackRenderer {
         return track;
     }
 
-    createVariantTrack(chromosome) {
+    async createVariantTrack(chromosome) {
         // Check if we have multiple VCF files
         const vcfFiles = this.genomeBrowser.multiFileManager.getVcfFiles();
         
@@ -2460,7 +2715,10 @@ class TrackRenderer {
             );
             trackContent.appendChild(noVariantsMsg);
         } else {
-            this.renderVariantElements(trackContent, visibleVariants, viewport);
+            const variantsBottom = this.renderVariantElements(trackContent, visibleVariants, viewport);
+            if (variantsBottom > 60) {
+                trackContent.style.height = `${variantsBottom + 20}px`;
+            }
         }
         
         // Restore header state if it was previously hidden
@@ -2470,13 +2728,262 @@ class TrackRenderer {
     }
     
     /**
-     * Render variant elements
+     * Render variant elements: sequence variants in one row, structural variants below them
+     * @returns {number} Bottom of the rendered variants in pixels
      */
     renderVariantElements(trackContent, visibleVariants, viewport) {
+        const structuralVariants = [];
         visibleVariants.forEach((variant, index) => {
+            if (variant.svType) {
+                structuralVariants.push(variant);
+                return;
+            }
             const variantElement = this.createVariantElement(variant, viewport);
             trackContent.appendChild(variantElement);
         });
+        
+        if (structuralVariants.length === 0) {
+            return 32;
+        }
+        return this.renderStructuralVariants(trackContent, structuralVariants, viewport, 38);
+    }
+    
+    /**
+     * Render structural variants: breakend pairs as arcs over a row of breakend markers,
+     * and DEL/DUP/INV/INS/CNV records as spans with type-specific glyphs in packed lanes
+     * @returns {number} Bottom of the structural variants in pixels
+     */
+    renderStructuralVariants(trackContent, structuralVariants, viewport, top) {
+        const range = viewport.end - viewport.start;
+        const breakends = structuralVariants.filter(variant => variant.svType === 'BND');
+        const spans = structuralVariants.filter(variant => variant.svType !== 'BND');
+        const links = StructuralVariants.getBreakendLinks(breakends);
+        const arcHeight = 44;
+        let offset = top;
+        
+        if (links.length > 0) {
+            // Arcs in a 1000-unit wide coordinate system stretched over the track width
+            const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+            svg.setAttribute('viewBox', `0 0 1000 ${arcHeight}`);
+            svg.setAttribute('preserveAspectRatio', 'none');
+            svg.style.cssText = `
+                position: absolute;
+                top: ${offset}px;
+                left: 0;
+                width: 100%;
+                height: ${arcHeight}px;
+                overflow: hidden;
+            `;
+            const toX = position => ((position - viewport.start) / range) * 1000;
+            const color = StructuralVariants.TYPE_STYLES.BND.color;
+            
+            links.forEach(link => {
+                const x1 = toX(link.variant.start + 0.5);
+                const sameChromosome = link.mate.chromosome === link.variant.chromosome;
+                const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
+                
+                if (sameChromosome) {
+                    const x2 = toX(link.mate.position - 0.5);
+                    const height = Math.min(arcHeight - 2, Math.max(10, Math.abs(x2 - x1) * arcHeight / 500));
+                    const controlY = arcHeight - height * 4 / 3;
+                    path.setAttribute('d', `M ${x1} ${arcHeight} C ${x1} ${controlY} ${x2} ${controlY} ${x2} ${arcHeight}`);
+                } else {
+                    // Inter-chromosome links leave the track upwards
+                    path.setAttribute('d', `M ${x1} ${arcHeight} C ${x1} ${arcHeight / 3} ${x1 + 12} 6 ${x1 + 24} 0`);
+                    path.setAttribute('stroke-dasharray', '4 3');
+                }
+                path.setAttribute('fill', 'none');
+                path.setAttribute('stroke', color);
+                path.setAttribute('stroke-width', '1.5');
+                path.setAttribute('vector-effect', 'non-scaling-stroke');
+                path.style.cursor = 'pointer';
+                path.style.pointerEvents = 'stroke';
+                
+                const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+                title.textContent = `${StructuralVariants.describeBreakend(link.variant)}\nClick to go to the mate breakend`;
+                path.appendChild(title);
+                path.addEventListener('click', (event) => {
+                    event.stopPropagation();
+                    this.jumpToBreakendMate(link.mate);
+                });
+                svg.appendChild(path);
+                
+                if (!sameChromosome) {
+                    const label = document.createElement('div');
+                    label.className = 'sv-mate-label';
+                    label.style.cssText = `
+                        position: absolute;
+                        top: ${offset}px;
+                        left: calc(${Math.max(0, Math.min(95, x1 / 10))}% + 16px);
+                        font-size: 9px;
+                        color: ${color};
+                        white-space: nowrap;
+                        cursor: pointer;
+                    `;
+                    label.textContent = `→ ${link.mate.chromosome}:${link.mate.position.toLocaleString()}`;
+                    label.title = 'Click to go to the mate breakend';
+                    label.addEventListener('click', (event) => {
+                        event.stopPropagation();
+                        this.jumpToBreakendMate(link.mate);
+                    });
+                    trackContent.appendChild(label);
+                }
+            });
+            
+            trackContent.appendChild(svg);
+            offset += arcHeight;
+        }
+        
+        if (breakends.length > 0) {
+            breakends.forEach(variant => {
+                const element = this.createStructuralVariantElement(variant, viewport);
+                element.style.top = `${offset}px`;
+                trackContent.appendChild(element);
+            });
+            offset += 14;
+        }
+        
+        // Greedy lane packing so overlapping SVs stay visible
+        const laneHeight = 12;
+        const laneSpacing = 3;
+        const minimumSpan = range / 200;
+        const laneEnds = [];
+        [...spans].sort((a, b) => a.start - b.start).forEach(variant => {
+            let lane = laneEnds.findIndex(end => end < variant.start);
+            if (lane === -1) {
+                lane = laneEnds.length;
+                laneEnds.push(0);
+            }
+            laneEnds[lane] = Math.max(variant.end, variant.start + minimumSpan);
+            
+            const element = this.createStructuralVariantElement(variant, viewport);
+            element.style.top = `${offset + lane * (laneHeight + laneSpacing)}px`;
+            trackContent.appendChild(element);
+        });
+        offset += laneEnds.length * (laneHeight + laneSpacing);
+        
+        return offset;
+    }
+    
+    /**
+     * Create a structural variant element with a glyph for its type:
+     * deletions as a line between end caps, duplications as a double-outlined bar,
+     * inversions hatched, copy-number variants filled, insertions and breakends as markers
+     */
+    createStructuralVariantElement(variant, viewport) {
+        const element = document.createElement('div');
+        element.className = `variant-element sv-element sv-${variant.svType.toLowerCase()}`;
+        
+        const range = viewport.end - viewport.start;
+        const style = StructuralVariants.TYPE_STYLES[variant.svType];
+        const color = style.color;
+        let glyph;
+        
+        if (variant.svType === 'INS' || variant.svType === 'BND') {
+            const left = ((variant.start + 1 - viewport.start) / range) * 100;
+            glyph = `
+                left: ${left}%;
+                width: 10px;
+                margin-left: -5px;
+                height: 12px;
+                color: ${color};
+                font-size: 10px;
+                line-height: 12px;
+                text-align: center;
+            `;
+            element.textContent = variant.svType === 'INS' ? '▼' : '◆';
+        } else {
+            const spanStart = Math.max(variant.start + 1, viewport.start);
+            const spanEnd = Math.min(variant.end, viewport.end);
+            const left = ((spanStart - viewport.start) / range) * 100;
+            const width = Math.max(((spanEnd - spanStart) / range) * 100, 0.3);
+            
+            const backgrounds = {
+                DEL: `linear-gradient(to bottom, transparent 42%, ${color} 42%, ${color} 58%, transparent 58%)`,
+                DUP: `${color}59`,
+                INV: `repeating-linear-gradient(45deg, ${color} 0 2px, transparent 2px 6px)`,
+                CNV: `${color}99`
+            };
+            const borders = {
+                DEL: `border-left: 2px solid ${color}; border-right: 2px solid ${color};`,
+                DUP: `border: 3px double ${color};`,
+                INV: `border: 1px solid ${color};`,
+                CNV: `border: 1px solid ${color};`
+            };
+            glyph = `
+                left: ${left}%;
+                width: ${width}%;
+                height: 12px;
+                background: ${backgrounds[variant.svType]};
+                ${borders[variant.svType]}
+                box-sizing: border-box;
+                border-radius: 2px;
+                overflow: hidden;
+                white-space: nowrap;
+                font-size: 9px;
+                line-height: 10px;
+                color: #222;
+                padding: 0 3px;
+            `;
+            element.textContent = `${variant.svType}${variant.svLength ? ` ${variant.svLength.toLocaleString()} bp` : ''}`;
+        }
+        
+        element.style.cssText = `
+            position: absolute;
+            cursor: pointer;
+            ${glyph}
+        `;
+        
+        this.addVariantInteraction(element, variant);
+        element.title = this.getStructuralVariantTooltip(variant);
+        
+        return element;
+    }
+    
+    getStructuralVariantTooltip(variant) {
+        const lines = [
+            `${StructuralVariants.TYPE_STYLES[variant.svType].label}: ${variant.id || 'Unknown'}`,
+            `Position: ${variant.chromosome}:${(variant.start + 1).toLocaleString()}` +
+                (variant.svType === 'BND' || variant.svType === 'INS' ? '' : `-${variant.end.toLocaleString()}`),
+            `Alt: ${variant.alt}`
+        ];
+        if (variant.svLength) {
+            lines.push(`Length: ${variant.svLength.toLocaleString()} bp`);
+        }
+        if (variant.mate) {
+            lines.push(StructuralVariants.describeBreakend(variant));
+        }
+        ['CIPOS', 'CIEND', 'MATEID', 'CN'].forEach(key => {
+            const value = StructuralVariants.getInfoValue(variant.info, key);
+            if (value !== null) lines.push(`${key}: ${value}`);
+        });
+        lines.push(`Quality: ${variant.quality || 'N/A'}`);
+        return lines.join('\n');
+    }
+    
+    /**
+     * Show the region around the mate position of a breakend
+     */
+    jumpToBreakendMate(mate) {
+        const sequence = this.genomeBrowser.currentSequence && this.genomeBrowser.currentSequence[mate.chromosome];
+        if (!sequence) {
+            this.genomeBrowser.updateStatus(`${mate.chromosome} is not loaded in this genome`);
+            return;
+        }
+        
+        const viewport = this.getCurrentViewport();
+        const halfWidth = Math.max(50, Math.round((viewport.end - viewport.start) / 2));
+        console.log(`🧬 Jumping to mate breakend ${mate.chromosome}:${mate.position}`);
+        const chromosomeSelect = document.getElementById('chromosomeSelect');
+        if (chromosomeSelect) {
+            chromosomeSelect.value = mate.chromosome;
+        }
+        this.genomeBrowser.currentChromosome = mate.chromosome;
+        this.genomeBrowser.currentPosition = {
+            start: Math.max(0, mate.position - 1 - halfWidth),
+            end: Math.min(sequence.length, mate.position + halfWidth)
+        };
+        this.genomeBrowser.displayGenomeView(mate.chromosome, sequence);
     }
     
     /**
@@ -2664,7 +3171,7 @@ class TrackRenderer {
     /**
      * Create multiple variant tracks for multiple VCF files
      */
-    createMultipleVariantTracks(chromosome, vcfFiles) {
+    async createMultipleVariantTracks(chromosome, vcfFiles) {
         const tracksContainer = document.createElement('div');
         tracksContainer.className = 'multi-variant-tracks-container';
         
@@ -2672,7 +3179,7 @@ class TrackRenderer {
             const vcfFile = vcfFiles[i];
             
             if (this.genomeBrowser.multiFileManager.getTrackVisibility(vcfFile.trackId)) {
-                const track = this.createSingleVariantTrack(chromosome, vcfFile);
+                const track = await this.createSingleVariantTrack(chromosome, vcfFile);
                 if (track) {
                     tracksContainer.appendChild(track);
                     
@@ -2699,7 +3206,7 @@ class TrackRenderer {
     /**
      * Create single variant track with file-specific header
      */
-    createSingleVariantTrack(chromosome, vcfFile) {
+    async createSingleVariantTrack(chromosome, vcfFile) {
         const viewport = this.getCurrentViewport();
         
         // Create track base
@@ -2721,23 +3228,46 @@ class TrackRenderer {
         track.appendChild(trackContent);
         
         try {
-            // Get variants for this specific file
-            const variants = vcfFile.data[chromosome] || [];
-            const visibleVariants = this.filterFeaturesByViewport(variants, viewport);
+            // Get variants for this specific file (indexed files are queried for the viewport only)
+            const variants = vcfFile.source
+                ? await vcfFile.source.getFeaturesForRegion(chromosome, viewport.start, viewport.end)
+                : vcfFile.data[chromosome] || [];
+            const regionVariants = this.filterFeaturesByViewport(variants, viewport);
+            const visibleVariants = vcfFile.filter
+                ? regionVariants.filter(variant => vcfFile.filter.test(variant))
+                : regionVariants;
             
             console.log(`Displaying ${visibleVariants.length} variants from ${vcfFile.metadata.name} in region ${viewport.start}-${viewport.end}`);
             
             if (visibleVariants.length === 0) {
                 const noVariantsMsg = this.createNoDataMessage(
-                    `No variants found in this region for ${vcfFile.metadata.name}`,
+                    vcfFile.filter && regionVariants.length > 0
+                        ? `No variants in this region pass the filter for ${vcfFile.metadata.name}`
+                        : `No variants found in this region for ${vcfFile.metadata.name}`,
                     'no-variants-message'
                 );
                 trackContent.appendChild(noVariantsMsg);
             } else {
-                this.renderVariantElements(trackContent, visibleVariants, viewport);
+                const variantsBottom = this.renderVariantElements(trackContent, visibleVariants, viewport);
+                if (variantsBottom > 60) {
+                    trackContent.style.height = `${variantsBottom + 20}px`;
+                }
                 
                 // Add file-specific statistics
-                const statsText = `${vcfFile.metadata.name}: ${visibleVariants.length} variants`;
+                let statsText = vcfFile.filter
+                    ? `${vcfFile.metadata.name}: ${visibleVariants.length} of ${regionVariants.length} variants pass filter`
+                    : `${vcfFile.metadata.name}: ${visibleVariants.length} variants`;
+                
+                // Genotype matrix below the variants for multi-sample VCFs
+                const sampleNames = vcfFile.metadata.samples || [];
+                const settings = this.getTrackSettings('variants');
+                if (sampleNames.length > 0 && settings.showGenotypes !== false) {
+                    const shownSamples = this.renderGenotypeMatrix(trackContent, visibleVariants, vcfFile, viewport, settings, Math.max(40, variantsBottom + 6));
+                    statsText += shownSamples === sampleNames.length
+                        ? `, ${sampleNames.length} samples`
+                        : `, ${shownSamples} of ${sampleNames.length} samples`;
+                }
+                
                 const statsElement = this.createStatsElement(statsText, 'variant-track-stats');
                 trackContent.appendChild(statsElement);
             }
@@ -2757,6 +3287,82 @@ class TrackRenderer {
         return track;
     }
 
+    /**
+     * Render the genotype matrix of a multi-sample VCF below its variants (one row per sample).
+     * Clicking a site sorts samples by their genotype there; clicking it again reverses the order.
+     * @returns {number} Number of samples shown
+     */
+    renderGenotypeMatrix(trackContent, visibleVariants, vcfFile, viewport, settings, matrixTop = 40) {
+        if (typeof CanvasGenotypeRenderer === 'undefined' || typeof VcfGenotypes === 'undefined') {
+            console.warn('⚠️ [TrackRenderer] CanvasGenotypeRenderer not available, skipping genotype matrix');
+            return 0;
+        }
+        
+        const fileId = vcfFile.metadata.id;
+        const sampleNames = vcfFile.metadata.samples;
+        const selected = VcfGenotypes.selectSamples(sampleNames, settings.sampleFilter);
+        if (selected.length === 0) {
+            return 0;
+        }
+        
+        // Keep the last sort order for the selected samples; newly selected samples go last
+        const sortState = this.genotypeSortStates.get(fileId);
+        let sampleOrder = selected;
+        if (sortState) {
+            const selectedSet = new Set(selected);
+            const sorted = sortState.order.filter(index => selectedSet.has(index));
+            const sortedSet = new Set(sorted);
+            sampleOrder = sorted.concat(selected.filter(index => !sortedSet.has(index)));
+        }
+        
+        // Squeeze rows to fit the maximum matrix height
+        const maxHeight = settings.maxGenotypeHeight || 400;
+        const rowPitch = Math.max(1, Math.min((settings.genotypeRowHeight || 10) + 1, Math.floor(maxHeight / sampleOrder.length)));
+        const rowSpacing = rowPitch >= 5 ? 1 : 0;
+        
+        const trackId = `genotypes-track-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        const matrixContainer = document.createElement('div');
+        matrixContainer.className = 'genotype-canvas-container';
+        matrixContainer.setAttribute('data-track-id', trackId);
+        matrixContainer.style.cssText = `
+            position: absolute;
+            top: ${matrixTop}px;
+            left: 0;
+            width: 100%;
+            overflow: hidden;
+        `;
+        trackContent.appendChild(matrixContainer);
+        
+        const genotypeRenderer = new CanvasGenotypeRenderer(matrixContainer, visibleVariants, sampleNames, viewport, {
+            rowHeight: rowPitch - rowSpacing,
+            rowSpacing: rowSpacing,
+            showSampleNames: settings.showSampleNames !== false,
+            sampleOrder: sampleOrder,
+            colors: {
+                homRef: settings.homRefColor || '#c8c8c8',
+                het: settings.hetColor || '#220cfd',
+                homAlt: settings.homAltColor || '#11f8fe',
+                missing: settings.missingColor || '#f0f0f0'
+            },
+            onSiteClick: (variant) => {
+                const siteKey = `${variant.chromosome}:${variant.start}:${variant.ref}:${variant.alt}`;
+                const previous = this.genotypeSortStates.get(fileId);
+                const reverse = previous && previous.siteKey === siteKey ? !previous.reverse : false;
+                const order = VcfGenotypes.sortSamplesByGenotype(genotypeRenderer.sampleOrder, variant, reverse);
+                
+                this.genotypeSortStates.set(fileId, { order, siteKey, reverse });
+                genotypeRenderer.setSampleOrder(order);
+                console.log(`🧬 [TrackRenderer] Sorted ${order.length} samples by genotype at ${variant.chromosome}:${variant.start + 1}${reverse ? ' (reversed)' : ''}`);
+            }
+        });
+        genotypeRenderer.render();
+        this.canvasRenderers.set(trackId, genotypeRenderer);
+        
+        trackContent.style.height = `${matrixTop + genotypeRenderer.canvasHeight + 5}px`;
+        
+        return sampleOrder.length;
+    }
+
     async createReadsTrack(chromosome) {
         console.log('🔧 [DEBUG] [createReadsTrack] Entry point called for chromosome:', chromosome);
         // Check if we have multiple BAM files
@@ -3014,8 +3620,8 @@ class TrackRenderer {
                 this.createReferenceVisualization(trackContent, viewport, referenceHeight, settings);
             }
             
-            // Arrange reads into non-overlapping rows
-            const readRows = this.arrangeReadsInRows(visibleReads, viewport.start, viewport.end);
+            // Arrange reads (or mate pairs) into non-overlapping rows
+            const readRows = this.layoutReadRows(visibleReads, viewport, settings);
             
             const readHeight = settings.readHeight || 14;
             const rowSpacing = settings.readSpacing || 2;
@@ -3069,7 +3675,7 @@ class TrackRenderer {
             
             if (enableVerticalScroll) {
                 // Scrollable mode statistics
-                const totalReadsCount = readRows.reduce((sum, row) => sum + row.length, 0);
+                const totalReadsCount = this.countReadsInRows(readRows);
                 const maxVisibleRows = settings.maxVisibleRows || 10;
                 statsText = `${totalReadsCount} reads in ${readRows.length} rows (${Math.min(maxVisibleRows, readRows.length)} visible, scrollable)`;
             } else {
@@ -3077,11 +3683,11 @@ class TrackRenderer {
                 const maxRows = settings.maxRows || 20;
                 const limitedReadRows = readRows.slice(0, maxRows);
             const hiddenRowsCount = Math.max(0, readRows.length - limitedReadRows.length);
-            const visibleReadsCount = limitedReadRows.reduce((sum, row) => sum + row.length, 0);
+            const visibleReadsCount = this.countReadsInRows(limitedReadRows);
             
                 statsText = `${visibleReadsCount} reads in ${limitedReadRows.length} rows`;
             if (hiddenRowsCount > 0) {
-                const hiddenReadsTotal = readRows.slice(maxRows).reduce((sum, row) => sum + row.length, 0);
+                const hiddenReadsTotal = this.countReadsInRows(readRows.slice(maxRows));
                 statsText += ` (${hiddenReadsTotal} hidden)`;
             }
             }
@@ -3099,6 +3705,12 @@ class TrackRenderer {
                 }
             }
             
+            // Expected insert size range used for pair coloring
+            if (readRows.insertSizeStats) {
+                const insertStats = readRows.insertSizeStats;
+                statsText += ` | Insert size: ${insertStats.min}-${insertStats.max} bp (${insertStats.mode})`;
+            }
+            
             statsText += ` | Cache: ${stats.cacheSize}/${stats.maxCacheSize} (${Math.round(stats.hitRate * 100)}% hit rate)`;
             
                 const statsElement = this.createStatsElement(statsText, 'reads-stats');
@@ -3261,7 +3873,7 @@ class TrackRenderer {
                 }
                 
                 // Arrange reads into rows
-                const readRows = this.arrangeReadsInRows(reads, viewport.start, viewport.end);
+                const readRows = this.layoutReadRows(reads, viewport, settings);
                 
                 // Calculate rendering parameters
                 const readHeight = settings.readHeight || 4;
@@ -3471,7 +4083,7 @@ class TrackRenderer {
                 }
                 
                 // Arrange reads in rows
-                const readRows = this.arrangeReadsInRows(reads, viewport.start, viewport.end);
+                const readRows = this.layoutReadRows(reads, viewport, settings);
                 
                 // Calculate track height and spacing
                 const readHeight = parseInt(settings.readHeight) || 8;
@@ -3882,10 +4494,10 @@ class TrackRenderer {
         
         // Render visible rows
         for (let rowIndex = startRow; rowIndex < endRow && rowIndex < readRows.length; rowIndex++) {
-            const rowReads = readRows[rowIndex];
             const relativeRowIndex = rowIndex - startRow;
+            const rowReads = this.appendSVGPairConnectors(svg, readRows[rowIndex], viewport.start, viewport.end - viewport.start, readHeight, relativeRowIndex, rowSpacing, containerWidth, settings);
             
-            rowReads.forEach((read) => {
+            rowReads.forEach(({ read, settings: readSettings }) => {
                 // In scrollable mode, calculate reference spacing separately
                 const referenceSpacing = (settings.showReference !== false) ? readHeight + 5 : 0;
                 const readGroup = this.createSVGReadElement(
@@ -3898,7 +4510,7 @@ class TrackRenderer {
                     rowSpacing, 
                     referenceSpacing, // Pass reference spacing as topPadding in scrollable mode
                     containerWidth, 
-                    settings
+                    readSettings
                 );
                 if (readGroup) {
                     svg.appendChild(readGroup);
@@ -3993,6 +4605,16 @@ class TrackRenderer {
             paired: settings.pairedColor || '#6c5ce7'
         };
         
+        // Pair items: connector first, then both mates in the pair color
+        const pairColors = new Map();
+        rowReads = rowReads.flatMap(item => {
+            if (!item.isPair) return [item];
+            const pairColor = this.getPairColor(item, settings);
+            this.drawCanvasPairConnector(ctx, item, pairColor, viewport, y, readHeight, containerWidth);
+            if (pairColor) item.reads.forEach(read => pairColors.set(read, pairColor));
+            return item.reads;
+        });
+        
         rowReads.forEach(read => {
             // Calculate read position and dimensions
             const readStart = Math.max(read.start, viewport.start);
@@ -4009,7 +4631,9 @@ class TrackRenderer {
             
             // Determine read color
             let readColor = baseColors.forward;
-            if (read.strand === '-') {
+            if (pairColors.has(read)) {
+                readColor = pairColors.get(read);
+            } else if (read.strand === '-') {
                 readColor = baseColors.reverse;
             } else if (read.isPaired) {
                 readColor = baseColors.paired;
@@ -4084,6 +4708,219 @@ class TrackRenderer {
         return rows;
     }
 
+    /**
+     * Arrange reads into rows, linking mates into pair items when "view as pairs" is on.
+     * With grouping, each group gets its own rows behind a header row (an empty row
+     * carrying `groupHeader`); with sorting, rows are ordered by the read at the view center.
+     */
+    layoutReadRows(reads, viewport, settings = {}) {
+        let items = reads;
+        let insertSizeStats = null;
+        
+        if (settings.viewAsPairs && typeof ReadPairAnalyzer !== 'undefined') {
+            items = ReadPairAnalyzer.pairReads(reads, {
+                insertSizeMode: settings.insertSizeMode || 'auto',
+                minInsertSize: parseInt(settings.minInsertSize) || 50,
+                maxInsertSize: parseInt(settings.maxInsertSize) || 1000,
+                expectedOrientation: settings.expectedPairOrientation || 'FR'
+            });
+            insertSizeStats = items.insertSizeStats;
+            
+            const pairCount = items.filter(item => item.isPair).length;
+            const discordant = items.filter(item => item.isPair && item.category !== 'normal').length;
+            console.log(`🔗 [TrackRenderer] Paired ${pairCount} templates (${discordant} discordant), insert size ${insertSizeStats.min}-${insertSizeStats.max} bp`);
+        }
+        
+        const groupBy = settings.groupBy || 'none';
+        const sortBy = settings.sortBy || 'none';
+        let rows;
+        
+        if (typeof ReadOrganizer === 'undefined' || (groupBy === 'none' && sortBy === 'none')) {
+            rows = this.arrangeReadsInRows(items, viewport.start, viewport.end);
+        } else {
+            // Sort and group at the view center (1-based)
+            const position = Math.floor((viewport.start + viewport.end) / 2) + 1;
+            const options = {
+                groupBy,
+                groupTag: settings.groupTag,
+                sortBy,
+                sortTag: settings.sortTag,
+                position,
+                referenceBase: sortBy === 'base' ? this.getReferenceSequence(position - 1, position) : null
+            };
+            
+            // Header rows must be tall enough for the group label
+            const rowHeight = (parseInt(settings.readHeight) || 4) + (parseInt(settings.readSpacing) || 2);
+            const headerRowCount = Math.max(1, Math.ceil(12 / rowHeight));
+            
+            rows = [];
+            ReadOrganizer.groupItems(items, options).forEach(group => {
+                const groupRows = ReadOrganizer.sortRows(this.arrangeReadsInRows(group.items, viewport.start, viewport.end), options);
+                if (group.label !== null) {
+                    for (let i = 0; i < headerRowCount; i++) {
+                        const headerRow = [];
+                        headerRow.groupHeader = i === 0
+                            ? { label: group.label, count: group.items.length, rows: headerRowCount }
+                            : { spacer: true };
+                        rows.push(headerRow);
+                    }
+                }
+                rows.push(...groupRows);
+            });
+            
+            console.log(`🗂️ [TrackRenderer] Reads grouped by ${groupBy}, sorted by ${sortBy} at ${position}`);
+        }
+        
+        if (insertSizeStats) {
+            rows.insertSizeStats = insertSizeStats;
+        }
+        return rows;
+    }
+
+    /**
+     * Insert size / orientation color of a pair item, or null for a normal pair or when pair coloring is off
+     */
+    getPairColor(pair, settings = {}) {
+        if (settings.colorByPairs === false || typeof ReadPairAnalyzer === 'undefined') return null;
+        return ReadPairAnalyzer.getPairColor(pair);
+    }
+
+    /**
+     * Segments joined by a pair connector: both mates, or the loaded mate and the outline of the other
+     */
+    getPairSegments(pair) {
+        const segments = pair.reads.map(read => ({ start: read.start, end: read.end }));
+        if (pair.mateOutline) segments.push(pair.mateOutline);
+        return segments.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Draw the connector of each pair item in an SVG row (with the outline of a mate outside the
+     * loaded region) and return the row's reads, each with the settings it is drawn with
+     */
+    appendSVGPairConnectors(svg, rowItems, start, range, readHeight, rowIndex, rowSpacing, containerWidth, settings) {
+        const reads = [];
+        rowItems.forEach(item => {
+            if (!item.isPair) {
+                reads.push({ read: item, settings });
+                return;
+            }
+            
+            const pairColor = this.getPairColor(item, settings);
+            const strokeColor = pairColor || '#9AA0A6';
+            const toX = position => ((position - start) / range) * containerWidth;
+            // Same row geometry as createSVGReadElement
+            const y = 5 + rowIndex * (readHeight + rowSpacing);
+            const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+            group.setAttribute('class', 'svg-read-pair-connector');
+            
+            const segments = this.getPairSegments(item);
+            if (segments.length === 2 && segments[1].start > segments[0].end) {
+                const x1 = Math.max(0, toX(segments[0].end));
+                const x2 = Math.min(containerWidth, toX(segments[1].start));
+                if (x2 > x1) {
+                    const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+                    line.setAttribute('x1', x1);
+                    line.setAttribute('x2', x2);
+                    line.setAttribute('y1', y + readHeight / 2);
+                    line.setAttribute('y2', y + readHeight / 2);
+                    line.setAttribute('stroke', strokeColor);
+                    line.setAttribute('stroke-width', '1');
+                    group.appendChild(line);
+                }
+            }
+            
+            if (item.mateOutline) {
+                const x = toX(item.mateOutline.start);
+                const width = Math.max(toX(item.mateOutline.end) - x, settings.minWidth || 2);
+                if (x + width >= 0 && x <= containerWidth) {
+                    const outline = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+                    outline.setAttribute('x', x);
+                    outline.setAttribute('y', y);
+                    outline.setAttribute('width', width);
+                    outline.setAttribute('height', readHeight);
+                    outline.setAttribute('fill', 'none');
+                    outline.setAttribute('stroke', strokeColor);
+                    outline.setAttribute('stroke-dasharray', '2,2');
+                    group.appendChild(outline);
+                }
+            }
+            
+            if (group.childNodes.length > 0) svg.appendChild(group);
+            const mateSettings = pairColor ? { ...settings, pairColor } : settings;
+            item.reads.forEach(read => reads.push({ read, settings: mateSettings }));
+        });
+        return reads;
+    }
+
+    /**
+     * Draw the connector of a pair item in a scrollable Canvas row
+     */
+    drawCanvasPairConnector(ctx, pair, pairColor, viewport, y, readHeight, containerWidth) {
+        const range = viewport.end - viewport.start;
+        const toX = position => ((position - viewport.start) / range) * containerWidth;
+        const segments = this.getPairSegments(pair);
+        
+        ctx.strokeStyle = pairColor || '#9AA0A6';
+        ctx.lineWidth = 1;
+        if (segments.length === 2 && segments[1].start > segments[0].end) {
+            const x1 = Math.max(0, toX(segments[0].end));
+            const x2 = Math.min(containerWidth, toX(segments[1].start));
+            if (x2 > x1) {
+                ctx.beginPath();
+                ctx.moveTo(x1, y + readHeight / 2);
+                ctx.lineTo(x2, y + readHeight / 2);
+                ctx.stroke();
+            }
+        }
+        if (pair.mateOutline) {
+            const x = toX(pair.mateOutline.start);
+            const width = Math.max(toX(pair.mateOutline.end) - x, 2);
+            ctx.setLineDash([2, 2]);
+            ctx.strokeRect(x, y, width, readHeight);
+            ctx.setLineDash([]);
+        }
+    }
+
+    /**
+     * Draw a group label and separator for a header row in the reads SVG
+     */
+    createSVGGroupHeader(groupHeader, rowIndex, readHeight, rowSpacing, containerWidth) {
+        const rowHeight = readHeight + rowSpacing;
+        const y = 5 + rowIndex * rowHeight;
+        const height = groupHeader.rows * rowHeight;
+        
+        const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+        group.setAttribute('class', 'svg-read-group-header');
+        
+        const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+        line.setAttribute('x1', '0');
+        line.setAttribute('x2', containerWidth);
+        line.setAttribute('y1', y + height - 1);
+        line.setAttribute('y2', y + height - 1);
+        line.setAttribute('stroke', '#b2bec3');
+        line.setAttribute('stroke-dasharray', '4,2');
+        group.appendChild(line);
+        
+        const text = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+        text.setAttribute('x', '4');
+        text.setAttribute('y', y + height - 3);
+        text.setAttribute('font-size', Math.min(10, height - 2));
+        text.setAttribute('font-family', 'Arial, sans-serif');
+        text.setAttribute('fill', '#2d3436');
+        text.textContent = `${groupHeader.label} (${groupHeader.count})`;
+        group.appendChild(text);
+        
+        return group;
+    }
+
+    /**
+     * Count reads in rows that may hold pair items
+     */
+    countReadsInRows(readRows) {
+        return readRows.reduce((sum, row) => sum + row.reduce((count, item) => count + (item.isPair ? item.reads.length : 1), 0), 0);
+    }
+
     // Helper method to check if two reads overlap
     readsOverlap(read1, read2) {
         return !(read1.end < read2.start || read2.end < read1.start);
@@ -4096,7 +4933,7 @@ class TrackRenderer {
         console.log('🔧 [DEBUG] [renderReadsElementsSVG] Entry point called');
         console.log('🔧 [DEBUG] [renderReadsElementsSVG] Parameters:', {
             readRowsCount: readRows.length,
-            totalReads: readRows.reduce((sum, row) => sum + row.length, 0),
+            totalReads: this.countReadsInRows(readRows),
             start, end, range,
             renderingMode: settings.renderingMode
         });
@@ -4151,9 +4988,15 @@ class TrackRenderer {
         
         // Create read elements as SVG rectangles
         readRows.forEach((rowReads, rowIndex) => {
-            rowReads.forEach((read) => {
+            // Group label above the rows of each read group
+            if (rowReads.groupHeader && !rowReads.groupHeader.spacer) {
+                svg.appendChild(this.createSVGGroupHeader(rowReads.groupHeader, rowIndex, readHeight, rowSpacing, containerWidth));
+            }
+            
+            const reads = this.appendSVGPairConnectors(svg, rowReads, start, range, readHeight, rowIndex, rowSpacing, containerWidth, settings);
+            reads.forEach(({ read, settings: readSettings }) => {
                 // Reference is now handled separately, so use original topPadding
-                const readGroup = this.createSVGReadElement(read, start, end, range, readHeight, rowIndex, rowSpacing, topPadding, containerWidth, settings);
+                const readGroup = this.createSVGReadElement(read, start, end, range, readHeight, rowIndex, rowSpacing, topPadding, containerWidth, readSettings);
                 if (readGroup) {
                     svg.appendChild(readGroup);
                     
@@ -4171,7 +5014,7 @@ class TrackRenderer {
                         } else {
                             console.log(`❌ [TrackRenderer] Sequence rendering failed, creating fallback read shape for: ${read.id}`);
                             // Sequence rendering failed, create a fallback read shape
-                            const fallbackReadGroup = this.createSVGReadElement(read, start, end, range, readHeight, rowIndex, rowSpacing, topPadding, containerWidth, { ...settings, showSequences: false });
+                            const fallbackReadGroup = this.createSVGReadElement(read, start, end, range, readHeight, rowIndex, rowSpacing, topPadding, containerWidth, { ...readSettings, showSequences: false });
                             if (fallbackReadGroup) {
                                 svg.appendChild(fallbackReadGroup);
                             }
@@ -4249,6 +5092,10 @@ class TrackRenderer {
             strandColoring: !settings.showQualityColors, // Use strand coloring when not using quality
             mismatchHighlight: settings.highlightMismatches !== false,
             showCoverage: settings.showCoverage !== false,
+            viewAsPairs: settings.viewAsPairs || false,
+            pairColoring: settings.colorByPairs !== false,
+            colorBy: settings.colorBy || 'default',
+            colorTag: settings.colorTag || '',
             backgroundColor: 'transparent',
             // Color settings from track settings
             forwardColor: settings.forwardColor || '#00b894',
@@ -4749,6 +5596,15 @@ class TrackRenderer {
                 });
                 
                 return result;
+            } else if (sequence && sequence.isIndexed) {
+                // Indexed genomes: use cached bases, otherwise load only this region (the view redraws once it is cached)
+                const startIndex = Math.max(0, start);
+                const endIndex = Math.min(sequence.length, end);
+                const cached = sequence.getCachedSequence(startIndex, endIndex);
+                if (cached === null) {
+                    sequence.reader.scheduleFetch(sequence.chromosome, startIndex, endIndex);
+                }
+                return cached;
             } else {
                 console.log(`🔍 [getReferenceSequence] Invalid sequence type or empty: ${typeof sequence}, length: ${sequence?.length}`);
             }
@@ -4827,6 +5683,14 @@ class TrackRenderer {
                 fillColor = settings.reverseColor || '#f39c12'; // Low quality - orange
                 strokeColor = settings.borderColor || '#2d3436';
             }
+        } else if (settings.pairColor) {
+            // Insert size and orientation outliers in pair view
+            fillColor = settings.pairColor;
+            strokeColor = settings.borderColor || '#2d3436';
+        } else if (settings.colorBy && settings.colorBy !== 'default' && typeof ReadOrganizer !== 'undefined') {
+            // Color by strand or tag value
+            fillColor = ReadOrganizer.getReadColor(read, settings) || (isForward ? settings.forwardColor || '#00b894' : settings.reverseColor || '#f39c12');
+            strokeColor = settings.borderColor || '#2d3436';
         } else {
             // Color by strand
             if (isForward) {
@@ -5872,7 +6736,7 @@ class TrackRenderer {
         const sequence = this.genomeBrowser.currentSequence[chromosome];
         // protein.start and protein.end are already 0-based coordinates, consistent with viewport coordinates
         const dnaSequence = sequence.substring(protein.start, protein.end);
-        const proteinSequence = this.genomeBrowser.translateDNA(dnaSequence, protein.strand);
+        const proteinSequence = this.genomeBrowser.translateCDS(dnaSequence, protein.strand, this.genomeBrowser.getGeneticCode(protein, chromosome));
         
         console.log(`🔍 [showProteinDetails] Fixed protein coordinate mapping:`, {
             proteinStart: protein.start,
@@ -6751,6 +7615,451 @@ class TrackRenderer {
                 return track;
     }
 
+    /**
+     * Create synteny track from PAF/MAF whole-genome alignments.
+     * One lane group per alignment file; overlapping blocks (duplications) are stacked.
+     * Collinear blocks are green, inverted blocks red, with opacity scaled by identity.
+     */
+    createSyntenyTrack(chromosome) {
+        const { track, trackContent } = this.createTrackBase('synteny', chromosome);
+        const viewport = this.getCurrentViewport();
+        const alignmentSets = Object.values(this.genomeBrowser.currentSyntenyAlignments || {});
+
+        if (alignmentSets.length === 0) {
+            const noDataMsg = this.createNoDataMessage(
+                'No genome alignment loaded. Load a PAF or MAF file to see synteny blocks.',
+                'no-synteny-message'
+            );
+            trackContent.appendChild(noDataMsg);
+            return track;
+        }
+
+        const laneHeight = 14;
+        const laneSpacing = 3;
+        const labelHeight = 14;
+        let offset = 4;
+        let visibleCount = 0;
+
+        alignmentSets.forEach(alignmentSet => {
+            const blocks = WholeGenomeAlignmentParser.getBlocksForChromosome(alignmentSet.blocks, chromosome)
+                .filter(view => view.start <= viewport.end && view.end >= viewport.start);
+
+            const setLabel = document.createElement('div');
+            setLabel.className = 'synteny-set-label';
+            setLabel.style.cssText = `
+                position: absolute;
+                top: ${offset}px;
+                left: 4px;
+                font-size: 10px;
+                color: #666;
+            `;
+            setLabel.textContent = `${alignmentSet.name} (${alignmentSet.format})${blocks.length === 0 ? ': no alignments in this region' : ''}`;
+            trackContent.appendChild(setLabel);
+            offset += labelHeight;
+
+            // Greedy lane packing so overlapping blocks stay visible
+            const laneEnds = [];
+            blocks.forEach(view => {
+                let lane = laneEnds.findIndex(end => end < view.start);
+                if (lane === -1) {
+                    lane = laneEnds.length;
+                    laneEnds.push(0);
+                }
+                laneEnds[lane] = view.end;
+
+                const element = this.createSyntenyBlockElement(view, viewport);
+                element.style.top = `${offset + lane * (laneHeight + laneSpacing)}px`;
+                element.style.height = `${laneHeight}px`;
+                trackContent.appendChild(element);
+            });
+
+            offset += Math.max(laneEnds.length, 1) * (laneHeight + laneSpacing) + 4;
+            visibleCount += blocks.length;
+        });
+
+        trackContent.style.height = `${Math.max(80, offset + 10)}px`;
+
+        const totalBlocks = alignmentSets.reduce((sum, alignmentSet) => sum + alignmentSet.blocks.length, 0);
+        const statsElement = this.createStatsElement(
+            `${visibleCount} blocks in view (${totalBlocks} total)`,
+            'synteny-track-stats'
+        );
+        trackContent.appendChild(statsElement);
+
+        // Restore header state if it was previously hidden
+        this.restoreHeaderState(track, 'synteny');
+
+        return track;
+    }
+
+    /**
+     * Create one synteny block element; clicking it jumps to the aligned region if that sequence is loaded
+     */
+    createSyntenyBlockElement(view, viewport) {
+        const element = document.createElement('div');
+        element.className = 'synteny-block';
+
+        const blockStart = Math.max(view.start, viewport.start);
+        const blockEnd = Math.min(view.end, viewport.end);
+        const left = ((blockStart - viewport.start) / viewport.range) * 100;
+        const width = Math.max(((blockEnd - blockStart) / viewport.range) * 100, 0.2);
+        const baseColor = view.orientation === '-' ? '220, 20, 60' : '34, 139, 34';
+        const alpha = 0.35 + 0.65 * Math.max(0, Math.min(1, view.identity));
+
+        element.style.cssText = `
+            position: absolute;
+            left: ${left}%;
+            width: ${width}%;
+            background: rgba(${baseColor}, ${alpha.toFixed(2)});
+            border: 1px solid rgb(${baseColor});
+            border-radius: 2px;
+            box-sizing: border-box;
+            overflow: hidden;
+            white-space: nowrap;
+            font-size: 9px;
+            line-height: 12px;
+            color: white;
+            padding: 0 3px;
+            cursor: pointer;
+        `;
+
+        const partner = `${view.partnerGenome ? view.partnerGenome + '.' : ''}${view.partnerChromosome}:${view.partnerStart.toLocaleString()}-${view.partnerEnd.toLocaleString()}`;
+        element.textContent = `${view.orientation === '-' ? '◀' : '▶'} ${partner}`;
+        element.title = `Aligned to: ${partner} (${view.orientation})\n` +
+                        `Region: ${view.start.toLocaleString()}-${view.end.toLocaleString()}\n` +
+                        `Identity: ${(view.identity * 100).toFixed(1)}%\n` +
+                        `Alignment blocks: ${view.block.alignmentCount}` +
+                        (view.block.mappingQuality !== undefined ? `\nMAPQ: ${view.block.mappingQuality}` : '');
+
+        element.addEventListener('click', (event) => {
+            event.stopPropagation();
+            const sequence = this.genomeBrowser.currentSequence && this.genomeBrowser.currentSequence[view.partnerChromosome];
+            if (!sequence) {
+                this.genomeBrowser.updateStatus(`${view.partnerChromosome} is not loaded in this genome`);
+                return;
+            }
+
+            console.log(`🧬 Jumping to aligned region ${partner}`);
+            const chromosomeSelect = document.getElementById('chromosomeSelect');
+            if (chromosomeSelect) {
+                chromosomeSelect.value = view.partnerChromosome;
+            }
+            this.genomeBrowser.currentChromosome = view.partnerChromosome;
+            this.genomeBrowser.currentPosition = {
+                start: Math.max(0, view.partnerStart - 1),
+                end: Math.min(sequence.length, view.partnerEnd)
+            };
+            this.genomeBrowser.displayGenomeView(view.partnerChromosome, sequence);
+        });
+
+        return element;
+    }
+
+    /**
+     * Create copy-number track from SEG files: one lane per sample with segments drawn as bars
+     * from the zero line, up (red) for gains and down (blue) for losses, log2 ratios clipped to ±2
+     */
+    createCopyNumberTrack(chromosome) {
+        const { track, trackContent } = this.createTrackBase('copyNumber', chromosome);
+        const viewport = this.getCurrentViewport();
+        const segmentSets = Object.values(this.genomeBrowser.currentCopyNumberSegments || {});
+
+        if (segmentSets.length === 0) {
+            const noDataMsg = this.createNoDataMessage(
+                'No copy-number segments loaded. Load a SEG file to see log2 ratios.',
+                'no-copy-number-message'
+            );
+            trackContent.appendChild(noDataMsg);
+            return track;
+        }
+
+        const limit = 2;
+        const laneSpacing = 3;
+        const range = viewport.end - viewport.start;
+        let offset = 4;
+        let visibleCount = 0;
+
+        segmentSets.forEach(segmentSet => {
+            const segments = (segmentSet.segments[chromosome] || [])
+                .filter(segment => segment.start < viewport.end && segment.end > viewport.start);
+            const laneHeight = segmentSet.samples.length > 10 ? 14 : 28;
+
+            segmentSet.samples.forEach(sample => {
+                const lane = document.createElement('div');
+                lane.className = 'copy-number-lane';
+                lane.style.cssText = `
+                    position: absolute;
+                    top: ${offset}px;
+                    left: 0;
+                    right: 0;
+                    height: ${laneHeight}px;
+                    border-bottom: 1px solid #eee;
+                `;
+
+                // Bars in a 1000-unit wide coordinate system, zero line in the middle
+                const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+                svg.setAttribute('viewBox', `0 0 1000 ${laneHeight}`);
+                svg.setAttribute('preserveAspectRatio', 'none');
+                svg.style.cssText = 'width: 100%; height: 100%; display: block;';
+                const middle = laneHeight / 2;
+
+                const zeroLine = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+                zeroLine.setAttribute('x1', '0');
+                zeroLine.setAttribute('x2', '1000');
+                zeroLine.setAttribute('y1', String(middle));
+                zeroLine.setAttribute('y2', String(middle));
+                zeroLine.setAttribute('stroke', '#bbb');
+                zeroLine.setAttribute('vector-effect', 'non-scaling-stroke');
+                svg.appendChild(zeroLine);
+
+                segments.filter(segment => segment.sample === sample).forEach(segment => {
+                    const start = Math.max(segment.start, viewport.start);
+                    const end = Math.min(segment.end, viewport.end);
+                    const clipped = Math.max(-limit, Math.min(limit, segment.value));
+                    const height = Math.max(1, Math.abs(clipped) / limit * (middle - 1));
+
+                    const rect = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+                    rect.setAttribute('x', String(((start - viewport.start) / range) * 1000));
+                    rect.setAttribute('width', String(Math.max(((end - start) / range) * 1000, 0.5)));
+                    rect.setAttribute('y', String(clipped >= 0 ? middle - height : middle));
+                    rect.setAttribute('height', String(height));
+                    rect.setAttribute('fill', StructuralVariants.getLog2Color(segment.value));
+                    rect.setAttribute('stroke', segment.value >= 0 ? '#c0392b' : '#2c3e90');
+                    rect.setAttribute('stroke-width', '0.5');
+                    rect.setAttribute('vector-effect', 'non-scaling-stroke');
+
+                    const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+                    title.textContent = `Sample: ${sample}\n` +
+                        `Segment: ${chromosome}:${(segment.start + 1).toLocaleString()}-${segment.end.toLocaleString()}\n` +
+                        `log2 ratio: ${segment.value.toFixed(3)} (copy ratio ${Math.pow(2, segment.value).toFixed(2)})` +
+                        (segment.markers !== null ? `\nMarkers: ${segment.markers}` : '');
+                    rect.appendChild(title);
+                    svg.appendChild(rect);
+                    visibleCount++;
+                });
+
+                const label = document.createElement('div');
+                label.className = 'copy-number-label';
+                label.style.cssText = `
+                    position: absolute;
+                    top: 0;
+                    left: 3px;
+                    font-size: 9px;
+                    color: #333;
+                    background: rgba(255,255,255,0.8);
+                    padding: 0 3px;
+                    pointer-events: none;
+                `;
+                label.textContent = segmentSet.samples.length > 1 ? sample : `${sample} (${segmentSet.name})`;
+
+                lane.appendChild(svg);
+                lane.appendChild(label);
+                trackContent.appendChild(lane);
+                offset += laneHeight + laneSpacing;
+            });
+        });
+
+        trackContent.style.height = `${Math.max(80, offset + 10)}px`;
+
+        const statsElement = this.createStatsElement(
+            `${visibleCount} segments in view, log2 ratio ±${limit}`,
+            'copy-number-track-stats'
+        );
+        trackContent.appendChild(statsElement);
+
+        // Restore header state if it was previously hidden
+        this.restoreHeaderState(track, 'copyNumber');
+
+        return track;
+    }
+
+    /**
+     * Create track of de novo predicted CDS: forward genes above, reverse genes below, coloured by
+     * how they compare with the loaded annotation. Clicking a gene opens it in the gene details
+     * panel, where it can be edited, accepted into the annotation or rejected.
+     */
+    createPredictedGenesTrack(chromosome) {
+        const { track, trackContent } = this.createTrackBase('predictedGenes', chromosome);
+        const viewport = this.getCurrentViewport();
+        const predicted = this.genomeBrowser.currentPredictedGenes || {};
+
+        if (!predicted[chromosome]) {
+            const noDataMsg = this.createNoDataMessage(
+                'No gene predictions for this chromosome. Use Predict Genes to call genes de novo.',
+                'no-predicted-genes-message'
+            );
+            trackContent.appendChild(noDataMsg);
+            return track;
+        }
+
+        const colors = {
+            identical: '#2e7d32',
+            differentStart: '#8e44ad',
+            novel: '#e67e22'
+        };
+        const geneHeight = 14;
+        const laneSpacing = 3;
+        const genes = predicted[chromosome]
+            .filter(gene => gene.start <= viewport.end && gene.end >= viewport.start);
+        let offset = 4;
+
+        [1, -1].forEach(strand => {
+            // Greedy lane packing per strand so overlapping genes stay visible
+            const laneEnds = [];
+            genes.filter(gene => gene.strand === strand).forEach(gene => {
+                let lane = laneEnds.findIndex(end => end < gene.start);
+                if (lane === -1) {
+                    lane = laneEnds.length;
+                    laneEnds.push(0);
+                }
+                laneEnds[lane] = gene.end;
+
+                // Qualifiers may have been changed with Edit Annotation
+                const qualifiers = gene.qualifiers || {};
+                const name = qualifiers.gene || qualifiers.locus_tag || gene.type;
+                const geneStart = Math.max(gene.start, viewport.start);
+                const geneEnd = Math.min(gene.end, viewport.end);
+                const element = document.createElement('div');
+                element.className = 'predicted-gene';
+                element.style.cssText = `
+                    position: absolute;
+                    top: ${offset + lane * (geneHeight + laneSpacing)}px;
+                    left: ${((geneStart - viewport.start) / viewport.range) * 100}%;
+                    width: ${Math.max(((geneEnd - geneStart) / viewport.range) * 100, 0.3)}%;
+                    height: ${geneHeight}px;
+                    background: ${colors[gene.comparison] || '#607d8b'};
+                    border-radius: 2px;
+                    box-sizing: border-box;
+                    overflow: hidden;
+                    white-space: nowrap;
+                    font-size: 9px;
+                    line-height: ${geneHeight}px;
+                    color: white;
+                    padding: 0 3px;
+                    cursor: pointer;
+                `;
+                element.textContent = `${strand === 1 ? '▶' : '◀'} ${name}`;
+                element.title = `${name}${qualifiers.product ? ` (${qualifiers.product})` : ''}\n` +
+                    `${chromosome}:${gene.start.toLocaleString()}-${gene.end.toLocaleString()} (${strand === 1 ? '+' : '-'})\n` +
+                    `Length: ${(gene.end - gene.start + 1).toLocaleString()} bp\n` +
+                    `Score: ${gene.score}\n` +
+                    `${(qualifiers.note || '').split(';').join('\n')}` +
+                    (gene.comparison ? `\nAnnotation: ${{ identical: 'matches annotated CDS', differentStart: 'annotated CDS with another start', novel: 'not annotated' }[gene.comparison]}` : '');
+
+                element.addEventListener('click', (event) => {
+                    event.stopPropagation();
+                    this.showGeneDetails(gene, null);
+                });
+                trackContent.appendChild(element);
+            });
+            offset += Math.max(laneEnds.length, 1) * (geneHeight + laneSpacing) + 6;
+        });
+
+        trackContent.style.height = `${Math.max(80, offset + 10)}px`;
+
+        const statsElement = this.createStatsElement(
+            `${genes.length} predicted genes in view (${predicted[chromosome].length} on ${chromosome})`,
+            'predicted-genes-track-stats'
+        );
+        trackContent.appendChild(statsElement);
+
+        // Restore header state if it was previously hidden
+        this.restoreHeaderState(track, 'predictedGenes');
+
+        return track;
+    }
+
+    /**
+     * Create track of PWM motif hits: forward-strand sites above, reverse-strand sites below,
+     * one colour per motif and opacity by p-value. Clicking a hit zooms to it.
+     */
+    createMotifHitsTrack(chromosome) {
+        const { track, trackContent } = this.createTrackBase('motifHits', chromosome);
+        const viewport = this.getCurrentViewport();
+        const motifHits = this.genomeBrowser.currentMotifHits || {};
+
+        if (!motifHits[chromosome]) {
+            const noDataMsg = this.createNoDataMessage(
+                'No motif hits for this chromosome. Use Scan Motifs (PWM) to scan with JASPAR, MEME or TRANSFAC motifs.',
+                'no-motif-hits-message'
+            );
+            trackContent.appendChild(noDataMsg);
+            return track;
+        }
+
+        const palette = ['#1f77b4', '#d62728', '#2ca02c', '#9467bd', '#ff7f0e', '#17becf', '#8c564b', '#e377c2', '#bcbd22', '#7f7f7f'];
+        const motifIds = [...new Set(Object.values(motifHits).flat().map(hit => hit.motifId))];
+        const maxDrawn = 2000;
+        const maxLanes = 4;
+        const hitHeight = 10;
+        const laneSpacing = 2;
+        const inView = motifHits[chromosome].filter(hit => hit.start <= viewport.end && hit.end >= viewport.start);
+        // Whole-chromosome views can hold more sites than can be drawn; the most significant are kept
+        const hits = inView.length > maxDrawn ?
+            [...inView].sort((a, b) => a.pValue - b.pValue).slice(0, maxDrawn).sort((a, b) => a.start - b.start) : inView;
+        let offset = 4;
+
+        [1, -1].forEach(strand => {
+            const laneEnds = [];
+            hits.filter(hit => hit.strand === strand).forEach(hit => {
+                let lane = laneEnds.findIndex(end => end < hit.start);
+                if (lane === -1) {
+                    lane = laneEnds.length < maxLanes ? laneEnds.length : maxLanes - 1;
+                    if (lane === laneEnds.length) laneEnds.push(0);
+                }
+                laneEnds[lane] = Math.max(laneEnds[lane], hit.end);
+
+                const hitStart = Math.max(hit.start, viewport.start);
+                const hitEnd = Math.min(hit.end, viewport.end);
+                const element = document.createElement('div');
+                element.className = 'motif-hit';
+                element.style.cssText = `
+                    position: absolute;
+                    top: ${offset + lane * (hitHeight + laneSpacing)}px;
+                    left: ${((hitStart - viewport.start) / viewport.range) * 100}%;
+                    width: ${Math.max(((hitEnd - hitStart + 1) / viewport.range) * 100, 0.2)}%;
+                    height: ${hitHeight}px;
+                    background: ${palette[motifIds.indexOf(hit.motifId) % palette.length]};
+                    opacity: ${Math.min(1, 0.4 + Math.max(0, -Math.log10(hit.pValue || 1e-12) - 3) * 0.15)};
+                    border-radius: 1px;
+                    cursor: pointer;
+                `;
+                element.title = `${hit.motifName}${hit.motifName !== hit.motifId ? ` (${hit.motifId})` : ''}\n` +
+                    `${chromosome}:${hit.start.toLocaleString()}-${hit.end.toLocaleString()} (${strand === 1 ? '+' : '-'})\n` +
+                    `Site: ${hit.sequence}\n` +
+                    `Score: ${hit.score} bits (${Math.round(hit.relativeScore * 100)}% of maximum)\n` +
+                    `P-value: ${hit.pValue.toExponential(2)}` +
+                    (hit.gene ? `\nUpstream of ${hit.gene} (${hit.distance} bp from start codon)` : '');
+
+                element.addEventListener('click', (event) => {
+                    event.stopPropagation();
+                    const padding = Math.max(20, hit.end - hit.start + 1);
+                    const sequence = this.genomeBrowser.currentSequence[chromosome];
+                    this.genomeBrowser.currentPosition = {
+                        start: Math.max(0, hit.start - padding),
+                        end: Math.min(sequence.length, hit.end + padding)
+                    };
+                    this.genomeBrowser.displayGenomeView(chromosome, sequence);
+                });
+                trackContent.appendChild(element);
+            });
+            offset += Math.max(laneEnds.length, 1) * (hitHeight + laneSpacing) + 6;
+        });
+
+        trackContent.style.height = `${Math.max(60, offset + 10)}px`;
+
+        const statsElement = this.createStatsElement(
+            `${inView.length} motif hits in view${inView.length > maxDrawn ? ` (best ${maxDrawn} drawn)` : ''} (${motifHits[chromosome].length} on ${chromosome})`,
+            'motif-hits-track-stats'
+        );
+        trackContent.appendChild(statsElement);
+
+        // Restore header state if it was previously hidden
+        this.restoreHeaderState(track, 'motifHits');
+
+        return track;
+    }
+
     /**
      * Create Actions track with SVG rendering similar to genes
      */
@@ -7821,6 +9130,48 @@ Created: ${new Date(action.timestamp).toLocaleString()}`;
         return this.getTrackSettings('actions');
     }
 
+    /**
+     * Fetch BigWig/bigBed data for the current viewport before createWIGTrack renders it.
+     * Data is read at the zoom level matching the current resolution and a margin of one
+     * viewport on each side is loaded so that small pans do not trigger new reads.
+     */
+    async loadBigWigData(chromosome) {
+        const wigTracks = this.genomeBrowser.currentWIGTracks || {};
+        const viewport = this.getCurrentViewport();
+        const container = document.getElementById('genomeViewer');
+        const basesPerPixel = Math.max(viewport.range / ((container && container.clientWidth) || 800), 1e-3);
+        
+        const requests = Object.entries(wigTracks)
+            .filter(([, wigTrack]) => wigTrack.source && !wigTrack.hidden)
+            .map(async ([trackName, wigTrack]) => {
+                const zoomLevel = wigTrack.source.selectZoomLevel(basesPerPixel);
+                const reductionLevel = zoomLevel ? zoomLevel.reductionLevel : null;
+                const loaded = wigTrack.loadedRegion;
+                
+                if (loaded && loaded.chromosome === chromosome && loaded.reductionLevel === reductionLevel &&
+                    loaded.start <= viewport.start && loaded.end >= viewport.end) {
+                    return;
+                }
+                
+                const start = Math.max(0, viewport.start - viewport.range);
+                const end = viewport.end + viewport.range;
+                
+                try {
+                    const data = await wigTrack.source.getDataForRange(chromosome, start, end, basesPerPixel);
+                    // Keep only the loaded window to bound memory use
+                    wigTrack.data = { [chromosome]: data };
+                    wigTrack.loadedRegion = { chromosome, start, end, reductionLevel };
+                    console.log(`📈 Loaded ${data.length} points for ${trackName} at ${reductionLevel ? `${reductionLevel}bp zoom level` : 'base resolution'}`);
+                } catch (error) {
+                    console.error(`Error loading BigWig data for ${trackName}:`, error);
+                    wigTrack.data = {};
+                    wigTrack.loadedRegion = null;
+                }
+            });
+        
+        await Promise.all(requests);
+    }
+
     createWIGAreaChart(svg, data, viewport, minValue, maxValue, color) {
         const svgWidth = 800; // Default width, will be scaled by CSS
         const svgHeight = 30;
@@ -8764,6 +10115,10 @@ Created: ${new Date(action.timestamp).toLocaleString()}`;
             'reads': 'trackReads',
             'proteins': 'trackProteins',
             'wigTracks': 'trackWIG',
+            'synteny': 'trackSynteny',
+            'copyNumber': 'trackCopyNumber',
+            'predictedGenes': 'trackPredictedGenes',
+            'motifHits': 'trackMotifHits',
             'sequence': 'trackSequence'
         };
         
@@ -8999,6 +10354,11 @@ Created: ${new Date(action.timestamp).toLocaleString()}`;
                 bodyElement.innerHTML = this.createGCSettingsContent(currentSettings);
                 break;
                 
+            case 'variants':
+                titleElement.textContent = 'Variants Track Settings';
+                bodyElement.innerHTML = this.createVariantsSettingsContent(currentSettings);
+                break;
+                
             case 'reads':
                 titleElement.textContent = 'Aligned Reads Track Settings';
                 bodyElement.innerHTML = this.createReadsSettingsContent(currentSettings);
@@ -9320,6 +10680,64 @@ Created: ${new Date(action.timestamp).toLocaleString()}`;
         `;
     }
     
+    /**
+     * Create variants track settings content (genotype matrix of multi-sample VCFs)
+     */
+    createVariantsSettingsContent(settings) {
+        return `
+            <div class="settings-section">
+                <h4>Genotype Matrix</h4>
+                <div class="form-group">
+                    <label>
+                        <input type="checkbox" id="variantsShowGenotypes" ${settings.showGenotypes !== false ? 'checked' : ''}>
+                        Show sample genotypes
+                    </label>
+                    <div class="help-text">Draw one row per sample under the variants of multi-sample VCF files. Click a site to sort samples by their genotype; click it again to reverse the order.</div>
+                </div>
+                <div class="form-group">
+                    <label for="variantsGenotypeRowHeight">Row height per sample (px):</label>
+                    <input type="number" id="variantsGenotypeRowHeight" min="1" max="30" value="${settings.genotypeRowHeight || 10}">
+                </div>
+                <div class="form-group">
+                    <label for="variantsMaxGenotypeHeight">Maximum matrix height (px):</label>
+                    <input type="number" id="variantsMaxGenotypeHeight" min="50" max="2000" value="${settings.maxGenotypeHeight || 400}">
+                    <div class="help-text">Rows are squeezed to fit when there are many samples.</div>
+                </div>
+                <div class="form-group">
+                    <label>
+                        <input type="checkbox" id="variantsShowSampleNames" ${settings.showSampleNames !== false ? 'checked' : ''}>
+                        Show sample names
+                    </label>
+                    <div class="help-text">Names are only drawn when rows are at least 8px high.</div>
+                </div>
+                <div class="form-group">
+                    <label for="variantsSampleFilter">Samples to show:</label>
+                    <textarea id="variantsSampleFilter" rows="3" placeholder="All samples">${settings.sampleFilter || ''}</textarea>
+                    <div class="help-text">Comma or newline separated sample names; * matches any characters (e.g. POP1_*).</div>
+                </div>
+            </div>
+            <div class="settings-section">
+                <h4>Genotype Colors</h4>
+                <div class="form-group">
+                    <label for="variantsHomRefColor">Hom ref:</label>
+                    <input type="color" id="variantsHomRefColor" value="${settings.homRefColor || '#c8c8c8'}">
+                </div>
+                <div class="form-group">
+                    <label for="variantsHetColor">Het:</label>
+                    <input type="color" id="variantsHetColor" value="${settings.hetColor || '#220cfd'}">
+                </div>
+                <div class="form-group">
+                    <label for="variantsHomAltColor">Hom alt:</label>
+                    <input type="color" id="variantsHomAltColor" value="${settings.homAltColor || '#11f8fe'}">
+                </div>
+                <div class="form-group">
+                    <label for="variantsMissingColor">No call:</label>
+                    <input type="color" id="variantsMissingColor" value="${settings.missingColor || '#f0f0f0'}">
+                </div>
+            </div>
+        `;
+    }
+    
     /**
      * Create reads track settings content
      */
@@ -9537,6 +10955,91 @@ Created: ${new Date(action.timestamp).toLocaleString()}`;
                     <div class="help-text">Color used to highlight mismatched bases.</div>
                 </div>
             </div>
+            <div class="settings-section">
+                <h4>Group, Sort and Color</h4>
+                <div class="form-group">
+                    <label for="readsGroupBy">Group reads by:</label>
+                    <select id="readsGroupBy">
+                        <option value="none" ${(settings.groupBy || 'none') === 'none' ? 'selected' : ''}>None</option>
+                        <option value="strand" ${(settings.groupBy || 'none') === 'strand' ? 'selected' : ''}>Strand</option>
+                        <option value="base" ${(settings.groupBy || 'none') === 'base' ? 'selected' : ''}>Base at view center</option>
+                        <option value="haplotype" ${(settings.groupBy || 'none') === 'haplotype' ? 'selected' : ''}>Haplotype (HP tag)</option>
+                        <option value="readGroup" ${(settings.groupBy || 'none') === 'readGroup' ? 'selected' : ''}>Read group (RG tag)</option>
+                        <option value="sample" ${(settings.groupBy || 'none') === 'sample' ? 'selected' : ''}>Sample (SM)</option>
+                        <option value="tag" ${(settings.groupBy || 'none') === 'tag' ? 'selected' : ''}>Tag...</option>
+                    </select>
+                    <input type="text" id="readsGroupTag" maxlength="2" placeholder="Tag" value="${settings.groupTag || ''}" style="width: 50px;">
+                    <div class="help-text">Each group is drawn in its own lanes under a labelled separator. The tag box is used with "Tag...".</div>
+                </div>
+                <div class="form-group">
+                    <label for="readsSortBy">Sort rows by:</label>
+                    <select id="readsSortBy">
+                        <option value="none" ${(settings.sortBy || 'none') === 'none' ? 'selected' : ''}>None</option>
+                        <option value="base" ${(settings.sortBy || 'none') === 'base' ? 'selected' : ''}>Base at view center</option>
+                        <option value="strand" ${(settings.sortBy || 'none') === 'strand' ? 'selected' : ''}>Strand</option>
+                        <option value="mappingQuality" ${(settings.sortBy || 'none') === 'mappingQuality' ? 'selected' : ''}>Mapping quality</option>
+                        <option value="insertSize" ${(settings.sortBy || 'none') === 'insertSize' ? 'selected' : ''}>Insert size</option>
+                        <option value="start" ${(settings.sortBy || 'none') === 'start' ? 'selected' : ''}>Start position</option>
+                        <option value="tag" ${(settings.sortBy || 'none') === 'tag' ? 'selected' : ''}>Tag...</option>
+                    </select>
+                    <input type="text" id="readsSortTag" maxlength="2" placeholder="Tag" value="${settings.sortTag || ''}" style="width: 50px;">
+                    <div class="help-text">Rows are ordered by the read covering the center of the view. Sorting by base puts non-reference bases on top.</div>
+                </div>
+                <div class="form-group">
+                    <label for="readsColorBy">Color reads by:</label>
+                    <select id="readsColorBy">
+                        <option value="default" ${(settings.colorBy || 'default') === 'default' ? 'selected' : ''}>Default</option>
+                        <option value="strand" ${(settings.colorBy || 'default') === 'strand' ? 'selected' : ''}>Strand</option>
+                        <option value="haplotype" ${(settings.colorBy || 'default') === 'haplotype' ? 'selected' : ''}>Haplotype (HP tag)</option>
+                        <option value="readGroup" ${(settings.colorBy || 'default') === 'readGroup' ? 'selected' : ''}>Read group (RG tag)</option>
+                        <option value="sample" ${(settings.colorBy || 'default') === 'sample' ? 'selected' : ''}>Sample (SM)</option>
+                        <option value="tag" ${(settings.colorBy || 'default') === 'tag' ? 'selected' : ''}>Tag...</option>
+                    </select>
+                    <input type="text" id="readsColorTag" maxlength="2" placeholder="Tag" value="${settings.colorTag || ''}" style="width: 50px;">
+                    <div class="help-text">Each tag value gets its own color; reads without the tag are gray.</div>
+                </div>
+            </div>
+            <div class="settings-section">
+                <h4>Paired-end Reads</h4>
+                <div class="form-group">
+                    <label>
+                        <input type="checkbox" id="readsViewAsPairs" ${settings.viewAsPairs ? 'checked' : ''}>
+                        View as pairs
+                    </label>
+                    <div class="help-text">Draw both mates of a template on one row joined by a line. Mates outside the loaded region are outlined at their mapped position.</div>
+                </div>
+                <div class="form-group">
+                    <label>
+                        <input type="checkbox" id="readsColorByPairs" ${settings.colorByPairs !== false ? 'checked' : ''}>
+                        Color by insert size and pair orientation
+                    </label>
+                    <div class="help-text">Red: larger than expected insert, blue: smaller, green/teal/dark blue: RF/FF/RR orientation, other colors: mate on another chromosome (labelled with its name).</div>
+                </div>
+                <div class="form-group">
+                    <label for="readsExpectedPairOrientation">Expected pair orientation:</label>
+                    <select id="readsExpectedPairOrientation">
+                        <option value="FR" ${(settings.expectedPairOrientation || 'FR') === 'FR' ? 'selected' : ''}>FR (paired-end)</option>
+                        <option value="RF" ${settings.expectedPairOrientation === 'RF' ? 'selected' : ''}>RF (mate-pair)</option>
+                        <option value="FF" ${settings.expectedPairOrientation === 'FF' ? 'selected' : ''}>FF</option>
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="readsInsertSizeMode">Insert size range:</label>
+                    <select id="readsInsertSizeMode">
+                        <option value="auto" ${(settings.insertSizeMode || 'auto') === 'auto' ? 'selected' : ''}>Compute from reads (0.5-99.5 percentile)</option>
+                        <option value="fixed" ${settings.insertSizeMode === 'fixed' ? 'selected' : ''}>Fixed minimum/maximum</option>
+                    </select>
+                    <div class="help-text">The fixed range is also used when the region has too few pairs to compute it.</div>
+                </div>
+                <div class="form-group">
+                    <label for="readsMinInsertSize">Minimum insert size (bp):</label>
+                    <input type="number" id="readsMinInsertSize" min="0" value="${settings.minInsertSize != null ? settings.minInsertSize : 50}">
+                </div>
+                <div class="form-group">
+                    <label for="readsMaxInsertSize">Maximum insert size (bp):</label>
+                    <input type="number" id="readsMaxInsertSize" min="1" value="${settings.maxInsertSize || 1000}">
+                </div>
+            </div>
             <div class="settings-section">
                 <h4>Advanced Options</h4>
                 <div class="form-group">
@@ -9713,6 +11216,17 @@ Created: ${new Date(action.timestamp).toLocaleString()}`;
                 lineWidth: 2,
                 height: 140
             },
+            variants: {
+                showGenotypes: true,
+                genotypeRowHeight: 10,
+                maxGenotypeHeight: 400,
+                showSampleNames: true,
+                sampleFilter: '',
+                homRefColor: '#c8c8c8',
+                hetColor: '#220cfd',
+                homAltColor: '#11f8fe',
+                missingColor: '#f0f0f0'
+            },
             reads: {
                 readHeight: 4,
                 readSpacing: 2,
@@ -9733,6 +11247,20 @@ Created: ${new Date(action.timestamp).toLocaleString()}`;
                 showUnmapped: false,
                 showSecondary: true,
                 showSupplementary: true,
+                // Paired-end settings
+                viewAsPairs: false,
+                colorByPairs: true,
+                expectedPairOrientation: 'FR',
+                insertSizeMode: 'auto',
+                minInsertSize: 50,
+                maxInsertSize: 1000,
+                // Grouping, sorting and coloring
+                groupBy: 'none',
+                groupTag: '',
+                sortBy: 'none',
+                sortTag: '',
+                colorBy: 'default',
+                colorTag: '',
                 // Sampling settings
                 enableSampling: true,
                 samplingThreshold: 10000,
@@ -9888,6 +11416,18 @@ Created: ${new Date(action.timestamp).toLocaleString()}`;
                 settings.height = parseInt(modal.querySelector('#gcTrackHeight').value) || 140;
                 break;
                 
+            case 'variants':
+                settings.showGenotypes = modal.querySelector('#variantsShowGenotypes').checked;
+                settings.genotypeRowHeight = parseInt(modal.querySelector('#variantsGenotypeRowHeight').value) || 10;
+                settings.maxGenotypeHeight = parseInt(modal.querySelector('#variantsMaxGenotypeHeight').value) || 400;
+                settings.showSampleNames = modal.querySelector('#variantsShowSampleNames').checked;
+                settings.sampleFilter = modal.querySelector('#variantsSampleFilter').value.trim();
+                settings.homRefColor = modal.querySelector('#variantsHomRefColor').value;
+                settings.hetColor = modal.querySelector('#variantsHetColor').value;
+                settings.homAltColor = modal.querySelector('#variantsHomAltColor').value;
+                settings.missingColor = modal.querySelector('#variantsMissingColor').value;
+                break;
+                
             case 'reads':
                 // Rendering method settings
                 const renderingModeSelect = modal.querySelector('#readsRenderingMode');
@@ -9928,6 +11468,20 @@ Created: ${new Date(action.timestamp).toLocaleString()}`;
                 settings.showUnmapped = modal.querySelector('#readsShowUnmapped').checked;
                 settings.showSecondary = modal.querySelector('#readsShowSecondary').checked;
                 settings.showSupplementary = modal.querySelector('#readsShowSupplementary').checked;
+                // Grouping, sorting and coloring
+                settings.groupBy = modal.querySelector('#readsGroupBy').value || 'none';
+                settings.groupTag = modal.querySelector('#readsGroupTag').value.trim().toUpperCase();
+                settings.sortBy = modal.querySelector('#readsSortBy').value || 'none';
+                settings.sortTag = modal.querySelector('#readsSortTag').value.trim().toUpperCase();
+                settings.colorBy = modal.querySelector('#readsColorBy').value || 'default';
+                settings.colorTag = modal.querySelector('#readsColorTag').value.trim().toUpperCase();
+                // Paired-end settings
+                settings.viewAsPairs = modal.querySelector('#readsViewAsPairs').checked;
+                settings.colorByPairs = modal.querySelector('#readsColorByPairs').checked;
+                settings.expectedPairOrientation = modal.querySelector('#readsExpectedPairOrientation').value || 'FR';
+                settings.insertSizeMode = modal.querySelector('#readsInsertSizeMode').value || 'auto';
+                settings.minInsertSize = parseInt(modal.querySelector('#readsMinInsertSize').value) || 0;
+                settings.maxInsertSize = parseInt(modal.querySelector('#readsMaxInsertSize').value) || 1000;
                 settings.height = parseInt(modal.querySelector('#readsTrackHeight').value) || 150;
                 // Sampling settings
                 settings.enableSampling = modal.querySelector('#readsEnableSampling').checked;
@@ -15,56 +15,137 @@
 class UnifiedDNATranslation {
     
     /**
-     * Get genetic code table by name
+     * NCBI genetic code tables (https://www.ncbi.nlm.nih.gov/Taxonomy/Utils/wprintgc.cgi)
      * 
-     * @param {string} geneticCode - Genetic code name
-     * @returns {Object} Genetic code table
+     * Amino acids and start codons are listed in NCBI order: first base TCAG (slowest),
+     * then second base, then third base. 'M' in starts marks an initiation codon.
+     * 
+     * @returns {Object} Tables keyed by NCBI transl_table id
      */
-    static getGeneticCodeTable(geneticCode = 'standard') {
-        const standardCode = {
-            'TTT': 'F', 'TTC': 'F', 'TTA': 'L', 'TTG': 'L',
-            'TCT': 'S', 'TCC': 'S', 'TCA': 'S', 'TCG': 'S',
-            'TAT': 'Y', 'TAC': 'Y', 'TAA': '*', 'TAG': '*',
-            'TGT': 'C', 'TGC': 'C', 'TGA': '*', 'TGG': 'W',
-            'CTT': 'L', 'CTC': 'L', 'CTA': 'L', 'CTG': 'L',
-            'CCT': 'P', 'CCC': 'P', 'CCA': 'P', 'CCG': 'P',
-            'CAT': 'H', 'CAC': 'H', 'CAA': 'Q', 'CAG': 'Q',
-            'CGT': 'R', 'CGC': 'R', 'CGA': 'R', 'CGG': 'R',
-            'ATT': 'I', 'ATC': 'I', 'ATA': 'I', 'ATG': 'M',
-            'ACT': 'T', 'ACC': 'T', 'ACA': 'T', 'ACG': 'T',
-            'AAT': 'N', 'AAC': 'N', 'AAA': 'K', 'AAG': 'K',
-            'AGT': 'S', 'AGC': 'S', 'AGA': 'R', 'AGG': 'R',
-            'GTT': 'V', 'GTC': 'V', 'GTA': 'V', 'GTG': 'V',
-            'GCT': 'A', 'GCC': 'A', 'GCA': 'A', 'GCG': 'A',
-            'GAT': 'D', 'GAC': 'D', 'GAA': 'E', 'GAG': 'E',
-            'GGT': 'G', 'GGC': 'G', 'GGA': 'G', 'GGG': 'G'
+    static get NCBI_GENETIC_CODES() {
+        return {
+            1: { name: 'Standard', aas: 'FFLLSSSSYY**CC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG', starts: '---M---------------M---------------M----------------------------' },
+            2: { name: 'Vertebrate Mitochondrial', aas: 'FFLLSSSSYY**CCWWLLLLPPPPHHQQRRRRIIMMTTTTNNKKSS**VVVVAAAADDEEGGGG', starts: '--------------------------------MMMM---------------M------------' },
+            3: { name: 'Yeast Mitochondrial', aas: 'FFLLSSSSYY**CCWWTTTTPPPPHHQQRRRRIIMMTTTTNNKKSSRRVVVVAAAADDEEGGGG', starts: '----------------------------------MM----------------------------' },
+            4: { name: 'Mold, Protozoan, and Coelenterate Mitochondrial; Mycoplasma/Spiroplasma', aas: 'FFLLSSSSYY**CCWWLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG', starts: '--MM---------------M------------MMMM---------------M------------' },
+            5: { name: 'Invertebrate Mitochondrial', aas: 'FFLLSSSSYY**CCWWLLLLPPPPHHQQRRRRIIMMTTTTNNKKSSSSVVVVAAAADDEEGGGG', starts: '---M----------------------------MMMM---------------M------------' },
+            6: { name: 'Ciliate, Dasycladacean and Hexamita Nuclear', aas: 'FFLLSSSSYYQQCC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG', starts: '-----------------------------------M----------------------------' },
+            9: { name: 'Echinoderm and Flatworm Mitochondrial', aas: 'FFLLSSSSYY**CCWWLLLLPPPPHHQQRRRRIIIMTTTTNNNKSSSSVVVVAAAADDEEGGGG', starts: '-----------------------------------M---------------M------------' },
+            10: { name: 'Euplotid Nuclear', aas: 'FFLLSSSSYY**CCCWLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG', starts: '-----------------------------------M----------------------------' },
+            11: { name: 'Bacterial, Archaeal and Plant Plastid', aas: 'FFLLSSSSYY**CC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG', starts: '---M---------------M------------MMMM---------------M------------' },
+            12: { name: 'Alternative Yeast Nuclear', aas: 'FFLLSSSSYY**CC*WLLLSPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG', starts: '-------------------M---------------M----------------------------' },
+            13: { name: 'Ascidian Mitochondrial', aas: 'FFLLSSSSYY**CCWWLLLLPPPPHHQQRRRRIIMMTTTTNNKKSSGGVVVVAAAADDEEGGGG', starts: '---M------------------------------MM---------------M------------' },
+            14: { name: 'Alternative Flatworm Mitochondrial', aas: 'FFLLSSSSYYY*CCWWLLLLPPPPHHQQRRRRIIIMTTTTNNNKSSSSVVVVAAAADDEEGGGG', starts: '-----------------------------------M----------------------------' },
+            15: { name: 'Blepharisma Macronuclear', aas: 'FFLLSSSSYY*QCC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG', starts: '-----------------------------------M----------------------------' },
+            16: { name: 'Chlorophycean Mitochondrial', aas: 'FFLLSSSSYY*LCC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG', starts: '-----------------------------------M----------------------------' },
+            21: { name: 'Trematode Mitochondrial', aas: 'FFLLSSSSYY**CCWWLLLLPPPPHHQQRRRRIIMMTTTTNNNKSSSSVVVVAAAADDEEGGGG', starts: '-----------------------------------M---------------M------------' },
+            22: { name: 'Scenedesmus obliquus Mitochondrial', aas: 'FFLLSS*SYY*LCC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG', starts: '-----------------------------------M----------------------------' },
+            23: { name: 'Thraustochytrium Mitochondrial', aas: 'FF*LSSSSYY**CC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG', starts: '--------------------------------M--M---------------M------------' },
+            24: { name: 'Rhabdopleuridae Mitochondrial', aas: 'FFLLSSSSYY**CCWWLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSSKVVVVAAAADDEEGGGG', starts: '---M---------------M---------------M---------------M------------' },
+            25: { name: 'Candidate Division SR1 and Gracilibacteria', aas: 'FFLLSSSSYY**CCGWLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG', starts: '---M-------------------------------M---------------M------------' },
+            26: { name: 'Pachysolen tannophilus Nuclear', aas: 'FFLLSSSSYY**CC*WLLLAPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG', starts: '-------------------M---------------M----------------------------' },
+            27: { name: 'Karyorelict Nuclear', aas: 'FFLLSSSSYYQQCCWWLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG', starts: '-----------------------------------M----------------------------' },
+            28: { name: 'Condylostoma Nuclear', aas: 'FFLLSSSSYYQQCCWWLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG', starts: '-----------------------------------M----------------------------' },
+            29: { name: 'Mesodinium Nuclear', aas: 'FFLLSSSSYYYYCC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG', starts: '-----------------------------------M----------------------------' },
+            30: { name: 'Peritrich Nuclear', aas: 'FFLLSSSSYYEECC*WLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG', starts: '-----------------------------------M----------------------------' },
+            31: { name: 'Blastocrithidia Nuclear', aas: 'FFLLSSSSYYEECCWWLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSRRVVVVAAAADDEEGGGG', starts: '-----------------------------------M----------------------------' },
+            33: { name: 'Cephalodiscidae Mitochondrial', aas: 'FFLLSSSSYYY*CCWWLLLLPPPPHHQQRRRRIIIMTTTTNNKKSSSKVVVVAAAADDEEGGGG', starts: '---M-------------------------------M---------------M------------' }
         };
+    }
 
-        const mitochondrialCode = {
-            'TTT': 'F', 'TTC': 'F', 'TTA': 'L', 'TTG': 'L',
-            'TCT': 'S', 'TCC': 'S', 'TCA': 'S', 'TCG': 'S',
-            'TAT': 'Y', 'TAC': 'Y', 'TAA': '*', 'TAG': '*',
-            'TGT': 'C', 'TGC': 'C', 'TGA': 'W', 'TGG': 'W', // TGA = Trp in mitochondria
-            'CTT': 'L', 'CTC': 'L', 'CTA': 'L', 'CTG': 'L',
-            'CCT': 'P', 'CCC': 'P', 'CCA': 'P', 'CCG': 'P',
-            'CAT': 'H', 'CAC': 'H', 'CAA': 'Q', 'CAG': 'Q',
-            'CGT': 'R', 'CGC': 'R', 'CGA': 'R', 'CGG': 'R',
-            'ATT': 'I', 'ATC': 'I', 'ATA': 'M', 'ATG': 'M', // ATA = Met in mitochondria
-            'ACT': 'T', 'ACC': 'T', 'ACA': 'T', 'ACG': 'T',
-            'AAT': 'N', 'AAC': 'N', 'AAA': 'K', 'AAG': 'K',
-            'AGT': 'S', 'AGC': 'S', 'AGA': '*', 'AGG': '*', // AGA/AGG = stop in mitochondria
-            'GTT': 'V', 'GTC': 'V', 'GTA': 'V', 'GTG': 'V',
-            'GCT': 'A', 'GCC': 'A', 'GCA': 'A', 'GCG': 'A',
-            'GAT': 'D', 'GAC': 'D', 'GAA': 'E', 'GAG': 'E',
-            'GGT': 'G', 'GGC': 'G', 'GGA': 'G', 'GGG': 'G'
-        };
+    /**
+     * Resolve a genetic code given as NCBI id (11, '11') or legacy name
+     * ('standard', 'mitochondrial', 'bacterial', ...) to its NCBI id
+     * 
+     * @param {number|string} geneticCode - Genetic code id or name
+     * @returns {number} NCBI transl_table id (1 if unknown)
+     */
+    static resolveGeneticCode(geneticCode = 1) {
+        const id = parseInt(Array.isArray(geneticCode) ? geneticCode[0] : geneticCode);
+        if (!Number.isNaN(id)) {
+            return this.NCBI_GENETIC_CODES[id] ? id : 1;
+        }
 
-        const geneticCodes = {
-            'standard': standardCode,
-            'mitochondrial': mitochondrialCode
+        const aliases = {
+            'standard': 1,
+            'mitochondrial': 2,
+            'vertebrate_mitochondrial': 2,
+            'yeast_mitochondrial': 3,
+            'mycoplasma': 4,
+            'spiroplasma': 4,
+            'invertebrate_mitochondrial': 5,
+            'ciliate': 6,
+            'bacterial': 11,
+            'archaeal': 11,
+            'plastid': 11
         };
+        return aliases[String(geneticCode).toLowerCase().replace(/[\s-]+/g, '_')] || 1;
+    }
+
+    /**
+     * Get genetic code table by NCBI id or name
+     * 
+     * @param {number|string} geneticCode - Genetic code id or name
+     * @returns {Object} Codon to amino acid table
+     */
+    static getGeneticCodeTable(geneticCode = 'standard') {
+        const id = this.resolveGeneticCode(geneticCode);
+        this._codonTables = this._codonTables || {};
+        if (!this._codonTables[id]) {
+            const { aas } = this.NCBI_GENETIC_CODES[id];
+            const table = {};
+            this.getCodonOrder().forEach((codon, index) => {
+                table[codon] = aas[index];
+            });
+            this._codonTables[id] = table;
+        }
+        return this._codonTables[id];
+    }
+
+    /**
+     * Get the initiation codons of a genetic code (ATG plus alternative starts)
+     * 
+     * @param {number|string} geneticCode - Genetic code id or name
+     * @returns {Array} Start codons
+     */
+    static getStartCodons(geneticCode = 'standard') {
+        const { starts } = this.NCBI_GENETIC_CODES[this.resolveGeneticCode(geneticCode)];
+        return this.getCodonOrder().filter((codon, index) => starts[index] === 'M');
+    }
+
+    /**
+     * Get the stop codons of a genetic code
+     * 
+     * @param {number|string} geneticCode - Genetic code id or name
+     * @returns {Array} Stop codons
+     */
+    static getStopCodons(geneticCode = 'standard') {
+        const table = this.getGeneticCodeTable(geneticCode);
+        return Object.keys(table).filter(codon => table[codon] === '*');
+    }
+
+    /**
+     * The 64 codons in NCBI table order (TCAG for each position)
+     * 
+     * @returns {Array} Codons
+     */
+    static getCodonOrder() {
+        const bases = ['T', 'C', 'A', 'G'];
+        return bases.flatMap(first => bases.flatMap(second => bases.map(third => first + second + third)));
+    }
 
-        return geneticCodes[geneticCode] || standardCode;
+    /**
+     * Get the genetic code of an annotation from its /transl_table qualifier
+     * 
+     * @param {Object} feature - Annotation with qualifiers
+     * @param {number|string} fallback - Code to use when the feature has no /transl_table
+     * @returns {number} NCBI transl_table id
+     */
+    static getFeatureGeneticCode(feature, fallback = 1) {
+        const value = feature && feature.qualifiers && feature.qualifiers.transl_table;
+        return value !== undefined && value !== null && value !== ''
+            ? this.resolveGeneticCode(value)
+            : this.resolveGeneticCode(fallback);
     }
 
     /**
@@ -74,8 +155,9 @@ class UnifiedDNATranslation {
      * @param {string} parameters.sequence - DNA sequence to translate
      * @param {number} parameters.frame - Reading frame (0, 1, or 2, default: 0)
      * @param {number} parameters.strand - Strand direction (1 for forward, -1 for reverse, default: 1)
-     * @param {string} parameters.geneticCode - Genetic code to use ('standard' or 'mitochondrial', default: 'standard')
+     * @param {number|string} parameters.geneticCode - NCBI transl_table id or name ('standard', 'mitochondrial', ..., default: 'standard')
      * @param {boolean} parameters.includeStops - Whether to include stop codons in output (default: false)
+     * @param {boolean} parameters.startAsMethionine - Translate an alternative start codon at the first position as M, as for a CDS (default: false)
      * @param {number} parameters.minLength - Minimum protein length (default: 0)
      * @param {boolean} parameters.validateInput - Whether to validate input sequence (default: true)
      * @param {Object} context - Execution context (optional)
@@ -88,6 +170,7 @@ class UnifiedDNATranslation {
             strand = 1,
             geneticCode = 'standard',
             includeStops = false,
+            startAsMethionine = false,
             minLength = 0,
             validateInput = true
         } = parameters;
@@ -116,6 +199,13 @@ class UnifiedDNATranslation {
             // Translate sequence
             const translationResult = this.performTranslation(frameSequence, codonTable, includeStops);
 
+            // Initiation codons are read as methionine whatever they encode internally
+            if (startAsMethionine && translationResult.protein.length > 0 &&
+                this.getStartCodons(geneticCode).includes(frameSequence.substring(0, 3))) {
+                translationResult.protein = 'M' + translationResult.protein.substring(1);
+                translationResult.codons[0].aminoAcid = 'M';
+            }
+
             // Validate minimum length
             if (minLength > 0 && translationResult.protein.length < minLength) {
                 return {
@@ -246,6 +336,16 @@ class UnifiedDNATranslation {
         }
     }
 
+    /**
+     * Normalize strand notations used by annotations (-1, '-', '-1') to 1 or -1
+     * 
+     * @param {number|string} strand - Strand value
+     * @returns {number} 1 or -1
+     */
+    static normalizeStrand(strand) {
+        return strand === -1 || strand === '-' || strand === '-1' ? -1 : 1;
+    }
+
     /**
      * Reverse complement DNA sequence
      * 
@@ -270,21 +370,16 @@ class UnifiedDNATranslation {
     /**
      * Get available genetic codes
      * 
-     * @returns {Object} Available genetic codes
+     * @returns {Array} NCBI genetic codes with id, name and start codons
      */
     static getAvailableGeneticCodes() {
-        return [
-            {
-                name: 'standard',
-                description: 'Standard genetic code (most organisms)',
-                codonCount: 64
-            },
-            {
-                name: 'mitochondrial',
-                description: 'Mitochondrial genetic code (vertebrates)',
-                codonCount: 64
-            }
-        ];
+        return Object.entries(this.NCBI_GENETIC_CODES).map(([id, code]) => ({
+            id: parseInt(id),
+            name: code.name,
+            description: `${id}. ${code.name}`,
+            startCodons: this.getStartCodons(id),
+            codonCount: 64
+        }));
     }
 
     /**
@@ -326,14 +421,15 @@ class UnifiedDNATranslation {
      * 
      * @param {string} sequence - DNA sequence
      * @param {number} frame - Reading frame (legacy parameter)
+     * @param {number|string} geneticCode - NCBI transl_table id or name
      * @returns {string} Translated protein sequence
      */
-    static legacyTranslateDNA(sequence, frame = 0) {
+    static legacyTranslateDNA(sequence, frame = 0, geneticCode = 'standard') {
         const result = this.translateDNA({
             sequence,
             frame,
             strand: 1,
-            geneticCode: 'standard',
+            geneticCode,
             includeStops: false,
             validateInput: true
         });
@@ -346,15 +442,39 @@ class UnifiedDNATranslation {
      * 
      * @param {string} sequence - DNA sequence
      * @param {number} strand - Strand direction (1 or -1)
+     * @param {number|string} geneticCode - NCBI transl_table id or name
+     * @returns {string} Translated protein sequence
+     */
+    static strandBasedTranslateDNA(sequence, strand = 1, geneticCode = 'standard') {
+        const result = this.translateDNA({
+            sequence,
+            frame: 0,
+            strand: this.normalizeStrand(strand),
+            geneticCode,
+            includeStops: false,
+            validateInput: true
+        });
+
+        return result.success ? result.protein : '';
+    }
+
+    /**
+     * Translate a coding sequence: the first codon is read as M when it is a
+     * start codon of the genetic code (e.g. GTG or TTG in table 11)
+     * 
+     * @param {string} sequence - CDS sequence
+     * @param {number} strand - Strand direction (1 or -1)
+     * @param {number|string} geneticCode - NCBI transl_table id or name
      * @returns {string} Translated protein sequence
      */
-    static strandBasedTranslateDNA(sequence, strand = 1) {
+    static translateCDS(sequence, strand = 1, geneticCode = 'standard') {
         const result = this.translateDNA({
             sequence,
             frame: 0,
-            strand,
-            geneticCode: 'standard',
+            strand: this.normalizeStrand(strand),
+            geneticCode,
             includeStops: false,
+            startAsMethionine: true,
             validateInput: true
         });
 
@@ -46,6 +46,18 @@ class VariantAnalyzer {
         return aminoAcidNames[code] || 'Unknown';
     }
 
+    /**
+     * Get the HGVS three-letter code of an amino acid ('*' stays '*')
+     */
+    getThreeLetterCode(code) {
+        const threeLetterCodes = {
+            'A': 'Ala', 'R': 'Arg', 'N': 'Asn', 'D': 'Asp', 'C': 'Cys', 'E': 'Glu', 'Q': 'Gln',
+            'G': 'Gly', 'H': 'His', 'I': 'Ile', 'L': 'Leu', 'K': 'Lys', 'M': 'Met', 'F': 'Phe',
+            'P': 'Pro', 'S': 'Ser', 'T': 'Thr', 'W': 'Trp', 'Y': 'Tyr', 'V': 'Val', '*': '*'
+        };
+        return threeLetterCodes[code] || 'Xaa';
+    }
+
     /**
      * Comprehensive variant analysis
      */
@@ -67,7 +79,9 @@ class VariantAnalyzer {
             // Analyze impact for each affected gene
             for (const gene of analysis.affectedGenes) {
                 if (gene.type === 'CDS' || gene.type === 'gene') {
-                    const geneImpact = await this.analyzeGeneImpact(variant, gene);
+                    const geneImpact = variant.svType
+                        ? this.analyzeStructuralImpact(variant, gene)
+                        : await this.analyzeGeneImpact(variant, gene);
                     gene.impact = geneImpact;
 
                     // Set overall impact to highest severity found
@@ -102,6 +116,185 @@ class VariantAnalyzer {
         }
     }
 
+    /**
+     * Sub-fields of the ANN INFO field (SnpEff / VCF annotation format)
+     */
+    static get ANN_FIELDS() {
+        return [
+            'Allele', 'Annotation', 'Annotation_Impact', 'Gene_Name', 'Gene_ID', 'Feature_Type',
+            'Feature_ID', 'Transcript_BioType', 'Rank', 'HGVS.c', 'HGVS.p', 'cDNA.pos / cDNA.length',
+            'CDS.pos / CDS.length', 'AA.pos / AA.length', 'Distance', 'ERRORS / WARNINGS / INFO'
+        ];
+    }
+
+    /**
+     * Putative impact of each sequence ontology consequence term
+     */
+    static get CONSEQUENCE_IMPACT() {
+        return {
+            frameshift_variant: 'HIGH', stop_gained: 'HIGH', stop_lost: 'HIGH', start_lost: 'HIGH',
+            missense_variant: 'MODERATE', inframe_insertion: 'MODERATE', inframe_deletion: 'MODERATE',
+            synonymous_variant: 'LOW', stop_retained_variant: 'LOW',
+            coding_sequence_variant: 'MODIFIER', non_coding_transcript_exon_variant: 'MODIFIER',
+            regulatory_region_variant: 'MODIFIER', intragenic_variant: 'MODIFIER', intergenic_variant: 'MODIFIER'
+        };
+    }
+
+    /**
+     * Annotate a batch of VCF records, e.g. every variant of a loaded file.
+     * Each record gets an ANN INFO field with one entry per alternate allele and affected
+     * feature (most severe first) and an `annotations` array with the same entries as objects.
+     * @param {Array} variants - Variants parsed by MultiFileManager (updated in place)
+     * @param {Object} options - { onProgress(done, total) }
+     * @returns {Promise<Object>} { annotated, total, consequences } where consequences counts the
+     *          most severe term of each record
+     */
+    async annotateVariants(variants, options = {}) {
+        const consequences = {};
+        let annotated = 0;
+        this.featureSequenceCache = new Map();
+
+        try {
+            for (let i = 0; i < variants.length; i++) {
+                const variant = variants[i];
+                const entries = await this.annotateVariant(variant);
+
+                variant.annotations = entries;
+                variant.info = this.setInfoField(
+                    variant.info, 'ANN', entries.map(entry => this.formatAnnotation(entry)).join(',')
+                );
+                if (entries.length > 0) {
+                    annotated++;
+                    consequences[entries[0].consequence] = (consequences[entries[0].consequence] || 0) + 1;
+                }
+
+                // Yield regularly so large files do not freeze the interface
+                if (i % 200 === 199) {
+                    if (options.onProgress) options.onProgress(i + 1, variants.length);
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                }
+            }
+        } finally {
+            this.featureSequenceCache = null;
+        }
+
+        if (options.onProgress) options.onProgress(variants.length, variants.length);
+        console.log(`🧬 Annotated ${annotated} of ${variants.length} variants:`, consequences);
+        return { annotated, total: variants.length, consequences };
+    }
+
+    /**
+     * Annotation entries of one VCF record, most severe first
+     */
+    async annotateVariant(variant) {
+        const features = (await this.getAffectedGenes(variant))
+            .filter(feature => (feature.type || '').toLowerCase() !== 'source');
+        const geneContextTypes = ['gene', 'mrna', 'exon', 'intron'];
+        const impactRank = { HIGH: 3, MODERATE: 2, LOW: 1, MODIFIER: 0 };
+        const entries = [];
+
+        for (const allele of String(variant.alt || '').split(',')) {
+            // Symbolic, breakend and spanning-deletion alleles have no sequence to apply
+            if (!allele || allele === '.' || allele === '*' || /[<>[\]]/.test(allele)) continue;
+
+            const alleleVariant = { ...variant, alt: allele };
+            const alleleEntries = [];
+
+            for (const feature of features) {
+                const type = (feature.type || '').toLowerCase();
+                if (type === 'cds') {
+                    const impact = await this.analyzeGeneImpact(alleleVariant, feature);
+                    alleleEntries.push(this.createAnnotationEntry(allele, impact, feature, 'protein_coding'));
+                } else if (!geneContextTypes.includes(type)) {
+                    const impact = this.analyzeNonCodingImpact(alleleVariant, feature);
+                    alleleEntries.push(this.createAnnotationEntry(allele, impact, feature, feature.type));
+                }
+            }
+
+            // Genes without an annotated CDS or RNA at the variant
+            if (alleleEntries.length === 0) {
+                const geneFeature = features.find(feature => geneContextTypes.includes((feature.type || '').toLowerCase()));
+                const impact = geneFeature
+                    ? this.analyzeNonCodingImpact(alleleVariant, geneFeature)
+                    : this.getGenomicImpact(alleleVariant, this.classifyVariantType(alleleVariant));
+                alleleEntries.push(this.createAnnotationEntry(allele, impact, geneFeature || null, ''));
+            }
+
+            entries.push(...alleleEntries);
+        }
+
+        return entries.sort((a, b) => impactRank[b.impact] - impactRank[a.impact]);
+    }
+
+    /**
+     * Annotation entry for one allele and feature from a gene impact analysis
+     */
+    createAnnotationEntry(allele, impact, feature, biotype) {
+        const consequence = impact.consequence || 'coding_sequence_variant';
+        const gene = feature ? (this.getFeatureQualifier(feature, 'gene') || this.getFeatureQualifier(feature, 'locus_tag') || '') : '';
+        const geneId = feature ? (this.getFeatureQualifier(feature, 'locus_tag') || gene) : '';
+
+        return {
+            allele,
+            consequence,
+            impact: VariantAnalyzer.CONSEQUENCE_IMPACT[consequence] || 'MODIFIER',
+            gene,
+            geneId,
+            featureType: feature ? (feature.type === 'CDS' ? 'transcript' : feature.type) : '',
+            featureId: feature ? (this.getFeatureQualifier(feature, 'protein_id') || geneId || feature.id || '') : '',
+            biotype: biotype || '',
+            codingChange: impact.codingChange || '',
+            proteinChange: impact.proteinChange || '',
+            cdsPosition: impact.cdsPosition ? `${impact.cdsPosition}/${impact.cdsLength}` : '',
+            aaPosition: impact.aaPosition && impact.proteinChange ? `${impact.aaPosition}/${impact.aaLength}` : '',
+            errors: impact.severity === 'Unknown' ? impact.description : ''
+        };
+    }
+
+    getFeatureQualifier(feature, name) {
+        if (this.genomeBrowser && typeof this.genomeBrowser.getQualifierValue === 'function') {
+            return this.genomeBrowser.getQualifierValue(feature.qualifiers, name);
+        }
+        return feature.qualifiers ? feature.qualifiers[name] : null;
+    }
+
+    /**
+     * One ANN entry: ANN_FIELDS joined by '|', with separators in values replaced
+     */
+    formatAnnotation(entry) {
+        const sanitize = value => String(value || '').replace(/[,;=|\s]/g, '_');
+        return [
+            entry.allele, entry.consequence, entry.impact, entry.gene, entry.geneId, entry.featureType,
+            entry.featureId, entry.biotype, '', entry.codingChange, entry.proteinChange, '',
+            entry.cdsPosition, entry.aaPosition, '', entry.errors
+        ].map(sanitize).join('|');
+    }
+
+    /**
+     * Set (or remove, when value is empty) one key of a raw INFO string
+     */
+    setInfoField(info, key, value) {
+        const fields = (info && info !== '.' ? info.split(';') : [])
+            .filter(field => field && field.split('=')[0] !== key);
+        if (value) {
+            fields.push(`${key}=${value}`);
+        }
+        return fields.length > 0 ? fields.join(';') : '.';
+    }
+
+    /**
+     * VCF header lines with the ANN INFO definition (replacing an existing one) before #CHROM
+     * @param {Array} headerLines - Header lines of the annotated file
+     * @returns {Array} New header lines
+     */
+    addAnnotationHeader(headerLines = []) {
+        const definition = `##INFO=<ID=ANN,Number=.,Type=String,Description="Functional annotations: '${VariantAnalyzer.ANN_FIELDS.join(' | ')}'">`;
+        const lines = headerLines.filter(line => !line.startsWith('##INFO=<ID=ANN,'));
+        const chromIndex = lines.findIndex(line => line.startsWith('#CHROM'));
+        lines.splice(chromIndex < 0 ? lines.length : chromIndex, 0, definition);
+        return lines;
+    }
+
     /**
      * Get basic variant information
      */
@@ -120,6 +313,15 @@ class VariantAnalyzer {
      * Classify variant type
      */
     classifyVariantType(variant) {
+        if (variant.svType) {
+            const length = variant.svLength || 0;
+            return {
+                type: variant.svType,
+                description: `Structural variant: ${StructuralVariants.TYPE_STYLES[variant.svType].label}`,
+                lengthChange: variant.svType === 'DEL' ? -length : (variant.svType === 'INS' || variant.svType === 'DUP' ? length : 0)
+            };
+        }
+
         const refLen = variant.ref.length;
         const altLen = variant.alt.length;
 
@@ -163,7 +365,7 @@ class VariantAnalyzer {
         try {
             // Check if variant is in any annotated features
             const chromosome = variant.chromosome;
-            const position = variant.start;
+            const position = variant.start + 1; // Features are 1-based
 
             if (this.genomeBrowser.currentAnnotations && this.genomeBrowser.currentAnnotations[chromosome]) {
                 const annotations = this.genomeBrowser.currentAnnotations[chromosome];
@@ -205,17 +407,14 @@ class VariantAnalyzer {
 
         try {
             const chromosome = variant.chromosome;
-            const varStart = variant.start;
-            const varEnd = variant.end;
+            const { start: varStart, end: varEnd } = this.getVariantSpan(variant);
 
             if (this.genomeBrowser.currentAnnotations && this.genomeBrowser.currentAnnotations[chromosome]) {
                 const annotations = this.genomeBrowser.currentAnnotations[chromosome];
                 
                 // Find all overlapping features
                 const overlappingFeatures = annotations.filter(feature => {
-                    return (varStart >= feature.start && varStart <= feature.end) ||
-                           (varEnd >= feature.start && varEnd <= feature.end) ||
-                           (varStart <= feature.start && varEnd >= feature.end);
+                    return varStart <= feature.end && varEnd >= feature.start;
                 });
 
                 for (const feature of overlappingFeatures) {
@@ -233,12 +432,20 @@ class VariantAnalyzer {
         return affectedGenes;
     }
 
+    /**
+     * Reference span of a variant in 1-based inclusive feature coordinates
+     * (variant.start is 0-based; variant.end is start + ref length)
+     */
+    getVariantSpan(variant) {
+        const start = variant.start + 1;
+        return { start, end: Math.max(variant.end || start, start) };
+    }
+
     /**
      * Determine overlap type between variant and feature
      */
     getOverlapType(variant, feature) {
-        const varStart = variant.start;
-        const varEnd = variant.end;
+        const { start: varStart, end: varEnd } = this.getVariantSpan(variant);
         const featStart = feature.start;
         const featEnd = feature.end;
 
@@ -267,35 +474,40 @@ class VariantAnalyzer {
             const strand = gene.strand || '+';
 
             // Get gene sequence
-            const geneSequence = await this.genomeBrowser.getSequenceForRegion(
-                chromosome, geneStart, geneEnd
-            );
+            const geneSequence = await this.getFeatureSequence(chromosome, geneStart, geneEnd);
 
             if (!geneSequence) {
                 throw new Error('Could not retrieve gene sequence');
             }
 
-            // Calculate relative position within gene
-            const relativePos = variantPos - geneStart;
+            // Calculate relative position within gene (gene coordinates are 1-based)
+            const relativePos = variantPos - (geneStart - 1);
             
-            // Handle strand orientation
+            // Handle strand orientation: on the minus strand the alleles are read
+            // on the reverse complement and the variant ends where it started
             let workingSequence = geneSequence;
             let workingRelativePos = relativePos;
+            let workingVariant = variant;
 
             if (strand === '-') {
                 workingSequence = this.reverseComplement(geneSequence);
-                workingRelativePos = geneSequence.length - relativePos - 1;
+                workingRelativePos = geneSequence.length - relativePos - variant.ref.length;
+                workingVariant = {
+                    ...variant,
+                    ref: this.reverseComplement(variant.ref),
+                    alt: this.reverseComplement(variant.alt)
+                };
             }
 
             // Apply variant to sequence
             const mutatedSequence = this.applyVariantToSequence(
-                workingSequence, workingRelativePos, variant.ref, variant.alt
+                workingSequence, workingRelativePos, workingVariant.ref, workingVariant.alt
             );
 
             // Analyze protein impact if this is a CDS
             if (gene.type === 'CDS') {
                 return await this.analyzeCDSImpact(
-                    workingSequence, mutatedSequence, workingRelativePos, variant, gene
+                    workingSequence, mutatedSequence, workingRelativePos, workingVariant, gene
                 );
             } else {
                 return this.analyzeNonCodingImpact(variant, gene);
@@ -311,6 +523,76 @@ class VariantAnalyzer {
         }
     }
 
+    /**
+     * Sequence of a feature (1-based inclusive coordinates), cached during batch annotation
+     */
+    async getFeatureSequence(chromosome, start, end) {
+        const key = `${chromosome}:${start}-${end}`;
+        if (this.featureSequenceCache && this.featureSequenceCache.has(key)) {
+            return this.featureSequenceCache.get(key);
+        }
+
+        // Indexed FASTA sequences only hold the cached window; fetch the feature itself
+        const sequence = this.genomeBrowser.currentSequence && this.genomeBrowser.currentSequence[chromosome];
+        const featureSequence = sequence && sequence.isIndexed
+            ? await sequence.getSequence(start - 1, end)
+            : await this.genomeBrowser.getSequenceForRegion(chromosome, start, end);
+
+        if (this.featureSequenceCache) {
+            this.featureSequenceCache.set(key, featureSequence);
+        }
+        return featureSequence;
+    }
+
+    /**
+     * Impact of a structural variant (symbolic or breakend allele) on an overlapping gene or CDS
+     */
+    analyzeStructuralImpact(variant, gene) {
+        const { start, end } = this.getVariantSpan(variant);
+        const coversFeature = start <= gene.start && end >= gene.end;
+        const geneName = gene.qualifiers?.gene || gene.qualifiers?.locus_tag || 'Unknown';
+        const length = variant.svLength ? `${variant.svLength.toLocaleString()} bp ` : '';
+        let severity;
+        let description;
+
+        switch (variant.svType) {
+            case 'DEL':
+                severity = 'High';
+                description = coversFeature ? 'Feature deleted' : 'Partial deletion of feature';
+                break;
+            case 'DUP':
+                severity = coversFeature ? 'Moderate' : 'High';
+                description = coversFeature ? 'Whole-feature duplication (copy gain)' : 'Duplication breakpoint inside feature';
+                break;
+            case 'INV':
+                severity = coversFeature ? 'Moderate' : 'High';
+                description = coversFeature ? 'Feature inverted' : 'Inversion breakpoint inside feature';
+                break;
+            case 'INS':
+                severity = gene.type === 'CDS' ? 'High' : 'Moderate';
+                description = 'Insertion inside feature';
+                break;
+            case 'BND':
+                severity = 'High';
+                description = 'Breakend inside feature (possible gene fusion or disruption)';
+                break;
+            default:
+                severity = 'Moderate';
+                description = 'Copy number change over feature';
+        }
+
+        const details = [
+            `${StructuralVariants.TYPE_STYLES[variant.svType].label} ${length}at ${variant.chromosome}:${(variant.start + 1).toLocaleString()}` +
+                (variant.svType === 'BND' || variant.svType === 'INS' ? '' : `-${variant.end.toLocaleString()}`),
+            `Feature: ${geneName} (${gene.type}, ${gene.start}-${gene.end})`
+        ];
+        if (variant.mate) {
+            details.push(StructuralVariants.describeBreakend(variant));
+        }
+
+        return { severity, description, details, type: gene.type };
+    }
+
     /**
      * Apply variant to DNA sequence
      */
@@ -336,6 +618,9 @@ class VariantAnalyzer {
         const details = [];
         let severity = 'Unknown';
         let description = '';
+        let consequence = 'coding_sequence_variant';
+        let proteinChange = '';
+        const aaPosition = Math.floor(variantPos / 3) + 1;
 
         try {
             // Find reading frame (variant position relative to start of CDS)
@@ -343,20 +628,28 @@ class VariantAnalyzer {
             const codonOffset = variantPos % 3;
             const lengthChange = variant.alt.length - variant.ref.length;
 
-            // Translate original and mutated sequences
-            const originalProtein = this.translateDNA(originalSeq);
-            const mutatedProtein = this.translateDNA(mutatedSeq);
+            // Translate original and mutated sequences with the gene's genetic code
+            const geneticCode = this.getGeneticCode(gene, variant.chromosome);
+            const originalProtein = this.translateDNA(originalSeq, geneticCode);
+            const mutatedProtein = this.translateDNA(mutatedSeq, geneticCode);
 
             details.push(`Original sequence length: ${originalSeq.length} bp`);
             details.push(`Mutated sequence length: ${mutatedSeq.length} bp`);
             details.push(`Variant at codon ${codonPosition + 1}, position ${codonOffset + 1} in codon`);
+            if (geneticCode !== 1) {
+                details.push(`Genetic code: NCBI translation table ${geneticCode}`);
+            }
 
             // Analyze impact type
             if (lengthChange % 3 !== 0) {
                 // Frameshift mutation
                 severity = 'High';
                 description = 'Frameshift mutation';
+                consequence = 'frameshift_variant';
                 details.push('⚠️ FRAMESHIFT: Length change not divisible by 3');
+                if (codonPosition < originalProtein.length) {
+                    proteinChange = `p.${this.getThreeLetterCode(originalProtein[codonPosition])}${aaPosition}fs`;
+                }
                 
                 // Check for premature stop
                 const stopIndex = mutatedProtein.indexOf('*');
@@ -369,27 +662,57 @@ class VariantAnalyzer {
 
             } else if (lengthChange === 0) {
                 // Point mutation or MNV
-                if (codonPosition < originalProtein.length && codonPosition < mutatedProtein.length) {
+                // Codon 1 is judged on the codon itself: ATG→GTG keeps translation initiation
+                // in table 11 but would read as Met→Val from the amino acids alone
+                const startCodons = this.getStartCodons(geneticCode);
+                const originalStart = originalSeq.substring(0, 3).toUpperCase();
+                const mutatedStart = mutatedSeq.substring(0, 3).toUpperCase();
+                if (codonPosition === 0 && startCodons.includes(originalStart)) {
+                    if (startCodons.includes(mutatedStart)) {
+                        severity = 'Low';
+                        description = 'Start codon retained';
+                        consequence = 'start_retained_variant';
+                        proteinChange = 'p.Met1=';
+                        details.push(`✅ START RETAINED: ${originalStart} → ${mutatedStart} (both start codons in translation table ${geneticCode})`);
+                    } else {
+                        severity = 'High';
+                        description = 'Start codon loss';
+                        consequence = 'start_lost';
+                        proteinChange = 'p.Met1?';
+                        details.push(`⚠️ START LOSS: ${originalStart} → ${mutatedStart} (not a start codon in translation table ${geneticCode})`);
+                    }
+                } else if (codonPosition < originalProtein.length && codonPosition < mutatedProtein.length) {
                     const originalAA = originalProtein[codonPosition];
                     const mutatedAA = mutatedProtein[codonPosition];
 
+                    const originalCode = this.getThreeLetterCode(originalAA);
+                    const mutatedCode = this.getThreeLetterCode(mutatedAA);
+
                     if (originalAA !== mutatedAA) {
                         if (mutatedAA === '*') {
                             severity = 'High';
                             description = 'Nonsense mutation (creates stop codon)';
+                            consequence = 'stop_gained';
+                            proteinChange = `p.${originalCode}${aaPosition}*`;
                             details.push(`⚠️ NONSENSE: ${originalAA} → ${mutatedAA} (${this.getAminoAcidName(originalAA)} → Stop)`);
                         } else if (originalAA === '*') {
                             severity = 'High';
                             description = 'Stop codon loss';
+                            consequence = 'stop_lost';
+                            proteinChange = `p.*${aaPosition}${mutatedCode}ext*?`;
                             details.push(`⚠️ STOP LOSS: ${originalAA} → ${mutatedAA} (Stop → ${this.getAminoAcidName(mutatedAA)})`);
                         } else {
                             severity = 'Moderate';
                             description = 'Missense mutation';
+                            consequence = 'missense_variant';
+                            proteinChange = `p.${originalCode}${aaPosition}${mutatedCode}`;
                             details.push(`🔄 MISSENSE: ${originalAA} → ${mutatedAA} (${this.getAminoAcidName(originalAA)} → ${this.getAminoAcidName(mutatedAA)})`);
                         }
                     } else {
                         severity = 'Low';
                         description = 'Synonymous mutation';
+                        consequence = originalAA === '*' ? 'stop_retained_variant' : 'synonymous_variant';
+                        proteinChange = `p.${originalCode}${aaPosition}${originalCode}`;
                         details.push(`✅ SYNONYMOUS: ${originalAA} (${this.getAminoAcidName(originalAA)}) unchanged`);
                     }
                 }
@@ -399,9 +722,11 @@ class VariantAnalyzer {
                 severity = 'Moderate';
                 if (lengthChange > 0) {
                     description = 'In-frame insertion';
+                    consequence = 'inframe_insertion';
                     details.push(`📈 IN-FRAME INSERTION: ${lengthChange} nucleotides added`);
                 } else {
                     description = 'In-frame deletion';
+                    consequence = 'inframe_deletion';
                     details.push(`📉 IN-FRAME DELETION: ${Math.abs(lengthChange)} nucleotides removed`);
                 }
             }
@@ -438,10 +763,48 @@ class VariantAnalyzer {
             severity,
             description,
             details,
-            type: 'CDS'
+            type: 'CDS',
+            consequence,
+            proteinChange,
+            codingChange: this.getCodingChange(variantPos, variant),
+            cdsPosition: variantPos + 1,
+            cdsLength: originalSeq.length,
+            aaPosition,
+            aaLength: Math.floor(originalSeq.length / 3)
         };
     }
 
+    /**
+     * HGVS coding notation of a variant in CDS orientation (c.35G>T, c.35_37del, c.35_36insA)
+     */
+    getCodingChange(variantPos, variant) {
+        const ref = variant.ref.toUpperCase();
+        const alt = variant.alt.toUpperCase();
+
+        // Trim the shared padding base of VCF indels
+        let prefix = 0;
+        while (prefix < ref.length && prefix < alt.length && ref[prefix] === alt[prefix]) prefix++;
+        let suffix = 0;
+        while (suffix < ref.length - prefix && suffix < alt.length - prefix &&
+               ref[ref.length - 1 - suffix] === alt[alt.length - 1 - suffix]) suffix++;
+
+        const deleted = ref.substring(prefix, ref.length - suffix);
+        const inserted = alt.substring(prefix, alt.length - suffix);
+        const start = variantPos + prefix + 1;
+
+        if (deleted.length === 1 && inserted.length === 1) {
+            return `c.${start}${deleted}>${inserted}`;
+        }
+        if (deleted.length === 0 && inserted.length > 0) {
+            return `c.${start - 1}_${start}ins${inserted}`;
+        }
+        const range = deleted.length === 1 ? `${start}` : `${start}_${start + deleted.length - 1}`;
+        if (inserted.length === 0) {
+            return `c.${range}del`;
+        }
+        return deleted.length > 0 ? `c.${range}delins${inserted}` : '';
+    }
+
     /**
      * Analyze impact on non-coding features
      */
@@ -449,6 +812,7 @@ class VariantAnalyzer {
         const details = [];
         let severity = 'Low';
         let description = 'Non-coding variant';
+        let consequence = 'non_coding_transcript_exon_variant';
 
         const geneName = gene.qualifiers?.gene || gene.qualifiers?.locus_tag || 'Unknown';
         const featureType = gene.type || 'Unknown';
@@ -470,8 +834,18 @@ class VariantAnalyzer {
             case 'promoter':
                 severity = 'Moderate';
                 description = 'Regulatory region variant';
+                consequence = 'regulatory_region_variant';
                 details.push('May affect gene expression');
                 break;
+            case 'gene':
+            case 'mrna':
+            case 'exon':
+            case 'intron':
+                severity = 'Low';
+                description = `${featureType} variant`;
+                consequence = 'intragenic_variant';
+                details.push('Impact on non-coding element');
+                break;
             default:
                 severity = 'Low';
                 description = `${featureType} variant`;
@@ -482,7 +856,8 @@ class VariantAnalyzer {
             severity,
             description,
             details,
-            type: featureType
+            type: featureType,
+            consequence
         };
     }
 
@@ -498,19 +873,43 @@ class VariantAnalyzer {
                 'Unlikely to have direct protein impact',
                 'May affect regulatory elements'
             ],
-            type: 'Intergenic'
+            type: 'Intergenic',
+            consequence: 'intergenic_variant'
         };
     }
 
+    /**
+     * Get the NCBI genetic code of a gene (/transl_table, genome default or settings)
+     */
+    getGeneticCode(gene, chromosome) {
+        if (this.genomeBrowser && typeof this.genomeBrowser.getGeneticCode === 'function') {
+            return this.genomeBrowser.getGeneticCode(gene, chromosome);
+        }
+        return 1;
+    }
+
+    /**
+     * Get the start codons of a genetic code (ATG only without UnifiedDNATranslation)
+     */
+    getStartCodons(geneticCode = null) {
+        const unified = typeof window !== 'undefined' ? window.UnifiedDNATranslation : null;
+        return geneticCode && unified ? unified.getStartCodons(geneticCode) : ['ATG'];
+    }
+
     /**
      * Translate DNA sequence to protein
+     * With a genetic code other than the built-in standard table, an alternative
+     * start codon in the first position is read as methionine.
      */
-    translateDNA(dnaSequence) {
+    translateDNA(dnaSequence, geneticCode = null) {
+        const unified = typeof window !== 'undefined' ? window.UnifiedDNATranslation : null;
+        const codonTable = geneticCode && unified ? unified.getGeneticCodeTable(geneticCode) : this.geneticCode;
+        const startCodons = this.getStartCodons(geneticCode);
         let protein = '';
         
         for (let i = 0; i < dnaSequence.length - 2; i += 3) {
             const codon = dnaSequence.substr(i, 3).toUpperCase();
-            const aminoAcid = this.geneticCode[codon] || 'X';
+            const aminoAcid = i === 0 && startCodons.includes(codon) ? 'M' : (codonTable[codon] || 'X');
             protein += aminoAcid;
             
             // Stop at first stop codon
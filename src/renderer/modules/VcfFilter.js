@@ -0,0 +1,451 @@
+/**
+ * VcfFilter - Filter expressions over VCF records
+ *
+ * Expressions combine comparisons with &&, || (or AND, OR), ! (NOT) and parentheses:
+ *
+ *   QUAL >= 30 && INFO/DP > 10
+ *   CONSEQUENCE == missense_variant || IMPACT == HIGH
+ *   GENE ~ "^dna" && !(FILTER == LowQual)
+ *   GT[NA12878] == het && N_HOM_ALT == 0
+ *
+ * Fields: QUAL, FILTER, CHROM, POS (1-based), ID, REF, ALT, TYPE (snv, mnv, insertion, deletion,
+ * complex, or del, dup, inv, ins, cnv, bnd for structural variants), INFO/KEY (or INFO.KEY), FORMAT/KEY[sample], GT[sample] (sample name, index
+ * or * for any sample), N_HET, N_HOM_ALT, N_HOM_REF, N_MISSING, and from ANN (SnpEff) or CSQ (VEP)
+ * annotations CONSEQUENCE, IMPACT, GENE, HGVS_C, HGVS_P, or any sub-field as ANN/<name> or CSQ/<name>.
+ * Operators: == (or =), !=, >, >=, <, <=, ~ (regular expression) and !~. A field without an
+ * operator tests that it is present (INFO flags such as INFO/DB).
+ *
+ * Fields with several values (ALT, comma separated INFO values, annotations, GT[*]) match when
+ * any value matches; != and !~ match when no value matches. Missing values never match.
+ * Genotypes compare either by state (het, hom_alt, hom_ref, missing) or literally ("0|1").
+ */
+
+class VcfFilter {
+
+    /**
+     * Annotation sub-fields used when the header does not describe the INFO field
+     */
+    static get DEFAULT_ANNOTATION_FIELDS() {
+        return {
+            ANN: [
+                'Allele', 'Annotation', 'Annotation_Impact', 'Gene_Name', 'Gene_ID', 'Feature_Type',
+                'Feature_ID', 'Transcript_BioType', 'Rank', 'HGVS.c', 'HGVS.p', 'cDNA.pos / cDNA.length',
+                'CDS.pos / CDS.length', 'AA.pos / AA.length', 'Distance', 'ERRORS / WARNINGS / INFO'
+            ],
+            CSQ: [
+                'Allele', 'Consequence', 'IMPACT', 'SYMBOL', 'Gene', 'Feature_type', 'Feature',
+                'BIOTYPE', 'EXON', 'INTRON', 'HGVSc', 'HGVSp'
+            ]
+        };
+    }
+
+    /**
+     * Shortcut fields and the ANN / CSQ sub-fields they read
+     */
+    static get ANNOTATION_ALIASES() {
+        return {
+            CONSEQUENCE: ['Annotation', 'Consequence'],
+            IMPACT: ['Annotation_Impact', 'IMPACT'],
+            GENE: ['Gene_Name', 'SYMBOL'],
+            HGVS_C: ['HGVS.c', 'HGVSc'],
+            HGVS_P: ['HGVS.p', 'HGVSp']
+        };
+    }
+
+    static get GENOTYPE_STATES() {
+        return {
+            het: 'het', hom_alt: 'homAlt', homalt: 'homAlt', alt: 'homAlt',
+            hom_ref: 'homRef', homref: 'homRef', ref: 'homRef',
+            missing: 'missing', nocall: 'missing', no_call: 'missing'
+        };
+    }
+
+    static get COUNT_FIELDS() {
+        return { N_HET: 'het', N_HOM_ALT: 'homAlt', N_HOM_REF: 'homRef', N_MISSING: 'missing' };
+    }
+
+    /**
+     * Compile a filter expression
+     * @param {string} expression - Filter expression
+     * @param {Object} context - { sampleNames, header } of the filtered file
+     * @returns {Object} { expression, test(variant) }
+     * @throws {Error} When the expression cannot be parsed
+     */
+    static compile(expression, context = {}) {
+        const tokens = this.tokenize(String(expression || ''));
+        if (tokens.length === 0) {
+            throw new Error('Filter expression is empty');
+        }
+
+        const parser = { tokens, position: 0 };
+        const node = this.parseOr(parser);
+        if (parser.position < tokens.length) {
+            throw new Error(`Unexpected '${tokens[parser.position].value}' in filter expression`);
+        }
+
+        this.resolveSamples(node, context.sampleNames || []);
+        const scope = { annotationFields: this.parseAnnotationFields(context.header || []) };
+        return {
+            expression: String(expression).trim(),
+            test: variant => this.evaluate(node, variant, scope)
+        };
+    }
+
+    /**
+     * Split an expression into operator, parenthesis, string, number and field tokens
+     */
+    static tokenize(expression) {
+        const tokens = [];
+        const pattern = /\s*(?:(&&|\|\||==|!=|>=|<=|!~|=|>|<|~|!|\(|\))|"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|([^\s()=!<>~&|"']+(?:\[[^\]]*\])?))/y;
+        let position = 0;
+
+        while (position < expression.length) {
+            pattern.lastIndex = position;
+            const match = pattern.exec(expression);
+            if (!match || match[0].length === 0) {
+                if (/^\s*$/.test(expression.substring(position))) break;
+                throw new Error(`Cannot read filter expression at '${expression.substring(position).trim()}'`);
+            }
+            position = pattern.lastIndex;
+
+            if (match[1]) {
+                tokens.push({ type: 'operator', value: match[1] === '=' ? '==' : match[1] });
+            } else if (match[2] !== undefined || match[3] !== undefined) {
+                const text = match[2] !== undefined ? match[2] : match[3];
+                tokens.push({ type: 'string', value: text.replace(/\\(.)/g, '$1') });
+            } else if (/^(and|or|not)$/i.test(match[4])) {
+                tokens.push({ type: 'operator', value: { and: '&&', or: '||', not: '!' }[match[4].toLowerCase()] });
+            } else {
+                tokens.push({ type: 'word', value: match[4] });
+            }
+        }
+        return tokens;
+    }
+
+    static peek(parser, value) {
+        const token = parser.tokens[parser.position];
+        return token && token.type === 'operator' && token.value === value;
+    }
+
+    static parseOr(parser) {
+        let node = this.parseAnd(parser);
+        while (this.peek(parser, '||')) {
+            parser.position++;
+            node = { type: 'or', left: node, right: this.parseAnd(parser) };
+        }
+        return node;
+    }
+
+    static parseAnd(parser) {
+        let node = this.parseNot(parser);
+        while (this.peek(parser, '&&')) {
+            parser.position++;
+            node = { type: 'and', left: node, right: this.parseNot(parser) };
+        }
+        return node;
+    }
+
+    static parseNot(parser) {
+        if (this.peek(parser, '!')) {
+            parser.position++;
+            return { type: 'not', operand: this.parseNot(parser) };
+        }
+        if (this.peek(parser, '(')) {
+            parser.position++;
+            const node = this.parseOr(parser);
+            if (!this.peek(parser, ')')) {
+                throw new Error('Missing closing parenthesis in filter expression');
+            }
+            parser.position++;
+            return node;
+        }
+        return this.parseComparison(parser);
+    }
+
+    static parseComparison(parser) {
+        const fieldToken = parser.tokens[parser.position];
+        if (!fieldToken || fieldToken.type !== 'word') {
+            throw new Error(fieldToken
+                ? `Expected a field name before '${fieldToken.value}'`
+                : 'Filter expression ends unexpectedly');
+        }
+        parser.position++;
+        const field = this.parseField(fieldToken.value);
+
+        const comparisons = ['==', '!=', '>', '>=', '<', '<=', '~', '!~'];
+        const operatorToken = parser.tokens[parser.position];
+        if (!operatorToken || operatorToken.type !== 'operator' || !comparisons.includes(operatorToken.value)) {
+            return { type: 'exists', field };
+        }
+        parser.position++;
+
+        const valueToken = parser.tokens[parser.position];
+        if (!valueToken || valueToken.type === 'operator') {
+            throw new Error(`Expected a value after '${fieldToken.value} ${operatorToken.value}'`);
+        }
+        parser.position++;
+
+        const node = { type: 'compare', field, operator: operatorToken.value, value: valueToken.value };
+        if (node.operator === '~' || node.operator === '!~') {
+            try {
+                node.regex = new RegExp(node.value, 'i');
+            } catch (error) {
+                throw new Error(`Invalid regular expression '${node.value}': ${error.message}`);
+            }
+        }
+        return node;
+    }
+
+    /**
+     * Field reference of a field token (INFO/DP, GT[NA12878], ANN/Gene_Name, QUAL, ...)
+     */
+    static parseField(text) {
+        const subscriptMatch = text.match(/^(.*?)\[([^\]]*)\]$/);
+        const name = subscriptMatch ? subscriptMatch[1] : text;
+        const sample = subscriptMatch ? subscriptMatch[2].trim() : null;
+        const separatorMatch = name.match(/^(INFO|FORMAT|FMT|ANN|CSQ)[/.](.+)$/i);
+
+        if (separatorMatch) {
+            const kind = separatorMatch[1].toUpperCase();
+            if ((kind === 'FORMAT' || kind === 'FMT') && sample === null) {
+                throw new Error(`${text} needs a sample, e.g. ${text}[*]`);
+            }
+            return {
+                kind: kind === 'FMT' ? 'FORMAT' : kind,
+                key: separatorMatch[2],
+                sample,
+                text
+            };
+        }
+
+        const upper = name.toUpperCase();
+        if (upper === 'GT') {
+            if (sample === null) {
+                throw new Error('GT needs a sample, e.g. GT[*] or GT[sample1]');
+            }
+            return { kind: 'FORMAT', key: 'GT', sample, text };
+        }
+        if (this.COUNT_FIELDS[upper]) {
+            return { kind: 'count', key: upper, text };
+        }
+        if (this.ANNOTATION_ALIASES[upper]) {
+            return { kind: 'annotation', key: upper, text };
+        }
+        if (['QUAL', 'FILTER', 'CHROM', 'POS', 'ID', 'REF', 'ALT', 'TYPE'].includes(upper)) {
+            return { kind: 'column', key: upper, text };
+        }
+        throw new Error(`Unknown filter field '${text}'`);
+    }
+
+    /**
+     * ANN / CSQ sub-field names from the INFO header definitions ("... Format: a|b|c" or "'a | b | c'")
+     */
+    static parseAnnotationFields(headerLines) {
+        const fields = { ...this.DEFAULT_ANNOTATION_FIELDS };
+        headerLines.forEach(line => {
+            const match = line.match(/^##INFO=<ID=(ANN|CSQ),.*Description="([^"]*)"/);
+            if (!match) return;
+            const description = match[2];
+            const listMatch = description.match(/Format:\s*(.+)$/) || description.match(/'([^']+)'/);
+            if (listMatch) {
+                fields[match[1]] = listMatch[1].replace(/'/g, '').split('|').map(name => name.trim());
+            }
+        });
+        return fields;
+    }
+
+    static evaluate(node, variant, scope) {
+        switch (node.type) {
+            case 'or':
+                return this.evaluate(node.left, variant, scope) || this.evaluate(node.right, variant, scope);
+            case 'and':
+                return this.evaluate(node.left, variant, scope) && this.evaluate(node.right, variant, scope);
+            case 'not':
+                return !this.evaluate(node.operand, variant, scope);
+            case 'exists':
+                return this.getValues(node.field, variant, scope).some(value => value !== '' && value !== '.');
+            default:
+                return this.compare(node, this.getValues(node.field, variant, scope));
+        }
+    }
+
+    /**
+     * Compare field values to the node's value; any value may match
+     */
+    static compare(node, values) {
+        const present = values.filter(value => value !== '' && value !== '.' && value !== null && value !== undefined);
+
+        if (node.operator === '!=') {
+            return !present.some(value => this.equals(node, value));
+        }
+        if (node.operator === '!~') {
+            return !present.some(value => node.regex.test(String(value)));
+        }
+        return present.some(value => {
+            switch (node.operator) {
+                case '==': return this.equals(node, value);
+                case '~': return node.regex.test(String(value));
+                default: {
+                    const left = Number(value);
+                    const right = Number(node.value);
+                    if (isNaN(left) || isNaN(right)) return false;
+                    if (node.operator === '>') return left > right;
+                    if (node.operator === '>=') return left >= right;
+                    if (node.operator === '<') return left < right;
+                    return left <= right;
+                }
+            }
+        });
+    }
+
+    static equals(node, value) {
+        // Genotypes match either their state or the literal GT string
+        if (value && typeof value === 'object') {
+            const state = this.GENOTYPE_STATES[String(node.value).toLowerCase()];
+            return state ? value.state === state : value.gt === node.value;
+        }
+        const left = Number(value);
+        const right = Number(node.value);
+        if (!isNaN(left) && !isNaN(right) && String(value).trim() !== '' && String(node.value).trim() !== '') {
+            return left === right;
+        }
+        return String(value) === String(node.value);
+    }
+
+    /**
+     * Values of a field in a record (empty when missing)
+     */
+    static getValues(field, variant, scope) {
+        switch (field.kind) {
+            case 'column':
+                return this.getColumnValues(field.key, variant);
+            case 'INFO': {
+                const info = this.parseInfo(variant);
+                if (!(field.key in info)) return [];
+                return info[field.key] === true ? ['true'] : info[field.key].split(',');
+            }
+            case 'FORMAT':
+                return this.getSampleIndices(field, variant).map(index => {
+                    const genotype = VcfGenotypes.getGenotype(variant, index);
+                    return field.key === 'GT' ? genotype : genotype.fields[field.key];
+                }).filter(value => value !== undefined);
+            case 'count':
+                return [VcfGenotypes.countGenotypes(variant)[this.COUNT_FIELDS[field.key]]];
+            case 'annotation':
+                return this.getAnnotationValues(variant, scope, this.ANNOTATION_ALIASES[field.key]);
+            default:
+                return this.getAnnotationValues(variant, scope, [field.key], field.kind);
+        }
+    }
+
+    static getColumnValues(key, variant) {
+        switch (key) {
+            case 'QUAL': return variant.quality === null || variant.quality === undefined ? [] : [variant.quality];
+            case 'FILTER': return variant.filter ? variant.filter.split(';') : [];
+            case 'CHROM': return [variant.chromosome];
+            case 'POS': return [variant.start + 1];
+            case 'ID': return variant.id ? String(variant.id).split(';') : [];
+            case 'REF': return [variant.ref];
+            case 'ALT': return variant.alt ? variant.alt.split(',') : [];
+            default:
+                if (variant.svType) return [variant.svType.toLowerCase()];
+                return (variant.alt || '').split(',').map(alt => this.getAlleleType(variant.ref, alt));
+        }
+    }
+
+    /**
+     * Variant class of one alternate allele
+     */
+    static getAlleleType(ref, alt) {
+        if (!alt || alt === '.' || alt === '*' || /[<>[\]]/.test(alt)) return 'symbolic';
+        if (ref.length === alt.length) return ref.length === 1 ? 'snv' : 'mnv';
+        if (alt.startsWith(ref) || (ref.length === 1 && alt[0] === ref[0])) return 'insertion';
+        if (ref.startsWith(alt) || (alt.length === 1 && alt[0] === ref[0])) return 'deletion';
+        return 'complex';
+    }
+
+    static getSampleIndices(field, variant) {
+        if (field.sampleIndex === null) {
+            return (variant.samples || []).map((column, index) => index);
+        }
+        return variant.samples && field.sampleIndex < variant.samples.length ? [field.sampleIndex] : [];
+    }
+
+    /**
+     * Resolve the samples of FORMAT fields to column indices (null for any sample)
+     * @throws {Error} For samples that are not in the file
+     */
+    static resolveSamples(node, sampleNames) {
+        if (node.left) this.resolveSamples(node.left, sampleNames);
+        if (node.right) this.resolveSamples(node.right, sampleNames);
+        if (node.operand) this.resolveSamples(node.operand, sampleNames);
+
+        const field = node.field;
+        if (!field || field.kind !== 'FORMAT') return;
+        if (field.sample === '*') {
+            field.sampleIndex = null;
+        } else if (sampleNames.includes(field.sample)) {
+            field.sampleIndex = sampleNames.indexOf(field.sample);
+        } else if (/^\d+$/.test(field.sample) && Number(field.sample) < sampleNames.length) {
+            field.sampleIndex = Number(field.sample);
+        } else {
+            throw new Error(`Unknown sample '${field.sample}' in ${field.text}`);
+        }
+    }
+
+    /**
+     * INFO key/value map of a record (flags map to true), cached per record and INFO string
+     */
+    static parseInfo(variant) {
+        const cache = this.infoCache || (this.infoCache = new WeakMap());
+        const cached = cache.get(variant);
+        if (cached && cached.raw === variant.info) {
+            return cached.info;
+        }
+
+        const info = {};
+        if (variant.info && variant.info !== '.') {
+            variant.info.split(';').forEach(entry => {
+                if (!entry) return;
+                const separator = entry.indexOf('=');
+                if (separator < 0) {
+                    info[entry] = true;
+                } else {
+                    info[entry.substring(0, separator)] = entry.substring(separator + 1);
+                }
+            });
+        }
+        cache.set(variant, { raw: variant.info, info });
+        return info;
+    }
+
+    /**
+     * Values of annotation sub-fields across all ANN / CSQ entries of a record
+     * @param {Array} names - Sub-field names to read (the first one present in the layout is used)
+     * @param {string} source - 'ANN' or 'CSQ' (both when omitted)
+     */
+    static getAnnotationValues(variant, scope, names, source = null) {
+        const info = this.parseInfo(variant);
+        const values = [];
+        (source ? [source] : ['ANN', 'CSQ']).forEach(key => {
+            if (typeof info[key] !== 'string') return;
+            const layout = scope.annotationFields[key];
+            const index = names.map(name => layout.indexOf(name)).find(position => position >= 0);
+            if (index === undefined) return;
+
+            info[key].split(',').forEach(entry => {
+                const value = entry.split('|')[index];
+                // Combined consequences are joined with '&'
+                if (value) values.push(...value.split('&'));
+            });
+        });
+        return values;
+    }
+}
+
+// Export for Node.js and browser compatibility
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VcfFilter;
+} else if (typeof window !== 'undefined') {
+    window.VcfFilter = VcfFilter;
+}
@@ -0,0 +1,214 @@
+/**
+ * VcfGenotypes - Per-sample genotypes of multi-sample VCF records
+ *
+ * Variants parsed by MultiFileManager keep the FORMAT column as `format` and the sample
+ * columns as `samples` (raw strings); sample names come from the #CHROM header line.
+ * Genotypes are classified like IGV: hom-ref, het, hom-alt or missing (no call).
+ */
+
+class VcfGenotypes {
+
+    /**
+     * Default genotype colors (IGV palette)
+     */
+    static get STATE_COLORS() {
+        return { homRef: '#C8C8C8', het: '#220CFD', homAlt: '#11F8FE', missing: '#F0F0F0' };
+    }
+
+    /**
+     * Order used when sorting samples by genotype at a site: carriers first
+     */
+    static get SORT_ORDER() {
+        return { homAlt: 0, het: 1, homRef: 2, missing: 3 };
+    }
+
+    static get STATE_LABELS() {
+        return { homRef: 'Hom ref', het: 'Het', homAlt: 'Hom alt', missing: 'No call' };
+    }
+
+    /**
+     * Sample names from the #CHROM line of VCF text (or header lines)
+     * @param {string|Array} header - VCF text, header text or header lines
+     * @returns {Array} Sample names (empty for sites-only VCFs)
+     */
+    static parseSampleNames(header) {
+        const text = Array.isArray(header) ? header.join('\n') : (header || '');
+        const start = text.indexOf('#CHROM');
+        if (start < 0) {
+            return [];
+        }
+        const end = text.indexOf('\n', start);
+        const fields = text.substring(start, end < 0 ? text.length : end).trim().split('\t');
+        return fields.length > 9 ? fields.slice(9) : [];
+    }
+
+    /**
+     * Header lines at the top of VCF text, up to the #CHROM line
+     * @param {string} text - VCF text
+     * @returns {Array} Header lines
+     */
+    static extractHeaderLines(text) {
+        const lines = [];
+        let position = 0;
+        while (position < text.length && text[position] === '#') {
+            const end = text.indexOf('\n', position);
+            const line = text.substring(position, end < 0 ? text.length : end).replace(/\r$/, '');
+            lines.push(line);
+            if (end < 0 || line.startsWith('#CHROM')) break;
+            position = end + 1;
+        }
+        return lines;
+    }
+
+    /**
+     * Classify GT allele indices
+     * @param {Array} alleles - Allele indices as strings ('0', '1', '.')
+     * @returns {string} 'homRef', 'het', 'homAlt' or 'missing'
+     */
+    static classifyAlleles(alleles) {
+        if (alleles.length === 0 || alleles.some(allele => allele === '.' || allele === '')) {
+            return 'missing';
+        }
+        if (alleles.every(allele => allele === '0')) {
+            return 'homRef';
+        }
+        return alleles.every(allele => allele === alleles[0]) ? 'homAlt' : 'het';
+    }
+
+    /**
+     * Genotype of one sample of a variant
+     * @param {Object} variant - Variant with format and samples
+     * @param {number} sampleIndex - Index into the sample columns
+     * @returns {Object} { gt, alleles, phased, state, fields } (fields maps FORMAT keys to values)
+     */
+    static getGenotype(variant, sampleIndex) {
+        const column = variant.samples ? variant.samples[sampleIndex] : undefined;
+        if (column === undefined || !variant.format) {
+            return { gt: '.', alleles: [], phased: false, state: 'missing', fields: {} };
+        }
+
+        const keys = variant.format.split(':');
+        const values = column.split(':');
+        const fields = {};
+        keys.forEach((key, index) => {
+            fields[key] = values[index] !== undefined ? values[index] : '.';
+        });
+
+        const gt = fields.GT !== undefined ? fields.GT : '.';
+        const alleles = gt.split(/[/|]/);
+        return { gt, alleles, phased: gt.includes('|'), state: this.classifyAlleles(alleles), fields };
+    }
+
+    /**
+     * Genotype states of all samples of a variant (cached per variant object)
+     * @param {Object} variant - Variant with format and samples
+     * @returns {Array} States by sample index
+     */
+    static getGenotypeStates(variant) {
+        const cache = this.stateCache || (this.stateCache = new WeakMap());
+        let states = cache.get(variant);
+        if (!states) {
+            const gtIndex = variant.format ? variant.format.split(':').indexOf('GT') : -1;
+            states = (variant.samples || []).map(column => {
+                if (gtIndex < 0) return 'missing';
+                const gt = column.split(':')[gtIndex];
+                return gt === undefined ? 'missing' : this.classifyAlleles(gt.split(/[/|]/));
+            });
+            cache.set(variant, states);
+        }
+        return states;
+    }
+
+    /**
+     * Count genotype states of a variant, optionally over a subset of samples
+     * @returns {Object} { homRef, het, homAlt, missing }
+     */
+    static countGenotypes(variant, sampleIndices = null) {
+        const states = this.getGenotypeStates(variant);
+        const counts = { homRef: 0, het: 0, homAlt: 0, missing: 0 };
+        (sampleIndices || states.map((state, index) => index)).forEach(index => {
+            counts[states[index] || 'missing']++;
+        });
+        return counts;
+    }
+
+    /**
+     * Sort samples by their genotype at a variant (hom-alt, het, hom-ref, no call);
+     * samples with the same genotype keep their current order
+     * @param {Array} sampleIndices - Current sample order
+     * @param {Object} variant - Variant to sort by
+     * @param {boolean} reverse - Carriers last instead of first
+     * @returns {Array} New sample order
+     */
+    static sortSamplesByGenotype(sampleIndices, variant, reverse = false) {
+        const states = this.getGenotypeStates(variant);
+        const order = this.SORT_ORDER;
+        const direction = reverse ? -1 : 1;
+        return sampleIndices
+            .map((sampleIndex, position) => ({ sampleIndex, position }))
+            .sort((a, b) => {
+                const difference = order[states[a.sampleIndex] || 'missing'] - order[states[b.sampleIndex] || 'missing'];
+                return difference * direction || a.position - b.position;
+            })
+            .map(entry => entry.sampleIndex);
+    }
+
+    /**
+     * Select samples by a list of names or wildcard patterns
+     * @param {Array} sampleNames - All sample names
+     * @param {string|Array} filter - Comma/newline separated names or patterns with '*' (empty for all)
+     * @returns {Array} Indices of the selected samples, in file order
+     */
+    static selectSamples(sampleNames, filter) {
+        const patterns = (Array.isArray(filter) ? filter : String(filter || '').split(/[,\n]/))
+            .map(pattern => String(pattern).trim())
+            .filter(Boolean);
+        const indices = sampleNames.map((name, index) => index);
+        if (patterns.length === 0) {
+            return indices;
+        }
+
+        const matchers = patterns.map(pattern => {
+            if (!pattern.includes('*')) return name => name === pattern;
+            const regex = new RegExp('^' + pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+            return name => regex.test(name);
+        });
+        return indices.filter(index => matchers.some(matches => matches(sampleNames[index])));
+    }
+
+    /**
+     * Biallelic sites with unphased diploid-style genotypes for population analyses
+     * @param {Array} variants - Variants with format and samples
+     * @param {Object} options - { sampleIndices, snpsOnly }
+     * @returns {Array} { id, chromosome, position (1-based), refAllele, altAllele, genotypes } with
+     *          genotypes '0/0', '0/1', '1/1' or './.' (haploid calls count as homozygous)
+     */
+    static toSNPData(variants, options = {}) {
+        const snpsOnly = options.snpsOnly !== false;
+        const snps = [];
+        variants.forEach(variant => {
+            if (!variant.samples || !variant.alt || variant.alt.includes(',')) return;
+            if (snpsOnly && (variant.ref.length !== 1 || variant.alt.length !== 1)) return;
+
+            const states = this.getGenotypeStates(variant);
+            const indices = options.sampleIndices || states.map((state, index) => index);
+            const genotypeOf = { homRef: '0/0', het: '0/1', homAlt: '1/1', missing: './.' };
+            snps.push({
+                id: variant.id || `${variant.chromosome}:${variant.start + 1}`,
+                chromosome: variant.chromosome,
+                position: variant.start + 1,
+                refAllele: variant.ref,
+                altAllele: variant.alt,
+                genotypes: indices.map(index => genotypeOf[states[index] || 'missing'])
+            });
+        });
+        return snps;
+    }
+}
+
+// Export for Node.js and browser compatibility
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VcfGenotypes;
+} else if (typeof window !== 'undefined') {
+    window.VcfGenotypes = VcfGenotypes;
+}
@@ -32,6 +32,12 @@ class VisualizationToolsManager {
      * 打开可视化工具界面
      */
     openVisualizationTool(pluginId) {
+        // 序列比对查看器使用应用内加载的比对（文件或BLAST结果），不使用生成的测试数据
+        if (pluginId === 'sequence-alignment' && this.app && this.app.fileManager) {
+            this.app.fileManager.showAlignmentViewer();
+            return;
+        }
+
         // 检查窗口是否已经打开
         if (this.activeWindows.has(pluginId)) {
             const existingWindow = this.activeWindows.get(pluginId);
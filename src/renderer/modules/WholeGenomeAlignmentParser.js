@@ -0,0 +1,365 @@
+/**
+ * WholeGenomeAlignmentParser - PAF and MAF whole-genome alignments as synteny blocks
+ *
+ * Both formats are reduced to pairwise blocks in the shape used by
+ * ComparativeGenomicsPlugin, with chromosome names and 1-based inclusive coordinates:
+ * - PAF (minimap2): the target sequence (column 6) is the reference, the query is the target genome
+ * - MAF: the first 's' row of each block is the reference, every further row is a target
+ *
+ * Blocks can be chained into longer syntenic runs with chainBlocks(minLength, maxGap).
+ */
+
+class WholeGenomeAlignmentParser {
+
+    /**
+     * Check whether a file extension is a supported whole-genome alignment format
+     * @param {string} extension - File extension including the dot
+     * @returns {boolean}
+     */
+    static isAlignmentExtension(extension) {
+        return ['.paf', '.maf'].includes((extension || '').toLowerCase());
+    }
+
+    /**
+     * Parse a PAF or MAF file by extension
+     * @param {string} text - File content
+     * @param {string} extension - '.paf' or '.maf'
+     * @param {Object} options - { includeSecondary, sequenceNames }
+     * @returns {Array} Synteny blocks
+     */
+    static parse(text, extension, options = {}) {
+        return extension.toLowerCase() === '.maf'
+            ? WholeGenomeAlignmentParser.parseMAF(text, options)
+            : WholeGenomeAlignmentParser.parsePAF(text, options);
+    }
+
+    /**
+     * Parse PAF lines: qname qlen qstart qend strand tname tlen tstart tend matches alnLen mapq [tags]
+     * Secondary alignments (tp:A:S) are skipped unless options.includeSecondary is set.
+     * @param {string} text - PAF content
+     * @param {Object} options - { includeSecondary }
+     * @returns {Array} Synteny blocks
+     */
+    static parsePAF(text, options = {}) {
+        const blocks = [];
+
+        for (const line of text.split('\n')) {
+            const trimmed = line.trim();
+            if (!trimmed || trimmed.startsWith('#')) continue;
+
+            const fields = trimmed.split('\t');
+            if (fields.length < 12) continue;
+
+            const tags = {};
+            fields.slice(12).forEach(tag => {
+                const match = tag.match(/^([A-Za-z][A-Za-z0-9]):([AifZHB]):(.*)$/);
+                if (match) {
+                    tags[match[1]] = match[2] === 'i' || match[2] === 'f' ? Number(match[3]) : match[3];
+                }
+            });
+            if (tags.tp === 'S' && !options.includeSecondary) continue;
+
+            const [qname, qlen, qstart, qend, strand, tname, tlen, tstart, tend, matches, alnLen, mapq] = fields;
+            const matchCount = parseInt(matches);
+            const alignmentLength = parseInt(alnLen);
+            const referenceStart = parseInt(tstart) + 1;
+            const referenceEnd = parseInt(tend);
+            if (Number.isNaN(referenceStart) || Number.isNaN(referenceEnd) || referenceEnd < referenceStart) continue;
+
+            blocks.push({
+                id: `block_${blocks.length + 1}`,
+                referenceChromosome: tname,
+                referenceStart,
+                referenceEnd,
+                referenceLength: parseInt(tlen),
+                targetChromosome: qname,
+                targetStart: parseInt(qstart) + 1,
+                targetEnd: parseInt(qend),
+                targetLength: parseInt(qlen),
+                orientation: strand === '-' ? '-' : '+',
+                length: referenceEnd - referenceStart + 1,
+                matches: matchCount,
+                alignmentLength,
+                identity: alignmentLength > 0 ? matchCount / alignmentLength : 0,
+                score: tags.AS !== undefined ? tags.AS : matchCount,
+                mappingQuality: parseInt(mapq),
+                alignmentCount: 1
+            });
+        }
+
+        console.log(`🧬 Parsed ${blocks.length} PAF alignment blocks`);
+        return blocks;
+    }
+
+    /**
+     * Parse MAF alignment blocks ('a' line followed by 's' rows, ended by a blank line)
+     * @param {string} text - MAF content
+     * @param {Object} options - { sequenceNames } loaded chromosome names used to resolve 'genome.chr' sources
+     * @returns {Array} Synteny blocks
+     */
+    static parseMAF(text, options = {}) {
+        const blocks = [];
+        let rows = [];
+        let score = null;
+
+        const flush = () => {
+            if (rows.length >= 2) {
+                const reference = rows[0];
+                rows.slice(1).forEach(row => {
+                    blocks.push(WholeGenomeAlignmentParser.createMAFBlock(reference, row, score, blocks.length + 1));
+                });
+            }
+            rows = [];
+            score = null;
+        };
+
+        for (const line of text.split('\n')) {
+            const trimmed = line.trim();
+            if (!trimmed) {
+                flush();
+                continue;
+            }
+            if (trimmed.startsWith('#')) continue;
+
+            if (trimmed.startsWith('a')) {
+                flush();
+                const scoreMatch = trimmed.match(/score=([-\d.eE+]+)/);
+                score = scoreMatch ? parseFloat(scoreMatch[1]) : null;
+            } else if (trimmed.startsWith('s')) {
+                const fields = trimmed.split(/\s+/);
+                if (fields.length < 7) continue;
+                const source = WholeGenomeAlignmentParser.splitSourceName(fields[1], options.sequenceNames);
+                const start = parseInt(fields[2]);
+                const size = parseInt(fields[3]);
+                const strand = fields[4] === '-' ? '-' : '+';
+                const sourceSize = parseInt(fields[5]);
+
+                // Minus-strand rows count from the end of the reverse complement
+                const forwardStart = strand === '-' ? sourceSize - start - size : start;
+                rows.push({
+                    ...source,
+                    start: forwardStart + 1,
+                    end: forwardStart + size,
+                    strand,
+                    sourceSize,
+                    text: fields[6]
+                });
+            }
+        }
+        flush();
+
+        console.log(`🧬 Parsed ${blocks.length} MAF alignment blocks`);
+        return blocks;
+    }
+
+    /**
+     * Build one pairwise block from the reference row and another row of a MAF block
+     * @returns {Object} Synteny block
+     */
+    static createMAFBlock(reference, row, score, index) {
+        let matches = 0;
+        let columns = 0;
+        const width = Math.min(reference.text.length, row.text.length);
+        for (let i = 0; i < width; i++) {
+            const a = reference.text[i].toUpperCase();
+            const b = row.text[i].toUpperCase();
+            if (a === '-' && b === '-') continue;
+            columns++;
+            if (a === b && a !== 'N') matches++;
+        }
+
+        return {
+            id: `block_${index}`,
+            referenceGenomeName: reference.genome,
+            referenceChromosome: reference.chromosome,
+            referenceStart: reference.start,
+            referenceEnd: reference.end,
+            referenceLength: reference.sourceSize,
+            targetGenomeName: row.genome,
+            targetChromosome: row.chromosome,
+            targetStart: row.start,
+            targetEnd: row.end,
+            targetLength: row.sourceSize,
+            orientation: reference.strand === row.strand ? '+' : '-',
+            length: reference.end - reference.start + 1,
+            matches,
+            alignmentLength: columns,
+            identity: columns > 0 ? matches / columns : 0,
+            score: score !== null ? score : matches,
+            alignmentCount: 1
+        };
+    }
+
+    /**
+     * Split a MAF source name such as 'hg38.chr1' into genome and chromosome.
+     * Names that are loaded chromosomes, or end in an accession version ('NC_000913.3'), are kept whole.
+     * @param {string} source - MAF source column
+     * @param {Array} sequenceNames - Loaded chromosome names (optional)
+     * @returns {Object} { genome, chromosome }
+     */
+    static splitSourceName(source, sequenceNames = []) {
+        const names = sequenceNames || [];
+        const separator = source.indexOf('.');
+        if (separator <= 0 || names.includes(source)) {
+            return { genome: null, chromosome: source };
+        }
+
+        const genome = source.substring(0, separator);
+        const chromosome = source.substring(separator + 1);
+        if (!chromosome || (/^\d+$/.test(chromosome) && !names.includes(chromosome))) {
+            return { genome: null, chromosome: source };
+        }
+        return { genome, chromosome };
+    }
+
+    /**
+     * Chain collinear blocks between the same sequence pair into longer synteny blocks.
+     * Blocks are joined when both the reference and the target gap are at most maxGap and
+     * the target keeps moving in the block orientation; chains shorter than minLength are dropped.
+     * Chains are returned in reference order.
+     * @param {Array} blocks - Synteny blocks
+     * @param {Object} options - { minLength, maxGap }
+     * @returns {Array} New chained blocks
+     */
+    static chainBlocks(blocks, { minLength = 0, maxGap = 0 } = {}) {
+        const sorted = [...blocks].sort((a, b) =>
+            a.referenceChromosome.localeCompare(b.referenceChromosome) ||
+            a.targetChromosome.localeCompare(b.targetChromosome) ||
+            a.orientation.localeCompare(b.orientation) ||
+            a.referenceStart - b.referenceStart
+        );
+
+        const chains = [];
+        const open = new Map();
+        sorted.forEach(block => {
+            const key = `${block.referenceChromosome}\t${block.targetChromosome}\t${block.orientation}`;
+            const last = open.get(key);
+            if (last && WholeGenomeAlignmentParser.isCollinear(last, block, maxGap)) {
+                last.referenceEnd = Math.max(last.referenceEnd, block.referenceEnd);
+                last.targetStart = Math.min(last.targetStart, block.targetStart);
+                last.targetEnd = Math.max(last.targetEnd, block.targetEnd);
+                last.length = last.referenceEnd - last.referenceStart + 1;
+                last.matches += block.matches;
+                last.alignmentLength += block.alignmentLength;
+                last.identity = last.alignmentLength > 0 ? last.matches / last.alignmentLength : 0;
+                last.score += block.score;
+                last.alignmentCount += block.alignmentCount;
+                return;
+            }
+
+            const chain = { ...block };
+            chains.push(chain);
+            open.set(key, chain);
+        });
+
+        return chains
+            .filter(chain => chain.length >= minLength)
+            .sort((a, b) => a.referenceChromosome.localeCompare(b.referenceChromosome) || a.referenceStart - b.referenceStart)
+            .map((chain, index) => ({ ...chain, id: `block_${index + 1}` }));
+    }
+
+    /**
+     * Check whether a block continues a chain in reference and target order
+     * @returns {boolean}
+     */
+    static isCollinear(chain, block, maxGap) {
+        const referenceGap = block.referenceStart - chain.referenceEnd - 1;
+        const targetGap = block.orientation === '+'
+            ? block.targetStart - chain.targetEnd - 1
+            : chain.targetStart - block.targetEnd - 1;
+        const advances = block.orientation === '+'
+            ? block.targetStart > chain.targetStart
+            : block.targetEnd < chain.targetEnd;
+        return advances && referenceGap <= maxGap && targetGap <= maxGap;
+    }
+
+    /**
+     * Blocks touching a chromosome, seen from that chromosome.
+     * A chromosome can be the reference or the target side of a block; the other side is
+     * reported as the partner so the track works whichever genome is loaded.
+     * @param {Array} blocks - Synteny blocks
+     * @param {string} chromosome - Chromosome name
+     * @returns {Array} { start, end, partnerChromosome, partnerStart, partnerEnd, orientation, identity, block }
+     */
+    static getBlocksForChromosome(blocks, chromosome) {
+        const result = [];
+        blocks.forEach(block => {
+            if (block.referenceChromosome === chromosome) {
+                result.push({
+                    start: block.referenceStart,
+                    end: block.referenceEnd,
+                    partnerGenome: block.targetGenomeName || null,
+                    partnerChromosome: block.targetChromosome,
+                    partnerStart: block.targetStart,
+                    partnerEnd: block.targetEnd,
+                    orientation: block.orientation,
+                    identity: block.identity,
+                    block
+                });
+            }
+            if (block.targetChromosome === chromosome && block.referenceChromosome !== chromosome) {
+                result.push({
+                    start: block.targetStart,
+                    end: block.targetEnd,
+                    partnerGenome: block.referenceGenomeName || null,
+                    partnerChromosome: block.referenceChromosome,
+                    partnerStart: block.referenceStart,
+                    partnerEnd: block.referenceEnd,
+                    orientation: block.orientation,
+                    identity: block.identity,
+                    block
+                });
+            }
+        });
+        return result.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Convert synteny blocks to Circos links ({ source, target } with chromosome/start/end/position)
+     * @param {Array} blocks - Synteny blocks
+     * @returns {Array} Circos links
+     */
+    static toCircosLinks(blocks) {
+        return blocks.map(block => ({
+            source: {
+                chromosome: block.referenceChromosome,
+                start: block.referenceStart,
+                end: block.referenceEnd,
+                position: Math.round((block.referenceStart + block.referenceEnd) / 2)
+            },
+            target: {
+                chromosome: block.targetChromosome,
+                start: block.targetStart,
+                end: block.targetEnd,
+                position: Math.round((block.targetStart + block.targetEnd) / 2)
+            },
+            type: block.orientation === '-' ? 'inversion' : 'synteny',
+            value: block.identity,
+            orientation: block.orientation
+        }));
+    }
+
+    /**
+     * Sequences named in the blocks with their lengths, per side
+     * @param {Array} blocks - Synteny blocks
+     * @returns {Object} { reference: { name: length }, target: { name: length } }
+     */
+    static getSequenceLengths(blocks) {
+        const lengths = { reference: {}, target: {} };
+        blocks.forEach(block => {
+            lengths.reference[block.referenceChromosome] = Math.max(
+                lengths.reference[block.referenceChromosome] || 0, block.referenceLength || block.referenceEnd);
+            lengths.target[block.targetChromosome] = Math.max(
+                lengths.target[block.targetChromosome] || 0, block.targetLength || block.targetEnd);
+        });
+        return lengths;
+    }
+}
+
+// Export for Node.js and browser compatibility
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WholeGenomeAlignmentParser;
+}
+if (typeof window !== 'undefined') {
+    window.WholeGenomeAlignmentParser = WholeGenomeAlignmentParser;
+}
@@ -197,6 +197,10 @@ class GenomeBrowser {
         this.sequenceUtils = new SequenceUtils(this);
         this.exportManager = new ExportManager(this);
         this.readsManager = new ReadsManager(this); // Initialize reads manager
+        this.fastqQCPanel = new FastqQCPanel(this); // FASTQ QC summary panel
+        this.pairwiseAlignmentPanel = new PairwiseAlignmentPanel(this); // Pairwise alignment dialog
+        this.pairwiseFeatures = []; // Features picked for pairwise alignment ({ chromosome, feature })
+        this.rnaStructurePanel = new RNAStructurePanel(this); // RNA secondary structure dialog
         this.trackStateManager = new TrackStateManager(this);  // Add track state manager
         this.blastManager = new BlastManager(this); // Initialize BLAST manager
         this.multiFileManager = new MultiFileManager(this); // Initialize multi-file manager
@@ -222,6 +226,11 @@ class GenomeBrowser {
         this.currentSequence = {};
         this.currentAnnotations = {};
         this.currentVariants = {};
+        this.currentSyntenyAlignments = {}; // PAF/MAF alignment sets keyed by file name
+        this.currentCopyNumberSegments = {}; // SEG segment sets keyed by file name
+        this.currentPredictedGenes = {}; // De novo predicted CDS keyed by chromosome
+        this.currentMotifHits = {}; // PWM motif hits keyed by chromosome
+        this.loadedMotifs = []; // Motif library for PWM scanning
         this.currentReads = {}; // Keep for backward compatibility, but will be managed by ReadsManager
         this.currentPosition = { start: 0, end: 1000 };
         this.loadedFiles = [];
@@ -240,6 +249,10 @@ class GenomeBrowser {
             variants: false,
             reads: false,
             proteins: false,
+            synteny: false,
+            copyNumber: false,
+            predictedGenes: false,
+            motifHits: false,
             sequence: true,  // Bottom sequence panel
             sequenceLine: false, // Single-line sequence track
             actions: false   // Add actions track
@@ -701,12 +714,50 @@ class GenomeBrowser {
         document.getElementById('openReadsBtn').addEventListener('click', () => this.fileManager.openSpecificFileType('reads'));
         document.getElementById('openWIGBtn').addEventListener('click', () => this.fileManager.openSpecificFileType('tracks'));
         document.getElementById('openOperonBtn').addEventListener('click', () => this.fileManager.openSpecificFileType('operon'));
+        document.getElementById('computeCoverageBtn').addEventListener('click', () => this.fileManager.computeCoverageTrack());
+        document.getElementById('callVariantsBtn').addEventListener('click', () => this.fileManager.showVariantCallingDialog());
+        document.getElementById('runVariantCallingBtn').addEventListener('click', () => this.fileManager.callVariantsFromReads());
+        document.getElementById('popGenStatsBtn').addEventListener('click', () => this.fileManager.showPopulationStatsDialog());
+        document.getElementById('runPopGenBtn').addEventListener('click', () => this.fileManager.computePopulationStatistics());
+        document.getElementById('showLDHeatmapBtn').addEventListener('click', () => this.fileManager.showLDHeatmap());
+        document.getElementById('vcfAnnotateFilterBtn').addEventListener('click', () => this.fileManager.showVariantFilterDialog());
+        document.getElementById('variantFilterSource').addEventListener('change', () => this.fileManager.updateVariantFilterDialog());
+        document.getElementById('runVariantAnnotationBtn').addEventListener('click', () => this.fileManager.annotateVariantFile());
+        document.getElementById('applyVariantFilterBtn').addEventListener('click', () => this.fileManager.applyVariantFilter());
+        document.getElementById('clearVariantFilterBtn').addEventListener('click', () => this.fileManager.clearVariantFilter());
+        document.getElementById('exportFilteredVCFBtn').addEventListener('click', () => this.fileManager.exportFilteredVariants());
+        document.getElementById('openAlignmentBtn').addEventListener('click', () => this.fileManager.showAlignmentViewer());
+        document.getElementById('pairwiseAlignBtn').addEventListener('click', () => this.pairwiseAlignmentPanel.show());
+        document.getElementById('predictGenesBtn').addEventListener('click', () => this.fileManager.showGenePredictionDialog());
+        document.getElementById('runGenePredictionBtn').addEventListener('click', () => this.fileManager.predictGenes());
+        document.getElementById('mergePredictedGenesBtn').addEventListener('click', () => this.fileManager.mergePredictedGenes());
+        document.getElementById('exportPredictedGenBankBtn').addEventListener('click', () => this.fileManager.exportPredictedGenes('genbank'));
+        document.getElementById('exportPredictedGFFBtn').addEventListener('click', () => this.fileManager.exportPredictedGenes('gff'));
+        document.getElementById('scanMotifsBtn').addEventListener('click', () => this.fileManager.showMotifScanDialog());
+        document.getElementById('foldRNABtn').addEventListener('click', () => this.rnaStructurePanel.show());
+        document.getElementById('foldSequenceBtn').addEventListener('click', () => this.rnaStructurePanel.foldSelection());
+        document.getElementById('findRNAGenesBtn').addEventListener('click', () => this.fileManager.showRNAGeneDialog());
+        document.getElementById('runRNAGeneSearchBtn').addEventListener('click', () => this.fileManager.findRNAGenesFromDialog());
+        document.getElementById('predictOperonsBtn').addEventListener('click', () => this.fileManager.showOperonPredictionDialog());
+        document.getElementById('runOperonPredictionBtn').addEventListener('click', () => this.fileManager.predictOperonsFromDialog());
+        document.getElementById('exportPredictedOperonsBtn').addEventListener('click', () => this.fileManager.exportPredictedOperons());
+        document.getElementById('motifFileInput').addEventListener('change', (e) => this.fileManager.loadMotifFile(e.target));
+        document.getElementById('addConsensusMotifBtn').addEventListener('click', () => this.fileManager.addConsensusMotif());
+        document.getElementById('runMotifScanBtn').addEventListener('click', () => this.fileManager.scanMotifsFromDialog());
+        document.getElementById('clearMotifHitsBtn').addEventListener('click', () => this.fileManager.clearMotifHits());
+        document.getElementById('msaFileInput').addEventListener('change', (e) => this.fileManager.loadAlignmentFile(e.target));
+        ['msaColorScheme', 'msaHideGappyColumns', 'msaMaxGapPercent', 'msaShowConsensus'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.fileManager.updateAlignmentViewerOptions());
+        });
+        document.getElementById('msaCopySelectionBtn').addEventListener('click', () => this.fileManager.copyAlignmentSelection());
+        document.getElementById('msaClearSelectionBtn').addEventListener('click', () => this.fileManager.clearAlignmentSelection());
         document.getElementById('openAnyBtn').addEventListener('click', () => this.fileManager.openSpecificFileType('any'));
 
         // Export operations - dropdown menu
         document.getElementById('exportFileBtn').addEventListener('click', () => this.uiManager.toggleExportDropdown());
         document.getElementById('exportFastaBtn').addEventListener('click', () => this.exportManager.exportAsFasta());
         document.getElementById('exportGenbankBtn').addEventListener('click', () => this.exportManager.exportAsGenBank());
+        document.getElementById('exportEMBLBtn').addEventListener('click', () => this.exportManager.exportAsEMBL());
         document.getElementById('exportCDSFastaBtn').addEventListener('click', () => this.exportManager.exportCDSAsFasta());
         
         // MCP Server control
@@ -714,6 +765,8 @@ class GenomeBrowser {
         document.getElementById('exportProteinFastaBtn').addEventListener('click', () => this.exportManager.exportProteinAsFasta());
         document.getElementById('exportGFFBtn').addEventListener('click', () => this.exportManager.exportAsGFF());
         document.getElementById('exportBEDBtn').addEventListener('click', () => this.exportManager.exportAsBED());
+        document.getElementById('exportBedGraphBtn').addEventListener('click', () => this.exportManager.exportWIGTrackAsBedGraph());
+        document.getElementById('exportVCFBtn').addEventListener('click', () => this.exportManager.exportVariantsAsVCF());
         document.getElementById('exportCurrentViewBtn').addEventListener('click', () => this.exportManager.exportCurrentViewAsFasta());
         // Export configuration button with error handling - use setTimeout to ensure DOM is ready
         setTimeout(() => {
@@ -857,6 +910,10 @@ class GenomeBrowser {
         document.getElementById('trackVariants').addEventListener('change', () => this.updateVisibleTracks());
         document.getElementById('trackReads').addEventListener('change', () => this.updateVisibleTracks());
         document.getElementById('trackWIG').addEventListener('change', () => this.updateVisibleTracks());
+        document.getElementById('trackSynteny').addEventListener('change', () => this.updateVisibleTracks());
+        document.getElementById('trackCopyNumber').addEventListener('change', () => this.updateVisibleTracks());
+        document.getElementById('trackPredictedGenes').addEventListener('change', () => this.updateVisibleTracks());
+        document.getElementById('trackMotifHits').addEventListener('change', () => this.updateVisibleTracks());
         document.getElementById('trackProteins').addEventListener('change', () => this.updateVisibleTracks());
         document.getElementById('trackSequence').addEventListener('change', () => this.updateVisibleTracks());
         document.getElementById('trackSequenceLine').addEventListener('change', () => this.updateVisibleTracks());
@@ -868,6 +925,10 @@ class GenomeBrowser {
         document.getElementById('sidebarTrackVariants').addEventListener('change', () => this.updateVisibleTracksFromSidebar());
         document.getElementById('sidebarTrackReads').addEventListener('change', () => this.updateVisibleTracksFromSidebar());
         document.getElementById('sidebarTrackWIG').addEventListener('change', () => this.updateVisibleTracksFromSidebar());
+        document.getElementById('sidebarTrackSynteny').addEventListener('change', () => this.updateVisibleTracksFromSidebar());
+        document.getElementById('sidebarTrackCopyNumber').addEventListener('change', () => this.updateVisibleTracksFromSidebar());
+        document.getElementById('sidebarTrackPredictedGenes').addEventListener('change', () => this.updateVisibleTracksFromSidebar());
+        document.getElementById('sidebarTrackMotifHits').addEventListener('change', () => this.updateVisibleTracksFromSidebar());
         document.getElementById('sidebarTrackProteins').addEventListener('change', () => this.updateVisibleTracksFromSidebar());
         document.getElementById('sidebarTrackSequence').addEventListener('change', () => this.updateVisibleTracksFromSidebar());
         document.getElementById('sidebarTrackSequenceLine').addEventListener('change', () => this.updateVisibleTracksFromSidebar());
@@ -3041,12 +3102,14 @@ class GenomeBrowser {
         let trackElement = null;
         
         switch (trackType) {
-            case 'genes':
-                // Gene track (only if annotations exist)
-                if (this.currentAnnotations && this.currentAnnotations[chromosome]) {
+            case 'genes': {
+                // Gene track (only if annotations exist, in memory or in tabix-indexed files)
+                const hasIndexedAnnotations = await this.trackRenderer.loadIndexedAnnotations(chromosome);
+                if ((this.currentAnnotations && this.currentAnnotations[chromosome]) || hasIndexedAnnotations) {
                     trackElement = this.trackRenderer.createGeneTrack(chromosome);
                 }
                 break;
+            }
                 
             case 'gc':
                 // GC Content track
@@ -3054,8 +3117,8 @@ class GenomeBrowser {
                 break;
                 
             case 'variants':
-                // Variants track (show even without data)
-                trackElement = this.trackRenderer.createVariantTrack(chromosome);
+                // Variants track (show even without data; async for tabix-indexed VCFs)
+                trackElement = await this.trackRenderer.createVariantTrack(chromosome);
                 break;
                 
             case 'reads':
@@ -3064,10 +3127,31 @@ class GenomeBrowser {
                 break;
                 
             case 'wigTracks':
-                // WIG tracks (show even without data)
+                // WIG tracks (show even without data); BigWig/bigBed tracks fetch the viewport first
+                await this.trackRenderer.loadBigWigData(chromosome);
                 trackElement = this.trackRenderer.createWIGTrack(chromosome);
                 break;
                 
+            case 'synteny':
+                // Synteny blocks from PAF/MAF whole-genome alignments (show even without data)
+                trackElement = this.trackRenderer.createSyntenyTrack(chromosome);
+                break;
+                
+            case 'copyNumber':
+                // log2 copy-number segments from SEG files (show even without data)
+                trackElement = this.trackRenderer.createCopyNumberTrack(chromosome);
+                break;
+                
+            case 'predictedGenes':
+                // De novo gene predictions (show even without data)
+                trackElement = this.trackRenderer.createPredictedGenesTrack(chromosome);
+                break;
+                
+            case 'motifHits':
+                // PWM motif scan hits (show even without data)
+                trackElement = this.trackRenderer.createMotifHitsTrack(chromosome);
+                break;
+                
             case 'proteins':
                 // Protein track (only if we have CDS annotations)
                 if (this.currentAnnotations && this.currentAnnotations[chromosome]) {
@@ -3181,7 +3265,7 @@ class GenomeBrowser {
                     currentTabOrder = domOrder;
                     console.log('[displayGenomeView] Using current DOM track order:', currentTabOrder);
                 } else {
-                    currentTabOrder = ['genes', 'gc', 'variants', 'reads', 'wigTracks', 'proteins', 'sequenceLine', 'actions'];
+                    currentTabOrder = ['genes', 'gc', 'variants', 'reads', 'wigTracks', 'synteny', 'copyNumber', 'predictedGenes', 'motifHits', 'proteins', 'sequenceLine', 'actions'];
                     console.log('[displayGenomeView] Using default track order:', currentTabOrder);
                 }
             }
@@ -3194,7 +3278,7 @@ class GenomeBrowser {
             }
             
             // Also create any visible tracks that aren't in the saved order (for backward compatibility)
-            const defaultOrder = ['genes', 'gc', 'variants', 'reads', 'wigTracks', 'proteins', 'sequenceLine', 'actions'];
+            const defaultOrder = ['genes', 'gc', 'variants', 'reads', 'wigTracks', 'synteny', 'copyNumber', 'predictedGenes', 'motifHits', 'proteins', 'sequenceLine', 'actions'];
             for (const trackType of defaultOrder) {
                 if (!currentTabOrder.includes(trackType)) {
                     await this.createTrackByType(trackType, chromosome, sequence, tracksToShow);
@@ -3859,6 +3943,10 @@ class GenomeBrowser {
         const trackVariants = document.getElementById('trackVariants');
         const trackReads = document.getElementById('trackReads');
         const trackWIG = document.getElementById('trackWIG');
+        const trackSynteny = document.getElementById('trackSynteny');
+        const trackCopyNumber = document.getElementById('trackCopyNumber');
+        const trackPredictedGenes = document.getElementById('trackPredictedGenes');
+        const trackMotifHits = document.getElementById('trackMotifHits');
         const trackProteins = document.getElementById('trackProteins');
         const trackSequence = document.getElementById('trackSequence');
         const trackSequenceLine = document.getElementById('trackSequenceLine');
@@ -3869,6 +3957,10 @@ class GenomeBrowser {
         if (trackVariants && trackVariants.checked) tracks.add('variants');
         if (trackReads && trackReads.checked) tracks.add('reads');
         if (trackWIG && trackWIG.checked) tracks.add('wigTracks');
+        if (trackSynteny && trackSynteny.checked) tracks.add('synteny');
+        if (trackCopyNumber && trackCopyNumber.checked) tracks.add('copyNumber');
+        if (trackPredictedGenes && trackPredictedGenes.checked) tracks.add('predictedGenes');
+        if (trackMotifHits && trackMotifHits.checked) tracks.add('motifHits');
         if (trackProteins && trackProteins.checked) tracks.add('proteins');
         if (trackSequence && trackSequence.checked) tracks.add('sequence');
         if (trackSequenceLine && trackSequenceLine.checked) tracks.add('sequenceLine');
@@ -3882,6 +3974,10 @@ class GenomeBrowser {
         const sidebarTrackVariants = document.getElementById('sidebarTrackVariants');
         const sidebarTrackReads = document.getElementById('sidebarTrackReads');
         const sidebarTrackWIG = document.getElementById('sidebarTrackWIG');
+        const sidebarTrackSynteny = document.getElementById('sidebarTrackSynteny');
+        const sidebarTrackCopyNumber = document.getElementById('sidebarTrackCopyNumber');
+        const sidebarTrackPredictedGenes = document.getElementById('sidebarTrackPredictedGenes');
+        const sidebarTrackMotifHits = document.getElementById('sidebarTrackMotifHits');
         const sidebarTrackProteins = document.getElementById('sidebarTrackProteins');
         const sidebarTrackSequence = document.getElementById('sidebarTrackSequence');
         const sidebarTrackSequenceLine = document.getElementById('sidebarTrackSequenceLine');
@@ -3892,6 +3988,10 @@ class GenomeBrowser {
         if (sidebarTrackVariants) sidebarTrackVariants.checked = tracks.has('variants');
         if (sidebarTrackReads) sidebarTrackReads.checked = tracks.has('reads');
         if (sidebarTrackWIG) sidebarTrackWIG.checked = tracks.has('wigTracks');
+        if (sidebarTrackSynteny) sidebarTrackSynteny.checked = tracks.has('synteny');
+        if (sidebarTrackCopyNumber) sidebarTrackCopyNumber.checked = tracks.has('copyNumber');
+        if (sidebarTrackPredictedGenes) sidebarTrackPredictedGenes.checked = tracks.has('predictedGenes');
+        if (sidebarTrackMotifHits) sidebarTrackMotifHits.checked = tracks.has('motifHits');
         if (sidebarTrackProteins) sidebarTrackProteins.checked = tracks.has('proteins');
         if (sidebarTrackSequence) sidebarTrackSequence.checked = tracks.has('sequence');
         if (sidebarTrackSequenceLine) sidebarTrackSequenceLine.checked = tracks.has('sequenceLine');
@@ -3903,6 +4003,10 @@ class GenomeBrowser {
         this.trackVisibility.variants = tracks.has('variants');
         this.trackVisibility.reads = tracks.has('reads');
         this.trackVisibility.proteins = tracks.has('proteins');
+        this.trackVisibility.synteny = tracks.has('synteny');
+        this.trackVisibility.copyNumber = tracks.has('copyNumber');
+        this.trackVisibility.predictedGenes = tracks.has('predictedGenes');
+        this.trackVisibility.motifHits = tracks.has('motifHits');
         this.trackVisibility.sequence = tracks.has('sequence');
         this.trackVisibility.sequenceLine = tracks.has('sequenceLine');
         this.trackVisibility.actions = tracks.has('actions');
@@ -3938,6 +4042,10 @@ class GenomeBrowser {
         const sidebarTrackVariants = document.getElementById('sidebarTrackVariants');
         const sidebarTrackReads = document.getElementById('sidebarTrackReads');
         const sidebarTrackWIG = document.getElementById('sidebarTrackWIG');
+        const sidebarTrackSynteny = document.getElementById('sidebarTrackSynteny');
+        const sidebarTrackCopyNumber = document.getElementById('sidebarTrackCopyNumber');
+        const sidebarTrackPredictedGenes = document.getElementById('sidebarTrackPredictedGenes');
+        const sidebarTrackMotifHits = document.getElementById('sidebarTrackMotifHits');
         const sidebarTrackProteins = document.getElementById('sidebarTrackProteins');
         const sidebarTrackSequence = document.getElementById('sidebarTrackSequence');
         const sidebarTrackSequenceLine = document.getElementById('sidebarTrackSequenceLine');
@@ -3948,6 +4056,10 @@ class GenomeBrowser {
         if (sidebarTrackVariants && sidebarTrackVariants.checked) tracks.add('variants');
         if (sidebarTrackReads && sidebarTrackReads.checked) tracks.add('reads');
         if (sidebarTrackWIG && sidebarTrackWIG.checked) tracks.add('wigTracks');
+        if (sidebarTrackSynteny && sidebarTrackSynteny.checked) tracks.add('synteny');
+        if (sidebarTrackCopyNumber && sidebarTrackCopyNumber.checked) tracks.add('copyNumber');
+        if (sidebarTrackPredictedGenes && sidebarTrackPredictedGenes.checked) tracks.add('predictedGenes');
+        if (sidebarTrackMotifHits && sidebarTrackMotifHits.checked) tracks.add('motifHits');
         if (sidebarTrackProteins && sidebarTrackProteins.checked) tracks.add('proteins');
         if (sidebarTrackSequence && sidebarTrackSequence.checked) tracks.add('sequence');
         if (sidebarTrackSequenceLine && sidebarTrackSequenceLine.checked) tracks.add('sequenceLine');
@@ -3961,6 +4073,10 @@ class GenomeBrowser {
         const trackVariants = document.getElementById('trackVariants');
         const trackReads = document.getElementById('trackReads');
         const trackWIG = document.getElementById('trackWIG');
+        const trackSynteny = document.getElementById('trackSynteny');
+        const trackCopyNumber = document.getElementById('trackCopyNumber');
+        const trackPredictedGenes = document.getElementById('trackPredictedGenes');
+        const trackMotifHits = document.getElementById('trackMotifHits');
         const trackProteins = document.getElementById('trackProteins');
         const trackSequence = document.getElementById('trackSequence');
         const trackSequenceLine = document.getElementById('trackSequenceLine');
@@ -3971,6 +4087,10 @@ class GenomeBrowser {
         if (trackVariants) trackVariants.checked = tracks.has('variants');
         if (trackReads) trackReads.checked = tracks.has('reads');
         if (trackWIG) trackWIG.checked = tracks.has('wigTracks');
+        if (trackSynteny) trackSynteny.checked = tracks.has('synteny');
+        if (trackCopyNumber) trackCopyNumber.checked = tracks.has('copyNumber');
+        if (trackPredictedGenes) trackPredictedGenes.checked = tracks.has('predictedGenes');
+        if (trackMotifHits) trackMotifHits.checked = tracks.has('motifHits');
         if (trackProteins) trackProteins.checked = tracks.has('proteins');
         if (trackSequence) trackSequence.checked = tracks.has('sequence');
         if (trackSequenceLine) trackSequenceLine.checked = tracks.has('sequenceLine');
@@ -3982,6 +4102,10 @@ class GenomeBrowser {
         this.trackVisibility.variants = tracks.has('variants');
         this.trackVisibility.reads = tracks.has('reads');
         this.trackVisibility.proteins = tracks.has('proteins');
+        this.trackVisibility.synteny = tracks.has('synteny');
+        this.trackVisibility.copyNumber = tracks.has('copyNumber');
+        this.trackVisibility.predictedGenes = tracks.has('predictedGenes');
+        this.trackVisibility.motifHits = tracks.has('motifHits');
         this.trackVisibility.sequence = tracks.has('sequence');
         this.trackVisibility.sequenceLine = tracks.has('sequenceLine');
         this.trackVisibility.actions = tracks.has('actions');
@@ -4046,9 +4170,12 @@ class GenomeBrowser {
     // Operon detection and color assignment methods
     detectOperons(annotations) {
         // If user-loaded operons exist, use them instead of auto-detection
-        if (this.loadedOperons && this.loadedOperons.length > 0) {
-            console.log(`Using ${this.loadedOperons.length} loaded operons instead of auto-detection`);
-            return this.loadedOperons.map(operon => ({
+        // (predicted operons carry their chromosome; loaded files may not)
+        const loadedOperons = (this.loadedOperons || [])
+            .filter(operon => operon.source !== 'OperonPredictor' || operon.chromosome === this.currentChromosome);
+        if (loadedOperons.length > 0) {
+            console.log(`Using ${loadedOperons.length} loaded operons instead of auto-detection`);
+            return loadedOperons.map(operon => ({
                 ...operon,
                 genes: this.mapOperonGenesToAnnotations(operon, annotations)
             }));
@@ -4109,13 +4236,12 @@ class GenomeBrowser {
         const mappedGenes = [];
         
         for (const geneName of operon.genes) {
-            // Try to find matching annotation by gene name or locus tag
-            const matchingFeature = annotations.find(feature => {
-                const featureGeneName = feature.qualifiers?.gene || feature.qualifiers?.locus_tag || '';
-                return featureGeneName === geneName || 
-                       featureGeneName.includes(geneName) || 
-                       geneName.includes(featureGeneName);
-            });
+            // Try to find matching annotation by exact gene name or locus tag, then by partial name
+            const featureNames = feature => [feature.qualifiers?.gene, feature.qualifiers?.locus_tag]
+                .filter(name => name).map(name => String(name));
+            const matchingFeature = annotations.find(feature => featureNames(feature).includes(geneName)) ||
+                annotations.find(feature => featureNames(feature)
+                    .some(name => name.includes(geneName) || geneName.includes(name)));
             
             if (matchingFeature) {
                 mappedGenes.push(matchingFeature);
@@ -4270,10 +4396,11 @@ class GenomeBrowser {
         this.sequenceUtils.displayEnhancedSequence(chromosome, sequence);
     }
 
-    translateDNA(dnaSequence, strand) {
+    translateDNA(dnaSequence, strand, geneticCode = null) {
         // Use unified translation implementation
         if (window.UnifiedDNATranslation) {
-            const result = window.UnifiedDNATranslation.strandBasedTranslateDNA(dnaSequence, strand);
+            const code = geneticCode || this.getGeneticCode();
+            const result = window.UnifiedDNATranslation.strandBasedTranslateDNA(dnaSequence, strand, code);
             return result;
         }
         
@@ -4281,6 +4408,56 @@ class GenomeBrowser {
         return this.sequenceUtils.translateDNA(dnaSequence, strand);
     }
 
+    /**
+     * Translate an annotated CDS: an alternative start codon in the first position is read as M.
+     * Use translateDNA for arbitrary regions.
+     */
+    translateCDS(dnaSequence, strand, geneticCode = null) {
+        if (window.UnifiedDNATranslation) {
+            return window.UnifiedDNATranslation.translateCDS(dnaSequence, strand, geneticCode || this.getGeneticCode());
+        }
+        return this.translateDNA(dnaSequence, strand);
+    }
+
+    /**
+     * Find the CDS annotated at exactly this location, if any
+     */
+    findAnnotatedCDS(chromosome, start, end) {
+        return (this.currentAnnotations?.[chromosome] || [])
+            .find(annotation => annotation.type === 'CDS' && annotation.start === start && annotation.end === end);
+    }
+
+    /**
+     * Get the NCBI genetic code (transl_table) to translate a feature with.
+     * Order: the feature's /transl_table, the code used by the chromosome's other
+     * annotations, then the default genetic code from General Settings.
+     */
+    getGeneticCode(feature = null, chromosome = this.currentChromosome) {
+        const fallback = window.generalSettingsManager?.getSetting('defaultGeneticCode', 1) || 1;
+        if (!window.UnifiedDNATranslation) {
+            return 1;
+        }
+        if (feature?.qualifiers?.transl_table) {
+            return window.UnifiedDNATranslation.getFeatureGeneticCode(feature, fallback);
+        }
+
+        const annotations = chromosome && this.currentAnnotations ? this.currentAnnotations[chromosome] : null;
+        if (Array.isArray(annotations)) {
+            this.geneticCodeCache = this.geneticCodeCache || new WeakMap();
+            if (!this.geneticCodeCache.has(annotations)) {
+                const annotated = annotations.find(annotation => annotation.qualifiers?.transl_table);
+                this.geneticCodeCache.set(annotations,
+                    annotated ? window.UnifiedDNATranslation.getFeatureGeneticCode(annotated) : null);
+            }
+            const chromosomeCode = this.geneticCodeCache.get(annotations);
+            if (chromosomeCode) {
+                return chromosomeCode;
+            }
+        }
+
+        return window.UnifiedDNATranslation.resolveGeneticCode(fallback);
+    }
+
     makeDraggable(element, chromosome) {
         this.navigationManager.makeDraggable(element, chromosome);
     }
@@ -4803,6 +4980,28 @@ class GenomeBrowser {
             `;
         }
         
+        // Add pairwise alignment button for all gene types
+        html += `
+            <button class="btn gene-pairwise-btn gene-action-btn" onclick="window.genomeBrowser.addGeneToPairwiseAlignment()" title="Pick this feature for pairwise alignment; the aligner opens after two features">
+                <i class="fas fa-align-left"></i> Add to Pairwise Alignment
+            </button>
+            <button class="btn gene-fold-rna-btn gene-action-btn" onclick="window.genomeBrowser.foldSelectedGene()" title="Predict the RNA secondary structure of this feature">
+                <i class="fas fa-project-diagram"></i> Fold RNA
+            </button>
+        `;
+        
+        // Add accept/reject buttons for de novo predicted genes
+        if (gene.predicted) {
+            html += `
+                <button class="btn gene-accept-prediction-btn gene-action-btn" onclick="window.genomeBrowser.acceptPredictedGene()" title="Add this predicted gene to the annotation">
+                    <i class="fas fa-check"></i> Accept Prediction
+                </button>
+                <button class="btn gene-reject-prediction-btn gene-action-btn" onclick="window.genomeBrowser.rejectPredictedGene()" title="Remove this gene from the predictions">
+                    <i class="fas fa-times"></i> Reject Prediction
+                </button>
+            `;
+        }
+        
         // Add Deep Gene Research button for all gene types
         html += `
             <button class="btn gene-deep-research-btn gene-action-btn" onclick="window.genomeBrowser.openDeepGeneResearch('${geneName}')" title="Open Deep Gene Research for this gene">
@@ -5060,6 +5259,21 @@ class GenomeBrowser {
             attributes['Template Length'] = read.templateLength;
         }
         
+        // Mate position and pair orientation of paired reads
+        if (window.ReadPairAnalyzer && (read.flags & 0x1)) {
+            const pairInfo = window.ReadPairAnalyzer.getPairInfo(read);
+            if (pairInfo.mateUnmapped) {
+                attributes['Mate'] = 'Unmapped';
+            } else if (pairInfo.mateStart != null) {
+                attributes['Mate'] = `${pairInfo.mateChromosome}:${pairInfo.mateStart} (${pairInfo.mateStrand})`;
+            }
+            if (pairInfo.interChromosomal) {
+                attributes['Pair'] = 'Mate on another chromosome';
+            } else if (pairInfo.orientation) {
+                attributes['Pair Orientation'] = pairInfo.orientation;
+            }
+        }
+        
         if (read.chromosome) {
             attributes['Reference'] = read.chromosome;
         }
@@ -5540,7 +5754,7 @@ class GenomeBrowser {
         if (gene.type === 'CDS' || (gene.qualifiers && this.getQualifierValue(gene.qualifiers, 'translation'))) {
             // For CDS features, the DNA sequence is the CDS
             const cdsSequence = dnaSequence;
-            const translation = gene.qualifiers?.translation || this.translateDNA(cdsSequence, gene.strand);
+            const translation = gene.qualifiers?.translation || this.translateCDS(cdsSequence, gene.strand, this.getGeneticCode(gene));
             
             // CDS Sequence section
             html += `
@@ -5774,7 +5988,10 @@ class GenomeBrowser {
                 
             case 'translation':
                 const dnaSeq = fullSequence.substring(start - 1, end);
-                let rawTranslation = this.translateDNA(dnaSeq, parseInt(strand));
+                const cds = this.findAnnotatedCDS(chromosome, parseInt(start), parseInt(end));
+                let rawTranslation = cds
+                    ? this.translateCDS(dnaSeq, parseInt(strand), this.getGeneticCode(cds, chromosome))
+                    : this.translateDNA(dnaSeq, parseInt(strand), this.getGeneticCode(null, chromosome));
                 sequence = rawTranslation.replace(/\*/g, ''); // Remove stop codons
                 header = `>${geneName}_TRANSLATION ${chromosome}:${start}-${end} (${strand === '-1' ? '-' : '+'} strand)`;
                 description = 'protein translation';
@@ -5842,6 +6059,55 @@ class GenomeBrowser {
         });
     }
     
+    /**
+     * Pick the selected gene for pairwise alignment (the last two picks are aligned)
+     */
+    addGeneToPairwiseAlignment() {
+        if (!this.selectedGene) return;
+        
+        const currentChr = document.getElementById('chromosomeSelect').value;
+        this.pairwiseAlignmentPanel.addFeature(currentChr, this.selectedGene.gene);
+    }
+    
+    /**
+     * Fold the selected feature as RNA in its own orientation
+     */
+    foldSelectedGene() {
+        if (!this.selectedGene) return;
+        
+        const currentChr = document.getElementById('chromosomeSelect').value;
+        this.rnaStructurePanel.foldFeature(currentChr, this.selectedGene.gene);
+    }
+    
+    /**
+     * Add the selected predicted gene to the annotation and drop it from the predictions
+     */
+    acceptPredictedGene() {
+        if (!this.selectedGene || !this.selectedGene.gene.predicted) return;
+        
+        const gene = this.selectedGene.gene;
+        this.fileManager.acceptPredictedGenes(gene.chromosome, [gene]);
+        this.fileManager.rejectPredictedGene(gene);
+        this.clearGeneSelection();
+        this.updateStatus(`Added predicted gene ${gene.qualifiers.locus_tag || ''} to the annotation`);
+        
+        const currentChr = document.getElementById('chromosomeSelect').value;
+        this.displayGenomeView(currentChr, this.currentSequence[currentChr]);
+    }
+    
+    /**
+     * Remove the selected predicted gene from the predictions
+     */
+    rejectPredictedGene() {
+        if (!this.selectedGene || !this.selectedGene.gene.predicted) return;
+        
+        this.fileManager.rejectPredictedGene(this.selectedGene.gene);
+        this.clearGeneSelection();
+        
+        const currentChr = document.getElementById('chromosomeSelect').value;
+        this.displayGenomeView(currentChr, this.currentSequence[currentChr]);
+    }
+    
     /**
      * Copy gene translation (main button functionality)
      */
@@ -5869,7 +6135,10 @@ class GenomeBrowser {
         // The translation qualifier might be truncated during GenBank parsing for memory efficiency
         const sequence = this.currentSequence[currentChr];
         const geneSequence = sequence.substring(gene.start - 1, gene.end);
-        translation = this.translateDNA(geneSequence, gene.strand);
+        const cds = gene.type === 'CDS' ? gene : this.findAnnotatedCDS(currentChr, gene.start, gene.end);
+        translation = cds
+            ? this.translateCDS(geneSequence, gene.strand, this.getGeneticCode(cds, currentChr))
+            : this.translateDNA(geneSequence, gene.strand, this.getGeneticCode(gene, currentChr));
         
         // Remove stop codons (*) from the translation
         const cleanTranslation = translation.replace(/\*/g, '');
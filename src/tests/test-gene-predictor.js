@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for GenePredictor (ORF candidates, self-training, overlap resolution and
+ * comparison with an existing annotation) on a simulated genome with known genes
+ */
+
+const assert = require('assert');
+
+global.UnifiedDNATranslation = require('../renderer/modules/UnifiedDNATranslation.js');
+global.MicrobeGenomicsFunctions = require('../renderer/modules/MicrobeGenomicsFunctions.js');
+const GenePredictor = require('../renderer/modules/GenePredictor.js');
+
+let failures = 0;
+
+function check(name, fn) {
+    try {
+        fn();
+        console.log(`✅ ${name}`);
+    } catch (error) {
+        failures++;
+        console.log(`❌ ${name}: ${error.message}`);
+    }
+}
+
+// Deterministic genome: AT-rich intergenic DNA and genes with a biased codon usage, each with
+// a Shine-Dalgarno site 7 bp upstream of ATG; every third gene is on the reverse strand
+let seed = 7;
+const random = () => (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648;
+const pick = list => list[Math.floor(random() * list.length)];
+const noncoding = length => Array.from({ length }, () => pick('AATTACGT')).join('');
+const codons = ['GAA', 'AAA', 'CTG', 'GCG', 'GAT', 'ATT', 'CGT', 'GGC', 'ACC', 'CAG', 'GTG', 'TTC'];
+const reverseComplement = sequence => sequence.split('').reverse().map(base => ({ A: 'T', C: 'G', G: 'C', T: 'A' })[base]).join('');
+
+let genome = '';
+const annotation = [];
+for (let g = 0; g < 24; g++) {
+    genome += noncoding(120 + Math.floor(random() * 80));
+    const gene = 'ATG' + Array.from({ length: 150 + Math.floor(random() * 150) }, () => pick(codons)).join('') + 'TAA';
+    const unit = 'AGGAGG' + noncoding(7) + gene;
+    const start = genome.length + 1;
+    if (g % 3 === 2) {
+        genome += reverseComplement(unit);
+        annotation.push({ type: 'CDS', start, end: start + gene.length - 1, strand: -1 });
+    } else {
+        genome += unit;
+        annotation.push({ type: 'CDS', start: start + 13, end: start + 12 + gene.length, strand: 1 });
+    }
+}
+genome += noncoding(150);
+
+console.log('🧪 Testing prokaryotic gene prediction\n');
+
+check('ORF candidates run from each start to the next in-frame stop', () => {
+    const stopFlags = new Uint8Array(64);
+    ['TAA', 'TAG', 'TGA'].forEach(codon => { stopFlags[GenePredictor.codonIndex(codon)] = 1; });
+    const startTypes = new Map([[GenePredictor.codonIndex('ATG'), 'ATG'], [GenePredictor.codonIndex('GTG'), 'GTG']]);
+    const codes = GenePredictor.encode('CCATGAAAGTGCCCTAAGG');
+    const orfs = GenePredictor.findOrfs(codes, stopFlags, startTypes, { minLength: 9, rbsWindow: 20 });
+    assert.strictEqual(orfs.length, 1);
+    assert.strictEqual(orfs[0].stop, 14);
+    assert.deepStrictEqual(orfs[0].starts.map(start => [start.position, start.codon]), [[2, 'ATG'], [8, 'GTG']]);
+});
+
+check('overlap resolution keeps the highest-scoring compatible set', () => {
+    const candidates = [
+        { chromosome: 'c', start: 1, end: 100, score: 5, id: 'A' },
+        { chromosome: 'c', start: 50, end: 200, score: 8, id: 'B' },
+        { chromosome: 'c', start: 150, end: 300, score: 4, id: 'C' }
+    ];
+    assert.deepStrictEqual(GenePredictor.resolveOverlaps(candidates, 10).map(c => c.id).sort(), ['A', 'C']);
+    // With 60 bp allowed, A and B may share 51 bp and B and C 51 bp
+    assert.deepStrictEqual(GenePredictor.resolveOverlaps(candidates, 60).map(c => c.id).sort(), ['A', 'B', 'C']);
+});
+
+check('self-trained prediction recovers the simulated genes with their starts', () => {
+    const result = GenePredictor.predict({ chr1: genome });
+    const comparison = GenePredictor.compareWithAnnotation(result.genes.chr1, annotation);
+    assert.strictEqual(comparison.summary.sensitivity, 100);
+    assert.ok(comparison.summary.precision >= 90, `precision ${comparison.summary.precision}%`);
+    assert.ok(comparison.summary.startAgreement >= 90, `start agreement ${comparison.summary.startAgreement}%`);
+    assert.ok(result.model.trainingGenes > 0);
+});
+
+check('predicted genes are CDS features with translations and locus tags', () => {
+    const { genes } = GenePredictor.predict({ chr1: genome }, { locusTagPrefix: 'SIM' });
+    const first = genes.chr1[0];
+    assert.strictEqual(first.type, 'CDS');
+    assert.strictEqual(first.predicted, true);
+    assert.strictEqual(first.qualifiers.locus_tag, 'SIM_00001');
+    assert.strictEqual(first.qualifiers.transl_table, '11');
+    assert.match(first.qualifiers.translation, /^M[^*]+$/);
+    assert.strictEqual(first.qualifiers.translation.length * 3 + 3, first.end - first.start + 1);
+    assert.ok(genes.chr1.some(gene => gene.strand === -1));
+});
+
+check('annotation comparison matches genes by stop codon', () => {
+    const reference = [
+        { type: 'CDS', start: 100, end: 400, strand: 1 },
+        { type: 'CDS', start: 500, end: 800, strand: -1 },
+        { type: 'CDS', start: 900, end: 1200, strand: 1 },
+        { type: 'gene', start: 100, end: 400, strand: 1 }
+    ];
+    const predicted = [
+        { type: 'CDS', start: 100, end: 400, strand: 1 },
+        { type: 'CDS', start: 500, end: 770, strand: -1 },
+        { type: 'CDS', start: 1300, end: 1500, strand: 1 }
+    ];
+    const { summary } = GenePredictor.compareWithAnnotation(predicted, reference);
+    assert.deepStrictEqual(
+        [summary.identical, summary.differentStart, summary.novel, summary.missed],
+        [1, 1, 1, 1]
+    );
+    assert.strictEqual(summary.sensitivity, 66.7);
+    assert.strictEqual(predicted[1].comparison, 'differentStart');
+});
+
+if (failures > 0) {
+    console.log(`\n❌ ${failures} check(s) failed`);
+    process.exit(1);
+}
+console.log('\n✅ All gene prediction checks passed');
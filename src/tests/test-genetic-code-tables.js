@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the NCBI genetic code tables and CDS/region translation in UnifiedDNATranslation
+ */
+
+const assert = require('assert');
+
+const UnifiedDNATranslation = require('../renderer/modules/UnifiedDNATranslation.js');
+
+let failures = 0;
+
+function check(name, fn) {
+    try {
+        fn();
+        console.log(`✅ ${name}`);
+    } catch (error) {
+        failures++;
+        console.log(`❌ ${name}: ${error.message}`);
+    }
+}
+
+console.log('🧪 Testing genetic code tables and translation\n');
+
+check('every table has 64 amino acids and start flags', () => {
+    Object.entries(UnifiedDNATranslation.NCBI_GENETIC_CODES).forEach(([id, code]) => {
+        assert.strictEqual(code.aas.length, 64, `table ${id} aas`);
+        assert.strictEqual(code.starts.length, 64, `table ${id} starts`);
+        assert.ok(/^[ACDEFGHIKLMNPQRSTVWY*]{64}$/.test(code.aas), `table ${id} has invalid amino acids`);
+    });
+});
+
+check('standard table codons, stops and starts', () => {
+    const table = UnifiedDNATranslation.getGeneticCodeTable(1);
+    assert.strictEqual(Object.keys(table).length, 64);
+    assert.strictEqual(table.ATG, 'M');
+    assert.strictEqual(table.TGG, 'W');
+    assert.strictEqual(table.GGC, 'G');
+    assert.deepStrictEqual(UnifiedDNATranslation.getStopCodons(1).sort(), ['TAA', 'TAG', 'TGA']);
+    assert.deepStrictEqual(UnifiedDNATranslation.getStartCodons(1).sort(), ['ATG', 'CTG', 'TTG']);
+});
+
+check('alternative codes reassign codons', () => {
+    // Vertebrate mitochondrial: TGA = W, AGA/AGG = stop, ATA = M
+    const mito = UnifiedDNATranslation.getGeneticCodeTable(2);
+    assert.strictEqual(mito.TGA, 'W');
+    assert.strictEqual(mito.AGA, '*');
+    assert.strictEqual(mito.ATA, 'M');
+    // Mycoplasma: TGA = W
+    assert.strictEqual(UnifiedDNATranslation.getGeneticCodeTable(4).TGA, 'W');
+    // Ciliate: TAA/TAG = Q
+    assert.strictEqual(UnifiedDNATranslation.getGeneticCodeTable(6).TAA, 'Q');
+});
+
+check('bacterial table start codons', () => {
+    assert.deepStrictEqual(UnifiedDNATranslation.getStartCodons(11).sort(),
+        ['ATA', 'ATC', 'ATG', 'ATT', 'CTG', 'GTG', 'TTG']);
+});
+
+check('codes resolve from ids, strings and names', () => {
+    assert.strictEqual(UnifiedDNATranslation.resolveGeneticCode('11'), 11);
+    assert.strictEqual(UnifiedDNATranslation.resolveGeneticCode(['4']), 4);
+    assert.strictEqual(UnifiedDNATranslation.resolveGeneticCode('bacterial'), 11);
+    assert.strictEqual(UnifiedDNATranslation.resolveGeneticCode('Vertebrate Mitochondrial'), 2);
+    assert.strictEqual(UnifiedDNATranslation.resolveGeneticCode(7), 1);
+    assert.strictEqual(UnifiedDNATranslation.getFeatureGeneticCode({ qualifiers: { transl_table: '11' } }), 11);
+    assert.strictEqual(UnifiedDNATranslation.getFeatureGeneticCode({ qualifiers: {} }, 4), 4);
+});
+
+check('regions translate the first codon by the table', () => {
+    assert.strictEqual(UnifiedDNATranslation.strandBasedTranslateDNA('CTGAAA', 1, 1), 'LK');
+    assert.strictEqual(UnifiedDNATranslation.strandBasedTranslateDNA('GTGTGAAAA', 1, 4), 'VWK');
+    assert.strictEqual(UnifiedDNATranslation.legacyTranslateDNA('AATGAAATAG', 1, 1), 'MK');
+});
+
+check('CDS translation reads an alternative start as M', () => {
+    assert.strictEqual(UnifiedDNATranslation.translateCDS('GTGAAATAA', 1, 11), 'MK');
+    assert.strictEqual(UnifiedDNATranslation.translateCDS('GTGAAATAA', 1, 1), 'VK');
+});
+
+check('reverse strand translation', () => {
+    // Reverse complement of TTATTTCAT is ATGAAATAA
+    assert.strictEqual(UnifiedDNATranslation.strandBasedTranslateDNA('TTATTTCAT', -1, 1), 'MK');
+    assert.strictEqual(UnifiedDNATranslation.translateDNA({ sequence: 'TTATTTCAT', strand: -1, includeStops: true }).protein, 'MK*');
+});
+
+if (failures > 0) {
+    console.log(`\n❌ ${failures} check(s) failed`);
+    process.exit(1);
+}
+console.log('\n✅ All genetic code checks passed');
@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for MotifScanner (JASPAR/MEME/TRANSFAC import, exact p-values, backgrounds,
+ * both strands) and the sigma70 promoter prediction built on it
+ */
+
+const assert = require('assert');
+
+// The renderer defines both module and window; the scanner must register on window as well
+global.window = {};
+const MotifScanner = require('../renderer/modules/MotifScanner.js');
+const MicrobeGenomicsFunctions = require('../renderer/modules/MicrobeGenomicsFunctions.js');
+
+let failures = 0;
+
+function check(name, fn) {
+    try {
+        fn();
+        console.log(`✅ ${name}`);
+    } catch (error) {
+        failures++;
+        console.log(`❌ ${name}: ${error.message}`);
+    }
+}
+
+const jaspar = [
+    '>MA0001.1 TEST',
+    'A [ 10  0  0  0 ]',
+    'C [  0 10  0  0 ]',
+    'G [  0  0 10  0 ]',
+    'T [  0  0  0 10 ]'
+].join('\n');
+
+const meme = [
+    'MEME version 4',
+    '',
+    'ALPHABET= ACGT',
+    '',
+    'Background letter frequencies',
+    'A 0.4 C 0.1 G 0.2 T 0.3',
+    '',
+    'MOTIF m1 skewed',
+    'letter-probability matrix: alength= 4 w= 6 nsites= 20',
+    '0.8 0.1 0.05 0.05',
+    '0.05 0.05 0.1 0.8',
+    '0.1 0.1 0.7 0.1',
+    '0.7 0.1 0.1 0.1',
+    '0.1 0.8 0.05 0.05',
+    '0.25 0.25 0.25 0.25'
+].join('\n');
+
+const transfac = [
+    'ID  TF1',
+    'NA  Factor one',
+    'P0      A      C      G      T',
+    '01      0      0     12      0',
+    '02     12      0      0      0',
+    '03      0      0      0     12',
+    'XX',
+    '//'
+].join('\n');
+
+console.log('🧪 Testing PWM motif scanning\n');
+
+check('module is exported and registered on window', () => {
+    assert.strictEqual(typeof MotifScanner.scan, 'function');
+    assert.strictEqual(global.window.MotifScanner, MotifScanner);
+});
+
+check('JASPAR, MEME and TRANSFAC matrices are detected and parsed', () => {
+    const [fromJaspar] = MotifScanner.parse(jaspar, 'test.jaspar');
+    assert.deepStrictEqual([fromJaspar.id, fromJaspar.name, fromJaspar.consensus], ['MA0001.1', 'TEST', 'ACGT']);
+
+    const [fromMeme] = MotifScanner.parse(meme, 'test.meme');
+    assert.strictEqual(fromMeme.format, 'MEME');
+    assert.deepStrictEqual(fromMeme.fileBackground, [0.4, 0.1, 0.2, 0.3]);
+    assert.deepStrictEqual(fromMeme.counts[0], [16, 2, 1, 1]);
+
+    const [fromTransfac] = MotifScanner.parse(transfac, 'test.dat');
+    assert.deepStrictEqual([fromTransfac.id, fromTransfac.name, fromTransfac.consensus], ['TF1', 'Factor one', 'GAT']);
+
+    assert.throws(() => MotifScanner.parse('A [ 1 2 ]\nC [ 1 ]\nG [ 1 2 ]\nT [ 1 2 ]'), /different lengths/);
+});
+
+check('log-odds scores follow the background-weighted pseudocount', () => {
+    const motif = MotifScanner.fromConsensus('A');
+    const matrix = MotifScanner.buildMatrix(motif, [0.25, 0.25, 0.25, 0.25], 0.1);
+    assert.ok(Math.abs(matrix.scores[0] - Math.log2((20 + 0.025) / 20.1 / 0.25)) < 1e-12);
+    assert.ok(Math.abs(matrix.scores[1] - Math.log2(0.025 / 20.1 / 0.25)) < 1e-12);
+});
+
+check('exact p-value of a perfect consensus site is 4^-length under a uniform background', () => {
+    const motif = MotifScanner.fromConsensus('ACGT');
+    const { hits } = MotifScanner.scan([{ chromosome: 'c', start: 101, sequence: 'TTTTACGTTTTT' }], [motif], { pValue: 0.01, strand: '+' });
+    assert.strictEqual(hits.length, 1);
+    assert.deepStrictEqual([hits[0].start, hits[0].end, hits[0].sequence], [105, 108, 'ACGT']);
+    assert.strictEqual(hits[0].pValue, 1 / 256);
+    assert.strictEqual(hits[0].relativeScore, 1);
+});
+
+check('reverse-strand sites are reported with the motif orientation', () => {
+    const motif = MotifScanner.fromConsensus('GATTC');
+    const { hits } = MotifScanner.scan([{ chromosome: 'c', start: 1, sequence: 'CCGAATCCC' }], [motif], { pValue: 0.001 });
+    assert.strictEqual(hits.length, 1);
+    assert.deepStrictEqual([hits[0].strand, hits[0].start, hits[0].end, hits[0].sequence], [-1, 3, 7, 'GATTC']);
+});
+
+check('MEME motifs use their file background unless one is given', () => {
+    const [motif] = MotifScanner.parse(meme, 'test.meme');
+    const regions = [{ chromosome: 'c', start: 1, sequence: 'CCCCCATGACGCCCCC' }];
+    const fromFile = MotifScanner.scan(regions, [motif], { pValue: 0.01, defaultBackground: [0.25, 0.25, 0.25, 0.25] });
+    assert.deepStrictEqual(fromFile.motifs[0].background, [0.4, 0.1, 0.2, 0.3]);
+    const explicit = MotifScanner.scan(regions, [motif], { pValue: 0.01, background: [0.25, 0.25, 0.25, 0.25] });
+    assert.deepStrictEqual(explicit.motifs[0].background, [0.25, 0.25, 0.25, 0.25]);
+    assert.notStrictEqual(fromFile.hits[0].pValue, explicit.hits[0].pValue);
+});
+
+check('reverse-strand p-values use the complemented background', () => {
+    const [motif] = MotifScanner.parse(meme, 'test.meme');
+    const sequence = 'CCCCCATGACGCCCCCCCGTCATCCCCC';
+    const background = [0.4, 0.1, 0.2, 0.3];
+    const forward = MotifScanner.scan([{ chromosome: 'c', start: 1, sequence }], [motif], { pValue: 0.01, background });
+    // The same sites read on the reverse complement with the complemented background
+    const reverse = MotifScanner.scan([{ chromosome: 'c', start: 1, sequence: MotifScanner.reverseComplement(sequence) }], [motif],
+        { pValue: 0.01, background: [0.3, 0.2, 0.1, 0.4] });
+    const key = hit => `${hit.sequence}:${hit.score}:${hit.pValue}`;
+    assert.deepStrictEqual(forward.hits.filter(hit => hit.strand === -1).map(key).sort(),
+        reverse.hits.filter(hit => hit.strand === 1).map(key).sort());
+    assert.ok(forward.hits.some(hit => hit.strand === -1));
+});
+
+check('sigma70 promoter boxes are found in the lacUV5 promoter', () => {
+    const promoter = MicrobeGenomicsFunctions.predictPromoter('GGCTTTACACTTTATGCTTCCGGCTCGTATAATGTGTGGAATTGTGAGCGG');
+    assert.ok(promoter);
+    assert.deepStrictEqual([promoter.minus35.sequence, promoter.minus35.start], ['TTTACA', 4]);
+    assert.deepStrictEqual([promoter.minus10.sequence, promoter.minus10.start], ['TATAAT', 28]);
+    assert.strictEqual(promoter.spacer, 18);
+    assert.ok(promoter.pValue < 1e-4);
+});
+
+check('a -10 box without a -35 box is not a promoter', () => {
+    assert.strictEqual(MicrobeGenomicsFunctions.predictPromoter('GCGCGCGCGCGCGCGCATGCTATAATGCGCGCGCGCGCGCG'), null);
+});
+
+if (failures > 0) {
+    console.log(`\n❌ ${failures} check(s) failed`);
+    process.exit(1);
+}
+console.log('\n✅ All motif scanning checks passed');
@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for MultipleAlignment parsing (Clustal, aligned FASTA, Stockholm, BLAST hits) and column statistics
+ */
+
+const assert = require('assert');
+
+const MultipleAlignment = require('../renderer/modules/MultipleAlignment.js');
+
+let failures = 0;
+
+function check(name, fn) {
+    try {
+        fn();
+        console.log(`✅ ${name}`);
+    } catch (error) {
+        failures++;
+        console.log(`❌ ${name}: ${error.message}`);
+    }
+}
+
+console.log('🧪 Testing multiple sequence alignment parsing\n');
+
+check('Clustal blocks are concatenated and conservation lines skipped', () => {
+    const text = [
+        'CLUSTAL W (1.83) multiple sequence alignment',
+        '',
+        'seqA      MKV-LT 5',
+        'seqB      MKVALS 6',
+        '          ***.*.',
+        '',
+        'seqA      GG',
+        'seqB      G-',
+        ''
+    ].join('\n');
+    const alignment = MultipleAlignment.parse(text);
+    assert.strictEqual(alignment.format, 'Clustal');
+    assert.deepStrictEqual(alignment.sequences.map(entry => entry.sequence), ['MKV-LTGG', 'MKVALSG-']);
+    assert.strictEqual(alignment.length, 8);
+    assert.strictEqual(alignment.type, 'protein');
+});
+
+check('Clustal files are recognized by extension without a header', () => {
+    const alignment = MultipleAlignment.parse('s1 ACGT\ns2 AC-T\n', 'genes.aln');
+    assert.strictEqual(alignment.format, 'Clustal');
+    assert.strictEqual(alignment.type, 'DNA');
+});
+
+check('aligned FASTA with descriptions and gap normalization', () => {
+    const alignment = MultipleAlignment.parse('>r1 first read\nACGU.\nAC\n>r2\nAC~UA\nAC\n');
+    assert.strictEqual(alignment.format, 'FASTA');
+    assert.deepStrictEqual(alignment.sequences[0], { name: 'r1', description: 'first read', sequence: 'ACGU-AC' });
+    assert.strictEqual(alignment.sequences[1].sequence, 'AC-UAAC');
+    assert.strictEqual(alignment.type, 'RNA');
+});
+
+check('Stockholm descriptions, column annotations and first alignment only', () => {
+    const text = [
+        '# STOCKHOLM 1.0',
+        '#=GS tRNA1 DE Alanine tRNA',
+        'tRNA1   GCGG.AU',
+        'tRNA2   GCGGAAU',
+        '#=GC SS_cons <<..>>.',
+        '//',
+        '# STOCKHOLM 1.0',
+        'other   AAAA',
+        '//'
+    ].join('\n');
+    const alignment = MultipleAlignment.parse(text);
+    assert.strictEqual(alignment.format, 'Stockholm');
+    assert.strictEqual(alignment.sequences.length, 2);
+    assert.strictEqual(alignment.sequences[0].description, 'Alanine tRNA');
+    assert.strictEqual(alignment.sequences[0].sequence, 'GCGG-AU');
+    assert.strictEqual(alignment.annotations.SS_cons, '<<..>>.');
+});
+
+check('unaligned and unknown input is rejected', () => {
+    assert.throws(() => MultipleAlignment.parse('>a\nACGT\n>b\nACG\n'), /not aligned/);
+    assert.throws(() => MultipleAlignment.parse('hello world'), /Unrecognized alignment format/);
+});
+
+check('pairwise hits are merged around the longest insertion', () => {
+    const alignment = MultipleAlignment.fromPairwise({ name: 'q', sequence: 'ACGTAC' }, [
+        { name: 'h1', queryFrom: 1, queryTo: 4, query: 'AC-GT', subject: 'ACTGT' },
+        { name: 'h2', queryFrom: 3, queryTo: 6, query: 'GTAC', subject: 'GAAC' }
+    ]);
+    assert.strictEqual(alignment.format, 'BLAST');
+    assert.deepStrictEqual(alignment.sequences.map(entry => entry.sequence), ['AC-GTAC', 'ACTGT--', '---GAAC']);
+});
+
+check('column statistics: gaps, consensus and conservation', () => {
+    const alignment = MultipleAlignment.parse('>a\nAC-\n>b\nAT-\n>c\nAGT\n>d\nACT\n');
+    const stats = MultipleAlignment.getColumnStats(alignment);
+    assert.strictEqual(stats[0].consensus, 'A');
+    assert.strictEqual(stats[0].entropy, 0);
+    assert.strictEqual(stats[0].conservation, 1);
+    assert.strictEqual(stats[1].consensus, 'C');
+    assert.strictEqual(stats[1].entropy, 1.5);
+    assert.strictEqual(stats[2].gapFraction, 0.5);
+    assert.deepStrictEqual(MultipleAlignment.getVisibleColumns(stats, 50), [0, 1]);
+    assert.strictEqual(MultipleAlignment.getResiduePosition('A-CG', 3), 3);
+    assert.strictEqual(MultipleAlignment.getResiduePosition('A-CG', 1), null);
+});
+
+check('FASTA export of selected columns', () => {
+    const alignment = MultipleAlignment.parse('>a desc\nAC-T\n>b\nAGGT\n');
+    assert.strictEqual(MultipleAlignment.toFasta(alignment, [0, 1, 3]), '>a desc\nACT\n>b\nAGT\n');
+});
+
+if (failures > 0) {
+    console.log(`\n❌ ${failures} check(s) failed`);
+    process.exit(1);
+}
+console.log('\n✅ All alignment checks passed');
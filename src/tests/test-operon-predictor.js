@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for OperonPredictor (intergenic distance, terminator, coverage and gene-family
+ * log-likelihood ratios and the operons built from them)
+ *
+ * Small genomes use the untrained model: prior ln(0.6 / 0.4) = 0.405 plus the
+ * DEFAULT_DISTANCE_LLR of the distance bin.
+ */
+
+const assert = require('assert');
+
+// The renderer defines both module and window; the predictor must register on window as well
+global.window = {};
+const OperonPredictor = require('../renderer/modules/OperonPredictor.js');
+
+let failures = 0;
+
+async function check(name, fn) {
+    try {
+        await fn();
+        console.log(`✅ ${name}`);
+    } catch (error) {
+        failures++;
+        console.log(`❌ ${name}: ${error.message}`);
+    }
+}
+
+const gene = (name, start, end, strand = 1) => ({ type: 'CDS', start, end, strand, qualifiers: { gene: name } });
+const forwardGenes = [gene('nuoA', 100, 1000), gene('nuoB', 1020, 2000), gene('xyzQ', 2600, 3000)];
+const sequence = 'A'.repeat(5000);
+
+(async () => {
+    console.log('🧪 Testing operon prediction\n');
+
+    await check('module is exported and registered on window', () => {
+        assert.strictEqual(typeof OperonPredictor.predict, 'function');
+        assert.strictEqual(global.window.OperonPredictor, OperonPredictor);
+    });
+
+    await check('distances fall into the bin below the next edge', () => {
+        assert.strictEqual(OperonPredictor.distanceBin(-40), 0);
+        assert.strictEqual(OperonPredictor.distanceBin(-10), 2);
+        assert.strictEqual(OperonPredictor.distanceBin(19), 4);
+        assert.strictEqual(OperonPredictor.distanceBin(599), OperonPredictor.DISTANCE_BINS.length - 1);
+    });
+
+    await check('close same-family genes join, a distant gene does not: 0.405 + 2 + 1.5 and 0.405 - 3', async () => {
+        const result = await OperonPredictor.predict({ chr: { genes: forwardGenes, sequence } });
+        assert.strictEqual(result.model.trained, false);
+        assert.deepStrictEqual(result.pairs.map(pair => pair.probability), [0.98, 0.069]);
+        assert.deepStrictEqual(result.pairs[0].evidence, { distance: 2, terminator: 0, coverage: 0, geneFamily: 1.5 });
+        assert.strictEqual(result.operons.length, 1);
+        const [operon] = result.operons;
+        assert.deepStrictEqual([operon.name, operon.start, operon.end, operon.strand], ['nuo_operon', 100, 2000, 1]);
+        assert.deepStrictEqual(operon.genes, ['nuoA', 'nuoB']);
+        assert.strictEqual(operon.confidence, 0.98);
+    });
+
+    await check('a confident terminator splits the pair and the search stops maxTerminatorSearch bp past the gene', async () => {
+        const regions = [];
+        const predictTerminator = async region => {
+            regions.push(region.length);
+            return [{ confidence: 1 }];
+        };
+        const result = await OperonPredictor.predict({ chr: { genes: forwardGenes, sequence } }, { predictTerminator });
+        // From 20 bp inside the upstream gene to the downstream start, or 300 bp past the gene
+        assert.deepStrictEqual(regions, [39, 320]);
+        assert.strictEqual(result.pairs[0].evidence.terminator, -4);
+        assert.strictEqual(result.pairs[0].probability, 0.476);
+        assert.strictEqual(result.operons.length, 0);
+    });
+
+    await check('reverse-strand pairs are searched on the reverse complement in transcription order', async () => {
+        const regions = [];
+        const predictTerminator = async region => {
+            regions.push(region);
+            return [];
+        };
+        // C marks the 20 bp the search reaches into the right-hand (upstream) gene
+        const reverseSequence = 'A'.repeat(1019) + 'C'.repeat(20) + 'A'.repeat(3961);
+        const genes = [gene('nuoB', 100, 1000, -1), gene('nuoA', 1020, 2000, -1)];
+        const result = await OperonPredictor.predict({ chr: { genes, sequence: reverseSequence } }, { predictTerminator });
+        assert.deepStrictEqual(regions, ['G'.repeat(20) + 'T'.repeat(19)]);
+        assert.deepStrictEqual([result.pairs[0].upstream, result.pairs[0].downstream, result.pairs[0].strand], ['nuoA', 'nuoB', -1]);
+        assert.deepStrictEqual(result.operons[0].genes, ['nuoA', 'nuoB']);
+    });
+
+    await check('read-through coverage joins genes, a coverage gap or an expression step separates them', () => {
+        const pair = { left: gene('a', 101, 200), right: gene('b', 301, 400), distance: 100 };
+        const bins = depths => depths.map((value, i) => ({ start: i * 100, end: (i + 1) * 100, value }));
+        const settings = OperonPredictor.DEFAULT_OPTIONS;
+        assert.strictEqual(OperonPredictor.coverageEvidence(pair, bins([0, 50, 40, 50]), settings), 1.5);
+        assert.strictEqual(OperonPredictor.coverageEvidence(pair, bins([0, 50, 2, 50]), settings), -2);
+        assert.strictEqual(OperonPredictor.coverageEvidence(pair, bins([0, 400, 10, 40]), settings), -1);
+        assert.strictEqual(OperonPredictor.coverageEvidence(pair, bins([0, 4, 4, 4]), settings), 0);
+    });
+
+    await check('gene families share a three-letter stem or are ribosomal proteins', () => {
+        assert.strictEqual(OperonPredictor.geneFamilyEvidence(gene('lacZ', 1, 2), gene('lacY', 3, 4)), 1.5);
+        assert.strictEqual(OperonPredictor.geneFamilyEvidence(gene('lacZ', 1, 2), gene('araC', 3, 4)), 0);
+        const ribosomal = product => ({ start: 1, end: 2, qualifiers: { product } });
+        assert.strictEqual(OperonPredictor.geneFamilyEvidence(ribosomal('50S ribosomal protein L2'), ribosomal('30S ribosomal protein S19')), 1);
+    });
+
+    await check('duplicate gene and CDS features of one locus count once', async () => {
+        const genes = [...forwardGenes, { type: 'gene', start: 100, end: 1000, strand: 1, qualifiers: { gene: 'nuoA' } }];
+        const result = await OperonPredictor.predict({ chr: { genes } });
+        assert.strictEqual(result.pairs.length, 2);
+        assert.strictEqual(result.model.sameStrandPairs, 2);
+    });
+
+    if (failures > 0) {
+        console.log(`\n❌ ${failures} check(s) failed`);
+        process.exit(1);
+    }
+    console.log('\n✅ All operon prediction checks passed');
+})();
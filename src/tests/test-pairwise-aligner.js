@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for PairwiseAligner (global, local and semi-global alignment with affine gaps)
+ */
+
+const assert = require('assert');
+
+// The renderer defines both module and window; the aligner must register on window as well
+global.window = {};
+const PairwiseAligner = require('../renderer/modules/PairwiseAligner.js');
+
+let failures = 0;
+
+function check(name, fn) {
+    try {
+        fn();
+        console.log(`✅ ${name}`);
+    } catch (error) {
+        failures++;
+        console.log(`❌ ${name}: ${error.message}`);
+    }
+}
+
+console.log('🧪 Testing pairwise alignment\n');
+
+check('module is exported and registered on window', () => {
+    assert.strictEqual(typeof PairwiseAligner.align, 'function');
+    assert.strictEqual(global.window.PairwiseAligner, PairwiseAligner);
+});
+
+check('global alignment charges one affine gap of four: 8 x 5 - (10 + 3 x 0.5)', () => {
+    const result = PairwiseAligner.align('ACGTTTTTACGT', 'ACGTACGT');
+    assert.strictEqual(result.score, 28.5);
+    assert.strictEqual(result.alignment.query, 'ACGTTTTTACGT');
+    assert.match(result.alignment.subject, /^[ACGT]+-{4}[ACGT]+$/);
+    assert.strictEqual(result.identities, 8);
+    assert.strictEqual(result.gaps, 4);
+    assert.deepStrictEqual(result.hitRange, { from: 1, to: 8 });
+});
+
+check('global alignment penalizes end gaps, semi-global does not', () => {
+    const global = PairwiseAligner.align('GATTACA', 'CCCCGATTACACCCC');
+    assert.strictEqual(global.score, 35 - 2 * (10 + 3 * 0.5));
+    assert.strictEqual(global.alignment.query, '----GATTACA----');
+
+    const semiglobal = PairwiseAligner.align('GATTACA', 'CCCCGATTACACCCC', { mode: 'semiglobal' });
+    assert.strictEqual(semiglobal.score, 35);
+    assert.deepStrictEqual(semiglobal.queryRange, { from: 1, to: 7 });
+    assert.deepStrictEqual(semiglobal.hitRange, { from: 5, to: 11 });
+});
+
+check('local alignment reports the best-scoring segment and its coordinates', () => {
+    const result = PairwiseAligner.align('TTTTGATTACATTTT', 'CCGATTACACC', { mode: 'local' });
+    assert.strictEqual(result.score, 35);
+    assert.strictEqual(result.alignment.query, 'GATTACA');
+    assert.deepStrictEqual(result.queryRange, { from: 5, to: 11 });
+    assert.deepStrictEqual(result.hitRange, { from: 3, to: 9 });
+    assert.strictEqual(result.identity, 100);
+});
+
+check('custom gap penalties change the traceback cost', () => {
+    const result = PairwiseAligner.align('ACGTACGTAC', 'ACGTAGTAC', { gapOpen: 2, gapExtend: 2 });
+    assert.strictEqual(result.score, 9 * 5 - 2);
+    assert.strictEqual(result.gaps, 1);
+});
+
+check('BLOSUM62 scores and protein match line', () => {
+    const result = PairwiseAligner.align('MKWRK', 'MKWKR', { matrix: 'BLOSUM62' });
+    // M/M 5, K/K 5, W/W 11, R/K 2, K/R 2
+    assert.strictEqual(result.score, 25);
+    assert.strictEqual(result.alignment.match, 'MKW++');
+    assert.strictEqual(result.positives, 5);
+    assert.strictEqual(result.identities, 3);
+});
+
+check('FASTA headers, lower case and U are accepted', () => {
+    const result = PairwiseAligner.align('>q\nacgu\n', 'ACGT');
+    assert.strictEqual(result.score, 20);
+    assert.strictEqual(result.identity, 100);
+});
+
+check('invalid input is rejected', () => {
+    assert.throws(() => PairwiseAligner.align('ACGT', 'ACGT', { mode: 'fuzzy' }), /Unknown alignment mode/);
+    assert.throws(() => PairwiseAligner.align('ACGT', 'ACGT', { matrix: 'BLOSUM99' }), /Unknown substitution matrix/);
+    assert.throws(() => PairwiseAligner.align('', 'ACGT'), /must contain residues/);
+    assert.throws(() => PairwiseAligner.align('A'.repeat(6000), 'A'.repeat(6000)), /too long/);
+});
+
+if (failures > 0) {
+    console.log(`\n❌ ${failures} check(s) failed`);
+    process.exit(1);
+}
+console.log('\n✅ All pairwise alignment checks passed');
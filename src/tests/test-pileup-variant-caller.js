@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for PileupVariantCaller (read filters, CIGAR pileup, SNV / insertion / deletion
+ * calls and the Fisher strand bias)
+ */
+
+const assert = require('assert');
+
+const PileupVariantCaller = require('../renderer/modules/PileupVariantCaller.js');
+
+let failures = 0;
+
+function check(name, fn) {
+    try {
+        fn();
+        console.log(`✅ ${name}`);
+    } catch (error) {
+        failures++;
+        console.log(`❌ ${name}: ${error.message}`);
+    }
+}
+
+// 60 bp reference; every read starts at position 6 (1-based) and covers 50 reference bases
+const reference = 'GATTACAGCTTGACCGTAGGCTAACGTTCAGGATCCATGCAAGTCGGATACCTTGCAGTA';
+const region = { sequence: reference, offset: 0 };
+
+/**
+ * A read carrying the reference, a C>T SNV at 0-based position 20, a 3 bp deletion or a
+ * GG insertion after 0-based position 29
+ */
+function makeRead(index, strand, variant = null, overrides = {}) {
+    let sequence = reference.substring(5, 55);
+    let cigar = '50M';
+    if (variant === 'snv') {
+        sequence = sequence.substring(0, 15) + 'T' + sequence.substring(16);
+    } else if (variant === 'del') {
+        sequence = reference.substring(5, 30) + reference.substring(33, 58);
+        cigar = '25M3D25M';
+    } else if (variant === 'ins') {
+        sequence = reference.substring(5, 30) + 'GG' + reference.substring(30, 53);
+        cigar = '25M2I23M';
+    }
+    return {
+        name: `read${index}`,
+        start: 6,
+        strand,
+        flags: strand === '-' ? 16 : 0,
+        mappingQuality: 60,
+        sequence,
+        quality: 'I'.repeat(sequence.length),
+        cigar,
+        ...overrides
+    };
+}
+
+// 20 reads alternating strands: 8 SNV, 6 deletion, 4 insertion and 2 reference reads
+const reads = Array.from({ length: 20 }, (_, i) =>
+    makeRead(i, i % 2 ? '-' : '+', i < 8 ? 'snv' : i < 14 ? 'del' : i < 18 ? 'ins' : null));
+
+console.log('🧪 Testing pileup variant calling\n');
+
+check('Fisher strand bias: -10 log10 of the two-sided p-value', () => {
+    // [[3,1],[1,3]]: p = 34/70
+    assert.ok(Math.abs(PileupVariantCaller.fisherStrandBias(3, 1, 1, 3) - -10 * Math.log10(34 / 70)) < 1e-9);
+    // [[10,0],[0,10]]: only the two extreme tables, p = 2 / C(20,10)
+    assert.ok(Math.abs(PileupVariantCaller.fisherStrandBias(10, 0, 0, 10) - -10 * Math.log10(2 / 184756)) < 1e-9);
+    assert.strictEqual(PileupVariantCaller.fisherStrandBias(5, 5, 5, 5), 0);
+    assert.strictEqual(PileupVariantCaller.fisherStrandBias(0, 0, 0, 0), 0);
+});
+
+check('SNV, deletion and insertion are called with VCF alleles and strand counts', () => {
+    const { variants, readCount, usedReadCount } = PileupVariantCaller.callRegion(reads, 'chr', 0, reference.length, region);
+    assert.deepStrictEqual([readCount, usedReadCount], [20, 20]);
+    assert.deepStrictEqual(variants.map(v => [v.type, v.start, v.ref, v.alt]), [
+        ['SNV', 20, 'C', 'T'],
+        ['DEL', 29, 'AGGA', 'A'],
+        ['INS', 29, 'A', 'AGG']
+    ]);
+    const [snv, deletion, insertion] = variants;
+    assert.strictEqual(snv.info, 'DP=20;AF=0.400;DP4=6,6,4,4;FS=0.000;TYPE=snv');
+    assert.deepStrictEqual(snv.samples, ['0/1:20:12,8']);
+    // Indel reads still show the anchor base, so they are not counted as reference reads
+    assert.strictEqual(deletion.info, 'DP=20;AF=0.300;DP4=7,7,3,3;FS=0.000;TYPE=del');
+    assert.strictEqual(deletion.end, 33);
+    assert.strictEqual(insertion.info, 'DP=20;AF=0.200;DP4=8,8,2,2;FS=0.000;TYPE=ins');
+    assert.ok(variants.every(v => v.filter === 'PASS' && v.quality > 50));
+});
+
+check('alt reads on one strand only are filtered for strand bias', () => {
+    const biased = Array.from({ length: 20 }, (_, i) => i < 10 ? makeRead(i, '+', 'snv') : makeRead(i, i % 2 ? '-' : '+'));
+    const { variants } = PileupVariantCaller.callRegion(biased, 'chr', 0, reference.length, region, { maxStrandBias: 10 });
+    assert.strictEqual(variants.length, 1);
+    assert.strictEqual(variants[0].strandBias, PileupVariantCaller.fisherStrandBias(5, 5, 10, 0));
+    assert.ok(variants[0].strandBias > 10);
+    assert.strictEqual(variants[0].filter, 'StrandBias');
+    assert.match(variants[0].info, /DP4=5,5,10,0/);
+});
+
+check('duplicate, QC-fail, secondary, unmapped and low-MAPQ reads are skipped', () => {
+    const options = PileupVariantCaller.resolveOptions();
+    assert.strictEqual(PileupVariantCaller.isUsableRead(makeRead(0, '+'), options), true);
+    [0x4, 0x100, 0x200, 0x400, 0x800].forEach(flag => {
+        assert.strictEqual(PileupVariantCaller.isUsableRead(makeRead(0, '+', null, { flags: flag }), options), false);
+    });
+    assert.strictEqual(PileupVariantCaller.isUsableRead(makeRead(0, '+', null, { flags: 0x400 }), { ...options, skipDuplicates: false }), true);
+    assert.strictEqual(PileupVariantCaller.isUsableRead(makeRead(0, '+', null, { mappingQuality: 10 }), options), false);
+    assert.strictEqual(PileupVariantCaller.isUsableRead(makeRead(0, '+', null, { sequence: '*' }), options), false);
+});
+
+check('low-quality bases do not count towards depth or alleles', () => {
+    const lowQuality = reads.map(read => read.cigar === '50M' && read.sequence[15] === 'T' ?
+        { ...read, quality: 'I'.repeat(15) + '#' + 'I'.repeat(34) } : read);
+    const { variants } = PileupVariantCaller.callRegion(lowQuality, 'chr', 0, reference.length, region);
+    assert.ok(!variants.some(v => v.type === 'SNV'));
+    const pileup = PileupVariantCaller.createPileup();
+    lowQuality.forEach(read => PileupVariantCaller.addRead(pileup, read, PileupVariantCaller.resolveOptions(), 0, 60));
+    assert.strictEqual(pileup.get(20).depth, 12);
+});
+
+check('only positions inside the region are piled up', () => {
+    const pileup = PileupVariantCaller.createPileup();
+    PileupVariantCaller.addRead(pileup, makeRead(0, '+', 'del'), PileupVariantCaller.resolveOptions(), 25, 31);
+    assert.deepStrictEqual([...pileup.keys()].sort((a, b) => a - b), [25, 26, 27, 28, 29, 30]);
+    // Deleted bases count towards depth but carry no base allele
+    assert.deepStrictEqual([pileup.get(30).depth, pileup.get(30).alleles], [1, {}]);
+    assert.deepStrictEqual(pileup.get(29).alleles.D3, { forward: 1, reverse: 0 });
+});
+
+check('base qualities, longest deletion and option defaults', () => {
+    assert.deepStrictEqual(Array.from(PileupVariantCaller.getBaseQualities({ quality: '!+I' })), [0, 10, 40]);
+    assert.strictEqual(PileupVariantCaller.getBaseQualities({ quality: new Uint8Array([255, 255]) }), null);
+    assert.deepStrictEqual(PileupVariantCaller.getBaseQualities({ quality: [30, 31] }), [30, 31]);
+    assert.strictEqual(PileupVariantCaller.getBaseQualities({ quality: '*' }), null);
+    assert.strictEqual(PileupVariantCaller.getLongestDeletion([{ cigar: '10M2D5M7D3M' }, { cigar: '*' }, { cigar: '4M12D4M' }]), 12);
+    const options = PileupVariantCaller.resolveOptions({ minDepth: 4, minAltReads: null, minBaseQuality: NaN });
+    assert.deepStrictEqual([options.minDepth, options.minAltReads, options.minBaseQuality], [4, 3, 20]);
+});
+
+if (failures > 0) {
+    console.log(`\n❌ ${failures} check(s) failed`);
+    process.exit(1);
+}
+console.log('\n✅ All pileup variant calling checks passed');
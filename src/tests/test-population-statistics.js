@@ -0,0 +1,148 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for the population statistics of PopulationGenomicsPlugin (sliding-window π,
+ * Watterson's θ, Tajima's D and Hudson's Fst from VCF genotypes)
+ *
+ * Two populations of two diploid samples (4 chromosomes each) over a 200 bp region with
+ * 100 bp windows. Hand-worked values:
+ * - π at a site with 1 of 4 alt alleles: 4/3 · 2 · 1/4 · 3/4 = 1/2
+ * - Tajima constants for n = 4: a1 = 11/6, c1 = 5/9 - 6/11 = 1/99, e1 = c1 / a1 = 6/1089,
+ *   so one such site gives D = (1/2 - 6/11) / sqrt(6/1089) = -1.5 / sqrt(6)
+ * - Hudson's Fst: fixed difference 1/1; p 1/4 vs 3/4 gives 0.125/0.625; p 1/2 in both gives
+ *   (-1/12 - 1/12)/(1/2)
+ */
+
+const assert = require('assert');
+
+global.VcfGenotypes = require('../renderer/modules/VcfGenotypes.js');
+const PopulationGenomicsPlugin = require('../renderer/modules/Plugins/PopulationGenomicsPlugin.js');
+
+let failures = 0;
+
+async function check(name, fn) {
+    try {
+        await fn();
+        console.log(`✅ ${name}`);
+    } catch (error) {
+        failures++;
+        console.log(`❌ ${name}: ${error.message}`);
+    }
+}
+
+const close = (actual, expected, message) =>
+    assert.ok(Math.abs(actual - expected) < 1e-9, `${message || 'value'}: expected ${expected}, got ${actual}`);
+
+// Samples s1, s2 (north) and s3, s4 (south); positions are 1-based
+const variant = (position, genotypes) => ({
+    chromosome: 'chr1', start: position - 1, end: position, id: `snp${position}`, ref: 'A', alt: 'G',
+    format: 'GT', samples: genotypes
+});
+const variants = [
+    variant(10, ['0/0', '0/0', '1/1', '1/1']),
+    variant(50, ['0/1', '0/0', '1/1', '0/1']),
+    variant(150, ['0/1', '0/1', '0/1', '0/1'])
+];
+const vcfFile = {
+    metadata: { id: 'vcf1', name: 'populations.vcf', samples: ['s1', 's2', 's3', 's4'] },
+    data: { chr1: variants }
+};
+const app = {
+    genomeBrowser: {
+        multiFileManager: { getVcfFiles: () => [vcfFile] },
+        currentSequence: { chr1: 'A'.repeat(200) }
+    }
+};
+
+// Keep the plugin's progress logging out of the test report
+const log = console.log;
+const quietly = async fn => {
+    console.log = () => {};
+    try {
+        return await fn();
+    } finally {
+        console.log = log;
+    }
+};
+
+(async () => {
+    log('🧪 Testing population statistics\n');
+
+    const plugin = await quietly(() => new PopulationGenomicsPlugin(app, null));
+    const result = await quietly(() => plugin.analyzePopulationStatistics({
+        chromosome: 'chr1',
+        windowSize: 100,
+        assignments: '# sample population\ns1\tnorth\ns2\tnorth\ns3\tsouth\ns4\tsouth\n',
+        statistics: ['pi', 'tajimasD', 'wattersonsTheta', 'fst']
+    }));
+
+    await check('samples are grouped by the assignment file in VCF order', () => {
+        assert.deepStrictEqual(result.populations.map(p => [p.name, p.sampleIndices]), [['north', [0, 1]], ['south', [2, 3]]]);
+        assert.strictEqual(result.snpCount, 3);
+        assert.deepStrictEqual(result.unassignedSamples, []);
+    });
+
+    await check('nucleotide diversity sums unbiased per-site diversity over the window length', () => {
+        const north = result.nucleotideDiversity.north;
+        assert.deepStrictEqual(north.windows.map(w => [w.start, w.end, w.segregatingSites, w.snpCount]), [[0, 100, 1, 2], [100, 200, 1, 1]]);
+        close(north.windows[0].pi, 0.5 / 100, 'window 1 pi');
+        close(north.windows[1].pi, (4 / 3 * 2 * 0.25) / 100, 'window 2 pi');
+        close(north.genomeWidePi, (0.5 + 2 / 3) / 200, 'genome-wide pi');
+    });
+
+    await check("Watterson's theta and Tajima's D use the constants for 4 chromosomes", () => {
+        const constants = plugin.getTajimaConstants(4);
+        close(constants.a1, 11 / 6, 'a1');
+        close(constants.a2, 49 / 36, 'a2');
+        close(constants.e1, 6 / 1089, 'e1');
+        close(result.wattersonsTheta.north.windows[0].theta, 1 / (11 / 6) / 100, 'theta');
+
+        const tajima = result.tajimasD.north;
+        assert.strictEqual(tajima.sampleSize, 4);
+        close(tajima.windows[0].tajimasD, -1.5 / Math.sqrt(6), 'D');
+        assert.strictEqual(tajima.windows[0].interpretation, 'neutral');
+    });
+
+    await check('windows without segregating sites have no Tajima D', () => {
+        const fixed = plugin.calculateTajimasD([{ chromosome: 'chr1', position: 10, genotypes: ['1/1', '1/1'] }],
+            100, { regions: { chr1: { start: 0, end: 100 } } });
+        assert.deepStrictEqual([fixed.windows[0].tajimasD, fixed.windows[0].interpretation, fixed.meanTajimasD], [null, 'no_data', null]);
+    });
+
+    await check("Hudson's Fst per locus and as a ratio of averages per window", () => {
+        const [pair] = result.fst.pairs;
+        assert.deepStrictEqual([pair.pop1, pair.pop2], ['north', 'south']);
+        close(pair.perLocus[0].fst, 1, 'fixed difference');
+        close(pair.perLocus[1].fst, 0.2, 'p 1/4 vs 3/4');
+        close(pair.perLocus[2].fst, -1 / 3, 'equal frequencies');
+        close(pair.windows[0].fst, (1 + 0.125) / (1 + 0.625), 'window 1');
+        close(pair.windows[1].fst, -1 / 3, 'window 2');
+        close(pair.meanFst, (1 + 0.125 - 1 / 6) / (1 + 0.625 + 0.5), 'mean');
+    });
+
+    await check('Fst outliers are the loci in the upper tail of each pair', () => {
+        const outliers = plugin.identifyOutlierLoci(result.fst, 0.34);
+        assert.deepStrictEqual(outliers.map(locus => [locus.locus, locus.pValue]), [['snp10', 1 / 3]]);
+    });
+
+    await check('assignment files: PLINK clusters, headers and comments', () => {
+        assert.deepStrictEqual(plugin.parsePopulationAssignments('FID IID CLUSTER\nf1 s1 A\nf2 s2 B\n'), { s1: 'A', s2: 'B' });
+        assert.deepStrictEqual(plugin.parsePopulationAssignments('sample,population\n# skipped\ns1, east\n\ns2,west'), { s1: 'east', s2: 'west' });
+    });
+
+    await check('unassigned samples are reported and a single population has no Fst', async () => {
+        const single = await quietly(() => plugin.analyzePopulationStatistics({
+            chromosome: 'chr1', windowSize: 100, assignments: { s1: 'north', s2: 'north' }
+        }));
+        assert.deepStrictEqual(single.unassignedSamples, ['s3', 's4']);
+        assert.strictEqual(single.fst, null);
+        await assert.rejects(quietly(() => plugin.analyzePopulationStatistics({ chromosome: 'chr1', assignments: { x: 'north' } })),
+            /None of the 4 VCF samples/);
+    });
+
+    if (failures > 0) {
+        log(`\n❌ ${failures} check(s) failed`);
+        process.exit(1);
+    }
+    log('\n✅ All population statistics checks passed');
+})();
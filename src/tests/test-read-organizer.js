@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for ReadOrganizer (base lookup through the CIGAR, grouping, sorting at a
+ * position and tag coloring of reads and read pairs)
+ */
+
+const assert = require('assert');
+
+// The renderer defines both module and window; the organizer must register on window as well
+global.window = {};
+const ReadOrganizer = require('../renderer/modules/ReadOrganizer.js');
+
+let failures = 0;
+
+function check(name, fn) {
+    try {
+        fn();
+        console.log(`✅ ${name}`);
+    } catch (error) {
+        failures++;
+        console.log(`❌ ${name}: ${error.message}`);
+    }
+}
+
+/**
+ * Read starting at 1-based position 101
+ */
+function read(id, sequence, fields = {}) {
+    const cigar = fields.cigar || `${sequence.length}M`;
+    const referenceLength = [...cigar.matchAll(/(\d+)([MDN=X])/g)].reduce((sum, match) => sum + parseInt(match[1]), 0);
+    return { id, start: 101, end: 100 + referenceLength, strand: '+', sequence, cigar, tags: {}, ...fields };
+}
+
+// Position 105 holds A in the reference
+const reads = [
+    read('ref', 'CCCCACCCCC', { tags: { HP: 1, RG: 'lib1' }, mappingQuality: 60 }),
+    read('alt', 'CCCCTCCCCC', { strand: '-', tags: { HP: 2, RG: 'lib2' }, mappingQuality: 20 }),
+    read('del', 'CCCCCCCCC', { cigar: '4M1D5M', tags: { HP: 1 }, mappingQuality: 40 }),
+    read('ins', 'CCCCGGACCCCC', { cigar: '4M2I6M', sample: 'NA12878', mappingQuality: 30 })
+];
+
+console.log('🧪 Testing read grouping, sorting and coloring\n');
+
+check('module is exported and registered on window', () => {
+    assert.strictEqual(typeof ReadOrganizer.groupItems, 'function');
+    assert.strictEqual(global.window.ReadOrganizer, ReadOrganizer);
+});
+
+check('bases at a reference position follow the CIGAR', () => {
+    assert.deepStrictEqual(reads.map(r => ReadOrganizer.getBaseAtPosition(r, 105)), ['A', 'T', '-', 'A']);
+    assert.strictEqual(ReadOrganizer.getBaseAtPosition(read('s', 'GGACGT', { cigar: '2S4M' }), 101), 'A');
+    assert.strictEqual(ReadOrganizer.getBaseAtPosition(read('n', 'ACGT', { cigar: '2M10N2M' }), 105), null);
+    assert.strictEqual(ReadOrganizer.getBaseAtPosition(reads[0], 99), null);
+});
+
+check('grouping by base puts reads without a base last', () => {
+    const outside = read('outside', 'CCCC', { start: 200, end: 203 });
+    const groups = ReadOrganizer.groupItems([...reads, outside], { groupBy: 'base', position: 105 });
+    assert.deepStrictEqual(groups.map(g => [g.key, g.items.map(r => r.id)]),
+        [['-', ['del']], ['A', ['ref', 'ins']], ['T', ['alt']], ['', ['outside']]]);
+    assert.deepStrictEqual(groups.map(g => g.label), ['Deletion at 105', 'A at 105', 'T at 105', 'Not covering']);
+});
+
+check('grouping by strand and by tag, with the sample taken from the read group', () => {
+    const byStrand = ReadOrganizer.groupItems(reads, { groupBy: 'strand', position: 105 });
+    assert.deepStrictEqual(byStrand.map(g => [g.label, g.items.length]), [['Forward strand', 3], ['Reverse strand', 1]]);
+
+    const byHaplotype = ReadOrganizer.groupItems(reads, { groupBy: 'haplotype', position: 105 });
+    assert.deepStrictEqual(byHaplotype.map(g => [g.label, g.items.map(r => r.id)]),
+        [['HP: 1', ['ref', 'del']], ['HP: 2', ['alt']], ['No HP', ['ins']]]);
+
+    const bySample = ReadOrganizer.groupItems(reads, { groupBy: 'sample', position: 105 });
+    assert.deepStrictEqual(bySample.map(g => g.key), ['NA12878', '']);
+    assert.deepStrictEqual(ReadOrganizer.groupItems(reads, { groupBy: 'tag', groupTag: ' rg ', position: 105 }).map(g => g.key),
+        ['lib1', 'lib2', '']);
+    assert.deepStrictEqual(ReadOrganizer.groupItems(reads, { groupBy: 'none' }), [{ key: null, label: null, items: reads }]);
+});
+
+check('rows sort by the read at the position; rows not covering it keep their order below', () => {
+    const rows = [[reads[0]], [read('outside', 'CCCC', { start: 300, end: 303 })], [reads[1]], [reads[2]], [reads[3]]];
+    const ids = sorted => sorted.map(row => row[0].id);
+    // Non-reference bases first, then by base
+    assert.deepStrictEqual(ids(ReadOrganizer.sortRows(rows, { sortBy: 'base', position: 105, referenceBase: 'a' })),
+        ['del', 'alt', 'ref', 'ins', 'outside']);
+    assert.deepStrictEqual(ids(ReadOrganizer.sortRows(rows, { sortBy: 'mappingQuality', position: 105 })),
+        ['ref', 'del', 'ins', 'alt', 'outside']);
+    assert.deepStrictEqual(ids(ReadOrganizer.sortRows(rows, { sortBy: 'strand', position: 105 })),
+        ['ref', 'del', 'ins', 'alt', 'outside']);
+    assert.deepStrictEqual(ids(ReadOrganizer.sortRows(rows, { sortBy: 'tag', sortTag: 'hp', position: 105 })),
+        ['ref', 'del', 'alt', 'ins', 'outside']);
+    assert.strictEqual(ReadOrganizer.sortRows(rows, { sortBy: 'none' }), rows);
+});
+
+check('pair items are grouped and sorted by the mate covering the position', () => {
+    const left = read('p', 'CCCCACCCCC', { strand: '+' });
+    const right = read('p', 'CCCCC', { start: 301, end: 305, strand: '-' });
+    const pair = { isPair: true, id: 'p', reads: [left, right], start: 101, end: 305 };
+    assert.strictEqual(ReadOrganizer.getItemReadAt(pair, 303), right);
+    assert.strictEqual(ReadOrganizer.getGroupKey(pair, { groupBy: 'strand', position: 303 }), '-');
+    assert.strictEqual(ReadOrganizer.getGroupKey(pair, { groupBy: 'base', position: 105 }), 'A');
+});
+
+check('colors by strand, haplotype and other tag values', () => {
+    assert.strictEqual(ReadOrganizer.getReadColor(reads[1], { colorBy: 'strand' }), '#f39c12');
+    assert.strictEqual(ReadOrganizer.getReadColor(reads[0], { colorBy: 'strand', forwardColor: '#000000' }), '#000000');
+    assert.strictEqual(ReadOrganizer.getReadColor(reads[1], { colorBy: 'haplotype' }), '#E53935');
+    assert.strictEqual(ReadOrganizer.getReadColor(reads[3], { colorBy: 'haplotype' }), '#BDBDBD');
+    const color = ReadOrganizer.getReadColor(reads[0], { colorBy: 'tag', colorTag: 'RG' });
+    assert.strictEqual(color, ReadOrganizer.getTagColor('RG', 'lib1'));
+    assert.ok(ReadOrganizer.TAG_COLORS.includes(color));
+    assert.strictEqual(ReadOrganizer.getReadColor(reads[0], { colorBy: 'none' }), null);
+});
+
+if (failures > 0) {
+    console.log(`\n❌ ${failures} check(s) failed`);
+    process.exit(1);
+}
+console.log('\n✅ All read organizing checks passed');
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for ReadPairAnalyzer (pair orientation, insert size range, pair classification
+ * and the pair items of "view as pairs")
+ */
+
+const assert = require('assert');
+
+// The renderer defines both module and window; the analyzer must register on window as well
+global.window = {};
+const ReadPairAnalyzer = require('../renderer/modules/ReadPairAnalyzer.js');
+
+let failures = 0;
+
+function check(name, fn) {
+    try {
+        fn();
+        console.log(`✅ ${name}`);
+    } catch (error) {
+        failures++;
+        console.log(`❌ ${name}: ${error.message}`);
+    }
+}
+
+/**
+ * One mate of a pair on chr1 (100 bp reads); flags follow the SAM specification
+ */
+function mate(id, start, strand, mateStart, mateStrand, templateLength, { first = true, flags = 0, ...fields } = {}) {
+    return {
+        id,
+        chromosome: 'chr1',
+        start,
+        end: start + 99,
+        strand,
+        flags: 0x1 | (strand === '-' ? 0x10 : 0) | (mateStrand === '-' ? 0x20 : 0) | (first ? 0x40 : 0x80) | flags,
+        mateChromosome: 'chr1',
+        mateStart,
+        templateLength,
+        ...fields
+    };
+}
+
+const stats = { min: 200, max: 500 };
+
+console.log('🧪 Testing read pair analysis\n');
+
+check('module is exported and registered on window', () => {
+    assert.strictEqual(typeof ReadPairAnalyzer.pairReads, 'function');
+    assert.strictEqual(global.window.ReadPairAnalyzer, ReadPairAnalyzer);
+});
+
+check('only primary alignments of paired templates are paired reads', () => {
+    assert.strictEqual(ReadPairAnalyzer.isPairedRead(mate('a', 100, '+', 400, '-', 400)), true);
+    assert.strictEqual(ReadPairAnalyzer.isPairedRead({ flags: 0 }), false);
+    [0x4, 0x100, 0x800].forEach(flag => {
+        assert.strictEqual(ReadPairAnalyzer.isPairedRead(mate('a', 100, '+', 400, '-', 400, { flags: flag })), false);
+    });
+});
+
+check('orientation is read from the leftmost mate to the rightmost, from either mate', () => {
+    assert.strictEqual(ReadPairAnalyzer.getPairInfo(mate('a', 100, '+', 400, '-', 400)).orientation, 'FR');
+    assert.strictEqual(ReadPairAnalyzer.getPairInfo(mate('a', 400, '-', 100, '+', -400, { first: false })).orientation, 'FR');
+    assert.strictEqual(ReadPairAnalyzer.getPairInfo(mate('a', 100, '-', 400, '+', 400)).orientation, 'RF');
+    assert.strictEqual(ReadPairAnalyzer.getPairInfo(mate('a', 100, '+', 400, '+', 400)).orientation, 'FF');
+    assert.strictEqual(ReadPairAnalyzer.getPairInfo(mate('a', 400, '-', 100, '-', -400)).orientation, 'RR');
+    assert.strictEqual(ReadPairAnalyzer.getPairInfo(mate('a', 400, '-', 100, '+', -400)).insertSize, 400);
+});
+
+check('pairs are classified by mate mapping, orientation and insert size', () => {
+    const classify = (read, orientation) => ReadPairAnalyzer.classifyPair(ReadPairAnalyzer.getPairInfo(read), stats, orientation);
+    assert.strictEqual(classify(mate('a', 100, '+', 400, '-', 400)), 'normal');
+    assert.strictEqual(classify(mate('a', 100, '+', 1000, '-', 1000)), 'large-insert');
+    assert.strictEqual(classify(mate('a', 100, '+', 150, '-', 150)), 'small-insert');
+    assert.strictEqual(classify(mate('a', 100, '+', 400, '+', 400)), 'FF');
+    assert.strictEqual(classify(mate('a', 100, '-', 400, '+', 400), 'RF'), 'normal');
+    assert.strictEqual(classify(mate('a', 100, '+', 400, '-', 0, { mateChromosome: 'chr2' })), 'inter-chromosomal');
+    assert.strictEqual(classify(mate('a', 100, '+', 100, '+', 0, { flags: 0x8 })), 'mate-unmapped');
+});
+
+check('automatic insert size range from the first mates of concordant pairs', () => {
+    // Inserts of 300-329 bp and one 5 kb outlier: median 315, median deviation 8, spread max(1.4826 x 8, 31.5)
+    const reads = Array.from({ length: 30 }, (_, i) => mate(`p${i}`, 1000, '+', 1000 + 200 + i, '-', 300 + i));
+    reads.push(mate('outlier', 1000, '+', 5900, '-', 5000));
+    // Second mates and discordant orientations are not counted
+    reads.push(mate('p0', 1200, '-', 1000, '+', -300, { first: false }));
+    reads.push(mate('ff', 1000, '+', 1200, '+', 300));
+
+    const result = ReadPairAnalyzer.computeInsertSizeStats(reads);
+    assert.deepStrictEqual(result, { min: 221, max: 410, median: 315, count: 31, mode: 'auto' });
+
+    assert.deepStrictEqual(ReadPairAnalyzer.computeInsertSizeStats(reads.slice(0, 10)),
+        { min: 50, max: 1000, median: null, count: 10, mode: 'fixed' });
+    assert.deepStrictEqual(ReadPairAnalyzer.computeInsertSizeStats(reads, { insertSizeMode: 'fixed', minInsertSize: 10, maxInsertSize: 90 }),
+        { min: 10, max: 90, median: null, count: 0, mode: 'fixed' });
+});
+
+check('mates share one pair item and a mate that was not loaded reserves its span', () => {
+    const unpaired = { id: 'single', chromosome: 'chr1', start: 50, end: 149, strand: '+', flags: 0 };
+    const reads = [
+        mate('both', 100, '+', 400, '-', 400),
+        unpaired,
+        mate('both', 400, '-', 100, '+', -400, { first: false }),
+        mate('alone', 700, '+', 2000, '-', 1400)
+    ];
+    const items = ReadPairAnalyzer.pairReads(reads, { insertSizeStats: stats });
+    assert.strictEqual(items.length, 3);
+    const [both, single, alone] = items;
+    assert.deepStrictEqual([both.isPair, both.start, both.end, both.reads.length, both.category], [true, 100, 499, 2, 'normal']);
+    assert.strictEqual(single, unpaired);
+    assert.deepStrictEqual([alone.start, alone.end, alone.mateOutline, alone.category],
+        [700, 2099, { start: 2000, end: 2099 }, 'large-insert']);
+    assert.strictEqual(items.insertSizeStats, stats);
+});
+
+check('pair colors: none for normal pairs, a stable color per mate chromosome', () => {
+    assert.strictEqual(ReadPairAnalyzer.getPairColor({ category: 'normal' }), null);
+    assert.strictEqual(ReadPairAnalyzer.getPairColor({ category: 'large-insert' }), '#E53935');
+    const color = ReadPairAnalyzer.getPairColor({ category: 'inter-chromosomal', pairInfo: { mateChromosome: 'chr7' } });
+    assert.strictEqual(color, ReadPairAnalyzer.getChromosomeColor('chr7'));
+    assert.ok(ReadPairAnalyzer.CHROMOSOME_COLORS.includes(color));
+    assert.match(ReadPairAnalyzer.describeCategory('RF'), /tandem duplication/);
+});
+
+if (failures > 0) {
+    console.log(`\n❌ ${failures} check(s) failed`);
+    process.exit(1);
+}
+console.log('\n✅ All read pair analysis checks passed');
@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for RNAFolder (nearest-neighbour energies, MFE folding and terminator prediction)
+ *
+ * Known energies are worked out by hand from the Turner 1999 parameters (kcal/mol):
+ * GG/CC stack -3.3, AG/UC stack -2.1, hairpin of 3 +5.7, bulge of 1 +3.8 (plus the stack
+ * across it), terminal AU +0.5.
+ */
+
+const assert = require('assert');
+
+// The renderer defines both module and window; the folder must register on window as well
+global.window = {};
+const RNAFolder = require('../renderer/modules/RNAFolder.js');
+
+let failures = 0;
+
+async function check(name, fn) {
+    try {
+        await fn();
+        console.log(`✅ ${name}`);
+    } catch (error) {
+        failures++;
+        console.log(`❌ ${name}: ${error.message}`);
+    }
+}
+
+// Stem-loop with a GC-rich stem followed by a U-tract, inside A/C-rich flanks
+const flank = 'ACGTTAGCATACGATTACAGATACAGATACGGATTACAGA';
+const terminator = 'AGCCCGCCTAATGAGCGGGCTTTTTTTT';
+
+(async () => {
+    console.log('🧪 Testing RNA folding\n');
+
+    await check('module is exported and registered on window', () => {
+        assert.strictEqual(typeof RNAFolder.fold, 'function');
+        assert.strictEqual(global.window.RNAFolder, RNAFolder);
+    });
+
+    await check('stacks and a triloop: 3 x -3.3 + 5.7 = -4.2', () => {
+        assert.strictEqual(RNAFolder.evaluate('GGGGAAACCCC', '((((...))))'), -4.2);
+    });
+
+    await check('AU closing pair adds the terminal AU penalty: -2.1 - 6.6 + 5.7 + 0.5 = -2.5', () => {
+        assert.strictEqual(RNAFolder.evaluate('AGGGAAACCCU', '((((...))))'), -2.5);
+    });
+
+    await check('single-nucleotide bulge keeps the stack across it: -3.3 + (3.8 - 3.3) - 3.3 + 5.7 = -0.4', () => {
+        assert.strictEqual(RNAFolder.evaluate('GGAGGAAACCCC', '((.((...))))'), -0.4);
+    });
+
+    await check('MFE structure is at least as stable as the hand-evaluated ones', () => {
+        const result = RNAFolder.fold('gggguuuuaaacccc');
+        assert.strictEqual(result.sequence, 'GGGGUUUUAAACCCC');
+        assert.strictEqual(result.structure.length, 15);
+        assert.strictEqual(RNAFolder.evaluate(result.sequence, result.structure), result.energy);
+        assert.ok(result.energy <= RNAFolder.evaluate(result.sequence, '((((.......))))'));
+    });
+
+    await check('UUCG tetraloop hairpin folds into a four-pair stem', () => {
+        const result = RNAFolder.fold('GCGCUUCGGCGC');
+        assert.strictEqual(result.structure, '((((....))))');
+        assert.ok(result.energy < -5);
+    });
+
+    await check('unstructured sequence stays unpaired with zero energy', () => {
+        const result = RNAFolder.fold('AAAAAAAAAA');
+        assert.strictEqual(result.structure, '..........');
+        assert.strictEqual(result.energy, 0);
+    });
+
+    await check('invalid structures and oversized sequences are rejected', () => {
+        assert.throws(() => RNAFolder.parseStructure('((..)'), /Unbalanced/);
+        assert.throws(() => RNAFolder.evaluate('GGGGAAACCCC', '(((.)))....'), /not a canonical base pair/);
+        assert.throws(() => RNAFolder.fold('A'.repeat(RNAFolder.MAX_LENGTH + 1)), /fold at most/);
+    });
+
+    await check('terminator: stem-loop followed by a U-tract', async () => {
+        const terminators = await RNAFolder.predictTerminators(flank + terminator + flank);
+        assert.strictEqual(terminators.length, 1);
+        const [found] = terminators;
+        assert.strictEqual(found.start, flank.length + 1);
+        assert.ok(found.energy <= -4, `energy ${found.energy}`);
+        assert.ok(found.tailScore >= 2.5);
+        assert.match(found.sequence, /UUUU$/);
+    });
+
+    await check('no terminator without a U-tract', async () => {
+        const terminators = await RNAFolder.predictTerminators(flank + terminator.replace(/T+$/, 'ACACACAC') + flank);
+        assert.strictEqual(terminators.length, 0);
+    });
+
+    await check('long searches report progress across windows and can be cancelled', async () => {
+        const sequence = (flank + terminator + flank).repeat(60);
+        const messages = [];
+        const terminators = await RNAFolder.predictTerminators(sequence, {}, message => messages.push(message));
+        assert.strictEqual(terminators.length, 60);
+        assert.ok(messages.length >= 1);
+
+        const controller = new AbortController();
+        controller.abort();
+        await assert.rejects(RNAFolder.predictTerminators(sequence, { signal: controller.signal }), /cancelled/);
+        await assert.rejects(RNAFolder.predictTerminators('A'.repeat(11), { maxLength: 10 }), /at most 10 nt/);
+    });
+
+    if (failures > 0) {
+        console.log(`\n❌ ${failures} check(s) failed`);
+        process.exit(1);
+    }
+    console.log('\n✅ All RNA folding checks passed');
+})();
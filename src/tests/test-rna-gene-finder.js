@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for RNAGeneFinder (cloverleaf tRNA search, rRNA block profiles and CRISPR arrays)
+ * on a random background with a real E. coli tRNA and synthetic rRNA and CRISPR loci
+ */
+
+const assert = require('assert');
+
+// The renderer defines both module and window; the finder must register on window as well
+global.window = {};
+global.RNAFolder = require('../renderer/modules/RNAFolder.js');
+global.PairwiseAligner = require('../renderer/modules/PairwiseAligner.js');
+const RNAGeneFinder = require('../renderer/modules/RNAGeneFinder.js');
+
+let failures = 0;
+
+function check(name, fn) {
+    try {
+        fn();
+        console.log(`✅ ${name}`);
+    } catch (error) {
+        failures++;
+        console.log(`❌ ${name}: ${error.message}`);
+    }
+}
+
+// Deterministic random background
+let seed = 11;
+const random = () => (seed = (seed * 1103515245 + 12345) % 2147483648) / 2147483648;
+const background = length => Array.from({ length }, () => 'ACGT'[Math.floor(random() * 4)]).join('');
+
+// E. coli tRNA-Phe (pheU), anticodon GAA at positions 34-36
+const tRNAPhe = 'GCCCGGATAGCTCAGTCGGTAGAGCAGGGGATTGAAAATCCCCGTGTCCTTGGTTCGATTCCGAGTCCGGGCACCA';
+const tRNALocus = background(200) + tRNAPhe + background(200);
+
+// Cas9-type direct repeat with four unique spacers of 32-35 bp
+const repeat = 'GTTTTAGAGCTATGCTGTTTTGAATGGTCCCAAAAC';
+const spacers = [32, 33, 34, 35].map(length => background(length));
+const crisprLocus = background(150) + spacers.map(spacer => repeat + spacer).join('') + repeat + background(150);
+
+// 16S-sized gene carrying every conserved block at its E. coli position
+const [model16S] = RNAGeneFinder.RRNA_MODELS;
+const gene16S = background(model16S.length).split('');
+model16S.blocks.forEach(block => block.sequence.split('').forEach((code, k) => {
+    gene16S[block.position - 1 + k] = RNAGeneFinder.IUPAC[code][0];
+}));
+const rRNALocus = background(500) + gene16S.join('') + background(500);
+
+console.log('🧪 Testing tRNA, rRNA and CRISPR detection\n');
+
+check('module is exported and registered on window', () => {
+    assert.strictEqual(typeof RNAGeneFinder.find, 'function');
+    assert.strictEqual(global.window.RNAGeneFinder, RNAGeneFinder);
+});
+
+check('anticodons are read through the reverse-complement codon', () => {
+    assert.deepStrictEqual(RNAGeneFinder.anticodonAminoAcid('GAA'), { name: 'Phe', letter: 'F' });
+    assert.deepStrictEqual(RNAGeneFinder.anticodonAminoAcid('CAT'), { name: 'Met', letter: 'M' });
+    assert.deepStrictEqual(RNAGeneFinder.anticodonAminoAcid('TCA'), { name: 'SeC', letter: 'U' });
+    assert.deepStrictEqual(RNAGeneFinder.anticodonAminoAcid('CTA'), { name: 'Sup', letter: null });
+    assert.deepStrictEqual(RNAGeneFinder.anticodonAminoAcid('GNA'), { name: 'Undet', letter: null });
+});
+
+check('E. coli tRNA-Phe folds into a full-score cloverleaf', () => {
+    const tRNAs = RNAGeneFinder.findTRNAs(tRNALocus);
+    assert.strictEqual(tRNAs.length, 1);
+    const [tRNA] = tRNAs;
+    assert.deepStrictEqual([tRNA.start, tRNA.end, tRNA.strand, tRNA.score], [201, 276, 1, 48]);
+    assert.strictEqual(tRNA.qualifiers.product, 'tRNA-Phe');
+    assert.strictEqual(tRNA.qualifiers.anticodon, '(pos:234..236,aa:Phe,seq:gaa)');
+    assert.match(tRNA.qualifiers.note, /class I;/);
+});
+
+check('tRNAs on the reverse strand get complement anticodon coordinates', () => {
+    const [tRNA] = RNAGeneFinder.findTRNAs(RNAGeneFinder.reverseComplement(tRNALocus));
+    assert.deepStrictEqual([tRNA.start, tRNA.end, tRNA.strand], [201, 276, -1]);
+    assert.strictEqual(tRNA.qualifiers.anticodon, '(pos:complement(241..243),aa:Phe,seq:gaa)');
+});
+
+check('16S genes are located from co-linear conserved blocks on either strand', () => {
+    const [rRNA] = RNAGeneFinder.findRRNAs(rRNALocus);
+    assert.deepStrictEqual([rRNA.start, rRNA.end, rRNA.strand], [501, 500 + model16S.length, 1]);
+    assert.strictEqual(rRNA.qualifiers.product, '16S ribosomal RNA');
+    assert.match(rRNA.qualifiers.note, /^8 of 8 conserved blocks/);
+
+    const reverse = RNAGeneFinder.findRRNAs(RNAGeneFinder.reverseComplement(rRNALocus));
+    assert.deepStrictEqual(reverse.map(f => [f.start, f.end, f.strand]), [[501, 500 + model16S.length, -1]]);
+});
+
+check('CRISPR arrays report the consensus repeat and every spacer', () => {
+    const arrays = RNAGeneFinder.findCRISPRs(crisprLocus);
+    assert.strictEqual(arrays.length, 1);
+    const [array] = arrays;
+    assert.deepStrictEqual([array.start, array.end], [151, crisprLocus.length - 150]);
+    assert.strictEqual(array.qualifiers.rpt_unit_seq, repeat.toLowerCase());
+    assert.strictEqual(array.repeats.length, 5);
+    assert.deepStrictEqual(array.spacers.map(spacer => spacer.sequence), spacers);
+    assert.deepStrictEqual(array.spacers.map(spacer => spacer.length), [32, 33, 34, 35]);
+});
+
+check('two repeats are not an array, nor are repeats with identical spacers', () => {
+    const twoRepeats = background(100) + repeat + spacers[0] + repeat + background(100);
+    assert.strictEqual(RNAGeneFinder.findCRISPRs(twoRepeats).length, 0);
+    const tandem = background(100) + (repeat + spacers[0]).repeat(4) + repeat + background(100);
+    assert.strictEqual(RNAGeneFinder.findCRISPRs(tandem).length, 0);
+});
+
+check('overlapping candidates keep the best score', () => {
+    const kept = RNAGeneFinder.removeOverlaps([
+        { start: 1, end: 100, score: 5 },
+        { start: 50, end: 150, score: 8 },
+        { start: 200, end: 300, score: 1 }
+    ]);
+    assert.deepStrictEqual(kept.map(candidate => candidate.score), [8, 1]);
+    assert.strictEqual(RNAGeneFinder.similarity('ACGT', 'ACGA'), 0.75);
+});
+
+check('find numbers features per kind and tags them with their chromosome', () => {
+    const messages = [];
+    const result = RNAGeneFinder.find({ chr1: tRNALocus, chr2: crisprLocus.toLowerCase() },
+        { types: ['tRNA', 'CRISPR'], locusTagPrefix: 'T' }, message => messages.push(message));
+    assert.deepStrictEqual(result.counts, { tRNA: 1, rRNA: 0, CRISPR: 1 });
+    assert.deepStrictEqual(result.features.chr1.map(f => f.qualifiers.locus_tag), ['T_tRNA001']);
+    assert.deepStrictEqual(result.features.chr2.map(f => [f.chromosome, f.qualifiers.locus_tag]), [['chr2', 'T_CRISPR001']]);
+    assert.ok(!messages.some(message => /rRNA/.test(message)));
+});
+
+if (failures > 0) {
+    console.log(`\n❌ ${failures} check(s) failed`);
+    process.exit(1);
+}
+console.log('\n✅ All RNA gene detection checks passed');
@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for StructuralVariants: symbolic SV alleles, breakends and SEG copy-number files
+ */
+
+const assert = require('assert');
+
+const StructuralVariants = require('../renderer/modules/StructuralVariants.js');
+
+let failures = 0;
+
+function check(name, fn) {
+    try {
+        fn();
+        console.log(`✅ ${name}`);
+    } catch (error) {
+        failures++;
+        console.log(`❌ ${name}: ${error.message}`);
+    }
+}
+
+// Records as produced by MultiFileManager.parseVcfData (0-based start, end = start + REF length)
+function record(chromosome, pos, ref, alt, info) {
+    return { chromosome, start: pos - 1, end: pos - 1 + ref.length, ref, alt, info };
+}
+
+console.log('🧪 Testing structural variant and SEG parsing\n');
+
+check('symbolic deletion spans POS + 1 .. END', () => {
+    const variant = StructuralVariants.annotate(record('chr1', 1000, 'N', '<DEL>', 'SVTYPE=DEL;END=1500;SVLEN=-500'));
+    assert.strictEqual(variant.svType, 'DEL');
+    assert.strictEqual(variant.start, 999);
+    assert.strictEqual(variant.end, 1500);
+    assert.strictEqual(variant.svLength, 500);
+});
+
+check('SVLEN gives the span when END is missing', () => {
+    const variant = StructuralVariants.annotate(record('chr1', 100, 'N', '<DUP:TANDEM>', 'SVLEN=250'));
+    assert.strictEqual(variant.svType, 'DUP');
+    assert.strictEqual(variant.end, 100 + 250);
+});
+
+check('insertions keep a one-base span', () => {
+    const variant = StructuralVariants.annotate(record('chr2', 50, 'A', '<INS:ME:ALU>', 'SVLEN=300'));
+    assert.strictEqual(variant.svType, 'INS');
+    assert.strictEqual(variant.end, variant.start + 1);
+    assert.strictEqual(variant.svLength, 300);
+});
+
+check('copy-number alleles and unknown types map to CNV', () => {
+    assert.strictEqual(StructuralVariants.getType(record('chr1', 1, 'N', '<CN0>', '.')), 'CNV');
+    assert.strictEqual(StructuralVariants.getType(record('chr1', 1, 'N', '<FOO>', '.')), 'CNV');
+    assert.strictEqual(StructuralVariants.getType(record('chr1', 1, 'A', 'G', 'DP=3')), null);
+});
+
+check('breakend alleles in all four orientations', () => {
+    assert.deepStrictEqual(StructuralVariants.parseBreakend('G]17:198982]'),
+        { chromosome: '17', position: 198982, joinedAfter: true, mateExtends: 'left' });
+    assert.deepStrictEqual(StructuralVariants.parseBreakend('T[13:123456['),
+        { chromosome: '13', position: 123456, joinedAfter: true, mateExtends: 'right' });
+    assert.deepStrictEqual(StructuralVariants.parseBreakend(']2:321681]A'),
+        { chromosome: '2', position: 321681, joinedAfter: false, mateExtends: 'left' });
+    assert.deepStrictEqual(StructuralVariants.parseBreakend('[<ctg1>:7[C'),
+        { chromosome: 'ctg1', position: 7, joinedAfter: false, mateExtends: 'right' });
+    assert.strictEqual(StructuralVariants.parseBreakend('G]17:198982['), null);
+    assert.strictEqual(StructuralVariants.parseBreakend('<DEL>'), null);
+});
+
+check('mate breakend records are linked once', () => {
+    const first = StructuralVariants.annotate(record('2', 321681, 'G', 'G]17:198982]', 'SVTYPE=BND'));
+    const second = StructuralVariants.annotate(record('17', 198982, 'A', 'A]2:321681]', 'SVTYPE=BND'));
+    assert.strictEqual(first.svType, 'BND');
+    assert.strictEqual(first.end, first.start + 1);
+    const links = StructuralVariants.getBreakendLinks([first, second]);
+    assert.strictEqual(links.length, 1);
+    assert.strictEqual(links[0].mate.chromosome, '17');
+});
+
+check('SEG files with header, num.mark and quoted names', () => {
+    const text = [
+        'ID\tchrom\tloc.start\tloc.end\tnum.mark\tseg.mean',
+        '"tumor1"\t"chr1"\t1\t1000\t12\t-0.85',
+        'tumor1\tchr1\t1001\t5000\t40\t0.02',
+        'tumor2\tchr2\t501\t900\t8\t1.3',
+        '# comment',
+        ''
+    ].join('\n');
+    const { samples, segments } = StructuralVariants.parseSEG(text);
+    assert.deepStrictEqual(samples, ['tumor1', 'tumor2']);
+    assert.deepStrictEqual(Object.keys(segments), ['chr1', 'chr2']);
+    assert.deepStrictEqual(segments.chr1[0], { sample: 'tumor1', start: 0, end: 1000, markers: 12, value: -0.85 });
+    assert.strictEqual(segments.chr2[0].start, 500);
+});
+
+check('SEG files without num.mark', () => {
+    const { segments } = StructuralVariants.parseSEG('s1 chr3 10 20 0.5\ns1 chr3 1 9 -0.2');
+    assert.strictEqual(segments.chr3.length, 2);
+    assert.strictEqual(segments.chr3[0].start, 0);
+    assert.strictEqual(segments.chr3[1].markers, null);
+    assert.strictEqual(segments.chr3[1].value, 0.5);
+});
+
+if (failures > 0) {
+    console.log(`\n❌ ${failures} check(s) failed`);
+    process.exit(1);
+}
+console.log('\n✅ All structural variant checks passed');
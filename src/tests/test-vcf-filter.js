@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for VcfFilter expressions (columns, INFO, genotypes, ANN/CSQ annotations)
+ */
+
+const assert = require('assert');
+
+global.VcfGenotypes = require('../renderer/modules/VcfGenotypes.js');
+const VcfFilter = require('../renderer/modules/VcfFilter.js');
+
+let failures = 0;
+
+function check(name, fn) {
+    try {
+        fn();
+        console.log(`✅ ${name}`);
+    } catch (error) {
+        failures++;
+        console.log(`❌ ${name}: ${error.message}`);
+    }
+}
+
+const header = [
+    '##INFO=<ID=ANN,Number=.,Type=String,Description="Functional annotations: \'Allele | Annotation | Annotation_Impact | Gene_Name\'">'
+];
+const sampleNames = ['NA12878', 'NA12891'];
+
+const snv = {
+    chromosome: 'chr1', start: 99, id: 'rs1', ref: 'A', alt: 'G', quality: 50, filter: 'PASS',
+    info: 'DP=25;DB;ANN=G|missense_variant|MODERATE|dnaA,G|upstream_gene_variant|MODIFIER|dnaN',
+    format: 'GT:DP', samples: ['0/1:12', '1/1:13']
+};
+const deletion = {
+    chromosome: 'chr1', start: 199, id: '.', ref: 'ATG', alt: 'A', quality: 12, filter: 'LowQual',
+    info: 'DP=8;CSQ=-|frameshift_variant&splice_region_variant|HIGH|recA',
+    format: 'GT:DP', samples: ['0/0:4', './.:0']
+};
+
+function matches(expression, variant) {
+    return VcfFilter.compile(expression, { sampleNames, header }).test(variant);
+}
+
+console.log('🧪 Testing VcfFilter expressions\n');
+
+check('numeric column and INFO comparisons', () => {
+    assert.strictEqual(matches('QUAL >= 30 && INFO/DP > 10', snv), true);
+    assert.strictEqual(matches('QUAL >= 30 && INFO/DP > 10', deletion), false);
+    assert.strictEqual(matches('POS == 100', snv), true);
+});
+
+check('|| / OR, ! and parentheses', () => {
+    assert.strictEqual(matches('QUAL > 100 || FILTER == PASS', snv), true);
+    assert.strictEqual(matches('QUAL > 100 OR FILTER == PASS', deletion), false);
+    assert.strictEqual(matches('!(FILTER == LowQual)', deletion), false);
+    assert.strictEqual(matches('NOT FILTER == LowQual', snv), true);
+});
+
+check('INFO flags test presence', () => {
+    assert.strictEqual(matches('INFO/DB', snv), true);
+    assert.strictEqual(matches('INFO.DB', deletion), false);
+});
+
+check('variant TYPE classification', () => {
+    assert.strictEqual(matches('TYPE == snv', snv), true);
+    assert.strictEqual(matches('TYPE == deletion', deletion), true);
+});
+
+check('ANN shortcuts use the header layout and match any entry', () => {
+    assert.strictEqual(matches('CONSEQUENCE == missense_variant', snv), true);
+    assert.strictEqual(matches('GENE == dnaN', snv), true);
+    assert.strictEqual(matches('IMPACT == HIGH', snv), false);
+    assert.strictEqual(matches('GENE ~ "^dna"', snv), true);
+});
+
+check('CSQ uses the default layout and splits combined consequences', () => {
+    assert.strictEqual(matches('CONSEQUENCE == splice_region_variant', deletion), true);
+    assert.strictEqual(matches('CSQ/SYMBOL == recA && IMPACT == HIGH', deletion), true);
+});
+
+check('!= and !~ match only when no value matches', () => {
+    assert.strictEqual(matches('GENE != dnaA', snv), false);
+    assert.strictEqual(matches('GENE !~ "^rec"', snv), true);
+});
+
+check('genotypes by state, literal and count', () => {
+    assert.strictEqual(matches('GT[NA12878] == het', snv), true);
+    assert.strictEqual(matches('GT[1] == hom_alt', snv), true);
+    assert.strictEqual(matches('GT[*] == "1/1"', snv), true);
+    assert.strictEqual(matches('N_MISSING == 1 && N_HOM_REF == 1', deletion), true);
+    assert.strictEqual(matches('FORMAT/DP[NA12891] > 10', snv), true);
+});
+
+check('missing values never match', () => {
+    const noQual = { ...snv, quality: null };
+    assert.strictEqual(matches('QUAL < 10', noQual), false);
+    assert.strictEqual(matches('INFO/AF > 0.1', snv), false);
+});
+
+check('invalid expressions are rejected', () => {
+    assert.throws(() => VcfFilter.compile('', { sampleNames }), /empty/);
+    assert.throws(() => VcfFilter.compile('FOO == 1', { sampleNames }), /Unknown filter field/);
+    assert.throws(() => VcfFilter.compile('GT[nobody] == het', { sampleNames }), /Unknown sample/);
+    assert.throws(() => VcfFilter.compile('GT == het', { sampleNames }), /needs a sample/);
+    assert.throws(() => VcfFilter.compile('QUAL > 1 )', { sampleNames }), /Unexpected/);
+});
+
+if (failures > 0) {
+    console.log(`\n❌ ${failures} check(s) failed`);
+    process.exit(1);
+}
+console.log('\n✅ All VcfFilter checks passed');
@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+
+/**
+ * Test script for WholeGenomeAlignmentParser (PAF and MAF synteny blocks, chaining and the
+ * per-chromosome and Circos views of the blocks)
+ */
+
+const assert = require('assert');
+
+// The renderer defines both module and window; the parser must register on window as well
+global.window = {};
+const WholeGenomeAlignmentParser = require('../renderer/modules/WholeGenomeAlignmentParser.js');
+
+let failures = 0;
+
+function check(name, fn) {
+    try {
+        fn();
+        console.log(`✅ ${name}`);
+    } catch (error) {
+        failures++;
+        console.log(`❌ ${name}: ${error.message}`);
+    }
+}
+
+const paf = [
+    '# minimap2 -x asm5',
+    'q1\t1000\t0\t100\t+\tchrR\t5000\t200\t300\t90\t100\t60\ttp:A:P\tAS:i:170',
+    'q1\t1000\t150\t250\t+\tchrR\t5000\t320\t420\t95\t100\t60\ttp:A:P',
+    'q1\t1000\t500\t600\t-\tchrR\t5000\t1000\t1100\t80\t100\t5\ttp:A:S',
+    'too\tfew\tcolumns'
+].join('\n');
+
+const maf = [
+    '##maf version=1',
+    'a score=100',
+    's hg38.chr1  10 8 + 1000 ACGT-ACGT',
+    's mm10.chr5   0 9 -  200 ACGTTACGA',
+    '',
+    'a',
+    's hg38.chr1 500 4 + 1000 ACGT',
+    ''
+].join('\n');
+
+console.log('🧪 Testing whole-genome alignment parsing\n');
+
+check('module is exported and registered on window', () => {
+    assert.strictEqual(typeof WholeGenomeAlignmentParser.parse, 'function');
+    assert.strictEqual(global.window.WholeGenomeAlignmentParser, WholeGenomeAlignmentParser);
+    assert.strictEqual(WholeGenomeAlignmentParser.isAlignmentExtension('.PAF'), true);
+    assert.strictEqual(WholeGenomeAlignmentParser.isAlignmentExtension('.sam'), false);
+});
+
+check('PAF: target columns are the reference, 0-based half-open becomes 1-based inclusive', () => {
+    const blocks = WholeGenomeAlignmentParser.parse(paf, '.paf');
+    assert.strictEqual(blocks.length, 2);
+    const [first, second] = blocks;
+    assert.deepStrictEqual(
+        [first.referenceChromosome, first.referenceStart, first.referenceEnd, first.targetChromosome, first.targetStart, first.targetEnd],
+        ['chrR', 201, 300, 'q1', 1, 100]
+    );
+    assert.deepStrictEqual([first.length, first.identity, first.score, first.mappingQuality], [100, 0.9, 170, 60]);
+    // Without an AS tag the score is the number of matches
+    assert.strictEqual(second.score, 95);
+});
+
+check('PAF: secondary alignments only on request', () => {
+    const blocks = WholeGenomeAlignmentParser.parsePAF(paf, { includeSecondary: true });
+    assert.strictEqual(blocks.length, 3);
+    assert.deepStrictEqual([blocks[2].orientation, blocks[2].referenceStart, blocks[2].targetStart], ['-', 1001, 501]);
+});
+
+check('MAF: the first row is the reference and minus-strand rows are flipped to forward coordinates', () => {
+    const blocks = WholeGenomeAlignmentParser.parse(maf, '.maf');
+    assert.strictEqual(blocks.length, 1);
+    const [block] = blocks;
+    assert.deepStrictEqual([block.referenceGenomeName, block.referenceChromosome, block.referenceStart, block.referenceEnd],
+        ['hg38', 'chr1', 11, 18]);
+    // 200 - 0 - 9 = 191 bases precede the aligned part on the forward strand
+    assert.deepStrictEqual([block.targetGenomeName, block.targetChromosome, block.targetStart, block.targetEnd],
+        ['mm10', 'chr5', 192, 200]);
+    assert.strictEqual(block.orientation, '-');
+    // Nine columns, the gap column and the final A/T pair do not match
+    assert.deepStrictEqual([block.alignmentLength, block.matches, block.score], [9, 7, 100]);
+});
+
+check('MAF source names keep accessions and loaded chromosome names whole', () => {
+    const split = WholeGenomeAlignmentParser.splitSourceName;
+    assert.deepStrictEqual(split('hg38.chr1'), { genome: 'hg38', chromosome: 'chr1' });
+    assert.deepStrictEqual(split('NC_000913.3'), { genome: null, chromosome: 'NC_000913.3' });
+    assert.deepStrictEqual(split('chr1'), { genome: null, chromosome: 'chr1' });
+    assert.deepStrictEqual(split('ecoli.plasmid', ['ecoli.plasmid']), { genome: null, chromosome: 'ecoli.plasmid' });
+});
+
+check('collinear blocks within maxGap are chained and short chains dropped', () => {
+    const blocks = WholeGenomeAlignmentParser.parsePAF(paf);
+    // Reference gap 20 bp, target gap 50 bp
+    assert.strictEqual(WholeGenomeAlignmentParser.chainBlocks(blocks, { maxGap: 30 }).length, 2);
+    const [chain] = WholeGenomeAlignmentParser.chainBlocks(blocks, { maxGap: 50 });
+    assert.deepStrictEqual([chain.referenceStart, chain.referenceEnd, chain.targetStart, chain.targetEnd], [201, 420, 1, 250]);
+    assert.deepStrictEqual([chain.length, chain.matches, chain.alignmentLength, chain.score, chain.alignmentCount], [220, 185, 200, 265, 2]);
+    assert.strictEqual(chain.identity, 0.925);
+    assert.strictEqual(WholeGenomeAlignmentParser.chainBlocks(blocks, { maxGap: 50, minLength: 250 }).length, 0);
+    // The input blocks are left untouched
+    assert.strictEqual(blocks[0].referenceEnd, 300);
+});
+
+check('blocks are seen from either side and converted to Circos links', () => {
+    const blocks = WholeGenomeAlignmentParser.parse(maf, '.maf');
+    const [fromTarget] = WholeGenomeAlignmentParser.getBlocksForChromosome(blocks, 'chr5');
+    assert.deepStrictEqual([fromTarget.start, fromTarget.end, fromTarget.partnerGenome, fromTarget.partnerChromosome, fromTarget.partnerStart],
+        [192, 200, 'hg38', 'chr1', 11]);
+    const [link] = WholeGenomeAlignmentParser.toCircosLinks(blocks);
+    assert.deepStrictEqual([link.type, link.source.position, link.target.position], ['inversion', 15, 196]);
+    assert.deepStrictEqual(WholeGenomeAlignmentParser.getSequenceLengths(blocks), { reference: { chr1: 1000 }, target: { chr5: 200 } });
+});
+
+if (failures > 0) {
+    console.log(`\n❌ ${failures} check(s) failed`);
+    process.exit(1);
+}
+console.log('\n✅ All whole-genome alignment checks passed');